@@ -14,10 +14,133 @@ const DB_TABLES = {
     MEDICATIONS_TABLE: 'sukoon_saarthi_users', 
     REMINDERS_TABLE: 'MedicationReminders',
     USERS_TABLE: 'SukoonUsers',
-    RELATIONSHIPS_TABLE: 'UserRelationships',
+    RELATIONSHIPS_TABLE: 'UserRelationships', // Key: relationshipId, GSIs: ChildIndex (childPhone), ParentIndex (parentPhone)
     SYMPTOMS_TABLE: 'SymptomAssessments',
     CHECK_INS_TABLE: 'SukoonCheckIns',  
-    DAILY_REPORTS_TABLE: 'SukoonReports' 
+    DAILY_REPORTS_TABLE: 'SukoonReports',
+    SESSIONS_TABLE: 'SukoonSessions',     // TTL attribute: expiresAt
+    REMINDER_SCHEDULE_TABLE: 'MedicationReminderSchedule', // Key: dueMinute + scheduleKey, GSIs: MedicationIndex (medicationKey), DueIndex (queue + dueMinute)
+    DOSE_LOG_TABLE: 'MedicationDoseLog', // Key: userPhone + doseKey (scheduledFor#medicine)
+    ALERTS_TABLE: 'SukoonAlerts', // Key: alertId, GSIs: UserPhoneIndex (userPhone + createdAt), StatusIndex (status + createdAt)
+    WEBHOOK_MESSAGES_TABLE: 'SukoonWebhookMessages' // Key: messageSid, TTL attribute: expiresAt
+};
+
+// Conversation session settings
+const SESSION_CONFIG = {
+    // "dynamodb" survives restarts and deploys; "memory" is for tests and local development
+    backend: process.env.SESSION_BACKEND || (process.env.NODE_ENV === 'test' ? 'memory' : 'dynamodb'),
+    ttlMs: 30 * 60 * 1000, // 30 minutes
+    // Check-ins can be answered hours later; checkInService closes stale ones out itself
+    checkInTtlMs: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+// Webhook security settings
+const WEBHOOK_CONFIG = {
+    // Public base URL Twilio posts to (e.g. https://api.example.com). When unset,
+    // the URL is rebuilt from the incoming request's protocol and host headers.
+    publicBaseUrl: process.env.WEBHOOK_PUBLIC_URL || null,
+    // Skip signature verification - for local development only, ignored in production
+    bypassSignatureCheck: process.env.TWILIO_SIGNATURE_BYPASS === 'true' && process.env.NODE_ENV !== 'production',
+    // How long a MessageSid is remembered for replay detection (in WEBHOOK_MESSAGES_TABLE,
+    // so it holds across restarts and every instance behind the load balancer)
+    replayWindowMs: 24 * 60 * 60 * 1000
+};
+
+// Missed-dose escalation to caregivers
+const ESCALATION_CONFIG = {
+    // A reminder with no reply after this long counts as an unanswered nudge
+    noResponseMinutes: 60,
+    // Used for any medication without its own escalationPolicy
+    defaultPolicy: {
+        enabled: true,
+        afterUnansweredNudges: 2, // Notify after this many unanswered reminders in a row
+        afterMissedPerWeek: 3     // Notify after this many missed doses in 7 days
+    }
+};
+
+// Pill stock tracking
+const INVENTORY_CONFIG = {
+    // Warn the user and caregivers when stock will run out within this many days
+    lowStockDays: 3
+};
+
+// Urgent alerts to caregivers and the emergency contact
+const ALERT_CONFIG = {
+    // Another alert of the same kind for the same user within this window is not sent again
+    dedupeWindowMinutes: 60,
+    // An SOS is sent again this often until someone replies "ack", at most maxRepeats times
+    sosRepeatMinutes: 5,
+    maxRepeats: 6,
+    // How long each step of an escalation chain (primary caregiver, other caregivers,
+    // emergency contact) has to reply "ack" before the next step is alerted
+    escalationStepMinutes: {
+        checkin_concern: 15,
+        missed_medication: 60,
+        default: 30
+    },
+    // An alert nobody has acknowledged after this long is closed as expired, so it stops
+    // repeating and a later bare "ack" doesn't land on it
+    expireAfterHours: 24
+};
+
+// Caregiver roles and the permissions each one grants
+const CAREGIVER_ROLES = {
+    primary: ['view_medications', 'manage_medications', 'view_symptoms', 'view_reports', 'manage_caregivers'],
+    secondary: ['view_medications', 'manage_medications', 'view_symptoms', 'view_reports'],
+    view_only: ['view_medications', 'view_symptoms', 'view_reports']
+};
+
+// Daily report generation
+const REPORT_CONFIG = {
+    // "ai" has the model write each day's summary and highlights; "rules" builds them from the
+    // stored check-in analysis and dose log with no AI call. "ai" falls back to "rules" on failure.
+    generator: process.env.REPORT_GENERATOR === 'rules' ? 'rules' : 'ai',
+    // A daily report or weekly digest whose send fails is tried again on later ticks, waiting
+    // this much longer after each failed attempt, until it has been tried maxSendAttempts times
+    maxSendAttempts: 3,
+    retryBackoffMinutes: 30
+};
+
+// AI model access; every service goes through services/llmService.js
+const LLM_CONFIG = {
+    // "openai", "local" (any OpenAI-compatible server, e.g. Ollama, vLLM or LM Studio)
+    // or "canned" (fixed replies and no network calls, for tests)
+    provider: process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'canned' : 'openai'),
+    // Model for any OpenAI task without its own
+    defaultModel: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+    // The "local" provider uses one model for every task
+    localBaseUrl: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+    localModel: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+    localApiKey: process.env.LLM_LOCAL_API_KEY || 'local',
+    timeoutMs: 20 * 1000,
+    // Rate limits, server errors and timeouts are retried, waiting retryBaseDelayMs, then twice that, ...
+    maxRetries: 2,
+    retryBaseDelayMs: 1000,
+    // Per-task settings; a task may also set its own model
+    tasks: {
+        chat: { temperature: 0.7, maxTokens: 400 },
+        chat_summary: { temperature: 0.3, maxTokens: 250 },
+        medication_info: { temperature: 0.3, maxTokens: 500 },
+        symptom_question: { temperature: 0.4, maxTokens: 300 },
+        symptom_assessment: { temperature: 0.4, maxTokens: 450 },
+        symptom_progression: { temperature: 0.4, maxTokens: 400 },
+        checkin_question: { temperature: 0.8, maxTokens: 150 },
+        checkin_reply: { temperature: 0.7, maxTokens: 150 },
+        checkin_final: { temperature: 0.7, maxTokens: 200 },
+        checkin_analysis: { temperature: 0.3, maxTokens: 400, json: true },
+        conversation_analysis: { temperature: 0.3, maxTokens: 500, json: true },
+        report_summary: { temperature: 0.5, maxTokens: 300, json: true }
+    }
+};
+
+// Memory for free-form chat with the AI, kept on the user record
+const CHAT_MEMORY_CONFIG = {
+    // When more than maxMessages are kept, the oldest are folded into a running
+    // summary until keepMessages are left
+    maxMessages: 16,
+    keepMessages: 8,
+    // Recent symptom assessments the AI is told about
+    symptomDays: 30
 };
 
 // Create clients
@@ -35,6 +158,15 @@ const createOpenAIClient = () => new openai.OpenAI({
 
 module.exports = {
     DB_TABLES,
+    WEBHOOK_CONFIG,
+    SESSION_CONFIG,
+    ESCALATION_CONFIG,
+    INVENTORY_CONFIG,
+    ALERT_CONFIG,
+    CAREGIVER_ROLES,
+    REPORT_CONFIG,
+    LLM_CONFIG,
+    CHAT_MEMORY_CONFIG,
     dynamoDB,
     createDynamoDBClient,
     createTwilioClient,
@@ -1,7 +1,42 @@
-// handlers/accountHandler.js - Logic for account creation flows
+// handlers/accountHandler.js - Logic for account creation flows, consent and account settings
 const { sendWhatsAppMessage, sendParentWelcomeTemplate } = require('../services/messageService');
 const userService = require('../services/userService');
 const sessionStore = require('../models/sessionStore');
+const weeklyDigestService = require('../services/weeklyDigestService');
+const caregiverService = require('../services/caregiverService');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { inferTimezoneFromPhone, isValidTimezone, getCurrentTimeInZone } = require('../utils/timeUtils');
+const { DEFAULT_LANGUAGE, t, getLanguageName, formatLanguageOptions, parseLanguageChoice, isYes, isNo } = require('../utils/i18n');
+
+/**
+ * Build the message asking which timezone a user lives in
+ * @param {Array} options - Candidate IANA timezones
+ * @param {string} questionKey - "account.timezone_question" or "account.parent_timezone_question"
+ * @param {string} language - Language code
+ * @returns {string} - Message text
+ */
+function buildTimezoneQuestion(options, questionKey, language) {
+    const lines = options.map((timezone, index) =>
+        t(language, 'account.timezone_option', { number: index + 1, timezone, time: getCurrentTimeInZone(timezone) })
+    );
+    
+    return t(language, questionKey, { options: lines.join('\n') });
+}
+
+/**
+ * Read a timezone choice from a reply to buildTimezoneQuestion
+ * @param {string} reply - User's reply
+ * @param {Array} options - Candidate IANA timezones that were offered
+ * @returns {string|null} - Chosen IANA timezone or null if not understood
+ */
+function parseTimezoneReply(reply, options) {
+    const choice = parseInt(reply);
+    if (!isNaN(choice) && choice >= 1 && choice <= options.length) {
+        return options[choice - 1];
+    }
+    
+    return isValidTimezone(reply) ? reply : null;
+}
 
 /**
  * Start the account creation process
@@ -11,17 +46,15 @@ const sessionStore = require('../models/sessionStore');
 async function startAccountCreation(req, res) {
     const from = req.body.From;
 
-    // Initialize account creation session
+    // Initialize account creation session; the language comes first so every later prompt can use it
     sessionStore.setAccountCreationSession(from, {
-        stage: 'account_type',
+        stage: 'language',
         data: {}
     });
     
     await sendWhatsAppMessage(from, 
-        `Welcome to Sukoon Saarthi! Let's create your account. Are you creating an account for:\n\n` +
-        `1️⃣ Yourself (as an elderly user)\n` +
-        `2️⃣ For your parent\n\n` +
-        `Please reply with 1 or 2.`
+        `${t(DEFAULT_LANGUAGE, 'account.welcome')}\n\n` +
+        t(DEFAULT_LANGUAGE, 'language.question', { options: formatLanguageOptions() })
     );
     
     return res.status(200).send("Account creation started");
@@ -40,19 +73,37 @@ async function continueAccountCreation(req, res) {
     
     if (!session) {
         // Invalid session state
-        await sendWhatsAppMessage(from, "I'm sorry, something went wrong with your account creation. Let's start again.");
+        await sendWhatsAppMessage(from, t(DEFAULT_LANGUAGE, 'account.restart'));
         return await startAccountCreation(req, res);
     }
 
+    const lang = session.language || DEFAULT_LANGUAGE;
+
+    // Handle language selection
+    if (session.stage === 'language') {
+        const language = parseLanguageChoice(incomingMsg);
+        if (!language) {
+            await sendWhatsAppMessage(from, t(lang, 'language.invalid', { options: formatLanguageOptions() }));
+            return res.status(200).send("Invalid language");
+        }
+        
+        session.language = language;
+        session.stage = 'account_type';
+        sessionStore.setAccountCreationSession(from, session);
+        
+        await sendWhatsAppMessage(from, t(language, 'account.type_question'));
+        return res.status(200).send("Asked account type");
+    }
+
     // Handle account type selection
-    if (session.stage === 'account_type') {
+    else if (session.stage === 'account_type') {
         if (incomingMsgLower === '1' || incomingMsgLower === 'myself' || incomingMsgLower === 'self') {
             // Creating for themselves (elderly)
             session.accountType = 'self';
             session.stage = 'self_name';
             sessionStore.setAccountCreationSession(from, session);
             
-            await sendWhatsAppMessage(from, "Please enter your full name:");
+            await sendWhatsAppMessage(from, t(lang, 'account.ask_name'));
             return res.status(200).send("Asked for name");
         }
         else if (incomingMsgLower === '2' || incomingMsgLower === 'parent') {
@@ -62,20 +113,11 @@ async function continueAccountCreation(req, res) {
             session.parents = [];
             sessionStore.setAccountCreationSession(from, session);
             
-            await sendWhatsAppMessage(from, 
-                `Are you creating an account for:\n\n` +
-                `1️⃣ One parent\n` +
-                `2️⃣ Both parents (separate accounts)\n\n` +
-                `Please reply with 1 or 2.`
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.parent_count_question'));
             return res.status(200).send("Asked parent count");
         }
         else {
-            await sendWhatsAppMessage(from, 
-                `I didn't understand your response. Please reply with:\n\n` +
-                `1️⃣ for yourself (as an elderly user)\n` +
-                `2️⃣ for your parent`
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.type_invalid'));
             return res.status(200).send("Clarified account type options");
         }
     }
@@ -88,7 +130,7 @@ async function continueAccountCreation(req, res) {
         session.stage = 'self_age';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, "Thank you! Please enter your age:");
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_age'));
         return res.status(200).send("Asked for age");
     }
     
@@ -96,7 +138,7 @@ async function continueAccountCreation(req, res) {
     else if (session.stage === 'self_age') {
         const age = parseInt(incomingMsg);
         if (isNaN(age) || age < 1 || age > 120) {
-            await sendWhatsAppMessage(from, "Please enter a valid age (a number between 1 and 120):");
+            await sendWhatsAppMessage(from, t(lang, 'account.invalid_age'));
             return res.status(200).send("Invalid age");
         }
         
@@ -104,17 +146,47 @@ async function continueAccountCreation(req, res) {
         session.stage = 'self_location';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, "Please enter your city and state (e.g., Mumbai, Maharashtra):");
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_location'));
         return res.status(200).send("Asked for location");
     }
     
     // Step 3: Collect location for self
     else if (session.stage === 'self_location') {
         session.data.location = incomingMsg;
+        
+        // Timezone comes from the country code; ask only when the country has several
+        const inferred = inferTimezoneFromPhone(from);
+        session.data.timezone = inferred.timezone;
+        
+        if (inferred.ambiguous) {
+            session.stage = 'self_timezone';
+            session.timezoneOptions = inferred.options;
+            sessionStore.setAccountCreationSession(from, session);
+            
+            await sendWhatsAppMessage(from, buildTimezoneQuestion(inferred.options, 'account.timezone_question', lang));
+            return res.status(200).send("Asked for timezone");
+        }
+        
+        session.stage = 'self_emergency_contact';
+        sessionStore.setAccountCreationSession(from, session);
+        
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_emergency_contact'));
+        return res.status(200).send("Asked for emergency contact");
+    }
+    
+    // Step 3b: Collect timezone for self (only for countries with several timezones)
+    else if (session.stage === 'self_timezone') {
+        const timezone = parseTimezoneReply(incomingMsg, session.timezoneOptions || []);
+        if (!timezone) {
+            await sendWhatsAppMessage(from, buildTimezoneQuestion(session.timezoneOptions || [], 'account.timezone_question', lang));
+            return res.status(200).send("Invalid timezone");
+        }
+        
+        session.data.timezone = timezone;
         session.stage = 'self_emergency_contact';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, "Please provide an emergency contact's WhatsApp number (with country code, e.g., +917XXXXXXXX):");
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_emergency_contact'));
         return res.status(200).send("Asked for emergency contact");
     }
     
@@ -123,9 +195,7 @@ async function continueAccountCreation(req, res) {
         // Basic validation for phone number
         const phoneRegex = /^\+\d{10,15}$/;
         if (!phoneRegex.test(incomingMsg)) {
-            await sendWhatsAppMessage(from, 
-                "Please enter a valid WhatsApp number with country code (e.g., +917XXXXXXXX):"
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.invalid_phone'));
             return res.status(200).send("Invalid phone number");
         }
         
@@ -133,7 +203,7 @@ async function continueAccountCreation(req, res) {
         session.stage = 'self_emergency_name';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, "What is the name of your emergency contact?");
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_emergency_name'));
         return res.status(200).send("Asked for emergency contact name");
     }
     
@@ -143,10 +213,7 @@ async function continueAccountCreation(req, res) {
         session.stage = 'self_emergency_relationship';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, 
-            "What is your relationship with the emergency contact?\n\n" +
-            "For example: son, daughter, spouse, sibling, friend, etc."
-        );
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_emergency_relationship'));
         return res.status(200).send("Asked for emergency relationship");
     }
     
@@ -160,6 +227,8 @@ async function continueAccountCreation(req, res) {
             name: session.data.name,
             age: session.data.age,
             location: session.data.location,
+            timezone: session.data.timezone,
+            language: lang,
             emergencyContact: session.data.emergencyContact,
             emergencyContactName: session.data.emergencyContactName,
             emergencyRelationship: session.data.emergencyRelationship
@@ -170,26 +239,20 @@ async function continueAccountCreation(req, res) {
             await userService.createRelationship(from, session.data.emergencyContact, session.data.emergencyRelationship);
             
             // Send welcome message to elderly user
-            await sendWhatsAppMessage(from, 
-                `✅ Thank you, ${session.data.name}! Your Sukoon Saarthi account has been created successfully.\n\n` +
-                `I'll help you manage medications, track symptoms, and stay healthy.\n\n` +
-                `Type "Hi" anytime to see what I can do for you.`
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.created', { name: session.data.name }));
             
-            // Notify emergency contact
-            await sendWhatsAppMessage(session.data.emergencyContact, 
-                `Hello ${session.data.emergencyContactName},\n\n` +
-                `${session.data.name} has added you as their emergency contact on Sukoon Saarthi, a healthcare assistant app.\n\n` +
-                `You'll receive updates about their daily activities and medication adherence. If they need assistance, you'll be notified.\n\n` +
-                `No action is needed from you right now. This is just to let you know.`
-            );
+            // Notify emergency contact, in the elder's language as they are usually family
+            await sendWhatsAppMessage(session.data.emergencyContact, t(lang, 'account.emergency_contact_notice', {
+                contactName: session.data.emergencyContactName,
+                name: session.data.name
+            }));
             
             // Clear session
             sessionStore.deleteAccountCreationSession(from);
             
             return res.status(200).send("Elderly account created");
         } else {
-            await sendWhatsAppMessage(from, "There was an error creating your account. Please try again later or contact support.");
+            await sendWhatsAppMessage(from, t(lang, 'account.create_failed'));
             sessionStore.deleteAccountCreationSession(from);
             return res.status(200).send("Account creation failed");
         }
@@ -204,7 +267,7 @@ async function continueAccountCreation(req, res) {
             session.stage = 'parent_phone';
             sessionStore.setAccountCreationSession(from, session);
             
-            await sendWhatsAppMessage(from, "Please enter your parent's WhatsApp number (with country code, e.g., +917XXXXXXXX):");
+            await sendWhatsAppMessage(from, t(lang, 'account.ask_parent_phone'));
             return res.status(200).send("Asked for parent phone");
         }
         else if (incomingMsgLower === '2' || incomingMsgLower === 'two' || incomingMsgLower === 'both') {
@@ -213,15 +276,11 @@ async function continueAccountCreation(req, res) {
             session.stage = 'parent_phone';
             sessionStore.setAccountCreationSession(from, session);
             
-            await sendWhatsAppMessage(from, "Please enter your first parent's WhatsApp number (with country code, e.g., +917XXXXXXXX):");
+            await sendWhatsAppMessage(from, t(lang, 'account.ask_first_parent_phone'));
             return res.status(200).send("Asked for first parent phone");
         }
         else {
-            await sendWhatsAppMessage(from, 
-                `I didn't understand your response. Please reply with:\n\n` +
-                `1️⃣ for one parent\n` +
-                `2️⃣ for both parents`
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.parent_count_invalid'));
             return res.status(200).send("Clarified parent count options");
         }
     }
@@ -231,18 +290,14 @@ async function continueAccountCreation(req, res) {
         // Basic validation for phone number
         const phoneRegex = /^\+\d{10,15}$/;
         if (!phoneRegex.test(incomingMsg)) {
-            await sendWhatsAppMessage(from, 
-                "Please enter a valid WhatsApp number with country code (e.g., +917XXXXXXXX):"
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.invalid_phone'));
             return res.status(200).send("Invalid phone number");
         }
         
         // Check if this parent already has an account
         const parentExists = await userService.checkUserExists(incomingMsg);
         if (parentExists) {
-            await sendWhatsAppMessage(from, 
-                "This phone number already has an account. Please provide a different number or contact support if you believe this is an error."
-            );
+            await sendWhatsAppMessage(from, t(lang, 'account.parent_exists'));
             return res.status(200).send("Parent already exists");
         }
         
@@ -255,20 +310,40 @@ async function continueAccountCreation(req, res) {
         session.stage = 'parent_name';
         sessionStore.setAccountCreationSession(from, session);
         
-        let parentPosition = session.parentCount > 1 ? 
-            (session.currentParent === 0 ? "first" : "second") : "";
+        const nameQuestion = session.parentCount > 1 ? 
+            (session.currentParent === 0 ? 'account.ask_first_parent_name' : 'account.ask_second_parent_name') :
+            'account.ask_parent_name';
         
-        await sendWhatsAppMessage(from, `Please enter your ${parentPosition} parent's full name:`);
+        await sendWhatsAppMessage(from, t(lang, nameQuestion));
         return res.status(200).send("Asked for parent name");
     }
     
     // Step 3: Collect parent name
     else if (session.stage === 'parent_name') {
         session.parents[session.currentParent].name = incomingMsg;
+        session.stage = 'parent_language';
+        sessionStore.setAccountCreationSession(from, session);
+        
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_parent_language', {
+            name: incomingMsg,
+            options: formatLanguageOptions()
+        }));
+        return res.status(200).send("Asked for parent language");
+    }
+    
+    // Step 3b: Collect the language reminders and check-ins go to the parent in
+    else if (session.stage === 'parent_language') {
+        const language = parseLanguageChoice(incomingMsg);
+        if (!language) {
+            await sendWhatsAppMessage(from, t(lang, 'language.invalid', { options: formatLanguageOptions() }));
+            return res.status(200).send("Invalid parent language");
+        }
+        
+        session.parents[session.currentParent].language = language;
         session.stage = 'parent_age';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, `Please enter your parent's age:`);
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_parent_age'));
         return res.status(200).send("Asked for parent age");
     }
     
@@ -276,7 +351,7 @@ async function continueAccountCreation(req, res) {
     else if (session.stage === 'parent_age') {
         const age = parseInt(incomingMsg);
         if (isNaN(age) || age < 1 || age > 120) {
-            await sendWhatsAppMessage(from, "Please enter a valid age (a number between 1 and 120):");
+            await sendWhatsAppMessage(from, t(lang, 'account.invalid_age'));
             return res.status(200).send("Invalid age");
         }
         
@@ -284,20 +359,48 @@ async function continueAccountCreation(req, res) {
         session.stage = 'parent_location';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, "Please enter your parent's city and state (e.g., Mumbai, Maharashtra):");
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_parent_location'));
         return res.status(200).send("Asked for parent location");
     }
     
     // Step 5: Collect parent location
     else if (session.stage === 'parent_location') {
-        session.parents[session.currentParent].location = incomingMsg;
+        const currentParent = session.parents[session.currentParent];
+        currentParent.location = incomingMsg;
+        
+        // Timezone comes from the parent's country code; ask only when the country has several
+        const inferred = inferTimezoneFromPhone(currentParent.phone);
+        currentParent.timezone = inferred.timezone;
+        
+        if (inferred.ambiguous) {
+            session.stage = 'parent_timezone';
+            session.timezoneOptions = inferred.options;
+            sessionStore.setAccountCreationSession(from, session);
+            
+            await sendWhatsAppMessage(from, buildTimezoneQuestion(inferred.options, 'account.parent_timezone_question', lang));
+            return res.status(200).send("Asked for parent timezone");
+        }
+        
         session.stage = 'parent_relationship';
         sessionStore.setAccountCreationSession(from, session);
         
-        await sendWhatsAppMessage(from, 
-            "What is your relationship with this parent?\n\n" +
-            "For example: son, daughter, etc."
-        );
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_parent_relationship'));
+        return res.status(200).send("Asked for relationship with parent");
+    }
+    
+    // Step 5b: Collect parent timezone (only for countries with several timezones)
+    else if (session.stage === 'parent_timezone') {
+        const timezone = parseTimezoneReply(incomingMsg, session.timezoneOptions || []);
+        if (!timezone) {
+            await sendWhatsAppMessage(from, buildTimezoneQuestion(session.timezoneOptions || [], 'account.parent_timezone_question', lang));
+            return res.status(200).send("Invalid parent timezone");
+        }
+        
+        session.parents[session.currentParent].timezone = timezone;
+        session.stage = 'parent_relationship';
+        sessionStore.setAccountCreationSession(from, session);
+        
+        await sendWhatsAppMessage(from, t(lang, 'account.ask_parent_relationship'));
         return res.status(200).send("Asked for relationship with parent");
     }
     
@@ -313,10 +416,14 @@ async function continueAccountCreation(req, res) {
             name: currentParent.name,
             age: currentParent.age,
             location: currentParent.location,
+            timezone: currentParent.timezone,
+            language: currentParent.language || DEFAULT_LANGUAGE,
             emergencyContact: from,
             emergencyContactName: req.body.ProfileName || "Caregiver",
             emergencyRelationship: currentParent.relationship,
-            createdBy: from
+            createdBy: from,
+            // Nothing starts until the parent agrees to the account
+            consentStatus: 'pending'
         });
         
         if (success) {
@@ -329,10 +436,7 @@ async function continueAccountCreation(req, res) {
                 session.stage = 'parent_phone';
                 sessionStore.setAccountCreationSession(from, session);
                 
-                await sendWhatsAppMessage(from, 
-                    `✅ First parent's account created successfully!\n\n` +
-                    `Now, please enter your second parent's WhatsApp number (with country code, e.g., +917XXXXXXXX):`
-                );
+                await sendWhatsAppMessage(from, t(lang, 'account.first_parent_created', { name: currentParent.name }));
                 
                 // Use template to send welcome message to the first parent
                 const templateSent = await sendParentWelcomeTemplate(
@@ -343,29 +447,21 @@ async function continueAccountCreation(req, res) {
                 
                 // If template sending failed, notify the caregiver
                 if (!templateSent) {
-                    await sendWhatsAppMessage(from, 
-                        `Note: Due to WhatsApp policies, ${currentParent.name} will need to send a message to this number before they can receive messages. Please ask them to send "Hi" to ${process.env.TWILIO_WHATSAPP_NUMBER.replace('whatsapp:', '')} to activate their account.`
-                    );
+                    await sendWhatsAppMessage(from, t(lang, 'account.parent_welcome_held', {
+                        name: currentParent.name,
+                        number: process.env.TWILIO_WHATSAPP_NUMBER.replace('whatsapp:', '')
+                    }));
                 }
                 
+                // Ask for consent now; if WhatsApp holds it back, it's asked again when they first reply
+                await caregiverService.requestParentConsent(currentParent.phone);
+                
                 return res.status(200).send("First parent account created, moving to second");
             } else {
                 // All parent accounts created
-                let successMessage = '';
-                
-                if (session.parentCount === 1) {
-                    successMessage = `✅ Your parent's account has been created successfully!`;
-                } else {
-                    successMessage = `✅ Both parent accounts have been created successfully!`;
-                }
-                
-                await sendWhatsAppMessage(from, 
-                    `${successMessage}\n\n` +
-                    `You can now manage their medications and monitor their health.\n\n` +
-                    `To send commands on behalf of your parent, start your message with "for:(parent's number)" followed by your command.\n\n` +
-                    `For example: "for:+917XXXXXXXX add medicine..."\n\n` +
-                    `Your account is also registered, and you can use Sukoon Saarthi for your own health needs. Type "Hi" to get started.`
-                );
+                await sendWhatsAppMessage(from, t(lang, session.parentCount === 1 ? 'account.parent_created' : 'account.parents_created', {
+                    proxyHelp: t(lang, 'account.proxy_help')
+                }));
                 
                 // Use template to send welcome message to the most recently added parent
                 const templateSent = await sendParentWelcomeTemplate(
@@ -376,16 +472,22 @@ async function continueAccountCreation(req, res) {
                 
                 // If template sending failed, notify the caregiver
                 if (!templateSent) {
-                    await sendWhatsAppMessage(from, 
-                        `Note: Due to WhatsApp policies, ${currentParent.name} will need to send a message to this number before they can receive messages. Please ask them to send "Hi" to ${process.env.TWILIO_WHATSAPP_NUMBER.replace('whatsapp:', '')} to activate their account.`
-                    );
+                    await sendWhatsAppMessage(from, t(lang, 'account.parent_welcome_held', {
+                        name: currentParent.name,
+                        number: process.env.TWILIO_WHATSAPP_NUMBER.replace('whatsapp:', '')
+                    }));
                 }
                 
+                // Ask for consent now; if WhatsApp holds it back, it's asked again when they first reply
+                await caregiverService.requestParentConsent(currentParent.phone);
+                
                 // Create child user record if it doesn't exist
                 const childExists = await userService.checkUserExists(from);
                 if (!childExists) {
                     await userService.createUser(from, 'child', {
                         name: req.body.ProfileName || "Caregiver",
+                        timezone: inferTimezoneFromPhone(from).timezone,
+                        language: lang,
                         parentAccounts: session.parents.map(p => p.phone)
                     });
                 }
@@ -396,7 +498,7 @@ async function continueAccountCreation(req, res) {
                 return res.status(200).send("All parent accounts created");
             }
         } else {
-            await sendWhatsAppMessage(from, "There was an error creating the account. Please try again later or contact support.");
+            await sendWhatsAppMessage(from, t(lang, 'account.parent_create_failed'));
             sessionStore.deleteAccountCreationSession(from);
             return res.status(200).send("Account creation failed");
         }
@@ -404,12 +506,157 @@ async function continueAccountCreation(req, res) {
     
     // Invalid stage
     else {
-        await sendWhatsAppMessage(from, "I'm sorry, something went wrong with your account creation. Let's start again.");
+        await sendWhatsAppMessage(from, t(lang, 'account.restart'));
         return await startAccountCreation(req, res);
     }
 }
 
+// Replies to the consent request for a caregiver-created account
+const CONSENT_AGREE_REPLIES = ['agree', 'i agree', 'yes', 'accept'];
+const CONSENT_DECLINE_REPLIES = ['decline', 'no', 'disagree'];
+
+// Only this confirms deleting the account, so a stray "n" or "na" can't wipe it
+const CONSENT_DELETE_REPLIES = ['delete', 'delete account', 'delete it'];
+
+/**
+ * Handle a message from a parent whose caregiver-created account is waiting for their consent.
+ * "agree" (or "yes" in their language) activates it; "decline" asks them to confirm with "delete"
+ * before the account is deleted; anything else repeats the question they were last asked.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleConsentResponse(req, res) {
+    const from = req.body.From;
+    const reply = req.body.Body.trim().toLowerCase().replace(/[.!]+$/, '');
+    const agreed = CONSENT_AGREE_REPLIES.includes(reply) || isYes(reply);
+    const parent = await userService.getUserDetails(standardizePhoneNumber(from));
+
+    if (agreed) {
+        const result = await caregiverService.respondToConsent(from, true);
+        await sendWhatsAppMessage(from, result.message);
+        return res.status(200).send("Consent given");
+    }
+
+    const declineUnconfirmed = caregiverService.isDeclineUnconfirmed(parent);
+    if (declineUnconfirmed && CONSENT_DELETE_REPLIES.includes(reply)) {
+        const result = await caregiverService.respondToConsent(from, false);
+        await sendWhatsAppMessage(from, result.message);
+        return res.status(200).send("Consent declined");
+    }
+
+    if (declineUnconfirmed || CONSENT_DECLINE_REPLIES.includes(reply) || isNo(reply)) {
+        const confirmation = await caregiverService.requestDeclineConfirmation(from);
+        await sendWhatsAppMessage(from, confirmation.message);
+        return res.status(200).send("Decline confirmation requested");
+    }
+
+    await caregiverService.requestParentConsent(from);
+    return res.status(200).send("Consent requested");
+}
+
+/**
+ * Show or change how often a caregiver receives reports ("reports", "reports weekly")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleReportPreferenceCommand(req, res) {
+    const from = req.body.From;
+    const standardizedFrom = standardizePhoneNumber(from);
+    const choice = req.body.Body.trim().toLowerCase().replace(/^reports?\s*/, '');
+    const user = await userService.getUserDetails(standardizedFrom);
+    const lang = user?.language || DEFAULT_LANGUAGE;
+
+    const relationships = await userService.getChildRelationships(standardizedFrom);
+    if (!relationships || relationships.length === 0) {
+        await sendWhatsAppMessage(from, t(lang, 'reports.not_caregiver'));
+        return res.status(200).send("Not a caregiver");
+    }
+
+    if (!choice) {
+        const frequency = weeklyDigestService.getReportFrequency(user);
+        await sendWhatsAppMessage(from, t(lang, 'reports.current', { frequency: t(lang, `reports.frequency_${frequency}`) }));
+        return res.status(200).send("Report preference shown");
+    }
+
+    if (!weeklyDigestService.REPORT_FREQUENCIES.includes(choice)) {
+        await sendWhatsAppMessage(from, t(lang, 'reports.invalid'));
+        return res.status(200).send("Invalid report preference");
+    }
+
+    const success = await weeklyDigestService.setReportFrequency(standardizedFrom, choice);
+    if (!success) {
+        await sendWhatsAppMessage(from, t(lang, 'reports.update_failed'));
+        return res.status(200).send("Report preference update failed");
+    }
+
+    await sendWhatsAppMessage(from, t(lang, 'reports.updated', { frequency: t(lang, `reports.frequency_${choice}`) }));
+    return res.status(200).send("Report preference updated");
+}
+
+/**
+ * Save a language choice and confirm it in the new language
+ * @param {string} from - User's phone number
+ * @param {string} reply - Language choice as typed
+ * @param {string} currentLanguage - Language the user has now
+ * @param {Object} res - Express response object
+ */
+async function applyLanguageChoice(from, reply, currentLanguage, res) {
+    const language = parseLanguageChoice(reply);
+    if (!language) {
+        await sendWhatsAppMessage(from, t(currentLanguage, 'language.invalid', { options: formatLanguageOptions() }));
+        return res.status(200).send("Invalid language");
+    }
+
+    sessionStore.deleteUserSession(from);
+
+    const success = await userService.setUserLanguage(from, language);
+    if (!success) {
+        await sendWhatsAppMessage(from, t(currentLanguage, 'language.update_failed'));
+        return res.status(200).send("Language update failed");
+    }
+
+    await sendWhatsAppMessage(from, t(language, 'language.updated', { language: getLanguageName(language) }));
+    return res.status(200).send("Language updated");
+}
+
+/**
+ * Show or change the language messages are sent in ("language", "language 2", "bhasha hindi")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleLanguageCommand(req, res) {
+    const from = req.body.From;
+    const choice = req.body.Body.trim().split(/\s+/).slice(1).join(' ');
+    const language = await userService.getUserLanguage(from);
+
+    if (choice) {
+        return await applyLanguageChoice(from, choice, language, res);
+    }
+
+    sessionStore.setUserSession(from, { stage: 'language_selection' });
+    await sendWhatsAppMessage(from, t(language, 'language.current', {
+        language: getLanguageName(language),
+        options: formatLanguageOptions()
+    }));
+    return res.status(200).send("Language options shown");
+}
+
+/**
+ * Handle the reply to the language options shown by handleLanguageCommand
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleLanguageSelection(req, res) {
+    const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
+    return await applyLanguageChoice(from, req.body.Body.trim(), language, res);
+}
+
 module.exports = {
     startAccountCreation,
-    continueAccountCreation
+    continueAccountCreation,
+    handleConsentResponse,
+    handleReportPreferenceCommand,
+    handleLanguageCommand,
+    handleLanguageSelection
 };
\ No newline at end of file
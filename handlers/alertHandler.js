@@ -0,0 +1,175 @@
+// handlers/alertHandler.js - Logic for SOS requests and caregiver responses to urgent alerts
+const { sendWhatsAppMessage } = require('../services/messageService');
+const alertService = require('../services/alertService');
+const userService = require('../services/userService');
+const { formatHelplines } = require('../utils/emergencyUtils');
+const { t } = require('../utils/i18n');
+
+// Messages that raise an SOS, compared with punctuation and spaces removed
+const SOS_KEYWORDS = ['sos', 'emergency'];
+
+// Messages that only ask whether to raise an SOS; "help" is too often meant as "how do I..."
+const HELP_KEYWORDS = ['help', 'helpme'];
+
+// Medication wizard stages where "SOS" is the prescription term for "as needed"
+const SCHEDULE_STAGES = ['add_schedule'];
+
+/**
+ * Check whether a message is an SOS keyword
+ * @param {string} message - Incoming message
+ * @param {Object|null} medicationSession - Sender's medication session, if any
+ * @returns {boolean} - Whether it should raise an SOS
+ */
+function isSosMessage(message, medicationSession = null) {
+    const keyword = (message || '').toLowerCase().replace(/[^a-z]/g, '');
+
+    // Answering the schedule question with "SOS" means as-needed, not an emergency
+    if (keyword === 'sos' && medicationSession && SCHEDULE_STAGES.includes(medicationSession.stage)) {
+        return false;
+    }
+
+    return SOS_KEYWORDS.includes(keyword);
+}
+
+/**
+ * Check whether a message asks for help without explicitly saying SOS
+ * @param {string} message - Incoming message
+ * @returns {boolean} - Whether to ask before raising an SOS
+ */
+function isHelpMessage(message) {
+    return HELP_KEYWORDS.includes((message || '').toLowerCase().replace(/[^a-z]/g, ''));
+}
+
+/**
+ * Ask an elderly user who said "help" whether they want to raise an SOS
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleHelpCommand(req, res) {
+    const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
+
+    await sendWhatsAppMessage(from, t(language, 'sos.confirm', {
+        helplines: formatHelplines(from, false, language)
+    }));
+    return res.status(200).send("Asked to confirm SOS");
+}
+
+/**
+ * Raise an SOS for an elderly user and confirm it to them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleSosCommand(req, res) {
+    const from = req.body.From;
+    console.log(`🆘 SOS received from ${from}`);
+
+    const result = await alertService.sendSosAlert(from);
+    const language = await userService.getUserLanguage(from);
+    const helplines = formatHelplines(from, false, language);
+
+    if (!result) {
+        await sendWhatsAppMessage(from, t(language, 'sos.not_delivered', { helplines }));
+        return res.status(200).send("SOS could not be delivered");
+    }
+
+    await sendWhatsAppMessage(from, t(language, result.repeated ? 'sos.sent_again' : 'sos.sent', {
+        names: result.recipientNames.join(', '),
+        helplines
+    }));
+    return res.status(200).send("SOS sent");
+}
+
+// Alert types with a name of their own in the open alerts list (alert.type_*)
+const ALERT_TYPES = ['sos', 'symptom_emergency', 'checkin_concern', 'missed_medication'];
+
+/**
+ * Describe how long ago something happened
+ * @param {string} language - Language code
+ * @param {string} isoTime - ISO timestamp
+ * @returns {string} - e.g. "5 min ago", "3 h ago"
+ */
+function formatAge(language, isoTime) {
+    const minutes = Math.max(0, Math.round((Date.now() - new Date(isoTime).getTime()) / 60000));
+    if (minutes < 60) return t(language, 'time.minutes_ago', { count: minutes });
+    if (minutes < 24 * 60) return t(language, 'time.hours_ago', { count: Math.round(minutes / 60) });
+    const days = Math.round(minutes / (24 * 60));
+    return days === 1 ? t(language, 'time.one_day_ago') : t(language, 'time.days_ago', { count: days });
+}
+
+/**
+ * List the open alerts a caregiver has been sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function showOpenAlerts(req, res) {
+    const from = req.body.From;
+    const alerts = await alertService.getOpenAlertsForRecipient(from);
+    const language = await userService.getUserLanguage(from);
+
+    if (alerts.length === 0) {
+        await sendWhatsAppMessage(from, t(language, 'alert.none_open'));
+        return res.status(200).send("No open alerts");
+    }
+
+    let message = `${t(language, 'alert.open_title')}\n\n`;
+    alerts.forEach((alert, index) => {
+        message += t(language, 'alert.open_item', {
+            number: index + 1,
+            type: t(language, ALERT_TYPES.includes(alert.type) ? `alert.type_${alert.type}` : 'alert.type_other'),
+            name: alert.elderName,
+            alertId: alert.alertId,
+            age: formatAge(language, alert.createdAt)
+        });
+        if (alert.chain && alert.chain.length > 1) {
+            message += t(language, 'alert.open_step', { step: alert.step + 1, steps: alert.chain.length });
+        }
+        message += `\n\n`;
+    });
+    message += t(language, 'alert.open_ack_hint', { alertId: alerts[0].alertId });
+
+    await sendWhatsAppMessage(from, message);
+    return res.status(200).send("Open alerts listed");
+}
+
+/**
+ * Acknowledge an urgent alert ("ack" or "ack <alert id>")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleAcknowledgeCommand(req, res) {
+    const from = req.body.From;
+    const alertId = req.body.Body.trim().split(/\s+/)[1] || null;
+
+    const alert = await alertService.acknowledgeAlert(from, alertId);
+    const language = await userService.getUserLanguage(from);
+
+    if (!alert) {
+        await sendWhatsAppMessage(from, alertId
+            ? t(language, 'alert.ack_not_found', { alertId: alertId.toUpperCase() })
+            : t(language, 'alert.ack_none')
+        );
+        return res.status(200).send("No alert to acknowledge");
+    }
+
+    if (alert.alreadyAcknowledged) {
+        await sendWhatsAppMessage(from, t(language, 'alert.ack_already', {
+            caregiver: alert.acknowledgerName,
+            name: alert.elderName,
+            alertId: alert.alertId
+        }));
+        return res.status(200).send("Alert already acknowledged");
+    }
+
+    await sendWhatsAppMessage(from, t(language, 'alert.ack_done', { name: alert.elderName, alertId: alert.alertId }));
+    return res.status(200).send("Alert acknowledged");
+}
+
+module.exports = {
+    isSosMessage,
+    isHelpMessage,
+    handleSosCommand,
+    handleHelpCommand,
+    handleAcknowledgeCommand,
+    showOpenAlerts
+};
@@ -0,0 +1,147 @@
+// handlers/caregiverHandler.js - Logic for inviting caregivers, answering invitations and managing access
+const { sendWhatsAppMessage } = require('../services/messageService');
+const userService = require('../services/userService');
+const caregiverService = require('../services/caregiverService');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { t } = require('../utils/i18n');
+
+/**
+ * Invite another caregiver ("invite <phone> [primary|secondary|view-only]"). Elders invite
+ * for themselves; a caregiver invites for the one elder whose caregivers they manage.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleInviteCommand(req, res) {
+    const from = req.body.From;
+    const standardizedFrom = standardizePhoneNumber(from);
+    const invite = caregiverService.parseInviteCommand(req.body.Body);
+    const user = await userService.getUserDetails(standardizedFrom);
+    const language = user?.language;
+
+    if (!invite || !invite.role) {
+        await sendWhatsAppMessage(from, t(language, 'caregiver.invite_usage'));
+        return res.status(200).send("Invite usage sent");
+    }
+
+    let elderPhone = standardizedFrom;
+
+    if (user && user.userType === 'child') {
+        const relationships = await userService.getChildRelationships(standardizedFrom);
+        const managed = relationships.filter(rel => (rel.permissions || []).includes('manage_caregivers'));
+
+        if (managed.length === 0) {
+            await sendWhatsAppMessage(from, t(language, 'caregiver.invite_primary_only'));
+            return res.status(200).send("Invite not permitted");
+        }
+        if (managed.length > 1) {
+            await sendWhatsAppMessage(from, t(language, 'caregiver.invite_which_elder', {
+                parentPhone: managed[0].parentPhone,
+                phone: invite.phone
+            }));
+            return res.status(200).send("Invite needs an elder");
+        }
+        elderPhone = managed[0].parentPhone;
+    }
+
+    const result = await caregiverService.inviteCaregiver(standardizedFrom, elderPhone, invite.phone, invite.role);
+    await sendWhatsAppMessage(from, result.message);
+    return res.status(200).send(result.success ? "Caregiver invited" : "Invite failed");
+}
+
+/**
+ * Accept or decline a caregiver invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} accept - Whether the invitation was accepted
+ */
+async function handleInviteResponse(req, res, accept) {
+    const from = req.body.From;
+    const result = await caregiverService.respondToInvite(from, accept, req.body.ProfileName || null);
+
+    await sendWhatsAppMessage(from, result.message);
+    return res.status(200).send(accept ? "Invite accepted" : "Invite declined");
+}
+
+/**
+ * Make sure a caregiver-management command comes from an elderly user
+ * @param {string} from - Sender's phone number
+ * @returns {Promise<boolean>} - Whether the sender is an elderly user; if not, they have been told why
+ */
+async function ensureElderlyUser(from) {
+    const user = await userService.getUserDetails(standardizePhoneNumber(from));
+    if (user && user.userType === 'elderly') return true;
+
+    await sendWhatsAppMessage(from, t(user?.language, 'caregiver.elder_only'));
+    return false;
+}
+
+/**
+ * Show an elderly user who can see their data and what each caregiver can do
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function showCaregivers(req, res) {
+    const from = req.body.From;
+    if (!await ensureElderlyUser(from)) {
+        return res.status(200).send("Caregiver list not permitted");
+    }
+
+    await sendWhatsAppMessage(from, await caregiverService.formatCaregiverList(from));
+    return res.status(200).send("Caregivers listed");
+}
+
+/**
+ * Grant or revoke one permission ("grant <permission> to <caregiver>",
+ * "revoke <permission> from <caregiver>")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handlePermissionCommand(req, res) {
+    const from = req.body.From;
+    if (!await ensureElderlyUser(from)) {
+        return res.status(200).send("Permission change not permitted");
+    }
+
+    const match = req.body.Body.trim().match(/^(grant|revoke)\s+(.+?)\s+(?:to|from)\s+(.+)$/i);
+    const permission = match ? caregiverService.parsePermission(match[2]) : null;
+
+    if (!permission) {
+        await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'caregiver.permission_usage'));
+        return res.status(200).send("Permission usage sent");
+    }
+
+    const grant = match[1].toLowerCase() === 'grant';
+    const result = await caregiverService.setCaregiverPermission(from, match[3], permission, grant);
+    await sendWhatsAppMessage(from, result.message);
+    return res.status(200).send(result.success ? "Permission updated" : "Permission not updated");
+}
+
+/**
+ * Remove a caregiver entirely ("remove caregiver <name or phone>")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRemoveCaregiverCommand(req, res) {
+    const from = req.body.From;
+    if (!await ensureElderlyUser(from)) {
+        return res.status(200).send("Caregiver removal not permitted");
+    }
+
+    const identifier = req.body.Body.trim().replace(/^remove caregiver\s*/i, '');
+    if (!identifier) {
+        await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'caregiver.remove_usage'));
+        return res.status(200).send("Removal usage sent");
+    }
+
+    const result = await caregiverService.removeCaregiver(from, identifier);
+    await sendWhatsAppMessage(from, result.message);
+    return res.status(200).send(result.success ? "Caregiver removed" : "Caregiver not removed");
+}
+
+module.exports = {
+    handleInviteCommand,
+    handleInviteResponse,
+    showCaregivers,
+    handlePermissionCommand,
+    handleRemoveCaregiverCommand
+};
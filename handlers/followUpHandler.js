@@ -6,6 +6,8 @@ const sessionStore = require('../models/sessionStore');
 const menuHandler = require('./menuHandler');
 const { SymptomModel } = require('../models/dbModels');
 const { standardizePhoneNumber } = require('../utils/messageUtils');
+const userService = require('../services/userService');
+const { t } = require('../utils/i18n');
 
 /**
  * Handle follow-up response for a symptom assessment
@@ -15,6 +17,7 @@ const { standardizePhoneNumber } = require('../utils/messageUtils');
 async function handleFollowUpResponse(req, res) {
     const from = req.body.From;
     const incomingMsg = req.body.Body.trim();
+    const language = await userService.getUserLanguage(from);
     
     // Try to get session with both formats
     const standardizedFrom = standardizePhoneNumber(from);
@@ -53,9 +56,9 @@ async function handleFollowUpResponse(req, res) {
                     await sendWhatsAppMessage(from, result.recommendations);
                     
                     if (result.isCompleted) {
-                        await sendWhatsAppMessage(from, "✅ Thank you for using Sukoon Saarthi symptom tracking. Your symptom follow-up is now complete.");
+                        await sendWhatsAppMessage(from, t(language, 'followup.completed'));
                     } else {
-                        await sendWhatsAppMessage(from, "I'll check in with you again tomorrow. If your symptoms change significantly before then, please use the symptom assessment option from the main menu.");
+                        await sendWhatsAppMessage(from, t(language, 'followup.next_tomorrow'));
                     }
                     
                     setTimeout(async () => {
@@ -70,7 +73,7 @@ async function handleFollowUpResponse(req, res) {
         }
         
         // If we get here, we couldn't process the response directly
-        await sendWhatsAppMessage(from, "I'm sorry, I couldn't process your response. Let's start again.");
+        await sendWhatsAppMessage(from, t(language, 'followup.restart'));
         
         setTimeout(async () => {
             await menuHandler.sendMainMenu(from);
@@ -80,7 +83,7 @@ async function handleFollowUpResponse(req, res) {
     }
     
     if (!userSession || userSession.type !== 'follow_up') {
-        await sendWhatsAppMessage(from, "I'm sorry, I couldn't process your response. Let's start again.");
+        await sendWhatsAppMessage(from, t(language, 'followup.restart'));
         
         setTimeout(async () => {
             await menuHandler.sendMainMenu(from);
@@ -100,7 +103,7 @@ async function handleFollowUpResponse(req, res) {
         );
         
         if (!result.success) {
-            await sendWhatsAppMessage(from, "I'm sorry, there was an error processing your follow-up. Please try again later.");
+            await sendWhatsAppMessage(from, t(language, 'followup.error'));
             
             // Clean up session
             sessionStore.deleteUserSession(from);
@@ -120,7 +123,7 @@ async function handleFollowUpResponse(req, res) {
         
         // If this was the final follow-up, clean up and return to main menu
         if (result.isCompleted) {
-            await sendWhatsAppMessage(from, "✅ Thank you for using Sukoon Saarthi symptom tracking. Your symptom follow-up is now complete.");
+            await sendWhatsAppMessage(from, t(language, 'followup.completed'));
             
             // Clean up session
             sessionStore.deleteUserSession(from);
@@ -132,7 +135,7 @@ async function handleFollowUpResponse(req, res) {
                 await menuHandler.sendMainMenu(from);
             }, 2000);
         } else {
-            await sendWhatsAppMessage(from, "I'll check in with you again tomorrow. If your symptoms change significantly before then, please use the symptom assessment option from the main menu.");
+            await sendWhatsAppMessage(from, t(language, 'followup.next_tomorrow'));
             
             // Clean up session
             sessionStore.deleteUserSession(from);
@@ -151,7 +154,7 @@ async function handleFollowUpResponse(req, res) {
         const assessmentIndex = parseInt(incomingMsg) - 1;
         
         if (isNaN(assessmentIndex) || assessmentIndex < 0 || !userSession.assessments || assessmentIndex >= userSession.assessments.length) {
-            await sendWhatsAppMessage(from, "Please enter a valid number from the list.");
+            await sendWhatsAppMessage(from, t(language, 'common.invalid_list_number'));
             return res.status(200).send("Invalid assessment selection");
         }
         
@@ -174,22 +177,12 @@ async function handleFollowUpResponse(req, res) {
         }
         
         // Send the follow-up question
-        const followUpCount = selectedAssessment.followUps ? selectedAssessment.followUps.length : 0;
-        
-        let followUpMessage = `👋 *Follow-up: ${selectedAssessment.primarySymptom}*\n\n`;
-        followUpMessage += `How are you feeling now?\n\n`;
-        followUpMessage += `1️⃣ Better/Improved\n`;
-        followUpMessage += `2️⃣ About the same\n`;
-        followUpMessage += `3️⃣ Worse\n`;
-        followUpMessage += `4️⃣ Complete follow-up (symptom resolved or no longer wish to track)\n\n`;
-        followUpMessage += `Please reply with the number of your choice.`;
-        
-        await sendWhatsAppMessage(from, followUpMessage);
+        await sendWhatsAppMessage(from, followUpService.formatFollowUpQuestion(selectedAssessment, language, false));
         return res.status(200).send("Follow-up question sent");
     }
     
     // If we get here, something is wrong with the session state
-    await sendWhatsAppMessage(from, "I'm sorry, something went wrong with your follow-up. Let's start again.");
+    await sendWhatsAppMessage(from, t(language, 'followup.stage_error'));
     
     // Clean up session
     sessionStore.deleteUserSession(from);
@@ -212,6 +205,7 @@ async function handleFollowUpResponse(req, res) {
 async function showSymptomStatus(req, res) {
     const from = req.body.From;
     const standardizedFrom = standardizePhoneNumber(from);
+    const language = await userService.getUserLanguage(from);
     
     try {
         // Get active assessments
@@ -219,10 +213,7 @@ async function showSymptomStatus(req, res) {
         console.log(`Found ${activeAssessments.length} active assessments for status check`);
         
         if (activeAssessments.length === 0) {
-            await sendWhatsAppMessage(from, 
-                "You don't have any active symptom assessments. If you're experiencing symptoms, " +
-                "you can start a new assessment by typing 'symptom'."
-            );
+            await sendWhatsAppMessage(from, t(language, 'symptom.none_active'));
             
             setTimeout(async () => {
                 await menuHandler.sendMainMenu(from);
@@ -252,31 +243,23 @@ async function showSymptomStatus(req, res) {
                 });
             }
             
-            // Create follow-up message
-            const daysSinceStart = Math.floor((Date.now() - new Date(assessment.createdAt).getTime()) / (24 * 60 * 60 * 1000));
-            const followUpCount = assessment.followUps ? assessment.followUps.length : 0;
-            
-            let followUpMessage = `👋 *Follow-up: ${assessment.primarySymptom}*\n\n`;
-            followUpMessage += `It's been ${followUpCount > 0 ? 'another ' : ''}day since you reported ${assessment.primarySymptom}. How are you feeling now?\n\n`;
-            followUpMessage += `1️⃣ Better/Improved\n`;
-            followUpMessage += `2️⃣ About the same\n`;
-            followUpMessage += `3️⃣ Worse\n`;
-            followUpMessage += `4️⃣ Complete follow-up (symptom resolved or no longer wish to track)\n\n`;
-            followUpMessage += `Please reply with the number of your choice.`;
-            
-            await sendWhatsAppMessage(from, followUpMessage);
+            await sendWhatsAppMessage(from, followUpService.formatFollowUpQuestion(assessment, language));
             return res.status(200).send("Follow-up started for single assessment");
         }
         
         // If multiple assessments, ask which one to follow up on
-        let selectionMessage = "You have multiple active symptom assessments. Which one would you like to update?\n\n";
+        let selectionMessage = `${t(language, 'followup.choose_assessment')}\n\n`;
         
         activeAssessments.forEach((assessment, index) => {
             const createdDate = new Date(assessment.createdAt).toLocaleDateString();
-            selectionMessage += `${index + 1}. ${assessment.primarySymptom} (started on ${createdDate})\n`;
+            selectionMessage += `${t(language, 'followup.assessment_option', {
+                number: index + 1,
+                symptom: assessment.primarySymptom,
+                date: createdDate
+            })}\n`;
         });
         
-        selectionMessage += "\nPlease reply with the number of your choice.";
+        selectionMessage += `\n${t(language, 'common.reply_with_number')}`;
         
         // Store the list of assessments in the session
         sessionStore.setUserSession(from, {
@@ -298,7 +281,7 @@ async function showSymptomStatus(req, res) {
         return res.status(200).send("Asked which assessment to follow up on");
     } catch (error) {
         console.error(`❌ Error showing symptom status: ${error}`);
-        await sendWhatsAppMessage(from, "I'm sorry, I couldn't retrieve your symptom status right now. Please try again later.");
+        await sendWhatsAppMessage(from, t(language, 'followup.status_error'));
         
         setTimeout(async () => {
             await menuHandler.sendMainMenu(from);
@@ -1,11 +1,29 @@
 // handlers/medicationHandler.js - Logic for medication commands/flows
 const medicationService = require('../services/medicationService');
 const medicationInfoService = require('../services/medicationInfoService');
+const escalationService = require('../services/escalationService');
+const inventoryService = require('../services/inventoryService');
+const adherenceService = require('../services/adherenceService');
+const proxyService = require('../services/proxyService');
+const userService = require('../services/userService');
 const { sendWhatsAppMessage } = require('../services/messageService');
 const { ReminderModel } = require('../models/dbModels');
 const sessionStore = require('../models/sessionStore');
 const menuHandler = require('./menuHandler');
-const { standardizePhoneNumber } = require('../utils/messageUtils'); 
+const { standardizePhoneNumber, parseMedicationMessage } = require('../utils/messageUtils'); 
+const { parseScheduleInput, parseWeekdays, parseTaperSteps, getScheduleLengthDays, describeSchedule } = require('../utils/scheduleUtils');
+const { t, isYes } = require('../utils/i18n');
+
+/**
+ * Format one "*Field:* value" line of a medication summary
+ * @param {string} language - User's language code
+ * @param {string} field - Field name, e.g. 'dosage'
+ * @param {string} value - Value to show
+ * @returns {string} - Formatted line
+ */
+function formatField(language, field, value) {
+    return `*${t(language, `med.field_${field}`)}:* ${value}`;
+}
 
 /**
  * Handle medication info selection
@@ -21,7 +39,7 @@ async function handleMedicationInfoSelection(req, res) {
     const medicationIndex = parseInt(incomingMsg) - 1;
     
     if (isNaN(medicationIndex) || medicationIndex < 0 || medicationIndex >= userSession.medications.length) {
-        await sendWhatsAppMessage(from, "Please enter a valid number from the list.");
+        await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'common.invalid_list_number'));
         return res.status(200).send("Invalid medication number for info.");
     }
     
@@ -49,6 +67,7 @@ async function handleMedicationInfoSelection(req, res) {
  */
 async function startMedicationUpdate(req, res) {
     const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
     
     // Initialize session with update start stage
     sessionStore.setMedicationSession(from, { stage: 'update_start' });
@@ -57,13 +76,13 @@ async function startMedicationUpdate(req, res) {
     const medications = await medicationService.getUserMedications(from);
     
     if (medications.length === 0) {
-        await sendWhatsAppMessage(from, "You don't have any medications set up yet. Type 'add medicine' to add one.");
+        await sendWhatsAppMessage(from, t(language, 'med.none_yet'));
         sessionStore.deleteMedicationSession(from);
         return res.status(200).send("No medications found.");
     }
     
     // Create a numbered list of medications
-    let medicineList = "Which medication would you like to update?\n\n";
+    let medicineList = `${t(language, 'med.update_which')}\n\n`;
     medications.forEach((med, index) => {
         medicineList += `${index + 1}. ${med.medicine}${med.dosage ? ` (${med.dosage})` : ''}\n`;
     });
@@ -87,6 +106,7 @@ async function continueMedicationUpdate(req, res) {
     const incomingMsg = req.body.Body.trim();
     const incomingMsgLower = incomingMsg.toLowerCase();
     const medicationSession = sessionStore.getMedicationSession(from);
+    const language = await userService.getUserLanguage(from);
     
     // Handle each stage of the update process
     switch (medicationSession.stage) {
@@ -95,7 +115,7 @@ async function continueMedicationUpdate(req, res) {
             const medicationIndex = parseInt(incomingMsg) - 1;
             
             if (isNaN(medicationIndex) || medicationIndex < 0 || medicationIndex >= medicationSession.medications.length) {
-                await sendWhatsAppMessage(from, "Please enter a valid number from the list.");
+                await sendWhatsAppMessage(from, t(language, 'common.invalid_list_number'));
                 return res.status(200).send("Invalid medication number.");
             }
             
@@ -109,12 +129,13 @@ async function continueMedicationUpdate(req, res) {
                 dosage: selectedMedication.dosage || 'Not specified',
                 time: selectedMedication.time,
                 frequency: selectedMedication.frequency || 'daily',
-                duration: selectedMedication.duration || 'ongoing'
+                duration: selectedMedication.duration || 'ongoing',
+                pillCount: selectedMedication.pillCount ?? null
             };
             
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, `You selected: ${selectedMedication.medicine}\n\nPlease enter the new name for this medication (or type 'same' to keep it the same):`);
+            await sendWhatsAppMessage(from, t(language, 'med.update_ask_name', { medicine: selectedMedication.medicine }));
             return res.status(200).send("Asked for new medication name.");
             
         case 'update_name':
@@ -126,7 +147,10 @@ async function continueMedicationUpdate(req, res) {
             medicationSession.stage = 'update_dosage';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, `Please enter the dosage for ${newMedicineName} (e.g., "500mg" or type 'same' to keep "${medicationSession.currentValues.dosage}"):`);
+            await sendWhatsAppMessage(from, t(language, 'med.update_ask_dosage', {
+                medicine: newMedicineName,
+                dosage: medicationSession.currentValues.dosage
+            }));
             return res.status(200).send("Asked for dosage.");
             
         case 'update_dosage':
@@ -139,7 +163,7 @@ async function continueMedicationUpdate(req, res) {
             medicationSession.stage = 'update_time';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, `Current reminder time is ${medicationSession.currentValues.time}. Please enter the new time (Format: HH:MM AM/PM) or type 'same' to keep it the same:`);
+            await sendWhatsAppMessage(from, t(language, 'med.update_ask_time', { time: medicationSession.currentValues.time }));
             return res.status(200).send("Asked for time.");
             
         case 'update_time':
@@ -151,7 +175,7 @@ async function continueMedicationUpdate(req, res) {
             medicationSession.stage = 'update_frequency';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, `Current frequency is "${medicationSession.currentValues.frequency}". How many times per day should this medicine be taken?\n\n1️⃣ Once daily\n2️⃣ Twice daily\n3️⃣ Three times daily\n4️⃣ Four times daily\n\nReply with the number, specify a different frequency, or type 'same' to keep it the same:`);
+            await sendWhatsAppMessage(from, t(language, 'med.update_ask_frequency', { frequency: medicationSession.currentValues.frequency }));
             return res.status(200).send("Asked for frequency.");
             
         case 'update_frequency':
@@ -175,10 +199,10 @@ async function continueMedicationUpdate(req, res) {
             
             const currentDuration = medicationSession.currentValues.duration;
             const durationText = currentDuration === 'ongoing' ? 
-                "ongoing (no end date)" : 
-                `${currentDuration} days`;
+                t(language, 'med.ongoing_no_end') : 
+                t(language, 'med.days', { count: currentDuration });
             
-            await sendWhatsAppMessage(from, `Current duration is ${durationText}. For how many days should this medicine be taken? (Type a number, 'ongoing' for medications without an end date, or 'same' to keep it the same)`);
+            await sendWhatsAppMessage(from, t(language, 'med.update_ask_duration', { duration: durationText }));
             return res.status(200).send("Asked for duration.");
             
         case 'update_duration':
@@ -194,17 +218,41 @@ async function continueMedicationUpdate(req, res) {
             }
             
             medicationSession.duration = duration;
+            medicationSession.stage = 'update_stock';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            // Perform the update
+            const currentStock = medicationSession.currentValues.pillCount;
+            const stockText = currentStock === null ? t(language, 'med.stock_not_tracked') : t(language, 'med.pills', { count: currentStock });
+            
+            await sendWhatsAppMessage(from, t(language, 'med.update_ask_stock', { stock: stockText }));
+            return res.status(200).send("Asked for pill count.");
+            
+        case 'update_stock':
+            // Update the pill count and complete
+            let pillCount;
+            
+            if (incomingMsgLower === 'same') {
+                pillCount = undefined; // undefined means don't update
+            } else if (incomingMsgLower === 'none') {
+                pillCount = null; // null means stock isn't tracked
+            } else {
+                pillCount = parseInt(incomingMsg);
+                if (isNaN(pillCount) || pillCount < 0) {
+                    await sendWhatsAppMessage(from, t(language, 'med.update_invalid_stock'));
+                    return res.status(200).send("Invalid pill count.");
+                }
+            }
+            
+            // Perform the update, on the parent's account for a caregiver's proxy command
             const result = await medicationService.updateMedication(
-                from,
+                medicationSession.targetPhone || from,
                 medicationSession.oldMedicineName,
                 medicationSession.newMedicineName,
                 medicationSession.dosage,
                 medicationSession.time,
                 medicationSession.frequency,
-                medicationSession.duration
+                medicationSession.duration,
+                pillCount
             );
             
             if (result.success) {
@@ -212,17 +260,32 @@ async function continueMedicationUpdate(req, res) {
                 
                 // Format the reminder times for display
                 const timeText = updated.reminderTimes.length > 1 ? 
-                    `*Times:* ${updated.reminderTimes.join(', ')}` : 
-                    `*Time:* ${updated.time}`;
+                    formatField(language, 'times', updated.reminderTimes.join(', ')) : 
+                    formatField(language, 'time', updated.time);
+                
+                const durationText = formatField(language, 'duration', updated.duration === null ? 
+                    t(language, 'med.ongoing') : 
+                    t(language, 'med.days', { count: updated.duration }));
+                
+                const stockText = updated.pillCount === null ? "" : `\n${formatField(language, 'stock', t(language, 'med.pills', { count: updated.pillCount }))}`;
                 
-                const durationText = updated.duration === null ? 
-                    "*Duration:* Ongoing" : 
-                    `*Duration:* ${updated.duration} days`;
+                const details = [
+                    formatField(language, 'medicine', updated.name),
+                    formatField(language, 'dosage', updated.dosage || t(language, 'med.not_specified')),
+                    formatField(language, 'frequency', updated.frequency),
+                    timeText
+                ].join('\n');
                 
-                await sendWhatsAppMessage(
-                    from, 
-                    `✅ Medication updated successfully!\n\n*Medicine:* ${updated.name}\n*Dosage:* ${updated.dosage || 'Not specified'}\n*Frequency:* ${updated.frequency}\n${timeText}\n${durationText}`
-                );
+                await sendWhatsAppMessage(from, t(language, 'med.updated', { details: `${details}\n${durationText}${stockText}` }));
+                
+                if (medicationSession.isProxy) {
+                    await proxyService.notifyParentOfProxyAction(
+                        medicationSession.targetPhone,
+                        from,
+                        'medication_updated',
+                        { medicine: `${updated.name} (${updated.dosage ? `${updated.dosage}, ` : ''}${updated.frequency})` }
+                    );
+                }
                 
                 // Clean up session
                 sessionStore.deleteMedicationSession(from);
@@ -234,7 +297,7 @@ async function continueMedicationUpdate(req, res) {
                 
                 return res.status(200).send("Medication updated.");
             } else {
-                await sendWhatsAppMessage(from, "❌ Sorry, there was an error updating your medication. Please try again later.");
+                await sendWhatsAppMessage(from, t(language, 'med.update_failed'));
                 sessionStore.deleteMedicationSession(from);
                 return res.status(200).send("Medication update failed.");
             }
@@ -256,10 +319,206 @@ async function startAddMedication(req, res) {
         targetPhone: from
     });
     
-    await sendWhatsAppMessage(from, "Please enter the medicine name:");
+    await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'med.add_ask_name'));
     return res.status(200).send("Medication entry started.");
 }
 
+/**
+ * Store the chosen schedule on an add-medication session and ask the next question
+ * @param {string} from - User's phone number
+ * @param {Object} res - Express response object
+ * @param {Object} medicationSession - Medication session being built
+ * @param {Object} schedule - Parsed medication schedule
+ */
+async function applyAddSchedule(from, res, medicationSession, schedule) {
+    const language = await userService.getUserLanguage(from);
+    medicationSession.schedule = schedule.type === 'daily' ? null : schedule;
+    
+    if (schedule.type === 'taper') {
+        // The first step's dose is the starting dosage
+        medicationSession.dosage = schedule.steps[0].dosage;
+    }
+    
+    if (schedule.type === 'prn') {
+        // As-needed doses are logged by the user rather than reminded
+        medicationSession.time = null;
+        medicationSession.stage = 'add_dosage';
+        sessionStore.setMedicationSession(from, medicationSession);
+        
+        await sendWhatsAppMessage(from, t(language, 'med.add_ask_dosage_prn'));
+        return res.status(200).send("Asked for dosage.");
+    }
+    
+    medicationSession.stage = 2;
+    sessionStore.setMedicationSession(from, medicationSession);
+    
+    await sendWhatsAppMessage(from, t(language, 'med.time_question'));
+    return res.status(200).send("Asked for medication time.");
+}
+
+/**
+ * Save the medication described by an add-medication session and report back
+ * @param {string} from - User's phone number
+ * @param {Object} res - Express response object
+ * @param {Object} medicationSession - Completed medication session
+ * @param {number|null} pillCount - Pills in stock, or null if not tracked
+ */
+async function saveNewMedication(from, res, medicationSession, pillCount) {
+    const duration = medicationSession.duration;
+    const targetPhone = medicationSession.targetPhone || from;
+    const isProxy = medicationSession.isProxy || false;
+    const proxyUser = isProxy ? from : null;
+    const language = await userService.getUserLanguage(from);
+    
+    // Add the medication
+    const result = await medicationService.addMedication(
+        targetPhone,
+        medicationSession.medicine,
+        medicationSession.time,
+        medicationSession.dosage,
+        medicationSession.frequency,
+        duration,
+        proxyUser,
+        pillCount,
+        medicationSession.schedule || null
+    );
+    
+    if (result.success) {
+        const data = result.data;
+        
+        // Format the reminder times for display
+        let timeText;
+        if (data.reminderTimes.length === 0) {
+            timeText = formatField(language, 'time', t(language, 'med.when_needed'));
+        } else {
+            timeText = data.reminderTimes.length > 1 ? 
+                formatField(language, 'times', data.reminderTimes.join(', ')) : 
+                formatField(language, 'time', data.time);
+        }
+        
+        const durationText = formatField(language, 'duration', data.duration ? 
+            t(language, 'med.days', { count: data.duration }) : 
+            t(language, 'med.ongoing'));
+        
+        const stockText = data.pillCount === null ? "" : `\n${formatField(language, 'stock', t(language, 'med.pills', { count: data.pillCount }))}`;
+        
+        const scheduleText = data.schedule && data.schedule.type !== 'daily' ? `\n${formatField(language, 'schedule', describeSchedule(data.schedule, language))}` : "";
+        
+        const details = [
+            formatField(language, 'medicine', data.medicine),
+            formatField(language, 'dosage', data.dosage || t(language, 'med.not_specified')),
+            `${formatField(language, 'frequency', data.frequency)}${scheduleText}`,
+            timeText
+        ].join('\n');
+        
+        await sendWhatsAppMessage(from, t(language, 'med.added', { details: `${details}\n${durationText}${stockText}` }));
+        
+        // If proxy user, also send confirmation
+        if (isProxy && targetPhone !== from) {
+            await sendWhatsAppMessage(from, t(language, 'med.added_for', { phone: targetPhone }));
+        }
+        
+        // Clean up session
+        sessionStore.deleteMedicationSession(from);
+        
+        setTimeout(async () => {
+            await menuHandler.sendMainMenu(from);
+        }, 2000);
+        
+        return res.status(200).send("Medication saved.");
+    } else {
+        await sendWhatsAppMessage(from, t(language, 'med.add_failed'));
+        sessionStore.deleteMedicationSession(from);
+        return res.status(200).send("Failed to save medication.");
+    }
+}
+
+/**
+ * Start adding a medication from a single message like
+ * "add Metformin 500mg twice a day after meals for 30 days"
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleQuickAddMedication(req, res) {
+    const from = req.body.From;
+    const parsed = parseMedicationMessage(req.body.Body.trim());
+    
+    if (!parsed) {
+        return await startAddMedication(req, res);
+    }
+    
+    const medicationSession = {
+        isProxy: false,
+        targetPhone: from,
+        medicine: parsed.medicine,
+        dosage: parsed.dosage,
+        time: parsed.time,
+        frequency: parsed.frequency,
+        duration: parsed.duration,
+        schedule: parsed.schedule
+    };
+    
+    // Nothing but a name: ask for the rest step by step
+    if (!parsed.recognized) {
+        medicationSession.stage = 'add_schedule';
+        sessionStore.setMedicationSession(from, medicationSession);
+        
+        const language = await userService.getUserLanguage(from);
+        await sendWhatsAppMessage(from, t(language, 'med.quick_setup', {
+            medicine: parsed.medicine,
+            question: t(language, 'med.schedule_question')
+        }));
+        return res.status(200).send("Started step-by-step entry with medicine name.");
+    }
+    
+    return await confirmQuickAddMedication(from, res, medicationSession);
+}
+
+/**
+ * Ask for a missing reminder time, or show what was understood from a
+ * one-line medication entry so the user can save or edit it
+ * @param {string} from - User's phone number
+ * @param {Object} res - Express response object
+ * @param {Object} medicationSession - Medication session built from the message
+ */
+async function confirmQuickAddMedication(from, res, medicationSession) {
+    const isAsNeeded = Boolean(medicationSession.schedule && medicationSession.schedule.type === 'prn');
+    const language = await userService.getUserLanguage(from);
+    
+    if (!isAsNeeded && !medicationSession.time) {
+        medicationSession.stage = 'add_quick_time';
+        sessionStore.setMedicationSession(from, medicationSession);
+        
+        await sendWhatsAppMessage(from, t(language, 'med.quick_ask_time', { medicine: medicationSession.medicine }));
+        return res.status(200).send("Asked for quick entry time.");
+    }
+    
+    if (isAsNeeded) {
+        medicationSession.time = null;
+        medicationSession.frequency = "as needed";
+    } else if (!medicationSession.frequency) {
+        medicationSession.frequency = "once daily";
+    }
+    
+    medicationSession.stage = 'add_confirm';
+    sessionStore.setMedicationSession(from, medicationSession);
+    
+    const scheduleText = medicationSession.schedule ? `\n${formatField(language, 'schedule', describeSchedule(medicationSession.schedule, language))}` : "";
+    const timeText = isAsNeeded ? t(language, 'med.when_needed') : medicationSession.time;
+    const durationText = medicationSession.duration ? t(language, 'med.days', { count: medicationSession.duration }) : t(language, 'med.ongoing');
+    
+    const details = [
+        formatField(language, 'medicine', medicationSession.medicine),
+        formatField(language, 'dosage', medicationSession.dosage || t(language, 'med.not_specified')),
+        `${formatField(language, 'frequency', medicationSession.frequency)}${scheduleText}`,
+        formatField(language, 'time', timeText),
+        formatField(language, 'duration', durationText)
+    ].join('\n');
+    
+    await sendWhatsAppMessage(from, t(language, 'med.quick_confirm', { details }));
+    return res.status(200).send("Asked to confirm quick medication entry.");
+}
+
 /**
  * Continue the process of adding a medication
  * @param {Object} req - Express request object
@@ -270,13 +529,14 @@ async function continueAddMedication(req, res) {
     const standardizedFrom = standardizePhoneNumber(from);
     const incomingMsg = req.body.Body.trim();
     const incomingMsgLower = incomingMsg.toLowerCase();
+    const language = await userService.getUserLanguage(from);
 
     // Try to get session with both formats
     let medicationSession = sessionStore.getMedicationSession(from) || sessionStore.getMedicationSession(standardizedFrom);
    
     if (!medicationSession) {
         // Session not found - this could happen if there was a proxy command previously
-        await sendWhatsAppMessage(from, "I'm sorry, something went wrong with your medication setup. Let's start again.");
+        await sendWhatsAppMessage(from, t(language, 'med.add_restart'));
         return await startAddMedication(req, res);
     }
 
@@ -285,28 +545,127 @@ async function continueAddMedication(req, res) {
         case 1:
             // Store medicine name
             medicationSession.medicine = incomingMsg;
-            medicationSession.stage = 2;
+            medicationSession.stage = 'add_schedule';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, "At what time should I remind you? (Format: HH:MM AM/PM)");
-            return res.status(200).send("Asked for medication time.");
+            await sendWhatsAppMessage(from, t(language, 'med.schedule_question'));
+            return res.status(200).send("Asked for medication schedule.");
+            
+        case 'add_schedule': {
+            const followUpStages = {
+                "2": ['add_schedule_days', 'med.schedule_ask_days'],
+                "3": ['add_schedule_interval', 'med.schedule_ask_interval'],
+                "4": ['add_schedule_weekly', 'med.schedule_ask_weekly'],
+                "5": ['add_schedule_taper', 'med.schedule_ask_taper'],
+                "6": ['add_schedule_prn', 'med.schedule_ask_prn']
+            };
+            
+            if (incomingMsg === "1") {
+                return await applyAddSchedule(from, res, medicationSession, { type: 'daily' });
+            }
+            
+            if (followUpStages[incomingMsg]) {
+                const [stage, questionKey] = followUpStages[incomingMsg];
+                medicationSession.stage = stage;
+                sessionStore.setMedicationSession(from, medicationSession);
+                
+                await sendWhatsAppMessage(from, t(language, questionKey));
+                return res.status(200).send("Asked for schedule details.");
+            }
+            
+            const schedule = parseScheduleInput(incomingMsg);
+            if (!schedule) {
+                await sendWhatsAppMessage(from, t(language, 'med.schedule_invalid'));
+                return res.status(200).send("Invalid schedule.");
+            }
+            return await applyAddSchedule(from, res, medicationSession, schedule);
+        }
+            
+        case 'add_schedule_days':
+        case 'add_schedule_weekly': {
+            const weekdays = parseWeekdays(incomingMsg);
+            const isWeekly = medicationSession.stage === 'add_schedule_weekly';
+            
+            if (!weekdays || (isWeekly && weekdays.length !== 1)) {
+                await sendWhatsAppMessage(from, t(language, isWeekly ? 'med.schedule_invalid_weekly' : 'med.schedule_invalid_days'));
+                return res.status(200).send("Invalid weekdays.");
+            }
+            
+            const schedule = weekdays.length === 7
+                ? { type: 'daily' }
+                : { type: weekdays.length === 1 ? 'weekly' : 'weekdays', weekdays };
+            return await applyAddSchedule(from, res, medicationSession, schedule);
+        }
+            
+        case 'add_schedule_interval': {
+            const everyNDays = parseInt(incomingMsg);
+            if (isNaN(everyNDays) || everyNDays < 1) {
+                await sendWhatsAppMessage(from, t(language, 'med.schedule_invalid_interval'));
+                return res.status(200).send("Invalid interval.");
+            }
+            
+            const schedule = everyNDays === 1 ? { type: 'daily' } : { type: 'interval', everyNDays };
+            return await applyAddSchedule(from, res, medicationSession, schedule);
+        }
+            
+        case 'add_schedule_taper': {
+            const steps = parseTaperSteps(incomingMsg);
+            if (!steps) {
+                await sendWhatsAppMessage(from, t(language, 'med.schedule_invalid_taper'));
+                return res.status(200).send("Invalid taper steps.");
+            }
+            return await applyAddSchedule(from, res, medicationSession, { type: 'taper', steps });
+        }
+            
+        case 'add_schedule_prn': {
+            let maxPer24h = null;
+            if (incomingMsgLower !== 'none') {
+                maxPer24h = parseInt(incomingMsg);
+                if (isNaN(maxPer24h) || maxPer24h < 1) {
+                    await sendWhatsAppMessage(from, t(language, 'med.schedule_invalid_prn'));
+                    return res.status(200).send("Invalid PRN limit.");
+                }
+            }
+            return await applyAddSchedule(from, res, medicationSession, { type: 'prn', maxPer24h });
+        }
             
         case 2:
             // Store medication time
             medicationSession.time = incomingMsg;
+            
+            // A tapering schedule already says what each dose is
+            if (medicationSession.schedule && medicationSession.schedule.type === 'taper') {
+                medicationSession.stage = 'add_frequency';
+                sessionStore.setMedicationSession(from, medicationSession);
+                
+                await sendWhatsAppMessage(from, t(language, 'med.frequency_question'));
+                return res.status(200).send("Asked for frequency.");
+            }
+            
             medicationSession.stage = 'add_dosage';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, "Please enter the dosage (e.g., '500mg') or type 'none' if not applicable:");
+            await sendWhatsAppMessage(from, t(language, 'med.add_ask_dosage'));
             return res.status(200).send("Asked for dosage.");
             
         case 'add_dosage':
             // Store dosage
             medicationSession.dosage = incomingMsgLower === 'none' ? null : incomingMsg;
+            
+            // As-needed medications have no reminder times, so skip how often they're taken
+            if (medicationSession.schedule && medicationSession.schedule.type === 'prn') {
+                medicationSession.frequency = "as needed";
+                medicationSession.stage = 'add_duration';
+                sessionStore.setMedicationSession(from, medicationSession);
+                
+                await sendWhatsAppMessage(from, t(language, 'med.duration_question'));
+                return res.status(200).send("Asked for duration.");
+            }
+            
             medicationSession.stage = 'add_frequency';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, "How many times per day do you need to take this medicine?\n\n1️⃣ Once daily\n2️⃣ Twice daily\n3️⃣ Three times daily\n4️⃣ Four times daily\n\nReply with the number or specify a different frequency (e.g., '5 times a day'):");
+            await sendWhatsAppMessage(from, t(language, 'med.frequency_question'));
             return res.status(200).send("Asked for frequency.");
             
         case 'add_frequency':
@@ -321,62 +680,76 @@ async function continueAddMedication(req, res) {
             else frequency = incomingMsg; // Custom frequency
             
             medicationSession.frequency = frequency;
+            
+            // A tapering course ends when its last step does
+            if (medicationSession.schedule && medicationSession.schedule.type === 'taper') {
+                medicationSession.duration = String(getScheduleLengthDays(medicationSession.schedule));
+                medicationSession.stage = 'add_stock';
+                sessionStore.setMedicationSession(from, medicationSession);
+                
+                await sendWhatsAppMessage(from, t(language, 'med.stock_question'));
+                return res.status(200).send("Asked for pill count.");
+            }
+            
             medicationSession.stage = 'add_duration';
             sessionStore.setMedicationSession(from, medicationSession);
             
-            await sendWhatsAppMessage(from, "For how many days do you need to take this medicine? (Type a number or 'ongoing' for medications without an end date)");
+            await sendWhatsAppMessage(from, t(language, 'med.duration_question'));
             return res.status(200).send("Asked for duration.");
             
         case 'add_duration':
-            // Store duration and complete
-            const duration = incomingMsgLower === 'ongoing' ? null : incomingMsg;
-            const targetPhone = medicationSession.targetPhone || from;
-            const isProxy = medicationSession.isProxy || false;
-            const proxyUser = isProxy ? from : null;
-            
-            // Add the medication
-            const result = await medicationService.addMedication(
-                targetPhone,
-                medicationSession.medicine,
-                medicationSession.time,
-                medicationSession.dosage,
-                medicationSession.frequency,
-                duration,
-                proxyUser
-            );
+            // Store duration
+            medicationSession.duration = incomingMsgLower === 'ongoing' ? null : incomingMsg;
+            medicationSession.stage = 'add_stock';
+            sessionStore.setMedicationSession(from, medicationSession);
             
-            if (result.success) {
-                const data = result.data;
-                
-                // Format the reminder times for display
-                const timeText = data.reminderTimes.length > 1 ? 
-                    `*Times:* ${data.reminderTimes.join(', ')}` : 
-                    `*Time:* ${data.time}`;
-                
-                const durationText = data.duration ? `*Duration:* ${data.duration} days` : "*Duration:* Ongoing";
-                
-                const successMessage = `✅ Medication added successfully!\n\n*Medicine:* ${data.medicine}\n*Dosage:* ${data.dosage || 'Not specified'}\n*Frequency:* ${data.frequency}\n${timeText}\n${durationText}`;
-                
-                await sendWhatsAppMessage(from, successMessage);
-                
-                // If proxy user, also send confirmation
-                if (isProxy && targetPhone !== from) {
-                    await sendWhatsAppMessage(from, `The medication has been added for ${targetPhone}.`);
+            await sendWhatsAppMessage(from, t(language, 'med.stock_question'));
+            return res.status(200).send("Asked for pill count.");
+            
+        case 'add_stock':
+            // Store pill count and complete
+            let pillCount = null;
+            if (incomingMsgLower !== 'skip') {
+                pillCount = parseInt(incomingMsg);
+                if (isNaN(pillCount) || pillCount < 0) {
+                    await sendWhatsAppMessage(from, t(language, 'med.add_invalid_stock'));
+                    return res.status(200).send("Invalid pill count.");
                 }
+            }
+            
+            return await saveNewMedication(from, res, medicationSession, pillCount);
+            
+        case 'add_quick_time':
+            // The one-line entry didn't say when to take it
+            medicationSession.time = incomingMsg;
+            return await confirmQuickAddMedication(from, res, medicationSession);
+            
+        case 'add_confirm':
+            if (["1", "save", "ok", "confirm"].includes(incomingMsgLower) || isYes(incomingMsg)) {
+                return await saveNewMedication(from, res, medicationSession, null);
+            }
+            
+            if (incomingMsg === "2" || incomingMsgLower === "edit") {
+                // Fall back to the step-by-step questions, keeping the name
+                medicationSession.schedule = null;
+                medicationSession.stage = 'add_schedule';
+                sessionStore.setMedicationSession(from, medicationSession);
                 
-                // Clean up session
-                sessionStore.deleteMedicationSession(from);
-                
-                setTimeout(async () => {
-                    await menuHandler.sendMainMenu(from);
-                }, 2000);
-                
-                return res.status(200).send("Medication saved.");
-            } else {
-                await sendWhatsAppMessage(from, "❌ Sorry, there was an error adding your medication. Please try again later.");
+                await sendWhatsAppMessage(from, t(language, 'med.quick_step_by_step', {
+                    medicine: medicationSession.medicine,
+                    question: t(language, 'med.schedule_question')
+                }));
+                return res.status(200).send("Switched to step-by-step entry.");
+            }
+            
+            if (incomingMsg === "3" || incomingMsgLower === "cancel") {
                 sessionStore.deleteMedicationSession(from);
-                return res.status(200).send("Failed to save medication.");
+                await sendWhatsAppMessage(from, t(language, 'med.quick_cancelled', { medicine: medicationSession.medicine }));
+                return res.status(200).send("Quick medication entry cancelled.");
             }
+            
+            await sendWhatsAppMessage(from, t(language, 'med.quick_confirm_invalid'));
+            return res.status(200).send("Invalid confirmation response.");
     }
 }
 
@@ -387,6 +760,7 @@ async function continueAddMedication(req, res) {
  */
 async function handleMedicationTaken(req, res) {
     const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
     console.log(`⚠️ Processing "yes" response from ${from}`);
     
     // Get the latest reminder from DynamoDB
@@ -397,10 +771,10 @@ async function handleMedicationTaken(req, res) {
         const medicineName = latestReminder.medicine;
         console.log(`🔍 Found medicine to mark as taken: ${medicineName}`);
         
-        const success = await medicationService.markMedicationAsTaken(from, medicineName);
+        const success = await medicationService.markMedicationAsTaken(from, medicineName, latestReminder.doseKey || null);
         
         if (success) {
-            await sendWhatsAppMessage(from, `✅ Great! I've marked *${medicineName}* as taken.`);
+            await sendWhatsAppMessage(from, t(language, 'med.marked_taken', { medicine: medicineName }));
             
             // Update reminder status in database - using expression attribute names for reserved keywords
             try {
@@ -419,13 +793,13 @@ async function handleMedicationTaken(req, res) {
                 console.error(`❌ Error updating reminder status: ${error.message}`);
             }
         } else {
-            await sendWhatsAppMessage(from, `⚠️ Sorry, I couldn't mark ${medicineName} as taken. Please try again later.`);
+            await sendWhatsAppMessage(from, t(language, 'med.mark_taken_failed', { medicine: medicineName }));
         }
         
         return res.status(200).send("Medication marked as taken.");
     } else {
         console.log(`❌ No pending reminder found for ${from}`);
-        await sendWhatsAppMessage(from, "I'm not sure which medication you're referring to. Please specify the medicine name.");
+        await sendWhatsAppMessage(from, t(language, 'med.unknown_reference'));
         return res.status(200).send("Unknown medication reference.");
     }
 }
@@ -437,6 +811,7 @@ async function handleMedicationTaken(req, res) {
  */
 async function handleMedicationMissed(req, res) {
     const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
     console.log(`⚠️ Processing "no" response from ${from}`);
     
     // Get the latest reminder from DynamoDB
@@ -448,7 +823,7 @@ async function handleMedicationMissed(req, res) {
         console.log(`🔍 Found medicine to mark as missed: ${medicineName}`);
         
         // Mark as missed and schedule follow-up
-        const success = await medicationService.markMedicationAsMissed(from, medicineName);
+        const success = await medicationService.markMedicationAsMissed(from, medicineName, latestReminder.doseKey || null);
         
         if (success) {
             // Update reminder status in database - using expression attribute names for reserved keywords
@@ -471,15 +846,18 @@ async function handleMedicationMissed(req, res) {
             // Schedule follow-up reminder
             await medicationService.scheduleFollowUpReminder(from, medicineName);
             
-            await sendWhatsAppMessage(from, `❗ No problem! I'll remind you to take *${medicineName}* again in 30 minutes.`);
+            await sendWhatsAppMessage(from, t(language, 'med.missed_remind_again', { medicine: medicineName }));
+            
+            // Let caregivers know if doses keep being missed
+            await escalationService.handleMissedDose(from, medicineName, latestReminder.reminderId);
         } else {
-            await sendWhatsAppMessage(from, `⚠️ Sorry, I couldn't process your response. I'll still remind you again later.`);
+            await sendWhatsAppMessage(from, t(language, 'med.missed_failed'));
         }
         
         return res.status(200).send("Reminder rescheduled.");
     } else {
         console.log(`❌ No pending reminder found for ${from}`);
-        await sendWhatsAppMessage(from, "I'm not sure which medication you're referring to. Please specify the medicine name.");
+        await sendWhatsAppMessage(from, t(language, 'med.unknown_reference'));
         return res.status(200).send("Unknown medication reference.");
     }
 }
@@ -492,6 +870,7 @@ async function handleMedicationMissed(req, res) {
  */
 async function showMedicationHistory(req, res, lastNDays = null) {
     const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
     
     console.log(`📋 Getting medication history for ${from}, last ${lastNDays || 'all'} days`);
     
@@ -500,7 +879,7 @@ async function showMedicationHistory(req, res, lastNDays = null) {
     console.log(`Found ${medications.length} medications:`, JSON.stringify(medications, null, 2));
     
     if (medications.length === 0) {
-        await sendWhatsAppMessage(from, "You don't have any medications set up yet. Type 'add medicine' to add one.");
+        await sendWhatsAppMessage(from, t(language, 'med.none_yet'));
         
         setTimeout(async () => {
             await menuHandler.sendMainMenu(from);
@@ -509,16 +888,13 @@ async function showMedicationHistory(req, res, lastNDays = null) {
         return res.status(200).send("No medications found.");
     }
     
-    const history = await medicationService.getMedicationHistory(from, lastNDays);
+    const history = await medicationService.getMedicationHistory(from, lastNDays, language);
     
-    // If the history is just the header, show a more helpful message
-    if (history.trim() === `📜 *Medication History for ${standardizePhoneNumber(from)}*:`) {
-        await sendWhatsAppMessage(from, 
-            `You have ${medications.length} medications set up, but no history of taking them has been recorded yet.\n\n` +
-            `Your medication history will be displayed here once you start responding to medication reminders.`
-        );
+    // With no doses recorded yet, explain where the history will come from instead
+    if (history.empty) {
+        await sendWhatsAppMessage(from, t(language, 'med.history_empty', { count: medications.length }));
     } else {
-        await sendWhatsAppMessage(from, history);
+        await sendWhatsAppMessage(from, history.message);
     }
     
     setTimeout(async () => {
@@ -537,12 +913,13 @@ async function showMedicationHistory(req, res, lastNDays = null) {
  */
 async function startMedicationDeletion(req, res) {
     const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
     
     // Get all medications for the user
     const medications = await medicationService.getUserMedications(from);
     
     if (medications.length === 0) {
-        await sendWhatsAppMessage(from, "You don't have any medications set up yet. Type 'add medicine' to add one.");
+        await sendWhatsAppMessage(from, t(language, 'med.none_yet'));
         sessionStore.deleteMedicationSession(from);
         
         setTimeout(async () => {
@@ -553,12 +930,12 @@ async function startMedicationDeletion(req, res) {
     }
     
     // Create a numbered list of medications
-    let medicineList = "Which medication would you like to delete?\n\n";
+    let medicineList = `${t(language, 'med.delete_which')}\n\n`;
     medications.forEach((med, index) => {
         medicineList += `${index + 1}. ${med.medicine}${med.dosage ? ` (${med.dosage})` : ''}\n`;
     });
     
-    medicineList += "\nPlease reply with the number of your choice.";
+    medicineList += `\n${t(language, 'common.reply_with_number')}`;
     
     // Store medications in session for later reference
     sessionStore.setMedicationSession(from, { 
@@ -579,13 +956,14 @@ async function continueMedicationDeletion(req, res) {
     const from = req.body.From;
     const incomingMsg = req.body.Body.trim();
     const medicationSession = sessionStore.getMedicationSession(from);
+    const language = await userService.getUserLanguage(from);
     
     if (medicationSession.stage === 'delete_select') {
         // Process medication selection
         const medicationIndex = parseInt(incomingMsg) - 1;
         
         if (isNaN(medicationIndex) || medicationIndex < 0 || medicationIndex >= medicationSession.medications.length) {
-            await sendWhatsAppMessage(from, "Please enter a valid number from the list.");
+            await sendWhatsAppMessage(from, t(language, 'common.invalid_list_number'));
             return res.status(200).send("Invalid medication number.");
         }
         
@@ -594,27 +972,25 @@ async function continueMedicationDeletion(req, res) {
         medicationSession.stage = 'delete_confirm';
         sessionStore.setMedicationSession(from, medicationSession);
         
-        await sendWhatsAppMessage(from, 
-            `Are you sure you want to delete *${selectedMedication.medicine}*?\n\n` +
-            `This will also delete all reminders for this medication.\n\n` +
-            `Reply with *Yes* to confirm or *No* to cancel.`
-        );
+        await sendWhatsAppMessage(from, t(language, 'med.delete_confirm', { medicine: selectedMedication.medicine }));
         
         return res.status(200).send("Asked for deletion confirmation.");
     } 
     else if (medicationSession.stage === 'delete_confirm') {
-        const incomingMsgLower = incomingMsg.toLowerCase();
-        
-        if (incomingMsgLower === 'yes' || incomingMsgLower === 'y') {
+        if (isYes(incomingMsg)) {
             // Confirm deletion
             const medicine = medicationSession.selectedMedicine;
             
-            const success = await medicationService.deleteMedication(from, medicine);
+            const success = await medicationService.deleteMedication(medicationSession.targetPhone || from, medicine);
             
             if (success) {
-                await sendWhatsAppMessage(from, `✅ The medication *${medicine}* has been deleted successfully.`);
+                await sendWhatsAppMessage(from, t(language, 'med.deleted', { medicine }));
+                
+                if (medicationSession.isProxy) {
+                    await proxyService.notifyParentOfProxyAction(medicationSession.targetPhone, from, 'medication_deleted', { medicine });
+                }
             } else {
-                await sendWhatsAppMessage(from, `❌ Sorry, there was an error deleting the medication. Please try again later.`);
+                await sendWhatsAppMessage(from, t(language, 'med.delete_failed'));
             }
             
             // Clean up session
@@ -629,7 +1005,7 @@ async function continueMedicationDeletion(req, res) {
         } 
         else {
             // Cancellation
-            await sendWhatsAppMessage(from, "Deletion cancelled. Your medication has not been changed.");
+            await sendWhatsAppMessage(from, t(language, 'med.delete_cancelled'));
             
             // Clean up session
             sessionStore.deleteMedicationSession(from);
@@ -644,7 +1020,7 @@ async function continueMedicationDeletion(req, res) {
     }
     
     // If we get here, something went wrong with the session
-    await sendWhatsAppMessage(from, "Sorry, there was an error with your request. Let's start again.");
+    await sendWhatsAppMessage(from, t(language, 'med.flow_error'));
     sessionStore.deleteMedicationSession(from);
     
     setTimeout(async () => {
@@ -654,15 +1030,157 @@ async function continueMedicationDeletion(req, res) {
     return res.status(200).send("Error in deletion flow.");
 }
 
+/**
+ * Handle "escalate" commands that configure when caregivers are alerted about missed doses
+ * Formats: "escalate <medicine> after <n> nudges", "escalate <medicine> after <n> missed",
+ *          "escalate <medicine> off", "escalate <medicine> on"
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleEscalationCommand(req, res) {
+    const from = req.body.From;
+    const incomingMsg = req.body.Body.trim();
+    const language = await userService.getUserLanguage(from);
+    
+    const afterMatch = incomingMsg.match(/^escalate\s+(.+?)\s+after\s+(\d+)\s+(nudges?|reminders?|missed)(?:\s+doses?)?$/i);
+    const toggleMatch = incomingMsg.match(/^escalate\s+(.+?)\s+(on|off)$/i);
+    
+    let medicine;
+    let changes;
+    
+    if (afterMatch && parseInt(afterMatch[2]) > 0) {
+        medicine = afterMatch[1];
+        changes = afterMatch[3].toLowerCase() === 'missed'
+            ? { enabled: true, afterMissedPerWeek: parseInt(afterMatch[2]) }
+            : { enabled: true, afterUnansweredNudges: parseInt(afterMatch[2]) };
+    } else if (toggleMatch) {
+        medicine = toggleMatch[1];
+        changes = { enabled: toggleMatch[2].toLowerCase() === 'on' };
+    } else {
+        await sendWhatsAppMessage(from, t(language, 'med.escalate_usage'));
+        return res.status(200).send("Explained escalation command.");
+    }
+    
+    const result = await escalationService.updateEscalationPolicy(from, medicine, changes);
+    
+    if (!result) {
+        await sendWhatsAppMessage(from, t(language, 'med.not_found', { medicine }));
+        return res.status(200).send("Escalation medicine not found.");
+    }
+    
+    if (!result.policy.enabled) {
+        await sendWhatsAppMessage(from, t(language, 'med.escalation_off', { medicine: result.medicine }));
+    } else {
+        await sendWhatsAppMessage(from, t(language, 'med.escalation_on', {
+            medicine: result.medicine,
+            nudges: result.policy.afterUnansweredNudges,
+            missed: result.policy.afterMissedPerWeek
+        }));
+    }
+    
+    return res.status(200).send("Escalation policy updated.");
+}
+
+/**
+ * Handle "refill <medicine> <count>" to top up a medication's pill stock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRefillCommand(req, res) {
+    const from = req.body.From;
+    const incomingMsg = req.body.Body.trim();
+    const language = await userService.getUserLanguage(from);
+    
+    const match = incomingMsg.match(/^refill\s+(.+?)\s+(\d+)(?:\s+(?:pills?|tablets?|capsules?))?$/i);
+    if (!match || parseInt(match[2]) <= 0) {
+        await sendWhatsAppMessage(from, t(language, 'med.refill_usage'));
+        return res.status(200).send("Explained refill command.");
+    }
+    
+    const result = await inventoryService.refillMedication(from, match[1], parseInt(match[2]));
+    
+    if (!result) {
+        await sendWhatsAppMessage(from, t(language, 'med.not_found', { medicine: match[1] }));
+        return res.status(200).send("Refill medicine not found.");
+    }
+    
+    await sendWhatsAppMessage(from, t(language, 'med.refilled', {
+        medicine: result.medicine,
+        count: result.pillCount,
+        daysLeft: result.daysLeft !== null ? t(language, 'med.refill_days_left', { days: result.daysLeft }) : ''
+    }));
+    return res.status(200).send("Medication refilled.");
+}
+
+/**
+ * Show the user's adherence report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function showAdherenceReport(req, res) {
+    const from = req.body.From;
+    
+    const report = await adherenceService.getAdherenceReport(from, null, await userService.getUserLanguage(from));
+    await sendWhatsAppMessage(from, report);
+    
+    return res.status(200).send("Adherence report sent.");
+}
+
+/**
+ * Handle the "took <medicine>" command, used to log as-needed doses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDoseLogCommand(req, res) {
+    const from = req.body.From;
+    const medicine = req.body.Body.trim().replace(/^took\s*/i, '').trim();
+    const language = await userService.getUserLanguage(from);
+    
+    if (!medicine) {
+        await sendWhatsAppMessage(from, t(language, 'med.took_usage'));
+        return res.status(200).send("Explained dose log command.");
+    }
+    
+    const result = await medicationService.logDoseTaken(from, medicine);
+    
+    if (!result.medicine) {
+        await sendWhatsAppMessage(from, t(language, 'med.not_found', { medicine }));
+        return res.status(200).send("Dose log medicine not found.");
+    }
+    
+    if (result.limitReached) {
+        await sendWhatsAppMessage(from, t(language, 'med.dose_limit_reached', {
+            medicine: result.medicine,
+            taken: result.takenInLast24h,
+            max: result.maxPer24h
+        }));
+        return res.status(200).send("Dose limit reached.");
+    }
+    
+    if (!result.success) {
+        await sendWhatsAppMessage(from, t(language, 'med.dose_log_failed'));
+        return res.status(200).send("Dose log failed.");
+    }
+    
+    const limitText = result.maxPer24h ? t(language, 'med.dose_limit_count', { taken: result.takenInLast24h, max: result.maxPer24h }) : '';
+    await sendWhatsAppMessage(from, t(language, 'med.dose_logged', { medicine: result.medicine, limit: limitText }));
+    return res.status(200).send("Dose logged.");
+}
+
 module.exports = {
     handleMedicationInfoSelection,
     startMedicationUpdate,
     continueMedicationUpdate,
     startAddMedication,
+    handleQuickAddMedication,
     continueAddMedication,
     handleMedicationTaken,
     handleMedicationMissed,
     showMedicationHistory,
+    showAdherenceReport,
     startMedicationDeletion,
-    continueMedicationDeletion
+    continueMedicationDeletion,
+    handleEscalationCommand,
+    handleRefillCommand,
+    handleDoseLogCommand
 };
\ No newline at end of file
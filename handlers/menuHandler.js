@@ -3,6 +3,7 @@ const { sendWhatsAppMessage } = require('../services/messageService');
 const userService = require('../services/userService');
 const medicationService = require('../services/medicationService');
 const sessionStore = require('../models/sessionStore');
+const { normalizeLanguage, t } = require('../utils/i18n');
 
 /**
  * Show welcome message and main menu
@@ -16,39 +17,31 @@ async function showWelcomeMenu(req, res) {
     // Get user type
     const userDetails = await userService.getUserDetails(from);
     const userType = userDetails ? userDetails.userType : null;
+    const language = normalizeLanguage(userDetails?.language);
     
-    let welcomeMessage = `Hello ${profileName}, welcome to Sukoon Saarthi! 🌿\n`;
+    let welcomeMessage = `${t(language, 'menu.welcome', { name: profileName })}\n`;
     
     if (userType === 'child') {
         // Get all parent accounts
         const relationships = await userService.getChildRelationships(from);
         
         if (relationships && relationships.length > 0) {
-            welcomeMessage += `\nYou're managing accounts for ${relationships.length} family member(s).\n`;
-            welcomeMessage += `To send commands on their behalf, start your message with "for:[their number]" followed by your command.\n`;
-            welcomeMessage += `Example: "for:+917XXXXXXXX check medications"\n\n`;
+            welcomeMessage += `\n${t(language, 'menu.managing_family', { count: relationships.length })}\n\n`;
         }
     }
     
-    welcomeMessage += `I can assist with health tracking, symptom assessment, and medication reminders.\nType 'symptom' if you're feeling unwell or 'add medicine' to set up reminders.`;
+    welcomeMessage += t(language, 'menu.welcome_help');
     
     await sendWhatsAppMessage(from, welcomeMessage);
     
     // After sending the welcome message, send the menu options without sending another HTTP response
     setTimeout(async () => {
-        const menuOptions = `What would you like to do today?
-
-1️⃣ Check symptoms
-2️⃣ Manage medications
-
-Please reply with the number of your choice.`;
-        
         // Set user session to main menu
         sessionStore.setUserSession(from, { 
             stage: 'main_menu'
         });
         
-        await sendWhatsAppMessage(from, menuOptions);
+        await sendWhatsAppMessage(from, t(language, 'menu.main'));
     }, 1000); // Short delay between messages
     
     return res.status(200).send("Welcome message sent.");
@@ -59,19 +52,14 @@ Please reply with the number of your choice.`;
  * @param {string} from - User's phone number
  */
 async function sendMainMenu(from) {
-    const menuOptions = `What would you like to do today?
-
-1️⃣ Check symptoms
-2️⃣ Manage medications
-
-Please reply with the number of your choice.`;
+    const language = await userService.getUserLanguage(from);
     
     // Set user session to main menu
     sessionStore.setUserSession(from, { 
         stage: 'main_menu'
     });
     
-    await sendWhatsAppMessage(from, menuOptions);
+    await sendWhatsAppMessage(from, t(language, 'menu.main'));
 }
 
 /**
@@ -104,7 +92,7 @@ async function handleMainMenuSelection(req, res) {
             answers: []
         });
         
-        await sendWhatsAppMessage(from, "What symptom are you experiencing? Please describe it briefly.\n\nExamples: 'headache', 'stomach pain', 'cough', etc.");
+        await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'symptom.ask_primary'));
         return res.status(200).send("Symptom assessment started.");
     }
     else if (incomingMsgLower === "2" || incomingMsgLower.includes("medication") || incomingMsgLower.includes("medicine")) {
@@ -114,7 +102,7 @@ async function handleMainMenuSelection(req, res) {
     }
     else {
         // If user sends something else, ask again
-        await sendWhatsAppMessage(from, "Please select either 1 for symptoms or 2 for medications.");
+        await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'menu.main_invalid'));
         return res.status(200).send("Invalid menu selection.");
     }
 }
@@ -124,19 +112,8 @@ async function handleMainMenuSelection(req, res) {
  * @param {string} from - User's phone number
  */
 async function sendMedicationMenu(from) {
-    const medicationMenu = `*Medication Management* 💊
-
-What would you like to do with your medications?
-
-1️⃣ Add a new medication
-2️⃣ Update existing medication
-3️⃣ Delete a medication
-4️⃣ View medication information
-5️⃣ Check medication history (last week)
-6️⃣ Check all medication history
-7️⃣ Back to main menu
-
-Please reply with the number of your choice.`;
+    const language = await userService.getUserLanguage(from);
+    const medicationMenu = t(language, 'menu.medication', { options: t(language, 'menu.medication_options') });
     
     // Set user session to medication menu
     sessionStore.setUserSession(from, { 
@@ -201,17 +178,8 @@ async function handleMedicationMenuSelection(req, res) {
     }
     else {
         // Invalid selection - remind the user of the options
-        const reminderMsg = `I'm not sure what you'd like to do with your medications. Please select one of the following options:
-
-1️⃣ Add a new medication
-2️⃣ Update existing medication
-3️⃣ Delete a medication
-4️⃣ View medication information
-5️⃣ Check medication history (last week)
-6️⃣ Check all medication history
-7️⃣ Back to main menu
-
-Please reply with the number of your choice.`;
+        const language = await userService.getUserLanguage(from);
+        const reminderMsg = t(language, 'menu.medication_invalid', { options: t(language, 'menu.medication_options') });
         
         await sendWhatsAppMessage(from, reminderMsg);
         return res.status(200).send("Medication menu options reminder sent.");
@@ -225,12 +193,13 @@ Please reply with the number of your choice.`;
  */
 async function handleMedicationInfoRequest(req, res) {
     const from = req.body.From;
+    const language = await userService.getUserLanguage(from);
     
     // Get medications for the user
     const medications = await medicationService.getUserMedications(from);
     
     if (medications.length === 0) {
-        await sendWhatsAppMessage(from, "You don't have any medications set up yet. Type '1' to add a medication first.");
+        await sendWhatsAppMessage(from, t(language, 'menu.no_medications'));
         
         // Send the medication menu without trying to send another HTTP response
         await sendMedicationMenu(from);
@@ -240,12 +209,12 @@ async function handleMedicationInfoRequest(req, res) {
     }
     
     // Create a list of medications to get info about
-    let medicineList = "Which medication would you like information about?\n\n";
+    let medicineList = `${t(language, 'menu.info_which')}\n\n`;
     medications.forEach((med, index) => {
         medicineList += `${index + 1}. ${med.medicine}\n`;
     });
     
-    medicineList += "\nPlease reply with the number of your choice.";
+    medicineList += `\n${t(language, 'common.reply_with_number')}`;
     
     // Set user session for medication info selection
     sessionStore.setUserSession(from, { 
@@ -5,6 +5,10 @@ const sessionStore = require('../models/sessionStore');
 const menuHandler = require('./menuHandler');
 const { SymptomModel } = require('../models/dbModels');
 const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { detectRedFlag, formatHelplines } = require('../utils/emergencyUtils');
+const alertService = require('../services/alertService');
+const userService = require('../services/userService');
+const { t } = require('../utils/i18n');
 
 /**
  * Start a new symptom assessment
@@ -21,10 +25,57 @@ async function startSymptomAssessment(req, res) {
         answers: []
     });
     
-    await sendWhatsAppMessage(from, "What symptom are you experiencing? Please describe it briefly.\n\nExamples: 'headache', 'stomach pain', 'cough', etc.");
+    await sendWhatsAppMessage(from, t(await userService.getUserLanguage(from), 'symptom.ask_primary'));
     return res.status(200).send("Symptom assessment started.");
 }
 
+/**
+ * Respond to a red-flag symptom: emergency guidance and helplines first, then alert caregivers.
+ * The session stays at the "emergency" stage so the next reply isn't taken as a normal answer.
+ * @param {string} from - User's phone number
+ * @param {Object} res - Express response object
+ * @param {Object} userSession - Current symptom session
+ * @param {Object} redFlag - Matched red-flag rule
+ * @param {string} description - What the user wrote
+ */
+async function handleRedFlagSymptom(from, res, userSession, redFlag, description) {
+    const standardizedPhone = standardizePhoneNumber(from);
+    const language = await userService.getUserLanguage(from);
+    console.log(`🚨 Red-flag symptom (${redFlag.category}) from ${from}: ${description}`);
+
+    await sendWhatsAppMessage(from,
+        `${t(language, 'symptom.emergency_title')}\n\n${t(language, `redflag.guidance_${redFlag.category}`)}\n\n` +
+        formatHelplines(standardizedPhone, redFlag.category === 'suicidal', language)
+    );
+
+    // Keep a record so follow-ups and caregiver reports include it
+    if (userSession.stage !== 'emergency') {
+        await symptomAssessmentService.saveAssessment(
+            standardizedPhone,
+            {
+                primarySymptom: userSession.primarySymptom || description,
+                answers: userSession.answers || []
+            },
+            `Red flag: ${redFlag.label}. Emergency guidance and helplines were given.`
+        );
+    }
+
+    const alert = await alertService.sendSymptomEmergencyAlert(standardizedPhone, redFlag, description);
+    if (alert) {
+        await sendWhatsAppMessage(from, t(language, 'symptom.family_alerted'));
+    }
+
+    sessionStore.setUserSession(from, {
+        type: 'symptom',
+        stage: 'emergency',
+        redFlag: redFlag.category,
+        primarySymptom: userSession.primarySymptom || description,
+        answers: userSession.answers || []
+    });
+
+    return res.status(200).send("Emergency guidance sent.");
+}
+
 /**
  * Continue an ongoing symptom assessment
  * @param {Object} req - Express request object
@@ -34,13 +85,30 @@ async function continueSymptomAssessment(req, res) {
     const from = req.body.From;
     const incomingMsg = req.body.Body.trim();
     const userSession = sessionStore.getUserSession(from);
+    const language = await userService.getUserLanguage(from);
     
     if (!userSession || userSession.type !== 'symptom') {
         // Invalid session state
-        await sendWhatsAppMessage(from, "I'm sorry, something went wrong with your symptom assessment. Let's start again.");
+        await sendWhatsAppMessage(from, t(language, 'symptom.restart'));
         return await startSymptomAssessment(req, res);
     }
     
+    // Red flags skip the questionnaire entirely, before any AI call
+    const redFlag = detectRedFlag(incomingMsg);
+    if (redFlag) {
+        if (userSession.stage === 'primary') userSession.primarySymptom = incomingMsg;
+        return await handleRedFlagSymptom(from, res, userSession, redFlag, incomingMsg);
+    }
+    
+    if (userSession.stage === 'emergency') {
+        // Any reply after emergency guidance closes the assessment
+        sessionStore.deleteUserSession(from);
+        await sendWhatsAppMessage(from, t(language, 'symptom.emergency_closed', {
+            helplines: formatHelplines(standardizePhoneNumber(from), false, language)
+        }));
+        return res.status(200).send("Emergency assessment closed.");
+    }
+    
     if (userSession.stage === 'primary') {
         // Process primary symptom and start follow-up questions
         userSession.primarySymptom = incomingMsg;
@@ -55,7 +123,8 @@ async function continueSymptomAssessment(req, res) {
                 primarySymptom: incomingMsg,
                 answers: []
             }, 
-            1
+            1,
+            language
         );
         
         // Store the current question for later reference
@@ -63,7 +132,7 @@ async function continueSymptomAssessment(req, res) {
         sessionStore.setUserSession(from, userSession);
         
         // Format and send the question
-        const formattedQuestion = symptomAssessmentService.formatQuestionMessage(questionData);
+        const formattedQuestion = symptomAssessmentService.formatQuestionMessage(questionData, language);
         await sendWhatsAppMessage(from, formattedQuestion);
         
         return res.status(200).send("First follow-up question sent.");
@@ -95,7 +164,8 @@ async function continueSymptomAssessment(req, res) {
                 primarySymptom: userSession.primarySymptom,
                 answers: userSession.answers
             },
-            userSession.questionNumber
+            userSession.questionNumber,
+            language
         );
         
         // If this is the final assessment
@@ -118,10 +188,7 @@ async function continueSymptomAssessment(req, res) {
             
             // Notify about follow-up if the assessment was saved successfully
             if (assessmentId) {
-                await sendWhatsAppMessage(from, 
-                    "I'll check in with you tomorrow to see how your symptoms are progressing. " +
-                    "I'll provide updated recommendations based on whether you're feeling better, the same, or worse."
-                );
+                await sendWhatsAppMessage(from, t(language, 'symptom.follow_up_tomorrow'));
             }
             
             // Clean up session
@@ -139,14 +206,14 @@ async function continueSymptomAssessment(req, res) {
         sessionStore.setUserSession(from, userSession);
         
         // Format and send the next question
-        const formattedQuestion = symptomAssessmentService.formatQuestionMessage(nextQuestionData);
+        const formattedQuestion = symptomAssessmentService.formatQuestionMessage(nextQuestionData, language);
         await sendWhatsAppMessage(from, formattedQuestion);
         
         return res.status(200).send(`Follow-up question ${userSession.questionNumber} sent.`);
     }
     
     // If we get here, something is wrong with the session state
-    await sendWhatsAppMessage(from, "I'm sorry, something went wrong with your symptom assessment. Let's start again.");
+    await sendWhatsAppMessage(from, t(language, 'symptom.restart'));
     return await startSymptomAssessment(req, res);
 }
 
@@ -158,16 +225,14 @@ async function continueSymptomAssessment(req, res) {
 async function showSymptomHistory(req, res) {
     const from = req.body.From;
     const standardizedPhone = standardizePhoneNumber(from);
+    const language = await userService.getUserLanguage(from);
     
     try {
         // Get active and recent assessments
         const activeAssessments = await SymptomModel.getActiveAssessments(standardizedPhone);
         
         if (activeAssessments.length === 0) {
-            await sendWhatsAppMessage(from, 
-                "You don't have any active symptom assessments. If you're experiencing symptoms, " +
-                "you can start a new assessment by typing 'symptom'."
-            );
+            await sendWhatsAppMessage(from, t(language, 'symptom.none_active'));
             
             setTimeout(async () => {
                 await menuHandler.sendMainMenu(from);
@@ -177,26 +242,29 @@ async function showSymptomHistory(req, res) {
         }
         
         // Format the assessments for display
-        let historyMessage = "📊 *Your Symptom History*\n\n";
+        let historyMessage = `${t(language, 'symptom.history_title')}\n\n`;
         
         activeAssessments.forEach((assessment, index) => {
             const createdDate = new Date(assessment.createdAt).toLocaleDateString();
             const dayCount = assessment.followUps ? assessment.followUps.length : 0;
             
-            historyMessage += `*${index + 1}. ${assessment.primarySymptom}*\n`;
-            historyMessage += `Started: ${createdDate}\n`;
-            historyMessage += `Days tracked: ${dayCount + 1}\n`;
+            historyMessage += `${t(language, 'symptom.history_entry', {
+                number: index + 1,
+                symptom: assessment.primarySymptom,
+                date: createdDate,
+                days: dayCount + 1
+            })}\n`;
             
             // Show latest status if available
             if (assessment.followUps && assessment.followUps.length > 0) {
                 const latestFollowUp = assessment.followUps[assessment.followUps.length - 1];
-                historyMessage += `Latest status: ${latestFollowUp.status}\n`;
+                historyMessage += `${t(language, 'symptom.history_latest', { status: latestFollowUp.status })}\n`;
             }
             
             historyMessage += `\n`;
         });
         
-        historyMessage += "To update your symptom status, type 'check symptom status'.";
+        historyMessage += t(language, 'symptom.history_update_hint');
         
         await sendWhatsAppMessage(from, historyMessage);
         
@@ -207,7 +275,7 @@ async function showSymptomHistory(req, res) {
         return res.status(200).send("Symptom history sent.");
     } catch (error) {
         console.error(`❌ Error showing symptom history: ${error}`);
-        await sendWhatsAppMessage(from, "I'm sorry, I couldn't retrieve your symptom history right now. Please try again later.");
+        await sendWhatsAppMessage(from, t(language, 'symptom.history_error'));
         
         setTimeout(async () => {
             await menuHandler.sendMainMenu(from);
@@ -0,0 +1,535 @@
+// locales/bn.js - Bengali messages
+module.exports = {
+    // Shared
+    'common.reply_with_number': "অনুগ্রহ করে আপনার পছন্দের নম্বরটি পাঠান।",
+    'common.invalid_list_number': "অনুগ্রহ করে তালিকা থেকে সঠিক নম্বর পাঠান।",
+    'common.error': "দুঃখিত, আপনার অনুরোধটি সম্পন্ন করতে সমস্যা হয়েছে। কিছুক্ষণ পরে আবার চেষ্টা করুন।",
+
+    // Language choice
+    'language.question': "আপনি কোন ভাষায় কথা বলতে চান?\n\n{options}\n\nঅনুগ্রহ করে আপনার ভাষার নম্বরটি পাঠান।",
+    'language.invalid': "অনুগ্রহ করে তালিকা থেকে একটি ভাষার নম্বর পাঠান:\n\n{options}",
+    'language.current': "আমি আপনার সঙ্গে {language} ভাষায় কথা বলছি। ভাষা বদলাতে নম্বর পাঠান:\n\n{options}",
+    'language.updated': "✅ হয়ে গেছে! এখন থেকে আমি আপনার সঙ্গে {language} ভাষায় কথা বলব।",
+    'language.update_failed': "❌ আপনার ভাষা বদলানো গেল না। কিছুক্ষণ পরে আবার চেষ্টা করুন।",
+
+    // Main and medication menus
+    'menu.welcome': "নমস্কার {name}, সুকূন সারথিতে আপনাকে স্বাগতম! 🌿",
+    'menu.managing_family': "আপনি পরিবারের {count} জন সদস্যের অ্যাকাউন্ট দেখাশোনা করছেন।\nতাঁদের হয়ে কমান্ড পাঠাতে বার্তাটি \"for:[তাঁদের নম্বর]\" দিয়ে শুরু করে তারপর কমান্ড লিখুন।\nউদাহরণ: \"for:+917XXXXXXXX check medications\"",
+    'menu.welcome_help': "আমি স্বাস্থ্যের খেয়াল রাখা, উপসর্গ পরীক্ষা আর ওষুধের কথা মনে করিয়ে দিতে সাহায্য করতে পারি।\nশরীর খারাপ লাগলে 'symptom' লিখুন, বা ওষুধের রিমাইন্ডার সেট করতে 'add medicine' লিখুন।",
+    'menu.main': "আজ আপনি কী করতে চান?\n\n1️⃣ উপসর্গ পরীক্ষা\n2️⃣ ওষুধের ব্যবস্থাপনা\n\nঅনুগ্রহ করে আপনার পছন্দের নম্বরটি পাঠান।",
+    'menu.main_invalid': "উপসর্গের জন্য 1 বা ওষুধের জন্য 2 পাঠান।",
+    'menu.medication': "*ওষুধের ব্যবস্থাপনা* 💊\n\nআপনার ওষুধ নিয়ে কী করতে চান?\n\n{options}",
+    'menu.medication_invalid': "আপনি ওষুধ নিয়ে কী করতে চান বুঝতে পারলাম না। অনুগ্রহ করে এর মধ্যে একটি বেছে নিন:\n\n{options}",
+    'menu.medication_options': "1️⃣ নতুন ওষুধ যোগ করুন\n2️⃣ বর্তমান ওষুধ বদলান\n3️⃣ ওষুধ মুছে ফেলুন\n4️⃣ ওষুধের তথ্য দেখুন\n5️⃣ ওষুধের ইতিহাস (গত সপ্তাহ)\n6️⃣ ওষুধের সম্পূর্ণ ইতিহাস\n7️⃣ প্রধান মেনুতে ফিরুন\n\nঅনুগ্রহ করে আপনার পছন্দের নম্বরটি পাঠান।",
+    'menu.no_medications': "আপনার এখনও কোনো ওষুধ সেট করা নেই। আগে ওষুধ যোগ করতে '1' পাঠান।",
+    'menu.info_which': "কোন ওষুধের তথ্য জানতে চান?",
+
+    // Account creation
+    'account.welcome': "সুকূন সারথিতে আপনাকে স্বাগতম! 🌿",
+    'account.no_account': "সুকূন সারথিতে আপনাকে স্বাগতম! মনে হচ্ছে আপনার এখনও কোনো অ্যাকাউন্ট নেই।\n\nঅ্যাকাউন্ট খুলতে \"create account\" লিখে পাঠান।",
+    'account.type_question': "চলুন আপনার অ্যাকাউন্ট খুলি। আপনি কার জন্য অ্যাকাউন্ট খুলছেন:\n\n1️⃣ নিজের জন্য (প্রবীণ ব্যবহারকারী হিসেবে)\n2️⃣ আপনার বাবা/মায়ের জন্য\n\nঅনুগ্রহ করে 1 বা 2 পাঠান।",
+    'account.type_invalid': "আপনার উত্তর বুঝতে পারলাম না। অনুগ্রহ করে পাঠান:\n\n1️⃣ নিজের জন্য (প্রবীণ ব্যবহারকারী হিসেবে)\n2️⃣ আপনার বাবা/মায়ের জন্য",
+    'account.restart': "দুঃখিত, অ্যাকাউন্ট খোলার সময় কিছু ভুল হয়েছে। চলুন আবার শুরু করি।",
+    'account.ask_name': "অনুগ্রহ করে আপনার পুরো নাম লিখুন:",
+    'account.ask_age': "ধন্যবাদ! অনুগ্রহ করে আপনার বয়স লিখুন:",
+    'account.invalid_age': "অনুগ্রহ করে সঠিক বয়স লিখুন (1 থেকে 120-এর মধ্যে একটি সংখ্যা):",
+    'account.ask_location': "অনুগ্রহ করে আপনার শহর ও রাজ্য লিখুন (যেমন, কলকাতা, পশ্চিমবঙ্গ):",
+    'account.timezone_question': "আপনার বাড়ি কোন টাইমজোনে? রিমাইন্ডার আর খোঁজখবর এই স্থানীয় সময় অনুযায়ী আসবে।\n\n{options}\n\nঅনুগ্রহ করে নম্বর পাঠান, বা টাইমজোনের নাম লিখুন (যেমন, Europe/London)।",
+    'account.parent_timezone_question': "আপনার বাবা/মায়ের বাড়ি কোন টাইমজোনে? রিমাইন্ডার আর খোঁজখবর এই স্থানীয় সময় অনুযায়ী আসবে।\n\n{options}\n\nঅনুগ্রহ করে নম্বর পাঠান, বা টাইমজোনের নাম লিখুন (যেমন, Europe/London)।",
+    'account.timezone_option': "{number}. {timezone} (এখন {time})",
+    'account.ask_emergency_contact': "অনুগ্রহ করে জরুরি যোগাযোগের হোয়াটসঅ্যাপ নম্বর দেশের কোড সহ লিখুন (যেমন, +917XXXXXXXX):",
+    'account.invalid_phone': "অনুগ্রহ করে দেশের কোড সহ সঠিক হোয়াটসঅ্যাপ নম্বর লিখুন (যেমন, +917XXXXXXXX):",
+    'account.ask_emergency_name': "আপনার জরুরি যোগাযোগের ব্যক্তির নাম কী?",
+    'account.ask_emergency_relationship': "জরুরি যোগাযোগের ব্যক্তির সঙ্গে আপনার সম্পর্ক কী?\n\nযেমন: ছেলে, মেয়ে, স্বামী/স্ত্রী, ভাই/বোন, বন্ধু ইত্যাদি।",
+    'account.created': "✅ ধন্যবাদ, {name}! আপনার সুকূন সারথি অ্যাকাউন্ট তৈরি হয়ে গেছে।\n\nআমি ওষুধ সামলাতে, উপসর্গের খেয়াল রাখতে আর সুস্থ থাকতে আপনাকে সাহায্য করব।\n\nআমি কী কী করতে পারি দেখতে যেকোনো সময় \"Hi\" লিখুন।",
+    'account.emergency_contact_notice': "নমস্কার {contactName},\n\n{name} আপনাকে সুকূন সারথি (একটি স্বাস্থ্য সহায়ক অ্যাপ)-এ তাঁর জরুরি যোগাযোগ হিসেবে যোগ করেছেন।\n\nআপনি তাঁর দৈনন্দিন কাজকর্ম আর ওষুধ খাওয়ার খবর পাবেন। তাঁর সাহায্যের দরকার হলে আপনাকে জানানো হবে।\n\nএখন আপনাকে কিছু করতে হবে না। এটি শুধু আপনার জানার জন্য।",
+    'account.create_failed': "আপনার অ্যাকাউন্ট খুলতে সমস্যা হয়েছে। পরে আবার চেষ্টা করুন বা সহায়তার সঙ্গে যোগাযোগ করুন।",
+    'account.parent_count_question': "আপনি কার জন্য অ্যাকাউন্ট খুলছেন:\n\n1️⃣ বাবা বা মায়ের একজন\n2️⃣ দুজনেই (আলাদা অ্যাকাউন্ট)\n\nঅনুগ্রহ করে 1 বা 2 পাঠান।",
+    'account.parent_count_invalid': "আপনার উত্তর বুঝতে পারলাম না। অনুগ্রহ করে পাঠান:\n\n1️⃣ বাবা বা মায়ের একজনের জন্য\n2️⃣ দুজনের জন্য",
+    'account.ask_parent_phone': "অনুগ্রহ করে আপনার বাবা/মায়ের হোয়াটসঅ্যাপ নম্বর দেশের কোড সহ লিখুন (যেমন, +917XXXXXXXX):",
+    'account.ask_first_parent_phone': "অনুগ্রহ করে প্রথম অভিভাবকের হোয়াটসঅ্যাপ নম্বর দেশের কোড সহ লিখুন (যেমন, +917XXXXXXXX):",
+    'account.parent_exists': "এই নম্বরে আগে থেকেই অ্যাকাউন্ট আছে। অন্য নম্বর দিন, বা ভুল মনে হলে সহায়তার সঙ্গে যোগাযোগ করুন।",
+    'account.ask_parent_name': "অনুগ্রহ করে আপনার বাবা/মায়ের পুরো নাম লিখুন:",
+    'account.ask_first_parent_name': "অনুগ্রহ করে প্রথম অভিভাবকের পুরো নাম লিখুন:",
+    'account.ask_second_parent_name': "অনুগ্রহ করে দ্বিতীয় অভিভাবকের পুরো নাম লিখুন:",
+    'account.ask_parent_language': "{name}-এর সঙ্গে আমি কোন ভাষায় কথা বলব?\n\n{options}\n\nঅনুগ্রহ করে তাঁর ভাষার নম্বরটি পাঠান।",
+    'account.ask_parent_age': "অনুগ্রহ করে আপনার বাবা/মায়ের বয়স লিখুন:",
+    'account.ask_parent_location': "অনুগ্রহ করে আপনার বাবা/মায়ের শহর ও রাজ্য লিখুন (যেমন, কলকাতা, পশ্চিমবঙ্গ):",
+    'account.ask_parent_relationship': "এঁর সঙ্গে আপনার সম্পর্ক কী?\n\nযেমন: ছেলে, মেয়ে ইত্যাদি।",
+    'account.first_parent_created': "✅ প্রথম অভিভাবকের অ্যাকাউন্ট তৈরি হয়েছে! চালু হওয়ার আগে {name}-এর সম্মতি নেওয়া হবে।\n\nএবার অনুগ্রহ করে দ্বিতীয় অভিভাবকের হোয়াটসঅ্যাপ নম্বর দেশের কোড সহ লিখুন (যেমন, +917XXXXXXXX):",
+    'account.parent_welcome_held': "লক্ষ্য করুন: হোয়াটসঅ্যাপের নিয়মের কারণে, বার্তা পাওয়ার আগে {name}-কে এই নম্বরে একটি বার্তা পাঠাতে হবে। অ্যাকাউন্ট চালু করতে তাঁকে {number}-এ \"Hi\" পাঠাতে বলুন।",
+    'account.parent_created': "✅ আপনার বাবা/মায়ের অ্যাকাউন্ট তৈরি হয়েছে!\n\nকিছু শুরু হওয়ার আগে আমি তাঁর সম্মতি চেয়েছি, আর উত্তর এলে আপনাকে জানাব। ততক্ষণ আপনি তাঁর ওষুধ যোগ করতে পারেন, কিন্তু কোনো রিমাইন্ডার, খোঁজখবর বা রিপোর্ট পাঠানো হবে না।\n\n{proxyHelp}",
+    'account.parents_created': "✅ দুজন অভিভাবকেরই অ্যাকাউন্ট তৈরি হয়েছে!\n\nকিছু শুরু হওয়ার আগে আমি দুজনের কাছেই সম্মতি চেয়েছি, আর উত্তর এলে আপনাকে জানাব। ততক্ষণ আপনি তাঁদের ওষুধ যোগ করতে পারেন, কিন্তু কোনো রিমাইন্ডার, খোঁজখবর বা রিপোর্ট পাঠানো হবে না।\n\n{proxyHelp}",
+    'account.proxy_help': "আপনার বাবা/মায়ের হয়ে কমান্ড পাঠাতে বার্তাটি \"for:(তাঁর নম্বর)\" দিয়ে শুরু করে তারপর কমান্ড লিখুন।\n\nউদাহরণ: \"for:+917XXXXXXXX add medicine...\"\n\nআপনার অ্যাকাউন্টও তৈরি হয়েছে, আর নিজের স্বাস্থ্যের জন্যও আপনি সুকূন সারথি ব্যবহার করতে পারেন। শুরু করতে \"Hi\" লিখুন।",
+    'account.parent_create_failed': "অ্যাকাউন্ট খুলতে সমস্যা হয়েছে। পরে আবার চেষ্টা করুন বা সহায়তার সঙ্গে যোগাযোগ করুন।",
+
+    // Consent for caregiver-created accounts
+    'consent.request': "🙏 নমস্কার {name}! {caregiver} আপনার জন্য সুকূন সারথি নামে একটি স্বাস্থ্য সহায়ক চালু করেছেন।\n\nকিছু শুরু হওয়ার আগে, দেখে নিন {caregiver} কী কী করতে পারবেন:\n{permissions}\n\nআমি আপনাকে ওষুধের কথাও মনে করিয়ে দেব আর দিনে কয়েকবার আপনার খোঁজখবর নেব।\n\nশুরু করতে *হ্যাঁ* (বা *agree*) লিখুন। আপনি এটা না চাইলে *না* (বা *decline*) লিখুন — তখন আমি আপনার অ্যাকাউন্ট আর {caregiver}-এর দেওয়া সব তথ্য মুছে দেব।",
+    'consent.not_found': "আপনার অ্যাকাউন্ট খুঁজে পেলাম না।",
+    'consent.retry': "❌ কিছু ভুল হয়েছে। কিছুক্ষণ পরে আবার *হ্যাঁ* লিখুন।",
+    'consent.given': "✅ ধন্যবাদ, {name}! আপনার অ্যাকাউন্ট এখন চালু হয়েছে।\n\nআমি কী কী করতে পারি দেখতে যেকোনো সময় \"Hi\" লিখুন।",
+    'consent.confirm_decline': "⚠️ {name}, আপনি কি নিশ্চিত? না বললে আপনার অ্যাকাউন্ট এবং ওষুধসহ {caregiver} আপনার জন্য যা কিছু দিয়েছেন, সব মুছে ফেলা হবে।\n\nমুছে ফেলতে *DELETE* লিখুন, অথবা অ্যাকাউন্ট রেখে শুরু করতে *agree* লিখুন।",
+    'consent.declined': "ঠিক আছে, {name}। আপনার অ্যাকাউন্ট আর আপনার জন্য দেওয়া সব তথ্য মুছে ফেলা হয়েছে, আর আমি আপনাকে আর বার্তা পাঠাব না।\n\nমত বদলালে শুধু \"create account\" লিখুন।",
+    'consent.error': "❌ কিছু ভুল হয়েছে। কিছুক্ষণ পরে আবার চেষ্টা করুন।",
+    'consent.given_notice': "✅ {name} সুকুন সারথি ব্যবহার করতে সম্মতি দিয়েছেন। ওষুধের রিমাইন্ডার, খোঁজখবর আর রিপোর্ট এখন শুরু হচ্ছে।",
+    'consent.declined_notice': "আপনার তৈরি সুকুন সারথি অ্যাকাউন্টটি {name} প্রত্যাখ্যান করেছেন, তাই আপনার যোগ করা ওষুধসহ সেটি মুছে ফেলা হয়েছে।",
+    'permission.view_medications': "আপনার ওষুধ আর ডোজ নেওয়া হয়েছে কিনা দেখা",
+    'permission.manage_medications': "ওষুধ যোগ করা, বদলানো আর মুছে ফেলা",
+    'permission.view_symptoms': "উপসর্গ পরীক্ষা আর তার খোঁজখবর দেখা",
+    'permission.view_reports': "দৈনিক আর সাপ্তাহিক রিপোর্ট পাওয়া",
+    'permission.manage_caregivers': "অন্য দেখাশোনাকারীদের যোগ করা",
+
+    // Caregiver roles, and what each lets the caregiver do
+    'role.primary': "প্রধান পরিচর্যাকারী",
+    'role.secondary': "সহকারী পরিচর্যাকারী",
+    'role.view_only': "শুধু দেখার অনুমতিসহ পরিচর্যাকারী",
+    'role.custom': "বিশেষ অনুমতিসহ পরিচর্যাকারী",
+    'access.view_medications': "ওঁর ওষুধ আর ডোজ নেওয়া হয়েছে কিনা দেখা",
+    'access.manage_medications': "ওঁর ওষুধ যোগ করা, বদলানো আর সরানো",
+    'access.view_symptoms': "ওঁর উপসর্গ যাচাই আর ফলো-আপ দেখা",
+    'access.view_reports': "দৈনিক আর সাপ্তাহিক রিপোর্ট পাওয়া",
+    'access.manage_caregivers': "অন্য পরিচর্যাকারীদের যোগ করা",
+
+    // Caregivers
+    'caregiver.invite_usage': "পরিচর্যাকারী যোগ করতে \"invite\" লিখে তাঁর ফোন নম্বর আর চাইলে ভূমিকা লিখুন।\n\nউদাহরণ: \"invite +919876543210 secondary\"\n\nভূমিকা:\n• *primary* — পুরো অ্যাক্সেস, আর অন্যদের যোগ করতে পারেন\n• *secondary* — ওষুধ, উপসর্গ আর রিপোর্ট দেখতে ও সামলাতে পারেন\n• *view-only* — ওষুধ, উপসর্গ আর রিপোর্ট শুধু দেখতে পারেন",
+    'caregiver.invite_primary_only': "শুধু প্রধান পরিচর্যাকারীই অন্য পরিচর্যাকারীদের যোগ করতে পারেন।",
+    'caregiver.invite_which_elder': "আপনি একাধিক মানুষের পরিচর্যাকারী সামলান। এটি কার জন্য তা বলুন, যেমন \"for:{parentPhone} invite {phone}\"",
+    'caregiver.invite_no_account': "{phone}-এর জন্য কোনো সুকুন সারথি অ্যাকাউন্ট পাওয়া যায়নি।",
+    'caregiver.invite_not_allowed': "শুধু {name} বা ওঁর প্রধান পরিচর্যাকারীই পরিচর্যাকারী যোগ করতে পারেন।",
+    'caregiver.invite_self': "যাঁকে যোগ করতে চান, তাঁর ফোন নম্বর লিখুন।",
+    'caregiver.invite_pending': "{phone}-কে আগেই আমন্ত্রণ পাঠানো হয়েছে, আর তিনি এখনও উত্তর দেননি।",
+    'caregiver.invite_exists': "{phone} আগে থেকেই {name}-এর পরিচর্যাকারী।",
+    'caregiver.invite_failed': "❌ আমন্ত্রণ পাঠানো গেল না। পরে আবার চেষ্টা করুন।",
+    'caregiver.invite_message': "👋 নমস্কার! {inviter} আপনাকে সুকুন সারথি (একটি স্বাস্থ্য সহায়ক)-তে {name}-এর {role} হওয়ার আমন্ত্রণ জানিয়েছেন।\n\n{role} হিসেবে আপনি যা করতে পারবেন:\n{permissions}\n\nযোগ দিতে *accept* লিখুন, আর না চাইলে *decline* লিখুন।",
+    'caregiver.invite_not_delivered': "❌ {phone}-কে আমন্ত্রণ পাঠানো গেল না। নম্বরটি দেখে আবার চেষ্টা করুন।",
+    'caregiver.invite_sent': "✅ {phone}-কে {name}-এর {role} হিসেবে আমন্ত্রণ পাঠানো হয়েছে। উত্তর এলে আপনাকে জানাব।",
+    'caregiver.no_invites': "আপনার জন্য কোনো আমন্ত্রণ অপেক্ষায় নেই।",
+    'caregiver.invite_declined_notice': "{caregiver} {name}-এর পরিচর্যাকারী হওয়ার আমন্ত্রণ প্রত্যাখ্যান করেছেন।",
+    'caregiver.invite_declined': "কোনো সমস্যা নেই — আপনাকে {name}-এর পরিচর্যাকারী হিসেবে যোগ করা হবে না।",
+    'caregiver.accept_failed': "❌ আমন্ত্রণ গ্রহণ করা গেল না। পরে আবার চেষ্টা করুন।",
+    'caregiver.joined_notice': "✅ {caregiver} এখন {name}-এর {role}।",
+    'caregiver.joined': "✅ আপনি এখন {name}-এর {role}।\n\nওঁর হয়ে কিছু করতে বার্তার শুরুতে \"for:{phone}\" লিখুন, যেমন \"for:{phone} check medications\"। আমি আর কী করতে পারি দেখতে \"hi\" লিখুন।",
+    'caregiver.error': "❌ কিছু ভুল হয়েছে। পরে আবার চেষ্টা করুন।",
+    'caregiver.elder_only': "যাঁর পরিচর্যা হচ্ছে, শুধু তিনিই ঠিক করতে পারেন কে তাঁর তথ্য দেখবে।",
+    'caregiver.none': "আপনার এখনও কোনো পরিচর্যাকারী নেই।\n\nকাউকে যোগ করতে \"invite\" লিখে তাঁর ফোন নম্বর লিখুন।",
+    'caregiver.list_title': "👥 *আপনার পরিচর্যাকারীরা*",
+    'caregiver.list_item': "{number}. *{name}* ({phone}) — {role}",
+    'caregiver.list_permission': "   • অনুমতি: {permission}",
+    'caregiver.list_no_access': "   • এখন কোনো অনুমতি নেই",
+    'caregiver.list_help': "অনুমতি বদলাতে লিখুন, যেমন \"grant reports to {name}\" বা \"revoke manage medications from {name}\"।\nকাউকে সরাতে \"remove caregiver\" লিখে তাঁর নাম বা নম্বর লিখুন।",
+    'caregiver.not_found_phone': "{phone} আপনার পরিচর্যাকারীদের মধ্যে নেই। তাঁদের দেখতে \"caregivers\" লিখুন।",
+    'caregiver.ambiguous_name': "{name} নামে একাধিক পরিচর্যাকারী আছেন। তাঁর ফোন নম্বর ব্যবহার করুন।",
+    'caregiver.not_found_name': "{name} নামে কোনো পরিচর্যাকারী খুঁজে পেলাম না। তাঁদের দেখতে \"caregivers\" লিখুন।",
+    'caregiver.permission_usage': "পরিচর্যাকারী কী করতে পারবেন তা বদলাতে লিখুন, যেমন:\n• \"grant reports to Ravi\"\n• \"revoke manage medications from +919876543210\"\n\nঅনুমতি: medications, manage medications, symptoms, reports, manage caregivers\n\nএখন কার অ্যাক্সেস আছে দেখতে \"caregivers\" লিখুন।",
+    'caregiver.already_granted': "{caregiver}-এর আগে থেকেই এই অনুমতি আছে: {permission}।",
+    'caregiver.already_revoked': "{caregiver}-এর আগে থেকেই এই অনুমতি নেই: {permission}।",
+    'caregiver.granted': "✅ এখন {caregiver}-এর এই অনুমতি আছে: {permission}।",
+    'caregiver.revoked': "✅ এখন {caregiver}-এর এই অনুমতি নেই: {permission}।",
+    'caregiver.access_update_failed': "❌ ওঁর অনুমতি বদলানো গেল না। পরে আবার চেষ্টা করুন।",
+    'caregiver.granted_notice': "🔓 {name} আপনাকে এই অনুমতি দিয়েছেন: {permission}।",
+    'caregiver.revoked_notice': "🔒 {name} আপনার অনুমতি বদলেছেন: আপনি আর এটি করতে পারবেন না — {permission}।",
+    'caregiver.remove_usage': "কাকে সরাতে হবে বলুন, যেমন \"remove caregiver Ravi\"। তাঁদের দেখতে \"caregivers\" লিখুন।",
+    'caregiver.remove_failed': "❌ ওঁকে সরানো গেল না। পরে আবার চেষ্টা করুন।",
+    'caregiver.removed_notice': "{name} আপনাকে সুকুন সারথিতে তাঁর পরিচর্যাকারী থেকে সরিয়ে দিয়েছেন। আপনি আর ওঁর রিপোর্ট বা সতর্কতা পাবেন না।",
+    'caregiver.removed': "✅ {caregiver} আর আপনার পরিচর্যাকারী নন এবং আপনার কোনো তথ্য দেখতে পারবেন না।",
+    'caregiver.fallback_name': "আপনার পরিচর্যাকারী",
+    'caregiver.refill_needed': "⚠️ *ওষুধ আবার কিনতে হবে*\n\n{name}-এর *{medicine}* ফুরিয়ে আসছে: মোটামুটি {days} দিনের মতো বাকি ({count}টি বড়ি)।",
+
+    // Caregiver report preference
+    'reports.frequency_daily': "প্রতি সন্ধ্যায় দৈনিক রিপোর্ট",
+    'reports.frequency_weekly': "প্রতি রবিবার সন্ধ্যায় সাপ্তাহিক সারাংশ",
+    'reports.frequency_both': "দৈনিক রিপোর্ট আর সাপ্তাহিক সারাংশ দুটোই",
+    'reports.not_caregiver': "রিপোর্ট দেখাশোনাকারীদের পাঠানো হয়, যাঁদের তাঁরা দেখাশোনা করেন সেই পরিবারের সদস্যদের সম্পর্কে। আপনি এখনও কারও সঙ্গে যুক্ত নন।",
+    'reports.current': "📊 এখন আপনি পান {frequency}।\n\nএটা বদলাতে \"reports daily\", \"reports weekly\" বা \"reports both\" লিখুন।",
+    'reports.invalid': "অনুগ্রহ করে \"reports daily\", \"reports weekly\" বা \"reports both\" লিখুন।",
+    'reports.update_failed': "❌ আপনার রিপোর্টের পছন্দ বদলানো গেল না। পরে আবার চেষ্টা করুন।",
+    'reports.updated': "✅ হয়ে গেছে! এখন থেকে আপনি পাবেন {frequency}।",
+    'reports.consent_pending': "{name} এখনও তাঁর অ্যাকাউন্টে সম্মতি দেননি, তাই কোনো রিপোর্ট নেই। সম্মতি দিলেই আপনাকে জানাব।",
+    'reports.error': "❌ আজকের রিপোর্ট তৈরি করা গেল না। পরে আবার চেষ্টা করুন।",
+
+    // Daily report for caregivers
+    'report.title': "📋 *{name}-এর দৈনিক রিপোর্ট* ({date})",
+    'report.fallback_name': "আপনার পরিবারের সদস্য",
+    'report.section_health': "*🩺 শরীর ও মন*",
+    'report.section_medication': "*💊 ওষুধ*",
+    'report.section_activities': "*🚶 কাজকর্ম ও ভালো মুহূর্ত*",
+    'report.no_checkins': "আজ কোনো খোঁজখবর নথিভুক্ত হয়নি। হয়তো উনি বাইরে ছিলেন বা খোঁজখবরের মেসেজের উত্তর দিতে পারেননি।",
+    'report.mood': "মেজাজ: {emoji} {mood} ({count}টি খোঁজখবর)",
+    'report.mood_one': "মেজাজ: {emoji} {mood} (1টি খোঁজখবর)",
+    'report.mood_positive': "ভালো",
+    'report.mood_neutral': "মোটামুটি",
+    'report.mood_negative': "মন খারাপ",
+    'report.area_physical': "শরীর",
+    'report.area_emotional': "মন",
+    'report.area_social': "মেলামেশা",
+    'report.rating_good': "ভালো",
+    'report.rating_fair': "মোটামুটি",
+    'report.rating_concerning': "চিন্তার",
+    'report.concerns': "⚠️ চিন্তার বিষয়:",
+    'report.no_concerns': "চিন্তার কিছু পাওয়া যায়নি।",
+    'report.no_medications': "আজ কোনো ওষুধ নির্ধারিত ছিল না।",
+    'report.med_awaiting': "• {medicine}: উত্তরের অপেক্ষায়",
+    'report.med_none_due': "• {medicine}: এখনও কোনো ডোজের সময় হয়নি",
+    'report.med_taken': "• {medicine}: {total}টির মধ্যে {taken}টি খাওয়া হয়েছে {emoji}",
+    'report.med_pending': ", {count}টির উত্তর বাকি",
+    'report.this_week': "📊 এই সপ্তাহে: {summary}",
+    'report.most_missed_time': "সবচেয়ে বেশি বাদ পড়া সময়: {time}",
+    'report.activities': "কাজকর্ম: {activities}",
+    'report.no_activities': "আজ কোনো কাজকর্ম নথিভুক্ত হয়নি।",
+    'report.more': "…আরও আছে",
+    'report.and': " এবং ",
+    'report.fallback_subject': "আপনার পরিবারের সদস্য",
+    'report.times_once': "একবার",
+    'report.times_twice': "দুবার",
+    'report.times_count': "{count} বার",
+    'report.summary_checkins': "{name} আজ {times} খোঁজখবরের উত্তর দিয়েছেন।",
+    'report.summary_checkins_positive': "{name} আজ {times} খোঁজখবরের উত্তর দিয়েছেন, ওনার মন ভালো ছিল।",
+    'report.summary_checkins_neutral': "{name} আজ {times} খোঁজখবরের উত্তর দিয়েছেন, উনি মোটামুটি ছিলেন।",
+    'report.summary_checkins_negative': "{name} আজ {times} খোঁজখবরের উত্তর দিয়েছেন, ওনার মন একটু খারাপ ছিল।",
+    'report.summary_needs_attention': "ওনার {areas}-এর দিকে নজর দেওয়া দরকার।",
+    'report.summary_all_well': "শরীর, মন আর মেলামেশা, সব দিক থেকেই উনি ভালো ছিলেন।",
+    'report.summary_activities': "উনি বলেছেন: {activities}।",
+    'report.summary_one_concern': "একটি বিষয়ে খেয়াল রাখুন: {concerns}।",
+    'report.summary_concerns': "{count}টি বিষয়ে খেয়াল রাখুন: {concerns}।",
+    'report.summary_missed': "আজ ওনার {medicines} বাদ পড়েছে।",
+    'report.summary_all_taken': "আজকের সব {count}টি ডোজ উনি খেয়েছেন।",
+    'report.summary_all_taken_one': "আজকের 1টি ডোজ উনি খেয়েছেন।",
+    'report.highlight_good_spirits': "মন ভালো ছিল",
+    'report.highlight_all_well': "সব দিক থেকে ভালো ছিলেন",
+    'report.highlight_all_taken': "সব ওষুধ খাওয়া হয়েছে",
+    'report.highlight_adherence_up': "সময়মতো ওষুধ খাওয়া গত সপ্তাহের চেয়ে {change}% বেড়েছে",
+
+    // Medication reminders
+    'reminder.due': "🔔 মনে করিয়ে দিচ্ছি: ওষুধ খাওয়ার সময় হয়েছে - *{medicine}*{dose}। \n\nওষুধ খেয়েছেন? ✅ হ্যাঁ / ❌ না",
+    'reminder.dont_forget': "আপনার {medicine} খেতে ভুলবেন না! খাওয়া হলে \"হ্যাঁ\" লিখুন, বা পরে মনে করাতে হলে \"না\" লিখুন।",
+    'reminder.or_checkin': "আপনার জন্য ওষুধের রিমাইন্ডার আর খোঁজখবরের কথোপকথন দুটোই চলছে। আপনি কোনটার উত্তর দিচ্ছেন?\n\n1️⃣ ওষুধের রিমাইন্ডার ({medicine})\n2️⃣ খোঁজখবরের কথোপকথন\n\nঅনুগ্রহ করে 1 বা 2 পাঠান।",
+    'reminder.or_checkin_invalid': "ওষুধের রিমাইন্ডারের জন্য 1 বা খোঁজখবরের কথোপকথনের জন্য 2 পাঠান।",
+    'reminder.response_error': "দুঃখিত, ওষুধ নিয়ে আপনার উত্তর নথিভুক্ত করতে সমস্যা হয়েছে। কিছুক্ষণ পরে আবার চেষ্টা করুন।",
+
+    // Picking between conversations
+    'disambiguation.invalid_option': "অনুগ্রহ করে 1 থেকে {count}-এর মধ্যে একটি বিকল্প বেছে নিন।",
+    'disambiguation.fallback': "আপনার উত্তর নিয়ে কী করব বুঝতে পারলাম না। চলুন নতুন করে শুরু করি।",
+    'disambiguation.error': "দুঃখিত, আপনার উত্তর ঠিকমতো বুঝতে পারিনি। চলুন আবার শুরু করি।",
+    'disambiguation.menu_vs_symptom': "আপনি একটি নম্বর পাঠিয়েছেন, কিন্তু এখন মেনু বাছাই আর উপসর্গ যাচাই দুটোই চলছে। আপনি কোনটির উত্তর দিচ্ছেন?\n\n1. মেনু বাছাই\n2. উপসর্গ যাচাই\n\nদয়া করে 1 বা 2 লিখুন।",
+    'disambiguation.question': "এখন আপনার কয়েকটি কথোপকথন একসাথে চলছে। আপনি কোনটির উত্তর দিচ্ছেন?",
+
+    // Medications
+    'med.time_question': "কখন আপনাকে মনে করিয়ে দেব? (যেমন: 08:00 AM)",
+    'med.frequency_question': "এই ওষুধ দিনে কতবার খেতে হবে?\n\n1️⃣ দিনে একবার\n2️⃣ দিনে দুবার\n3️⃣ দিনে তিনবার\n4️⃣ দিনে চারবার\n\nনম্বর পাঠান বা অন্যভাবে লিখুন (যেমন, '5 times a day'):",
+    'med.duration_question': "এই ওষুধ কত দিন খেতে হবে? (সংখ্যা লিখুন, বা শেষ তারিখ ছাড়া ওষুধের জন্য 'ongoing' লিখুন)",
+    'med.stock_question': "এখন আপনার কাছে কটা বড়ি আছে? ফুরোনোর আগে আমি আপনাকে জানাব। (সংখ্যা লিখুন, বা হিসাব রাখতে না চাইলে 'skip' লিখুন)",
+    'med.schedule_question': "আপনি এই ওষুধ কত ঘন ঘন খান?\n\n1️⃣ রোজ\n2️⃣ নির্দিষ্ট দিনে (যেমন, সোম/বুধ/শুক্র)\n3️⃣ কয়েক দিন অন্তর (যেমন, একদিন অন্তর)\n4️⃣ সপ্তাহে একবার\n5️⃣ কমতে থাকা ডোজ (ডোজ সময়ের সঙ্গে বদলায়)\n6️⃣ শুধু দরকার হলে\n\nনম্বর পাঠান বা লিখে জানান (যেমন, 'every other day'):",
+    'med.field_medicine': "ওষুধ",
+    'med.field_dosage': "ডোজ",
+    'med.field_frequency': "কতবার",
+    'med.field_schedule': "সময়সূচি",
+    'med.field_time': "সময়",
+    'med.field_times': "সময়",
+    'med.field_duration': "মেয়াদ",
+    'med.field_stock': "মজুত",
+    'med.not_specified': "বলা হয়নি",
+    'med.ongoing': "চলতে থাকবে",
+    'med.ongoing_no_end': "চলতে থাকবে (শেষ তারিখ নেই)",
+    'med.when_needed': "দরকার হলে (কোনো রিমাইন্ডার নয়)",
+    'med.days': "{count} দিন",
+    'med.pills': "{count}টি বড়ি",
+    'med.none_yet': "আপনার এখনও কোনো ওষুধ সেট করা নেই। ওষুধ যোগ করতে 'add medicine' লিখুন।",
+    'med.not_found': "*{medicine}* নামে কোনো ওষুধ খুঁজে পেলাম না। নামটি দেখে আবার চেষ্টা করুন।",
+    'med.flow_error': "দুঃখিত, আপনার অনুরোধে সমস্যা হয়েছে। চলুন আবার শুরু করি।",
+    'med.update_which': "কোন ওষুধ বদলাতে চান?",
+    'med.update_ask_name': "আপনি বেছে নিয়েছেন: {medicine}\n\nএই ওষুধের নতুন নাম লিখুন (বা একই রাখতে 'same' লিখুন):",
+    'med.update_ask_dosage': "{medicine}-এর ডোজ লিখুন (যেমন, \"500mg\", বা \"{dosage}\" একই রাখতে 'same' লিখুন):",
+    'med.update_ask_time': "এখন রিমাইন্ডারের সময় {time}। নতুন সময় লিখুন (যেমন: 08:00 AM) বা একই রাখতে 'same' লিখুন:",
+    'med.update_ask_frequency': "এখন এটি \"{frequency}\" খাওয়া হয়। এই ওষুধ দিনে কতবার খেতে হবে?\n\n1️⃣ দিনে একবার\n2️⃣ দিনে দুবার\n3️⃣ দিনে তিনবার\n4️⃣ দিনে চারবার\n\nনম্বর পাঠান, অন্যভাবে লিখুন, বা একই রাখতে 'same' লিখুন:",
+    'med.update_ask_duration': "এখন মেয়াদ {duration}। এই ওষুধ কত দিন খেতে হবে? (সংখ্যা লিখুন, শেষ তারিখ ছাড়া ওষুধের জন্য 'ongoing', বা একই রাখতে 'same' লিখুন)",
+    'med.update_ask_stock': "এখন মজুত {stock}। এখন আপনার কাছে কটা বড়ি আছে? (সংখ্যা লিখুন, হিসাব বন্ধ করতে 'none', বা একই রাখতে 'same' লিখুন)",
+    'med.stock_not_tracked': "হিসাব রাখা হচ্ছে না",
+    'med.update_invalid_stock': "অনুগ্রহ করে বড়ির সংখ্যা, 'none' বা 'same' লিখুন:",
+    'med.updated': "✅ ওষুধ বদলানো হয়েছে!\n\n{details}",
+    'med.update_failed': "❌ দুঃখিত, ওষুধ বদলাতে সমস্যা হয়েছে। পরে আবার চেষ্টা করুন।",
+    'med.add_ask_name': "অনুগ্রহ করে ওষুধের নাম লিখুন:\n\n_পরামর্শ: একটি বার্তাতেই ওষুধ যোগ করতে পারেন, যেমন 'add Metformin 500mg twice a day after meals for 30 days at 8 am'_",
+    'med.add_restart': "দুঃখিত, ওষুধ যোগ করার সময় কিছু ভুল হয়েছে। চলুন আবার শুরু করি।",
+    'med.add_ask_dosage': "অনুগ্রহ করে ডোজ লিখুন (যেমন, '500mg'), বা প্রযোজ্য না হলে 'none' লিখুন:",
+    'med.add_ask_dosage_prn': "অনুগ্রহ করে ডোজ লিখুন (যেমন, '500mg'), বা প্রযোজ্য না হলে 'none' লিখুন:\n\n_যখনই ডোজ নেবেন, *took <ওষুধের নাম>* লিখুন, যাতে আমি হিসাব রাখতে পারি।_",
+    'med.add_invalid_stock': "অনুগ্রহ করে বড়ির সংখ্যা বা 'skip' লিখুন:",
+    'med.added': "✅ ওষুধ যোগ করা হয়েছে!\n\n{details}",
+    'med.added_for': "ওষুধটি {phone}-এর জন্য যোগ করা হয়েছে।",
+    'med.add_failed': "❌ দুঃখিত, ওষুধ যোগ করতে সমস্যা হয়েছে। পরে আবার চেষ্টা করুন।",
+    'med.schedule_ask_days': "কোন কোন দিন খান? (যেমন, 'Mon/Wed/Fri' বা 'weekdays')",
+    'med.schedule_ask_interval': "কত দিন অন্তর? (যেমন, একদিন অন্তরের জন্য '2')",
+    'med.schedule_ask_weekly': "সপ্তাহের কোন দিন? (যেমন, 'Sunday')",
+    'med.schedule_ask_taper': "প্রতিটি ডোজ আর সেটা কত দিন চলবে, ক্রমানুসারে লিখুন (যেমন, '40mg for 5 days, 20mg for 5 days, 10mg for 3 days'):",
+    'med.schedule_ask_prn': "24 ঘণ্টায় সর্বোচ্চ কটা ডোজ নেওয়া যায়? (সংখ্যা বা 'none' লিখুন)",
+    'med.schedule_invalid': "দুঃখিত, সময়সূচিটা বুঝতে পারলাম না। অনুগ্রহ করে 1 থেকে 6-এর মধ্যে একটি নম্বর পাঠান।",
+    'med.schedule_invalid_weekly': "অনুগ্রহ করে সপ্তাহের একটি দিন লিখুন (যেমন, 'Sunday'):",
+    'med.schedule_invalid_days': "অনুগ্রহ করে দিনগুলো লিখুন, যেমন 'Mon/Wed/Fri':",
+    'med.schedule_invalid_interval': "অনুগ্রহ করে দিনের সংখ্যা লিখুন (যেমন, একদিন অন্তরের জন্য '2'):",
+    'med.schedule_invalid_taper': "অনুগ্রহ করে ডোজগুলো এভাবে লিখুন: '40mg for 5 days, 20mg for 5 days'",
+    'med.schedule_invalid_prn': "অনুগ্রহ করে 24 ঘণ্টায় সর্বোচ্চ ডোজের সংখ্যা বা 'none' লিখুন:",
+
+    // Describing a medication schedule
+    'schedule.daily': "প্রতিদিন",
+    'schedule.weekly': "প্রতি সপ্তাহে {day}",
+    'schedule.every_other_day': "একদিন অন্তর",
+    'schedule.every_n_days': "প্রতি {count} দিন অন্তর",
+    'schedule.taper': "ধীরে ধীরে কমানো ডোজ: {steps}",
+    'schedule.taper_step': "{days} দিন {dosage}",
+    'schedule.taper_then': ", তারপর ",
+    'schedule.prn': "দরকার হলে",
+    'schedule.prn_max': "দরকার হলে (24 ঘণ্টায় সর্বোচ্চ {count} বার)",
+    'med.quick_setup': "চলুন *{medicine}* সেট করি।\n\n{question}",
+    'med.quick_ask_time': "*{medicine}* খাওয়ার কথা কখন মনে করিয়ে দেব? (যেমন: 08:00 AM)",
+    'med.quick_confirm': "📝 আমি যা বুঝলাম:\n\n{details}\n\n1️⃣ সেভ করুন\n2️⃣ একে একে বদলান\n3️⃣ বাতিল করুন",
+    'med.quick_step_by_step': "চলুন *{medicine}* একে একে সেট করি।\n\n{question}",
+    'med.quick_cancelled': "ঠিক আছে, *{medicine}* যোগ করিনি।",
+    'med.quick_confirm_invalid': "সেভ করতে 1, একে একে বদলাতে 2, বা বাতিল করতে 3 পাঠান।",
+    'med.marked_taken': "✅ খুব ভালো! *{medicine}* খাওয়া হয়েছে বলে লিখে রাখলাম।",
+    'med.mark_taken_failed': "⚠️ দুঃখিত, {medicine} খাওয়া হয়েছে বলে লিখে রাখতে পারলাম না। পরে আবার চেষ্টা করুন।",
+    'med.missed_remind_again': "❗ কোনো অসুবিধা নেই! 30 মিনিট পরে আবার *{medicine}* খাওয়ার কথা মনে করিয়ে দেব।",
+    'med.missed_failed': "⚠️ দুঃখিত, আপনার উত্তর নথিভুক্ত করতে পারলাম না। তবুও পরে আপনাকে মনে করিয়ে দেব।",
+    'med.unknown_reference': "আপনি কোন ওষুধের কথা বলছেন বুঝতে পারলাম না। অনুগ্রহ করে ওষুধের নাম বলুন।",
+    'med.history_empty': "আপনার {count}টি ওষুধ সেট করা আছে, কিন্তু সেগুলো খাওয়ার কোনো রেকর্ড এখনও নেই।\n\nওষুধের রিমাইন্ডারের উত্তর দেওয়া শুরু করলে আপনার ওষুধের ইতিহাস এখানে দেখা যাবে।",
+
+    // Medication history
+    'history.title': "📜 *{phone}-এর ওষুধের ইতিহাস*:",
+    'history.medicine': "💊 *{medicine}*:",
+    'history.dosage': "   - ডোজ: {value}",
+    'history.times': "   - মনে করানোর সময়: {value}",
+    'history.frequency': "   - কতবার: {value}",
+    'history.schedule': "   - সময়সূচি: {value}",
+    'history.duration': "   - মেয়াদ: {value}",
+    'history.start_date': "   - শুরুর তারিখ: {value}",
+    'history.end_date': "   - শেষের তারিখ: {value}",
+    'history.taken': "   - খাওয়া হয়েছে: {count} বার",
+    'history.missed': "   - বাদ পড়েছে: {count} বার",
+    'history.dates': "       *তারিখ:* {dates}",
+    'history.none': "কিছু নেই",
+    'history.not_available': "পাওয়া যায়নি",
+    'history.error': "❌ ওষুধের ইতিহাস আনা গেল না। পরে আবার চেষ্টা করুন।",
+    'med.delete_which': "কোন ওষুধ মুছে ফেলতে চান?",
+    'med.delete_confirm': "আপনি কি সত্যিই *{medicine}* মুছে ফেলতে চান?\n\nএতে এই ওষুধের সব রিমাইন্ডারও মুছে যাবে।\n\nনিশ্চিত করতে *হ্যাঁ* বা বাতিল করতে *না* লিখুন।",
+    'med.deleted': "✅ *{medicine}* ওষুধটি মুছে ফেলা হয়েছে।",
+    'med.delete_failed': "❌ দুঃখিত, ওষুধ মুছতে সমস্যা হয়েছে। পরে আবার চেষ্টা করুন।",
+    'med.delete_cancelled': "মোছা বাতিল করা হয়েছে। আপনার ওষুধে কোনো বদল হয়নি।",
+    'med.escalate_usage': "বাদ পড়া ডোজের কথা দেখাশোনাকারীদের কখন জানানো হবে বেছে নিতে পাঠান:\n\n• *escalate <medicine> after 2 nudges* - পরপর 2টি রিমাইন্ডারের উত্তর না পেলে\n• *escalate <medicine> after 3 missed* - এক সপ্তাহে 3টি ডোজ বাদ পড়লে\n• *escalate <medicine> off* - এই ওষুধের জন্য কখনও জানাবেন না\n• *escalate <medicine> on* - আবার জানানো শুরু করুন",
+    'med.escalation_off': "🔕 এখন থেকে *{medicine}*-এর ডোজ বাদ পড়লে দেখাশোনাকারীদের জানানো হবে না।",
+    'med.escalation_on': "🔔 *{medicine}*-এর জন্য পরপর {nudges}টি রিমাইন্ডারের উত্তর না পেলে, বা এক সপ্তাহে {missed}টি ডোজ বাদ পড়লে দেখাশোনাকারীদের জানানো হবে।",
+    'med.refill_usage': "ওষুধ আবার কেনার পরে মজুত আপডেট করতে *refill <ওষুধের নাম> <বড়ির সংখ্যা>* পাঠান, যেমন: refill Metformin 30",
+    'med.refilled': "📦 *{medicine}*-এর মজুত ভরা হয়েছে। এখন আপনার কাছে {count}টি বড়ি আছে{daysLeft}।",
+    'med.refill_days_left': ", যা প্রায় {days} দিন চলবে",
+    'med.took_usage': "ডোজ নথিভুক্ত করতে *took <ওষুধের নাম>* পাঠান, যেমন: took Paracetamol",
+    'med.dose_limit_reached': "🛑 গত 24 ঘণ্টায় আপনি *{medicine}* {taken} বার খেয়েছেন, যা সর্বোচ্চ সীমা ({max})। অনুগ্রহ করে এখন আর ডোজ নেবেন না। তবুও আরাম না পেলে আপনার ডাক্তারের সঙ্গে যোগাযোগ করুন।",
+    'med.dose_log_failed': "❌ দুঃখিত, ডোজটি নথিভুক্ত করতে পারলাম না। পরে আবার চেষ্টা করুন।",
+    'med.dose_logged': "✅ *{medicine}*-এর একটি ডোজ নথিভুক্ত হয়েছে{limit}।",
+    'med.dose_limit_count': " (24 ঘণ্টায় {max}-এর মধ্যে {taken})",
+    'med.running_low': "⚠️ *{medicine} প্রায় শেষ*\n\nআপনার কাছে প্রায় {days} দিনের ওষুধ বাকি আছে ({count}টি বড়ি)। দয়া করে তাড়াতাড়ি ওষুধ আনিয়ে নিন।\n\nনতুন ওষুধ এলে মজুত আপডেট করতে *refill {medicine} <সংখ্যা>* লিখুন।",
+
+    // Medication adherence
+    'adherence.title': "📊 *সময়মতো ওষুধ খাওয়ার হিসাব*",
+    'adherence.title_for': "📊 *{name}-এর সময়মতো ওষুধ খাওয়ার হিসাব*",
+    'adherence.no_doses_30_days': "গত 30 দিনে রিমাইন্ডার দেওয়া কোনো ডোজ এখনও নথিভুক্ত হয়নি।",
+    'adherence.this_week': "*এই সপ্তাহে:* {summary}",
+    'adherence.last_30_days': "*গত 30 দিন:* {summary}",
+    'adherence.most_missed_time': "*সবচেয়ে বেশি বাদ পড়া সময়:* {time} ({count} বার বাদ)",
+    'adherence.med_week': "   - এই সপ্তাহে: {value}",
+    'adherence.med_no_doses': "কোনো ডোজ নেই",
+    'adherence.med_month': "   - গত 30 দিন: {percentage}% ({missed} বাদ)",
+    'adherence.med_streak': "   - টানা: {current} দিন (সেরা {best})",
+    'adherence.med_most_missed': "   - সবচেয়ে বেশি বাদ: {time}",
+    'adherence.unavailable': "❌ ওষুধের হিসাব এখন পাওয়া যাচ্ছে না। পরে আবার চেষ্টা করুন।",
+    'adherence.none': "কোনো ডোজ নথিভুক্ত হয়নি",
+    'adherence.summary': "{percentage}% ({total}টির মধ্যে {taken}টি ডোজ)",
+    'adherence.same_week': ", আগের সপ্তাহের মতোই",
+    'adherence.up_week': ", আগের সপ্তাহের চেয়ে 📈 {change}% বেশি",
+    'adherence.down_week': ", আগের সপ্তাহের চেয়ে 📉 {change}% কম",
+    'adherence.same_month': ", আগের 30 দিনের মতোই",
+    'adherence.up_month': ", আগের 30 দিনের চেয়ে 📈 {change}% বেশি",
+    'adherence.down_month': ", আগের 30 দিনের চেয়ে 📉 {change}% কম",
+
+    // Symptom assessment
+    'symptom.ask_primary': "আপনার কী সমস্যা হচ্ছে? অনুগ্রহ করে সংক্ষেপে বলুন।\n\nযেমন: 'মাথাব্যথা', 'পেটব্যথা', 'কাশি' ইত্যাদি।",
+    'symptom.restart': "দুঃখিত, উপসর্গ পরীক্ষায় কিছু ভুল হয়েছে। চলুন আবার শুরু করি।",
+    'symptom.emergency_title': "🚨 *এটা জরুরি চিকিৎসার অবস্থা হতে পারে*",
+    'symptom.family_alerted': "আপনাকে সাহায্য করার জন্য আমি আপনার পরিবার আর জরুরি যোগাযোগকেও জানিয়ে দিয়েছি।",
+    'symptom.emergency_closed': "আশা করি আপনি দরকারি সাহায্য পাচ্ছেন। অবস্থা খারাপ হলে এখনই জরুরি পরিষেবায় ফোন করুন।\n\n{helplines}\n\nনতুন কোনো উপসর্গ পরীক্ষা করতে যেকোনো সময় 'symptom' লিখুন।",
+    'symptom.reply_with_answer_number': "অনুগ্রহ করে আপনার উত্তরের নম্বরটি পাঠান।",
+    'symptom.describe_briefly': "অনুগ্রহ করে কয়েকটি কথায় বলুন।",
+    'symptom.follow_up_tomorrow': "কাল আমি আপনার উপসর্গ কেমন আছে জিজ্ঞেস করব। আপনি ভালো, একই রকম বা খারাপ বোধ করছেন কিনা, সেই অনুযায়ী নতুন পরামর্শ দেব।",
+    'symptom.none_active': "এখন আপনার কোনো উপসর্গ পরীক্ষা চলছে না। কোনো সমস্যা হলে নতুন পরীক্ষা শুরু করতে 'symptom' লিখুন।",
+    'symptom.history_title': "📊 *আপনার উপসর্গের ইতিহাস*",
+    'symptom.history_entry': "*{number}. {symptom}*\nশুরু: {date}\nকত দিন খেয়াল রাখা হয়েছে: {days}",
+    'symptom.history_latest': "সর্বশেষ অবস্থা: {status}",
+    'symptom.history_update_hint': "আপনার উপসর্গের অবস্থা জানাতে 'check symptom status' লিখুন।",
+    'symptom.history_error': "দুঃখিত, এখন আপনার উপসর্গের ইতিহাস পাওয়া গেল না। পরে আবার চেষ্টা করুন।",
+    'symptom.fallback_question': "কত দিন ধরে এই সমস্যা হচ্ছে?",
+    'symptom.fallback_option_1': "এক দিনের কম",
+    'symptom.fallback_option_2': "1-3 দিন",
+    'symptom.fallback_option_3': "4-7 দিন",
+    'symptom.fallback_option_4': "এক সপ্তাহের বেশি",
+    'symptom.progression_disclaimer': "⚠️ *লক্ষ্য করুন*: এই তথ্য ডাক্তারের পরামর্শের বিকল্প নয়। উপসর্গ গুরুতর হলে বা চিন্তা হলে অনুগ্রহ করে ডাক্তার দেখান।",
+    'symptom.progression_error': "দুঃখিত, এখন আপনার উপসর্গের পরিবর্তন বুঝতে পারছি না। সাবধানতা হিসেবে, উপসর্গ থেকে গেলে বা বাড়লে অনুগ্রহ করে ডাক্তার দেখান। আপনি কি এই উপসর্গগুলোর খেয়াল রাখা চালিয়ে যেতে চান?",
+    'symptom.assessment_error': "দুঃখিত, এখন আপনার উপসর্গ পরীক্ষা শেষ করতে পারলাম না। উপসর্গ নিয়ে চিন্তা হলে অনুগ্রহ করে ডাক্তার দেখান।",
+
+    // Red-flag symptoms
+    'redflag.label_chest_pain': "বুকে ব্যথা বা শ্বাসকষ্ট",
+    'redflag.label_stroke': "স্ট্রোকের সম্ভাব্য লক্ষণ",
+    'redflag.label_severe_bleeding': "প্রচুর রক্তপাত",
+    'redflag.label_fainting': "অজ্ঞান হওয়া বা জ্ঞান হারানো",
+    'redflag.label_suicidal': "আত্মহত্যা বা নিজের ক্ষতি করার চিন্তা",
+    'redflag.guidance_chest_pain': "বুকে ব্যথা বা শ্বাসকষ্ট হার্ট অ্যাটাক বা অন্য কোনো জরুরি অবস্থা হতে পারে।\n\n• এখনই অ্যাম্বুলেন্স ডাকুন — নিজে গাড়ি চালাবেন না\n• সোজা হয়ে বসুন, নড়াচড়া করবেন না আর আঁটসাঁট পোশাক ঢিলে করুন\n• ডাক্তার বুকে ব্যথার ওষুধ (যেমন GTN স্প্রে) দিয়ে থাকলে, নির্দেশমতো ব্যবহার করুন\n• সাহায্য যাতে ভেতরে আসতে পারে, দরজা খুলে রাখুন",
+    'redflag.guidance_stroke': "এগুলি স্ট্রোকের লক্ষণ হতে পারে। *FAST* মনে রাখুন:\n*F* মুখ বেঁকে যাওয়া · *A* হাতে দুর্বলতা · *S* কথা বলতে অসুবিধা · *T* সাহায্য ডাকার সময়\n\n• এখনই অ্যাম্বুলেন্স ডাকুন\n• লক্ষণ শুরু হওয়ার সময় লিখে রাখুন — ডাক্তার জিজ্ঞেস করবেন\n• ডাক্তার না দেখা পর্যন্ত কিছু খাবেন, পান করবেন বা কোনো ওষুধ নেবেন না",
+    'redflag.guidance_severe_bleeding': "প্রচুর রক্তপাত হলে এখনই সাহায্য দরকার।\n\n• পরিষ্কার কাপড় দিয়ে ক্ষতের ওপর জোরে চেপে ধরুন আর চেপে রাখুন\n• পারলে আঘাত পাওয়া অংশটি হৃদপিণ্ডের ওপরে তুলুন\n• অ্যাম্বুলেন্স ডাকুন — রক্ত পাতলা করার ওষুধ খেলে তাঁদের জানান",
+    'redflag.guidance_fainting': "অজ্ঞান হলে বা জ্ঞান হারালে এখনই ডাক্তার দেখানো উচিত।\n\n• পা উঁচু করে শুয়ে পড়ুন, বা হাঁটুর মাঝে মাথা রেখে বসুন\n• তাড়াতাড়ি উঠবেন না আর একা থাকবেন না\n• কোনো সতর্কতা ছাড়া, বুকে ব্যথার সঙ্গে বা পড়ে যাওয়ার পরে এটা হলে অ্যাম্বুলেন্স ডাকুন",
+    'redflag.guidance_suicidal': "আপনার এমন লাগছে জেনে আমি সত্যিই দুঃখিত। আপনি একা নন, আর এখনই আপনার পাশে কারও থাকা দরকার।\n\n• ভরসার কারও সঙ্গে কথা বলুন, বা নিচের হেল্পলাইনে ফোন করুন\n• এই চিন্তা অনুযায়ী কিছু করে ফেলতে পারেন মনে হলে, এখনই জরুরি পরিষেবায় ফোন করুন\n• কারও সঙ্গে থাকুন, আর নিজের ক্ষতি করা যায় এমন সবকিছু থেকে দূরে থাকুন",
+    'helpline.emergency': "📞 *জরুরি:* {number}",
+    'helpline.emergency_unknown_country': "📞 *জরুরি:* {number} (বা আপনার স্থানীয় জরুরি নম্বর)",
+    'helpline.ambulance': "🚑 *অ্যাম্বুলেন্স:* {number}",
+    'helpline.support': "💬 *সহায়তা লাইন:* {number}",
+
+    // Symptom follow-ups
+    'followup.title': "👋 *খোঁজখবর: {symptom}*",
+    'followup.how_now': "এখন কেমন বোধ করছেন?",
+    'followup.day_since': "আপনি {symptom}-এর কথা জানানোর পর এক দিন হয়ে গেছে। এখন কেমন বোধ করছেন?",
+    'followup.another_day_since': "আপনি {symptom}-এর কথা জানানোর পর আরও এক দিন হয়ে গেছে। এখন কেমন বোধ করছেন?",
+    'followup.options': "1️⃣ ভালো/উন্নতি হয়েছে\n2️⃣ প্রায় একই রকম\n3️⃣ আগের চেয়ে খারাপ\n4️⃣ খোঁজখবর শেষ করুন (সমস্যা সেরে গেছে বা আর খেয়াল রাখতে চান না)\n\nঅনুগ্রহ করে আপনার পছন্দের নম্বরটি পাঠান।",
+    'followup.completed': "✅ সুকূন সারথির সঙ্গে উপসর্গের খেয়াল রাখার জন্য ধন্যবাদ। আপনার খোঁজখবর শেষ হয়েছে।",
+    'followup.next_tomorrow': "কাল আবার আপনার খোঁজ নেব। তার আগে উপসর্গে বড় বদল হলে প্রধান মেনু থেকে উপসর্গ পরীক্ষা বেছে নিন।",
+    'followup.restart': "দুঃখিত, আপনার উত্তর নথিভুক্ত করতে পারলাম না। চলুন আবার শুরু করি।",
+    'followup.error': "দুঃখিত, আপনার খোঁজখবর নথিভুক্ত করতে সমস্যা হয়েছে। পরে আবার চেষ্টা করুন।",
+    'followup.stage_error': "দুঃখিত, আপনার খোঁজখবরে কিছু ভুল হয়েছে। চলুন আবার শুরু করি।",
+    'followup.choose_assessment': "আপনার কয়েকটি উপসর্গ পরীক্ষা চলছে। কোনটার অবস্থা জানাতে চান?",
+    'followup.assessment_option': "{number}. {symptom} ({date} থেকে)",
+    'followup.status_error': "দুঃখিত, এখন আপনার উপসর্গের অবস্থা পাওয়া গেল না। পরে আবার চেষ্টা করুন।",
+
+    // SOS and caregiver alerts
+    'sos.sent': "🆘 আপনার SOS পাঠানো হয়েছে। আমি {names}-কে জানিয়েছি।\n\nকেউ সাড়া না দেওয়া পর্যন্ত আমি তাঁদের জানাতে থাকব, আর সাড়া পেলেই আপনাকে জানাব।\n\nআপনি বিপদে থাকলে এখনই জরুরি পরিষেবায় ফোন করুন:\n{helplines}",
+    'sos.sent_again': "🆘 আমি {names}-কে আবার জানিয়েছি।\n\nকেউ সাড়া না দেওয়া পর্যন্ত আমি তাঁদের জানাতে থাকব, আর সাড়া পেলেই আপনাকে জানাব।\n\nআপনি বিপদে থাকলে এখনই জরুরি পরিষেবায় ফোন করুন:\n{helplines}",
+    'sos.not_delivered': "🆘 আমি আপনার পরিবারের কারও বা জরুরি যোগাযোগের কারও কাছে পৌঁছাতে পারিনি।\n\nএখনই সাহায্যের জন্য ফোন করুন:\n{helplines}",
+    'sos.acknowledged': "✅ {caregiver} আপনার SOS দেখেছেন এবং সাহায্য করতে আসছেন।",
+    'sos.confirm': "🆘 আপনার কি এখনই সাহায্য দরকার? *SOS* লিখে পাঠান, আমি সঙ্গে সঙ্গে আপনার পরিবার ও জরুরি যোগাযোগকে জানাব।\n\nআপনি বিপদে থাকলে এখনই জরুরি পরিষেবায় ফোন করুন:\n{helplines}\n\nআপনি অন্য কিছু বোঝাতে চাইলে, আমি কী করতে পারি দেখতে *menu* লিখে পাঠান।",
+    'alert.sos': "🆘 *{name}-এর কাছ থেকে SOS*\n\n{name} সাহায্য চেয়েছেন।\n📍 *জায়গা:* {location}\n🕒 *সময়:* {time} ({timezone})\n\nএখনই ওঁকে ফোন করুন। যোগাযোগ না হলে জরুরি পরিষেবায় ({emergency}) ফোন করুন।\nআপনি দেখা শুরু করলেই *ack* লিখুন — কেউ তা না করা পর্যন্ত এই সতর্কতা প্রতি {minutes} মিনিটে আবার আসবে। (সতর্কতা {alertId})",
+    'alert.location_unknown': "সংরক্ষিত নেই",
+    'alert.symptom_emergency': "🚨 *সম্ভাব্য জরুরি অবস্থা: {name}*\n\n{name} এমন উপসর্গের কথা জানিয়েছেন যাতে জরুরি চিকিৎসা লাগতে পারে ({symptom}):\n\"{description}\"\n\nওঁকে জরুরি পরামর্শ আর হেল্পলাইন নম্বর দেওয়া হয়েছে। এখনই ওঁর সঙ্গে যোগাযোগ করুন।\nআপনি দেখছেন, তা অন্যদের জানাতে *ack* লিখুন। (সতর্কতা {alertId})",
+    'alert.checkin_concern': "🚨 *জরুরি দুশ্চিন্তা: {name}*\n\nখোঁজখবরের সময় {name} জানিয়েছেন: {concerns}।\n{excerpt}\nযত তাড়াতাড়ি সম্ভব ওঁর খোঁজ নিন।\nআপনি দেখছেন, তা অন্যদের জানাতে *ack* লিখুন। (সতর্কতা {alertId})",
+    'alert.checkin_concern_excerpt': "\n*উনি যা বলেছেন:*\n{excerpt}\n",
+    'alert.missed_unanswered': "⚠️ *ওষুধ বাদ পড়ার সতর্কতা*\n\n{name} {medicine}-এর শেষ {count}টি রিমাইন্ডারের উত্তর দেননি।\n\nআপনি ওঁর খোঁজ নিতে পারেন।\nআপনি দেখছেন, তা অন্যদের জানাতে *ack* লিখুন। (সতর্কতা {alertId})",
+    'alert.missed_per_week': "⚠️ *ওষুধ বাদ পড়ার সতর্কতা*\n\nগত 7 দিনে {name}-এর {medicine} {count} বার বাদ পড়েছে।\n\nআপনি ওঁর খোঁজ নিতে পারেন।\nআপনি দেখছেন, তা অন্যদের জানাতে *ack* লিখুন। (সতর্কতা {alertId})",
+    'alert.repeat_prefix': "🔁 *এখনও কেউ দেখেননি — পুনরাবৃত্তি {count}*",
+    'alert.escalated_prefix': "⏫ *পরের জনকে পাঠানো হয়েছে — এখনও কেউ দেখেননি*",
+    'alert.acknowledged_by': "✅ {caregiver} {name} সম্পর্কে সতর্কতাটি (সতর্কতা {alertId}) দেখেছেন এবং সামলাচ্ছেন।",
+    'alert.none_open': "✅ আপনার কোনো খোলা সতর্কতা নেই।",
+    'alert.open_title': "🚨 *আপনার খোলা সতর্কতা*",
+    'alert.open_item': "{number}. {type} — *{name}*\n   সতর্কতা {alertId} · {age}",
+    'alert.open_step': " · পরের জনকে পাঠানোর ধাপ {steps}-এর মধ্যে {step}",
+    'alert.open_ack_hint': "কোনো সতর্কতা দেখেছেন জানাতে *ack <alert id>* লিখুন, যেমন \"ack {alertId}\"।",
+    'alert.type_sos': "🆘 SOS",
+    'alert.type_symptom_emergency': "🚨 সম্ভাব্য জরুরি অবস্থা",
+    'alert.type_checkin_concern': "🚨 খোঁজখবরে জরুরি দুশ্চিন্তা",
+    'alert.type_missed_medication': "⚠️ ওষুধ বাদ পড়েছে",
+    'alert.type_other': "সতর্কতা",
+    'alert.ack_not_found': "{alertId} নামে কোনো খোলা সতর্কতা পাওয়া যায়নি। হয়তো আগেই কেউ দেখেছেন।",
+    'alert.ack_none': "দেখার মতো আপনার কোনো খোলা সতর্কতা নেই।",
+    'alert.ack_done': "✅ ধন্যবাদ — আপনি {name} সম্পর্কে সতর্কতাটি (সতর্কতা {alertId}) দেখেছেন। যাঁদের সতর্ক করা হয়েছিল, তাঁদের সবাইকে জানানো হয়েছে যে আপনি সামলাচ্ছেন।",
+    'alert.ack_already': "✅ {caregiver} ইতিমধ্যেই {name} সম্পর্কে সতর্কতাটি (সতর্কতা {alertId}) দেখেছেন এবং সামলাচ্ছেন। আপনাকে আর কিছু করতে হবে না।",
+
+    // Times and days
+    'time.today': "আজ",
+    'time.minutes_ago': "{count} মিনিট আগে",
+    'time.hours_ago': "{count} ঘণ্টা আগে",
+    'time.one_day_ago': "1 দিন আগে",
+    'time.days_ago': "{count} দিন আগে",
+    'day.sun': "রবি",
+    'day.mon': "সোম",
+    'day.tue': "মঙ্গল",
+    'day.wed': "বুধ",
+    'day.thu': "বৃহঃ",
+    'day.fri': "শুক্র",
+    'day.sat': "শনি",
+
+    // Acting for a family member ("for:<number> ...")
+    'proxy.not_linked': "আপনার {phone} সামলানোর অনুমতি নেই।",
+    'proxy.fallback_parent_name': "আপনার বাবা/মা",
+    'proxy.fallback_caregiver_name': "আপনার পরিচর্যাকারী",
+    'proxy.no_permission_manage_medications': "আপনার {name}-এর ওষুধ সামলানোর অনুমতি নেই।",
+    'proxy.no_permission_view_medications': "আপনার {name}-এর ওষুধ দেখার অনুমতি নেই।",
+    'proxy.no_permission_view_symptoms': "আপনার {name}-এর উপসর্গ দেখার অনুমতি নেই।",
+    'proxy.no_permission_view_reports': "আপনার {name}-এর রিপোর্ট দেখার অনুমতি নেই।",
+    'proxy.add_start': "আমি {name}-এর জন্য ওষুধ যোগ করতে আপনাকে সাহায্য করব।\n\nওষুধের নাম লিখুন:",
+    'proxy.no_medications': "{name}-এর কোনো ওষুধ পাওয়া যায়নি।",
+    'proxy.update_which': "{name}-এর কোন ওষুধটি বদলাতে চান?\n\n{list}",
+    'proxy.delete_which': "{name}-এর কোন ওষুধটি মুছতে চান?\n\n{list}\nআপনার পছন্দের নম্বরটি পাঠান।",
+    'proxy.medications_title': "{name}-এর ওষুধ:",
+    'proxy.medication_item': "{number}. {medicine}\n   সময়: {time}, কতবার: {frequency}",
+    'proxy.invite_usage': "{name}-এর জন্য পরিচর্যাকারী যোগ করতে \"for:{phone} invite\" লিখে তাঁর ফোন নম্বর আর ভূমিকা (primary, secondary বা view-only) লিখুন।",
+    'proxy.unknown_command': "কমান্ডটি বুঝতে পারিনি। {name}-এর হয়ে আপনি লিখতে পারেন:\n• \"add medicine\", \"update medicine\", \"delete medicine\"\n• \"check medications\", \"history\", \"adherence\"\n• \"report\", \"symptoms\", \"follow-ups\"\n• \"invite <phone> <role>\"",
+    'proxy.error': "আপনার অনুরোধটি সম্পন্ন করতে গিয়ে একটি সমস্যা হয়েছে।",
+    'proxy.no_recent_symptoms': "গত 30 দিনে {name} কোনো উপসর্গের কথা জানাননি।",
+    'proxy.recent_symptoms_title': "🩺 *{name}-এর সাম্প্রতিক উপসর্গ*",
+    'proxy.recent_symptom_item': "{number}. *{symptom}* — {date}, {status}",
+    'proxy.symptom_active': "ফলো-আপ চলছে",
+    'proxy.symptom_closed': "বন্ধ",
+    'proxy.no_follow_ups': "{name}-এর কোনো খোলা ফলো-আপ নেই।",
+    'proxy.follow_ups_title': "🔁 *{name}-এর খোলা ফলো-আপ*",
+    'proxy.follow_up_item': "{number}. *{symptom}* — জানানো হয়েছে: {when}",
+    'proxy.follow_up_last': "   শেষ খবর: {status}",
+    'proxy.follow_up_none': "   এখনও ফলো-আপের কোনো উত্তর নেই",
+    'proxy.status_improved': "আগের চেয়ে ভালো",
+    'proxy.status_same': "প্রায় একই রকম",
+    'proxy.status_worse': "আগের চেয়ে খারাপ ⚠️",
+    'proxy.notice_add_started': "{caregiver} আপনার জন্য একটি ওষুধ যোগ করা শুরু করেছেন।",
+    'proxy.notice_update_started': "{caregiver} আপনার একটি ওষুধ বদলানো শুরু করেছেন।",
+    'proxy.notice_delete_started': "{caregiver} আপনার একটি ওষুধ মোছা শুরু করেছেন।",
+    'proxy.notice_medication_added': "{caregiver} আপনার জন্য একটি নতুন ওষুধ যোগ করেছেন: {medicine} ({dosage}), {time}-এ",
+    'proxy.notice_medication_added_prn': "{caregiver} আপনার জন্য একটি নতুন ওষুধ যোগ করেছেন: {medicine} ({dosage}), দরকার হলে খাওয়ার জন্য",
+    'proxy.notice_medication_updated': "{caregiver} আপনার একটি ওষুধ বদলেছেন: {medicine}",
+    'proxy.notice_medication_deleted': "{caregiver} আপনার একটি ওষুধ মুছে দিয়েছেন: {medicine}",
+    'proxy.notice_history_viewed': "{caregiver} গত 7 দিনের আপনার ওষুধের ইতিহাস দেখেছেন।",
+    'proxy.notice_history_all_viewed': "{caregiver} আপনার ওষুধের পুরো ইতিহাস দেখেছেন।",
+    'proxy.notice_medications_viewed': "{caregiver} আপনার ওষুধগুলি দেখেছেন ({count}টি ওষুধ)।",
+    'proxy.notice_medications_none_viewed': "{caregiver} আপনার ওষুধ দেখেছেন। এখনও কোনো ওষুধ যোগ করা হয়নি।",
+    'proxy.notice_adherence_viewed': "আপনি কতটা নিয়মিত ওষুধ খাচ্ছেন, তা {caregiver} দেখেছেন।",
+    'proxy.notice_follow_ups_viewed': "{caregiver} আপনার উপসর্গের খোলা ফলো-আপ দেখেছেন।",
+    'proxy.notice_symptoms_viewed': "{caregiver} আপনার সাম্প্রতিক উপসর্গ দেখেছেন।",
+    'proxy.notice_report_viewed': "{caregiver} আপনার সম্পর্কে আজকের রিপোর্ট দেখেছেন।",
+    'proxy.notice_caregiver_invited': "{caregiver} {phone}-কে আপনার {role} হওয়ার আমন্ত্রণ পাঠিয়েছেন।",
+
+    // Weekly digest
+    'digest.title': "📅 *সাপ্তাহিক সারাংশ*\n_গত 7 দিন এক নজরে_",
+    'digest.section_wellbeing': "😊 *শরীর-মন*",
+    'digest.section_medication': "💊 *ওষুধ*",
+    'digest.section_symptoms': "🩺 *উপসর্গ*",
+    'digest.footer': "কত ঘন ঘন রিপোর্ট পাবেন তা বদলাতে \"reports\" লিখুন।",
+    'digest.template_prefix': "সাপ্তাহিক সারাংশ।",
+    'digest.fallback_name': "আপনার পরিবারের সদস্য",
+    'digest.no_checkins': "এই সপ্তাহে কোনো খোঁজখবর হয়নি।",
+    'digest.mood': "মেজাজ: {moods} ({count}টি খোঁজখবর)",
+    'digest.trend_steady': "প্রবণতা: গত সপ্তাহের মতোই",
+    'digest.trend_improving': "প্রবণতা: গত সপ্তাহের চেয়ে 📈 ভালো",
+    'digest.trend_lower': "প্রবণতা: গত সপ্তাহের চেয়ে 📉 কম",
+    'digest.concerns': "জানানো দুশ্চিন্তা: {concerns}",
+    'digest.no_concerns': "কোনো দুশ্চিন্তার কথা জানানো হয়নি।",
+    'digest.no_doses': "এই সপ্তাহে রিমাইন্ডার দেওয়া কোনো ডোজ নথিভুক্ত হয়নি।",
+    'digest.adherence': "সময়মতো ওষুধ: {summary}",
+    'digest.missed_doses': "বাদ পড়া ডোজ: {doses}",
+    'digest.no_missed_doses': "কোনো ডোজ বাদ পড়েনি। 👏",
+    'digest.most_missed_time': "সবচেয়ে বেশি বাদ পড়া সময়: {time}",
+    'digest.symptoms': "জানানো উপসর্গ: {symptoms}",
+    'digest.no_symptoms': "এই সপ্তাহে কোনো উপসর্গের কথা জানানো হয়নি।",
+    'digest.open_follow_ups': "খোলা ফলো-আপ: {followUps}",
+    'digest.follow_up_since': "{symptom} ({date} থেকে)",
+
+    // Check-ins, when the AI is unavailable
+    'checkin.fallback_question': "নমস্কার {name}! আজ কেমন বোধ করছেন? আপনার দিন কেমন কাটছে শুনতে ইচ্ছে করছে। 😊",
+    'checkin.fallback_reply': "আমাকে জানানোর জন্য ধন্যবাদ। উত্তর দেওয়ার জন্য সময় বের করার জন্য কৃতজ্ঞ। 😊",
+    'checkin.fallback_follow_up': "শুনে ভালো লাগল। আজ কেমন বোধ করছেন, আর একটু বলবেন? 😊",
+    'checkin.fallback_second_follow_up': "আজ আপনার ভালো লাগার জন্য কিছু কি সাহায্য করবে? আমি শোনার জন্য আছি। 💗",
+    'checkin.fallback_final': "এসব আমাকে জানানোর জন্য অনেক ধন্যবাদ। আপনার সঙ্গে কথা বলে ভালো লাগল, দিনের বাকিটা ভালো কাটুক। নিজের খেয়াল রাখবেন! 💗",
+
+    // Resuming a check-in after a medication reminder
+    'checkin.resume': "চলুন, আগের কথাবার্তা আবার শুরু করি। আপনি এর উত্তর দিচ্ছিলেন: \"{question}\"",
+    'checkin.resume_last_question': "আমার শেষ প্রশ্ন",
+
+    // General AI replies
+    'ai.disclaimer': "⚠️ *জরুরি*: এই তথ্য রোগ নির্ণয় নয়। স্বাস্থ্য নিয়ে চিন্তা হলে সবসময় ডাক্তারের পরামর্শ নিন।",
+    'ai.error': "দুঃখিত, এখন আপনার অনুরোধটি সম্পন্ন করতে পারলাম না। কিছুক্ষণ পরে আবার চেষ্টা করুন।"
+};
@@ -0,0 +1,535 @@
+// locales/en.js - English messages; every other catalog falls back to these for keys it doesn't have
+module.exports = {
+    // Shared
+    'common.reply_with_number': "Please reply with the number of your choice.",
+    'common.invalid_list_number': "Please enter a valid number from the list.",
+    'common.error': "I'm sorry, there was an error processing your request. Please try again later.",
+
+    // Language choice
+    'language.question': "Which language would you like me to use?\n\n{options}\n\nPlease reply with the number of your language.",
+    'language.invalid': "Please reply with the number of a language from the list:\n\n{options}",
+    'language.current': "I'm talking to you in {language}. To change it, reply with a number:\n\n{options}",
+    'language.updated': "✅ Done! I'll talk to you in {language} from now on.",
+    'language.update_failed': "❌ Couldn't change your language. Please try again later.",
+
+    // Main and medication menus
+    'menu.welcome': "Hello {name}, welcome to Sukoon Saarthi! 🌿",
+    'menu.managing_family': "You're managing accounts for {count} family member(s).\nTo send commands on their behalf, start your message with \"for:[their number]\" followed by your command.\nExample: \"for:+917XXXXXXXX check medications\"",
+    'menu.welcome_help': "I can assist with health tracking, symptom assessment, and medication reminders.\nType 'symptom' if you're feeling unwell or 'add medicine' to set up reminders.",
+    'menu.main': "What would you like to do today?\n\n1️⃣ Check symptoms\n2️⃣ Manage medications\n\nPlease reply with the number of your choice.",
+    'menu.main_invalid': "Please select either 1 for symptoms or 2 for medications.",
+    'menu.medication': "*Medication Management* 💊\n\nWhat would you like to do with your medications?\n\n{options}",
+    'menu.medication_invalid': "I'm not sure what you'd like to do with your medications. Please select one of the following options:\n\n{options}",
+    'menu.medication_options': "1️⃣ Add a new medication\n2️⃣ Update existing medication\n3️⃣ Delete a medication\n4️⃣ View medication information\n5️⃣ Check medication history (last week)\n6️⃣ Check all medication history\n7️⃣ Back to main menu\n\nPlease reply with the number of your choice.",
+    'menu.no_medications': "You don't have any medications set up yet. Type '1' to add a medication first.",
+    'menu.info_which': "Which medication would you like information about?",
+
+    // Account creation
+    'account.welcome': "Welcome to Sukoon Saarthi! 🌿",
+    'account.no_account': "Welcome to Sukoon Saarthi! It seems you don't have an account yet.\n\nTo create an account, please reply with \"create account\".",
+    'account.type_question': "Let's create your account. Are you creating an account for:\n\n1️⃣ Yourself (as an elderly user)\n2️⃣ For your parent\n\nPlease reply with 1 or 2.",
+    'account.type_invalid': "I didn't understand your response. Please reply with:\n\n1️⃣ for yourself (as an elderly user)\n2️⃣ for your parent",
+    'account.restart': "I'm sorry, something went wrong with your account creation. Let's start again.",
+    'account.ask_name': "Please enter your full name:",
+    'account.ask_age': "Thank you! Please enter your age:",
+    'account.invalid_age': "Please enter a valid age (a number between 1 and 120):",
+    'account.ask_location': "Please enter your city and state (e.g., Mumbai, Maharashtra):",
+    'account.timezone_question': "Which timezone is your home in? Reminders and check-ins will follow this local time.\n\n{options}\n\nPlease reply with a number, or type a timezone name (e.g., Europe/London).",
+    'account.parent_timezone_question': "Which timezone is your parent's home in? Reminders and check-ins will follow this local time.\n\n{options}\n\nPlease reply with a number, or type a timezone name (e.g., Europe/London).",
+    'account.timezone_option': "{number}. {timezone} (now {time})",
+    'account.ask_emergency_contact': "Please provide an emergency contact's WhatsApp number (with country code, e.g., +917XXXXXXXX):",
+    'account.invalid_phone': "Please enter a valid WhatsApp number with country code (e.g., +917XXXXXXXX):",
+    'account.ask_emergency_name': "What is the name of your emergency contact?",
+    'account.ask_emergency_relationship': "What is your relationship with the emergency contact?\n\nFor example: son, daughter, spouse, sibling, friend, etc.",
+    'account.created': "✅ Thank you, {name}! Your Sukoon Saarthi account has been created successfully.\n\nI'll help you manage medications, track symptoms, and stay healthy.\n\nType \"Hi\" anytime to see what I can do for you.",
+    'account.emergency_contact_notice': "Hello {contactName},\n\n{name} has added you as their emergency contact on Sukoon Saarthi, a healthcare assistant app.\n\nYou'll receive updates about their daily activities and medication adherence. If they need assistance, you'll be notified.\n\nNo action is needed from you right now. This is just to let you know.",
+    'account.create_failed': "There was an error creating your account. Please try again later or contact support.",
+    'account.parent_count_question': "Are you creating an account for:\n\n1️⃣ One parent\n2️⃣ Both parents (separate accounts)\n\nPlease reply with 1 or 2.",
+    'account.parent_count_invalid': "I didn't understand your response. Please reply with:\n\n1️⃣ for one parent\n2️⃣ for both parents",
+    'account.ask_parent_phone': "Please enter your parent's WhatsApp number (with country code, e.g., +917XXXXXXXX):",
+    'account.ask_first_parent_phone': "Please enter your first parent's WhatsApp number (with country code, e.g., +917XXXXXXXX):",
+    'account.parent_exists': "This phone number already has an account. Please provide a different number or contact support if you believe this is an error.",
+    'account.ask_parent_name': "Please enter your parent's full name:",
+    'account.ask_first_parent_name': "Please enter your first parent's full name:",
+    'account.ask_second_parent_name': "Please enter your second parent's full name:",
+    'account.ask_parent_language': "Which language should I use with {name}?\n\n{options}\n\nPlease reply with the number of their language.",
+    'account.ask_parent_age': "Please enter your parent's age:",
+    'account.ask_parent_location': "Please enter your parent's city and state (e.g., Mumbai, Maharashtra):",
+    'account.ask_parent_relationship': "What is your relationship with this parent?\n\nFor example: son, daughter, etc.",
+    'account.first_parent_created': "✅ First parent's account created successfully! {name} will be asked to agree before it becomes active.\n\nNow, please enter your second parent's WhatsApp number (with country code, e.g., +917XXXXXXXX):",
+    'account.parent_welcome_held': "Note: Due to WhatsApp policies, {name} will need to send a message to this number before they can receive messages. Please ask them to send \"Hi\" to {number} to activate their account.",
+    'account.parent_created': "✅ Your parent's account has been created successfully!\n\nI've asked your parent to agree before anything starts, and I'll let you know when they reply. Until then, you can add their medications, but no reminders, check-ins or reports will be sent.\n\n{proxyHelp}",
+    'account.parents_created': "✅ Both parent accounts have been created successfully!\n\nI've asked each parent to agree before anything starts, and I'll let you know when they reply. Until then, you can add their medications, but no reminders, check-ins or reports will be sent.\n\n{proxyHelp}",
+    'account.proxy_help': "To send commands on behalf of your parent, start your message with \"for:(parent's number)\" followed by your command.\n\nFor example: \"for:+917XXXXXXXX add medicine...\"\n\nYour account is also registered, and you can use Sukoon Saarthi for your own health needs. Type \"Hi\" to get started.",
+    'account.parent_create_failed': "There was an error creating the account. Please try again later or contact support.",
+
+    // Consent for caregiver-created accounts
+    'consent.request': "🙏 Hello {name}! {caregiver} has set up Sukoon Saarthi, a healthcare assistant, for you.\n\nBefore anything starts, please check what {caregiver} will be able to do:\n{permissions}\n\nI'll also send you medication reminders and check in on how you're feeling a few times a day.\n\nReply *agree* to start, or *decline* if you don't want this — I'll then delete your account and everything {caregiver} entered.",
+    'consent.not_found': "I couldn't find your account.",
+    'consent.retry': "❌ Something went wrong. Please reply *agree* again in a little while.",
+    'consent.given': "✅ Thank you, {name}! Your account is now active.\n\nType \"Hi\" anytime to see what I can do for you.",
+    'consent.confirm_decline': "⚠️ Are you sure, {name}? Declining deletes your account and everything {caregiver} entered for you, including your medicines.\n\nReply *DELETE* to delete it, or *agree* to keep it and start.",
+    'consent.declined': "Okay, {name}. Your account and everything that was entered for you have been deleted, and you won't hear from me again.\n\nIf you change your mind, just reply \"create account\".",
+    'consent.error': "❌ Something went wrong. Please try again later.",
+    'consent.given_notice': "✅ {name} has agreed to use Sukoon Saarthi. Reminders, check-ins and reports start now.",
+    'consent.declined_notice': "{name} has declined the Sukoon Saarthi account you set up, so it has been deleted along with the medications you added.",
+    'permission.view_medications': "see medications and whether doses were taken",
+    'permission.manage_medications': "add, change and remove medications",
+    'permission.view_symptoms': "see symptom checks and follow-ups",
+    'permission.view_reports': "receive daily and weekly reports",
+    'permission.manage_caregivers': "invite other caregivers",
+
+    // Caregiver roles, and what each lets the caregiver do
+    'role.primary': "primary caregiver",
+    'role.secondary': "secondary caregiver",
+    'role.view_only': "view-only caregiver",
+    'role.custom': "caregiver with custom access",
+    'access.view_medications': "see medications and whether doses were taken",
+    'access.manage_medications': "add, change and remove medications",
+    'access.view_symptoms': "see symptom checks and follow-ups",
+    'access.view_reports': "receive daily and weekly reports",
+    'access.manage_caregivers': "invite other caregivers",
+
+    // Caregivers
+    'caregiver.invite_usage': "To invite a caregiver, send \"invite\" followed by their phone number and, optionally, a role.\n\nFor example: \"invite +919876543210 secondary\"\n\nRoles:\n• *primary* — full access, and can invite others\n• *secondary* — can view and manage medications, symptoms and reports\n• *view-only* — can view medications, symptoms and reports",
+    'caregiver.invite_primary_only': "Only the primary caregiver can invite other caregivers.",
+    'caregiver.invite_which_elder': "You manage caregivers for more than one person. Please say who this is for, e.g. \"for:{parentPhone} invite {phone}\"",
+    'caregiver.invite_no_account': "No Sukoon Saarthi account was found for {phone}.",
+    'caregiver.invite_not_allowed': "Only {name} or their primary caregiver can invite caregivers.",
+    'caregiver.invite_self': "Please enter the phone number of the person you'd like to invite.",
+    'caregiver.invite_pending': "{phone} has already been invited and hasn't replied yet.",
+    'caregiver.invite_exists': "{phone} is already a caregiver for {name}.",
+    'caregiver.invite_failed': "❌ Couldn't send the invitation. Please try again later.",
+    'caregiver.invite_message': "👋 Hello! {inviter} has invited you to be a {role} for {name} on Sukoon Saarthi, a healthcare assistant.\n\nAs a {role} you'll be able to:\n{permissions}\n\nReply *accept* to join, or *decline* if you'd rather not.",
+    'caregiver.invite_not_delivered': "❌ Couldn't send the invitation to {phone}. Please check the number and try again.",
+    'caregiver.invite_sent': "✅ Invitation sent to {phone} as a {role} for {name}. I'll let you know when they reply.",
+    'caregiver.no_invites': "You don't have any invitations waiting.",
+    'caregiver.invite_declined_notice': "{caregiver} declined the invitation to be a caregiver for {name}.",
+    'caregiver.invite_declined': "No problem — you won't be added as a caregiver for {name}.",
+    'caregiver.accept_failed': "❌ Couldn't accept the invitation. Please try again later.",
+    'caregiver.joined_notice': "✅ {caregiver} is now a {role} for {name}.",
+    'caregiver.joined': "✅ You're now a {role} for {name}.\n\nTo act on their behalf, start a message with \"for:{phone}\", e.g. \"for:{phone} check medications\". Type \"hi\" to see what else I can do.",
+    'caregiver.error': "❌ Something went wrong. Please try again later.",
+    'caregiver.elder_only': "Only the person being cared for can change who sees their information.",
+    'caregiver.none': "You don't have any caregivers yet.\n\nTo add one, type \"invite\" followed by their phone number.",
+    'caregiver.list_title': "👥 *Your caregivers*",
+    'caregiver.list_item': "{number}. *{name}* ({phone}) — {role}",
+    'caregiver.list_permission': "   • can {permission}",
+    'caregiver.list_no_access': "   • has no access right now",
+    'caregiver.list_help': "To change access, type e.g. \"grant reports to {name}\" or \"revoke manage medications from {name}\".\nTo remove someone, type \"remove caregiver\" followed by their name or number.",
+    'caregiver.not_found_phone': "{phone} isn't one of your caregivers. Type \"caregivers\" to see them.",
+    'caregiver.ambiguous_name': "More than one caregiver is called {name}. Please use their phone number instead.",
+    'caregiver.not_found_name': "I couldn't find a caregiver called {name}. Type \"caregivers\" to see them.",
+    'caregiver.permission_usage': "To change what a caregiver can do, type for example:\n• \"grant reports to Ravi\"\n• \"revoke manage medications from +919876543210\"\n\nPermissions: medications, manage medications, symptoms, reports, manage caregivers\n\nType \"caregivers\" to see who has access now.",
+    'caregiver.already_granted': "{caregiver} can already {permission}.",
+    'caregiver.already_revoked': "{caregiver} already can't {permission}.",
+    'caregiver.granted': "✅ {caregiver} can now {permission}.",
+    'caregiver.revoked': "✅ {caregiver} can no longer {permission}.",
+    'caregiver.access_update_failed': "❌ Couldn't update their access. Please try again later.",
+    'caregiver.granted_notice': "🔓 {name} has allowed you to {permission}.",
+    'caregiver.revoked_notice': "🔒 {name} has changed your access: you can no longer {permission}.",
+    'caregiver.remove_usage': "Please say who to remove, e.g. \"remove caregiver Ravi\". Type \"caregivers\" to see them.",
+    'caregiver.remove_failed': "❌ Couldn't remove them. Please try again later.",
+    'caregiver.removed_notice': "{name} has removed you as a caregiver on Sukoon Saarthi. You'll no longer receive their reports or alerts.",
+    'caregiver.removed': "✅ {caregiver} is no longer your caregiver and can't see any of your information.",
+    'caregiver.fallback_name': "your caregiver",
+    'caregiver.refill_needed': "⚠️ *Refill needed*\n\n{name} is running low on *{medicine}*: about {days} day(s) left ({count} pill(s)).",
+
+    // Caregiver report preference
+    'reports.frequency_daily': "a daily report every evening",
+    'reports.frequency_weekly': "a weekly digest every Sunday evening",
+    'reports.frequency_both': "both the daily report and the weekly digest",
+    'reports.not_caregiver': "Reports are sent to caregivers about the family members they look after. You aren't linked to anyone yet.",
+    'reports.current': "📊 You currently get {frequency}.\n\nTo change this, reply \"reports daily\", \"reports weekly\" or \"reports both\".",
+    'reports.invalid': "Please reply \"reports daily\", \"reports weekly\" or \"reports both\".",
+    'reports.update_failed': "❌ Couldn't update your report preference. Please try again later.",
+    'reports.updated': "✅ Done! You'll now get {frequency}.",
+    'reports.consent_pending': "{name} hasn't agreed to their account yet, so there's no report. I'll let you know when they do.",
+    'reports.error': "❌ Couldn't generate the daily report. Please try again later.",
+
+    // Daily report for caregivers
+    'report.title': "📋 *Daily Report for {name}* ({date})",
+    'report.fallback_name': "your family member",
+    'report.section_health': "*🩺 Health & Mood*",
+    'report.section_medication': "*💊 Medication*",
+    'report.section_activities': "*🚶 Activities & Highlights*",
+    'report.no_checkins': "No check-ins were recorded today. This could mean they were away or did not respond to the check-in messages.",
+    'report.mood': "Mood: {emoji} {mood} ({count} check-ins)",
+    'report.mood_one': "Mood: {emoji} {mood} (1 check-in)",
+    'report.mood_positive': "Positive",
+    'report.mood_neutral': "Neutral",
+    'report.mood_negative': "Negative",
+    'report.area_physical': "Physical",
+    'report.area_emotional': "Emotional",
+    'report.area_social': "Social",
+    'report.rating_good': "good",
+    'report.rating_fair': "fair",
+    'report.rating_concerning': "concerning",
+    'report.concerns': "⚠️ Concerns:",
+    'report.no_concerns': "No concerns noted.",
+    'report.no_medications': "No medications scheduled for today.",
+    'report.med_awaiting': "• {medicine}: awaiting a reply",
+    'report.med_none_due': "• {medicine}: no doses due yet",
+    'report.med_taken': "• {medicine}: {taken} of {total} taken {emoji}",
+    'report.med_pending': ", {count} awaiting a reply",
+    'report.this_week': "📊 This week: {summary}",
+    'report.most_missed_time': "Most missed time: {time}",
+    'report.activities': "Activities: {activities}",
+    'report.no_activities': "No activities recorded today.",
+    'report.more': "…and more",
+    'report.and': " and ",
+    'report.fallback_subject': "Your family member",
+    'report.times_once': "once",
+    'report.times_twice': "twice",
+    'report.times_count': "{count} times",
+    'report.summary_checkins': "{name} checked in {times} today.",
+    'report.summary_checkins_positive': "{name} checked in {times} today and seemed in good spirits.",
+    'report.summary_checkins_neutral': "{name} checked in {times} today and seemed to be doing okay.",
+    'report.summary_checkins_negative': "{name} checked in {times} today and seemed low.",
+    'report.summary_needs_attention': "Their {areas} wellbeing needs attention.",
+    'report.summary_all_well': "They were doing well physically, emotionally and socially.",
+    'report.summary_activities': "They mentioned {activities}.",
+    'report.summary_one_concern': "One thing to follow up on: {concerns}.",
+    'report.summary_concerns': "{count} things to follow up on: {concerns}.",
+    'report.summary_missed': "They missed {medicines} today.",
+    'report.summary_all_taken': "They took all {count} doses due today.",
+    'report.summary_all_taken_one': "They took the 1 dose due today.",
+    'report.highlight_good_spirits': "In good spirits",
+    'report.highlight_all_well': "Feeling well all round",
+    'report.highlight_all_taken': "All medications taken",
+    'report.highlight_adherence_up': "Medication adherence up {change}% on last week",
+
+    // Medication reminders
+    'reminder.due': "🔔 Reminder: It's time to take your medicine - *{medicine}*{dose}. \n\nHave you taken it? ✅ Yes / ❌ No",
+    'reminder.dont_forget': "Don't forget to take your {medicine}! Please respond with \"Yes\" when you've taken it or \"No\" if you need a reminder later.",
+    'reminder.or_checkin': "I noticed you have both a medication reminder and an active check-in conversation. Which one are you responding to?\n\n1️⃣ Medication reminder ({medicine})\n2️⃣ Check-in conversation\n\nPlease reply with 1 or 2.",
+    'reminder.or_checkin_invalid': "Please reply with either 1 for medication reminder or 2 for check-in conversation.",
+    'reminder.response_error': "Sorry, there was an error processing your medication response. Please try again later.",
+
+    // Picking between conversations
+    'disambiguation.invalid_option': "Please select a valid option between 1 and {count}.",
+    'disambiguation.fallback': "I'm not sure how to process your response. Let's start fresh.",
+    'disambiguation.error': "I'm sorry, I had trouble understanding your response. Let's start over.",
+    'disambiguation.menu_vs_symptom': "I noticed you sent a number, but you have both a menu selection and a symptom assessment in progress. What are you responding to?\n\n1. Menu selection\n2. Symptom assessment\n\nPlease reply with 1 or 2.",
+    'disambiguation.question': "I noticed you have multiple conversations active. What are you responding to?",
+
+    // Medications
+    'med.time_question': "At what time should I remind you? (Format: HH:MM AM/PM)",
+    'med.frequency_question': "How many times per day do you need to take this medicine?\n\n1️⃣ Once daily\n2️⃣ Twice daily\n3️⃣ Three times daily\n4️⃣ Four times daily\n\nReply with the number or specify a different frequency (e.g., '5 times a day'):",
+    'med.duration_question': "For how many days do you need to take this medicine? (Type a number or 'ongoing' for medications without an end date)",
+    'med.stock_question': "How many pills do you have right now? I'll let you know when it's time to refill. (Type a number or 'skip' if you don't want to track stock)",
+    'med.schedule_question': "How often do you take this medicine?\n\n1️⃣ Every day\n2️⃣ On specific days (e.g., Mon/Wed/Fri)\n3️⃣ Every few days (e.g., every other day)\n4️⃣ Once a week\n5️⃣ Tapering dose (the dose changes over time)\n6️⃣ Only when needed\n\nReply with the number or describe it (e.g., 'every other day'):",
+    'med.field_medicine': "Medicine",
+    'med.field_dosage': "Dosage",
+    'med.field_frequency': "Frequency",
+    'med.field_schedule': "Schedule",
+    'med.field_time': "Time",
+    'med.field_times': "Times",
+    'med.field_duration': "Duration",
+    'med.field_stock': "Stock",
+    'med.not_specified': "Not specified",
+    'med.ongoing': "Ongoing",
+    'med.ongoing_no_end': "ongoing (no end date)",
+    'med.when_needed': "When needed (no reminders)",
+    'med.days': "{count} days",
+    'med.pills': "{count} pills",
+    'med.none_yet': "You don't have any medications set up yet. Type 'add medicine' to add one.",
+    'med.not_found': "I couldn't find a medicine called *{medicine}*. Please check the name and try again.",
+    'med.flow_error': "Sorry, there was an error with your request. Let's start again.",
+    'med.update_which': "Which medication would you like to update?",
+    'med.update_ask_name': "You selected: {medicine}\n\nPlease enter the new name for this medication (or type 'same' to keep it the same):",
+    'med.update_ask_dosage': "Please enter the dosage for {medicine} (e.g., \"500mg\" or type 'same' to keep \"{dosage}\"):",
+    'med.update_ask_time': "Current reminder time is {time}. Please enter the new time (Format: HH:MM AM/PM) or type 'same' to keep it the same:",
+    'med.update_ask_frequency': "Current frequency is \"{frequency}\". How many times per day should this medicine be taken?\n\n1️⃣ Once daily\n2️⃣ Twice daily\n3️⃣ Three times daily\n4️⃣ Four times daily\n\nReply with the number, specify a different frequency, or type 'same' to keep it the same:",
+    'med.update_ask_duration': "Current duration is {duration}. For how many days should this medicine be taken? (Type a number, 'ongoing' for medications without an end date, or 'same' to keep it the same)",
+    'med.update_ask_stock': "Current stock is {stock}. How many pills do you have now? (Type a number, 'none' to stop tracking stock, or 'same' to keep it the same)",
+    'med.stock_not_tracked': "not being tracked",
+    'med.update_invalid_stock': "Please enter the number of pills, 'none' or 'same':",
+    'med.updated': "✅ Medication updated successfully!\n\n{details}",
+    'med.update_failed': "❌ Sorry, there was an error updating your medication. Please try again later.",
+    'med.add_ask_name': "Please enter the medicine name:\n\n_Tip: you can also add a medicine in one message, e.g. 'add Metformin 500mg twice a day after meals for 30 days at 8 am'_",
+    'med.add_restart': "I'm sorry, something went wrong with your medication setup. Let's start again.",
+    'med.add_ask_dosage': "Please enter the dosage (e.g., '500mg') or type 'none' if not applicable:",
+    'med.add_ask_dosage_prn': "Please enter the dosage (e.g., '500mg') or type 'none' if not applicable:\n\n_Whenever you take a dose, reply *took <medicine>* so I can keep track._",
+    'med.add_invalid_stock': "Please enter the number of pills, or 'skip':",
+    'med.added': "✅ Medication added successfully!\n\n{details}",
+    'med.added_for': "The medication has been added for {phone}.",
+    'med.add_failed': "❌ Sorry, there was an error adding your medication. Please try again later.",
+    'med.schedule_ask_days': "Which days do you take it? (e.g., 'Mon/Wed/Fri' or 'weekdays')",
+    'med.schedule_ask_interval': "Every how many days? (e.g., '2' for every other day)",
+    'med.schedule_ask_weekly': "Which day of the week? (e.g., 'Sunday')",
+    'med.schedule_ask_taper': "Please list each dose and how many days it lasts, in order (e.g., '40mg for 5 days, 20mg for 5 days, 10mg for 3 days'):",
+    'med.schedule_ask_prn': "What's the most doses allowed in 24 hours? (Type a number or 'none')",
+    'med.schedule_invalid': "Sorry, I didn't understand that schedule. Please reply with a number from 1 to 6.",
+    'med.schedule_invalid_weekly': "Please enter one day of the week (e.g., 'Sunday'):",
+    'med.schedule_invalid_days': "Please enter the days, e.g., 'Mon/Wed/Fri':",
+    'med.schedule_invalid_interval': "Please enter a number of days (e.g., '2' for every other day):",
+    'med.schedule_invalid_taper': "Please list the doses like this: '40mg for 5 days, 20mg for 5 days'",
+    'med.schedule_invalid_prn': "Please enter the most doses allowed in 24 hours, or 'none':",
+
+    // Describing a medication schedule
+    'schedule.daily': "Every day",
+    'schedule.weekly': "Weekly on {day}",
+    'schedule.every_other_day': "Every other day",
+    'schedule.every_n_days': "Every {count} days",
+    'schedule.taper': "Tapering: {steps}",
+    'schedule.taper_step': "{dosage} for {days} days",
+    'schedule.taper_then': ", then ",
+    'schedule.prn': "As needed",
+    'schedule.prn_max': "As needed (max {count} in 24 hours)",
+    'med.quick_setup': "Let's set up *{medicine}*.\n\n{question}",
+    'med.quick_ask_time': "At what time should I remind you to take *{medicine}*? (Format: HH:MM AM/PM)",
+    'med.quick_confirm': "📝 Here's what I understood:\n\n{details}\n\n1️⃣ Save\n2️⃣ Edit step by step\n3️⃣ Cancel",
+    'med.quick_step_by_step': "Let's go through *{medicine}* step by step.\n\n{question}",
+    'med.quick_cancelled': "Okay, I haven't added *{medicine}*.",
+    'med.quick_confirm_invalid': "Please reply 1 to save, 2 to edit step by step, or 3 to cancel.",
+    'med.marked_taken': "✅ Great! I've marked *{medicine}* as taken.",
+    'med.mark_taken_failed': "⚠️ Sorry, I couldn't mark {medicine} as taken. Please try again later.",
+    'med.missed_remind_again': "❗ No problem! I'll remind you to take *{medicine}* again in 30 minutes.",
+    'med.missed_failed': "⚠️ Sorry, I couldn't process your response. I'll still remind you again later.",
+    'med.unknown_reference': "I'm not sure which medication you're referring to. Please specify the medicine name.",
+    'med.history_empty': "You have {count} medications set up, but no history of taking them has been recorded yet.\n\nYour medication history will be displayed here once you start responding to medication reminders.",
+
+    // Medication history
+    'history.title': "📜 *Medication History for {phone}*:",
+    'history.medicine': "💊 *{medicine}*:",
+    'history.dosage': "   - Dosage: {value}",
+    'history.times': "   - Reminder Time(s): {value}",
+    'history.frequency': "   - Frequency: {value}",
+    'history.schedule': "   - Schedule: {value}",
+    'history.duration': "   - Duration: {value}",
+    'history.start_date': "   - Start Date: {value}",
+    'history.end_date': "   - End Date: {value}",
+    'history.taken': "   - Taken: {count} times",
+    'history.missed': "   - Missed: {count} times",
+    'history.dates': "       *Dates:* {dates}",
+    'history.none': "None",
+    'history.not_available': "N/A",
+    'history.error': "❌ Error fetching medication history. Please try again later.",
+    'med.delete_which': "Which medication would you like to delete?",
+    'med.delete_confirm': "Are you sure you want to delete *{medicine}*?\n\nThis will also delete all reminders for this medication.\n\nReply with *Yes* to confirm or *No* to cancel.",
+    'med.deleted': "✅ The medication *{medicine}* has been deleted successfully.",
+    'med.delete_failed': "❌ Sorry, there was an error deleting the medication. Please try again later.",
+    'med.delete_cancelled': "Deletion cancelled. Your medication has not been changed.",
+    'med.escalate_usage': "To choose when your caregivers are alerted about missed doses, send:\n\n• *escalate <medicine> after 2 nudges* - after 2 unanswered reminders in a row\n• *escalate <medicine> after 3 missed* - after 3 missed doses in a week\n• *escalate <medicine> off* - never alert for this medicine\n• *escalate <medicine> on* - turn alerts back on",
+    'med.escalation_off': "🔕 Caregivers will no longer be alerted about missed doses of *{medicine}*.",
+    'med.escalation_on': "🔔 Caregivers will be alerted about *{medicine}* after {nudges} unanswered reminders in a row, or {missed} missed doses in a week.",
+    'med.refill_usage': "To update your stock after a refill, send *refill <medicine> <number of pills>*, for example: refill Metformin 30",
+    'med.refilled': "📦 *{medicine}* restocked. You now have {count} pills{daysLeft}.",
+    'med.refill_days_left': ", enough for about {days} days",
+    'med.took_usage': "To log a dose, send *took <medicine>*, for example: took Paracetamol",
+    'med.dose_limit_reached': "🛑 You've already taken *{medicine}* {taken} times in the last 24 hours, which is the most allowed ({max}). Please don't take another dose now. If you still need relief, contact your doctor.",
+    'med.dose_log_failed': "❌ Sorry, I couldn't log that dose. Please try again later.",
+    'med.dose_logged': "✅ Logged a dose of *{medicine}*{limit}.",
+    'med.dose_limit_count': " ({taken} of {max} allowed in 24 hours)",
+    'med.running_low': "⚠️ *Running low: {medicine}*\n\nYou have about {days} day(s) left ({count} pills). Please arrange a refill soon.\n\nOnce you have more, reply *refill {medicine} <count>* to update your stock.",
+
+    // Medication adherence
+    'adherence.title': "📊 *Medication Adherence*",
+    'adherence.title_for': "📊 *Medication Adherence for {name}*",
+    'adherence.no_doses_30_days': "No reminded doses have been recorded in the last 30 days yet.",
+    'adherence.this_week': "*This week:* {summary}",
+    'adherence.last_30_days': "*Last 30 days:* {summary}",
+    'adherence.most_missed_time': "*Most missed time:* {time} ({count} missed)",
+    'adherence.med_week': "   - This week: {value}",
+    'adherence.med_no_doses': "No doses",
+    'adherence.med_month': "   - Last 30 days: {percentage}% ({missed} missed)",
+    'adherence.med_streak': "   - Streak: {current} day(s) (best {best})",
+    'adherence.med_most_missed': "   - Most missed: {time}",
+    'adherence.unavailable': "❌ Adherence report unavailable. Please try again later.",
+    'adherence.none': "No doses recorded",
+    'adherence.summary': "{percentage}% ({taken} of {total} doses)",
+    'adherence.same_week': ", same as the previous week",
+    'adherence.up_week': ", 📈 up {change}% on the previous week",
+    'adherence.down_week': ", 📉 down {change}% on the previous week",
+    'adherence.same_month': ", same as the previous 30 days",
+    'adherence.up_month': ", 📈 up {change}% on the previous 30 days",
+    'adherence.down_month': ", 📉 down {change}% on the previous 30 days",
+
+    // Symptom assessment
+    'symptom.ask_primary': "What symptom are you experiencing? Please describe it briefly.\n\nExamples: 'headache', 'stomach pain', 'cough', etc.",
+    'symptom.restart': "I'm sorry, something went wrong with your symptom assessment. Let's start again.",
+    'symptom.emergency_title': "🚨 *This may be a medical emergency*",
+    'symptom.family_alerted': "I've also alerted your family and emergency contact so they can help you.",
+    'symptom.emergency_closed': "I hope you're getting the help you need. If things get worse, please call emergency services straight away.\n\n{helplines}\n\nType 'symptom' any time to check a new symptom.",
+    'symptom.reply_with_answer_number': "Please reply with the number of your answer.",
+    'symptom.describe_briefly': "Please describe in a few words.",
+    'symptom.follow_up_tomorrow': "I'll check in with you tomorrow to see how your symptoms are progressing. I'll provide updated recommendations based on whether you're feeling better, the same, or worse.",
+    'symptom.none_active': "You don't have any active symptom assessments. If you're experiencing symptoms, you can start a new assessment by typing 'symptom'.",
+    'symptom.history_title': "📊 *Your Symptom History*",
+    'symptom.history_entry': "*{number}. {symptom}*\nStarted: {date}\nDays tracked: {days}",
+    'symptom.history_latest': "Latest status: {status}",
+    'symptom.history_update_hint': "To update your symptom status, type 'check symptom status'.",
+    'symptom.history_error': "I'm sorry, I couldn't retrieve your symptom history right now. Please try again later.",
+    'symptom.fallback_question': "How long have you been experiencing this symptom?",
+    'symptom.fallback_option_1': "Less than a day",
+    'symptom.fallback_option_2': "1-3 days",
+    'symptom.fallback_option_3': "4-7 days",
+    'symptom.fallback_option_4': "More than a week",
+    'symptom.progression_disclaimer': "⚠️ *Disclaimer*: This information is not a substitute for professional medical advice. If symptoms are severe or concerning, please consult a healthcare provider.",
+    'symptom.progression_error': "I'm having trouble analyzing your symptom progression. As a general precaution, if your symptoms persist or worsen, please consult a healthcare professional. Would you like to continue tracking these symptoms?",
+    'symptom.assessment_error': "I'm sorry, I couldn't complete your symptom assessment at this time. If you're concerned about your symptoms, please consult a healthcare provider.",
+
+    // Red-flag symptoms
+    'redflag.label_chest_pain': "chest pain or trouble breathing",
+    'redflag.label_stroke': "possible stroke signs",
+    'redflag.label_severe_bleeding': "severe bleeding",
+    'redflag.label_fainting': "fainting or loss of consciousness",
+    'redflag.label_suicidal': "thoughts of suicide or self-harm",
+    'redflag.guidance_chest_pain': "Chest pain or trouble breathing can be a heart attack or another emergency.\n\n• Call an ambulance now — don't drive yourself\n• Sit upright, stay still and loosen tight clothing\n• If a doctor prescribed medicine for chest pain (like a GTN spray), use it as directed\n• Unlock the door so help can get in",
+    'redflag.guidance_stroke': "These can be signs of a stroke. Remember *FAST*:\n*F*ace drooping · *A*rm weakness · *S*peech difficulty · *T*ime to call for help\n\n• Call an ambulance immediately\n• Note the time the symptoms started — doctors will ask\n• Don't eat, drink or take any medicine until a doctor has seen you",
+    'redflag.guidance_severe_bleeding': "Severe bleeding needs help right away.\n\n• Press firmly on the wound with a clean cloth and keep pressing\n• Raise the injured part above the heart if you can\n• Call an ambulance — if you take blood thinners, tell them",
+    'redflag.guidance_fainting': "Fainting or losing consciousness should be checked by a doctor straight away.\n\n• Lie down with your legs raised, or sit with your head between your knees\n• Don't get up quickly or stay alone\n• Call an ambulance if it happened without warning, with chest pain, or after a fall",
+    'redflag.guidance_suicidal': "I'm really sorry you're feeling this way. You're not alone, and you deserve support right now.\n\n• Please talk to someone you trust, or call a helpline below\n• If you might act on these thoughts, call emergency services now\n• Stay with someone, and keep away from anything you could use to hurt yourself",
+    'helpline.emergency': "📞 *Emergency:* {number}",
+    'helpline.emergency_unknown_country': "📞 *Emergency:* {number} (or your local emergency number)",
+    'helpline.ambulance': "🚑 *Ambulance:* {number}",
+    'helpline.support': "💬 *Support line:* {number}",
+
+    // Symptom follow-ups
+    'followup.title': "👋 *Follow-up: {symptom}*",
+    'followup.how_now': "How are you feeling now?",
+    'followup.day_since': "It's been a day since you reported {symptom}. How are you feeling now?",
+    'followup.another_day_since': "It's been another day since you reported {symptom}. How are you feeling now?",
+    'followup.options': "1️⃣ Better/Improved\n2️⃣ About the same\n3️⃣ Worse\n4️⃣ Complete follow-up (symptom resolved or no longer wish to track)\n\nPlease reply with the number of your choice.",
+    'followup.completed': "✅ Thank you for using Sukoon Saarthi symptom tracking. Your symptom follow-up is now complete.",
+    'followup.next_tomorrow': "I'll check in with you again tomorrow. If your symptoms change significantly before then, please use the symptom assessment option from the main menu.",
+    'followup.restart': "I'm sorry, I couldn't process your response. Let's start again.",
+    'followup.error': "I'm sorry, there was an error processing your follow-up. Please try again later.",
+    'followup.stage_error': "I'm sorry, something went wrong with your follow-up. Let's start again.",
+    'followup.choose_assessment': "You have multiple active symptom assessments. Which one would you like to update?",
+    'followup.assessment_option': "{number}. {symptom} (started on {date})",
+    'followup.status_error': "I'm sorry, I couldn't retrieve your symptom status right now. Please try again later.",
+
+    // SOS and caregiver alerts
+    'sos.sent': "🆘 Your SOS has been sent. I've alerted {names}.\n\nI'll keep alerting them until someone responds, and I'll let you know when they do.\n\nIf you're in danger, call emergency services now:\n{helplines}",
+    'sos.sent_again': "🆘 I've alerted {names} again.\n\nI'll keep alerting them until someone responds, and I'll let you know when they do.\n\nIf you're in danger, call emergency services now:\n{helplines}",
+    'sos.not_delivered': "🆘 I couldn't reach any family member or emergency contact for you.\n\nPlease call for help now:\n{helplines}",
+    'sos.acknowledged': "✅ {caregiver} has seen your SOS and is responding.",
+    'sos.confirm': "🆘 Do you need urgent help? Reply *SOS* and I'll alert your family and emergency contact right away.\n\nIf you're in danger, call emergency services now:\n{helplines}\n\nIf you meant something else, reply *menu* to see what I can do.",
+    'alert.sos': "🆘 *SOS from {name}*\n\n{name} has asked for help.\n📍 *Location:* {location}\n🕒 *Time:* {time} ({timezone})\n\nPlease call them right away. If you can't reach them, call emergency services ({emergency}).\nReply *ack* once you're handling it — this alert repeats every {minutes} minutes until someone does. (Alert {alertId})",
+    'alert.location_unknown': "not saved",
+    'alert.symptom_emergency': "🚨 *Possible emergency: {name}*\n\n{name} reported symptoms that may need urgent care ({symptom}):\n\"{description}\"\n\nThey have been given emergency guidance and helpline numbers. Please contact them right away.\nReply *ack* to let others know you're handling it. (Alert {alertId})",
+    'alert.checkin_concern': "🚨 *Urgent concern: {name}*\n\nDuring a check-in, {name} raised: {concerns}.\n{excerpt}\nPlease check on them as soon as you can.\nReply *ack* to let others know you're handling it. (Alert {alertId})",
+    'alert.checkin_concern_excerpt': "\n*What they said:*\n{excerpt}\n",
+    'alert.missed_unanswered': "⚠️ *Missed medication alert*\n\n{name} hasn't responded to the last {count} reminders for {medicine}.\n\nYou may want to check in with them.\nReply *ack* to let others know you're handling it. (Alert {alertId})",
+    'alert.missed_per_week': "⚠️ *Missed medication alert*\n\n{name} has missed {medicine} {count} time(s) in the past 7 days.\n\nYou may want to check in with them.\nReply *ack* to let others know you're handling it. (Alert {alertId})",
+    'alert.repeat_prefix': "🔁 *Still unacknowledged — repeat {count}*",
+    'alert.escalated_prefix': "⏫ *Escalated — nobody has acknowledged this yet*",
+    'alert.acknowledged_by': "✅ {caregiver} has acknowledged the alert about {name} (Alert {alertId}) and is handling it.",
+    'alert.none_open': "✅ You have no open alerts.",
+    'alert.open_title': "🚨 *Your open alerts*",
+    'alert.open_item': "{number}. {type} — *{name}*\n   Alert {alertId} · raised {age}",
+    'alert.open_step': " · escalation step {step} of {steps}",
+    'alert.open_ack_hint': "Reply *ack <alert id>* to acknowledge one, e.g. \"ack {alertId}\".",
+    'alert.type_sos': "🆘 SOS",
+    'alert.type_symptom_emergency': "🚨 Possible emergency",
+    'alert.type_checkin_concern': "🚨 Urgent check-in concern",
+    'alert.type_missed_medication': "⚠️ Missed medication",
+    'alert.type_other': "Alert",
+    'alert.ack_not_found': "No open alert {alertId} was found. It may already have been acknowledged.",
+    'alert.ack_none': "You have no open alerts to acknowledge.",
+    'alert.ack_done': "✅ Thanks — you've acknowledged the alert about {name} (Alert {alertId}). Everyone else who was alerted has been told you're handling it.",
+    'alert.ack_already': "✅ {caregiver} has already acknowledged the alert about {name} (Alert {alertId}) and is handling it. You don't need to do anything more.",
+
+    // Times and days
+    'time.today': "today",
+    'time.minutes_ago': "{count} min ago",
+    'time.hours_ago': "{count} h ago",
+    'time.one_day_ago': "1 day ago",
+    'time.days_ago': "{count} days ago",
+    'day.sun': "Sun",
+    'day.mon': "Mon",
+    'day.tue': "Tue",
+    'day.wed': "Wed",
+    'day.thu': "Thu",
+    'day.fri': "Fri",
+    'day.sat': "Sat",
+
+    // Acting for a family member ("for:<number> ...")
+    'proxy.not_linked': "You don't have permission to manage {phone}.",
+    'proxy.fallback_parent_name': "your parent",
+    'proxy.fallback_caregiver_name': "Your caregiver",
+    'proxy.no_permission_manage_medications': "You don't have permission to manage medications for {name}.",
+    'proxy.no_permission_view_medications': "You don't have permission to view medications for {name}.",
+    'proxy.no_permission_view_symptoms': "You don't have permission to view symptoms for {name}.",
+    'proxy.no_permission_view_reports': "You don't have permission to view reports for {name}.",
+    'proxy.add_start': "I'll help you add medication for {name}.\n\nPlease enter the medicine name:",
+    'proxy.no_medications': "No medications found for {name}.",
+    'proxy.update_which': "Which of {name}'s medications would you like to update?\n\n{list}",
+    'proxy.delete_which': "Which of {name}'s medications would you like to delete?\n\n{list}\nPlease reply with the number of your choice.",
+    'proxy.medications_title': "Medications for {name}:",
+    'proxy.medication_item': "{number}. {medicine}\n   Time: {time}, Frequency: {frequency}",
+    'proxy.invite_usage': "To invite a caregiver for {name}, type \"for:{phone} invite\" followed by their phone number and a role (primary, secondary or view-only).",
+    'proxy.unknown_command': "Command not recognized. On behalf of {name} you can use:\n• \"add medicine\", \"update medicine\", \"delete medicine\"\n• \"check medications\", \"history\", \"adherence\"\n• \"report\", \"symptoms\", \"follow-ups\"\n• \"invite <phone> <role>\"",
+    'proxy.error': "An error occurred while processing your request.",
+    'proxy.no_recent_symptoms': "{name} hasn't reported any symptoms in the last 30 days.",
+    'proxy.recent_symptoms_title': "🩺 *{name}'s recent symptoms*",
+    'proxy.recent_symptom_item': "{number}. *{symptom}* — {date}, {status}",
+    'proxy.symptom_active': "being followed up",
+    'proxy.symptom_closed': "closed",
+    'proxy.no_follow_ups': "{name} has no open symptom follow-ups.",
+    'proxy.follow_ups_title': "🔁 *{name}'s open follow-ups*",
+    'proxy.follow_up_item': "{number}. *{symptom}* — reported {when}",
+    'proxy.follow_up_last': "   Last update: {status}",
+    'proxy.follow_up_none': "   No follow-up answers yet",
+    'proxy.status_improved': "feeling better",
+    'proxy.status_same': "about the same",
+    'proxy.status_worse': "feeling worse ⚠️",
+    'proxy.notice_add_started': "{caregiver} has started adding a medication for you.",
+    'proxy.notice_update_started': "{caregiver} has started updating one of your medications.",
+    'proxy.notice_delete_started': "{caregiver} has started deleting one of your medications.",
+    'proxy.notice_medication_added': "{caregiver} has added a new medication for you: {medicine} ({dosage}) at {time}",
+    'proxy.notice_medication_added_prn': "{caregiver} has added a new medication for you: {medicine} ({dosage}) to take as needed",
+    'proxy.notice_medication_updated': "{caregiver} has updated one of your medications: {medicine}",
+    'proxy.notice_medication_deleted': "{caregiver} has deleted one of your medications: {medicine}",
+    'proxy.notice_history_viewed': "{caregiver} has checked your medication history for the last 7 days.",
+    'proxy.notice_history_all_viewed': "{caregiver} has checked your full medication history.",
+    'proxy.notice_medications_viewed': "{caregiver} has checked your medications ({count} listed).",
+    'proxy.notice_medications_none_viewed': "{caregiver} has checked your medications. None are set up yet.",
+    'proxy.notice_adherence_viewed': "{caregiver} has checked how regularly you've taken your medications.",
+    'proxy.notice_follow_ups_viewed': "{caregiver} has checked your open symptom follow-ups.",
+    'proxy.notice_symptoms_viewed': "{caregiver} has checked your recent symptoms.",
+    'proxy.notice_report_viewed': "{caregiver} has viewed today's report about you.",
+    'proxy.notice_caregiver_invited': "{caregiver} has invited {phone} to be your {role}.",
+
+    // Weekly digest
+    'digest.title': "📅 *Weekly Digest*\n_The past 7 days at a glance_",
+    'digest.section_wellbeing': "😊 *Wellbeing*",
+    'digest.section_medication': "💊 *Medication*",
+    'digest.section_symptoms': "🩺 *Symptoms*",
+    'digest.footer': "Reply \"reports\" to change how often you get reports.",
+    'digest.template_prefix': "Weekly digest.",
+    'digest.fallback_name': "your family member",
+    'digest.no_checkins': "No check-ins this week.",
+    'digest.mood': "Mood: {moods} ({count} check-in(s))",
+    'digest.trend_steady': "Trend: steady compared with last week",
+    'digest.trend_improving': "Trend: 📈 improving compared with last week",
+    'digest.trend_lower': "Trend: 📉 lower compared with last week",
+    'digest.concerns': "Concerns raised: {concerns}",
+    'digest.no_concerns': "No concerns raised.",
+    'digest.no_doses': "No reminded doses recorded this week.",
+    'digest.adherence': "Adherence: {summary}",
+    'digest.missed_doses': "Missed doses: {doses}",
+    'digest.no_missed_doses': "No missed doses. 👏",
+    'digest.most_missed_time': "Most missed time: {time}",
+    'digest.symptoms': "Symptoms reported: {symptoms}",
+    'digest.no_symptoms': "No symptoms reported this week.",
+    'digest.open_follow_ups': "Open follow-ups: {followUps}",
+    'digest.follow_up_since': "{symptom} (since {date})",
+
+    // Check-ins, when the AI is unavailable
+    'checkin.fallback_question': "Hello {name}! How are you feeling today? I'd love to hear about your day so far. 😊",
+    'checkin.fallback_reply': "Thank you for sharing that with me. I appreciate you taking the time to respond. 😊",
+    'checkin.fallback_follow_up': "That's interesting. Could you tell me a bit more about how you're feeling today? 😊",
+    'checkin.fallback_second_follow_up': "Is there anything specific that would help you feel better today? I'm here to listen. 💗",
+    'checkin.fallback_final': "Thank you so much for sharing that with me. I appreciate our conversation and hope you have a lovely rest of your day. Take care! 💗",
+
+    // Resuming a check-in after a medication reminder
+    'checkin.resume': "Now, let's continue our conversation from earlier. You were responding to: \"{question}\"",
+    'checkin.resume_last_question': "my last question",
+
+    // General AI replies
+    'ai.disclaimer': "⚠️ *Important*: This information is not a diagnosis. Always consult a healthcare provider for medical concerns.",
+    'ai.error': "I'm sorry, I couldn't process your request at this time. Please try again later."
+};
@@ -0,0 +1,535 @@
+// locales/gu.js - Gujarati messages
+module.exports = {
+    // Shared
+    'common.reply_with_number': "કૃપા કરીને તમારા વિકલ્પનો નંબર મોકલો.",
+    'common.invalid_list_number': "કૃપા કરીને યાદીમાંથી સાચો નંબર મોકલો.",
+    'common.error': "માફ કરશો, તમારી વિનંતી પૂરી કરવામાં તકલીફ આવી. થોડી વાર પછી ફરી પ્રયત્ન કરો.",
+
+    // Language choice
+    'language.question': "તમે કઈ ભાષામાં વાત કરવા માંગો છો?\n\n{options}\n\nકૃપા કરીને તમારી ભાષાનો નંબર મોકલો.",
+    'language.invalid': "કૃપા કરીને યાદીમાંથી કોઈ ભાષાનો નંબર મોકલો:\n\n{options}",
+    'language.current': "હું તમારી સાથે {language} માં વાત કરું છું. ભાષા બદલવા માટે નંબર મોકલો:\n\n{options}",
+    'language.updated': "✅ થઈ ગયું! હવેથી હું તમારી સાથે {language} માં વાત કરીશ.",
+    'language.update_failed': "❌ તમારી ભાષા બદલી શકાઈ નહીં. થોડી વાર પછી ફરી પ્રયત્ન કરો.",
+
+    // Main and medication menus
+    'menu.welcome': "નમસ્તે {name}, સુકૂન સારથિમાં તમારું સ્વાગત છે! 🌿",
+    'menu.managing_family': "તમે પરિવારના {count} સભ્યોનાં ખાતાં સંભાળો છો.\nતેમના વતી કમાન્ડ મોકલવા સંદેશની શરૂઆત \"for:[તેમનો નંબર]\" થી કરો અને પછી કમાન્ડ લખો.\nઉદાહરણ: \"for:+917XXXXXXXX check medications\"",
+    'menu.welcome_help': "હું આરોગ્ય પર નજર રાખવા, લક્ષણોની તપાસ અને દવાની યાદ અપાવવામાં મદદ કરી શકું છું.\nતબિયત સારી ન હોય તો 'symptom' લખો, અથવા દવાની યાદ ગોઠવવા 'add medicine' લખો.",
+    'menu.main': "આજે તમે શું કરવા માંગો છો?\n\n1️⃣ લક્ષણોની તપાસ\n2️⃣ દવાઓનું સંચાલન\n\nકૃપા કરીને તમારા વિકલ્પનો નંબર મોકલો.",
+    'menu.main_invalid': "લક્ષણો માટે 1 અથવા દવાઓ માટે 2 મોકલો.",
+    'menu.medication': "*દવાઓનું સંચાલન* 💊\n\nતમારી દવાઓ સાથે તમે શું કરવા માંગો છો?\n\n{options}",
+    'menu.medication_invalid': "તમે દવાઓ સાથે શું કરવા માંગો છો તે મને સમજાયું નહીં. કૃપા કરીને આમાંથી એક પસંદ કરો:\n\n{options}",
+    'menu.medication_options': "1️⃣ નવી દવા ઉમેરો\n2️⃣ હાલની દવા બદલો\n3️⃣ દવા કાઢી નાખો\n4️⃣ દવાની માહિતી જુઓ\n5️⃣ દવાનો ઇતિહાસ (છેલ્લું અઠવાડિયું)\n6️⃣ દવાનો આખો ઇતિહાસ\n7️⃣ મુખ્ય મેનૂ પર પાછા\n\nકૃપા કરીને તમારા વિકલ્પનો નંબર મોકલો.",
+    'menu.no_medications': "તમારી હજી કોઈ દવા ગોઠવેલી નથી. પહેલાં દવા ઉમેરવા '1' મોકલો.",
+    'menu.info_which': "તમારે કઈ દવાની માહિતી જોઈએ છે?",
+
+    // Account creation
+    'account.welcome': "સુકૂન સારથિમાં તમારું સ્વાગત છે! 🌿",
+    'account.no_account': "સુકૂન સારથિમાં તમારું સ્વાગત છે! લાગે છે કે તમારું હજી ખાતું નથી.\n\nખાતું બનાવવા \"create account\" લખીને મોકલો.",
+    'account.type_question': "ચાલો તમારું ખાતું બનાવીએ. તમે ખાતું કોના માટે બનાવો છો:\n\n1️⃣ પોતાના માટે (વડીલ વપરાશકર્તા તરીકે)\n2️⃣ તમારા માતા/પિતા માટે\n\nકૃપા કરીને 1 અથવા 2 મોકલો.",
+    'account.type_invalid': "તમારો જવાબ મને સમજાયો નહીં. કૃપા કરીને મોકલો:\n\n1️⃣ પોતાના માટે (વડીલ વપરાશકર્તા તરીકે)\n2️⃣ તમારા માતા/પિતા માટે",
+    'account.restart': "માફ કરશો, ખાતું બનાવતી વખતે કંઈક ગડબડ થઈ. ચાલો ફરીથી શરૂ કરીએ.",
+    'account.ask_name': "કૃપા કરીને તમારું પૂરું નામ લખો:",
+    'account.ask_age': "આભાર! કૃપા કરીને તમારી ઉંમર લખો:",
+    'account.invalid_age': "કૃપા કરીને સાચી ઉંમર લખો (1 થી 120 વચ્ચેની સંખ્યા):",
+    'account.ask_location': "કૃપા કરીને તમારું શહેર અને રાજ્ય લખો (દા.ત., અમદાવાદ, ગુજરાત):",
+    'account.timezone_question': "તમારું ઘર કયા ટાઇમઝોનમાં છે? યાદ અને ખબરઅંતર આ સ્થાનિક સમય મુજબ આવશે.\n\n{options}\n\nકૃપા કરીને નંબર મોકલો, અથવા ટાઇમઝોનનું નામ લખો (દા.ત., Europe/London).",
+    'account.parent_timezone_question': "તમારા માતા/પિતાનું ઘર કયા ટાઇમઝોનમાં છે? યાદ અને ખબરઅંતર આ સ્થાનિક સમય મુજબ આવશે.\n\n{options}\n\nકૃપા કરીને નંબર મોકલો, અથવા ટાઇમઝોનનું નામ લખો (દા.ત., Europe/London).",
+    'account.timezone_option': "{number}. {timezone} (અત્યારે {time})",
+    'account.ask_emergency_contact': "કૃપા કરીને ઇમરજન્સી સંપર્કનો વોટ્સએપ નંબર દેશના કોડ સાથે લખો (દા.ત., +917XXXXXXXX):",
+    'account.invalid_phone': "કૃપા કરીને દેશના કોડ સાથે સાચો વોટ્સએપ નંબર લખો (દા.ત., +917XXXXXXXX):",
+    'account.ask_emergency_name': "તમારા ઇમરજન્સી સંપર્કનું નામ શું છે?",
+    'account.ask_emergency_relationship': "ઇમરજન્સી સંપર્ક સાથે તમારો શો સંબંધ છે?\n\nદા.ત.: દીકરો, દીકરી, પતિ/પત્ની, ભાઈ/બહેન, મિત્ર વગેરે.",
+    'account.created': "✅ આભાર, {name}! તમારું સુકૂન સારથિ ખાતું બની ગયું છે.\n\nહું તમને દવાઓ સંભાળવામાં, લક્ષણો પર નજર રાખવામાં અને તંદુરસ્ત રહેવામાં મદદ કરીશ.\n\nહું શું શું કરી શકું તે જોવા ગમે ત્યારે \"Hi\" લખો.",
+    'account.emergency_contact_notice': "નમસ્તે {contactName},\n\n{name} એ તમને સુકૂન સારથિ (એક આરોગ્ય સહાયક એપ) પર પોતાના ઇમરજન્સી સંપર્ક તરીકે ઉમેર્યા છે.\n\nતમને તેમની રોજની પ્રવૃત્તિઓ અને દવા લેવાની માહિતી મળતી રહેશે. જો તેમને મદદની જરૂર પડશે તો તમને જાણ કરવામાં આવશે.\n\nઅત્યારે તમારે કંઈ કરવાની જરૂર નથી. આ ફક્ત તમારી જાણ માટે છે.",
+    'account.create_failed': "તમારું ખાતું બનાવવામાં તકલીફ આવી. કૃપા કરીને પછી ફરી પ્રયત્ન કરો અથવા સહાયતાનો સંપર્ક કરો.",
+    'account.parent_count_question': "તમે ખાતું કોના માટે બનાવો છો:\n\n1️⃣ માતા અથવા પિતામાંથી એક\n2️⃣ બંને (અલગ અલગ ખાતાં)\n\nકૃપા કરીને 1 અથવા 2 મોકલો.",
+    'account.parent_count_invalid': "તમારો જવાબ મને સમજાયો નહીં. કૃપા કરીને મોકલો:\n\n1️⃣ માતા અથવા પિતામાંથી એક માટે\n2️⃣ બંને માટે",
+    'account.ask_parent_phone': "કૃપા કરીને તમારા માતા/પિતાનો વોટ્સએપ નંબર દેશના કોડ સાથે લખો (દા.ત., +917XXXXXXXX):",
+    'account.ask_first_parent_phone': "કૃપા કરીને પહેલા વાલીનો વોટ્સએપ નંબર દેશના કોડ સાથે લખો (દા.ત., +917XXXXXXXX):",
+    'account.parent_exists': "આ નંબર પર પહેલેથી ખાતું છે. કૃપા કરીને બીજો નંબર આપો, અથવા આ ભૂલ લાગે તો સહાયતાનો સંપર્ક કરો.",
+    'account.ask_parent_name': "કૃપા કરીને તમારા માતા/પિતાનું પૂરું નામ લખો:",
+    'account.ask_first_parent_name': "કૃપા કરીને પહેલા વાલીનું પૂરું નામ લખો:",
+    'account.ask_second_parent_name': "કૃપા કરીને બીજા વાલીનું પૂરું નામ લખો:",
+    'account.ask_parent_language': "{name} સાથે હું કઈ ભાષામાં વાત કરું?\n\n{options}\n\nકૃપા કરીને તેમની ભાષાનો નંબર મોકલો.",
+    'account.ask_parent_age': "કૃપા કરીને તમારા માતા/પિતાની ઉંમર લખો:",
+    'account.ask_parent_location': "કૃપા કરીને તમારા માતા/પિતાનું શહેર અને રાજ્ય લખો (દા.ત., અમદાવાદ, ગુજરાત):",
+    'account.ask_parent_relationship': "તેમની સાથે તમારો શો સંબંધ છે?\n\nદા.ત.: દીકરો, દીકરી વગેરે.",
+    'account.first_parent_created': "✅ પહેલા વાલીનું ખાતું બની ગયું! ખાતું ચાલુ થાય તે પહેલાં {name} ની સંમતિ લેવામાં આવશે.\n\nહવે કૃપા કરીને બીજા વાલીનો વોટ્સએપ નંબર દેશના કોડ સાથે લખો (દા.ત., +917XXXXXXXX):",
+    'account.parent_welcome_held': "નોંધ: વોટ્સએપના નિયમોને કારણે, સંદેશા મેળવતા પહેલાં {name} એ આ નંબર પર એક સંદેશ મોકલવો પડશે. ખાતું ચાલુ કરવા તેમને {number} પર \"Hi\" મોકલવા કહો.",
+    'account.parent_created': "✅ તમારા માતા/પિતાનું ખાતું બની ગયું છે!\n\nકંઈ પણ શરૂ થાય તે પહેલાં મેં તેમની સંમતિ માંગી છે, અને જવાબ આવશે ત્યારે હું તમને જણાવીશ. ત્યાં સુધી તમે તેમની દવાઓ ઉમેરી શકો છો, પણ કોઈ યાદ, ખબરઅંતર કે અહેવાલ મોકલવામાં નહીં આવે.\n\n{proxyHelp}",
+    'account.parents_created': "✅ બંને વાલીઓનાં ખાતાં બની ગયાં છે!\n\nકંઈ પણ શરૂ થાય તે પહેલાં મેં બંનેની સંમતિ માંગી છે, અને જવાબ આવશે ત્યારે હું તમને જણાવીશ. ત્યાં સુધી તમે તેમની દવાઓ ઉમેરી શકો છો, પણ કોઈ યાદ, ખબરઅંતર કે અહેવાલ મોકલવામાં નહીં આવે.\n\n{proxyHelp}",
+    'account.proxy_help': "તમારા માતા/પિતા વતી કમાન્ડ મોકલવા સંદેશની શરૂઆત \"for:(તેમનો નંબર)\" થી કરો અને પછી કમાન્ડ લખો.\n\nઉદાહરણ: \"for:+917XXXXXXXX add medicine...\"\n\nતમારું ખાતું પણ બની ગયું છે, અને તમે પોતાના આરોગ્ય માટે પણ સુકૂન સારથિ વાપરી શકો છો. શરૂ કરવા \"Hi\" લખો.",
+    'account.parent_create_failed': "ખાતું બનાવવામાં તકલીફ આવી. કૃપા કરીને પછી ફરી પ્રયત્ન કરો અથવા સહાયતાનો સંપર્ક કરો.",
+
+    // Consent for caregiver-created accounts
+    'consent.request': "🙏 નમસ્તે {name}! {caregiver} એ તમારા માટે સુકૂન સારથિ નામનો આરોગ્ય સહાયક શરૂ કર્યો છે.\n\nકંઈ પણ શરૂ થાય તે પહેલાં, કૃપા કરીને જુઓ કે {caregiver} શું શું કરી શકશે:\n{permissions}\n\nહું તમને દવાની યાદ પણ અપાવીશ અને દિવસમાં થોડી વાર તમારા ખબરઅંતર પૂછીશ.\n\nશરૂ કરવા *હા* (અથવા *agree*) લખો. જો તમે આ ન ઇચ્છતા હો તો *ના* (અથવા *decline*) લખો — પછી હું તમારું ખાતું અને {caregiver} એ ભરેલી બધી માહિતી કાઢી નાખીશ.",
+    'consent.not_found': "મને તમારું ખાતું મળ્યું નહીં.",
+    'consent.retry': "❌ કંઈક ગડબડ થઈ. કૃપા કરીને થોડી વાર પછી ફરી *હા* લખો.",
+    'consent.given': "✅ આભાર, {name}! તમારું ખાતું હવે ચાલુ થઈ ગયું છે.\n\nહું શું શું કરી શકું તે જોવા ગમે ત્યારે \"Hi\" લખો.",
+    'consent.confirm_decline': "⚠️ {name}, શું તમને ખાતરી છે? ના પાડવાથી તમારું ખાતું અને દવાઓ સહિત {caregiver} એ તમારા માટે દાખલ કરેલી બધી માહિતી કાઢી નાખવામાં આવશે.\n\nકાઢી નાખવા માટે *DELETE* લખો, અથવા ખાતું રાખીને શરૂ કરવા માટે *agree* લખો.",
+    'consent.declined': "ઠીક છે, {name}. તમારું ખાતું અને તમારા માટે ભરેલી બધી માહિતી કાઢી નાખવામાં આવી છે, અને હવે હું તમને સંદેશા નહીં મોકલું.\n\nજો તમારો વિચાર બદલાય તો ફક્ત \"create account\" લખો.",
+    'consent.error': "❌ કંઈક ગડબડ થઈ. કૃપા કરીને થોડી વાર પછી ફરી પ્રયત્ન કરો.",
+    'consent.given_notice': "✅ {name} એ સુકૂન સારથી વાપરવાની સંમતિ આપી છે. દવાની યાદ, ખબરઅંતર અને રિપોર્ટ હવે શરૂ થાય છે.",
+    'consent.declined_notice': "તમે બનાવેલું સુકૂન સારથી ખાતું {name} એ નકાર્યું છે, તેથી તે ખાતું તમે ઉમેરેલી દવાઓ સાથે કાઢી નાખવામાં આવ્યું છે.",
+    'permission.view_medications': "તમારી દવાઓ અને ડોઝ લીધો કે નહીં તે જોવું",
+    'permission.manage_medications': "દવાઓ ઉમેરવી, બદલવી અને કાઢી નાખવી",
+    'permission.view_symptoms': "લક્ષણોની તપાસ અને તેના ફોલો-અપ જોવા",
+    'permission.view_reports': "રોજના અને અઠવાડિયાના અહેવાલ મેળવવા",
+    'permission.manage_caregivers': "બીજા સંભાળ રાખનારાઓને ઉમેરવા",
+
+    // Caregiver roles, and what each lets the caregiver do
+    'role.primary': "મુખ્ય સંભાળ રાખનાર",
+    'role.secondary': "સહાયક સંભાળ રાખનાર",
+    'role.view_only': "ફક્ત જોઈ શકનાર સંભાળ રાખનાર",
+    'role.custom': "ખાસ પરવાનગીઓવાળા સંભાળ રાખનાર",
+    'access.view_medications': "તેમની દવાઓ અને ડોઝ લીધો કે નહીં તે જોવું",
+    'access.manage_medications': "તેમની દવાઓ ઉમેરવી, બદલવી અને કાઢવી",
+    'access.view_symptoms': "તેમનાં લક્ષણોની તપાસ અને ફોલો-અપ જોવાં",
+    'access.view_reports': "રોજનો અને અઠવાડિયાનો રિપોર્ટ મેળવવો",
+    'access.manage_caregivers': "બીજા સંભાળ રાખનારાઓને ઉમેરવા",
+
+    // Caregivers
+    'caregiver.invite_usage': "સંભાળ રાખનારને ઉમેરવા \"invite\" પછી તેમનો ફોન નંબર અને ઇચ્છો તો ભૂમિકા લખો.\n\nઉદાહરણ: \"invite +919876543210 secondary\"\n\nભૂમિકાઓ:\n• *primary* — પૂરી પહોંચ, અને બીજાને ઉમેરી શકે\n• *secondary* — દવાઓ, લક્ષણો અને રિપોર્ટ જોઈ અને સંભાળી શકે\n• *view-only* — દવાઓ, લક્ષણો અને રિપોર્ટ ફક્ત જોઈ શકે",
+    'caregiver.invite_primary_only': "ફક્ત મુખ્ય સંભાળ રાખનાર જ બીજા સંભાળ રાખનારાઓને ઉમેરી શકે છે.",
+    'caregiver.invite_which_elder': "તમે એકથી વધુ લોકોના સંભાળ રાખનારા સંભાળો છો. કૃપા કરીને જણાવો કે આ કોના માટે છે, જેમ કે \"for:{parentPhone} invite {phone}\"",
+    'caregiver.invite_no_account': "{phone} માટે કોઈ સુકૂન સારથી ખાતું મળ્યું નહીં.",
+    'caregiver.invite_not_allowed': "ફક્ત {name} અથવા તેમના મુખ્ય સંભાળ રાખનાર જ સંભાળ રાખનારાઓને ઉમેરી શકે છે.",
+    'caregiver.invite_self': "કૃપા કરીને જેને ઉમેરવા માંગો છો તે વ્યક્તિનો ફોન નંબર લખો.",
+    'caregiver.invite_pending': "{phone} ને પહેલેથી આમંત્રણ મોકલાયું છે અને તેમણે હજુ જવાબ આપ્યો નથી.",
+    'caregiver.invite_exists': "{phone} પહેલેથી {name} ના સંભાળ રાખનાર છે.",
+    'caregiver.invite_failed': "❌ આમંત્રણ મોકલી શકાયું નહીં. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'caregiver.invite_message': "👋 નમસ્તે! {inviter} એ તમને સુકૂન સારથી (એક આરોગ્ય સહાયક) પર {name} ના {role} બનવા આમંત્રણ આપ્યું છે.\n\n{role} તરીકે તમે આ કરી શકશો:\n{permissions}\n\nજોડાવા માટે *accept* લખો, અથવા ન જોડાવું હોય તો *decline* લખો.",
+    'caregiver.invite_not_delivered': "❌ {phone} ને આમંત્રણ મોકલી શકાયું નહીં. કૃપા કરીને નંબર તપાસીને ફરી પ્રયત્ન કરો.",
+    'caregiver.invite_sent': "✅ {phone} ને {name} ના {role} તરીકે આમંત્રણ મોકલ્યું છે. તેમનો જવાબ આવે ત્યારે હું તમને જણાવીશ.",
+    'caregiver.no_invites': "તમારા માટે કોઈ આમંત્રણ બાકી નથી.",
+    'caregiver.invite_declined_notice': "{caregiver} એ {name} ના સંભાળ રાખનાર બનવાનું આમંત્રણ નકાર્યું.",
+    'caregiver.invite_declined': "કોઈ વાંધો નહીં — તમને {name} ના સંભાળ રાખનાર તરીકે ઉમેરવામાં નહીં આવે.",
+    'caregiver.accept_failed': "❌ આમંત્રણ સ્વીકારી શકાયું નહીં. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'caregiver.joined_notice': "✅ {caregiver} હવે {name} ના {role} છે.",
+    'caregiver.joined': "✅ તમે હવે {name} ના {role} છો.\n\nતેમના વતી કંઈ કરવા માટે સંદેશની શરૂઆત \"for:{phone}\" થી કરો, જેમ કે \"for:{phone} check medications\". હું બીજું શું કરી શકું તે જોવા \"hi\" લખો.",
+    'caregiver.error': "❌ કંઈક ગડબડ થઈ. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'caregiver.elder_only': "જેમની સંભાળ રખાય છે તે જ નક્કી કરી શકે કે તેમની માહિતી કોણ જુએ.",
+    'caregiver.none': "તમારા હજુ કોઈ સંભાળ રાખનાર નથી.\n\nકોઈને ઉમેરવા \"invite\" પછી તેમનો ફોન નંબર લખો.",
+    'caregiver.list_title': "👥 *તમારા સંભાળ રાખનારા*",
+    'caregiver.list_item': "{number}. *{name}* ({phone}) — {role}",
+    'caregiver.list_permission': "   • પરવાનગી: {permission}",
+    'caregiver.list_no_access': "   • હમણાં કોઈ પરવાનગી નથી",
+    'caregiver.list_help': "પરવાનગી બદલવા લખો, જેમ કે \"grant reports to {name}\" અથવા \"revoke manage medications from {name}\".\nકોઈને કાઢવા \"remove caregiver\" પછી તેમનું નામ અથવા નંબર લખો.",
+    'caregiver.not_found_phone': "{phone} તમારા સંભાળ રાખનારાઓમાં નથી. તેમને જોવા \"caregivers\" લખો.",
+    'caregiver.ambiguous_name': "{name} નામના એકથી વધુ સંભાળ રાખનારા છે. કૃપા કરીને તેમનો ફોન નંબર વાપરો.",
+    'caregiver.not_found_name': "{name} નામના કોઈ સંભાળ રાખનાર મળ્યા નહીં. તેમને જોવા \"caregivers\" લખો.",
+    'caregiver.permission_usage': "સંભાળ રાખનાર શું કરી શકે તે બદલવા લખો, જેમ કે:\n• \"grant reports to Ravi\"\n• \"revoke manage medications from +919876543210\"\n\nપરવાનગીઓ: medications, manage medications, symptoms, reports, manage caregivers\n\nહમણાં કોની પાસે પહોંચ છે તે જોવા \"caregivers\" લખો.",
+    'caregiver.already_granted': "{caregiver} પાસે આ પરવાનગી પહેલેથી છે: {permission}.",
+    'caregiver.already_revoked': "{caregiver} પાસે આ પરવાનગી પહેલેથી નથી: {permission}.",
+    'caregiver.granted': "✅ હવે {caregiver} પાસે આ પરવાનગી છે: {permission}.",
+    'caregiver.revoked': "✅ હવે {caregiver} પાસે આ પરવાનગી નથી: {permission}.",
+    'caregiver.access_update_failed': "❌ તેમની પરવાનગી બદલી શકાઈ નહીં. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'caregiver.granted_notice': "🔓 {name} એ તમને આ પરવાનગી આપી છે: {permission}.",
+    'caregiver.revoked_notice': "🔒 {name} એ તમારી પરવાનગી બદલી છે: હવે તમે આ નહીં કરી શકો — {permission}.",
+    'caregiver.remove_usage': "કૃપા કરીને કોને કાઢવા છે તે જણાવો, જેમ કે \"remove caregiver Ravi\". તેમને જોવા \"caregivers\" લખો.",
+    'caregiver.remove_failed': "❌ તેમને કાઢી શકાયા નહીં. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'caregiver.removed_notice': "{name} એ તમને સુકૂન સારથી પર તેમના સંભાળ રાખનારમાંથી કાઢ્યા છે. હવે તમને તેમના રિપોર્ટ કે અલર્ટ નહીં મળે.",
+    'caregiver.removed': "✅ {caregiver} હવે તમારા સંભાળ રાખનાર નથી અને તમારી કોઈ માહિતી જોઈ શકતા નથી.",
+    'caregiver.fallback_name': "તમારા સંભાળ રાખનાર",
+    'caregiver.refill_needed': "⚠️ *દવા ફરી લાવવી પડશે*\n\n{name} ની *{medicine}* ખૂટવા આવી છે: લગભગ {days} દિવસ ચાલે તેટલી બાકી ({count} ગોળી).",
+
+    // Caregiver report preference
+    'reports.frequency_daily': "દરરોજ સાંજે રોજનો અહેવાલ",
+    'reports.frequency_weekly': "દર રવિવારે સાંજે અઠવાડિયાનો સારાંશ",
+    'reports.frequency_both': "રોજનો અહેવાલ અને અઠવાડિયાનો સારાંશ, બંને",
+    'reports.not_caregiver': "અહેવાલ સંભાળ રાખનારાઓને તેમના પરિવારના સભ્યો વિશે મોકલવામાં આવે છે. તમે હજી કોઈની સાથે જોડાયેલા નથી.",
+    'reports.current': "📊 હાલમાં તમને {frequency} મળે છે.\n\nઆ બદલવા \"reports daily\", \"reports weekly\" અથવા \"reports both\" લખો.",
+    'reports.invalid': "કૃપા કરીને \"reports daily\", \"reports weekly\" અથવા \"reports both\" લખો.",
+    'reports.update_failed': "❌ તમારી અહેવાલની પસંદગી બદલી શકાઈ નહીં. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'reports.updated': "✅ થઈ ગયું! હવે તમને {frequency} મળશે.",
+    'reports.consent_pending': "{name} એ હજુ તેમના ખાતા માટે સંમતિ આપી નથી, તેથી કોઈ રિપોર્ટ નથી. સંમતિ મળતાં જ હું તમને જણાવીશ.",
+    'reports.error': "❌ આજનો રિપોર્ટ બનાવી શકાયો નહીં. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+
+    // Daily report for caregivers
+    'report.title': "📋 *{name} નો રોજનો રિપોર્ટ* ({date})",
+    'report.fallback_name': "તમારા પરિવારના સભ્ય",
+    'report.section_health': "*🩺 તબિયત અને મૂડ*",
+    'report.section_medication': "*💊 દવાઓ*",
+    'report.section_activities': "*🚶 દિનચર્યા અને ખાસ વાતો*",
+    'report.no_checkins': "આજે કોઈ ખબરઅંતર નોંધાયું નથી. કદાચ તેઓ બહાર હતા અથવા ખબરઅંતરના સંદેશાનો જવાબ આપી શક્યા નહીં.",
+    'report.mood': "મૂડ: {emoji} {mood} ({count} ખબરઅંતર)",
+    'report.mood_one': "મૂડ: {emoji} {mood} (1 ખબરઅંતર)",
+    'report.mood_positive': "સારો",
+    'report.mood_neutral': "ઠીકઠાક",
+    'report.mood_negative': "ઉદાસ",
+    'report.area_physical': "શરીર",
+    'report.area_emotional': "મન",
+    'report.area_social': "હળવું-મળવું",
+    'report.rating_good': "સારું",
+    'report.rating_fair': "ઠીક",
+    'report.rating_concerning': "ચિંતાજનક",
+    'report.concerns': "⚠️ ચિંતાઓ:",
+    'report.no_concerns': "કોઈ ચિંતા જણાઈ નથી.",
+    'report.no_medications': "આજે કોઈ દવા નક્કી નહોતી.",
+    'report.med_awaiting': "• {medicine}: જવાબની રાહ",
+    'report.med_none_due': "• {medicine}: હજુ કોઈ ડોઝનો સમય થયો નથી",
+    'report.med_taken': "• {medicine}: {total} માંથી {taken} લીધી {emoji}",
+    'report.med_pending': ", {count} નો જવાબ બાકી",
+    'report.this_week': "📊 આ અઠવાડિયે: {summary}",
+    'report.most_missed_time': "સૌથી વધુ ચૂકાયેલો સમય: {time}",
+    'report.activities': "દિનચર્યા: {activities}",
+    'report.no_activities': "આજે કોઈ દિનચર્યા નોંધાઈ નથી.",
+    'report.more': "…અને વધુ",
+    'report.and': " અને ",
+    'report.fallback_subject': "તમારા પરિવારના સભ્ય",
+    'report.times_once': "એક વાર",
+    'report.times_twice': "બે વાર",
+    'report.times_count': "{count} વાર",
+    'report.summary_checkins': "{name} એ આજે {times} ખબરઅંતર આપ્યા.",
+    'report.summary_checkins_positive': "{name} એ આજે {times} ખબરઅંતર આપ્યા અને તેમનો મૂડ સારો લાગ્યો.",
+    'report.summary_checkins_neutral': "{name} એ આજે {times} ખબરઅંતર આપ્યા અને તેઓ ઠીકઠાક લાગ્યા.",
+    'report.summary_checkins_negative': "{name} એ આજે {times} ખબરઅંતર આપ્યા અને તેઓ થોડા ઉદાસ લાગ્યા.",
+    'report.summary_needs_attention': "તેમના {areas} પર ધ્યાન આપવાની જરૂર છે.",
+    'report.summary_all_well': "તેઓ શરીર, મન અને હળવા-મળવામાં, ત્રણેયમાં સારા હતા.",
+    'report.summary_activities': "તેમણે જણાવ્યું: {activities}.",
+    'report.summary_one_concern': "એક વાત પર ધ્યાન આપો: {concerns}.",
+    'report.summary_concerns': "{count} વાતો પર ધ્યાન આપો: {concerns}.",
+    'report.summary_missed': "આજે તેમની {medicines} ચૂકાઈ ગઈ.",
+    'report.summary_all_taken': "આજના બધા {count} ડોઝ તેમણે લીધા.",
+    'report.summary_all_taken_one': "આજનો 1 ડોઝ તેમણે લીધો.",
+    'report.highlight_good_spirits': "મૂડ સારો રહ્યો",
+    'report.highlight_all_well': "દરેક રીતે સારું લાગ્યું",
+    'report.highlight_all_taken': "બધી દવાઓ લીધી",
+    'report.highlight_adherence_up': "દવા સમયસર લેવાનું ગયા અઠવાડિયા કરતાં {change}% વધ્યું",
+
+    // Medication reminders
+    'reminder.due': "🔔 યાદ અપાવું છું: દવા લેવાનો સમય થઈ ગયો છે - *{medicine}*{dose}. \n\nતમે દવા લીધી? ✅ હા / ❌ ના",
+    'reminder.dont_forget': "તમારી {medicine} લેવાનું ભૂલશો નહીં! દવા લઈ લો ત્યારે \"હા\" લખો, અથવા પછી યાદ અપાવવી હોય તો \"ના\" લખો.",
+    'reminder.or_checkin': "તમારા માટે દવાની યાદ અને ખબરઅંતરની વાતચીત, બંને ચાલુ છે. તમે કોનો જવાબ આપો છો?\n\n1️⃣ દવાની યાદ ({medicine})\n2️⃣ ખબરઅંતરની વાતચીત\n\nકૃપા કરીને 1 અથવા 2 મોકલો.",
+    'reminder.or_checkin_invalid': "દવાની યાદ માટે 1 અથવા ખબરઅંતરની વાતચીત માટે 2 મોકલો.",
+    'reminder.response_error': "માફ કરશો, દવા વિશે તમારો જવાબ નોંધવામાં તકલીફ આવી. થોડી વાર પછી ફરી પ્રયત્ન કરો.",
+
+    // Picking between conversations
+    'disambiguation.invalid_option': "કૃપા કરીને 1 થી {count} વચ્ચેનો કોઈ વિકલ્પ પસંદ કરો.",
+    'disambiguation.fallback': "તમારા જવાબનું શું કરવું તે મને સમજાયું નહીં. ચાલો નવેસરથી શરૂ કરીએ.",
+    'disambiguation.error': "માફ કરશો, તમારો જવાબ મને બરાબર સમજાયો નહીં. ચાલો ફરીથી શરૂ કરીએ.",
+    'disambiguation.menu_vs_symptom': "તમે એક નંબર મોકલ્યો છે, પણ અત્યારે મેનૂની પસંદગી અને લક્ષણ તપાસ બંને ચાલુ છે. તમે શેનો જવાબ આપી રહ્યા છો?\n\n1. મેનૂની પસંદગી\n2. લક્ષણ તપાસ\n\nકૃપા કરીને 1 અથવા 2 લખો.",
+    'disambiguation.question': "અત્યારે તમારી ઘણી વાતચીત એક સાથે ચાલુ છે. તમે શેનો જવાબ આપી રહ્યા છો?",
+
+    // Medications
+    'med.time_question': "હું તમને કેટલા વાગ્યે યાદ અપાવું? (દા.ત.: 08:00 AM)",
+    'med.frequency_question': "આ દવા દિવસમાં કેટલી વાર લેવાની છે?\n\n1️⃣ દિવસમાં એક વાર\n2️⃣ દિવસમાં બે વાર\n3️⃣ દિવસમાં ત્રણ વાર\n4️⃣ દિવસમાં ચાર વાર\n\nનંબર મોકલો અથવા અલગ રીતે લખો (દા.ત., '5 times a day'):",
+    'med.duration_question': "આ દવા કેટલા દિવસ લેવાની છે? (સંખ્યા લખો, અથવા છેલ્લી તારીખ વગરની દવા માટે 'ongoing' લખો)",
+    'med.stock_question': "અત્યારે તમારી પાસે કેટલી ગોળીઓ છે? દવા ખૂટે તે પહેલાં હું તમને જણાવીશ. (સંખ્યા લખો, અથવા ગણતરી ન રાખવી હોય તો 'skip' લખો)",
+    'med.schedule_question': "તમે આ દવા કેટલી વાર લો છો?\n\n1️⃣ રોજ\n2️⃣ અમુક દિવસોએ (દા.ત., સોમ/બુધ/શુક્ર)\n3️⃣ થોડા દિવસના અંતરે (દા.ત., એકાંતરે)\n4️⃣ અઠવાડિયામાં એક વાર\n5️⃣ ઘટતો ડોઝ (ડોઝ સમય સાથે બદલાય છે)\n6️⃣ ફક્ત જરૂર પડે ત્યારે\n\nનંબર મોકલો અથવા લખીને જણાવો (દા.ત., 'every other day'):",
+    'med.field_medicine': "દવા",
+    'med.field_dosage': "ડોઝ",
+    'med.field_frequency': "કેટલી વાર",
+    'med.field_schedule': "સમયપત્રક",
+    'med.field_time': "સમય",
+    'med.field_times': "સમય",
+    'med.field_duration': "અવધિ",
+    'med.field_stock': "જથ્થો",
+    'med.not_specified': "જણાવ્યું નથી",
+    'med.ongoing': "ચાલુ",
+    'med.ongoing_no_end': "ચાલુ (છેલ્લી તારીખ નથી)",
+    'med.when_needed': "જરૂર પડે ત્યારે (કોઈ યાદ નહીં)",
+    'med.days': "{count} દિવસ",
+    'med.pills': "{count} ગોળીઓ",
+    'med.none_yet': "તમારી હજી કોઈ દવા ગોઠવેલી નથી. દવા ઉમેરવા 'add medicine' લખો.",
+    'med.not_found': "મને *{medicine}* નામની કોઈ દવા મળી નહીં. કૃપા કરીને નામ તપાસીને ફરી પ્રયત્ન કરો.",
+    'med.flow_error': "માફ કરશો, તમારી વિનંતીમાં તકલીફ આવી. ચાલો ફરીથી શરૂ કરીએ.",
+    'med.update_which': "તમે કઈ દવા બદલવા માંગો છો?",
+    'med.update_ask_name': "તમે પસંદ કર્યું: {medicine}\n\nકૃપા કરીને આ દવાનું નવું નામ લખો (અથવા એ જ રાખવા 'same' લખો):",
+    'med.update_ask_dosage': "કૃપા કરીને {medicine} નો ડોઝ લખો (દા.ત., \"500mg\", અથવા \"{dosage}\" એ જ રાખવા 'same' લખો):",
+    'med.update_ask_time': "હાલમાં યાદનો સમય {time} છે. કૃપા કરીને નવો સમય લખો (દા.ત.: 08:00 AM) અથવા એ જ રાખવા 'same' લખો:",
+    'med.update_ask_frequency': "હાલમાં આ \"{frequency}\" લેવાય છે. આ દવા દિવસમાં કેટલી વાર લેવાની છે?\n\n1️⃣ દિવસમાં એક વાર\n2️⃣ દિવસમાં બે વાર\n3️⃣ દિવસમાં ત્રણ વાર\n4️⃣ દિવસમાં ચાર વાર\n\nનંબર મોકલો, અલગ રીતે લખો, અથવા એ જ રાખવા 'same' લખો:",
+    'med.update_ask_duration': "હાલમાં અવધિ {duration} છે. આ દવા કેટલા દિવસ લેવાની છે? (સંખ્યા લખો, છેલ્લી તારીખ વગરની દવા માટે 'ongoing', અથવા એ જ રાખવા 'same' લખો)",
+    'med.update_ask_stock': "હાલમાં જથ્થો {stock} છે. અત્યારે તમારી પાસે કેટલી ગોળીઓ છે? (સંખ્યા લખો, ગણતરી બંધ કરવા 'none', અથવા એ જ રાખવા 'same' લખો)",
+    'med.stock_not_tracked': "ગણતરી થતી નથી",
+    'med.update_invalid_stock': "કૃપા કરીને ગોળીઓની સંખ્યા, 'none' અથવા 'same' લખો:",
+    'med.updated': "✅ દવા બદલાઈ ગઈ!\n\n{details}",
+    'med.update_failed': "❌ માફ કરશો, દવા બદલવામાં તકલીફ આવી. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'med.add_ask_name': "કૃપા કરીને દવાનું નામ લખો:\n\n_સૂચન: તમે એક જ સંદેશમાં પણ દવા ઉમેરી શકો છો, દા.ત. 'add Metformin 500mg twice a day after meals for 30 days at 8 am'_",
+    'med.add_restart': "માફ કરશો, દવા ઉમેરતી વખતે કંઈક ગડબડ થઈ. ચાલો ફરીથી શરૂ કરીએ.",
+    'med.add_ask_dosage': "કૃપા કરીને ડોઝ લખો (દા.ત., '500mg'), અથવા લાગુ ન પડે તો 'none' લખો:",
+    'med.add_ask_dosage_prn': "કૃપા કરીને ડોઝ લખો (દા.ત., '500mg'), અથવા લાગુ ન પડે તો 'none' લખો:\n\n_જ્યારે પણ ડોઝ લો ત્યારે *took <દવાનું નામ>* લખો, જેથી હું નોંધ રાખી શકું._",
+    'med.add_invalid_stock': "કૃપા કરીને ગોળીઓની સંખ્યા અથવા 'skip' લખો:",
+    'med.added': "✅ દવા ઉમેરાઈ ગઈ!\n\n{details}",
+    'med.added_for': "દવા {phone} માટે ઉમેરાઈ ગઈ છે.",
+    'med.add_failed': "❌ માફ કરશો, દવા ઉમેરવામાં તકલીફ આવી. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'med.schedule_ask_days': "તમે કયા દિવસોએ લો છો? (દા.ત., 'Mon/Wed/Fri' અથવા 'weekdays')",
+    'med.schedule_ask_interval': "કેટલા દિવસે એક વાર? (દા.ત., એકાંતરે માટે '2')",
+    'med.schedule_ask_weekly': "અઠવાડિયાનો કયો દિવસ? (દા.ત., 'Sunday')",
+    'med.schedule_ask_taper': "કૃપા કરીને દરેક ડોઝ અને તે કેટલા દિવસ ચાલશે, ક્રમમાં લખો (દા.ત., '40mg for 5 days, 20mg for 5 days, 10mg for 3 days'):",
+    'med.schedule_ask_prn': "24 કલાકમાં વધુમાં વધુ કેટલા ડોઝ લઈ શકાય? (સંખ્યા અથવા 'none' લખો)",
+    'med.schedule_invalid': "માફ કરશો, આ સમયપત્રક મને સમજાયું નહીં. કૃપા કરીને 1 થી 6 વચ્ચેનો નંબર મોકલો.",
+    'med.schedule_invalid_weekly': "કૃપા કરીને અઠવાડિયાનો એક દિવસ લખો (દા.ત., 'Sunday'):",
+    'med.schedule_invalid_days': "કૃપા કરીને દિવસો લખો, દા.ત. 'Mon/Wed/Fri':",
+    'med.schedule_invalid_interval': "કૃપા કરીને દિવસોની સંખ્યા લખો (દા.ત., એકાંતરે માટે '2'):",
+    'med.schedule_invalid_taper': "કૃપા કરીને ડોઝ આ રીતે લખો: '40mg for 5 days, 20mg for 5 days'",
+    'med.schedule_invalid_prn': "કૃપા કરીને 24 કલાકમાં વધુમાં વધુ ડોઝની સંખ્યા અથવા 'none' લખો:",
+
+    // Describing a medication schedule
+    'schedule.daily': "દરરોજ",
+    'schedule.weekly': "દર અઠવાડિયે {day}",
+    'schedule.every_other_day': "એક દિવસ છોડીને",
+    'schedule.every_n_days': "દર {count} દિવસે",
+    'schedule.taper': "ધીમે ધીમે ઘટતો ડોઝ: {steps}",
+    'schedule.taper_step': "{days} દિવસ {dosage}",
+    'schedule.taper_then': ", પછી ",
+    'schedule.prn': "જરૂર પડે ત્યારે",
+    'schedule.prn_max': "જરૂર પડે ત્યારે (24 કલાકમાં વધુમાં વધુ {count} વાર)",
+    'med.quick_setup': "ચાલો *{medicine}* ગોઠવીએ.\n\n{question}",
+    'med.quick_ask_time': "*{medicine}* લેવાની યાદ હું તમને કેટલા વાગ્યે અપાવું? (દા.ત.: 08:00 AM)",
+    'med.quick_confirm': "📝 મને આ સમજાયું:\n\n{details}\n\n1️⃣ સેવ કરો\n2️⃣ એક પછી એક બદલો\n3️⃣ રદ કરો",
+    'med.quick_step_by_step': "ચાલો *{medicine}* એક પછી એક ગોઠવીએ.\n\n{question}",
+    'med.quick_cancelled': "ઠીક છે, મેં *{medicine}* ઉમેરી નથી.",
+    'med.quick_confirm_invalid': "સેવ કરવા 1, એક પછી એક બદલવા 2, અથવા રદ કરવા 3 મોકલો.",
+    'med.marked_taken': "✅ સરસ! મેં *{medicine}* લીધી તરીકે નોંધી છે.",
+    'med.mark_taken_failed': "⚠️ માફ કરશો, હું {medicine} લીધી તરીકે નોંધી શક્યો નહીં. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'med.missed_remind_again': "❗ કોઈ વાંધો નહીં! 30 મિનિટ પછી હું તમને *{medicine}* લેવાની ફરી યાદ અપાવીશ.",
+    'med.missed_failed': "⚠️ માફ કરશો, હું તમારો જવાબ નોંધી શક્યો નહીં. તોપણ હું પછી તમને યાદ અપાવીશ.",
+    'med.unknown_reference': "તમે કઈ દવાની વાત કરો છો તે મને સમજાયું નહીં. કૃપા કરીને દવાનું નામ જણાવો.",
+    'med.history_empty': "તમારી {count} દવાઓ ગોઠવેલી છે, પણ તે લીધાની હજી કોઈ નોંધ નથી.\n\nતમે દવાની યાદનો જવાબ આપવાનું શરૂ કરશો ત્યારે તમારો દવાનો ઇતિહાસ અહીં દેખાશે.",
+
+    // Medication history
+    'history.title': "📜 *{phone} નો દવાનો ઇતિહાસ*:",
+    'history.medicine': "💊 *{medicine}*:",
+    'history.dosage': "   - ડોઝ: {value}",
+    'history.times': "   - યાદ અપાવવાનો સમય: {value}",
+    'history.frequency': "   - કેટલી વાર: {value}",
+    'history.schedule': "   - સમયપત્રક: {value}",
+    'history.duration': "   - સમયગાળો: {value}",
+    'history.start_date': "   - શરૂઆતની તારીખ: {value}",
+    'history.end_date': "   - છેલ્લી તારીખ: {value}",
+    'history.taken': "   - લીધી: {count} વાર",
+    'history.missed': "   - ચૂકાઈ: {count} વાર",
+    'history.dates': "       *તારીખો:* {dates}",
+    'history.none': "કંઈ નહીં",
+    'history.not_available': "ઉપલબ્ધ નથી",
+    'history.error': "❌ દવાનો ઇતિહાસ મેળવી શકાયો નહીં. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'med.delete_which': "તમે કઈ દવા કાઢી નાખવા માંગો છો?",
+    'med.delete_confirm': "શું તમે ખરેખર *{medicine}* કાઢી નાખવા માંગો છો?\n\nઆનાથી આ દવાની બધી યાદ પણ કાઢી નખાશે.\n\nપાકું કરવા *હા* અથવા રદ કરવા *ના* લખો.",
+    'med.deleted': "✅ *{medicine}* દવા કાઢી નાખવામાં આવી છે.",
+    'med.delete_failed': "❌ માફ કરશો, દવા કાઢવામાં તકલીફ આવી. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'med.delete_cancelled': "કાઢવાનું રદ કર્યું. તમારી દવામાં કોઈ ફેરફાર થયો નથી.",
+    'med.escalate_usage': "ચૂકી ગયેલા ડોઝ વિશે સંભાળ રાખનારાઓને ક્યારે જાણ કરવી તે પસંદ કરવા મોકલો:\n\n• *escalate <medicine> after 2 nudges* - સતત 2 યાદનો જવાબ ન મળે ત્યારે\n• *escalate <medicine> after 3 missed* - અઠવાડિયામાં 3 ડોઝ ચૂકી જાય ત્યારે\n• *escalate <medicine> off* - આ દવા માટે ક્યારેય જાણ ન કરવી\n• *escalate <medicine> on* - ફરી જાણ કરવાનું શરૂ કરો",
+    'med.escalation_off': "🔕 હવે *{medicine}* ના ડોઝ ચૂકી જાય તો સંભાળ રાખનારાઓને જાણ નહીં કરાય.",
+    'med.escalation_on': "🔔 *{medicine}* માટે સતત {nudges} યાદનો જવાબ ન મળે, અથવા અઠવાડિયામાં {missed} ડોઝ ચૂકી જાય ત્યારે સંભાળ રાખનારાઓને જાણ કરાશે.",
+    'med.refill_usage': "દવા ફરી લાવ્યા પછી જથ્થો અપડેટ કરવા *refill <દવાનું નામ> <ગોળીઓની સંખ્યા>* મોકલો, દા.ત.: refill Metformin 30",
+    'med.refilled': "📦 *{medicine}* નો જથ્થો ભરાઈ ગયો. હવે તમારી પાસે {count} ગોળીઓ છે{daysLeft}.",
+    'med.refill_days_left': ", જે લગભગ {days} દિવસ ચાલશે",
+    'med.took_usage': "ડોઝ નોંધવા *took <દવાનું નામ>* મોકલો, દા.ત.: took Paracetamol",
+    'med.dose_limit_reached': "🛑 છેલ્લા 24 કલાકમાં તમે *{medicine}* {taken} વાર લઈ ચૂક્યા છો, જે વધુમાં વધુ મર્યાદા ({max}) છે. કૃપા કરીને અત્યારે બીજો ડોઝ ન લો. તોપણ રાહત ન મળે તો તમારા ડૉક્ટરનો સંપર્ક કરો.",
+    'med.dose_log_failed': "❌ માફ કરશો, હું આ ડોઝ નોંધી શક્યો નહીં. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'med.dose_logged': "✅ *{medicine}* નો એક ડોઝ નોંધ્યો{limit}.",
+    'med.dose_limit_count': " (24 કલાકમાં {max} માંથી {taken})",
+    'med.running_low': "⚠️ *{medicine} ખૂટવા આવી છે*\n\nતમારી પાસે લગભગ {days} દિવસની દવા બાકી છે ({count} ગોળીઓ). કૃપા કરીને જલ્દી દવા મંગાવી લો.\n\nનવી દવા આવે ત્યારે જથ્થો અપડેટ કરવા *refill {medicine} <સંખ્યા>* લખો.",
+
+    // Medication adherence
+    'adherence.title': "📊 *દવા સમયસર લેવાનો હિસાબ*",
+    'adherence.title_for': "📊 *{name} નો દવા સમયસર લેવાનો હિસાબ*",
+    'adherence.no_doses_30_days': "છેલ્લા 30 દિવસમાં યાદ અપાવેલો કોઈ ડોઝ હજુ નોંધાયો નથી.",
+    'adherence.this_week': "*આ અઠવાડિયે:* {summary}",
+    'adherence.last_30_days': "*છેલ્લા 30 દિવસ:* {summary}",
+    'adherence.most_missed_time': "*સૌથી વધુ ચૂકાયેલો સમય:* {time} ({count} વાર ચૂકાયો)",
+    'adherence.med_week': "   - આ અઠવાડિયે: {value}",
+    'adherence.med_no_doses': "કોઈ ડોઝ નથી",
+    'adherence.med_month': "   - છેલ્લા 30 દિવસ: {percentage}% ({missed} ચૂકાયા)",
+    'adherence.med_streak': "   - સતત: {current} દિવસ (શ્રેષ્ઠ {best})",
+    'adherence.med_most_missed': "   - સૌથી વધુ ચૂકાયેલો: {time}",
+    'adherence.unavailable': "❌ દવાનો હિસાબ હમણાં ઉપલબ્ધ નથી. કૃપા કરીને પછીથી ફરી પ્રયત્ન કરો.",
+    'adherence.none': "કોઈ ડોઝ નોંધાયો નથી",
+    'adherence.summary': "{percentage}% ({total} માંથી {taken} ડોઝ)",
+    'adherence.same_week': ", પાછલા અઠવાડિયા જેટલું જ",
+    'adherence.up_week': ", પાછલા અઠવાડિયા કરતાં 📈 {change}% વધુ",
+    'adherence.down_week': ", પાછલા અઠવાડિયા કરતાં 📉 {change}% ઓછું",
+    'adherence.same_month': ", પાછલા 30 દિવસ જેટલું જ",
+    'adherence.up_month': ", પાછલા 30 દિવસ કરતાં 📈 {change}% વધુ",
+    'adherence.down_month': ", પાછલા 30 દિવસ કરતાં 📉 {change}% ઓછું",
+
+    // Symptom assessment
+    'symptom.ask_primary': "તમને શી તકલીફ છે? કૃપા કરીને ટૂંકમાં જણાવો.\n\nદા.ત.: 'માથાનો દુખાવો', 'પેટમાં દુખાવો', 'ઉધરસ' વગેરે.",
+    'symptom.restart': "માફ કરશો, લક્ષણોની તપાસમાં કંઈક ગડબડ થઈ. ચાલો ફરીથી શરૂ કરીએ.",
+    'symptom.emergency_title': "🚨 *આ મેડિકલ ઇમરજન્સી હોઈ શકે છે*",
+    'symptom.family_alerted': "તમને મદદ મળે તે માટે મેં તમારા પરિવાર અને ઇમરજન્સી સંપર્કને પણ જાણ કરી છે.",
+    'symptom.emergency_closed': "આશા છે કે તમને જરૂરી મદદ મળી રહી છે. હાલત બગડે તો તરત ઇમરજન્સી સેવાને ફોન કરો.\n\n{helplines}\n\nનવું લક્ષણ તપાસવા ગમે ત્યારે 'symptom' લખો.",
+    'symptom.reply_with_answer_number': "કૃપા કરીને તમારા જવાબનો નંબર મોકલો.",
+    'symptom.describe_briefly': "કૃપા કરીને થોડા શબ્દોમાં જણાવો.",
+    'symptom.follow_up_tomorrow': "કાલે હું તમને પૂછીશ કે તમારાં લક્ષણો કેવાં છે. તમને સારું, એવું ને એવું કે વધારે ખરાબ લાગે છે તે મુજબ હું નવી સલાહ આપીશ.",
+    'symptom.none_active': "હાલમાં તમારા કોઈ લક્ષણની તપાસ ચાલુ નથી. જો તમને કોઈ તકલીફ હોય તો નવી તપાસ શરૂ કરવા 'symptom' લખો.",
+    'symptom.history_title': "📊 *તમારાં લક્ષણોનો ઇતિહાસ*",
+    'symptom.history_entry': "*{number}. {symptom}*\nશરૂઆત: {date}\nકેટલા દિવસ નજર રાખી: {days}",
+    'symptom.history_latest': "તાજી સ્થિતિ: {status}",
+    'symptom.history_update_hint': "તમારાં લક્ષણોની સ્થિતિ જણાવવા 'check symptom status' લખો.",
+    'symptom.history_error': "માફ કરશો, અત્યારે તમારાં લક્ષણોનો ઇતિહાસ મળ્યો નહીં. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'symptom.fallback_question': "તમને આ તકલીફ ક્યારથી છે?",
+    'symptom.fallback_option_1': "એક દિવસથી ઓછું",
+    'symptom.fallback_option_2': "1-3 દિવસ",
+    'symptom.fallback_option_3': "4-7 દિવસ",
+    'symptom.fallback_option_4': "એક અઠવાડિયાથી વધુ",
+    'symptom.progression_disclaimer': "⚠️ *નોંધ*: આ માહિતી ડૉક્ટરની સલાહનું સ્થાન લઈ શકતી નથી. લક્ષણો ગંભીર હોય કે ચિંતા થાય તો કૃપા કરીને ડૉક્ટરને મળો.",
+    'symptom.progression_error': "માફ કરશો, અત્યારે હું તમારાં લક્ષણોમાં થયેલો ફેરફાર સમજી શકતો નથી. સાવચેતી તરીકે, લક્ષણો ચાલુ રહે કે વધે તો કૃપા કરીને ડૉક્ટરને મળો. શું તમે આ લક્ષણો પર નજર રાખવાનું ચાલુ રાખવા માંગો છો?",
+    'symptom.assessment_error': "માફ કરશો, અત્યારે હું તમારાં લક્ષણોની તપાસ પૂરી કરી શક્યો નહીં. તમને લક્ષણોની ચિંતા હોય તો કૃપા કરીને ડૉક્ટરને મળો.",
+
+    // Red-flag symptoms
+    'redflag.label_chest_pain': "છાતીમાં દુખાવો અથવા શ્વાસ લેવામાં તકલીફ",
+    'redflag.label_stroke': "લકવા (સ્ટ્રોક) નાં સંભવિત લક્ષણો",
+    'redflag.label_severe_bleeding': "ખૂબ લોહી વહેવું",
+    'redflag.label_fainting': "બેભાન થવું અથવા ભાન ગુમાવવું",
+    'redflag.label_suicidal': "આત્મહત્યા કે પોતાને નુકસાન પહોંચાડવાના વિચારો",
+    'redflag.guidance_chest_pain': "છાતીમાં દુખાવો કે શ્વાસ લેવામાં તકલીફ હાર્ટ એટેક કે બીજી કોઈ ઇમરજન્સી હોઈ શકે.\n\n• હમણાં જ એમ્બ્યુલન્સ બોલાવો — જાતે વાહન ન ચલાવો\n• સીધા બેસો, હલનચલન ન કરો અને ચુસ્ત કપડાં ઢીલાં કરો\n• ડૉક્ટરે છાતીના દુખાવાની દવા (જેમ કે GTN સ્પ્રે) આપી હોય, તો કહ્યા મુજબ લો\n• મદદ અંદર આવી શકે તે માટે દરવાજો ખોલી રાખો",
+    'redflag.guidance_stroke': "આ લકવા (સ્ટ્રોક) નાં લક્ષણો હોઈ શકે. *FAST* યાદ રાખો:\n*F* ચહેરો વાંકો થવો · *A* હાથમાં નબળાઈ · *S* બોલવામાં તકલીફ · *T* મદદ બોલાવવાનો સમય\n\n• તરત એમ્બ્યુલન્સ બોલાવો\n• લક્ષણો શરૂ થયાનો સમય નોંધી લો — ડૉક્ટર પૂછશે\n• ડૉક્ટર જુએ ત્યાં સુધી કંઈ ખાશો, પીશો કે કોઈ દવા લેશો નહીં",
+    'redflag.guidance_severe_bleeding': "ખૂબ લોહી વહેતું હોય તો તરત મદદ જોઈએ.\n\n• ચોખ્ખા કપડાથી ઘા પર જોરથી દબાવો અને દબાવી રાખો\n• શક્ય હોય તો ઈજાવાળો ભાગ હૃદય કરતાં ઊંચો રાખો\n• એમ્બ્યુલન્સ બોલાવો — તમે લોહી પાતળું કરવાની દવા લેતા હો, તો તેમને જણાવો",
+    'redflag.guidance_fainting': "બેભાન થાઓ કે ભાન ગુમાવો તો તરત ડૉક્ટરને બતાવવું જોઈએ.\n\n• પગ ઊંચા રાખીને સૂઈ જાઓ, અથવા ઘૂંટણ વચ્ચે માથું રાખીને બેસો\n• ઝડપથી ઊભા ન થાઓ અને એકલા ન રહો\n• કોઈ ચેતવણી વગર, છાતીના દુખાવા સાથે, કે પડી ગયા પછી આવું થયું હોય તો એમ્બ્યુલન્સ બોલાવો",
+    'redflag.guidance_suicidal': "તમને આવું લાગે છે તેનું મને ખરેખર દુઃખ છે. તમે એકલા નથી, અને તમને હમણાં સહારો મળવો જોઈએ.\n\n• કૃપા કરીને કોઈ વિશ્વાસુ વ્યક્તિ સાથે વાત કરો, અથવા નીચેની હેલ્પલાઇન પર ફોન કરો\n• તમે આ વિચારો પર અમલ કરી બેસશો એવું લાગે, તો હમણાં જ ઇમરજન્સી સેવાને ફોન કરો\n• કોઈની સાથે રહો, અને જેનાથી પોતાને ઈજા થઈ શકે એવી કોઈ પણ વસ્તુથી દૂર રહો",
+    'helpline.emergency': "📞 *ઇમરજન્સી:* {number}",
+    'helpline.emergency_unknown_country': "📞 *ઇમરજન્સી:* {number} (અથવા તમારો સ્થાનિક ઇમરજન્સી નંબર)",
+    'helpline.ambulance': "🚑 *એમ્બ્યુલન્સ:* {number}",
+    'helpline.support': "💬 *સહાય લાઇન:* {number}",
+
+    // Symptom follow-ups
+    'followup.title': "👋 *ફોલો-અપ: {symptom}*",
+    'followup.how_now': "હવે તમને કેવું લાગે છે?",
+    'followup.day_since': "તમે {symptom} જણાવ્યાને એક દિવસ થયો. હવે તમને કેવું લાગે છે?",
+    'followup.another_day_since': "તમે {symptom} જણાવ્યાને બીજો એક દિવસ થયો. હવે તમને કેવું લાગે છે?",
+    'followup.options': "1️⃣ સારું/રાહત છે\n2️⃣ લગભગ એવું ને એવું\n3️⃣ પહેલાં કરતાં ખરાબ\n4️⃣ ફોલો-અપ બંધ કરો (તકલીફ મટી ગઈ અથવા હવે નજર રાખવી નથી)\n\nકૃપા કરીને તમારા વિકલ્પનો નંબર મોકલો.",
+    'followup.completed': "✅ સુકૂન સારથિ સાથે લક્ષણો પર નજર રાખવા બદલ આભાર. તમારું ફોલો-અપ પૂરું થયું છે.",
+    'followup.next_tomorrow': "કાલે હું ફરી તમારા ખબરઅંતર પૂછીશ. તે પહેલાં લક્ષણોમાં મોટો ફેરફાર થાય તો મુખ્ય મેનૂમાંથી લક્ષણોની તપાસ પસંદ કરો.",
+    'followup.restart': "માફ કરશો, હું તમારો જવાબ નોંધી શક્યો નહીં. ચાલો ફરીથી શરૂ કરીએ.",
+    'followup.error': "માફ કરશો, તમારું ફોલો-અપ નોંધવામાં તકલીફ આવી. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+    'followup.stage_error': "માફ કરશો, તમારા ફોલો-અપમાં કંઈક ગડબડ થઈ. ચાલો ફરીથી શરૂ કરીએ.",
+    'followup.choose_assessment': "તમારાં ઘણાં લક્ષણોની તપાસ ચાલુ છે. તમે કોની સ્થિતિ જણાવવા માંગો છો?",
+    'followup.assessment_option': "{number}. {symptom} ({date} થી)",
+    'followup.status_error': "માફ કરશો, અત્યારે તમારાં લક્ષણોની સ્થિતિ મળી નહીં. કૃપા કરીને પછી ફરી પ્રયત્ન કરો.",
+
+    // SOS and caregiver alerts
+    'sos.sent': "🆘 તમારો SOS મોકલાઈ ગયો છે. મેં {names} ને જણાવ્યું છે.\n\nકોઈ જવાબ ન આપે ત્યાં સુધી હું તેમને જણાવતો રહીશ, અને જવાબ મળતાં જ તમને કહીશ.\n\nતમે જોખમમાં હો, તો હમણાં જ ઇમરજન્સી સેવાને ફોન કરો:\n{helplines}",
+    'sos.sent_again': "🆘 મેં {names} ને ફરીથી જણાવ્યું છે.\n\nકોઈ જવાબ ન આપે ત્યાં સુધી હું તેમને જણાવતો રહીશ, અને જવાબ મળતાં જ તમને કહીશ.\n\nતમે જોખમમાં હો, તો હમણાં જ ઇમરજન્સી સેવાને ફોન કરો:\n{helplines}",
+    'sos.not_delivered': "🆘 હું તમારા પરિવારના કોઈ સભ્ય કે ઇમરજન્સી સંપર્ક સુધી પહોંચી શક્યો નહીં.\n\nકૃપા કરીને હમણાં જ મદદ માટે ફોન કરો:\n{helplines}",
+    'sos.acknowledged': "✅ {caregiver} એ તમારો SOS જોયો છે અને મદદ માટે આવી રહ્યા છે.",
+    'sos.confirm': "🆘 શું તમને તરત મદદની જરૂર છે? *SOS* લખીને મોકલો, હું તરત તમારા પરિવાર અને ઇમરજન્સી સંપર્કને જાણ કરીશ.\n\nજો તમે જોખમમાં હો, તો હમણાં જ ઇમરજન્સી સેવાને ફોન કરો:\n{helplines}\n\nજો તમે બીજું કંઈ કહેવા માગતા હો, તો હું શું કરી શકું તે જોવા *menu* લખીને મોકલો.",
+    'alert.sos': "🆘 *{name} તરફથી SOS*\n\n{name} એ મદદ માંગી છે.\n📍 *સ્થળ:* {location}\n🕒 *સમય:* {time} ({timezone})\n\nકૃપા કરીને તેમને તરત ફોન કરો. સંપર્ક ન થાય તો ઇમરજન્સી સેવા ({emergency}) ને ફોન કરો.\nતમે સંભાળવાનું શરૂ કરો એટલે *ack* લખો — કોઈ એવું ન કરે ત્યાં સુધી આ અલર્ટ દર {minutes} મિનિટે ફરી આવશે. (અલર્ટ {alertId})",
+    'alert.location_unknown': "સાચવેલું નથી",
+    'alert.symptom_emergency': "🚨 *સંભવિત ઇમરજન્સી: {name}*\n\n{name} એ એવાં લક્ષણો જણાવ્યાં છે જેમાં તાત્કાલિક સારવારની જરૂર પડી શકે ({symptom}):\n\"{description}\"\n\nતેમને ઇમરજન્સી સલાહ અને હેલ્પલાઇન નંબર આપવામાં આવ્યા છે. કૃપા કરીને તરત તેમનો સંપર્ક કરો.\nતમે સંભાળી રહ્યા છો તે બીજાને જણાવવા *ack* લખો. (અલર્ટ {alertId})",
+    'alert.checkin_concern': "🚨 *તાત્કાલિક ચિંતા: {name}*\n\nખબરઅંતર દરમિયાન {name} એ આ જણાવ્યું: {concerns}.\n{excerpt}\nકૃપા કરીને શક્ય એટલા જલદી તેમની ખબર લો.\nતમે સંભાળી રહ્યા છો તે બીજાને જણાવવા *ack* લખો. (અલર્ટ {alertId})",
+    'alert.checkin_concern_excerpt': "\n*તેમણે શું કહ્યું:*\n{excerpt}\n",
+    'alert.missed_unanswered': "⚠️ *દવા ચૂકાયાનો અલર્ટ*\n\n{name} એ {medicine} ની છેલ્લી {count} યાદનો જવાબ આપ્યો નથી.\n\nતમે તેમની ખબર લઈ શકો.\nતમે સંભાળી રહ્યા છો તે બીજાને જણાવવા *ack* લખો. (અલર્ટ {alertId})",
+    'alert.missed_per_week': "⚠️ *દવા ચૂકાયાનો અલર્ટ*\n\nછેલ્લા 7 દિવસમાં {name} ની {medicine} {count} વાર ચૂકાઈ છે.\n\nતમે તેમની ખબર લઈ શકો.\nતમે સંભાળી રહ્યા છો તે બીજાને જણાવવા *ack* લખો. (અલર્ટ {alertId})",
+    'alert.repeat_prefix': "🔁 *હજુ કોઈએ સંભાળ્યું નથી — પુનરાવર્તન {count}*",
+    'alert.escalated_prefix': "⏫ *આગળ મોકલ્યું — હજુ કોઈએ સંભાળ્યું નથી*",
+    'alert.acknowledged_by': "✅ {caregiver} એ {name} વિશેનો અલર્ટ (અલર્ટ {alertId}) જોયો છે અને તેઓ સંભાળી રહ્યા છે.",
+    'alert.none_open': "✅ તમારો કોઈ ખુલ્લો અલર્ટ નથી.",
+    'alert.open_title': "🚨 *તમારા ખુલ્લા અલર્ટ*",
+    'alert.open_item': "{number}. {type} — *{name}*\n   અલર્ટ {alertId} · {age}",
+    'alert.open_step': " · આગળ મોકલવાનું પગલું {steps} માંથી {step}",
+    'alert.open_ack_hint': "કોઈ અલર્ટ સંભાળ્યાનું જણાવવા *ack <alert id>* લખો, જેમ કે \"ack {alertId}\".",
+    'alert.type_sos': "🆘 SOS",
+    'alert.type_symptom_emergency': "🚨 સંભવિત ઇમરજન્સી",
+    'alert.type_checkin_concern': "🚨 ખબરઅંતરમાં તાત્કાલિક ચિંતા",
+    'alert.type_missed_medication': "⚠️ દવા ચૂકાઈ",
+    'alert.type_other': "અલર્ટ",
+    'alert.ack_not_found': "{alertId} નામનો કોઈ ખુલ્લો અલર્ટ મળ્યો નહીં. કદાચ તે પહેલેથી સંભાળી લેવાયો હોય.",
+    'alert.ack_none': "સંભાળવા માટે તમારો કોઈ ખુલ્લો અલર્ટ નથી.",
+    'alert.ack_done': "✅ આભાર — તમે {name} વિશેનો અલર્ટ (અલર્ટ {alertId}) સંભાળ્યો છે. જેમને અલર્ટ ગયો હતો તે બધાને જણાવી દેવાયું છે કે તમે સંભાળી રહ્યા છો.",
+    'alert.ack_already': "✅ {caregiver} એ {name} વિશેનો અલર્ટ (અલર્ટ {alertId}) પહેલેથી જ સંભાળી લીધો છે. તમારે હવે કંઈ કરવાની જરૂર નથી.",
+
+    // Times and days
+    'time.today': "આજે",
+    'time.minutes_ago': "{count} મિનિટ પહેલાં",
+    'time.hours_ago': "{count} કલાક પહેલાં",
+    'time.one_day_ago': "1 દિવસ પહેલાં",
+    'time.days_ago': "{count} દિવસ પહેલાં",
+    'day.sun': "રવિ",
+    'day.mon': "સોમ",
+    'day.tue': "મંગળ",
+    'day.wed': "બુધ",
+    'day.thu': "ગુરુ",
+    'day.fri': "શુક્ર",
+    'day.sat': "શનિ",
+
+    // Acting for a family member ("for:<number> ...")
+    'proxy.not_linked': "તમને {phone} નું ખાતું સંભાળવાની પરવાનગી નથી.",
+    'proxy.fallback_parent_name': "તમારાં માતા/પિતા",
+    'proxy.fallback_caregiver_name': "તમારા સંભાળ રાખનાર",
+    'proxy.no_permission_manage_medications': "તમને {name} ની દવાઓ સંભાળવાની પરવાનગી નથી.",
+    'proxy.no_permission_view_medications': "તમને {name} ની દવાઓ જોવાની પરવાનગી નથી.",
+    'proxy.no_permission_view_symptoms': "તમને {name} નાં લક્ષણો જોવાની પરવાનગી નથી.",
+    'proxy.no_permission_view_reports': "તમને {name} ના રિપોર્ટ જોવાની પરવાનગી નથી.",
+    'proxy.add_start': "હું {name} માટે દવા ઉમેરવામાં તમારી મદદ કરીશ.\n\nકૃપા કરીને દવાનું નામ લખો:",
+    'proxy.no_medications': "{name} ની કોઈ દવા મળી નહીં.",
+    'proxy.update_which': "{name} ની કઈ દવા તમે બદલવા માંગો છો?\n\n{list}",
+    'proxy.delete_which': "{name} ની કઈ દવા તમે કાઢવા માંગો છો?\n\n{list}\nકૃપા કરીને તમારી પસંદગીનો નંબર મોકલો.",
+    'proxy.medications_title': "{name} ની દવાઓ:",
+    'proxy.medication_item': "{number}. {medicine}\n   સમય: {time}, કેટલી વાર: {frequency}",
+    'proxy.invite_usage': "{name} માટે સંભાળ રાખનાર ઉમેરવા \"for:{phone} invite\" પછી તેમનો ફોન નંબર અને ભૂમિકા (primary, secondary અથવા view-only) લખો.",
+    'proxy.unknown_command': "આ કમાન્ડ સમજાયો નહીં. {name} વતી તમે આ લખી શકો:\n• \"add medicine\", \"update medicine\", \"delete medicine\"\n• \"check medications\", \"history\", \"adherence\"\n• \"report\", \"symptoms\", \"follow-ups\"\n• \"invite <phone> <role>\"",
+    'proxy.error': "તમારી વિનંતી પૂરી કરતી વખતે ભૂલ થઈ.",
+    'proxy.no_recent_symptoms': "છેલ્લા 30 દિવસમાં {name} એ કોઈ લક્ષણ જણાવ્યું નથી.",
+    'proxy.recent_symptoms_title': "🩺 *{name} નાં તાજેતરનાં લક્ષણો*",
+    'proxy.recent_symptom_item': "{number}. *{symptom}* — {date}, {status}",
+    'proxy.symptom_active': "ફોલો-અપ ચાલુ છે",
+    'proxy.symptom_closed': "બંધ",
+    'proxy.no_follow_ups': "{name} નું કોઈ ખુલ્લું ફોલો-અપ નથી.",
+    'proxy.follow_ups_title': "🔁 *{name} નાં ખુલ્લાં ફોલો-અપ*",
+    'proxy.follow_up_item': "{number}. *{symptom}* — જણાવ્યું: {when}",
+    'proxy.follow_up_last': "   છેલ્લી માહિતી: {status}",
+    'proxy.follow_up_none': "   હજુ ફોલો-અપનો કોઈ જવાબ નથી",
+    'proxy.status_improved': "પહેલાં કરતાં સારું",
+    'proxy.status_same': "લગભગ એવું જ",
+    'proxy.status_worse': "પહેલાં કરતાં ખરાબ ⚠️",
+    'proxy.notice_add_started': "{caregiver} એ તમારા માટે એક દવા ઉમેરવાનું શરૂ કર્યું છે.",
+    'proxy.notice_update_started': "{caregiver} એ તમારી એક દવા બદલવાનું શરૂ કર્યું છે.",
+    'proxy.notice_delete_started': "{caregiver} એ તમારી એક દવા કાઢવાનું શરૂ કર્યું છે.",
+    'proxy.notice_medication_added': "{caregiver} એ તમારા માટે નવી દવા ઉમેરી છે: {medicine} ({dosage}), {time} વાગ્યે",
+    'proxy.notice_medication_added_prn': "{caregiver} એ તમારા માટે નવી દવા ઉમેરી છે: {medicine} ({dosage}), જરૂર પડે ત્યારે લેવાની",
+    'proxy.notice_medication_updated': "{caregiver} એ તમારી એક દવા બદલી છે: {medicine}",
+    'proxy.notice_medication_deleted': "{caregiver} એ તમારી એક દવા કાઢી છે: {medicine}",
+    'proxy.notice_history_viewed': "{caregiver} એ છેલ્લા 7 દિવસનો તમારો દવાનો ઇતિહાસ જોયો છે.",
+    'proxy.notice_history_all_viewed': "{caregiver} એ તમારો આખો દવાનો ઇતિહાસ જોયો છે.",
+    'proxy.notice_medications_viewed': "{caregiver} એ તમારી દવાઓ જોઈ છે ({count} દવાઓ).",
+    'proxy.notice_medications_none_viewed': "{caregiver} એ તમારી દવાઓ જોઈ. હજુ કોઈ દવા ઉમેરાઈ નથી.",
+    'proxy.notice_adherence_viewed': "તમે દવાઓ કેટલી નિયમિત લો છો તે {caregiver} એ જોયું છે.",
+    'proxy.notice_follow_ups_viewed': "{caregiver} એ તમારાં લક્ષણોનાં ખુલ્લાં ફોલો-અપ જોયાં છે.",
+    'proxy.notice_symptoms_viewed': "{caregiver} એ તમારાં તાજેતરનાં લક્ષણો જોયાં છે.",
+    'proxy.notice_report_viewed': "{caregiver} એ તમારા વિશેનો આજનો રિપોર્ટ જોયો છે.",
+    'proxy.notice_caregiver_invited': "{caregiver} એ {phone} ને તમારા {role} બનવા આમંત્રણ મોકલ્યું છે.",
+
+    // Weekly digest
+    'digest.title': "📅 *અઠવાડિયાનો સારાંશ*\n_છેલ્લા 7 દિવસ એક નજરે_",
+    'digest.section_wellbeing': "😊 *તબિયત*",
+    'digest.section_medication': "💊 *દવાઓ*",
+    'digest.section_symptoms': "🩺 *લક્ષણો*",
+    'digest.footer': "રિપોર્ટ કેટલી વાર મળે તે બદલવા \"reports\" લખો.",
+    'digest.template_prefix': "અઠવાડિયાનો સારાંશ.",
+    'digest.fallback_name': "તમારા પરિવારના સભ્ય",
+    'digest.no_checkins': "આ અઠવાડિયે કોઈ ખબરઅંતર થયું નથી.",
+    'digest.mood': "મૂડ: {moods} ({count} ખબરઅંતર)",
+    'digest.trend_steady': "વલણ: ગયા અઠવાડિયા જેવું જ",
+    'digest.trend_improving': "વલણ: ગયા અઠવાડિયા કરતાં 📈 સારું",
+    'digest.trend_lower': "વલણ: ગયા અઠવાડિયા કરતાં 📉 ઓછું",
+    'digest.concerns': "જણાવેલી ચિંતાઓ: {concerns}",
+    'digest.no_concerns': "કોઈ ચિંતા જણાવી નથી.",
+    'digest.no_doses': "આ અઠવાડિયે યાદ અપાવેલો કોઈ ડોઝ નોંધાયો નથી.",
+    'digest.adherence': "દવા સમયસર: {summary}",
+    'digest.missed_doses': "ચૂકાયેલા ડોઝ: {doses}",
+    'digest.no_missed_doses': "એક પણ ડોઝ ચૂકાયો નથી. 👏",
+    'digest.most_missed_time': "સૌથી વધુ ચૂકાયેલો સમય: {time}",
+    'digest.symptoms': "જણાવેલાં લક્ષણો: {symptoms}",
+    'digest.no_symptoms': "આ અઠવાડિયે કોઈ લક્ષણ જણાવ્યું નથી.",
+    'digest.open_follow_ups': "ખુલ્લાં ફોલો-અપ: {followUps}",
+    'digest.follow_up_since': "{symptom} ({date} થી)",
+
+    // Check-ins, when the AI is unavailable
+    'checkin.fallback_question': "નમસ્તે {name}! આજે તમને કેવું લાગે છે? તમારો દિવસ કેવો ગયો તે સાંભળવું મને ગમશે. 😊",
+    'checkin.fallback_reply': "મને આ જણાવવા બદલ આભાર. જવાબ આપવા સમય કાઢવા બદલ ખૂબ આભાર. 😊",
+    'checkin.fallback_follow_up': "સાંભળીને સારું લાગ્યું. આજે તમને કેવું લાગે છે તે થોડું વધુ જણાવશો? 😊",
+    'checkin.fallback_second_follow_up': "આજે તમને સારું લાગે તે માટે કંઈ મદદ કરી શકે? હું સાંભળવા માટે અહીં છું. 💗",
+    'checkin.fallback_final': "મને આ બધું જણાવવા બદલ ખૂબ ખૂબ આભાર. તમારી સાથે વાત કરીને આનંદ થયો, તમારો બાકીનો દિવસ સારો જાય. તમારું ધ્યાન રાખજો! 💗",
+
+    // Resuming a check-in after a medication reminder
+    'checkin.resume': "ચાલો, હવે આપણી પહેલાંની વાતચીત આગળ વધારીએ. તમે આનો જવાબ આપી રહ્યા હતા: \"{question}\"",
+    'checkin.resume_last_question': "મારો છેલ્લો સવાલ",
+
+    // General AI replies
+    'ai.disclaimer': "⚠️ *મહત્ત્વનું*: આ માહિતી રોગનું નિદાન નથી. આરોગ્યની ચિંતા માટે હંમેશાં ડૉક્ટરની સલાહ લો.",
+    'ai.error': "માફ કરશો, અત્યારે હું તમારી વિનંતી પૂરી કરી શક્યો નહીં. થોડી વાર પછી ફરી પ્રયત્ન કરો."
+};
@@ -0,0 +1,535 @@
+// locales/hi.js - Hindi messages
+module.exports = {
+    // Shared
+    'common.reply_with_number': "कृपया अपने विकल्प का नंबर भेजें।",
+    'common.invalid_list_number': "कृपया सूची में से सही नंबर भेजें।",
+    'common.error': "माफ़ कीजिए, आपका अनुरोध पूरा करने में दिक्कत आई। कृपया थोड़ी देर बाद फिर कोशिश करें।",
+
+    // Language choice
+    'language.question': "आप किस भाषा में बात करना चाहेंगे?\n\n{options}\n\nकृपया अपनी भाषा का नंबर भेजें।",
+    'language.invalid': "कृपया सूची में से किसी भाषा का नंबर भेजें:\n\n{options}",
+    'language.current': "मैं आपसे {language} में बात कर रहा हूँ। भाषा बदलने के लिए नंबर भेजें:\n\n{options}",
+    'language.updated': "✅ हो गया! अब से मैं आपसे {language} में बात करूँगा।",
+    'language.update_failed': "❌ आपकी भाषा नहीं बदल पाई। कृपया थोड़ी देर बाद फिर कोशिश करें।",
+
+    // Main and medication menus
+    'menu.welcome': "नमस्ते {name}, सुकून सारथी में आपका स्वागत है! 🌿",
+    'menu.managing_family': "आप परिवार के {count} सदस्य(यों) का खाता संभाल रहे हैं।\nउनकी ओर से कमांड भेजने के लिए संदेश की शुरुआत \"for:[उनका नंबर]\" से करें और फिर कमांड लिखें।\nउदाहरण: \"for:+917XXXXXXXX check medications\"",
+    'menu.welcome_help': "मैं सेहत पर नज़र रखने, लक्षणों की जाँच और दवा की याद दिलाने में मदद कर सकता हूँ।\nतबीयत ठीक न हो तो 'symptom' लिखें, या दवा की याद सेट करने के लिए 'add medicine' लिखें।",
+    'menu.main': "आज आप क्या करना चाहेंगे?\n\n1️⃣ लक्षणों की जाँच\n2️⃣ दवाइयों का प्रबंधन\n\nकृपया अपने विकल्प का नंबर भेजें।",
+    'menu.main_invalid': "लक्षणों के लिए 1 या दवाइयों के लिए 2 भेजें।",
+    'menu.medication': "*दवाइयों का प्रबंधन* 💊\n\nआप अपनी दवाइयों के साथ क्या करना चाहेंगे?\n\n{options}",
+    'menu.medication_invalid': "मैं समझ नहीं पाया कि आप दवाइयों के साथ क्या करना चाहते हैं। कृपया इनमें से एक चुनें:\n\n{options}",
+    'menu.medication_options': "1️⃣ नई दवा जोड़ें\n2️⃣ मौजूदा दवा बदलें\n3️⃣ दवा हटाएँ\n4️⃣ दवा की जानकारी देखें\n5️⃣ दवा का इतिहास (पिछला हफ़्ता)\n6️⃣ दवा का पूरा इतिहास\n7️⃣ मुख्य मेनू पर वापस\n\nकृपया अपने विकल्प का नंबर भेजें।",
+    'menu.no_medications': "आपकी अभी कोई दवा सेट नहीं है। पहले दवा जोड़ने के लिए '1' भेजें।",
+    'menu.info_which': "आप किस दवा के बारे में जानकारी चाहते हैं?",
+
+    // Account creation
+    'account.welcome': "सुकून सारथी में आपका स्वागत है! 🌿",
+    'account.no_account': "सुकून सारथी में आपका स्वागत है! लगता है आपका अभी कोई खाता नहीं है।\n\nखाता बनाने के लिए \"create account\" लिखकर भेजें।",
+    'account.type_question': "चलिए आपका खाता बनाते हैं। आप खाता किसके लिए बना रहे हैं:\n\n1️⃣ अपने लिए (बुज़ुर्ग उपयोगकर्ता के रूप में)\n2️⃣ अपने माता/पिता के लिए\n\nकृपया 1 या 2 भेजें।",
+    'account.type_invalid': "मैं आपका जवाब समझ नहीं पाया। कृपया भेजें:\n\n1️⃣ अपने लिए (बुज़ुर्ग उपयोगकर्ता के रूप में)\n2️⃣ अपने माता/पिता के लिए",
+    'account.restart': "माफ़ कीजिए, खाता बनाते समय कुछ गड़बड़ हो गई। चलिए फिर से शुरू करते हैं।",
+    'account.ask_name': "कृपया अपना पूरा नाम लिखें:",
+    'account.ask_age': "धन्यवाद! कृपया अपनी उम्र लिखें:",
+    'account.invalid_age': "कृपया सही उम्र लिखें (1 से 120 के बीच कोई संख्या):",
+    'account.ask_location': "कृपया अपना शहर और राज्य लिखें (जैसे, मुंबई, महाराष्ट्र):",
+    'account.timezone_question': "आपका घर किस टाइमज़ोन में है? याद दिलाने वाले संदेश और हालचाल इसी स्थानीय समय के हिसाब से आएँगे।\n\n{options}\n\nकृपया नंबर भेजें, या टाइमज़ोन का नाम लिखें (जैसे, Europe/London)।",
+    'account.parent_timezone_question': "आपके माता/पिता का घर किस टाइमज़ोन में है? याद दिलाने वाले संदेश और हालचाल इसी स्थानीय समय के हिसाब से आएँगे।\n\n{options}\n\nकृपया नंबर भेजें, या टाइमज़ोन का नाम लिखें (जैसे, Europe/London)।",
+    'account.timezone_option': "{number}. {timezone} (अभी {time})",
+    'account.ask_emergency_contact': "कृपया किसी आपातकालीन संपर्क का व्हाट्सऐप नंबर देश कोड के साथ लिखें (जैसे, +917XXXXXXXX):",
+    'account.invalid_phone': "कृपया देश कोड के साथ सही व्हाट्सऐप नंबर लिखें (जैसे, +917XXXXXXXX):",
+    'account.ask_emergency_name': "आपके आपातकालीन संपर्क का नाम क्या है?",
+    'account.ask_emergency_relationship': "आपातकालीन संपर्क से आपका क्या रिश्ता है?\n\nजैसे: बेटा, बेटी, पति/पत्नी, भाई/बहन, दोस्त आदि।",
+    'account.created': "✅ धन्यवाद, {name}! आपका सुकून सारथी खाता बन गया है।\n\nमैं दवाइयाँ संभालने, लक्षणों पर नज़र रखने और स्वस्थ रहने में आपकी मदद करूँगा।\n\nमैं क्या-क्या कर सकता हूँ, यह देखने के लिए कभी भी \"Hi\" लिखें।",
+    'account.emergency_contact_notice': "नमस्ते {contactName},\n\n{name} ने आपको सुकून सारथी (एक स्वास्थ्य सहायक ऐप) पर अपना आपातकालीन संपर्क बनाया है।\n\nआपको उनकी दिनचर्या और दवा लेने की जानकारी मिलती रहेगी। अगर उन्हें मदद की ज़रूरत हुई, तो आपको बताया जाएगा।\n\nअभी आपको कुछ करने की ज़रूरत नहीं है। यह सिर्फ़ आपकी जानकारी के लिए है।",
+    'account.create_failed': "आपका खाता बनाने में दिक्कत आई। कृपया बाद में फिर कोशिश करें या सहायता से संपर्क करें।",
+    'account.parent_count_question': "आप खाता किसके लिए बना रहे हैं:\n\n1️⃣ माता या पिता में से एक\n2️⃣ दोनों (अलग-अलग खाते)\n\nकृपया 1 या 2 भेजें।",
+    'account.parent_count_invalid': "मैं आपका जवाब समझ नहीं पाया। कृपया भेजें:\n\n1️⃣ माता या पिता में से एक के लिए\n2️⃣ दोनों के लिए",
+    'account.ask_parent_phone': "कृपया अपने माता/पिता का व्हाट्सऐप नंबर देश कोड के साथ लिखें (जैसे, +917XXXXXXXX):",
+    'account.ask_first_parent_phone': "कृपया पहले अभिभावक का व्हाट्सऐप नंबर देश कोड के साथ लिखें (जैसे, +917XXXXXXXX):",
+    'account.parent_exists': "इस नंबर पर पहले से खाता है। कृपया दूसरा नंबर दें, या अगर आपको लगता है कि यह गलती है तो सहायता से संपर्क करें।",
+    'account.ask_parent_name': "कृपया अपने माता/पिता का पूरा नाम लिखें:",
+    'account.ask_first_parent_name': "कृपया पहले अभिभावक का पूरा नाम लिखें:",
+    'account.ask_second_parent_name': "कृपया दूसरे अभिभावक का पूरा नाम लिखें:",
+    'account.ask_parent_language': "{name} से मैं किस भाषा में बात करूँ?\n\n{options}\n\nकृपया उनकी भाषा का नंबर भेजें।",
+    'account.ask_parent_age': "कृपया अपने माता/पिता की उम्र लिखें:",
+    'account.ask_parent_location': "कृपया अपने माता/पिता का शहर और राज्य लिखें (जैसे, मुंबई, महाराष्ट्र):",
+    'account.ask_parent_relationship': "इनसे आपका क्या रिश्ता है?\n\nजैसे: बेटा, बेटी आदि।",
+    'account.first_parent_created': "✅ पहले अभिभावक का खाता बन गया! खाता चालू होने से पहले {name} से सहमति ली जाएगी।\n\nअब कृपया दूसरे अभिभावक का व्हाट्सऐप नंबर देश कोड के साथ लिखें (जैसे, +917XXXXXXXX):",
+    'account.parent_welcome_held': "ध्यान दें: व्हाट्सऐप के नियमों के कारण, संदेश पाने से पहले {name} को इस नंबर पर एक संदेश भेजना होगा। कृपया उनसे कहें कि खाता चालू करने के लिए {number} पर \"Hi\" भेजें।",
+    'account.parent_created': "✅ आपके माता/पिता का खाता बन गया है!\n\nकुछ भी शुरू होने से पहले मैंने उनसे सहमति माँगी है, और जवाब आने पर मैं आपको बताऊँगा। तब तक आप उनकी दवाइयाँ जोड़ सकते हैं, पर कोई याद दिलाने वाला संदेश, हालचाल या रिपोर्ट नहीं भेजी जाएगी।\n\n{proxyHelp}",
+    'account.parents_created': "✅ दोनों अभिभावकों के खाते बन गए हैं!\n\nकुछ भी शुरू होने से पहले मैंने दोनों से सहमति माँगी है, और जवाब आने पर मैं आपको बताऊँगा। तब तक आप उनकी दवाइयाँ जोड़ सकते हैं, पर कोई याद दिलाने वाला संदेश, हालचाल या रिपोर्ट नहीं भेजी जाएगी।\n\n{proxyHelp}",
+    'account.proxy_help': "अपने माता/पिता की ओर से कमांड भेजने के लिए संदेश की शुरुआत \"for:(उनका नंबर)\" से करें और फिर कमांड लिखें।\n\nउदाहरण: \"for:+917XXXXXXXX add medicine...\"\n\nआपका खाता भी बन गया है, और आप अपनी सेहत के लिए भी सुकून सारथी का उपयोग कर सकते हैं। शुरू करने के लिए \"Hi\" लिखें।",
+    'account.parent_create_failed': "खाता बनाने में दिक्कत आई। कृपया बाद में फिर कोशिश करें या सहायता से संपर्क करें।",
+
+    // Consent for caregiver-created accounts
+    'consent.request': "🙏 नमस्ते {name}! {caregiver} ने आपके लिए सुकून सारथी नाम का स्वास्थ्य सहायक शुरू किया है।\n\nकुछ भी शुरू होने से पहले, कृपया देख लें कि {caregiver} क्या-क्या कर पाएँगे:\n{permissions}\n\nमैं आपको दवा की याद भी दिलाऊँगा और दिन में कुछ बार आपका हालचाल पूछूँगा।\n\nशुरू करने के लिए *हाँ* (या *agree*) लिखें। अगर आप यह नहीं चाहते तो *नहीं* (या *decline*) लिखें — तब मैं आपका खाता और {caregiver} की डाली हुई सारी जानकारी मिटा दूँगा।",
+    'consent.not_found': "मुझे आपका खाता नहीं मिला।",
+    'consent.retry': "❌ कुछ गड़बड़ हो गई। कृपया थोड़ी देर बाद फिर से *हाँ* लिखें।",
+    'consent.given': "✅ धन्यवाद, {name}! आपका खाता अब चालू हो गया है।\n\nमैं क्या-क्या कर सकता हूँ, यह देखने के लिए कभी भी \"Hi\" लिखें।",
+    'consent.confirm_decline': "⚠️ {name}, क्या आप पक्का हैं? मना करने पर आपका खाता और {caregiver} की डाली गई सारी जानकारी, दवाइयों समेत, मिटा दी जाएगी।\n\nमिटाने के लिए *DELETE* लिखें, या खाता रखकर शुरू करने के लिए *agree* लिखें।",
+    'consent.declined': "ठीक है, {name}। आपका खाता और आपके लिए डाली गई सारी जानकारी मिटा दी गई है, और अब मैं आपको संदेश नहीं भेजूँगा।\n\nअगर आपका मन बदले, तो बस \"create account\" लिखें।",
+    'consent.error': "❌ कुछ गड़बड़ हो गई। कृपया थोड़ी देर बाद फिर कोशिश करें।",
+    'consent.given_notice': "✅ {name} ने सुकून सारथी इस्तेमाल करने की सहमति दे दी है। दवा की याद, हालचाल और रिपोर्ट अब शुरू हो रहे हैं।",
+    'consent.declined_notice': "{name} ने आपका बनाया सुकून सारथी खाता अस्वीकार कर दिया है, इसलिए वह खाता आपकी जोड़ी दवाइयों समेत मिटा दिया गया है।",
+    'permission.view_medications': "आपकी दवाइयाँ देखना और यह देखना कि खुराक ली गई या नहीं",
+    'permission.manage_medications': "दवाइयाँ जोड़ना, बदलना और हटाना",
+    'permission.view_symptoms': "लक्षणों की जाँच और उनका फ़ॉलो-अप देखना",
+    'permission.view_reports': "रोज़ की और हफ़्ते की रिपोर्ट पाना",
+    'permission.manage_caregivers': "दूसरे देखभाल करने वालों को जोड़ना",
+
+    // Caregiver roles, and what each lets the caregiver do
+    'role.primary': "मुख्य देखभालकर्ता",
+    'role.secondary': "सहायक देखभालकर्ता",
+    'role.view_only': "सिर्फ़ देखने वाले देखभालकर्ता",
+    'role.custom': "ख़ास अनुमतियों वाले देखभालकर्ता",
+    'access.view_medications': "उनकी दवाइयाँ देखना और यह देखना कि खुराक ली गई या नहीं",
+    'access.manage_medications': "उनकी दवाइयाँ जोड़ना, बदलना और हटाना",
+    'access.view_symptoms': "उनके लक्षणों की जाँच और फ़ॉलो-अप देखना",
+    'access.view_reports': "रोज़ की और हफ़्ते की रिपोर्ट पाना",
+    'access.manage_caregivers': "दूसरे देखभालकर्ताओं को जोड़ना",
+
+    // Caregivers
+    'caregiver.invite_usage': "किसी देखभालकर्ता को जोड़ने के लिए \"invite\" के बाद उनका फ़ोन नंबर और चाहें तो भूमिका लिखें।\n\nउदाहरण: \"invite +919876543210 secondary\"\n\nभूमिकाएँ:\n• *primary* — पूरी पहुँच, और दूसरों को जोड़ सकते हैं\n• *secondary* — दवाइयाँ, लक्षण और रिपोर्ट देख और संभाल सकते हैं\n• *view-only* — दवाइयाँ, लक्षण और रिपोर्ट सिर्फ़ देख सकते हैं",
+    'caregiver.invite_primary_only': "सिर्फ़ मुख्य देखभालकर्ता ही दूसरे देखभालकर्ताओं को जोड़ सकते हैं।",
+    'caregiver.invite_which_elder': "आप एक से ज़्यादा लोगों के देखभालकर्ता संभालते हैं। कृपया बताएँ कि यह किसके लिए है, जैसे \"for:{parentPhone} invite {phone}\"",
+    'caregiver.invite_no_account': "{phone} के लिए कोई सुकून सारथी खाता नहीं मिला।",
+    'caregiver.invite_not_allowed': "सिर्फ़ {name} या उनके मुख्य देखभालकर्ता ही देखभालकर्ताओं को जोड़ सकते हैं।",
+    'caregiver.invite_self': "कृपया उस व्यक्ति का फ़ोन नंबर लिखें जिसे आप जोड़ना चाहते हैं।",
+    'caregiver.invite_pending': "{phone} को पहले ही न्योता भेजा जा चुका है और उन्होंने अभी जवाब नहीं दिया है।",
+    'caregiver.invite_exists': "{phone} पहले से {name} के देखभालकर्ता हैं।",
+    'caregiver.invite_failed': "❌ न्योता नहीं भेजा जा सका। कृपया बाद में फिर कोशिश करें।",
+    'caregiver.invite_message': "👋 नमस्ते! {inviter} ने आपको सुकून सारथी (एक स्वास्थ्य सहायक) पर {name} के {role} बनने का न्योता दिया है।\n\n{role} के रूप में आप ये कर पाएँगे:\n{permissions}\n\nजुड़ने के लिए *accept* लिखें, या अगर आप नहीं जुड़ना चाहते तो *decline* लिखें।",
+    'caregiver.invite_not_delivered': "❌ {phone} को न्योता नहीं भेजा जा सका। कृपया नंबर जाँचकर फिर कोशिश करें।",
+    'caregiver.invite_sent': "✅ {phone} को {name} के {role} के रूप में न्योता भेज दिया गया है। उनका जवाब आने पर मैं आपको बताऊँगा।",
+    'caregiver.no_invites': "आपके लिए कोई न्योता बाकी नहीं है।",
+    'caregiver.invite_declined_notice': "{caregiver} ने {name} के देखभालकर्ता बनने का न्योता अस्वीकार कर दिया।",
+    'caregiver.invite_declined': "कोई बात नहीं — आपको {name} के देखभालकर्ता के रूप में नहीं जोड़ा जाएगा।",
+    'caregiver.accept_failed': "❌ न्योता स्वीकार नहीं हो सका। कृपया बाद में फिर कोशिश करें।",
+    'caregiver.joined_notice': "✅ {caregiver} अब {name} के {role} हैं।",
+    'caregiver.joined': "✅ अब आप {name} के {role} हैं।\n\nउनकी ओर से कुछ करने के लिए संदेश की शुरुआत \"for:{phone}\" से करें, जैसे \"for:{phone} check medications\"। मैं और क्या कर सकता हूँ, यह देखने के लिए \"hi\" लिखें।",
+    'caregiver.error': "❌ कुछ गड़बड़ हो गई। कृपया बाद में फिर कोशिश करें।",
+    'caregiver.elder_only': "सिर्फ़ वही व्यक्ति, जिसकी देखभाल हो रही है, तय कर सकते हैं कि उनकी जानकारी कौन देखे।",
+    'caregiver.none': "अभी आपका कोई देखभालकर्ता नहीं है।\n\nकिसी को जोड़ने के लिए \"invite\" के बाद उनका फ़ोन नंबर लिखें।",
+    'caregiver.list_title': "👥 *आपके देखभालकर्ता*",
+    'caregiver.list_item': "{number}. *{name}* ({phone}) — {role}",
+    'caregiver.list_permission': "   • अनुमति: {permission}",
+    'caregiver.list_no_access': "   • अभी कोई अनुमति नहीं है",
+    'caregiver.list_help': "अनुमति बदलने के लिए लिखें, जैसे \"grant reports to {name}\" या \"revoke manage medications from {name}\"।\nकिसी को हटाने के लिए \"remove caregiver\" के बाद उनका नाम या नंबर लिखें।",
+    'caregiver.not_found_phone': "{phone} आपके देखभालकर्ताओं में नहीं हैं। उन्हें देखने के लिए \"caregivers\" लिखें।",
+    'caregiver.ambiguous_name': "{name} नाम के एक से ज़्यादा देखभालकर्ता हैं। कृपया उनका फ़ोन नंबर लिखें।",
+    'caregiver.not_found_name': "मुझे {name} नाम का कोई देखभालकर्ता नहीं मिला। उन्हें देखने के लिए \"caregivers\" लिखें।",
+    'caregiver.permission_usage': "कोई देखभालकर्ता क्या कर सकता है, यह बदलने के लिए लिखें, जैसे:\n• \"grant reports to Ravi\"\n• \"revoke manage medications from +919876543210\"\n\nअनुमतियाँ: medications, manage medications, symptoms, reports, manage caregivers\n\nअभी किसके पास पहुँच है, यह देखने के लिए \"caregivers\" लिखें।",
+    'caregiver.already_granted': "{caregiver} के पास यह अनुमति पहले से है: {permission}।",
+    'caregiver.already_revoked': "{caregiver} के पास यह अनुमति पहले से नहीं है: {permission}।",
+    'caregiver.granted': "✅ अब {caregiver} के पास यह अनुमति है: {permission}।",
+    'caregiver.revoked': "✅ अब {caregiver} के पास यह अनुमति नहीं है: {permission}।",
+    'caregiver.access_update_failed': "❌ उनकी अनुमति नहीं बदली जा सकी। कृपया बाद में फिर कोशिश करें।",
+    'caregiver.granted_notice': "🔓 {name} ने आपको यह अनुमति दी है: {permission}।",
+    'caregiver.revoked_notice': "🔒 {name} ने आपकी अनुमति बदल दी है: अब आप यह नहीं कर सकते — {permission}।",
+    'caregiver.remove_usage': "कृपया बताएँ किसे हटाना है, जैसे \"remove caregiver Ravi\"। उन्हें देखने के लिए \"caregivers\" लिखें।",
+    'caregiver.remove_failed': "❌ उन्हें हटाया नहीं जा सका। कृपया बाद में फिर कोशिश करें।",
+    'caregiver.removed_notice': "{name} ने आपको सुकून सारथी पर अपने देखभालकर्ता से हटा दिया है। अब आपको उनकी रिपोर्ट या अलर्ट नहीं मिलेंगे।",
+    'caregiver.removed': "✅ {caregiver} अब आपके देखभालकर्ता नहीं हैं और आपकी कोई जानकारी नहीं देख सकते।",
+    'caregiver.fallback_name': "आपके देखभालकर्ता",
+    'caregiver.refill_needed': "⚠️ *दवा फिर से लेनी होगी*\n\n{name} की *{medicine}* ख़त्म होने वाली है: लगभग {days} दिन की बची है ({count} गोली)।",
+
+    // Caregiver report preference
+    'reports.frequency_daily': "हर शाम रोज़ की रिपोर्ट",
+    'reports.frequency_weekly': "हर रविवार शाम हफ़्ते का सारांश",
+    'reports.frequency_both': "रोज़ की रिपोर्ट और हफ़्ते का सारांश, दोनों",
+    'reports.not_caregiver': "रिपोर्ट देखभाल करने वालों को उनके परिवार के सदस्यों के बारे में भेजी जाती है। आप अभी किसी से जुड़े नहीं हैं।",
+    'reports.current': "📊 अभी आपको {frequency} मिलती है।\n\nइसे बदलने के लिए \"reports daily\", \"reports weekly\" या \"reports both\" लिखें।",
+    'reports.invalid': "कृपया \"reports daily\", \"reports weekly\" या \"reports both\" लिखें।",
+    'reports.update_failed': "❌ आपकी रिपोर्ट की पसंद नहीं बदल पाई। कृपया बाद में फिर कोशिश करें।",
+    'reports.updated': "✅ हो गया! अब आपको {frequency} मिलेगी।",
+    'reports.consent_pending': "{name} ने अभी अपने खाते के लिए सहमति नहीं दी है, इसलिए कोई रिपोर्ट नहीं है। सहमति मिलते ही मैं आपको बताऊँगा।",
+    'reports.error': "❌ आज की रिपोर्ट नहीं बन सकी। कृपया बाद में फिर कोशिश करें।",
+
+    // Daily report for caregivers
+    'report.title': "📋 *{name} की रोज़ की रिपोर्ट* ({date})",
+    'report.fallback_name': "आपके परिवार के सदस्य",
+    'report.section_health': "*🩺 सेहत और मन*",
+    'report.section_medication': "*💊 दवाइयाँ*",
+    'report.section_activities': "*🚶 दिनचर्या और खास बातें*",
+    'report.no_checkins': "आज कोई हालचाल दर्ज नहीं हुआ। हो सकता है वे कहीं बाहर थे या हालचाल के संदेशों का जवाब नहीं दे पाए।",
+    'report.mood': "मन: {emoji} {mood} ({count} बार हालचाल)",
+    'report.mood_one': "मन: {emoji} {mood} (1 बार हालचाल)",
+    'report.mood_positive': "अच्छा",
+    'report.mood_neutral': "ठीक-ठाक",
+    'report.mood_negative': "उदास",
+    'report.area_physical': "शरीर",
+    'report.area_emotional': "मन",
+    'report.area_social': "मेल-जोल",
+    'report.rating_good': "अच्छा",
+    'report.rating_fair': "ठीक",
+    'report.rating_concerning': "चिंताजनक",
+    'report.concerns': "⚠️ चिंताएँ:",
+    'report.no_concerns': "कोई चिंता नहीं दिखी।",
+    'report.no_medications': "आज कोई दवा तय नहीं थी।",
+    'report.med_awaiting': "• {medicine}: जवाब का इंतज़ार",
+    'report.med_none_due': "• {medicine}: अभी कोई खुराक बाकी नहीं",
+    'report.med_taken': "• {medicine}: {total} में से {taken} ली गई {emoji}",
+    'report.med_pending': ", {count} का जवाब बाकी",
+    'report.this_week': "📊 इस हफ़्ते: {summary}",
+    'report.most_missed_time': "सबसे ज़्यादा छूटा समय: {time}",
+    'report.activities': "दिनचर्या: {activities}",
+    'report.no_activities': "आज की कोई दिनचर्या दर्ज नहीं हुई।",
+    'report.more': "…और भी",
+    'report.and': " और ",
+    'report.fallback_subject': "आपके परिवार के सदस्य",
+    'report.times_once': "एक बार",
+    'report.times_twice': "दो बार",
+    'report.times_count': "{count} बार",
+    'report.summary_checkins': "{name} ने आज {times} हालचाल बताया।",
+    'report.summary_checkins_positive': "{name} ने आज {times} हालचाल बताया और उनका मन अच्छा लगा।",
+    'report.summary_checkins_neutral': "{name} ने आज {times} हालचाल बताया और वे ठीक-ठाक लगे।",
+    'report.summary_checkins_negative': "{name} ने आज {times} हालचाल बताया और वे कुछ उदास लगे।",
+    'report.summary_needs_attention': "उनके {areas} पर ध्यान देने की ज़रूरत है।",
+    'report.summary_all_well': "वे शरीर, मन और मेल-जोल, तीनों में अच्छे थे।",
+    'report.summary_activities': "उन्होंने बताया: {activities}।",
+    'report.summary_one_concern': "एक बात पर ध्यान दें: {concerns}।",
+    'report.summary_concerns': "{count} बातों पर ध्यान दें: {concerns}।",
+    'report.summary_missed': "आज उनकी {medicines} छूट गई।",
+    'report.summary_all_taken': "आज की सभी {count} खुराकें उन्होंने लीं।",
+    'report.summary_all_taken_one': "आज की 1 खुराक उन्होंने ली।",
+    'report.highlight_good_spirits': "मन अच्छा रहा",
+    'report.highlight_all_well': "हर तरह से अच्छा महसूस किया",
+    'report.highlight_all_taken': "सभी दवाइयाँ लीं",
+    'report.highlight_adherence_up': "दवा समय पर लेना पिछले हफ़्ते से {change}% बेहतर",
+
+    // Medication reminders
+    'reminder.due': "🔔 याद दिला रहा हूँ: दवा लेने का समय हो गया है - *{medicine}*{dose}। \n\nक्या आपने दवा ले ली? ✅ हाँ / ❌ नहीं",
+    'reminder.dont_forget': "अपनी {medicine} लेना न भूलें! दवा ले लें तो \"हाँ\" लिखें, या बाद में याद दिलाना हो तो \"नहीं\" लिखें।",
+    'reminder.or_checkin': "आपके लिए दवा की याद और हालचाल वाली बातचीत, दोनों चल रहे हैं। आप किसका जवाब दे रहे हैं?\n\n1️⃣ दवा की याद ({medicine})\n2️⃣ हालचाल वाली बातचीत\n\nकृपया 1 या 2 भेजें।",
+    'reminder.or_checkin_invalid': "दवा की याद के लिए 1 या हालचाल वाली बातचीत के लिए 2 भेजें।",
+    'reminder.response_error': "माफ़ कीजिए, दवा के बारे में आपका जवाब दर्ज करने में दिक्कत आई। कृपया थोड़ी देर बाद फिर कोशिश करें।",
+
+    // Picking between conversations
+    'disambiguation.invalid_option': "कृपया 1 से {count} के बीच कोई विकल्प चुनें।",
+    'disambiguation.fallback': "मैं समझ नहीं पाया कि आपके जवाब का क्या करूँ। चलिए नए सिरे से शुरू करते हैं।",
+    'disambiguation.error': "माफ़ कीजिए, मैं आपका जवाब ठीक से समझ नहीं पाया। चलिए फिर से शुरू करते हैं।",
+    'disambiguation.menu_vs_symptom': "आपने एक नंबर भेजा है, लेकिन अभी मेनू का चुनाव और लक्षण जाँच दोनों चल रहे हैं। आप किसका जवाब दे रहे हैं?\n\n1. मेनू का चुनाव\n2. लक्षण जाँच\n\nकृपया 1 या 2 लिखें।",
+    'disambiguation.question': "अभी आपकी कई बातचीत एक साथ चल रही हैं। आप किसका जवाब दे रहे हैं?",
+
+    // Medications
+    'med.time_question': "मैं आपको किस समय याद दिलाऊँ? (जैसे: 08:00 AM)",
+    'med.frequency_question': "यह दवा दिन में कितनी बार लेनी है?\n\n1️⃣ दिन में एक बार\n2️⃣ दिन में दो बार\n3️⃣ दिन में तीन बार\n4️⃣ दिन में चार बार\n\nनंबर भेजें या अलग से लिखें (जैसे, '5 times a day'):",
+    'med.duration_question': "यह दवा कितने दिन लेनी है? (संख्या लिखें, या बिना तय अंत वाली दवा के लिए 'ongoing' लिखें)",
+    'med.stock_question': "अभी आपके पास कितनी गोलियाँ हैं? दवा ख़त्म होने से पहले मैं आपको बता दूँगा। (संख्या लिखें, या गिनती न रखनी हो तो 'skip' लिखें)",
+    'med.schedule_question': "आप यह दवा कितनी बार लेते हैं?\n\n1️⃣ रोज़\n2️⃣ कुछ ख़ास दिनों पर (जैसे, सोम/बुध/शुक्र)\n3️⃣ कुछ दिनों के अंतर पर (जैसे, एक दिन छोड़कर)\n4️⃣ हफ़्ते में एक बार\n5️⃣ घटती खुराक (खुराक समय के साथ बदलती है)\n6️⃣ सिर्फ़ ज़रूरत पड़ने पर\n\nनंबर भेजें या लिखकर बताएँ (जैसे, 'every other day'):",
+    'med.field_medicine': "दवा",
+    'med.field_dosage': "खुराक",
+    'med.field_frequency': "कितनी बार",
+    'med.field_schedule': "समय-सारणी",
+    'med.field_time': "समय",
+    'med.field_times': "समय",
+    'med.field_duration': "अवधि",
+    'med.field_stock': "स्टॉक",
+    'med.not_specified': "नहीं बताया गया",
+    'med.ongoing': "लगातार",
+    'med.ongoing_no_end': "लगातार (कोई अंतिम तारीख़ नहीं)",
+    'med.when_needed': "ज़रूरत पड़ने पर (कोई याद नहीं दिलाई जाएगी)",
+    'med.days': "{count} दिन",
+    'med.pills': "{count} गोलियाँ",
+    'med.none_yet': "आपकी अभी कोई दवा सेट नहीं है। दवा जोड़ने के लिए 'add medicine' लिखें।",
+    'med.not_found': "मुझे *{medicine}* नाम की कोई दवा नहीं मिली। कृपया नाम जाँचकर फिर कोशिश करें।",
+    'med.flow_error': "माफ़ कीजिए, आपके अनुरोध में दिक्कत आई। चलिए फिर से शुरू करते हैं।",
+    'med.update_which': "आप कौन-सी दवा बदलना चाहते हैं?",
+    'med.update_ask_name': "आपने चुना: {medicine}\n\nकृपया इस दवा का नया नाम लिखें (या वही रखने के लिए 'same' लिखें):",
+    'med.update_ask_dosage': "कृपया {medicine} की खुराक लिखें (जैसे, \"500mg\", या \"{dosage}\" ही रखने के लिए 'same' लिखें):",
+    'med.update_ask_time': "अभी याद दिलाने का समय {time} है। कृपया नया समय लिखें (जैसे: 08:00 AM) या वही रखने के लिए 'same' लिखें:",
+    'med.update_ask_frequency': "अभी यह \"{frequency}\" ली जाती है। यह दवा दिन में कितनी बार लेनी है?\n\n1️⃣ दिन में एक बार\n2️⃣ दिन में दो बार\n3️⃣ दिन में तीन बार\n4️⃣ दिन में चार बार\n\nनंबर भेजें, अलग से लिखें, या वही रखने के लिए 'same' लिखें:",
+    'med.update_ask_duration': "अभी अवधि {duration} है। यह दवा कितने दिन लेनी है? (संख्या लिखें, बिना तय अंत वाली दवा के लिए 'ongoing', या वही रखने के लिए 'same' लिखें)",
+    'med.update_ask_stock': "अभी स्टॉक {stock} है। अभी आपके पास कितनी गोलियाँ हैं? (संख्या लिखें, गिनती बंद करने के लिए 'none', या वही रखने के लिए 'same' लिखें)",
+    'med.stock_not_tracked': "गिना नहीं जा रहा",
+    'med.update_invalid_stock': "कृपया गोलियों की संख्या, 'none' या 'same' लिखें:",
+    'med.updated': "✅ दवा बदल दी गई!\n\n{details}",
+    'med.update_failed': "❌ माफ़ कीजिए, दवा बदलने में दिक्कत आई। कृपया बाद में फिर कोशिश करें।",
+    'med.add_ask_name': "कृपया दवा का नाम लिखें:\n\n_सुझाव: आप एक ही संदेश में भी दवा जोड़ सकते हैं, जैसे 'add Metformin 500mg twice a day after meals for 30 days at 8 am'_",
+    'med.add_restart': "माफ़ कीजिए, दवा जोड़ते समय कुछ गड़बड़ हो गई। चलिए फिर से शुरू करते हैं।",
+    'med.add_ask_dosage': "कृपया खुराक लिखें (जैसे, '500mg'), या लागू न हो तो 'none' लिखें:",
+    'med.add_ask_dosage_prn': "कृपया खुराक लिखें (जैसे, '500mg'), या लागू न हो तो 'none' लिखें:\n\n_जब भी आप खुराक लें, *took <दवा का नाम>* लिखें ताकि मैं हिसाब रख सकूँ।_",
+    'med.add_invalid_stock': "कृपया गोलियों की संख्या या 'skip' लिखें:",
+    'med.added': "✅ दवा जोड़ दी गई!\n\n{details}",
+    'med.added_for': "दवा {phone} के लिए जोड़ दी गई है।",
+    'med.add_failed': "❌ माफ़ कीजिए, दवा जोड़ने में दिक्कत आई। कृपया बाद में फिर कोशिश करें।",
+    'med.schedule_ask_days': "आप इसे किन दिनों में लेते हैं? (जैसे, 'Mon/Wed/Fri' या 'weekdays')",
+    'med.schedule_ask_interval': "कितने दिनों में एक बार? (जैसे, एक दिन छोड़कर के लिए '2')",
+    'med.schedule_ask_weekly': "हफ़्ते का कौन-सा दिन? (जैसे, 'Sunday')",
+    'med.schedule_ask_taper': "कृपया हर खुराक और वह कितने दिन चलेगी, क्रम से लिखें (जैसे, '40mg for 5 days, 20mg for 5 days, 10mg for 3 days'):",
+    'med.schedule_ask_prn': "24 घंटे में ज़्यादा से ज़्यादा कितनी खुराक ले सकते हैं? (संख्या या 'none' लिखें)",
+    'med.schedule_invalid': "माफ़ कीजिए, मैं यह समय-सारणी समझ नहीं पाया। कृपया 1 से 6 के बीच कोई नंबर भेजें।",
+    'med.schedule_invalid_weekly': "कृपया हफ़्ते का एक दिन लिखें (जैसे, 'Sunday'):",
+    'med.schedule_invalid_days': "कृपया दिन लिखें, जैसे 'Mon/Wed/Fri':",
+    'med.schedule_invalid_interval': "कृपया दिनों की संख्या लिखें (जैसे, एक दिन छोड़कर के लिए '2'):",
+    'med.schedule_invalid_taper': "कृपया खुराक इस तरह लिखें: '40mg for 5 days, 20mg for 5 days'",
+    'med.schedule_invalid_prn': "कृपया 24 घंटे में ज़्यादा से ज़्यादा खुराक की संख्या या 'none' लिखें:",
+
+    // Describing a medication schedule
+    'schedule.daily': "हर दिन",
+    'schedule.weekly': "हर हफ़्ते {day} को",
+    'schedule.every_other_day': "एक दिन छोड़कर",
+    'schedule.every_n_days': "हर {count} दिन में",
+    'schedule.taper': "धीरे-धीरे कम होती खुराक: {steps}",
+    'schedule.taper_step': "{days} दिन {dosage}",
+    'schedule.taper_then': ", फिर ",
+    'schedule.prn': "ज़रूरत पड़ने पर",
+    'schedule.prn_max': "ज़रूरत पड़ने पर (24 घंटे में ज़्यादा से ज़्यादा {count} बार)",
+    'med.quick_setup': "चलिए *{medicine}* सेट करते हैं।\n\n{question}",
+    'med.quick_ask_time': "मैं आपको *{medicine}* लेने की याद किस समय दिलाऊँ? (जैसे: 08:00 AM)",
+    'med.quick_confirm': "📝 मैंने यह समझा:\n\n{details}\n\n1️⃣ सेव करें\n2️⃣ एक-एक करके बदलें\n3️⃣ रद्द करें",
+    'med.quick_step_by_step': "चलिए *{medicine}* को एक-एक करके सेट करते हैं।\n\n{question}",
+    'med.quick_cancelled': "ठीक है, मैंने *{medicine}* नहीं जोड़ी।",
+    'med.quick_confirm_invalid': "सेव करने के लिए 1, एक-एक करके बदलने के लिए 2, या रद्द करने के लिए 3 भेजें।",
+    'med.marked_taken': "✅ बहुत बढ़िया! मैंने *{medicine}* को ली हुई दर्ज कर दिया है।",
+    'med.mark_taken_failed': "⚠️ माफ़ कीजिए, मैं {medicine} को ली हुई दर्ज नहीं कर पाया। कृपया बाद में फिर कोशिश करें।",
+    'med.missed_remind_again': "❗ कोई बात नहीं! मैं 30 मिनट बाद आपको *{medicine}* लेने की फिर याद दिलाऊँगा।",
+    'med.missed_failed': "⚠️ माफ़ कीजिए, मैं आपका जवाब दर्ज नहीं कर पाया। फिर भी मैं बाद में आपको याद दिलाऊँगा।",
+    'med.unknown_reference': "मैं समझ नहीं पाया कि आप किस दवा की बात कर रहे हैं। कृपया दवा का नाम बताएँ।",
+    'med.history_empty': "आपकी {count} दवाइयाँ सेट हैं, पर अभी तक उन्हें लेने का कोई रिकॉर्ड नहीं है।\n\nजब आप दवा की याद का जवाब देना शुरू करेंगे, तब आपका दवा इतिहास यहाँ दिखेगा।",
+
+    // Medication history
+    'history.title': "📜 *{phone} का दवा इतिहास*:",
+    'history.medicine': "💊 *{medicine}*:",
+    'history.dosage': "   - खुराक: {value}",
+    'history.times': "   - याद दिलाने का समय: {value}",
+    'history.frequency': "   - कितनी बार: {value}",
+    'history.schedule': "   - समय-सारणी: {value}",
+    'history.duration': "   - अवधि: {value}",
+    'history.start_date': "   - शुरू होने की तारीख: {value}",
+    'history.end_date': "   - खत्म होने की तारीख: {value}",
+    'history.taken': "   - ली गई: {count} बार",
+    'history.missed': "   - छूटी: {count} बार",
+    'history.dates': "       *तारीखें:* {dates}",
+    'history.none': "कोई नहीं",
+    'history.not_available': "उपलब्ध नहीं",
+    'history.error': "❌ दवा का इतिहास नहीं मिल सका। कृपया बाद में फिर कोशिश करें।",
+    'med.delete_which': "आप कौन-सी दवा हटाना चाहते हैं?",
+    'med.delete_confirm': "क्या आप सच में *{medicine}* हटाना चाहते हैं?\n\nइससे इस दवा की सारी याद भी हट जाएँगी।\n\nपक्का करने के लिए *हाँ* या रद्द करने के लिए *नहीं* लिखें।",
+    'med.deleted': "✅ दवा *{medicine}* हटा दी गई है।",
+    'med.delete_failed': "❌ माफ़ कीजिए, दवा हटाने में दिक्कत आई। कृपया बाद में फिर कोशिश करें।",
+    'med.delete_cancelled': "हटाना रद्द कर दिया गया। आपकी दवा में कोई बदलाव नहीं हुआ।",
+    'med.escalate_usage': "छूटी हुई खुराक के बारे में देखभाल करने वालों को कब बताया जाए, यह चुनने के लिए भेजें:\n\n• *escalate <medicine> after 2 nudges* - लगातार 2 याद का जवाब न मिलने पर\n• *escalate <medicine> after 3 missed* - एक हफ़्ते में 3 खुराक छूटने पर\n• *escalate <medicine> off* - इस दवा के लिए कभी न बताएँ\n• *escalate <medicine> on* - फिर से बताना शुरू करें",
+    'med.escalation_off': "🔕 अब *{medicine}* की छूटी खुराक के बारे में देखभाल करने वालों को नहीं बताया जाएगा।",
+    'med.escalation_on': "🔔 *{medicine}* के लिए देखभाल करने वालों को तब बताया जाएगा जब लगातार {nudges} याद का जवाब न मिले, या एक हफ़्ते में {missed} खुराक छूट जाएँ।",
+    'med.refill_usage': "दवा दोबारा ख़रीदने के बाद स्टॉक अपडेट करने के लिए *refill <दवा का नाम> <गोलियों की संख्या>* भेजें, जैसे: refill Metformin 30",
+    'med.refilled': "📦 *{medicine}* का स्टॉक भर दिया गया। अब आपके पास {count} गोलियाँ हैं{daysLeft}।",
+    'med.refill_days_left': ", जो लगभग {days} दिन चलेंगी",
+    'med.took_usage': "खुराक दर्ज करने के लिए *took <दवा का नाम>* भेजें, जैसे: took Paracetamol",
+    'med.dose_limit_reached': "🛑 आप पिछले 24 घंटों में *{medicine}* {taken} बार ले चुके हैं, जो सबसे ज़्यादा सीमा ({max}) है। कृपया अभी और खुराक न लें। अगर फिर भी आराम न मिले, तो अपने डॉक्टर से संपर्क करें।",
+    'med.dose_log_failed': "❌ माफ़ कीजिए, मैं यह खुराक दर्ज नहीं कर पाया। कृपया बाद में फिर कोशिश करें।",
+    'med.dose_logged': "✅ *{medicine}* की एक खुराक दर्ज कर ली गई{limit}।",
+    'med.dose_limit_count': " (24 घंटे में {max} में से {taken})",
+    'med.running_low': "⚠️ *{medicine} खत्म होने वाली है*\n\nआपके पास लगभग {days} दिन की दवा बची है ({count} गोलियाँ)। कृपया जल्दी दवा मँगवा लें।\n\nनई दवा आने पर स्टॉक अपडेट करने के लिए *refill {medicine} <संख्या>* लिखें।",
+
+    // Medication adherence
+    'adherence.title': "📊 *दवा समय पर लेने का हिसाब*",
+    'adherence.title_for': "📊 *{name} का दवा समय पर लेने का हिसाब*",
+    'adherence.no_doses_30_days': "पिछले 30 दिनों में याद दिलाई गई कोई खुराक अभी दर्ज नहीं हुई है।",
+    'adherence.this_week': "*इस हफ़्ते:* {summary}",
+    'adherence.last_30_days': "*पिछले 30 दिन:* {summary}",
+    'adherence.most_missed_time': "*सबसे ज़्यादा छूटा समय:* {time} ({count} बार छूटी)",
+    'adherence.med_week': "   - इस हफ़्ते: {value}",
+    'adherence.med_no_doses': "कोई खुराक नहीं",
+    'adherence.med_month': "   - पिछले 30 दिन: {percentage}% ({missed} छूटी)",
+    'adherence.med_streak': "   - लगातार: {current} दिन (सबसे अच्छा {best})",
+    'adherence.med_most_missed': "   - सबसे ज़्यादा छूटा: {time}",
+    'adherence.unavailable': "❌ दवा का हिसाब अभी उपलब्ध नहीं है। कृपया बाद में फिर कोशिश करें।",
+    'adherence.none': "कोई खुराक दर्ज नहीं",
+    'adherence.summary': "{percentage}% ({total} में से {taken} खुराक)",
+    'adherence.same_week': ", पिछले हफ़्ते जितना",
+    'adherence.up_week': ", पिछले हफ़्ते से 📈 {change}% ज़्यादा",
+    'adherence.down_week': ", पिछले हफ़्ते से 📉 {change}% कम",
+    'adherence.same_month': ", पिछले 30 दिनों जितना",
+    'adherence.up_month': ", पिछले 30 दिनों से 📈 {change}% ज़्यादा",
+    'adherence.down_month': ", पिछले 30 दिनों से 📉 {change}% कम",
+
+    // Symptom assessment
+    'symptom.ask_primary': "आपको क्या तकलीफ़ हो रही है? कृपया थोड़े में बताएँ।\n\nजैसे: 'सिरदर्द', 'पेट दर्द', 'खाँसी' आदि।",
+    'symptom.restart': "माफ़ कीजिए, लक्षणों की जाँच में कुछ गड़बड़ हो गई। चलिए फिर से शुरू करते हैं।",
+    'symptom.emergency_title': "🚨 *यह मेडिकल इमरजेंसी हो सकती है*",
+    'symptom.family_alerted': "मैंने आपके परिवार और आपातकालीन संपर्क को भी बता दिया है ताकि वे आपकी मदद कर सकें।",
+    'symptom.emergency_closed': "उम्मीद है आपको ज़रूरी मदद मिल रही है। अगर हालत बिगड़े, तो तुरंत इमरजेंसी सेवा को फ़ोन करें।\n\n{helplines}\n\nकिसी नए लक्षण की जाँच के लिए कभी भी 'symptom' लिखें।",
+    'symptom.reply_with_answer_number': "कृपया अपने जवाब का नंबर भेजें।",
+    'symptom.describe_briefly': "कृपया कुछ शब्दों में बताएँ।",
+    'symptom.follow_up_tomorrow': "मैं कल आपसे पूछूँगा कि आपके लक्षण कैसे हैं। आप बेहतर, वैसे ही या ज़्यादा बीमार महसूस कर रहे हैं, उसके हिसाब से मैं नई सलाह दूँगा।",
+    'symptom.none_active': "अभी आपके किसी लक्षण की जाँच चल नहीं रही है। अगर आपको कोई तकलीफ़ है, तो नई जाँच शुरू करने के लिए 'symptom' लिखें।",
+    'symptom.history_title': "📊 *आपके लक्षणों का इतिहास*",
+    'symptom.history_entry': "*{number}. {symptom}*\nशुरू हुआ: {date}\nकितने दिन से नज़र: {days}",
+    'symptom.history_latest': "ताज़ा हाल: {status}",
+    'symptom.history_update_hint': "अपने लक्षणों का हाल बताने के लिए 'check symptom status' लिखें।",
+    'symptom.history_error': "माफ़ कीजिए, अभी आपके लक्षणों का इतिहास नहीं मिल पाया। कृपया बाद में फिर कोशिश करें।",
+    'symptom.fallback_question': "आपको यह तकलीफ़ कब से है?",
+    'symptom.fallback_option_1': "एक दिन से कम",
+    'symptom.fallback_option_2': "1-3 दिन",
+    'symptom.fallback_option_3': "4-7 दिन",
+    'symptom.fallback_option_4': "एक हफ़्ते से ज़्यादा",
+    'symptom.progression_disclaimer': "⚠️ *ध्यान दें*: यह जानकारी डॉक्टर की सलाह की जगह नहीं ले सकती। अगर लक्षण गंभीर हों या चिंता हो, तो कृपया डॉक्टर से मिलें।",
+    'symptom.progression_error': "माफ़ कीजिए, मैं अभी आपके लक्षणों के बदलाव को समझ नहीं पा रहा हूँ। सावधानी के तौर पर, अगर लक्षण बने रहें या बढ़ें, तो कृपया डॉक्टर से मिलें। क्या आप इन लक्षणों पर नज़र रखना जारी रखना चाहेंगे?",
+    'symptom.assessment_error': "माफ़ कीजिए, मैं अभी आपके लक्षणों की जाँच पूरी नहीं कर पाया। अगर आपको अपने लक्षणों को लेकर चिंता है, तो कृपया डॉक्टर से मिलें।",
+
+    // Red-flag symptoms
+    'redflag.label_chest_pain': "सीने में दर्द या साँस लेने में तकलीफ़",
+    'redflag.label_stroke': "लकवे (स्ट्रोक) के संभावित लक्षण",
+    'redflag.label_severe_bleeding': "बहुत ज़्यादा ख़ून बहना",
+    'redflag.label_fainting': "बेहोशी या होश खोना",
+    'redflag.label_suicidal': "आत्महत्या या ख़ुद को नुकसान पहुँचाने के विचार",
+    'redflag.guidance_chest_pain': "सीने में दर्द या साँस लेने में तकलीफ़ दिल का दौरा या कोई और इमरजेंसी हो सकती है।\n\n• अभी एम्बुलेंस बुलाएँ — ख़ुद गाड़ी न चलाएँ\n• सीधे बैठें, हिलें-डुलें नहीं और तंग कपड़े ढीले करें\n• अगर डॉक्टर ने सीने के दर्द की दवा (जैसे GTN स्प्रे) दी है, तो बताए अनुसार लें\n• दरवाज़ा खोल दें ताकि मदद अंदर आ सके",
+    'redflag.guidance_stroke': "ये लकवे (स्ट्रोक) के लक्षण हो सकते हैं। *FAST* याद रखें:\n*F* चेहरा टेढ़ा होना · *A* हाथ में कमज़ोरी · *S* बोलने में दिक्कत · *T* मदद बुलाने का समय\n\n• तुरंत एम्बुलेंस बुलाएँ\n• लक्षण शुरू होने का समय नोट करें — डॉक्टर पूछेंगे\n• डॉक्टर के देखने तक कुछ खाएँ, पिएँ या कोई दवा न लें",
+    'redflag.guidance_severe_bleeding': "बहुत ज़्यादा ख़ून बहने पर तुरंत मदद चाहिए।\n\n• साफ़ कपड़े से घाव को ज़ोर से दबाएँ और दबाए रखें\n• हो सके तो चोट वाले हिस्से को दिल से ऊपर उठाएँ\n• एम्बुलेंस बुलाएँ — अगर आप ख़ून पतला करने की दवा लेते हैं, तो उन्हें बताएँ",
+    'redflag.guidance_fainting': "बेहोशी या होश खोने पर तुरंत डॉक्टर को दिखाना चाहिए।\n\n• पैर ऊपर करके लेट जाएँ, या घुटनों के बीच सिर रखकर बैठें\n• जल्दी से न उठें और अकेले न रहें\n• अगर यह बिना चेतावनी के, सीने में दर्द के साथ, या गिरने के बाद हुआ हो, तो एम्बुलेंस बुलाएँ",
+    'redflag.guidance_suicidal': "मुझे सच में दुख है कि आप ऐसा महसूस कर रहे हैं। आप अकेले नहीं हैं, और आपको अभी सहारा मिलना चाहिए।\n\n• कृपया किसी भरोसेमंद व्यक्ति से बात करें, या नीचे दी गई हेल्पलाइन पर फ़ोन करें\n• अगर आपको लगता है कि आप इन विचारों पर अमल कर सकते हैं, तो अभी इमरजेंसी सेवा को फ़ोन करें\n• किसी के साथ रहें, और ऐसी किसी भी चीज़ से दूर रहें जिससे आप ख़ुद को चोट पहुँचा सकें",
+    'helpline.emergency': "📞 *इमरजेंसी:* {number}",
+    'helpline.emergency_unknown_country': "📞 *इमरजेंसी:* {number} (या आपका स्थानीय इमरजेंसी नंबर)",
+    'helpline.ambulance': "🚑 *एम्बुलेंस:* {number}",
+    'helpline.support': "💬 *सहायता लाइन:* {number}",
+
+    // Symptom follow-ups
+    'followup.title': "👋 *फ़ॉलो-अप: {symptom}*",
+    'followup.how_now': "अब आप कैसा महसूस कर रहे हैं?",
+    'followup.day_since': "आपको {symptom} बताए एक दिन हो गया है। अब आप कैसा महसूस कर रहे हैं?",
+    'followup.another_day_since': "आपको {symptom} बताए एक और दिन हो गया है। अब आप कैसा महसूस कर रहे हैं?",
+    'followup.options': "1️⃣ बेहतर/आराम है\n2️⃣ लगभग वैसा ही\n3️⃣ पहले से ख़राब\n4️⃣ फ़ॉलो-अप बंद करें (तकलीफ़ ठीक हो गई या अब नज़र नहीं रखनी)\n\nकृपया अपने विकल्प का नंबर भेजें।",
+    'followup.completed': "✅ सुकून सारथी से लक्षणों पर नज़र रखने के लिए धन्यवाद। आपका फ़ॉलो-अप पूरा हो गया है।",
+    'followup.next_tomorrow': "मैं कल फिर आपका हाल पूछूँगा। अगर उससे पहले लक्षणों में बड़ा बदलाव हो, तो मुख्य मेनू से लक्षणों की जाँच चुनें।",
+    'followup.restart': "माफ़ कीजिए, मैं आपका जवाब दर्ज नहीं कर पाया। चलिए फिर से शुरू करते हैं।",
+    'followup.error': "माफ़ कीजिए, आपका फ़ॉलो-अप दर्ज करने में दिक्कत आई। कृपया बाद में फिर कोशिश करें।",
+    'followup.stage_error': "माफ़ कीजिए, आपके फ़ॉलो-अप में कुछ गड़बड़ हो गई। चलिए फिर से शुरू करते हैं।",
+    'followup.choose_assessment': "आपके कई लक्षणों की जाँच चल रही है। आप किसका हाल बताना चाहेंगे?",
+    'followup.assessment_option': "{number}. {symptom} ({date} से)",
+    'followup.status_error': "माफ़ कीजिए, अभी आपके लक्षणों का हाल नहीं मिल पाया। कृपया बाद में फिर कोशिश करें।",
+
+    // SOS and caregiver alerts
+    'sos.sent': "🆘 आपका SOS भेज दिया गया है। मैंने {names} को बता दिया है।\n\nजब तक कोई जवाब नहीं देता, मैं उन्हें बताता रहूँगा, और जवाब आते ही आपको बताऊँगा।\n\nअगर आप ख़तरे में हैं, तो अभी इमरजेंसी सेवा को फ़ोन करें:\n{helplines}",
+    'sos.sent_again': "🆘 मैंने {names} को फिर से बता दिया है।\n\nजब तक कोई जवाब नहीं देता, मैं उन्हें बताता रहूँगा, और जवाब आते ही आपको बताऊँगा।\n\nअगर आप ख़तरे में हैं, तो अभी इमरजेंसी सेवा को फ़ोन करें:\n{helplines}",
+    'sos.not_delivered': "🆘 मैं आपके परिवार के किसी सदस्य या आपातकालीन संपर्क तक नहीं पहुँच सका।\n\nकृपया अभी मदद के लिए फ़ोन करें:\n{helplines}",
+    'sos.acknowledged': "✅ {caregiver} ने आपका SOS देख लिया है और मदद के लिए आ रहे हैं।",
+    'sos.confirm': "🆘 क्या आपको तुरंत मदद चाहिए? *SOS* लिखकर भेजें, मैं अभी आपके परिवार और आपातकालीन संपर्क को बता दूँगा।\n\nअगर आप ख़तरे में हैं, तो अभी इमरजेंसी सेवा को फ़ोन करें:\n{helplines}\n\nअगर आपका मतलब कुछ और था, तो मैं क्या कर सकता हूँ यह देखने के लिए *menu* लिखें।",
+    'alert.sos': "🆘 *{name} की ओर से SOS*\n\n{name} ने मदद माँगी है।\n📍 *जगह:* {location}\n🕒 *समय:* {time} ({timezone})\n\nकृपया उन्हें तुरंत फ़ोन करें। अगर बात न हो पाए, तो इमरजेंसी सेवा ({emergency}) को फ़ोन करें।\nसंभालना शुरू करते ही *ack* लिखें — जब तक कोई ऐसा नहीं करता, यह अलर्ट हर {minutes} मिनट में दोहराया जाएगा। (अलर्ट {alertId})",
+    'alert.location_unknown': "सहेजी नहीं गई",
+    'alert.symptom_emergency': "🚨 *संभावित इमरजेंसी: {name}*\n\n{name} ने ऐसे लक्षण बताए हैं जिनमें तुरंत इलाज की ज़रूरत हो सकती है ({symptom}):\n\"{description}\"\n\nउन्हें इमरजेंसी सलाह और हेल्पलाइन नंबर दे दिए गए हैं। कृपया तुरंत उनसे संपर्क करें।\nआप संभाल रहे हैं, यह बाकी लोगों को बताने के लिए *ack* लिखें। (अलर्ट {alertId})",
+    'alert.checkin_concern': "🚨 *ज़रूरी चिंता: {name}*\n\nहालचाल के दौरान {name} ने यह बताया: {concerns}।\n{excerpt}\nकृपया जितनी जल्दी हो सके उनका हाल पूछें।\nआप संभाल रहे हैं, यह बाकी लोगों को बताने के लिए *ack* लिखें। (अलर्ट {alertId})",
+    'alert.checkin_concern_excerpt': "\n*उन्होंने क्या कहा:*\n{excerpt}\n",
+    'alert.missed_unanswered': "⚠️ *दवा छूटने का अलर्ट*\n\n{name} ने {medicine} की पिछली {count} याद दिलाने वाले संदेशों का जवाब नहीं दिया है।\n\nआप उनका हाल पूछ सकते हैं।\nआप संभाल रहे हैं, यह बाकी लोगों को बताने के लिए *ack* लिखें। (अलर्ट {alertId})",
+    'alert.missed_per_week': "⚠️ *दवा छूटने का अलर्ट*\n\n{name} की {medicine} पिछले 7 दिनों में {count} बार छूटी है।\n\nआप उनका हाल पूछ सकते हैं।\nआप संभाल रहे हैं, यह बाकी लोगों को बताने के लिए *ack* लिखें। (अलर्ट {alertId})",
+    'alert.repeat_prefix': "🔁 *अब भी किसी ने नहीं संभाला — दोहराव {count}*",
+    'alert.escalated_prefix': "⏫ *आगे भेजा गया — अभी तक किसी ने नहीं संभाला*",
+    'alert.acknowledged_by': "✅ {caregiver} ने {name} के बारे में अलर्ट देख लिया है (अलर्ट {alertId}) और वे संभाल रहे हैं।",
+    'alert.none_open': "✅ आपका कोई खुला अलर्ट नहीं है।",
+    'alert.open_title': "🚨 *आपके खुले अलर्ट*",
+    'alert.open_item': "{number}. {type} — *{name}*\n   अलर्ट {alertId} · {age}",
+    'alert.open_step': " · आगे भेजने का चरण {steps} में से {step}",
+    'alert.open_ack_hint': "किसी अलर्ट को संभालने के लिए *ack <alert id>* लिखें, जैसे \"ack {alertId}\"।",
+    'alert.type_sos': "🆘 SOS",
+    'alert.type_symptom_emergency': "🚨 संभावित इमरजेंसी",
+    'alert.type_checkin_concern': "🚨 हालचाल में ज़रूरी चिंता",
+    'alert.type_missed_medication': "⚠️ दवा छूटी",
+    'alert.type_other': "अलर्ट",
+    'alert.ack_not_found': "{alertId} नाम का कोई खुला अलर्ट नहीं मिला। हो सकता है इसे पहले ही संभाल लिया गया हो।",
+    'alert.ack_none': "संभालने के लिए आपका कोई खुला अलर्ट नहीं है।",
+    'alert.ack_done': "✅ धन्यवाद — आपने {name} के बारे में अलर्ट (अलर्ट {alertId}) संभाल लिया है। जिन्हें भी अलर्ट भेजा गया था, उन्हें बता दिया गया है कि आप संभाल रहे हैं।",
+    'alert.ack_already': "✅ {caregiver} ने {name} के बारे में अलर्ट (अलर्ट {alertId}) पहले ही संभाल लिया है। आपको अब कुछ करने की ज़रूरत नहीं है।",
+
+    // Times and days
+    'time.today': "आज",
+    'time.minutes_ago': "{count} मिनट पहले",
+    'time.hours_ago': "{count} घंटे पहले",
+    'time.one_day_ago': "1 दिन पहले",
+    'time.days_ago': "{count} दिन पहले",
+    'day.sun': "रवि",
+    'day.mon': "सोम",
+    'day.tue': "मंगल",
+    'day.wed': "बुध",
+    'day.thu': "गुरु",
+    'day.fri': "शुक्र",
+    'day.sat': "शनि",
+
+    // Acting for a family member ("for:<number> ...")
+    'proxy.not_linked': "आपको {phone} का खाता संभालने की अनुमति नहीं है।",
+    'proxy.fallback_parent_name': "आपके माता/पिता",
+    'proxy.fallback_caregiver_name': "आपके देखभालकर्ता",
+    'proxy.no_permission_manage_medications': "आपको {name} की दवाइयाँ संभालने की अनुमति नहीं है।",
+    'proxy.no_permission_view_medications': "आपको {name} की दवाइयाँ देखने की अनुमति नहीं है।",
+    'proxy.no_permission_view_symptoms': "आपको {name} के लक्षण देखने की अनुमति नहीं है।",
+    'proxy.no_permission_view_reports': "आपको {name} की रिपोर्ट देखने की अनुमति नहीं है।",
+    'proxy.add_start': "मैं {name} के लिए दवा जोड़ने में आपकी मदद करूँगा।\n\nकृपया दवा का नाम लिखें:",
+    'proxy.no_medications': "{name} की कोई दवा नहीं मिली।",
+    'proxy.update_which': "{name} की कौन-सी दवा आप बदलना चाहते हैं?\n\n{list}",
+    'proxy.delete_which': "{name} की कौन-सी दवा आप हटाना चाहते हैं?\n\n{list}\nकृपया अपने विकल्प का नंबर भेजें।",
+    'proxy.medications_title': "{name} की दवाइयाँ:",
+    'proxy.medication_item': "{number}. {medicine}\n   समय: {time}, कितनी बार: {frequency}",
+    'proxy.invite_usage': "{name} के लिए देखभालकर्ता जोड़ने के लिए \"for:{phone} invite\" के बाद उनका फ़ोन नंबर और भूमिका (primary, secondary या view-only) लिखें।",
+    'proxy.unknown_command': "यह कमांड समझ नहीं आया। {name} की ओर से आप ये लिख सकते हैं:\n• \"add medicine\", \"update medicine\", \"delete medicine\"\n• \"check medications\", \"history\", \"adherence\"\n• \"report\", \"symptoms\", \"follow-ups\"\n• \"invite <phone> <role>\"",
+    'proxy.error': "आपका अनुरोध पूरा करते समय कोई गड़बड़ी हुई।",
+    'proxy.no_recent_symptoms': "{name} ने पिछले 30 दिनों में कोई लक्षण नहीं बताया है।",
+    'proxy.recent_symptoms_title': "🩺 *{name} के हाल के लक्षण*",
+    'proxy.recent_symptom_item': "{number}. *{symptom}* — {date}, {status}",
+    'proxy.symptom_active': "फ़ॉलो-अप चल रहा है",
+    'proxy.symptom_closed': "बंद",
+    'proxy.no_follow_ups': "{name} का कोई खुला फ़ॉलो-अप नहीं है।",
+    'proxy.follow_ups_title': "🔁 *{name} के खुले फ़ॉलो-अप*",
+    'proxy.follow_up_item': "{number}. *{symptom}* — बताया गया: {when}",
+    'proxy.follow_up_last': "   आख़िरी जानकारी: {status}",
+    'proxy.follow_up_none': "   अभी तक फ़ॉलो-अप का कोई जवाब नहीं",
+    'proxy.status_improved': "पहले से बेहतर",
+    'proxy.status_same': "लगभग वैसा ही",
+    'proxy.status_worse': "पहले से ख़राब ⚠️",
+    'proxy.notice_add_started': "{caregiver} ने आपके लिए एक दवा जोड़ना शुरू किया है।",
+    'proxy.notice_update_started': "{caregiver} ने आपकी एक दवा बदलना शुरू किया है।",
+    'proxy.notice_delete_started': "{caregiver} ने आपकी एक दवा हटाना शुरू किया है।",
+    'proxy.notice_medication_added': "{caregiver} ने आपके लिए एक नई दवा जोड़ी है: {medicine} ({dosage}), {time} बजे",
+    'proxy.notice_medication_added_prn': "{caregiver} ने आपके लिए एक नई दवा जोड़ी है: {medicine} ({dosage}), ज़रूरत पड़ने पर लेनी है",
+    'proxy.notice_medication_updated': "{caregiver} ने आपकी एक दवा बदली है: {medicine}",
+    'proxy.notice_medication_deleted': "{caregiver} ने आपकी एक दवा हटाई है: {medicine}",
+    'proxy.notice_history_viewed': "{caregiver} ने पिछले 7 दिनों का आपका दवा का इतिहास देखा है।",
+    'proxy.notice_history_all_viewed': "{caregiver} ने आपका पूरा दवा का इतिहास देखा है।",
+    'proxy.notice_medications_viewed': "{caregiver} ने आपकी दवाइयाँ देखी हैं ({count} दवाइयाँ)।",
+    'proxy.notice_medications_none_viewed': "{caregiver} ने आपकी दवाइयाँ देखीं। अभी कोई दवा जोड़ी नहीं गई है।",
+    'proxy.notice_adherence_viewed': "{caregiver} ने देखा है कि आप अपनी दवाइयाँ कितने नियम से ले रहे हैं।",
+    'proxy.notice_follow_ups_viewed': "{caregiver} ने आपके लक्षणों के खुले फ़ॉलो-अप देखे हैं।",
+    'proxy.notice_symptoms_viewed': "{caregiver} ने आपके हाल के लक्षण देखे हैं।",
+    'proxy.notice_report_viewed': "{caregiver} ने आपके बारे में आज की रिपोर्ट देखी है।",
+    'proxy.notice_caregiver_invited': "{caregiver} ने {phone} को आपका {role} बनने का न्योता भेजा है।",
+
+    // Weekly digest
+    'digest.title': "📅 *हफ़्ते का सारांश*\n_पिछले 7 दिन एक नज़र में_",
+    'digest.section_wellbeing': "😊 *हालचाल*",
+    'digest.section_medication': "💊 *दवाइयाँ*",
+    'digest.section_symptoms': "🩺 *लक्षण*",
+    'digest.footer': "रिपोर्ट कितनी बार मिले, यह बदलने के लिए \"reports\" लिखें।",
+    'digest.template_prefix': "हफ़्ते का सारांश।",
+    'digest.fallback_name': "आपके परिवार के सदस्य",
+    'digest.no_checkins': "इस हफ़्ते कोई हालचाल नहीं हुआ।",
+    'digest.mood': "मन: {moods} ({count} हालचाल)",
+    'digest.trend_steady': "रुझान: पिछले हफ़्ते जैसा ही",
+    'digest.trend_improving': "रुझान: पिछले हफ़्ते से 📈 बेहतर",
+    'digest.trend_lower': "रुझान: पिछले हफ़्ते से 📉 कम",
+    'digest.concerns': "बताई गई चिंताएँ: {concerns}",
+    'digest.no_concerns': "कोई चिंता नहीं बताई गई।",
+    'digest.no_doses': "इस हफ़्ते याद दिलाई गई कोई खुराक दर्ज नहीं हुई।",
+    'digest.adherence': "दवा समय पर: {summary}",
+    'digest.missed_doses': "छूटी खुराकें: {doses}",
+    'digest.no_missed_doses': "कोई खुराक नहीं छूटी। 👏",
+    'digest.most_missed_time': "सबसे ज़्यादा छूटा समय: {time}",
+    'digest.symptoms': "बताए गए लक्षण: {symptoms}",
+    'digest.no_symptoms': "इस हफ़्ते कोई लक्षण नहीं बताया गया।",
+    'digest.open_follow_ups': "खुले फ़ॉलो-अप: {followUps}",
+    'digest.follow_up_since': "{symptom} ({date} से)",
+
+    // Check-ins, when the AI is unavailable
+    'checkin.fallback_question': "नमस्ते {name}! आज आप कैसा महसूस कर रहे हैं? मुझे आपके दिन के बारे में सुनना अच्छा लगेगा। 😊",
+    'checkin.fallback_reply': "मुझसे यह बताने के लिए धन्यवाद। जवाब देने के लिए समय निकालने का शुक्रिया। 😊",
+    'checkin.fallback_follow_up': "अच्छा लगा सुनकर। क्या आप थोड़ा और बताएँगे कि आज आप कैसा महसूस कर रहे हैं? 😊",
+    'checkin.fallback_second_follow_up': "क्या कोई ऐसी चीज़ है जिससे आज आपको बेहतर महसूस हो? मैं सुनने के लिए यहाँ हूँ। 💗",
+    'checkin.fallback_final': "मुझसे यह सब बताने के लिए बहुत-बहुत धन्यवाद। आपसे बात करके अच्छा लगा, आपका बाकी दिन अच्छा बीते। अपना ध्यान रखिए! 💗",
+
+    // Resuming a check-in after a medication reminder
+    'checkin.resume': "चलिए, अब अपनी पहले वाली बातचीत आगे बढ़ाते हैं। आप इसका जवाब दे रहे थे: \"{question}\"",
+    'checkin.resume_last_question': "मेरा पिछला सवाल",
+
+    // General AI replies
+    'ai.disclaimer': "⚠️ *ज़रूरी*: यह जानकारी बीमारी की पहचान (डायग्नोसिस) नहीं है। सेहत से जुड़ी चिंता के लिए हमेशा डॉक्टर से सलाह लें।",
+    'ai.error': "माफ़ कीजिए, मैं अभी आपका अनुरोध पूरा नहीं कर पाया। कृपया थोड़ी देर बाद फिर कोशिश करें।"
+};
@@ -0,0 +1,535 @@
+// locales/mr.js - Marathi messages
+module.exports = {
+    // Shared
+    'common.reply_with_number': "कृपया तुमच्या पर्यायाचा क्रमांक पाठवा.",
+    'common.invalid_list_number': "कृपया यादीतील योग्य क्रमांक पाठवा.",
+    'common.error': "माफ करा, तुमची विनंती पूर्ण करताना अडचण आली. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.",
+
+    // Language choice
+    'language.question': "तुम्हाला कोणत्या भाषेत बोलायला आवडेल?\n\n{options}\n\nकृपया तुमच्या भाषेचा क्रमांक पाठवा.",
+    'language.invalid': "कृपया यादीतील एखाद्या भाषेचा क्रमांक पाठवा:\n\n{options}",
+    'language.current': "मी तुमच्याशी {language} मध्ये बोलत आहे. भाषा बदलण्यासाठी क्रमांक पाठवा:\n\n{options}",
+    'language.updated': "✅ झाले! आता मी तुमच्याशी {language} मध्ये बोलेन.",
+    'language.update_failed': "❌ तुमची भाषा बदलता आली नाही. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.",
+
+    // Main and medication menus
+    'menu.welcome': "नमस्कार {name}, सुकून सारथीमध्ये तुमचे स्वागत आहे! 🌿",
+    'menu.managing_family': "तुम्ही कुटुंबातील {count} सदस्यांची खाती सांभाळत आहात.\nत्यांच्या वतीने कमांड पाठवण्यासाठी संदेशाची सुरुवात \"for:[त्यांचा नंबर]\" ने करा आणि नंतर कमांड लिहा.\nउदाहरण: \"for:+917XXXXXXXX check medications\"",
+    'menu.welcome_help': "मी आरोग्यावर लक्ष ठेवणे, लक्षणांची तपासणी आणि औषधांची आठवण करून देणे यात मदत करू शकतो.\nबरे वाटत नसेल तर 'symptom' लिहा, किंवा औषधांची आठवण लावण्यासाठी 'add medicine' लिहा.",
+    'menu.main': "आज तुम्हाला काय करायला आवडेल?\n\n1️⃣ लक्षणांची तपासणी\n2️⃣ औषधांचे व्यवस्थापन\n\nकृपया तुमच्या पर्यायाचा क्रमांक पाठवा.",
+    'menu.main_invalid': "लक्षणांसाठी 1 किंवा औषधांसाठी 2 पाठवा.",
+    'menu.medication': "*औषधांचे व्यवस्थापन* 💊\n\nतुमच्या औषधांबाबत तुम्हाला काय करायचे आहे?\n\n{options}",
+    'menu.medication_invalid': "तुम्हाला औषधांबाबत काय करायचे आहे ते मला समजले नाही. कृपया यापैकी एक निवडा:\n\n{options}",
+    'menu.medication_options': "1️⃣ नवीन औषध जोडा\n2️⃣ सध्याचे औषध बदला\n3️⃣ औषध काढून टाका\n4️⃣ औषधाची माहिती पाहा\n5️⃣ औषधांचा इतिहास (मागील आठवडा)\n6️⃣ औषधांचा संपूर्ण इतिहास\n7️⃣ मुख्य मेनूवर परत\n\nकृपया तुमच्या पर्यायाचा क्रमांक पाठवा.",
+    'menu.no_medications': "तुमचे अजून कोणतेही औषध सेट केलेले नाही. आधी औषध जोडण्यासाठी '1' पाठवा.",
+    'menu.info_which': "तुम्हाला कोणत्या औषधाची माहिती हवी आहे?",
+
+    // Account creation
+    'account.welcome': "सुकून सारथीमध्ये तुमचे स्वागत आहे! 🌿",
+    'account.no_account': "सुकून सारथीमध्ये तुमचे स्वागत आहे! तुमचे अजून खाते नाही असे दिसते.\n\nखाते तयार करण्यासाठी \"create account\" असे लिहून पाठवा.",
+    'account.type_question': "चला तुमचे खाते तयार करूया. तुम्ही खाते कोणासाठी तयार करत आहात:\n\n1️⃣ स्वतःसाठी (ज्येष्ठ वापरकर्ता म्हणून)\n2️⃣ तुमच्या आई/वडिलांसाठी\n\nकृपया 1 किंवा 2 पाठवा.",
+    'account.type_invalid': "तुमचे उत्तर मला समजले नाही. कृपया पाठवा:\n\n1️⃣ स्वतःसाठी (ज्येष्ठ वापरकर्ता म्हणून)\n2️⃣ तुमच्या आई/वडिलांसाठी",
+    'account.restart': "माफ करा, खाते तयार करताना काहीतरी चुकले. चला पुन्हा सुरुवात करूया.",
+    'account.ask_name': "कृपया तुमचे पूर्ण नाव लिहा:",
+    'account.ask_age': "धन्यवाद! कृपया तुमचे वय लिहा:",
+    'account.invalid_age': "कृपया योग्य वय लिहा (1 ते 120 मधील संख्या):",
+    'account.ask_location': "कृपया तुमचे शहर आणि राज्य लिहा (उदा., मुंबई, महाराष्ट्र):",
+    'account.timezone_question': "तुमचे घर कोणत्या टाइमझोनमध्ये आहे? आठवणी आणि विचारपूस याच स्थानिक वेळेनुसार येतील.\n\n{options}\n\nकृपया क्रमांक पाठवा, किंवा टाइमझोनचे नाव लिहा (उदा., Europe/London).",
+    'account.parent_timezone_question': "तुमच्या आई/वडिलांचे घर कोणत्या टाइमझोनमध्ये आहे? आठवणी आणि विचारपूस याच स्थानिक वेळेनुसार येतील.\n\n{options}\n\nकृपया क्रमांक पाठवा, किंवा टाइमझोनचे नाव लिहा (उदा., Europe/London).",
+    'account.timezone_option': "{number}. {timezone} (आत्ता {time})",
+    'account.ask_emergency_contact': "कृपया आपत्कालीन संपर्काचा व्हॉट्सॲप नंबर देश कोडसह लिहा (उदा., +917XXXXXXXX):",
+    'account.invalid_phone': "कृपया देश कोडसह योग्य व्हॉट्सॲप नंबर लिहा (उदा., +917XXXXXXXX):",
+    'account.ask_emergency_name': "तुमच्या आपत्कालीन संपर्काचे नाव काय आहे?",
+    'account.ask_emergency_relationship': "आपत्कालीन संपर्काशी तुमचे काय नाते आहे?\n\nउदा.: मुलगा, मुलगी, पती/पत्नी, भाऊ/बहीण, मित्र इ.",
+    'account.created': "✅ धन्यवाद, {name}! तुमचे सुकून सारथी खाते तयार झाले आहे.\n\nमी तुम्हाला औषधे सांभाळणे, लक्षणांवर लक्ष ठेवणे आणि निरोगी राहण्यात मदत करेन.\n\nमी काय काय करू शकतो हे पाहण्यासाठी कधीही \"Hi\" लिहा.",
+    'account.emergency_contact_notice': "नमस्कार {contactName},\n\n{name} यांनी तुम्हाला सुकून सारथी (एक आरोग्य सहायक ॲप) वर त्यांचा आपत्कालीन संपर्क म्हणून जोडले आहे.\n\nतुम्हाला त्यांच्या दिनचर्येची आणि औषधे घेण्याची माहिती मिळत राहील. त्यांना मदतीची गरज पडल्यास तुम्हाला कळवले जाईल.\n\nआत्ता तुम्हाला काहीही करण्याची गरज नाही. हे फक्त तुमच्या माहितीसाठी आहे.",
+    'account.create_failed': "तुमचे खाते तयार करताना अडचण आली. कृपया नंतर पुन्हा प्रयत्न करा किंवा सहायतेशी संपर्क साधा.",
+    'account.parent_count_question': "तुम्ही खाते कोणासाठी तयार करत आहात:\n\n1️⃣ आई किंवा वडील यांपैकी एक\n2️⃣ दोघेही (वेगवेगळी खाती)\n\nकृपया 1 किंवा 2 पाठवा.",
+    'account.parent_count_invalid': "तुमचे उत्तर मला समजले नाही. कृपया पाठवा:\n\n1️⃣ आई किंवा वडील यांपैकी एकासाठी\n2️⃣ दोघांसाठी",
+    'account.ask_parent_phone': "कृपया तुमच्या आई/वडिलांचा व्हॉट्सॲप नंबर देश कोडसह लिहा (उदा., +917XXXXXXXX):",
+    'account.ask_first_parent_phone': "कृपया पहिल्या पालकांचा व्हॉट्सॲप नंबर देश कोडसह लिहा (उदा., +917XXXXXXXX):",
+    'account.parent_exists': "या नंबरवर आधीच खाते आहे. कृपया दुसरा नंबर द्या, किंवा ही चूक आहे असे वाटत असल्यास सहायतेशी संपर्क साधा.",
+    'account.ask_parent_name': "कृपया तुमच्या आई/वडिलांचे पूर्ण नाव लिहा:",
+    'account.ask_first_parent_name': "कृपया पहिल्या पालकांचे पूर्ण नाव लिहा:",
+    'account.ask_second_parent_name': "कृपया दुसऱ्या पालकांचे पूर्ण नाव लिहा:",
+    'account.ask_parent_language': "{name} यांच्याशी मी कोणत्या भाषेत बोलू?\n\n{options}\n\nकृपया त्यांच्या भाषेचा क्रमांक पाठवा.",
+    'account.ask_parent_age': "कृपया तुमच्या आई/वडिलांचे वय लिहा:",
+    'account.ask_parent_location': "कृपया तुमच्या आई/वडिलांचे शहर आणि राज्य लिहा (उदा., मुंबई, महाराष्ट्र):",
+    'account.ask_parent_relationship': "यांच्याशी तुमचे काय नाते आहे?\n\nउदा.: मुलगा, मुलगी इ.",
+    'account.first_parent_created': "✅ पहिल्या पालकांचे खाते तयार झाले! खाते सुरू होण्यापूर्वी {name} यांची संमती घेतली जाईल.\n\nआता कृपया दुसऱ्या पालकांचा व्हॉट्सॲप नंबर देश कोडसह लिहा (उदा., +917XXXXXXXX):",
+    'account.parent_welcome_held': "लक्षात घ्या: व्हॉट्सॲपच्या नियमांमुळे, संदेश मिळण्यापूर्वी {name} यांना या नंबरवर एक संदेश पाठवावा लागेल. कृपया त्यांना खाते सुरू करण्यासाठी {number} वर \"Hi\" पाठवायला सांगा.",
+    'account.parent_created': "✅ तुमच्या आई/वडिलांचे खाते तयार झाले आहे!\n\nकाहीही सुरू होण्यापूर्वी मी त्यांची संमती मागितली आहे, आणि त्यांचे उत्तर आल्यावर मी तुम्हाला कळवेन. तोपर्यंत तुम्ही त्यांची औषधे जोडू शकता, पण कोणतीही आठवण, विचारपूस किंवा अहवाल पाठवला जाणार नाही.\n\n{proxyHelp}",
+    'account.parents_created': "✅ दोन्ही पालकांची खाती तयार झाली आहेत!\n\nकाहीही सुरू होण्यापूर्वी मी दोघांची संमती मागितली आहे, आणि त्यांचे उत्तर आल्यावर मी तुम्हाला कळवेन. तोपर्यंत तुम्ही त्यांची औषधे जोडू शकता, पण कोणतीही आठवण, विचारपूस किंवा अहवाल पाठवला जाणार नाही.\n\n{proxyHelp}",
+    'account.proxy_help': "तुमच्या आई/वडिलांच्या वतीने कमांड पाठवण्यासाठी संदेशाची सुरुवात \"for:(त्यांचा नंबर)\" ने करा आणि नंतर कमांड लिहा.\n\nउदाहरण: \"for:+917XXXXXXXX add medicine...\"\n\nतुमचेही खाते तयार झाले आहे, आणि तुम्ही स्वतःच्या आरोग्यासाठीही सुकून सारथी वापरू शकता. सुरू करण्यासाठी \"Hi\" लिहा.",
+    'account.parent_create_failed': "खाते तयार करताना अडचण आली. कृपया नंतर पुन्हा प्रयत्न करा किंवा सहायतेशी संपर्क साधा.",
+
+    // Consent for caregiver-created accounts
+    'consent.request': "🙏 नमस्कार {name}! {caregiver} यांनी तुमच्यासाठी सुकून सारथी नावाचा आरोग्य सहायक सुरू केला आहे.\n\nकाहीही सुरू होण्यापूर्वी, कृपया {caregiver} काय काय करू शकतील ते पाहा:\n{permissions}\n\nमी तुम्हाला औषधांची आठवणही करून देईन आणि दिवसातून काही वेळा तुमची विचारपूस करेन.\n\nसुरू करण्यासाठी *होय* (किंवा *agree*) लिहा. तुम्हाला हे नको असल्यास *नाही* (किंवा *decline*) लिहा — मग मी तुमचे खाते आणि {caregiver} यांनी भरलेली सर्व माहिती काढून टाकेन.",
+    'consent.not_found': "मला तुमचे खाते सापडले नाही.",
+    'consent.retry': "❌ काहीतरी चुकले. कृपया थोड्या वेळाने पुन्हा *होय* लिहा.",
+    'consent.given': "✅ धन्यवाद, {name}! तुमचे खाते आता सुरू झाले आहे.\n\nमी काय काय करू शकतो हे पाहण्यासाठी कधीही \"Hi\" लिहा.",
+    'consent.confirm_decline': "⚠️ {name}, तुम्हाला खात्री आहे का? नकार दिल्यास तुमचे खाते आणि {caregiver} यांनी भरलेली सर्व माहिती, औषधांसह, हटवली जाईल.\n\nहटवण्यासाठी *DELETE* लिहा, किंवा खाते ठेवून सुरू करण्यासाठी *agree* लिहा.",
+    'consent.declined': "ठीक आहे, {name}. तुमचे खाते आणि तुमच्यासाठी भरलेली सर्व माहिती काढून टाकली आहे, आणि आता मी तुम्हाला संदेश पाठवणार नाही.\n\nतुमचा विचार बदलल्यास फक्त \"create account\" लिहा.",
+    'consent.error': "❌ काहीतरी चुकले. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.",
+    'consent.given_notice': "✅ {name} यांनी सुकून सारथी वापरायला संमती दिली आहे. औषधांची आठवण, विचारपूस आणि अहवाल आता सुरू होत आहेत.",
+    'consent.declined_notice': "{name} यांनी तुम्ही तयार केलेले सुकून सारथी खाते नाकारले आहे, म्हणून ते खाते तुम्ही जोडलेल्या औषधांसह हटवले गेले आहे.",
+    'permission.view_medications': "तुमची औषधे पाहणे आणि डोस घेतला की नाही ते पाहणे",
+    'permission.manage_medications': "औषधे जोडणे, बदलणे आणि काढून टाकणे",
+    'permission.view_symptoms': "लक्षणांची तपासणी आणि त्यांचा पाठपुरावा पाहणे",
+    'permission.view_reports': "रोजचा आणि आठवड्याचा अहवाल मिळवणे",
+    'permission.manage_caregivers': "इतर काळजीवाहकांना जोडणे",
+
+    // Caregiver roles, and what each lets the caregiver do
+    'role.primary': "मुख्य काळजीवाहक",
+    'role.secondary': "सहाय्यक काळजीवाहक",
+    'role.view_only': "फक्त पाहणारे काळजीवाहक",
+    'role.custom': "विशेष परवानग्या असलेले काळजीवाहक",
+    'access.view_medications': "त्यांची औषधे पाहणे आणि डोस घेतला की नाही ते पाहणे",
+    'access.manage_medications': "त्यांची औषधे जोडणे, बदलणे आणि काढून टाकणे",
+    'access.view_symptoms': "त्यांच्या लक्षणांची तपासणी आणि पाठपुरावा पाहणे",
+    'access.view_reports': "रोजचा आणि आठवड्याचा अहवाल मिळवणे",
+    'access.manage_caregivers': "इतर काळजीवाहकांना जोडणे",
+
+    // Caregivers
+    'caregiver.invite_usage': "काळजीवाहक जोडण्यासाठी \"invite\" नंतर त्यांचा फोन नंबर आणि हवी असल्यास भूमिका लिहा.\n\nउदाहरण: \"invite +919876543210 secondary\"\n\nभूमिका:\n• *primary* — पूर्ण प्रवेश, आणि इतरांना जोडू शकतात\n• *secondary* — औषधे, लक्षणे आणि अहवाल पाहू आणि सांभाळू शकतात\n• *view-only* — औषधे, लक्षणे आणि अहवाल फक्त पाहू शकतात",
+    'caregiver.invite_primary_only': "फक्त मुख्य काळजीवाहकच इतर काळजीवाहकांना जोडू शकतात.",
+    'caregiver.invite_which_elder': "तुम्ही एकापेक्षा जास्त व्यक्तींचे काळजीवाहक सांभाळता. कृपया हे कोणासाठी आहे ते सांगा, उदा. \"for:{parentPhone} invite {phone}\"",
+    'caregiver.invite_no_account': "{phone} साठी कोणतेही सुकून सारथी खाते सापडले नाही.",
+    'caregiver.invite_not_allowed': "फक्त {name} किंवा त्यांचे मुख्य काळजीवाहकच काळजीवाहकांना जोडू शकतात.",
+    'caregiver.invite_self': "कृपया तुम्हाला जोडायच्या व्यक्तीचा फोन नंबर लिहा.",
+    'caregiver.invite_pending': "{phone} यांना आधीच आमंत्रण पाठवले आहे आणि त्यांनी अजून उत्तर दिलेले नाही.",
+    'caregiver.invite_exists': "{phone} आधीच {name} यांचे काळजीवाहक आहेत.",
+    'caregiver.invite_failed': "❌ आमंत्रण पाठवता आले नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'caregiver.invite_message': "👋 नमस्कार! {inviter} यांनी तुम्हाला सुकून सारथी (एक आरोग्य सहाय्यक) वर {name} यांचे {role} होण्यासाठी आमंत्रित केले आहे.\n\n{role} म्हणून तुम्ही हे करू शकाल:\n{permissions}\n\nसामील होण्यासाठी *accept* लिहा, किंवा नको असल्यास *decline* लिहा.",
+    'caregiver.invite_not_delivered': "❌ {phone} यांना आमंत्रण पाठवता आले नाही. कृपया नंबर तपासून पुन्हा प्रयत्न करा.",
+    'caregiver.invite_sent': "✅ {phone} यांना {name} यांचे {role} म्हणून आमंत्रण पाठवले आहे. त्यांचे उत्तर आल्यावर मी तुम्हाला सांगेन.",
+    'caregiver.no_invites': "तुमच्यासाठी कोणतेही आमंत्रण प्रलंबित नाही.",
+    'caregiver.invite_declined_notice': "{caregiver} यांनी {name} यांचे काळजीवाहक होण्याचे आमंत्रण नाकारले.",
+    'caregiver.invite_declined': "ठीक आहे — तुम्हाला {name} यांचे काळजीवाहक म्हणून जोडले जाणार नाही.",
+    'caregiver.accept_failed': "❌ आमंत्रण स्वीकारता आले नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'caregiver.joined_notice': "✅ {caregiver} आता {name} यांचे {role} आहेत.",
+    'caregiver.joined': "✅ तुम्ही आता {name} यांचे {role} आहात.\n\nत्यांच्या वतीने काही करण्यासाठी संदेशाची सुरुवात \"for:{phone}\" ने करा, उदा. \"for:{phone} check medications\". मी आणखी काय करू शकतो ते पाहण्यासाठी \"hi\" लिहा.",
+    'caregiver.error': "❌ काहीतरी चुकले. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'caregiver.elder_only': "ज्यांची काळजी घेतली जात आहे तेच ठरवू शकतात की त्यांची माहिती कोण पाहील.",
+    'caregiver.none': "तुमचे अजून कोणीही काळजीवाहक नाहीत.\n\nकोणाला जोडण्यासाठी \"invite\" नंतर त्यांचा फोन नंबर लिहा.",
+    'caregiver.list_title': "👥 *तुमचे काळजीवाहक*",
+    'caregiver.list_item': "{number}. *{name}* ({phone}) — {role}",
+    'caregiver.list_permission': "   • परवानगी: {permission}",
+    'caregiver.list_no_access': "   • सध्या कोणतीही परवानगी नाही",
+    'caregiver.list_help': "परवानगी बदलण्यासाठी लिहा, उदा. \"grant reports to {name}\" किंवा \"revoke manage medications from {name}\".\nएखाद्याला काढण्यासाठी \"remove caregiver\" नंतर त्यांचे नाव किंवा नंबर लिहा.",
+    'caregiver.not_found_phone': "{phone} तुमच्या काळजीवाहकांपैकी नाहीत. त्यांना पाहण्यासाठी \"caregivers\" लिहा.",
+    'caregiver.ambiguous_name': "{name} नावाचे एकापेक्षा जास्त काळजीवाहक आहेत. कृपया त्यांचा फोन नंबर वापरा.",
+    'caregiver.not_found_name': "{name} नावाचे कोणतेही काळजीवाहक सापडले नाहीत. त्यांना पाहण्यासाठी \"caregivers\" लिहा.",
+    'caregiver.permission_usage': "काळजीवाहक काय करू शकतात हे बदलण्यासाठी लिहा, उदा.:\n• \"grant reports to Ravi\"\n• \"revoke manage medications from +919876543210\"\n\nपरवानग्या: medications, manage medications, symptoms, reports, manage caregivers\n\nसध्या कोणाला प्रवेश आहे ते पाहण्यासाठी \"caregivers\" लिहा.",
+    'caregiver.already_granted': "{caregiver} यांना ही परवानगी आधीच आहे: {permission}.",
+    'caregiver.already_revoked': "{caregiver} यांना ही परवानगी आधीच नाही: {permission}.",
+    'caregiver.granted': "✅ आता {caregiver} यांना ही परवानगी आहे: {permission}.",
+    'caregiver.revoked': "✅ आता {caregiver} यांना ही परवानगी नाही: {permission}.",
+    'caregiver.access_update_failed': "❌ त्यांची परवानगी बदलता आली नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'caregiver.granted_notice': "🔓 {name} यांनी तुम्हाला ही परवानगी दिली आहे: {permission}.",
+    'caregiver.revoked_notice': "🔒 {name} यांनी तुमची परवानगी बदलली आहे: आता तुम्ही हे करू शकत नाही — {permission}.",
+    'caregiver.remove_usage': "कृपया कोणाला काढायचे ते सांगा, उदा. \"remove caregiver Ravi\". त्यांना पाहण्यासाठी \"caregivers\" लिहा.",
+    'caregiver.remove_failed': "❌ त्यांना काढता आले नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'caregiver.removed_notice': "{name} यांनी तुम्हाला सुकून सारथीवरील त्यांच्या काळजीवाहकांमधून काढले आहे. आता तुम्हाला त्यांचे अहवाल किंवा अलर्ट मिळणार नाहीत.",
+    'caregiver.removed': "✅ {caregiver} आता तुमचे काळजीवाहक नाहीत आणि तुमची कोणतीही माहिती पाहू शकत नाहीत.",
+    'caregiver.fallback_name': "तुमचे काळजीवाहक",
+    'caregiver.refill_needed': "⚠️ *औषध पुन्हा आणावे लागेल*\n\n{name} यांचे *{medicine}* संपत आले आहे: सुमारे {days} दिवस पुरेल ({count} गोळ्या).",
+
+    // Caregiver report preference
+    'reports.frequency_daily': "दर संध्याकाळी रोजचा अहवाल",
+    'reports.frequency_weekly': "दर रविवारी संध्याकाळी आठवड्याचा सारांश",
+    'reports.frequency_both': "रोजचा अहवाल आणि आठवड्याचा सारांश, दोन्ही",
+    'reports.not_caregiver': "अहवाल काळजीवाहकांना त्यांच्या कुटुंबातील सदस्यांबद्दल पाठवले जातात. तुम्ही अजून कोणाशीही जोडलेले नाही.",
+    'reports.current': "📊 सध्या तुम्हाला {frequency} मिळतो.\n\nहे बदलण्यासाठी \"reports daily\", \"reports weekly\" किंवा \"reports both\" लिहा.",
+    'reports.invalid': "कृपया \"reports daily\", \"reports weekly\" किंवा \"reports both\" लिहा.",
+    'reports.update_failed': "❌ तुमची अहवालाची निवड बदलता आली नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'reports.updated': "✅ झाले! आता तुम्हाला {frequency} मिळेल.",
+    'reports.consent_pending': "{name} यांनी अजून त्यांच्या खात्याला संमती दिलेली नाही, म्हणून अहवाल नाही. संमती मिळताच मी तुम्हाला सांगेन.",
+    'reports.error': "❌ आजचा अहवाल तयार करता आला नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+
+    // Daily report for caregivers
+    'report.title': "📋 *{name} यांचा दैनंदिन अहवाल* ({date})",
+    'report.fallback_name': "तुमच्या कुटुंबातील सदस्य",
+    'report.section_health': "*🩺 तब्येत आणि मनःस्थिती*",
+    'report.section_medication': "*💊 औषधे*",
+    'report.section_activities': "*🚶 दिनक्रम आणि खास गोष्टी*",
+    'report.no_checkins': "आज कोणतीही विचारपूस नोंदली गेली नाही. कदाचित ते बाहेर होते किंवा विचारपूसच्या संदेशांना उत्तर देऊ शकले नाहीत.",
+    'report.mood': "मनःस्थिती: {emoji} {mood} ({count} विचारपूस)",
+    'report.mood_one': "मनःस्थिती: {emoji} {mood} (1 विचारपूस)",
+    'report.mood_positive': "चांगली",
+    'report.mood_neutral': "ठीक",
+    'report.mood_negative': "उदास",
+    'report.area_physical': "शरीर",
+    'report.area_emotional': "मन",
+    'report.area_social': "लोकांशी संपर्क",
+    'report.rating_good': "चांगले",
+    'report.rating_fair': "ठीक",
+    'report.rating_concerning': "काळजीचे",
+    'report.concerns': "⚠️ काळजीच्या गोष्टी:",
+    'report.no_concerns': "काळजीची कोणतीही गोष्ट दिसली नाही.",
+    'report.no_medications': "आज कोणतेही औषध ठरलेले नव्हते.",
+    'report.med_awaiting': "• {medicine}: उत्तराची वाट",
+    'report.med_none_due': "• {medicine}: अजून कोणताही डोस बाकी नाही",
+    'report.med_taken': "• {medicine}: {total} पैकी {taken} घेतले {emoji}",
+    'report.med_pending': ", {count} चे उत्तर बाकी",
+    'report.this_week': "📊 या आठवड्यात: {summary}",
+    'report.most_missed_time': "सर्वात जास्त चुकलेली वेळ: {time}",
+    'report.activities': "दिनक्रम: {activities}",
+    'report.no_activities': "आज कोणताही दिनक्रम नोंदला गेला नाही.",
+    'report.more': "…आणि आणखी",
+    'report.and': " आणि ",
+    'report.fallback_subject': "तुमच्या कुटुंबातील सदस्य",
+    'report.times_once': "एकदा",
+    'report.times_twice': "दोनदा",
+    'report.times_count': "{count} वेळा",
+    'report.summary_checkins': "{name} यांनी आज {times} विचारपूसला उत्तर दिले.",
+    'report.summary_checkins_positive': "{name} यांनी आज {times} विचारपूसला उत्तर दिले आणि ते आनंदी वाटले.",
+    'report.summary_checkins_neutral': "{name} यांनी आज {times} विचारपूसला उत्तर दिले आणि ते ठीक वाटले.",
+    'report.summary_checkins_negative': "{name} यांनी आज {times} विचारपूसला उत्तर दिले आणि ते थोडे उदास वाटले.",
+    'report.summary_needs_attention': "त्यांच्या {areas} कडे लक्ष देण्याची गरज आहे.",
+    'report.summary_all_well': "ते शरीराने, मनाने आणि लोकांशी संपर्कात, तिन्हीत चांगले होते.",
+    'report.summary_activities': "त्यांनी सांगितले: {activities}.",
+    'report.summary_one_concern': "एका गोष्टीकडे लक्ष द्या: {concerns}.",
+    'report.summary_concerns': "{count} गोष्टींकडे लक्ष द्या: {concerns}.",
+    'report.summary_missed': "आज त्यांचे {medicines} चुकले.",
+    'report.summary_all_taken': "आजचे सर्व {count} डोस त्यांनी घेतले.",
+    'report.summary_all_taken_one': "आजचा 1 डोस त्यांनी घेतला.",
+    'report.highlight_good_spirits': "मन आनंदी होते",
+    'report.highlight_all_well': "सर्व बाबतीत बरे वाटले",
+    'report.highlight_all_taken': "सर्व औषधे घेतली",
+    'report.highlight_adherence_up': "औषधे वेळेवर घेणे मागच्या आठवड्यापेक्षा {change}% चांगले",
+
+    // Medication reminders
+    'reminder.due': "🔔 आठवण: औषध घेण्याची वेळ झाली आहे - *{medicine}*{dose}. \n\nतुम्ही औषध घेतले का? ✅ होय / ❌ नाही",
+    'reminder.dont_forget': "तुमचे {medicine} घ्यायला विसरू नका! औषध घेतल्यावर \"होय\" लिहा, किंवा नंतर आठवण हवी असल्यास \"नाही\" लिहा.",
+    'reminder.or_checkin': "तुमच्यासाठी औषधाची आठवण आणि विचारपूस, दोन्ही सुरू आहेत. तुम्ही कशाला उत्तर देत आहात?\n\n1️⃣ औषधाची आठवण ({medicine})\n2️⃣ विचारपूस\n\nकृपया 1 किंवा 2 पाठवा.",
+    'reminder.or_checkin_invalid': "औषधाच्या आठवणीसाठी 1 किंवा विचारपूससाठी 2 पाठवा.",
+    'reminder.response_error': "माफ करा, औषधाबद्दलचे तुमचे उत्तर नोंदवताना अडचण आली. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.",
+
+    // Picking between conversations
+    'disambiguation.invalid_option': "कृपया 1 ते {count} मधील एक पर्याय निवडा.",
+    'disambiguation.fallback': "तुमच्या उत्तराचे काय करावे ते मला समजले नाही. चला नव्याने सुरुवात करूया.",
+    'disambiguation.error': "माफ करा, तुमचे उत्तर मला नीट समजले नाही. चला पुन्हा सुरुवात करूया.",
+    'disambiguation.menu_vs_symptom': "तुम्ही एक क्रमांक पाठवला आहे, पण सध्या मेनूची निवड आणि लक्षण तपासणी दोन्ही सुरू आहेत. तुम्ही कशाला उत्तर देत आहात?\n\n1. मेनूची निवड\n2. लक्षण तपासणी\n\nकृपया 1 किंवा 2 लिहा.",
+    'disambiguation.question': "सध्या तुमची अनेक संभाषणे एकाच वेळी सुरू आहेत. तुम्ही कशाला उत्तर देत आहात?",
+
+    // Medications
+    'med.time_question': "मी तुम्हाला किती वाजता आठवण करून देऊ? (उदा.: 08:00 AM)",
+    'med.frequency_question': "हे औषध दिवसातून किती वेळा घ्यायचे आहे?\n\n1️⃣ दिवसातून एकदा\n2️⃣ दिवसातून दोनदा\n3️⃣ दिवसातून तीन वेळा\n4️⃣ दिवसातून चार वेळा\n\nक्रमांक पाठवा किंवा वेगळे लिहा (उदा., '5 times a day'):",
+    'med.duration_question': "हे औषध किती दिवस घ्यायचे आहे? (संख्या लिहा, किंवा शेवटची तारीख नसलेल्या औषधासाठी 'ongoing' लिहा)",
+    'med.stock_question': "आत्ता तुमच्याकडे किती गोळ्या आहेत? औषध संपण्यापूर्वी मी तुम्हाला कळवेन. (संख्या लिहा, किंवा मोजणी नको असल्यास 'skip' लिहा)",
+    'med.schedule_question': "तुम्ही हे औषध किती वेळा घेता?\n\n1️⃣ रोज\n2️⃣ ठरावीक दिवशी (उदा., सोम/बुध/शुक्र)\n3️⃣ काही दिवसांच्या अंतराने (उदा., एक दिवसाआड)\n4️⃣ आठवड्यातून एकदा\n5️⃣ कमी होत जाणारा डोस (डोस हळूहळू बदलतो)\n6️⃣ फक्त गरज असेल तेव्हा\n\nक्रमांक पाठवा किंवा लिहून सांगा (उदा., 'every other day'):",
+    'med.field_medicine': "औषध",
+    'med.field_dosage': "डोस",
+    'med.field_frequency': "किती वेळा",
+    'med.field_schedule': "वेळापत्रक",
+    'med.field_time': "वेळ",
+    'med.field_times': "वेळा",
+    'med.field_duration': "कालावधी",
+    'med.field_stock': "साठा",
+    'med.not_specified': "सांगितलेले नाही",
+    'med.ongoing': "सतत",
+    'med.ongoing_no_end': "सतत (शेवटची तारीख नाही)",
+    'med.when_needed': "गरज असेल तेव्हा (आठवण केली जाणार नाही)",
+    'med.days': "{count} दिवस",
+    'med.pills': "{count} गोळ्या",
+    'med.none_yet': "तुमचे अजून कोणतेही औषध सेट केलेले नाही. औषध जोडण्यासाठी 'add medicine' लिहा.",
+    'med.not_found': "मला *{medicine}* नावाचे औषध सापडले नाही. कृपया नाव तपासून पुन्हा प्रयत्न करा.",
+    'med.flow_error': "माफ करा, तुमच्या विनंतीत अडचण आली. चला पुन्हा सुरुवात करूया.",
+    'med.update_which': "तुम्हाला कोणते औषध बदलायचे आहे?",
+    'med.update_ask_name': "तुम्ही निवडले: {medicine}\n\nकृपया या औषधाचे नवीन नाव लिहा (किंवा तेच ठेवण्यासाठी 'same' लिहा):",
+    'med.update_ask_dosage': "कृपया {medicine} चा डोस लिहा (उदा., \"500mg\", किंवा \"{dosage}\" तसाच ठेवण्यासाठी 'same' लिहा):",
+    'med.update_ask_time': "सध्या आठवणीची वेळ {time} आहे. कृपया नवीन वेळ लिहा (उदा.: 08:00 AM) किंवा तीच ठेवण्यासाठी 'same' लिहा:",
+    'med.update_ask_frequency': "सध्या हे \"{frequency}\" घेतले जाते. हे औषध दिवसातून किती वेळा घ्यायचे आहे?\n\n1️⃣ दिवसातून एकदा\n2️⃣ दिवसातून दोनदा\n3️⃣ दिवसातून तीन वेळा\n4️⃣ दिवसातून चार वेळा\n\nक्रमांक पाठवा, वेगळे लिहा, किंवा तसेच ठेवण्यासाठी 'same' लिहा:",
+    'med.update_ask_duration': "सध्या कालावधी {duration} आहे. हे औषध किती दिवस घ्यायचे आहे? (संख्या लिहा, शेवटची तारीख नसलेल्या औषधासाठी 'ongoing', किंवा तसेच ठेवण्यासाठी 'same' लिहा)",
+    'med.update_ask_stock': "सध्या साठा {stock} आहे. आत्ता तुमच्याकडे किती गोळ्या आहेत? (संख्या लिहा, मोजणी थांबवण्यासाठी 'none', किंवा तसेच ठेवण्यासाठी 'same' लिहा)",
+    'med.stock_not_tracked': "मोजला जात नाही",
+    'med.update_invalid_stock': "कृपया गोळ्यांची संख्या, 'none' किंवा 'same' लिहा:",
+    'med.updated': "✅ औषध बदलले!\n\n{details}",
+    'med.update_failed': "❌ माफ करा, औषध बदलताना अडचण आली. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'med.add_ask_name': "कृपया औषधाचे नाव लिहा:\n\n_सूचना: तुम्ही एकाच संदेशातही औषध जोडू शकता, उदा. 'add Metformin 500mg twice a day after meals for 30 days at 8 am'_",
+    'med.add_restart': "माफ करा, औषध जोडताना काहीतरी चुकले. चला पुन्हा सुरुवात करूया.",
+    'med.add_ask_dosage': "कृपया डोस लिहा (उदा., '500mg'), किंवा लागू नसल्यास 'none' लिहा:",
+    'med.add_ask_dosage_prn': "कृपया डोस लिहा (उदा., '500mg'), किंवा लागू नसल्यास 'none' लिहा:\n\n_प्रत्येक वेळी डोस घेतल्यावर *took <औषधाचे नाव>* लिहा, म्हणजे मी नोंद ठेवू शकेन._",
+    'med.add_invalid_stock': "कृपया गोळ्यांची संख्या किंवा 'skip' लिहा:",
+    'med.added': "✅ औषध जोडले!\n\n{details}",
+    'med.added_for': "औषध {phone} साठी जोडले आहे.",
+    'med.add_failed': "❌ माफ करा, औषध जोडताना अडचण आली. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'med.schedule_ask_days': "तुम्ही हे कोणत्या दिवशी घेता? (उदा., 'Mon/Wed/Fri' किंवा 'weekdays')",
+    'med.schedule_ask_interval': "किती दिवसांनी एकदा? (उदा., एक दिवसाआड साठी '2')",
+    'med.schedule_ask_weekly': "आठवड्याचा कोणता दिवस? (उदा., 'Sunday')",
+    'med.schedule_ask_taper': "कृपया प्रत्येक डोस आणि तो किती दिवस चालेल, क्रमाने लिहा (उदा., '40mg for 5 days, 20mg for 5 days, 10mg for 3 days'):",
+    'med.schedule_ask_prn': "24 तासांत जास्तीत जास्त किती डोस घेता येतील? (संख्या किंवा 'none' लिहा)",
+    'med.schedule_invalid': "माफ करा, हे वेळापत्रक मला समजले नाही. कृपया 1 ते 6 मधील क्रमांक पाठवा.",
+    'med.schedule_invalid_weekly': "कृपया आठवड्याचा एक दिवस लिहा (उदा., 'Sunday'):",
+    'med.schedule_invalid_days': "कृपया दिवस लिहा, उदा. 'Mon/Wed/Fri':",
+    'med.schedule_invalid_interval': "कृपया दिवसांची संख्या लिहा (उदा., एक दिवसाआड साठी '2'):",
+    'med.schedule_invalid_taper': "कृपया डोस असे लिहा: '40mg for 5 days, 20mg for 5 days'",
+    'med.schedule_invalid_prn': "कृपया 24 तासांतील जास्तीत जास्त डोसची संख्या किंवा 'none' लिहा:",
+
+    // Describing a medication schedule
+    'schedule.daily': "दररोज",
+    'schedule.weekly': "दर आठवड्याला {day}",
+    'schedule.every_other_day': "एक दिवसाआड",
+    'schedule.every_n_days': "दर {count} दिवसांनी",
+    'schedule.taper': "हळूहळू कमी होणारा डोस: {steps}",
+    'schedule.taper_step': "{days} दिवस {dosage}",
+    'schedule.taper_then': ", मग ",
+    'schedule.prn': "गरज असेल तेव्हा",
+    'schedule.prn_max': "गरज असेल तेव्हा (24 तासांत जास्तीत जास्त {count} वेळा)",
+    'med.quick_setup': "चला *{medicine}* सेट करूया.\n\n{question}",
+    'med.quick_ask_time': "*{medicine}* घेण्याची आठवण मी तुम्हाला किती वाजता करू? (उदा.: 08:00 AM)",
+    'med.quick_confirm': "📝 मला हे समजले:\n\n{details}\n\n1️⃣ सेव्ह करा\n2️⃣ एकेक करून बदला\n3️⃣ रद्द करा",
+    'med.quick_step_by_step': "चला *{medicine}* एकेक करून सेट करूया.\n\n{question}",
+    'med.quick_cancelled': "ठीक आहे, मी *{medicine}* जोडले नाही.",
+    'med.quick_confirm_invalid': "सेव्ह करण्यासाठी 1, एकेक करून बदलण्यासाठी 2, किंवा रद्द करण्यासाठी 3 पाठवा.",
+    'med.marked_taken': "✅ छान! मी *{medicine}* घेतले अशी नोंद केली आहे.",
+    'med.mark_taken_failed': "⚠️ माफ करा, मी {medicine} घेतले अशी नोंद करू शकलो नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'med.missed_remind_again': "❗ काही हरकत नाही! 30 मिनिटांनी मी तुम्हाला *{medicine}* घेण्याची पुन्हा आठवण करून देईन.",
+    'med.missed_failed': "⚠️ माफ करा, मी तुमचे उत्तर नोंदवू शकलो नाही. तरीही मी नंतर तुम्हाला आठवण करून देईन.",
+    'med.unknown_reference': "तुम्ही कोणत्या औषधाबद्दल बोलत आहात ते मला समजले नाही. कृपया औषधाचे नाव सांगा.",
+    'med.history_empty': "तुमची {count} औषधे सेट आहेत, पण ती घेतल्याची अजून कोणतीही नोंद नाही.\n\nतुम्ही औषधाच्या आठवणींना उत्तर द्यायला सुरुवात केल्यावर तुमचा औषधांचा इतिहास इथे दिसेल.",
+
+    // Medication history
+    'history.title': "📜 *{phone} यांचा औषधांचा इतिहास*:",
+    'history.medicine': "💊 *{medicine}*:",
+    'history.dosage': "   - डोस: {value}",
+    'history.times': "   - आठवण करून देण्याची वेळ: {value}",
+    'history.frequency': "   - किती वेळा: {value}",
+    'history.schedule': "   - वेळापत्रक: {value}",
+    'history.duration': "   - कालावधी: {value}",
+    'history.start_date': "   - सुरुवातीची तारीख: {value}",
+    'history.end_date': "   - शेवटची तारीख: {value}",
+    'history.taken': "   - घेतले: {count} वेळा",
+    'history.missed': "   - चुकले: {count} वेळा",
+    'history.dates': "       *तारखा:* {dates}",
+    'history.none': "काहीही नाही",
+    'history.not_available': "उपलब्ध नाही",
+    'history.error': "❌ औषधांचा इतिहास मिळू शकला नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'med.delete_which': "तुम्हाला कोणते औषध काढून टाकायचे आहे?",
+    'med.delete_confirm': "तुम्हाला खरंच *{medicine}* काढून टाकायचे आहे का?\n\nयामुळे या औषधाच्या सर्व आठवणीही काढल्या जातील.\n\nखात्री करण्यासाठी *होय* किंवा रद्द करण्यासाठी *नाही* लिहा.",
+    'med.deleted': "✅ *{medicine}* हे औषध काढून टाकले आहे.",
+    'med.delete_failed': "❌ माफ करा, औषध काढताना अडचण आली. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'med.delete_cancelled': "काढणे रद्द केले. तुमच्या औषधात कोणताही बदल झालेला नाही.",
+    'med.escalate_usage': "चुकलेल्या डोसबद्दल काळजीवाहकांना कधी कळवावे हे निवडण्यासाठी पाठवा:\n\n• *escalate <medicine> after 2 nudges* - सलग 2 आठवणींना उत्तर न मिळाल्यास\n• *escalate <medicine> after 3 missed* - आठवड्यात 3 डोस चुकल्यास\n• *escalate <medicine> off* - या औषधासाठी कधीही कळवू नका\n• *escalate <medicine> on* - पुन्हा कळवायला सुरुवात करा",
+    'med.escalation_off': "🔕 आता *{medicine}* चे डोस चुकल्यास काळजीवाहकांना कळवले जाणार नाही.",
+    'med.escalation_on': "🔔 *{medicine}* साठी सलग {nudges} आठवणींना उत्तर न मिळाल्यास, किंवा आठवड्यात {missed} डोस चुकल्यास काळजीवाहकांना कळवले जाईल.",
+    'med.refill_usage': "औषध पुन्हा आणल्यावर साठा बदलण्यासाठी *refill <औषधाचे नाव> <गोळ्यांची संख्या>* पाठवा, उदा.: refill Metformin 30",
+    'med.refilled': "📦 *{medicine}* चा साठा भरला. आता तुमच्याकडे {count} गोळ्या आहेत{daysLeft}.",
+    'med.refill_days_left': ", ज्या साधारण {days} दिवस पुरतील",
+    'med.took_usage': "डोस नोंदवण्यासाठी *took <औषधाचे नाव>* पाठवा, उदा.: took Paracetamol",
+    'med.dose_limit_reached': "🛑 गेल्या 24 तासांत तुम्ही *{medicine}* {taken} वेळा घेतले आहे, जी कमाल मर्यादा ({max}) आहे. कृपया आत्ता आणखी डोस घेऊ नका. तरीही आराम न मिळाल्यास तुमच्या डॉक्टरांशी संपर्क साधा.",
+    'med.dose_log_failed': "❌ माफ करा, मी हा डोस नोंदवू शकलो नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'med.dose_logged': "✅ *{medicine}* चा एक डोस नोंदवला{limit}.",
+    'med.dose_limit_count': " (24 तासांत {max} पैकी {taken})",
+    'med.running_low': "⚠️ *{medicine} संपत आले आहे*\n\nतुमच्याकडे सुमारे {days} दिवसांचे औषध उरले आहे ({count} गोळ्या). कृपया लवकर औषध मागवा.\n\nनवीन औषध आल्यावर साठा अपडेट करण्यासाठी *refill {medicine} <संख्या>* लिहा.",
+
+    // Medication adherence
+    'adherence.title': "📊 *औषधे वेळेवर घेण्याचा हिशोब*",
+    'adherence.title_for': "📊 *{name} यांचा औषधे वेळेवर घेण्याचा हिशोब*",
+    'adherence.no_doses_30_days': "गेल्या 30 दिवसांत आठवण करून दिलेला कोणताही डोस अजून नोंदवलेला नाही.",
+    'adherence.this_week': "*या आठवड्यात:* {summary}",
+    'adherence.last_30_days': "*गेले 30 दिवस:* {summary}",
+    'adherence.most_missed_time': "*सर्वात जास्त चुकलेली वेळ:* {time} ({count} वेळा चुकले)",
+    'adherence.med_week': "   - या आठवड्यात: {value}",
+    'adherence.med_no_doses': "कोणताही डोस नाही",
+    'adherence.med_month': "   - गेले 30 दिवस: {percentage}% ({missed} चुकले)",
+    'adherence.med_streak': "   - सलग: {current} दिवस (सर्वोत्तम {best})",
+    'adherence.med_most_missed': "   - सर्वात जास्त चुकलेली: {time}",
+    'adherence.unavailable': "❌ औषधांचा हिशोब सध्या उपलब्ध नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'adherence.none': "कोणताही डोस नोंदवलेला नाही",
+    'adherence.summary': "{percentage}% ({total} पैकी {taken} डोस)",
+    'adherence.same_week': ", मागील आठवड्याइतकेच",
+    'adherence.up_week': ", मागील आठवड्यापेक्षा 📈 {change}% जास्त",
+    'adherence.down_week': ", मागील आठवड्यापेक्षा 📉 {change}% कमी",
+    'adherence.same_month': ", मागील 30 दिवसांइतकेच",
+    'adherence.up_month': ", मागील 30 दिवसांपेक्षा 📈 {change}% जास्त",
+    'adherence.down_month': ", मागील 30 दिवसांपेक्षा 📉 {change}% कमी",
+
+    // Symptom assessment
+    'symptom.ask_primary': "तुम्हाला काय त्रास होत आहे? कृपया थोडक्यात सांगा.\n\nउदा.: 'डोकेदुखी', 'पोटदुखी', 'खोकला' इ.",
+    'symptom.restart': "माफ करा, लक्षणांच्या तपासणीत काहीतरी चुकले. चला पुन्हा सुरुवात करूया.",
+    'symptom.emergency_title': "🚨 *ही वैद्यकीय आणीबाणी असू शकते*",
+    'symptom.family_alerted': "तुम्हाला मदत मिळावी म्हणून मी तुमच्या कुटुंबाला आणि आपत्कालीन संपर्कालाही कळवले आहे.",
+    'symptom.emergency_closed': "तुम्हाला आवश्यक मदत मिळत असेल अशी आशा आहे. परिस्थिती बिघडल्यास लगेच आपत्कालीन सेवेला फोन करा.\n\n{helplines}\n\nनवीन लक्षण तपासण्यासाठी कधीही 'symptom' लिहा.",
+    'symptom.reply_with_answer_number': "कृपया तुमच्या उत्तराचा क्रमांक पाठवा.",
+    'symptom.describe_briefly': "कृपया काही शब्दांत सांगा.",
+    'symptom.follow_up_tomorrow': "तुमची लक्षणे कशी आहेत हे मी उद्या तुम्हाला विचारेन. तुम्हाला बरे, तसेच किंवा जास्त त्रास होत आहे त्यानुसार मी नवीन सल्ला देईन.",
+    'symptom.none_active': "सध्या तुमच्या कोणत्याही लक्षणाची तपासणी सुरू नाही. तुम्हाला काही त्रास होत असल्यास नवीन तपासणी सुरू करण्यासाठी 'symptom' लिहा.",
+    'symptom.history_title': "📊 *तुमच्या लक्षणांचा इतिहास*",
+    'symptom.history_entry': "*{number}. {symptom}*\nसुरुवात: {date}\nकिती दिवस लक्ष ठेवले: {days}",
+    'symptom.history_latest': "ताजी स्थिती: {status}",
+    'symptom.history_update_hint': "तुमच्या लक्षणांची स्थिती सांगण्यासाठी 'check symptom status' लिहा.",
+    'symptom.history_error': "माफ करा, आत्ता तुमच्या लक्षणांचा इतिहास मिळाला नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'symptom.fallback_question': "तुम्हाला हा त्रास कधीपासून होत आहे?",
+    'symptom.fallback_option_1': "एका दिवसापेक्षा कमी",
+    'symptom.fallback_option_2': "1-3 दिवस",
+    'symptom.fallback_option_3': "4-7 दिवस",
+    'symptom.fallback_option_4': "एका आठवड्यापेक्षा जास्त",
+    'symptom.progression_disclaimer': "⚠️ *सूचना*: ही माहिती डॉक्टरांच्या सल्ल्याची जागा घेऊ शकत नाही. लक्षणे गंभीर असल्यास किंवा काळजी वाटल्यास कृपया डॉक्टरांना भेटा.",
+    'symptom.progression_error': "माफ करा, आत्ता मी तुमच्या लक्षणांतील बदल समजू शकत नाही. खबरदारी म्हणून, लक्षणे कायम राहिल्यास किंवा वाढल्यास कृपया डॉक्टरांना भेटा. तुम्हाला या लक्षणांवर लक्ष ठेवणे सुरू ठेवायचे आहे का?",
+    'symptom.assessment_error': "माफ करा, आत्ता मी तुमच्या लक्षणांची तपासणी पूर्ण करू शकलो नाही. तुम्हाला लक्षणांबद्दल काळजी वाटत असल्यास कृपया डॉक्टरांना भेटा.",
+
+    // Red-flag symptoms
+    'redflag.label_chest_pain': "छातीत दुखणे किंवा श्वास घ्यायला त्रास",
+    'redflag.label_stroke': "पक्षाघाताची (स्ट्रोक) संभाव्य लक्षणे",
+    'redflag.label_severe_bleeding': "खूप रक्तस्राव",
+    'redflag.label_fainting': "बेशुद्ध पडणे किंवा शुद्ध हरपणे",
+    'redflag.label_suicidal': "आत्महत्येचे किंवा स्वतःला इजा करण्याचे विचार",
+    'redflag.guidance_chest_pain': "छातीत दुखणे किंवा श्वास घ्यायला त्रास हा हृदयविकाराचा झटका किंवा दुसरी आपत्कालीन स्थिती असू शकते.\n\n• आत्ताच रुग्णवाहिका बोलवा — स्वतः गाडी चालवू नका\n• सरळ बसा, हालचाल करू नका आणि घट्ट कपडे सैल करा\n• डॉक्टरांनी छातीत दुखण्यासाठी औषध (उदा. GTN स्प्रे) दिले असेल, तर सांगितल्याप्रमाणे घ्या\n• मदत आत येऊ शकेल म्हणून दार उघडे ठेवा",
+    'redflag.guidance_stroke': "ही पक्षाघाताची (स्ट्रोक) लक्षणे असू शकतात. *FAST* लक्षात ठेवा:\n*F* चेहरा वाकडा होणे · *A* हातात अशक्तपणा · *S* बोलायला त्रास · *T* मदत बोलवण्याची वेळ\n\n• लगेच रुग्णवाहिका बोलवा\n• लक्षणे सुरू झाल्याची वेळ लिहून ठेवा — डॉक्टर विचारतील\n• डॉक्टरांनी पाहेपर्यंत काहीही खाऊ, पिऊ नका किंवा कोणतेही औषध घेऊ नका",
+    'redflag.guidance_severe_bleeding': "खूप रक्तस्राव होत असेल तर लगेच मदत हवी.\n\n• स्वच्छ कापडाने जखमेवर जोरात दाबा आणि दाबून ठेवा\n• शक्य असल्यास जखमी भाग हृदयापेक्षा वर उचला\n• रुग्णवाहिका बोलवा — तुम्ही रक्त पातळ करण्याचे औषध घेत असाल, तर त्यांना सांगा",
+    'redflag.guidance_fainting': "बेशुद्ध पडल्यास किंवा शुद्ध हरपल्यास लगेच डॉक्टरांना दाखवायला हवे.\n\n• पाय वर करून झोपा, किंवा गुडघ्यांमध्ये डोके ठेवून बसा\n• पटकन उठू नका आणि एकटे राहू नका\n• हे कोणतीही पूर्वसूचना न देता, छातीत दुखण्यासोबत किंवा पडल्यानंतर झाले असेल, तर रुग्णवाहिका बोलवा",
+    'redflag.guidance_suicidal': "तुम्हाला असे वाटत आहे याचे मला खरोखर वाईट वाटते. तुम्ही एकटे नाही आहात, आणि तुम्हाला आत्ता आधार मिळायला हवा.\n\n• कृपया विश्वासू व्यक्तीशी बोला, किंवा खाली दिलेल्या हेल्पलाइनवर फोन करा\n• तुम्ही या विचारांवर कृती करू शकता असे वाटत असेल, तर आत्ताच आपत्कालीन सेवेला फोन करा\n• कोणासोबत तरी राहा, आणि ज्याने स्वतःला इजा होऊ शकते अशा कोणत्याही गोष्टीपासून दूर राहा",
+    'helpline.emergency': "📞 *आपत्कालीन:* {number}",
+    'helpline.emergency_unknown_country': "📞 *आपत्कालीन:* {number} (किंवा तुमचा स्थानिक आपत्कालीन नंबर)",
+    'helpline.ambulance': "🚑 *रुग्णवाहिका:* {number}",
+    'helpline.support': "💬 *मदत लाइन:* {number}",
+
+    // Symptom follow-ups
+    'followup.title': "👋 *पाठपुरावा: {symptom}*",
+    'followup.how_now': "आता तुम्हाला कसे वाटत आहे?",
+    'followup.day_since': "तुम्ही {symptom} सांगितल्याला एक दिवस झाला. आता तुम्हाला कसे वाटत आहे?",
+    'followup.another_day_since': "तुम्ही {symptom} सांगितल्याला आणखी एक दिवस झाला. आता तुम्हाला कसे वाटत आहे?",
+    'followup.options': "1️⃣ बरे/आराम आहे\n2️⃣ साधारण तसेच\n3️⃣ आधीपेक्षा वाईट\n4️⃣ पाठपुरावा थांबवा (त्रास बरा झाला किंवा आता लक्ष ठेवायचे नाही)\n\nकृपया तुमच्या पर्यायाचा क्रमांक पाठवा.",
+    'followup.completed': "✅ सुकून सारथीसोबत लक्षणांवर लक्ष ठेवल्याबद्दल धन्यवाद. तुमचा पाठपुरावा पूर्ण झाला आहे.",
+    'followup.next_tomorrow': "मी उद्या पुन्हा तुमची चौकशी करेन. त्याआधी लक्षणांत मोठा बदल झाल्यास मुख्य मेनूमधून लक्षणांची तपासणी निवडा.",
+    'followup.restart': "माफ करा, मी तुमचे उत्तर नोंदवू शकलो नाही. चला पुन्हा सुरुवात करूया.",
+    'followup.error': "माफ करा, तुमचा पाठपुरावा नोंदवताना अडचण आली. कृपया नंतर पुन्हा प्रयत्न करा.",
+    'followup.stage_error': "माफ करा, तुमच्या पाठपुराव्यात काहीतरी चुकले. चला पुन्हा सुरुवात करूया.",
+    'followup.choose_assessment': "तुमच्या अनेक लक्षणांची तपासणी सुरू आहे. तुम्हाला कोणत्याची स्थिती सांगायची आहे?",
+    'followup.assessment_option': "{number}. {symptom} ({date} पासून)",
+    'followup.status_error': "माफ करा, आत्ता तुमच्या लक्षणांची स्थिती मिळाली नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+
+    // SOS and caregiver alerts
+    'sos.sent': "🆘 तुमचा SOS पाठवला आहे. मी {names} यांना कळवले आहे.\n\nकोणी प्रतिसाद देईपर्यंत मी त्यांना कळवत राहीन, आणि प्रतिसाद मिळताच तुम्हाला सांगेन.\n\nतुम्ही धोक्यात असाल, तर आत्ताच आपत्कालीन सेवेला फोन करा:\n{helplines}",
+    'sos.sent_again': "🆘 मी {names} यांना पुन्हा कळवले आहे.\n\nकोणी प्रतिसाद देईपर्यंत मी त्यांना कळवत राहीन, आणि प्रतिसाद मिळताच तुम्हाला सांगेन.\n\nतुम्ही धोक्यात असाल, तर आत्ताच आपत्कालीन सेवेला फोन करा:\n{helplines}",
+    'sos.not_delivered': "🆘 मी तुमच्या कुटुंबातील कोणापर्यंत किंवा आपत्कालीन संपर्कापर्यंत पोहोचू शकलो नाही.\n\nकृपया आत्ताच मदतीसाठी फोन करा:\n{helplines}",
+    'sos.acknowledged': "✅ {caregiver} यांनी तुमचा SOS पाहिला आहे आणि ते मदतीसाठी येत आहेत.",
+    'sos.confirm': "🆘 तुम्हाला तातडीने मदत हवी आहे का? *SOS* असे पाठवा, मी लगेच तुमच्या कुटुंबाला आणि आपत्कालीन संपर्काला कळवेन.\n\nतुम्ही धोक्यात असाल तर आत्ताच आपत्कालीन सेवेला फोन करा:\n{helplines}\n\nतुम्हाला दुसरे काही म्हणायचे असेल, तर मी काय करू शकतो ते पाहण्यासाठी *menu* असे पाठवा.",
+    'alert.sos': "🆘 *{name} यांच्याकडून SOS*\n\n{name} यांनी मदत मागितली आहे.\n📍 *ठिकाण:* {location}\n🕒 *वेळ:* {time} ({timezone})\n\nकृपया त्यांना लगेच फोन करा. संपर्क न झाल्यास आपत्कालीन सेवेला ({emergency}) फोन करा.\nतुम्ही हे पाहू लागताच *ack* लिहा — कोणी असे करेपर्यंत हा अलर्ट दर {minutes} मिनिटांनी पुन्हा येईल. (अलर्ट {alertId})",
+    'alert.location_unknown': "जतन केलेले नाही",
+    'alert.symptom_emergency': "🚨 *संभाव्य आपत्कालीन स्थिती: {name}*\n\n{name} यांनी अशी लक्षणे सांगितली आहेत ज्यांना तातडीच्या उपचारांची गरज असू शकते ({symptom}):\n\"{description}\"\n\nत्यांना आपत्कालीन सल्ला आणि हेल्पलाइन नंबर दिले आहेत. कृपया लगेच त्यांच्याशी संपर्क करा.\nतुम्ही हे पाहत आहात हे इतरांना कळवण्यासाठी *ack* लिहा. (अलर्ट {alertId})",
+    'alert.checkin_concern': "🚨 *तातडीची काळजी: {name}*\n\nविचारपूस करताना {name} यांनी हे सांगितले: {concerns}.\n{excerpt}\nकृपया शक्य तितक्या लवकर त्यांची चौकशी करा.\nतुम्ही हे पाहत आहात हे इतरांना कळवण्यासाठी *ack* लिहा. (अलर्ट {alertId})",
+    'alert.checkin_concern_excerpt': "\n*ते काय म्हणाले:*\n{excerpt}\n",
+    'alert.missed_unanswered': "⚠️ *औषध चुकल्याचा अलर्ट*\n\n{name} यांनी {medicine} च्या शेवटच्या {count} आठवणींना उत्तर दिलेले नाही.\n\nतुम्ही त्यांची चौकशी करू शकता.\nतुम्ही हे पाहत आहात हे इतरांना कळवण्यासाठी *ack* लिहा. (अलर्ट {alertId})",
+    'alert.missed_per_week': "⚠️ *औषध चुकल्याचा अलर्ट*\n\n{name} यांचे {medicine} गेल्या 7 दिवसांत {count} वेळा चुकले आहे.\n\nतुम्ही त्यांची चौकशी करू शकता.\nतुम्ही हे पाहत आहात हे इतरांना कळवण्यासाठी *ack* लिहा. (अलर्ट {alertId})",
+    'alert.repeat_prefix': "🔁 *अजूनही कोणी पाहिले नाही — पुनरावृत्ती {count}*",
+    'alert.escalated_prefix': "⏫ *पुढे पाठवले — अजून कोणीही पाहिलेले नाही*",
+    'alert.acknowledged_by': "✅ {caregiver} यांनी {name} यांच्याबद्दलचा अलर्ट (अलर्ट {alertId}) पाहिला आहे आणि ते सांभाळत आहेत.",
+    'alert.none_open': "✅ तुमचा कोणताही उघडा अलर्ट नाही.",
+    'alert.open_title': "🚨 *तुमचे उघडे अलर्ट*",
+    'alert.open_item': "{number}. {type} — *{name}*\n   अलर्ट {alertId} · {age}",
+    'alert.open_step': " · पुढे पाठवण्याचा टप्पा {steps} पैकी {step}",
+    'alert.open_ack_hint': "अलर्ट पाहिल्याचे कळवण्यासाठी *ack <alert id>* लिहा, उदा. \"ack {alertId}\".",
+    'alert.type_sos': "🆘 SOS",
+    'alert.type_symptom_emergency': "🚨 संभाव्य आपत्कालीन स्थिती",
+    'alert.type_checkin_concern': "🚨 विचारपूसमधील तातडीची काळजी",
+    'alert.type_missed_medication': "⚠️ औषध चुकले",
+    'alert.type_other': "अलर्ट",
+    'alert.ack_not_found': "{alertId} हा उघडा अलर्ट सापडला नाही. कदाचित तो आधीच पाहिला गेला असेल.",
+    'alert.ack_none': "पाहण्यासाठी तुमचा कोणताही उघडा अलर्ट नाही.",
+    'alert.ack_done': "✅ धन्यवाद — तुम्ही {name} यांच्याबद्दलचा अलर्ट (अलर्ट {alertId}) पाहिला आहे. ज्यांना अलर्ट गेला होता त्या सर्वांना तुम्ही सांभाळत असल्याचे कळवले आहे.",
+    'alert.ack_already': "✅ {caregiver} यांनी {name} यांच्याबद्दलचा अलर्ट (अलर्ट {alertId}) आधीच पाहिला आहे आणि ते सांभाळत आहेत. तुम्हाला आता काही करण्याची गरज नाही.",
+
+    // Times and days
+    'time.today': "आज",
+    'time.minutes_ago': "{count} मिनिटांपूर्वी",
+    'time.hours_ago': "{count} तासांपूर्वी",
+    'time.one_day_ago': "1 दिवसापूर्वी",
+    'time.days_ago': "{count} दिवसांपूर्वी",
+    'day.sun': "रवि",
+    'day.mon': "सोम",
+    'day.tue': "मंगळ",
+    'day.wed': "बुध",
+    'day.thu': "गुरु",
+    'day.fri': "शुक्र",
+    'day.sat': "शनि",
+
+    // Acting for a family member ("for:<number> ...")
+    'proxy.not_linked': "तुम्हाला {phone} यांचे खाते सांभाळण्याची परवानगी नाही.",
+    'proxy.fallback_parent_name': "तुमचे आई/वडील",
+    'proxy.fallback_caregiver_name': "तुमचे काळजीवाहक",
+    'proxy.no_permission_manage_medications': "तुम्हाला {name} यांची औषधे सांभाळण्याची परवानगी नाही.",
+    'proxy.no_permission_view_medications': "तुम्हाला {name} यांची औषधे पाहण्याची परवानगी नाही.",
+    'proxy.no_permission_view_symptoms': "तुम्हाला {name} यांची लक्षणे पाहण्याची परवानगी नाही.",
+    'proxy.no_permission_view_reports': "तुम्हाला {name} यांचे अहवाल पाहण्याची परवानगी नाही.",
+    'proxy.add_start': "मी {name} यांच्यासाठी औषध जोडायला तुम्हाला मदत करेन.\n\nकृपया औषधाचे नाव लिहा:",
+    'proxy.no_medications': "{name} यांची कोणतीही औषधे सापडली नाहीत.",
+    'proxy.update_which': "{name} यांचे कोणते औषध तुम्हाला बदलायचे आहे?\n\n{list}",
+    'proxy.delete_which': "{name} यांचे कोणते औषध तुम्हाला काढायचे आहे?\n\n{list}\nकृपया तुमच्या निवडीचा नंबर पाठवा.",
+    'proxy.medications_title': "{name} यांची औषधे:",
+    'proxy.medication_item': "{number}. {medicine}\n   वेळ: {time}, किती वेळा: {frequency}",
+    'proxy.invite_usage': "{name} यांच्यासाठी काळजीवाहक जोडण्यासाठी \"for:{phone} invite\" नंतर त्यांचा फोन नंबर आणि भूमिका (primary, secondary किंवा view-only) लिहा.",
+    'proxy.unknown_command': "ही कमांड समजली नाही. {name} यांच्या वतीने तुम्ही हे वापरू शकता:\n• \"add medicine\", \"update medicine\", \"delete medicine\"\n• \"check medications\", \"history\", \"adherence\"\n• \"report\", \"symptoms\", \"follow-ups\"\n• \"invite <phone> <role>\"",
+    'proxy.error': "तुमची विनंती पूर्ण करताना काहीतरी चुकले.",
+    'proxy.no_recent_symptoms': "{name} यांनी गेल्या 30 दिवसांत कोणतेही लक्षण सांगितलेले नाही.",
+    'proxy.recent_symptoms_title': "🩺 *{name} यांची अलीकडची लक्षणे*",
+    'proxy.recent_symptom_item': "{number}. *{symptom}* — {date}, {status}",
+    'proxy.symptom_active': "पाठपुरावा सुरू आहे",
+    'proxy.symptom_closed': "बंद",
+    'proxy.no_follow_ups': "{name} यांचा कोणताही उघडा पाठपुरावा नाही.",
+    'proxy.follow_ups_title': "🔁 *{name} यांचे उघडे पाठपुरावे*",
+    'proxy.follow_up_item': "{number}. *{symptom}* — सांगितले: {when}",
+    'proxy.follow_up_last': "   शेवटची माहिती: {status}",
+    'proxy.follow_up_none': "   अजून पाठपुराव्याचे कोणतेही उत्तर नाही",
+    'proxy.status_improved': "आधीपेक्षा बरे",
+    'proxy.status_same': "साधारण तसेच",
+    'proxy.status_worse': "आधीपेक्षा वाईट ⚠️",
+    'proxy.notice_add_started': "{caregiver} यांनी तुमच्यासाठी एक औषध जोडायला सुरुवात केली आहे.",
+    'proxy.notice_update_started': "{caregiver} यांनी तुमचे एक औषध बदलायला सुरुवात केली आहे.",
+    'proxy.notice_delete_started': "{caregiver} यांनी तुमचे एक औषध काढायला सुरुवात केली आहे.",
+    'proxy.notice_medication_added': "{caregiver} यांनी तुमच्यासाठी नवीन औषध जोडले आहे: {medicine} ({dosage}), {time} वाजता",
+    'proxy.notice_medication_added_prn': "{caregiver} यांनी तुमच्यासाठी नवीन औषध जोडले आहे: {medicine} ({dosage}), गरज पडल्यास घ्यायचे",
+    'proxy.notice_medication_updated': "{caregiver} यांनी तुमचे एक औषध बदलले आहे: {medicine}",
+    'proxy.notice_medication_deleted': "{caregiver} यांनी तुमचे एक औषध काढले आहे: {medicine}",
+    'proxy.notice_history_viewed': "{caregiver} यांनी गेल्या 7 दिवसांचा तुमचा औषधांचा इतिहास पाहिला आहे.",
+    'proxy.notice_history_all_viewed': "{caregiver} यांनी तुमचा संपूर्ण औषधांचा इतिहास पाहिला आहे.",
+    'proxy.notice_medications_viewed': "{caregiver} यांनी तुमची औषधे पाहिली आहेत ({count} औषधे).",
+    'proxy.notice_medications_none_viewed': "{caregiver} यांनी तुमची औषधे पाहिली. अजून कोणतेही औषध जोडलेले नाही.",
+    'proxy.notice_adherence_viewed': "तुम्ही औषधे किती नियमितपणे घेता हे {caregiver} यांनी पाहिले आहे.",
+    'proxy.notice_follow_ups_viewed': "{caregiver} यांनी तुमच्या लक्षणांचे उघडे पाठपुरावे पाहिले आहेत.",
+    'proxy.notice_symptoms_viewed': "{caregiver} यांनी तुमची अलीकडची लक्षणे पाहिली आहेत.",
+    'proxy.notice_report_viewed': "{caregiver} यांनी तुमच्याबद्दलचा आजचा अहवाल पाहिला आहे.",
+    'proxy.notice_caregiver_invited': "{caregiver} यांनी {phone} यांना तुमचे {role} होण्यासाठी आमंत्रण पाठवले आहे.",
+
+    // Weekly digest
+    'digest.title': "📅 *आठवड्याचा सारांश*\n_गेले 7 दिवस एका नजरेत_",
+    'digest.section_wellbeing': "😊 *तब्येत*",
+    'digest.section_medication': "💊 *औषधे*",
+    'digest.section_symptoms': "🩺 *लक्षणे*",
+    'digest.footer': "अहवाल किती वेळा मिळावा हे बदलण्यासाठी \"reports\" लिहा.",
+    'digest.template_prefix': "आठवड्याचा सारांश.",
+    'digest.fallback_name': "तुमच्या कुटुंबातील सदस्य",
+    'digest.no_checkins': "या आठवड्यात कोणतीही विचारपूस झाली नाही.",
+    'digest.mood': "मनःस्थिती: {moods} ({count} विचारपूस)",
+    'digest.trend_steady': "कल: मागील आठवड्यासारखाच",
+    'digest.trend_improving': "कल: मागील आठवड्यापेक्षा 📈 चांगला",
+    'digest.trend_lower': "कल: मागील आठवड्यापेक्षा 📉 कमी",
+    'digest.concerns': "सांगितलेल्या काळज्या: {concerns}",
+    'digest.no_concerns': "कोणतीही काळजी सांगितली नाही.",
+    'digest.no_doses': "या आठवड्यात आठवण करून दिलेला कोणताही डोस नोंदवला नाही.",
+    'digest.adherence': "औषधे वेळेवर: {summary}",
+    'digest.missed_doses': "चुकलेले डोस: {doses}",
+    'digest.no_missed_doses': "एकही डोस चुकला नाही. 👏",
+    'digest.most_missed_time': "सर्वात जास्त चुकलेली वेळ: {time}",
+    'digest.symptoms': "सांगितलेली लक्षणे: {symptoms}",
+    'digest.no_symptoms': "या आठवड्यात कोणतेही लक्षण सांगितले नाही.",
+    'digest.open_follow_ups': "उघडे पाठपुरावे: {followUps}",
+    'digest.follow_up_since': "{symptom} ({date} पासून)",
+
+    // Check-ins, when the AI is unavailable
+    'checkin.fallback_question': "नमस्कार {name}! आज तुम्हाला कसे वाटत आहे? तुमचा दिवस कसा गेला ते ऐकायला मला आवडेल. 😊",
+    'checkin.fallback_reply': "मला हे सांगितल्याबद्दल धन्यवाद. उत्तर देण्यासाठी वेळ काढल्याबद्दल आभार. 😊",
+    'checkin.fallback_follow_up': "ऐकून छान वाटले. आज तुम्हाला कसे वाटत आहे ते थोडे अधिक सांगाल का? 😊",
+    'checkin.fallback_second_follow_up': "आज तुम्हाला बरे वाटावे यासाठी काही मदत होईल का? मी ऐकण्यासाठी इथे आहे. 💗",
+    'checkin.fallback_final': "मला हे सगळे सांगितल्याबद्दल खूप खूप धन्यवाद. तुमच्याशी बोलून छान वाटले, तुमचा उरलेला दिवस छान जावो. काळजी घ्या! 💗",
+
+    // Resuming a check-in after a medication reminder
+    'checkin.resume': "चला, आता आपले आधीचे बोलणे पुढे सुरू करूया. तुम्ही याचे उत्तर देत होता: \"{question}\"",
+    'checkin.resume_last_question': "माझा मागचा प्रश्न",
+
+    // General AI replies
+    'ai.disclaimer': "⚠️ *महत्त्वाचे*: ही माहिती आजाराचे निदान नाही. आरोग्याबद्दल काळजी असल्यास नेहमी डॉक्टरांचा सल्ला घ्या.",
+    'ai.error': "माफ करा, आत्ता मी तुमची विनंती पूर्ण करू शकलो नाही. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा."
+};
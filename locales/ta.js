@@ -0,0 +1,535 @@
+// locales/ta.js - Tamil messages
+module.exports = {
+    // Shared
+    'common.reply_with_number': "உங்கள் தேர்வின் எண்ணை அனுப்புங்கள்.",
+    'common.invalid_list_number': "பட்டியலில் உள்ள சரியான எண்ணை அனுப்புங்கள்.",
+    'common.error': "மன்னிக்கவும், உங்கள் கோரிக்கையைச் செயல்படுத்துவதில் சிக்கல் ஏற்பட்டது. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.",
+
+    // Language choice
+    'language.question': "எந்த மொழியில் பேச விரும்புகிறீர்கள்?\n\n{options}\n\nஉங்கள் மொழியின் எண்ணை அனுப்புங்கள்.",
+    'language.invalid': "பட்டியலில் உள்ள ஒரு மொழியின் எண்ணை அனுப்புங்கள்:\n\n{options}",
+    'language.current': "நான் உங்களுடன் {language} மொழியில் பேசுகிறேன். மொழியை மாற்ற எண்ணை அனுப்புங்கள்:\n\n{options}",
+    'language.updated': "✅ முடிந்தது! இனி நான் உங்களுடன் {language} மொழியில் பேசுவேன்.",
+    'language.update_failed': "❌ உங்கள் மொழியை மாற்ற முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.",
+
+    // Main and medication menus
+    'menu.welcome': "வணக்கம் {name}, சுகூன் சாரதிக்கு உங்களை வரவேற்கிறோம்! 🌿",
+    'menu.managing_family': "நீங்கள் குடும்பத்தில் {count} பேரின் கணக்குகளைக் கவனித்து வருகிறீர்கள்.\nஅவர்கள் சார்பாக கட்டளை அனுப்ப, செய்தியை \"for:[அவர்களின் எண்]\" என்று தொடங்கி பிறகு கட்டளையை எழுதுங்கள்.\nஉதாரணம்: \"for:+917XXXXXXXX check medications\"",
+    'menu.welcome_help': "உடல்நலத்தைக் கண்காணிக்க, அறிகுறிகளைச் சோதிக்க, மருந்து நினைவூட்டல்களுக்கு நான் உதவ முடியும்.\nஉடல்நிலை சரியில்லை என்றால் 'symptom' என்றும், மருந்து நினைவூட்டல் அமைக்க 'add medicine' என்றும் எழுதுங்கள்.",
+    'menu.main': "இன்று என்ன செய்ய விரும்புகிறீர்கள்?\n\n1️⃣ அறிகுறிகளைச் சோதிக்க\n2️⃣ மருந்துகளை நிர்வகிக்க\n\nஉங்கள் தேர்வின் எண்ணை அனுப்புங்கள்.",
+    'menu.main_invalid': "அறிகுறிகளுக்கு 1 அல்லது மருந்துகளுக்கு 2 அனுப்புங்கள்.",
+    'menu.medication': "*மருந்து நிர்வாகம்* 💊\n\nஉங்கள் மருந்துகளில் என்ன செய்ய விரும்புகிறீர்கள்?\n\n{options}",
+    'menu.medication_invalid': "மருந்துகளில் நீங்கள் என்ன செய்ய விரும்புகிறீர்கள் என்று புரியவில்லை. இவற்றில் ஒன்றைத் தேர்ந்தெடுங்கள்:\n\n{options}",
+    'menu.medication_options': "1️⃣ புதிய மருந்து சேர்க்க\n2️⃣ உள்ள மருந்தை மாற்ற\n3️⃣ மருந்தை நீக்க\n4️⃣ மருந்தின் தகவலைப் பார்க்க\n5️⃣ மருந்து வரலாறு (கடந்த வாரம்)\n6️⃣ முழு மருந்து வரலாறு\n7️⃣ முதன்மை மெனுவுக்குத் திரும்ப\n\nஉங்கள் தேர்வின் எண்ணை அனுப்புங்கள்.",
+    'menu.no_medications': "உங்களுக்கு இன்னும் எந்த மருந்தும் அமைக்கப்படவில்லை. முதலில் மருந்து சேர்க்க '1' அனுப்புங்கள்.",
+    'menu.info_which': "எந்த மருந்தைப் பற்றிய தகவல் வேண்டும்?",
+
+    // Account creation
+    'account.welcome': "சுகூன் சாரதிக்கு உங்களை வரவேற்கிறோம்! 🌿",
+    'account.no_account': "சுகூன் சாரதிக்கு உங்களை வரவேற்கிறோம்! உங்களுக்கு இன்னும் கணக்கு இல்லை போலத் தெரிகிறது.\n\nகணக்கு உருவாக்க \"create account\" என்று அனுப்புங்கள்.",
+    'account.type_question': "உங்கள் கணக்கை உருவாக்கலாம். யாருக்காக கணக்கு உருவாக்குகிறீர்கள்:\n\n1️⃣ உங்களுக்காக (மூத்த பயனராக)\n2️⃣ உங்கள் பெற்றோருக்காக\n\n1 அல்லது 2 அனுப்புங்கள்.",
+    'account.type_invalid': "உங்கள் பதில் புரியவில்லை. தயவுசெய்து அனுப்புங்கள்:\n\n1️⃣ உங்களுக்காக (மூத்த பயனராக)\n2️⃣ உங்கள் பெற்றோருக்காக",
+    'account.restart': "மன்னிக்கவும், கணக்கு உருவாக்கும்போது ஏதோ தவறு நடந்தது. மீண்டும் தொடங்கலாம்.",
+    'account.ask_name': "உங்கள் முழுப் பெயரை எழுதுங்கள்:",
+    'account.ask_age': "நன்றி! உங்கள் வயதை எழுதுங்கள்:",
+    'account.invalid_age': "சரியான வயதை எழுதுங்கள் (1 முதல் 120 வரை ஒரு எண்):",
+    'account.ask_location': "உங்கள் நகரம் மற்றும் மாநிலத்தை எழுதுங்கள் (உ.தா., சென்னை, தமிழ்நாடு):",
+    'account.timezone_question': "உங்கள் வீடு எந்த நேர மண்டலத்தில் உள்ளது? நினைவூட்டல்களும் நலம் விசாரிப்புகளும் இந்த உள்ளூர் நேரப்படி வரும்.\n\n{options}\n\nஎண்ணை அனுப்புங்கள், அல்லது நேர மண்டலத்தின் பெயரை எழுதுங்கள் (உ.தா., Europe/London).",
+    'account.parent_timezone_question': "உங்கள் பெற்றோரின் வீடு எந்த நேர மண்டலத்தில் உள்ளது? நினைவூட்டல்களும் நலம் விசாரிப்புகளும் இந்த உள்ளூர் நேரப்படி வரும்.\n\n{options}\n\nஎண்ணை அனுப்புங்கள், அல்லது நேர மண்டலத்தின் பெயரை எழுதுங்கள் (உ.தா., Europe/London).",
+    'account.timezone_option': "{number}. {timezone} (இப்போது {time})",
+    'account.ask_emergency_contact': "அவசரத் தொடர்பு நபரின் வாட்ஸ்அப் எண்ணை நாட்டுக் குறியீட்டுடன் எழுதுங்கள் (உ.தா., +917XXXXXXXX):",
+    'account.invalid_phone': "நாட்டுக் குறியீட்டுடன் சரியான வாட்ஸ்அப் எண்ணை எழுதுங்கள் (உ.தா., +917XXXXXXXX):",
+    'account.ask_emergency_name': "உங்கள் அவசரத் தொடர்பு நபரின் பெயர் என்ன?",
+    'account.ask_emergency_relationship': "அவசரத் தொடர்பு நபர் உங்களுக்கு என்ன உறவு?\n\nஉதாரணம்: மகன், மகள், கணவன்/மனைவி, சகோதரன்/சகோதரி, நண்பர் போன்றவை.",
+    'account.created': "✅ நன்றி, {name}! உங்கள் சுகூன் சாரதி கணக்கு உருவாக்கப்பட்டது.\n\nமருந்துகளைக் கவனிக்க, அறிகுறிகளைக் கண்காணிக்க, ஆரோக்கியமாக இருக்க நான் உதவுவேன்.\n\nநான் என்ன செய்ய முடியும் என்று பார்க்க எப்போது வேண்டுமானாலும் \"Hi\" என்று எழுதுங்கள்.",
+    'account.emergency_contact_notice': "வணக்கம் {contactName},\n\n{name} அவர்கள் சுகூன் சாரதி (ஒரு சுகாதார உதவி செயலி) இல் உங்களைத் தங்கள் அவசரத் தொடர்பாகச் சேர்த்துள்ளார்.\n\nஅவர்களின் தினசரி நடவடிக்கைகள் மற்றும் மருந்து எடுத்துக்கொள்வது பற்றிய தகவல்கள் உங்களுக்கு வரும். அவர்களுக்கு உதவி தேவைப்பட்டால் உங்களுக்குத் தெரிவிக்கப்படும்.\n\nஇப்போது நீங்கள் எதுவும் செய்ய வேண்டியதில்லை. இது உங்கள் தகவலுக்கு மட்டுமே.",
+    'account.create_failed': "உங்கள் கணக்கை உருவாக்குவதில் சிக்கல் ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும் அல்லது உதவிக் குழுவைத் தொடர்புகொள்ளவும்.",
+    'account.parent_count_question': "யாருக்காக கணக்கு உருவாக்குகிறீர்கள்:\n\n1️⃣ பெற்றோரில் ஒருவருக்கு\n2️⃣ இருவருக்கும் (தனித்தனி கணக்குகள்)\n\n1 அல்லது 2 அனுப்புங்கள்.",
+    'account.parent_count_invalid': "உங்கள் பதில் புரியவில்லை. தயவுசெய்து அனுப்புங்கள்:\n\n1️⃣ பெற்றோரில் ஒருவருக்கு\n2️⃣ இருவருக்கும்",
+    'account.ask_parent_phone': "உங்கள் பெற்றோரின் வாட்ஸ்அப் எண்ணை நாட்டுக் குறியீட்டுடன் எழுதுங்கள் (உ.தா., +917XXXXXXXX):",
+    'account.ask_first_parent_phone': "முதல் பெற்றோரின் வாட்ஸ்அப் எண்ணை நாட்டுக் குறியீட்டுடன் எழுதுங்கள் (உ.தா., +917XXXXXXXX):",
+    'account.parent_exists': "இந்த எண்ணில் ஏற்கனவே கணக்கு உள்ளது. வேறு எண்ணைக் கொடுங்கள், அல்லது இது தவறு என்று நினைத்தால் உதவிக் குழுவைத் தொடர்புகொள்ளுங்கள்.",
+    'account.ask_parent_name': "உங்கள் பெற்றோரின் முழுப் பெயரை எழுதுங்கள்:",
+    'account.ask_first_parent_name': "முதல் பெற்றோரின் முழுப் பெயரை எழுதுங்கள்:",
+    'account.ask_second_parent_name': "இரண்டாவது பெற்றோரின் முழுப் பெயரை எழுதுங்கள்:",
+    'account.ask_parent_language': "{name} அவர்களுடன் நான் எந்த மொழியில் பேச வேண்டும்?\n\n{options}\n\nஅவர்களின் மொழியின் எண்ணை அனுப்புங்கள்.",
+    'account.ask_parent_age': "உங்கள் பெற்றோரின் வயதை எழுதுங்கள்:",
+    'account.ask_parent_location': "உங்கள் பெற்றோரின் நகரம் மற்றும் மாநிலத்தை எழுதுங்கள் (உ.தா., சென்னை, தமிழ்நாடு):",
+    'account.ask_parent_relationship': "இவர் உங்களுக்கு என்ன உறவு?\n\nஉதாரணம்: மகன், மகள் போன்றவை.",
+    'account.first_parent_created': "✅ முதல் பெற்றோரின் கணக்கு உருவாக்கப்பட்டது! கணக்கு செயல்படுவதற்கு முன் {name} அவர்களிடம் சம்மதம் கேட்கப்படும்.\n\nஇப்போது இரண்டாவது பெற்றோரின் வாட்ஸ்அப் எண்ணை நாட்டுக் குறியீட்டுடன் எழுதுங்கள் (உ.தா., +917XXXXXXXX):",
+    'account.parent_welcome_held': "கவனிக்கவும்: வாட்ஸ்அப் விதிமுறைகளின்படி, செய்திகளைப் பெறுவதற்கு முன் {name} அவர்கள் இந்த எண்ணுக்கு ஒரு செய்தி அனுப்ப வேண்டும். கணக்கைச் செயல்படுத்த {number} க்கு \"Hi\" அனுப்பும்படி அவர்களிடம் சொல்லுங்கள்.",
+    'account.parent_created': "✅ உங்கள் பெற்றோரின் கணக்கு உருவாக்கப்பட்டது!\n\nஎதுவும் தொடங்கும் முன் அவர்களிடம் சம்மதம் கேட்டிருக்கிறேன், அவர்கள் பதில் அளித்ததும் உங்களுக்குத் தெரிவிப்பேன். அதுவரை நீங்கள் அவர்களின் மருந்துகளைச் சேர்க்கலாம், ஆனால் நினைவூட்டல்கள், நலம் விசாரிப்புகள் அல்லது அறிக்கைகள் அனுப்பப்படாது.\n\n{proxyHelp}",
+    'account.parents_created': "✅ இரு பெற்றோரின் கணக்குகளும் உருவாக்கப்பட்டன!\n\nஎதுவும் தொடங்கும் முன் இருவரிடமும் சம்மதம் கேட்டிருக்கிறேன், அவர்கள் பதில் அளித்ததும் உங்களுக்குத் தெரிவிப்பேன். அதுவரை நீங்கள் அவர்களின் மருந்துகளைச் சேர்க்கலாம், ஆனால் நினைவூட்டல்கள், நலம் விசாரிப்புகள் அல்லது அறிக்கைகள் அனுப்பப்படாது.\n\n{proxyHelp}",
+    'account.proxy_help': "உங்கள் பெற்றோர் சார்பாக கட்டளை அனுப்ப, செய்தியை \"for:(அவர்களின் எண்)\" என்று தொடங்கி பிறகு கட்டளையை எழுதுங்கள்.\n\nஉதாரணம்: \"for:+917XXXXXXXX add medicine...\"\n\nஉங்கள் கணக்கும் உருவாக்கப்பட்டுள்ளது, உங்கள் சொந்த உடல்நலத்துக்கும் சுகூன் சாரதியைப் பயன்படுத்தலாம். தொடங்க \"Hi\" என்று எழுதுங்கள்.",
+    'account.parent_create_failed': "கணக்கை உருவாக்குவதில் சிக்கல் ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும் அல்லது உதவிக் குழுவைத் தொடர்புகொள்ளவும்.",
+
+    // Consent for caregiver-created accounts
+    'consent.request': "🙏 வணக்கம் {name}! {caregiver} உங்களுக்காக சுகூன் சாரதி என்ற சுகாதார உதவியாளரைத் தொடங்கியுள்ளார்.\n\nஎதுவும் தொடங்கும் முன், {caregiver} என்னென்ன செய்ய முடியும் என்று பாருங்கள்:\n{permissions}\n\nநான் உங்களுக்கு மருந்து நினைவூட்டல்களும் அனுப்புவேன், நாளில் சில முறை உங்கள் நலம் விசாரிப்பேன்.\n\nதொடங்க *ஆம்* (அல்லது *agree*) என்று எழுதுங்கள். இது வேண்டாம் என்றால் *இல்லை* (அல்லது *decline*) என்று எழுதுங்கள் — அப்போது உங்கள் கணக்கையும் {caregiver} உள்ளிட்ட எல்லா தகவல்களையும் நீக்கிவிடுவேன்.",
+    'consent.not_found': "உங்கள் கணக்கைக் கண்டுபிடிக்க முடியவில்லை.",
+    'consent.retry': "❌ ஏதோ தவறு நடந்தது. சிறிது நேரம் கழித்து மீண்டும் *ஆம்* என்று எழுதுங்கள்.",
+    'consent.given': "✅ நன்றி, {name}! உங்கள் கணக்கு இப்போது செயல்பாட்டில் உள்ளது.\n\nநான் என்ன செய்ய முடியும் என்று பார்க்க எப்போது வேண்டுமானாலும் \"Hi\" என்று எழுதுங்கள்.",
+    'consent.confirm_decline': "⚠️ {name}, உறுதியாகவா? மறுத்தால் உங்கள் கணக்கும், மருந்துகள் உட்பட {caregiver} உங்களுக்காகப் பதிவு செய்த எல்லா தகவல்களும் நீக்கப்படும்.\n\nநீக்க *DELETE* என்று அனுப்புங்கள், அல்லது கணக்கை வைத்துக்கொண்டு தொடங்க *agree* என்று அனுப்புங்கள்.",
+    'consent.declined': "சரி, {name}. உங்கள் கணக்கும் உங்களுக்காக உள்ளிடப்பட்ட எல்லா தகவல்களும் நீக்கப்பட்டன, இனி நான் உங்களுக்குச் செய்தி அனுப்ப மாட்டேன்.\n\nமனம் மாறினால் \"create account\" என்று எழுதுங்கள்.",
+    'consent.error': "❌ ஏதோ தவறு நடந்தது. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.",
+    'consent.given_notice': "✅ {name} சுகூன் சாரதியைப் பயன்படுத்த ஒப்புக்கொண்டுள்ளார். மருந்து நினைவூட்டல்கள், நலம் விசாரிப்புகள் மற்றும் அறிக்கைகள் இப்போது தொடங்குகின்றன.",
+    'consent.declined_notice': "நீங்கள் அமைத்த சுகூன் சாரதி கணக்கை {name} மறுத்துவிட்டார், எனவே அந்தக் கணக்கு நீங்கள் சேர்த்த மருந்துகளுடன் நீக்கப்பட்டது.",
+    'permission.view_medications': "உங்கள் மருந்துகளையும் அவற்றை எடுத்துக்கொண்டீர்களா என்பதையும் பார்ப்பது",
+    'permission.manage_medications': "மருந்துகளைச் சேர்ப்பது, மாற்றுவது, நீக்குவது",
+    'permission.view_symptoms': "அறிகுறி சோதனைகளையும் தொடர் விசாரிப்புகளையும் பார்ப்பது",
+    'permission.view_reports': "தினசரி மற்றும் வாராந்திர அறிக்கைகளைப் பெறுவது",
+    'permission.manage_caregivers': "மற்ற பராமரிப்பாளர்களைச் சேர்ப்பது",
+
+    // Caregiver roles, and what each lets the caregiver do
+    'role.primary': "முதன்மைப் பராமரிப்பாளர்",
+    'role.secondary': "துணைப் பராமரிப்பாளர்",
+    'role.view_only': "பார்வை மட்டும் உள்ள பராமரிப்பாளர்",
+    'role.custom': "தனிப்பட்ட அனுமதிகள் உள்ள பராமரிப்பாளர்",
+    'access.view_medications': "அவர்களின் மருந்துகளையும் அவற்றை எடுத்துக்கொண்டார்களா என்பதையும் பார்ப்பது",
+    'access.manage_medications': "அவர்களின் மருந்துகளைச் சேர்ப்பது, மாற்றுவது, நீக்குவது",
+    'access.view_symptoms': "அவர்களின் அறிகுறி சோதனைகளையும் தொடர் விசாரிப்புகளையும் பார்ப்பது",
+    'access.view_reports': "தினசரி மற்றும் வாராந்திர அறிக்கைகளைப் பெறுவது",
+    'access.manage_caregivers': "மற்ற பராமரிப்பாளர்களைச் சேர்ப்பது",
+
+    // Caregivers
+    'caregiver.invite_usage': "ஒரு பராமரிப்பாளரை அழைக்க \"invite\" என்று எழுதி, அவர்களின் தொலைபேசி எண்ணையும் விரும்பினால் பங்கையும் அனுப்பவும்.\n\nஉதாரணம்: \"invite +919876543210 secondary\"\n\nபங்குகள்:\n• *primary* — முழு அணுகல், மற்றவர்களையும் அழைக்கலாம்\n• *secondary* — மருந்துகள், அறிகுறிகள், அறிக்கைகளைப் பார்க்கவும் நிர்வகிக்கவும் முடியும்\n• *view-only* — மருந்துகள், அறிகுறிகள், அறிக்கைகளைப் பார்க்க மட்டும் முடியும்",
+    'caregiver.invite_primary_only': "முதன்மைப் பராமரிப்பாளர் மட்டுமே மற்ற பராமரிப்பாளர்களை அழைக்க முடியும்.",
+    'caregiver.invite_which_elder': "நீங்கள் ஒன்றுக்கு மேற்பட்டவர்களுக்குப் பராமரிப்பாளர்களை நிர்வகிக்கிறீர்கள். இது யாருக்காக என்று சொல்லவும், உதாரணம்: \"for:{parentPhone} invite {phone}\"",
+    'caregiver.invite_no_account': "{phone} க்கு சுகூன் சாரதி கணக்கு எதுவும் இல்லை.",
+    'caregiver.invite_not_allowed': "{name} அல்லது அவரது முதன்மைப் பராமரிப்பாளர் மட்டுமே பராமரிப்பாளர்களை அழைக்க முடியும்.",
+    'caregiver.invite_self': "நீங்கள் அழைக்க விரும்பும் நபரின் தொலைபேசி எண்ணை உள்ளிடவும்.",
+    'caregiver.invite_pending': "{phone} ஏற்கனவே அழைக்கப்பட்டுள்ளார், இன்னும் பதிலளிக்கவில்லை.",
+    'caregiver.invite_exists': "{phone} ஏற்கனவே {name} அவர்களின் பராமரிப்பாளர்.",
+    'caregiver.invite_failed': "❌ அழைப்பை அனுப்ப முடியவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    'caregiver.invite_message': "👋 வணக்கம்! சுகூன் சாரதி (ஒரு சுகாதார உதவியாளர்) இல் {name} அவர்களின் {role} ஆக இருக்க {inviter} உங்களை அழைத்துள்ளார்.\n\n{role} ஆக நீங்கள் செய்யக்கூடியவை:\n{permissions}\n\nசேர *accept* என்றும், விருப்பமில்லை என்றால் *decline* என்றும் பதிலளிக்கவும்.",
+    'caregiver.invite_not_delivered': "❌ {phone} க்கு அழைப்பை அனுப்ப முடியவில்லை. எண்ணைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.",
+    'caregiver.invite_sent': "✅ {name} அவர்களின் {role} ஆக {phone} க்கு அழைப்பு அனுப்பப்பட்டது. அவர்கள் பதிலளித்ததும் உங்களுக்குச் சொல்வேன்.",
+    'caregiver.no_invites': "உங்களுக்காகக் காத்திருக்கும் அழைப்புகள் எதுவும் இல்லை.",
+    'caregiver.invite_declined_notice': "{name} அவர்களின் பராமரிப்பாளராக இருக்கும் அழைப்பை {caregiver} மறுத்துவிட்டார்.",
+    'caregiver.invite_declined': "பரவாயில்லை — நீங்கள் {name} அவர்களின் பராமரிப்பாளராகச் சேர்க்கப்பட மாட்டீர்கள்.",
+    'caregiver.accept_failed': "❌ அழைப்பை ஏற்க முடியவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    'caregiver.joined_notice': "✅ {caregiver} இப்போது {name} அவர்களின் {role}.",
+    'caregiver.joined': "✅ நீங்கள் இப்போது {name} அவர்களின் {role}.\n\nஅவர்கள் சார்பாகச் செயல்பட, செய்தியை \"for:{phone}\" என்று தொடங்கவும், உதாரணம்: \"for:{phone} check medications\". நான் வேறு என்ன செய்ய முடியும் என்று பார்க்க \"hi\" என்று அனுப்பவும்.",
+    'caregiver.error': "❌ ஏதோ தவறு நடந்தது. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    'caregiver.elder_only': "பராமரிக்கப்படுபவர் மட்டுமே தங்கள் தகவலை யார் பார்க்கலாம் என்பதை மாற்ற முடியும்.",
+    'caregiver.none': "உங்களுக்கு இன்னும் பராமரிப்பாளர்கள் யாரும் இல்லை.\n\nஒருவரைச் சேர்க்க \"invite\" என்று எழுதி அவர்களின் தொலைபேசி எண்ணை அனுப்பவும்.",
+    'caregiver.list_title': "👥 *உங்கள் பராமரிப்பாளர்கள்*",
+    'caregiver.list_item': "{number}. *{name}* ({phone}) — {role}",
+    'caregiver.list_permission': "   • அனுமதி: {permission}",
+    'caregiver.list_no_access': "   • இப்போது எந்த அனுமதியும் இல்லை",
+    'caregiver.list_help': "அனுமதியை மாற்ற, உதாரணமாக \"grant reports to {name}\" அல்லது \"revoke manage medications from {name}\" என்று அனுப்பவும்.\nஒருவரை நீக்க \"remove caregiver\" என்று எழுதி அவர்களின் பெயர் அல்லது எண்ணை அனுப்பவும்.",
+    'caregiver.not_found_phone': "{phone} உங்கள் பராமரிப்பாளர்களில் ஒருவர் அல்ல. அவர்களைப் பார்க்க \"caregivers\" என்று அனுப்பவும்.",
+    'caregiver.ambiguous_name': "{name} என்ற பெயரில் ஒன்றுக்கு மேற்பட்ட பராமரிப்பாளர்கள் உள்ளனர். அவர்களின் தொலைபேசி எண்ணைப் பயன்படுத்தவும்.",
+    'caregiver.not_found_name': "{name} என்ற பராமரிப்பாளரைக் கண்டுபிடிக்க முடியவில்லை. அவர்களைப் பார்க்க \"caregivers\" என்று அனுப்பவும்.",
+    'caregiver.permission_usage': "ஒரு பராமரிப்பாளர் என்ன செய்யலாம் என்பதை மாற்ற, உதாரணமாக அனுப்பவும்:\n• \"grant reports to Ravi\"\n• \"revoke manage medications from +919876543210\"\n\nஅனுமதிகள்: medications, manage medications, symptoms, reports, manage caregivers\n\nஇப்போது யாருக்கு அணுகல் உள்ளது என்று பார்க்க \"caregivers\" என்று அனுப்பவும்.",
+    'caregiver.already_granted': "{caregiver} க்கு ஏற்கனவே இந்த அனுமதி உள்ளது: {permission}.",
+    'caregiver.already_revoked': "{caregiver} க்கு ஏற்கனவே இந்த அனுமதி இல்லை: {permission}.",
+    'caregiver.granted': "✅ இப்போது {caregiver} க்கு இந்த அனுமதி உள்ளது: {permission}.",
+    'caregiver.revoked': "✅ இப்போது {caregiver} க்கு இந்த அனுமதி இல்லை: {permission}.",
+    'caregiver.access_update_failed': "❌ அவர்களின் அனுமதியை மாற்ற முடியவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    'caregiver.granted_notice': "🔓 {name} உங்களுக்கு இந்த அனுமதியை வழங்கியுள்ளார்: {permission}.",
+    'caregiver.revoked_notice': "🔒 {name} உங்கள் அனுமதியை மாற்றியுள்ளார்: இனி இதைச் செய்ய முடியாது — {permission}.",
+    'caregiver.remove_usage': "யாரை நீக்க வேண்டும் என்று சொல்லவும், உதாரணம்: \"remove caregiver Ravi\". அவர்களைப் பார்க்க \"caregivers\" என்று அனுப்பவும்.",
+    'caregiver.remove_failed': "❌ அவர்களை நீக்க முடியவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    'caregiver.removed_notice': "சுகூன் சாரதியில் {name} உங்களைப் பராமரிப்பாளர் பொறுப்பிலிருந்து நீக்கியுள்ளார். இனி அவர்களின் அறிக்கைகளோ எச்சரிக்கைகளோ உங்களுக்கு வராது.",
+    'caregiver.removed': "✅ {caregiver} இனி உங்கள் பராமரிப்பாளர் அல்ல, உங்கள் தகவல் எதையும் பார்க்க முடியாது.",
+    'caregiver.fallback_name': "உங்கள் பராமரிப்பாளர்",
+    'caregiver.refill_needed': "⚠️ *மருந்து மீண்டும் வாங்க வேண்டும்*\n\n{name} அவர்களின் *{medicine}* தீர்ந்து வருகிறது: சுமார் {days} நாட்களுக்கு மட்டுமே உள்ளது ({count} மாத்திரைகள்).",
+
+    // Caregiver report preference
+    'reports.frequency_daily': "ஒவ்வொரு மாலையும் தினசரி அறிக்கை",
+    'reports.frequency_weekly': "ஒவ்வொரு ஞாயிறு மாலையும் வாராந்திரச் சுருக்கம்",
+    'reports.frequency_both': "தினசரி அறிக்கையும் வாராந்திரச் சுருக்கமும்",
+    'reports.not_caregiver': "அறிக்கைகள் பராமரிப்பாளர்களுக்கு அவர்கள் கவனிக்கும் குடும்பத்தினரைப் பற்றி அனுப்பப்படுகின்றன. நீங்கள் இன்னும் யாருடனும் இணைக்கப்படவில்லை.",
+    'reports.current': "📊 இப்போது உங்களுக்கு {frequency} வருகிறது.\n\nஇதை மாற்ற \"reports daily\", \"reports weekly\" அல்லது \"reports both\" என்று எழுதுங்கள்.",
+    'reports.invalid': "\"reports daily\", \"reports weekly\" அல்லது \"reports both\" என்று எழுதுங்கள்.",
+    'reports.update_failed': "❌ உங்கள் அறிக்கை விருப்பத்தை மாற்ற முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'reports.updated': "✅ முடிந்தது! இனி உங்களுக்கு {frequency} வரும்.",
+    'reports.consent_pending': "{name} இன்னும் தங்கள் கணக்குக்கு ஒப்புக்கொள்ளவில்லை, எனவே அறிக்கை இல்லை. ஒப்புக்கொண்டதும் உங்களுக்குச் சொல்வேன்.",
+    'reports.error': "❌ இன்றைய அறிக்கையை உருவாக்க முடியவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+
+    // Daily report for caregivers
+    'report.title': "📋 *{name} தினசரி அறிக்கை* ({date})",
+    'report.fallback_name': "உங்கள் குடும்ப உறுப்பினர்",
+    'report.section_health': "*🩺 உடல்நலம் & மனநிலை*",
+    'report.section_medication': "*💊 மருந்துகள்*",
+    'report.section_activities': "*🚶 செயல்பாடுகள் & சிறப்புகள்*",
+    'report.no_checkins': "இன்று எந்த நலம் விசாரிப்பும் பதிவாகவில்லை. அவர்கள் வெளியே இருந்திருக்கலாம் அல்லது செய்திகளுக்குப் பதில் அளிக்காமல் இருந்திருக்கலாம்.",
+    'report.mood': "மனநிலை: {emoji} {mood} ({count} நலம் விசாரிப்புகள்)",
+    'report.mood_one': "மனநிலை: {emoji} {mood} (1 நலம் விசாரிப்பு)",
+    'report.mood_positive': "நன்று",
+    'report.mood_neutral': "பரவாயில்லை",
+    'report.mood_negative': "சோர்வு",
+    'report.area_physical': "உடல்",
+    'report.area_emotional': "மனம்",
+    'report.area_social': "சமூகத் தொடர்பு",
+    'report.rating_good': "நன்று",
+    'report.rating_fair': "பரவாயில்லை",
+    'report.rating_concerning': "கவலைக்குரியது",
+    'report.concerns': "⚠️ கவலைகள்:",
+    'report.no_concerns': "கவலை எதுவும் இல்லை.",
+    'report.no_medications': "இன்று எந்த மருந்தும் திட்டமிடப்படவில்லை.",
+    'report.med_awaiting': "• {medicine}: பதிலுக்காகக் காத்திருக்கிறது",
+    'report.med_none_due': "• {medicine}: இன்னும் எந்த அளவும் நேரம் வரவில்லை",
+    'report.med_taken': "• {medicine}: {total} இல் {taken} எடுத்தார் {emoji}",
+    'report.med_pending': ", {count} பதிலுக்காகக் காத்திருக்கிறது",
+    'report.this_week': "📊 இந்த வாரம்: {summary}",
+    'report.most_missed_time': "அதிகம் தவறிய நேரம்: {time}",
+    'report.activities': "செயல்பாடுகள்: {activities}",
+    'report.no_activities': "இன்று எந்தச் செயல்பாடும் பதிவாகவில்லை.",
+    'report.more': "…மேலும் பல",
+    'report.and': " மற்றும் ",
+    'report.fallback_subject': "உங்கள் குடும்ப உறுப்பினர்",
+    'report.times_once': "ஒருமுறை",
+    'report.times_twice': "இருமுறை",
+    'report.times_count': "{count} முறை",
+    'report.summary_checkins': "{name} இன்று {times} நலம் பகிர்ந்தார்.",
+    'report.summary_checkins_positive': "{name} இன்று {times} நலம் பகிர்ந்தார், மகிழ்ச்சியாக இருந்தார்.",
+    'report.summary_checkins_neutral': "{name} இன்று {times} நலம் பகிர்ந்தார், பரவாயில்லாமல் இருந்தார்.",
+    'report.summary_checkins_negative': "{name} இன்று {times} நலம் பகிர்ந்தார், சற்று சோர்வாக இருந்தார்.",
+    'report.summary_needs_attention': "அவரது {areas} நலனில் கவனம் தேவை.",
+    'report.summary_all_well': "உடல், மனம், சமூகத் தொடர்பு என எல்லாவற்றிலும் நன்றாக இருந்தார்.",
+    'report.summary_activities': "அவர் குறிப்பிட்டவை: {activities}.",
+    'report.summary_one_concern': "கவனிக்க வேண்டிய ஒரு விஷயம்: {concerns}.",
+    'report.summary_concerns': "கவனிக்க வேண்டிய {count} விஷயங்கள்: {concerns}.",
+    'report.summary_missed': "இன்று அவர் {medicines} தவறவிட்டார்.",
+    'report.summary_all_taken': "இன்றைய {count} அளவுகளையும் எடுத்துக்கொண்டார்.",
+    'report.summary_all_taken_one': "இன்றைய 1 அளவை எடுத்துக்கொண்டார்.",
+    'report.highlight_good_spirits': "மகிழ்ச்சியான மனநிலை",
+    'report.highlight_all_well': "எல்லா வகையிலும் நலம்",
+    'report.highlight_all_taken': "எல்லா மருந்துகளும் எடுக்கப்பட்டன",
+    'report.highlight_adherence_up': "மருந்து நேரத்துக்கு எடுப்பது கடந்த வாரத்தை விட {change}% அதிகம்",
+
+    // Medication reminders
+    'reminder.due': "🔔 நினைவூட்டல்: மருந்து எடுக்கும் நேரம் - *{medicine}*{dose}. \n\nமருந்து எடுத்துக்கொண்டீர்களா? ✅ ஆம் / ❌ இல்லை",
+    'reminder.dont_forget': "உங்கள் {medicine} எடுக்க மறக்காதீர்கள்! எடுத்துக்கொண்டதும் \"ஆம்\" என்றும், பிறகு நினைவூட்ட வேண்டுமானால் \"இல்லை\" என்றும் எழுதுங்கள்.",
+    'reminder.or_checkin': "உங்களுக்கு மருந்து நினைவூட்டலும் நலம் விசாரிப்பு உரையாடலும் இரண்டும் நடந்துகொண்டிருக்கின்றன. நீங்கள் எதற்குப் பதில் அளிக்கிறீர்கள்?\n\n1️⃣ மருந்து நினைவூட்டல் ({medicine})\n2️⃣ நலம் விசாரிப்பு உரையாடல்\n\n1 அல்லது 2 அனுப்புங்கள்.",
+    'reminder.or_checkin_invalid': "மருந்து நினைவூட்டலுக்கு 1 அல்லது நலம் விசாரிப்புக்கு 2 அனுப்புங்கள்.",
+    'reminder.response_error': "மன்னிக்கவும், மருந்து பற்றிய உங்கள் பதிலைப் பதிவு செய்வதில் சிக்கல் ஏற்பட்டது. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.",
+
+    // Picking between conversations
+    'disambiguation.invalid_option': "1 முதல் {count} வரை ஒரு தேர்வைத் தேர்ந்தெடுங்கள்.",
+    'disambiguation.fallback': "உங்கள் பதிலை என்ன செய்வது என்று புரியவில்லை. புதிதாகத் தொடங்கலாம்.",
+    'disambiguation.error': "மன்னிக்கவும், உங்கள் பதில் சரியாகப் புரியவில்லை. மீண்டும் தொடங்கலாம்.",
+    'disambiguation.menu_vs_symptom': "நீங்கள் ஒரு எண்ணை அனுப்பியுள்ளீர்கள், ஆனால் மெனு தேர்வும் அறிகுறி மதிப்பீடும் இரண்டும் நடந்துகொண்டிருக்கின்றன. நீங்கள் எதற்குப் பதில் அளிக்கிறீர்கள்?\n\n1. மெனு தேர்வு\n2. அறிகுறி மதிப்பீடு\n\n1 அல்லது 2 என்று பதில் அனுப்புங்கள்.",
+    'disambiguation.question': "உங்களுக்குப் பல உரையாடல்கள் ஒரே நேரத்தில் நடந்துகொண்டிருக்கின்றன. நீங்கள் எதற்குப் பதில் அளிக்கிறீர்கள்?",
+
+    // Medications
+    'med.time_question': "எந்த நேரத்தில் உங்களுக்கு நினைவூட்ட வேண்டும்? (உ.தா.: 08:00 AM)",
+    'med.frequency_question': "இந்த மருந்தை நாளுக்கு எத்தனை முறை எடுக்க வேண்டும்?\n\n1️⃣ நாளுக்கு ஒரு முறை\n2️⃣ நாளுக்கு இரண்டு முறை\n3️⃣ நாளுக்கு மூன்று முறை\n4️⃣ நாளுக்கு நான்கு முறை\n\nஎண்ணை அனுப்புங்கள் அல்லது வேறு அளவைக் குறிப்பிடுங்கள் (உ.தா., '5 times a day'):",
+    'med.duration_question': "இந்த மருந்தை எத்தனை நாட்கள் எடுக்க வேண்டும்? (எண்ணை எழுதுங்கள், அல்லது முடிவுத் தேதி இல்லாத மருந்துக்கு 'ongoing' என்று எழுதுங்கள்)",
+    'med.stock_question': "இப்போது உங்களிடம் எத்தனை மாத்திரைகள் உள்ளன? மருந்து தீரும் முன் உங்களுக்குத் தெரிவிப்பேன். (எண்ணை எழுதுங்கள், அல்லது கணக்கு வேண்டாம் என்றால் 'skip' என்று எழுதுங்கள்)",
+    'med.schedule_question': "இந்த மருந்தை எவ்வளவு அடிக்கடி எடுக்கிறீர்கள்?\n\n1️⃣ தினமும்\n2️⃣ குறிப்பிட்ட நாட்களில் (உ.தா., திங்கள்/புதன்/வெள்ளி)\n3️⃣ சில நாட்களுக்கு ஒருமுறை (உ.தா., ஒரு நாள் விட்டு ஒரு நாள்)\n4️⃣ வாரத்துக்கு ஒரு முறை\n5️⃣ குறையும் அளவு (அளவு காலப்போக்கில் மாறும்)\n6️⃣ தேவைப்படும்போது மட்டும்\n\nஎண்ணை அனுப்புங்கள் அல்லது விவரியுங்கள் (உ.தா., 'every other day'):",
+    'med.field_medicine': "மருந்து",
+    'med.field_dosage': "அளவு",
+    'med.field_frequency': "எத்தனை முறை",
+    'med.field_schedule': "அட்டவணை",
+    'med.field_time': "நேரம்",
+    'med.field_times': "நேரங்கள்",
+    'med.field_duration': "காலம்",
+    'med.field_stock': "இருப்பு",
+    'med.not_specified': "குறிப்பிடப்படவில்லை",
+    'med.ongoing': "தொடர்ந்து",
+    'med.ongoing_no_end': "தொடர்ந்து (முடிவுத் தேதி இல்லை)",
+    'med.when_needed': "தேவைப்படும்போது (நினைவூட்டல் இல்லை)",
+    'med.days': "{count} நாட்கள்",
+    'med.pills': "{count} மாத்திரைகள்",
+    'med.none_yet': "உங்களுக்கு இன்னும் எந்த மருந்தும் அமைக்கப்படவில்லை. மருந்து சேர்க்க 'add medicine' என்று எழுதுங்கள்.",
+    'med.not_found': "*{medicine}* என்ற மருந்தைக் கண்டுபிடிக்க முடியவில்லை. பெயரைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.",
+    'med.flow_error': "மன்னிக்கவும், உங்கள் கோரிக்கையில் சிக்கல் ஏற்பட்டது. மீண்டும் தொடங்கலாம்.",
+    'med.update_which': "எந்த மருந்தை மாற்ற விரும்புகிறீர்கள்?",
+    'med.update_ask_name': "நீங்கள் தேர்ந்தெடுத்தது: {medicine}\n\nஇந்த மருந்தின் புதிய பெயரை எழுதுங்கள் (அல்லது அப்படியே வைக்க 'same' என்று எழுதுங்கள்):",
+    'med.update_ask_dosage': "{medicine} இன் அளவை எழுதுங்கள் (உ.தா., \"500mg\", அல்லது \"{dosage}\" அப்படியே வைக்க 'same' என்று எழுதுங்கள்):",
+    'med.update_ask_time': "இப்போதைய நினைவூட்டல் நேரம் {time}. புதிய நேரத்தை எழுதுங்கள் (உ.தா.: 08:00 AM) அல்லது அப்படியே வைக்க 'same' என்று எழுதுங்கள்:",
+    'med.update_ask_frequency': "இப்போது இது \"{frequency}\" எடுக்கப்படுகிறது. இந்த மருந்தை நாளுக்கு எத்தனை முறை எடுக்க வேண்டும்?\n\n1️⃣ நாளுக்கு ஒரு முறை\n2️⃣ நாளுக்கு இரண்டு முறை\n3️⃣ நாளுக்கு மூன்று முறை\n4️⃣ நாளுக்கு நான்கு முறை\n\nஎண்ணை அனுப்புங்கள், வேறு அளவைக் குறிப்பிடுங்கள், அல்லது அப்படியே வைக்க 'same' என்று எழுதுங்கள்:",
+    'med.update_ask_duration': "இப்போதைய காலம் {duration}. இந்த மருந்தை எத்தனை நாட்கள் எடுக்க வேண்டும்? (எண்ணை எழுதுங்கள், முடிவுத் தேதி இல்லாத மருந்துக்கு 'ongoing', அல்லது அப்படியே வைக்க 'same')",
+    'med.update_ask_stock': "இப்போதைய இருப்பு {stock}. இப்போது உங்களிடம் எத்தனை மாத்திரைகள் உள்ளன? (எண்ணை எழுதுங்கள், கணக்கை நிறுத்த 'none', அல்லது அப்படியே வைக்க 'same')",
+    'med.stock_not_tracked': "கணக்கிடப்படவில்லை",
+    'med.update_invalid_stock': "மாத்திரைகளின் எண்ணிக்கை, 'none' அல்லது 'same' என்று எழுதுங்கள்:",
+    'med.updated': "✅ மருந்து மாற்றப்பட்டது!\n\n{details}",
+    'med.update_failed': "❌ மன்னிக்கவும், மருந்தை மாற்றுவதில் சிக்கல் ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'med.add_ask_name': "மருந்தின் பெயரை எழுதுங்கள்:\n\n_குறிப்பு: ஒரே செய்தியிலும் மருந்தைச் சேர்க்கலாம், உ.தா. 'add Metformin 500mg twice a day after meals for 30 days at 8 am'_",
+    'med.add_restart': "மன்னிக்கவும், மருந்து சேர்க்கும்போது ஏதோ தவறு நடந்தது. மீண்டும் தொடங்கலாம்.",
+    'med.add_ask_dosage': "அளவை எழுதுங்கள் (உ.தா., '500mg'), அல்லது பொருந்தாது என்றால் 'none' என்று எழுதுங்கள்:",
+    'med.add_ask_dosage_prn': "அளவை எழுதுங்கள் (உ.தா., '500mg'), அல்லது பொருந்தாது என்றால் 'none' என்று எழுதுங்கள்:\n\n_ஒவ்வொரு முறை மருந்து எடுக்கும்போதும் *took <மருந்தின் பெயர்>* என்று எழுதுங்கள், நான் கணக்கு வைத்துக்கொள்வேன்._",
+    'med.add_invalid_stock': "மாத்திரைகளின் எண்ணிக்கை அல்லது 'skip' என்று எழுதுங்கள்:",
+    'med.added': "✅ மருந்து சேர்க்கப்பட்டது!\n\n{details}",
+    'med.added_for': "மருந்து {phone} க்காகச் சேர்க்கப்பட்டது.",
+    'med.add_failed': "❌ மன்னிக்கவும், மருந்தைச் சேர்ப்பதில் சிக்கல் ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'med.schedule_ask_days': "எந்த நாட்களில் எடுக்கிறீர்கள்? (உ.தா., 'Mon/Wed/Fri' அல்லது 'weekdays')",
+    'med.schedule_ask_interval': "எத்தனை நாட்களுக்கு ஒருமுறை? (உ.தா., ஒரு நாள் விட்டு ஒரு நாளுக்கு '2')",
+    'med.schedule_ask_weekly': "வாரத்தின் எந்த நாள்? (உ.தா., 'Sunday')",
+    'med.schedule_ask_taper': "ஒவ்வொரு அளவையும் அது எத்தனை நாட்கள் என்பதையும் வரிசையாக எழுதுங்கள் (உ.தா., '40mg for 5 days, 20mg for 5 days, 10mg for 3 days'):",
+    'med.schedule_ask_prn': "24 மணி நேரத்தில் அதிகபட்சம் எத்தனை முறை எடுக்கலாம்? (எண் அல்லது 'none' என்று எழுதுங்கள்)",
+    'med.schedule_invalid': "மன்னிக்கவும், அந்த அட்டவணை புரியவில்லை. 1 முதல் 6 வரை ஒரு எண்ணை அனுப்புங்கள்.",
+    'med.schedule_invalid_weekly': "வாரத்தின் ஒரு நாளை எழுதுங்கள் (உ.தா., 'Sunday'):",
+    'med.schedule_invalid_days': "நாட்களை எழுதுங்கள், உ.தா. 'Mon/Wed/Fri':",
+    'med.schedule_invalid_interval': "நாட்களின் எண்ணிக்கையை எழுதுங்கள் (உ.தா., ஒரு நாள் விட்டு ஒரு நாளுக்கு '2'):",
+    'med.schedule_invalid_taper': "அளவுகளை இப்படி எழுதுங்கள்: '40mg for 5 days, 20mg for 5 days'",
+    'med.schedule_invalid_prn': "24 மணி நேரத்தில் அதிகபட்ச அளவுகளின் எண்ணிக்கை அல்லது 'none' என்று எழுதுங்கள்:",
+
+    // Describing a medication schedule
+    'schedule.daily': "தினமும்",
+    'schedule.weekly': "ஒவ்வொரு வாரமும் {day}",
+    'schedule.every_other_day': "ஒரு நாள் விட்டு ஒரு நாள்",
+    'schedule.every_n_days': "{count} நாட்களுக்கு ஒருமுறை",
+    'schedule.taper': "படிப்படியாகக் குறையும் அளவு: {steps}",
+    'schedule.taper_step': "{days} நாட்கள் {dosage}",
+    'schedule.taper_then': ", பிறகு ",
+    'schedule.prn': "தேவைப்படும்போது",
+    'schedule.prn_max': "தேவைப்படும்போது (24 மணி நேரத்தில் அதிகபட்சம் {count} முறை)",
+    'med.quick_setup': "*{medicine}* அமைக்கலாம்.\n\n{question}",
+    'med.quick_ask_time': "*{medicine}* எடுக்க எந்த நேரத்தில் உங்களுக்கு நினைவூட்ட வேண்டும்? (உ.தா.: 08:00 AM)",
+    'med.quick_confirm': "📝 நான் புரிந்துகொண்டது:\n\n{details}\n\n1️⃣ சேமிக்க\n2️⃣ ஒவ்வொன்றாக மாற்ற\n3️⃣ ரத்து செய்ய",
+    'med.quick_step_by_step': "*{medicine}* ஐ ஒவ்வொன்றாக அமைக்கலாம்.\n\n{question}",
+    'med.quick_cancelled': "சரி, *{medicine}* சேர்க்கவில்லை.",
+    'med.quick_confirm_invalid': "சேமிக்க 1, ஒவ்வொன்றாக மாற்ற 2, அல்லது ரத்து செய்ய 3 அனுப்புங்கள்.",
+    'med.marked_taken': "✅ அருமை! *{medicine}* எடுத்துக்கொண்டதாகப் பதிவு செய்தேன்.",
+    'med.mark_taken_failed': "⚠️ மன்னிக்கவும், {medicine} எடுத்துக்கொண்டதாகப் பதிவு செய்ய முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'med.missed_remind_again': "❗ பரவாயில்லை! 30 நிமிடங்களில் *{medicine}* எடுக்க மீண்டும் நினைவூட்டுவேன்.",
+    'med.missed_failed': "⚠️ மன்னிக்கவும், உங்கள் பதிலைப் பதிவு செய்ய முடியவில்லை. இருந்தாலும் பிறகு உங்களுக்கு நினைவூட்டுவேன்.",
+    'med.unknown_reference': "நீங்கள் எந்த மருந்தைப் பற்றிச் சொல்கிறீர்கள் என்று புரியவில்லை. மருந்தின் பெயரைக் குறிப்பிடுங்கள்.",
+    'med.history_empty': "உங்களுக்கு {count} மருந்துகள் அமைக்கப்பட்டுள்ளன, ஆனால் அவற்றை எடுத்துக்கொண்டதற்கான பதிவு இன்னும் இல்லை.\n\nமருந்து நினைவூட்டல்களுக்குப் பதில் அளிக்கத் தொடங்கியதும் உங்கள் மருந்து வரலாறு இங்கே தெரியும்.",
+
+    // Medication history
+    'history.title': "📜 *{phone} மருந்து வரலாறு*:",
+    'history.medicine': "💊 *{medicine}*:",
+    'history.dosage': "   - அளவு: {value}",
+    'history.times': "   - நினைவூட்டும் நேரம்: {value}",
+    'history.frequency': "   - எத்தனை முறை: {value}",
+    'history.schedule': "   - அட்டவணை: {value}",
+    'history.duration': "   - காலம்: {value}",
+    'history.start_date': "   - தொடங்கிய தேதி: {value}",
+    'history.end_date': "   - முடியும் தேதி: {value}",
+    'history.taken': "   - எடுத்தது: {count} முறை",
+    'history.missed': "   - தவறியது: {count} முறை",
+    'history.dates': "       *தேதிகள்:* {dates}",
+    'history.none': "எதுவும் இல்லை",
+    'history.not_available': "கிடைக்கவில்லை",
+    'history.error': "❌ மருந்து வரலாற்றைப் பெற முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'med.delete_which': "எந்த மருந்தை நீக்க விரும்புகிறீர்கள்?",
+    'med.delete_confirm': "உண்மையிலேயே *{medicine}* ஐ நீக்க வேண்டுமா?\n\nஇந்த மருந்துக்கான எல்லா நினைவூட்டல்களும் நீக்கப்படும்.\n\nஉறுதிப்படுத்த *ஆம்* அல்லது ரத்து செய்ய *இல்லை* என்று எழுதுங்கள்.",
+    'med.deleted': "✅ *{medicine}* மருந்து நீக்கப்பட்டது.",
+    'med.delete_failed': "❌ மன்னிக்கவும், மருந்தை நீக்குவதில் சிக்கல் ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'med.delete_cancelled': "நீக்குதல் ரத்து செய்யப்பட்டது. உங்கள் மருந்தில் எந்த மாற்றமும் இல்லை.",
+    'med.escalate_usage': "தவறிய மருந்துகள் பற்றி பராமரிப்பாளர்களுக்கு எப்போது தெரிவிக்க வேண்டும் என்று தேர்ந்தெடுக்க அனுப்புங்கள்:\n\n• *escalate <medicine> after 2 nudges* - தொடர்ந்து 2 நினைவூட்டல்களுக்குப் பதில் இல்லையென்றால்\n• *escalate <medicine> after 3 missed* - ஒரு வாரத்தில் 3 முறை தவறினால்\n• *escalate <medicine> off* - இந்த மருந்துக்கு ஒருபோதும் தெரிவிக்க வேண்டாம்\n• *escalate <medicine> on* - மீண்டும் தெரிவிக்கத் தொடங்கு",
+    'med.escalation_off': "🔕 இனி *{medicine}* தவறினால் பராமரிப்பாளர்களுக்குத் தெரிவிக்கப்படாது.",
+    'med.escalation_on': "🔔 *{medicine}* க்கு தொடர்ந்து {nudges} நினைவூட்டல்களுக்குப் பதில் இல்லையென்றால், அல்லது ஒரு வாரத்தில் {missed} முறை தவறினால் பராமரிப்பாளர்களுக்குத் தெரிவிக்கப்படும்.",
+    'med.refill_usage': "மருந்து வாங்கிய பிறகு இருப்பைப் புதுப்பிக்க *refill <மருந்தின் பெயர்> <மாத்திரைகளின் எண்ணிக்கை>* அனுப்புங்கள், உ.தா.: refill Metformin 30",
+    'med.refilled': "📦 *{medicine}* இருப்பு நிரப்பப்பட்டது. இப்போது உங்களிடம் {count} மாத்திரைகள் உள்ளன{daysLeft}.",
+    'med.refill_days_left': ", சுமார் {days} நாட்களுக்குப் போதுமானது",
+    'med.took_usage': "மருந்து எடுத்ததைப் பதிவு செய்ய *took <மருந்தின் பெயர்>* அனுப்புங்கள், உ.தா.: took Paracetamol",
+    'med.dose_limit_reached': "🛑 கடந்த 24 மணி நேரத்தில் *{medicine}* ஐ ஏற்கனவே {taken} முறை எடுத்துள்ளீர்கள், இதுவே அதிகபட்ச அளவு ({max}). இப்போது இன்னொரு முறை எடுக்க வேண்டாம். இன்னும் நிவாரணம் தேவைப்பட்டால் உங்கள் மருத்துவரைத் தொடர்புகொள்ளுங்கள்.",
+    'med.dose_log_failed': "❌ மன்னிக்கவும், அதைப் பதிவு செய்ய முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'med.dose_logged': "✅ *{medicine}* ஒரு முறை எடுத்ததாகப் பதிவு செய்யப்பட்டது{limit}.",
+    'med.dose_limit_count': " (24 மணி நேரத்தில் {max} இல் {taken})",
+    'med.running_low': "⚠️ *{medicine} தீர்ந்து வருகிறது*\n\nஉங்களிடம் சுமார் {days} நாட்களுக்கு மருந்து உள்ளது ({count} மாத்திரைகள்). விரைவில் மருந்து வாங்க ஏற்பாடு செய்யுங்கள்.\n\nபுதிய மருந்து வந்ததும், இருப்பைப் புதுப்பிக்க *refill {medicine} <எண்ணிக்கை>* என்று அனுப்புங்கள்.",
+
+    // Medication adherence
+    'adherence.title': "📊 *மருந்துகளை நேரத்துக்கு எடுத்துக்கொண்ட விவரம்*",
+    'adherence.title_for': "📊 *{name} மருந்துகளை நேரத்துக்கு எடுத்துக்கொண்ட விவரம்*",
+    'adherence.no_doses_30_days': "கடந்த 30 நாட்களில் நினைவூட்டப்பட்ட டோஸ் எதுவும் இன்னும் பதிவாகவில்லை.",
+    'adherence.this_week': "*இந்த வாரம்:* {summary}",
+    'adherence.last_30_days': "*கடந்த 30 நாட்கள்:* {summary}",
+    'adherence.most_missed_time': "*அதிகம் தவறிய நேரம்:* {time} ({count} முறை தவறியது)",
+    'adherence.med_week': "   - இந்த வாரம்: {value}",
+    'adherence.med_no_doses': "டோஸ் எதுவும் இல்லை",
+    'adherence.med_month': "   - கடந்த 30 நாட்கள்: {percentage}% ({missed} தவறியது)",
+    'adherence.med_streak': "   - தொடர்ச்சி: {current} நாட்கள் (சிறந்தது {best})",
+    'adherence.med_most_missed': "   - அதிகம் தவறியது: {time}",
+    'adherence.unavailable': "❌ மருந்து விவரம் இப்போது கிடைக்கவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    'adherence.none': "டோஸ் எதுவும் பதிவாகவில்லை",
+    'adherence.summary': "{percentage}% ({total} இல் {taken} டோஸ்)",
+    'adherence.same_week': ", முந்தைய வாரத்தைப் போலவே",
+    'adherence.up_week': ", முந்தைய வாரத்தை விட 📈 {change}% அதிகம்",
+    'adherence.down_week': ", முந்தைய வாரத்தை விட 📉 {change}% குறைவு",
+    'adherence.same_month': ", முந்தைய 30 நாட்களைப் போலவே",
+    'adherence.up_month': ", முந்தைய 30 நாட்களை விட 📈 {change}% அதிகம்",
+    'adherence.down_month': ", முந்தைய 30 நாட்களை விட 📉 {change}% குறைவு",
+
+    // Symptom assessment
+    'symptom.ask_primary': "உங்களுக்கு என்ன தொந்தரவு இருக்கிறது? சுருக்கமாகச் சொல்லுங்கள்.\n\nஉதாரணம்: 'தலைவலி', 'வயிற்றுவலி', 'இருமல்' போன்றவை.",
+    'symptom.restart': "மன்னிக்கவும், அறிகுறி சோதனையில் ஏதோ தவறு நடந்தது. மீண்டும் தொடங்கலாம்.",
+    'symptom.emergency_title': "🚨 *இது மருத்துவ அவசரநிலையாக இருக்கலாம்*",
+    'symptom.family_alerted': "உங்களுக்கு உதவ உங்கள் குடும்பத்தினருக்கும் அவசரத் தொடர்பு நபருக்கும் தெரிவித்துவிட்டேன்.",
+    'symptom.emergency_closed': "உங்களுக்குத் தேவையான உதவி கிடைக்கிறது என்று நம்புகிறேன். நிலைமை மோசமானால் உடனே அவசர சேவையை அழையுங்கள்.\n\n{helplines}\n\nபுதிய அறிகுறியைச் சோதிக்க எப்போது வேண்டுமானாலும் 'symptom' என்று எழுதுங்கள்.",
+    'symptom.reply_with_answer_number': "உங்கள் பதிலின் எண்ணை அனுப்புங்கள்.",
+    'symptom.describe_briefly': "சில வார்த்தைகளில் சொல்லுங்கள்.",
+    'symptom.follow_up_tomorrow': "நாளை உங்கள் அறிகுறிகள் எப்படி இருக்கின்றன என்று கேட்பேன். நீங்கள் நன்றாக, அப்படியே அல்லது மோசமாக உணர்கிறீர்களா என்பதைப் பொறுத்து புதிய ஆலோசனை தருவேன்.",
+    'symptom.none_active': "இப்போது உங்களுக்கு எந்த அறிகுறி சோதனையும் நடக்கவில்லை. ஏதேனும் தொந்தரவு இருந்தால், புதிய சோதனையைத் தொடங்க 'symptom' என்று எழுதுங்கள்.",
+    'symptom.history_title': "📊 *உங்கள் அறிகுறி வரலாறு*",
+    'symptom.history_entry': "*{number}. {symptom}*\nதொடங்கியது: {date}\nகண்காணித்த நாட்கள்: {days}",
+    'symptom.history_latest': "சமீபத்திய நிலை: {status}",
+    'symptom.history_update_hint': "உங்கள் அறிகுறியின் நிலையைச் சொல்ல 'check symptom status' என்று எழுதுங்கள்.",
+    'symptom.history_error': "மன்னிக்கவும், இப்போது உங்கள் அறிகுறி வரலாற்றைப் பெற முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'symptom.fallback_question': "இந்தத் தொந்தரவு எத்தனை நாளாக இருக்கிறது?",
+    'symptom.fallback_option_1': "ஒரு நாளுக்கும் குறைவாக",
+    'symptom.fallback_option_2': "1-3 நாட்கள்",
+    'symptom.fallback_option_3': "4-7 நாட்கள்",
+    'symptom.fallback_option_4': "ஒரு வாரத்துக்கும் மேல்",
+    'symptom.progression_disclaimer': "⚠️ *கவனிக்கவும்*: இந்தத் தகவல் மருத்துவரின் ஆலோசனைக்கு மாற்றாகாது. அறிகுறிகள் தீவிரமாக இருந்தால் அல்லது கவலையாக இருந்தால் மருத்துவரைப் பாருங்கள்.",
+    'symptom.progression_error': "மன்னிக்கவும், இப்போது உங்கள் அறிகுறிகளின் மாற்றத்தைப் புரிந்துகொள்ள முடியவில்லை. முன்னெச்சரிக்கையாக, அறிகுறிகள் தொடர்ந்தால் அல்லது அதிகமானால் மருத்துவரைப் பாருங்கள். இந்த அறிகுறிகளைத் தொடர்ந்து கண்காணிக்க விரும்புகிறீர்களா?",
+    'symptom.assessment_error': "மன்னிக்கவும், இப்போது உங்கள் அறிகுறி சோதனையை முடிக்க முடியவில்லை. அறிகுறிகள் பற்றிக் கவலை இருந்தால் மருத்துவரைப் பாருங்கள்.",
+
+    // Red-flag symptoms
+    'redflag.label_chest_pain': "நெஞ்சு வலி அல்லது மூச்சுத் திணறல்",
+    'redflag.label_stroke': "பக்கவாதத்தின் சாத்தியமான அறிகுறிகள்",
+    'redflag.label_severe_bleeding': "கடுமையான இரத்தப்போக்கு",
+    'redflag.label_fainting': "மயக்கம் அல்லது சுயநினைவு இழத்தல்",
+    'redflag.label_suicidal': "தற்கொலை அல்லது தன்னைத் தானே காயப்படுத்தும் எண்ணங்கள்",
+    'redflag.guidance_chest_pain': "நெஞ்சு வலி அல்லது மூச்சுத் திணறல் மாரடைப்பாகவோ வேறு அவசர நிலையாகவோ இருக்கலாம்.\n\n• இப்போதே ஆம்புலன்ஸை அழைக்கவும் — நீங்களே வண்டி ஓட்ட வேண்டாம்\n• நிமிர்ந்து உட்காருங்கள், அசையாமல் இருங்கள், இறுக்கமான ஆடைகளைத் தளர்த்துங்கள்\n• நெஞ்சு வலிக்கு மருத்துவர் மருந்து (GTN ஸ்ப்ரே போன்றவை) கொடுத்திருந்தால், சொன்னபடி பயன்படுத்துங்கள்\n• உதவி உள்ளே வர கதவைத் திறந்து வையுங்கள்",
+    'redflag.guidance_stroke': "இவை பக்கவாதத்தின் அறிகுறிகளாக இருக்கலாம். *FAST* நினைவில் கொள்ளுங்கள்:\n*F* முகம் கோணுதல் · *A* கையில் பலவீனம் · *S* பேசுவதில் சிரமம் · *T* உதவிக்கு அழைக்கும் நேரம்\n\n• உடனே ஆம்புலன்ஸை அழைக்கவும்\n• அறிகுறிகள் தொடங்கிய நேரத்தைக் குறித்துக்கொள்ளுங்கள் — மருத்துவர்கள் கேட்பார்கள்\n• மருத்துவர் பார்க்கும் வரை எதையும் சாப்பிடவோ குடிக்கவோ மருந்து எடுக்கவோ வேண்டாம்",
+    'redflag.guidance_severe_bleeding': "கடுமையான இரத்தப்போக்குக்கு உடனே உதவி தேவை.\n\n• சுத்தமான துணியால் காயத்தின் மீது உறுதியாக அழுத்தி, அழுத்திக்கொண்டே இருங்கள்\n• முடிந்தால் காயம்பட்ட பகுதியை இதயத்துக்கு மேலே உயர்த்துங்கள்\n• ஆம்புலன்ஸை அழைக்கவும் — இரத்தம் உறையாமல் தடுக்கும் மருந்து எடுத்தால் அவர்களிடம் சொல்லுங்கள்",
+    'redflag.guidance_fainting': "மயக்கம் அல்லது சுயநினைவு இழப்பை உடனே மருத்துவர் பார்க்க வேண்டும்.\n\n• கால்களை உயர்த்தி படுத்துக்கொள்ளுங்கள், அல்லது முழங்கால்களுக்கு இடையே தலையை வைத்து உட்காருங்கள்\n• வேகமாக எழ வேண்டாம், தனியாக இருக்க வேண்டாம்\n• எச்சரிக்கை இல்லாமல், நெஞ்சு வலியுடன், அல்லது கீழே விழுந்த பின் நடந்திருந்தால் ஆம்புலன்ஸை அழைக்கவும்",
+    'redflag.guidance_suicidal': "நீங்கள் இப்படி உணர்வது எனக்கு மிகவும் வருத்தமாக இருக்கிறது. நீங்கள் தனியாக இல்லை, உங்களுக்கு இப்போதே ஆதரவு கிடைக்க வேண்டும்.\n\n• நம்பிக்கையான ஒருவரிடம் பேசுங்கள், அல்லது கீழே உள்ள உதவி எண்ணை அழையுங்கள்\n• இந்த எண்ணங்களின்படி நடந்துவிடுவீர்கள் என்று தோன்றினால், இப்போதே அவசர சேவையை அழைக்கவும்\n• யாருடனாவது இருங்கள், உங்களைக் காயப்படுத்தக்கூடிய எதிலிருந்தும் விலகி இருங்கள்",
+    'helpline.emergency': "📞 *அவசரம்:* {number}",
+    'helpline.emergency_unknown_country': "📞 *அவசரம்:* {number} (அல்லது உங்கள் உள்ளூர் அவசர எண்)",
+    'helpline.ambulance': "🚑 *ஆம்புலன்ஸ்:* {number}",
+    'helpline.support': "💬 *உதவி எண்:* {number}",
+
+    // Symptom follow-ups
+    'followup.title': "👋 *தொடர் விசாரிப்பு: {symptom}*",
+    'followup.how_now': "இப்போது எப்படி உணர்கிறீர்கள்?",
+    'followup.day_since': "நீங்கள் {symptom} பற்றிச் சொல்லி ஒரு நாள் ஆகிறது. இப்போது எப்படி உணர்கிறீர்கள்?",
+    'followup.another_day_since': "நீங்கள் {symptom} பற்றிச் சொல்லி இன்னொரு நாள் ஆகிறது. இப்போது எப்படி உணர்கிறீர்கள்?",
+    'followup.options': "1️⃣ பரவாயில்லை/முன்னேற்றம்\n2️⃣ ஏறக்குறைய அப்படியே\n3️⃣ மோசமாகியுள்ளது\n4️⃣ விசாரிப்பை முடிக்க (தொந்தரவு சரியானது அல்லது இனி கண்காணிக்க வேண்டாம்)\n\nஉங்கள் தேர்வின் எண்ணை அனுப்புங்கள்.",
+    'followup.completed': "✅ சுகூன் சாரதியுடன் அறிகுறிகளைக் கண்காணித்ததற்கு நன்றி. உங்கள் தொடர் விசாரிப்பு முடிந்தது.",
+    'followup.next_tomorrow': "நாளை மீண்டும் உங்கள் நலம் விசாரிப்பேன். அதற்கு முன் அறிகுறிகளில் பெரிய மாற்றம் இருந்தால், முதன்மை மெனுவில் அறிகுறி சோதனையைத் தேர்ந்தெடுங்கள்.",
+    'followup.restart': "மன்னிக்கவும், உங்கள் பதிலைப் பதிவு செய்ய முடியவில்லை. மீண்டும் தொடங்கலாம்.",
+    'followup.error': "மன்னிக்கவும், உங்கள் தொடர் விசாரிப்பைப் பதிவு செய்வதில் சிக்கல் ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+    'followup.stage_error': "மன்னிக்கவும், உங்கள் தொடர் விசாரிப்பில் ஏதோ தவறு நடந்தது. மீண்டும் தொடங்கலாம்.",
+    'followup.choose_assessment': "உங்களுக்குப் பல அறிகுறி சோதனைகள் நடந்துகொண்டிருக்கின்றன. எதன் நிலையைச் சொல்ல விரும்புகிறீர்கள்?",
+    'followup.assessment_option': "{number}. {symptom} ({date} முதல்)",
+    'followup.status_error': "மன்னிக்கவும், இப்போது உங்கள் அறிகுறி நிலையைப் பெற முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+
+    // SOS and caregiver alerts
+    'sos.sent': "🆘 உங்கள் SOS அனுப்பப்பட்டது. {names} அவர்களுக்குத் தெரிவித்துள்ளேன்.\n\nயாராவது பதிலளிக்கும் வரை அவர்களுக்குத் தொடர்ந்து தெரிவிப்பேன், பதில் வந்ததும் உங்களுக்குச் சொல்வேன்.\n\nநீங்கள் ஆபத்தில் இருந்தால், இப்போதே அவசர சேவையை அழைக்கவும்:\n{helplines}",
+    'sos.sent_again': "🆘 {names} அவர்களுக்கு மீண்டும் தெரிவித்துள்ளேன்.\n\nயாராவது பதிலளிக்கும் வரை அவர்களுக்குத் தொடர்ந்து தெரிவிப்பேன், பதில் வந்ததும் உங்களுக்குச் சொல்வேன்.\n\nநீங்கள் ஆபத்தில் இருந்தால், இப்போதே அவசர சேவையை அழைக்கவும்:\n{helplines}",
+    'sos.not_delivered': "🆘 உங்கள் குடும்பத்தினர் அல்லது அவசரத் தொடர்பு யாரையும் என்னால் அடைய முடியவில்லை.\n\nஇப்போதே உதவிக்கு அழைக்கவும்:\n{helplines}",
+    'sos.acknowledged': "✅ {caregiver} உங்கள் SOS ஐப் பார்த்து உதவிக்கு வருகிறார்.",
+    'sos.confirm': "🆘 உங்களுக்கு உடனடி உதவி தேவையா? *SOS* என்று பதிலளியுங்கள், உங்கள் குடும்பத்தினருக்கும் அவசரத் தொடர்புக்கும் உடனே தெரிவிப்பேன்.\n\nநீங்கள் ஆபத்தில் இருந்தால், இப்போதே அவசர சேவையை அழைக்கவும்:\n{helplines}\n\nநீங்கள் வேறு ஏதாவது கேட்க நினைத்திருந்தால், நான் என்ன செய்ய முடியும் என்று பார்க்க *menu* என்று பதிலளியுங்கள்.",
+    'alert.sos': "🆘 *{name} அவர்களிடமிருந்து SOS*\n\n{name} உதவி கேட்டுள்ளார்.\n📍 *இடம்:* {location}\n🕒 *நேரம்:* {time} ({timezone})\n\nஉடனே அவர்களை அழையுங்கள். தொடர்பு கொள்ள முடியவில்லை என்றால், அவசர சேவையை ({emergency}) அழையுங்கள்.\nநீங்கள் கவனிக்கத் தொடங்கியதும் *ack* என்று பதிலளிக்கவும் — யாராவது அப்படிச் செய்யும் வரை இந்த எச்சரிக்கை ஒவ்வொரு {minutes} நிமிடத்துக்கும் மீண்டும் வரும். (எச்சரிக்கை {alertId})",
+    'alert.location_unknown': "சேமிக்கப்படவில்லை",
+    'alert.symptom_emergency': "🚨 *சாத்தியமான அவசர நிலை: {name}*\n\nஅவசர சிகிச்சை தேவைப்படக்கூடிய அறிகுறிகளை {name} தெரிவித்துள்ளார் ({symptom}):\n\"{description}\"\n\nஅவர்களுக்கு அவசர வழிகாட்டலும் உதவி எண்களும் வழங்கப்பட்டுள்ளன. உடனே அவர்களைத் தொடர்பு கொள்ளுங்கள்.\nநீங்கள் கவனித்துக்கொள்கிறீர்கள் என்று மற்றவர்களுக்குத் தெரிவிக்க *ack* என்று பதிலளிக்கவும். (எச்சரிக்கை {alertId})",
+    'alert.checkin_concern': "🚨 *அவசரக் கவலை: {name}*\n\nநலம் விசாரிப்பின்போது {name} தெரிவித்தது: {concerns}.\n{excerpt}\nமுடிந்தவரை விரைவில் அவர்களை விசாரியுங்கள்.\nநீங்கள் கவனித்துக்கொள்கிறீர்கள் என்று மற்றவர்களுக்குத் தெரிவிக்க *ack* என்று பதிலளிக்கவும். (எச்சரிக்கை {alertId})",
+    'alert.checkin_concern_excerpt': "\n*அவர்கள் சொன்னது:*\n{excerpt}\n",
+    'alert.missed_unanswered': "⚠️ *மருந்து தவறிய எச்சரிக்கை*\n\n{medicine} க்கான கடைசி {count} நினைவூட்டல்களுக்கு {name} பதிலளிக்கவில்லை.\n\nநீங்கள் அவர்களை விசாரிக்கலாம்.\nநீங்கள் கவனித்துக்கொள்கிறீர்கள் என்று மற்றவர்களுக்குத் தெரிவிக்க *ack* என்று பதிலளிக்கவும். (எச்சரிக்கை {alertId})",
+    'alert.missed_per_week': "⚠️ *மருந்து தவறிய எச்சரிக்கை*\n\nகடந்த 7 நாட்களில் {name} {medicine} ஐ {count} முறை தவறவிட்டுள்ளார்.\n\nநீங்கள் அவர்களை விசாரிக்கலாம்.\nநீங்கள் கவனித்துக்கொள்கிறீர்கள் என்று மற்றவர்களுக்குத் தெரிவிக்க *ack* என்று பதிலளிக்கவும். (எச்சரிக்கை {alertId})",
+    'alert.repeat_prefix': "🔁 *இன்னும் யாரும் கவனிக்கவில்லை — மறுமுறை {count}*",
+    'alert.escalated_prefix': "⏫ *அடுத்தவருக்கு அனுப்பப்பட்டது — இன்னும் யாரும் கவனிக்கவில்லை*",
+    'alert.acknowledged_by': "✅ {name} பற்றிய எச்சரிக்கையை (எச்சரிக்கை {alertId}) {caregiver} பார்த்து கவனித்துக்கொள்கிறார்.",
+    'alert.none_open': "✅ உங்களுக்குத் திறந்த எச்சரிக்கைகள் எதுவும் இல்லை.",
+    'alert.open_title': "🚨 *உங்கள் திறந்த எச்சரிக்கைகள்*",
+    'alert.open_item': "{number}. {type} — *{name}*\n   எச்சரிக்கை {alertId} · {age}",
+    'alert.open_step': " · அடுத்தவருக்கு அனுப்பும் படி {steps} இல் {step}",
+    'alert.open_ack_hint': "ஒன்றைக் கவனித்ததாகத் தெரிவிக்க *ack <alert id>* என்று பதிலளிக்கவும், உதாரணம்: \"ack {alertId}\".",
+    'alert.type_sos': "🆘 SOS",
+    'alert.type_symptom_emergency': "🚨 சாத்தியமான அவசர நிலை",
+    'alert.type_checkin_concern': "🚨 நலம் விசாரிப்பில் அவசரக் கவலை",
+    'alert.type_missed_medication': "⚠️ மருந்து தவறியது",
+    'alert.type_other': "எச்சரிக்கை",
+    'alert.ack_not_found': "{alertId} என்ற திறந்த எச்சரிக்கை கிடைக்கவில்லை. அது ஏற்கனவே கவனிக்கப்பட்டிருக்கலாம்.",
+    'alert.ack_none': "கவனிக்க உங்களுக்குத் திறந்த எச்சரிக்கைகள் எதுவும் இல்லை.",
+    'alert.ack_done': "✅ நன்றி — {name} பற்றிய எச்சரிக்கையை (எச்சரிக்கை {alertId}) நீங்கள் கவனித்துள்ளீர்கள். எச்சரிக்கை பெற்ற மற்ற அனைவருக்கும் நீங்கள் கவனித்துக்கொள்வதாகத் தெரிவிக்கப்பட்டது.",
+    'alert.ack_already': "✅ {name} பற்றிய எச்சரிக்கையை (எச்சரிக்கை {alertId}) {caregiver} ஏற்கனவே கவனித்துக்கொண்டிருக்கிறார். நீங்கள் இனி எதுவும் செய்யத் தேவையில்லை.",
+
+    // Times and days
+    'time.today': "இன்று",
+    'time.minutes_ago': "{count} நிமிடங்களுக்கு முன்",
+    'time.hours_ago': "{count} மணி நேரத்துக்கு முன்",
+    'time.one_day_ago': "1 நாளுக்கு முன்",
+    'time.days_ago': "{count} நாட்களுக்கு முன்",
+    'day.sun': "ஞாயி",
+    'day.mon': "திங்",
+    'day.tue': "செவ்",
+    'day.wed': "புத",
+    'day.thu': "வியா",
+    'day.fri': "வெள்",
+    'day.sat': "சனி",
+
+    // Acting for a family member ("for:<number> ...")
+    'proxy.not_linked': "{phone} ஐ நிர்வகிக்க உங்களுக்கு அனுமதி இல்லை.",
+    'proxy.fallback_parent_name': "உங்கள் பெற்றோர்",
+    'proxy.fallback_caregiver_name': "உங்கள் பராமரிப்பாளர்",
+    'proxy.no_permission_manage_medications': "{name} அவர்களின் மருந்துகளை நிர்வகிக்க உங்களுக்கு அனுமதி இல்லை.",
+    'proxy.no_permission_view_medications': "{name} அவர்களின் மருந்துகளைப் பார்க்க உங்களுக்கு அனுமதி இல்லை.",
+    'proxy.no_permission_view_symptoms': "{name} அவர்களின் அறிகுறிகளைப் பார்க்க உங்களுக்கு அனுமதி இல்லை.",
+    'proxy.no_permission_view_reports': "{name} அவர்களின் அறிக்கைகளைப் பார்க்க உங்களுக்கு அனுமதி இல்லை.",
+    'proxy.add_start': "{name} அவர்களுக்கு மருந்து சேர்க்க உதவுகிறேன்.\n\nமருந்தின் பெயரை உள்ளிடவும்:",
+    'proxy.no_medications': "{name} அவர்களுக்கு மருந்துகள் எதுவும் இல்லை.",
+    'proxy.update_which': "{name} அவர்களின் எந்த மருந்தை மாற்ற விரும்புகிறீர்கள்?\n\n{list}",
+    'proxy.delete_which': "{name} அவர்களின் எந்த மருந்தை நீக்க விரும்புகிறீர்கள்?\n\n{list}\nஉங்கள் தேர்வின் எண்ணை அனுப்பவும்.",
+    'proxy.medications_title': "{name} அவர்களின் மருந்துகள்:",
+    'proxy.medication_item': "{number}. {medicine}\n   நேரம்: {time}, எத்தனை முறை: {frequency}",
+    'proxy.invite_usage': "{name} அவர்களுக்கு ஒரு பராமரிப்பாளரை அழைக்க \"for:{phone} invite\" என்று எழுதி, அவர்களின் தொலைபேசி எண்ணையும் பங்கையும் (primary, secondary அல்லது view-only) அனுப்பவும்.",
+    'proxy.unknown_command': "இந்தக் கட்டளை புரியவில்லை. {name} அவர்கள் சார்பாக நீங்கள் பயன்படுத்தக்கூடியவை:\n• \"add medicine\", \"update medicine\", \"delete medicine\"\n• \"check medications\", \"history\", \"adherence\"\n• \"report\", \"symptoms\", \"follow-ups\"\n• \"invite <phone> <role>\"",
+    'proxy.error': "உங்கள் கோரிக்கையைச் செயல்படுத்தும்போது பிழை ஏற்பட்டது.",
+    'proxy.no_recent_symptoms': "கடந்த 30 நாட்களில் {name} எந்த அறிகுறியையும் தெரிவிக்கவில்லை.",
+    'proxy.recent_symptoms_title': "🩺 *{name} அவர்களின் சமீபத்திய அறிகுறிகள்*",
+    'proxy.recent_symptom_item': "{number}. *{symptom}* — {date}, {status}",
+    'proxy.symptom_active': "தொடர்ந்து விசாரிக்கப்படுகிறது",
+    'proxy.symptom_closed': "முடிந்தது",
+    'proxy.no_follow_ups': "{name} அவர்களுக்குத் திறந்த தொடர் விசாரிப்புகள் எதுவும் இல்லை.",
+    'proxy.follow_ups_title': "🔁 *{name} அவர்களின் திறந்த தொடர் விசாரிப்புகள்*",
+    'proxy.follow_up_item': "{number}. *{symptom}* — தெரிவித்தது: {when}",
+    'proxy.follow_up_last': "   கடைசி நிலை: {status}",
+    'proxy.follow_up_none': "   இன்னும் தொடர் விசாரிப்பு பதில்கள் இல்லை",
+    'proxy.status_improved': "முன்பை விட நன்றாக",
+    'proxy.status_same': "ஏறக்குறைய அதே நிலை",
+    'proxy.status_worse': "முன்பை விட மோசம் ⚠️",
+    'proxy.notice_add_started': "{caregiver} உங்களுக்காக ஒரு மருந்தைச் சேர்க்கத் தொடங்கியுள்ளார்.",
+    'proxy.notice_update_started': "{caregiver} உங்கள் மருந்துகளில் ஒன்றை மாற்றத் தொடங்கியுள்ளார்.",
+    'proxy.notice_delete_started': "{caregiver} உங்கள் மருந்துகளில் ஒன்றை நீக்கத் தொடங்கியுள்ளார்.",
+    'proxy.notice_medication_added': "{caregiver} உங்களுக்காக ஒரு புதிய மருந்தைச் சேர்த்துள்ளார்: {medicine} ({dosage}), {time} மணிக்கு",
+    'proxy.notice_medication_added_prn': "{caregiver} உங்களுக்காக ஒரு புதிய மருந்தைச் சேர்த்துள்ளார்: {medicine} ({dosage}), தேவைப்படும்போது எடுக்க",
+    'proxy.notice_medication_updated': "{caregiver} உங்கள் மருந்துகளில் ஒன்றை மாற்றியுள்ளார்: {medicine}",
+    'proxy.notice_medication_deleted': "{caregiver} உங்கள் மருந்துகளில் ஒன்றை நீக்கியுள்ளார்: {medicine}",
+    'proxy.notice_history_viewed': "{caregiver} கடந்த 7 நாட்களுக்கான உங்கள் மருந்து வரலாற்றைப் பார்த்துள்ளார்.",
+    'proxy.notice_history_all_viewed': "{caregiver} உங்கள் முழு மருந்து வரலாற்றையும் பார்த்துள்ளார்.",
+    'proxy.notice_medications_viewed': "{caregiver} உங்கள் மருந்துகளைப் பார்த்துள்ளார் ({count} மருந்துகள்).",
+    'proxy.notice_medications_none_viewed': "{caregiver} உங்கள் மருந்துகளைப் பார்த்தார். இன்னும் மருந்துகள் எதுவும் சேர்க்கப்படவில்லை.",
+    'proxy.notice_adherence_viewed': "நீங்கள் மருந்துகளை எவ்வளவு முறையாக எடுக்கிறீர்கள் என்பதை {caregiver} பார்த்துள்ளார்.",
+    'proxy.notice_follow_ups_viewed': "{caregiver} உங்கள் அறிகுறிகளின் திறந்த தொடர் விசாரிப்புகளைப் பார்த்துள்ளார்.",
+    'proxy.notice_symptoms_viewed': "{caregiver} உங்கள் சமீபத்திய அறிகுறிகளைப் பார்த்துள்ளார்.",
+    'proxy.notice_report_viewed': "{caregiver} உங்களைப் பற்றிய இன்றைய அறிக்கையைப் பார்த்துள்ளார்.",
+    'proxy.notice_caregiver_invited': "{caregiver} உங்கள் {role} ஆக இருக்க {phone} ஐ அழைத்துள்ளார்.",
+
+    // Weekly digest
+    'digest.title': "📅 *வாராந்திரச் சுருக்கம்*\n_கடந்த 7 நாட்கள் ஒரே பார்வையில்_",
+    'digest.section_wellbeing': "😊 *நலம்*",
+    'digest.section_medication': "💊 *மருந்துகள்*",
+    'digest.section_symptoms': "🩺 *அறிகுறிகள்*",
+    'digest.footer': "அறிக்கைகள் எவ்வளவு அடிக்கடி வர வேண்டும் என்பதை மாற்ற \"reports\" என்று அனுப்பவும்.",
+    'digest.template_prefix': "வாராந்திரச் சுருக்கம்.",
+    'digest.fallback_name': "உங்கள் குடும்ப உறுப்பினர்",
+    'digest.no_checkins': "இந்த வாரம் நலம் விசாரிப்புகள் எதுவும் இல்லை.",
+    'digest.mood': "மனநிலை: {moods} ({count} நலம் விசாரிப்புகள்)",
+    'digest.trend_steady': "போக்கு: கடந்த வாரத்தைப் போலவே",
+    'digest.trend_improving': "போக்கு: கடந்த வாரத்தை விட 📈 முன்னேற்றம்",
+    'digest.trend_lower': "போக்கு: கடந்த வாரத்தை விட 📉 குறைவு",
+    'digest.concerns': "தெரிவித்த கவலைகள்: {concerns}",
+    'digest.no_concerns': "எந்தக் கவலையும் தெரிவிக்கப்படவில்லை.",
+    'digest.no_doses': "இந்த வாரம் நினைவூட்டப்பட்ட டோஸ் எதுவும் பதிவாகவில்லை.",
+    'digest.adherence': "மருந்து நேரத்துக்கு: {summary}",
+    'digest.missed_doses': "தவறிய டோஸ்கள்: {doses}",
+    'digest.no_missed_doses': "எந்த டோஸும் தவறவில்லை. 👏",
+    'digest.most_missed_time': "அதிகம் தவறிய நேரம்: {time}",
+    'digest.symptoms': "தெரிவித்த அறிகுறிகள்: {symptoms}",
+    'digest.no_symptoms': "இந்த வாரம் அறிகுறிகள் எதுவும் தெரிவிக்கப்படவில்லை.",
+    'digest.open_follow_ups': "திறந்த தொடர் விசாரிப்புகள்: {followUps}",
+    'digest.follow_up_since': "{symptom} ({date} முதல்)",
+
+    // Check-ins, when the AI is unavailable
+    'checkin.fallback_question': "வணக்கம் {name}! இன்று எப்படி உணர்கிறீர்கள்? உங்கள் நாள் எப்படிப் போகிறது என்று கேட்க ஆசையாக இருக்கிறது. 😊",
+    'checkin.fallback_reply': "என்னுடன் பகிர்ந்ததற்கு நன்றி. பதில் அளிக்க நேரம் ஒதுக்கியதற்கு மிக்க நன்றி. 😊",
+    'checkin.fallback_follow_up': "கேட்க நன்றாக இருக்கிறது. இன்று எப்படி உணர்கிறீர்கள் என்று இன்னும் கொஞ்சம் சொல்வீர்களா? 😊",
+    'checkin.fallback_second_follow_up': "இன்று நீங்கள் நன்றாக உணர ஏதாவது உதவுமா? நான் கேட்க இங்கே இருக்கிறேன். 💗",
+    'checkin.fallback_final': "என்னுடன் இவற்றைப் பகிர்ந்ததற்கு மிக்க நன்றி. உங்களுடன் பேசியது மகிழ்ச்சி, உங்கள் நாள் இனிதாக அமையட்டும். உடலைப் பார்த்துக்கொள்ளுங்கள்! 💗",
+
+    // Resuming a check-in after a medication reminder
+    'checkin.resume': "சரி, நாம் முன்பு பேசியதைத் தொடர்வோம். நீங்கள் இதற்குப் பதிலளித்துக்கொண்டிருந்தீர்கள்: \"{question}\"",
+    'checkin.resume_last_question': "என் கடைசி கேள்வி",
+
+    // General AI replies
+    'ai.disclaimer': "⚠️ *முக்கியம்*: இந்தத் தகவல் நோய் கண்டறிதல் அல்ல. உடல்நலக் கவலைகளுக்கு எப்போதும் மருத்துவரை அணுகுங்கள்.",
+    'ai.error': "மன்னிக்கவும், இப்போது உங்கள் கோரிக்கையைச் செயல்படுத்த முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்."
+};
@@ -0,0 +1,94 @@
+// middleware/authMiddleware.js - Twilio webhook request verification
+const twilio = require('twilio');
+const { WEBHOOK_CONFIG } = require('../config/config');
+const { WebhookMessageModel } = require('../models/dbModels');
+
+/**
+ * Rebuild the full URL Twilio used when signing the request
+ * @param {Object} req - Express request object
+ * @returns {string} - Full request URL including query string
+ */
+function getRequestUrl(req) {
+    if (WEBHOOK_CONFIG.publicBaseUrl) {
+        return WEBHOOK_CONFIG.publicBaseUrl.replace(/\/+$/, '') + req.originalUrl;
+    }
+
+    // Behind a load balancer or tunnel the original protocol is in X-Forwarded-Proto
+    const protocol = (req.get('X-Forwarded-Proto') || req.protocol).split(',')[0].trim();
+    return `${protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Write an audit entry for a rejected webhook request
+ * @param {Object} req - Express request object
+ * @param {string} reason - Why the request was rejected
+ */
+function logRejectedRequest(req, reason) {
+    const auditEntry = {
+        event: 'webhook_rejected',
+        reason,
+        timestamp: new Date().toISOString(),
+        ip: req.ip,
+        url: req.originalUrl,
+        from: req.body && req.body.From ? req.body.From : null,
+        messageSid: req.body && req.body.MessageSid ? req.body.MessageSid : null
+    };
+
+    console.warn(`🚫 AUDIT: ${JSON.stringify(auditEntry)}`);
+}
+
+/**
+ * Express middleware that validates the X-Twilio-Signature header
+ * and rejects unsigned, forged or replayed webhook requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function validateTwilioRequest(req, res, next) {
+    if (WEBHOOK_CONFIG.bypassSignatureCheck) {
+        console.log(`⚠️ Twilio signature check bypassed (TWILIO_SIGNATURE_BYPASS is set)`);
+        return next();
+    }
+
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+        console.error("❌ Missing TWILIO_AUTH_TOKEN, cannot verify webhook requests");
+        logRejectedRequest(req, 'auth_token_not_configured');
+        return res.status(500).send("Webhook verification not configured");
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) {
+        logRejectedRequest(req, 'missing_signature');
+        return res.status(403).send("Forbidden");
+    }
+
+    const url = getRequestUrl(req);
+    const isValid = twilio.validateRequest(authToken, signature, url, req.body || {});
+
+    if (!isValid) {
+        logRejectedRequest(req, 'invalid_signature');
+        return res.status(403).send("Forbidden");
+    }
+
+    // A valid signature can be captured and re-sent, so each MessageSid is only accepted once
+    const messageSid = req.body && req.body.MessageSid;
+    if (messageSid) {
+        const isNew = await WebhookMessageModel.recordMessageSid(messageSid, WEBHOOK_CONFIG.replayWindowMs);
+        if (isNew === false) {
+            logRejectedRequest(req, 'replayed_message');
+            return res.status(409).send("Duplicate request");
+        }
+
+        // The signature is valid, so a failed check lets it through rather than dropping a real reply
+        if (isNew === null) {
+            console.warn(`⚠️ Couldn't check MessageSid ${messageSid} for replay; accepting it`);
+        }
+    }
+
+    return next();
+}
+
+module.exports = {
+    validateTwilioRequest
+};
@@ -1,7 +1,26 @@
 // models/dbModels.js - Database access functions
-const { DB_TABLES, createDynamoDBClient } = require('../config/config');
+const { DB_TABLES, CAREGIVER_ROLES, createDynamoDBClient } = require('../config/config');
+const { DEFAULT_TIMEZONE, getStartOfDayInZone, getUserTimezone, getNextOccurrence, toDueMinute, getZonedDateParts } = require('../utils/timeUtils');
+const { parsePillsPerDose } = require('../utils/messageUtils');
 const dynamoDB = createDynamoDBClient();
 
+/**
+ * Run a query and follow LastEvaluatedKey until every page has been read
+ * (DynamoDB returns at most 1 MB per call, before any filter is applied)
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Array>} - Items from all pages
+ */
+async function queryAllPages(params) {
+    const items = [];
+    let lastKey;
+    do {
+        const result = await dynamoDB.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    return items;
+}
+
 /**
  * User-related database functions
  */
@@ -119,21 +138,85 @@ hasRecentInteraction: async (phoneNumber) => {
             console.error(`❌ Error getting user details: ${error}`);
             return null;
         }
+    },
+
+    /**
+     * Update fields on a user record
+     * @param {string} phoneNumber - User's phone number
+     * @param {Object} updates - Field names and their new values
+     * @returns {Promise<boolean>} - Success status
+     */
+    updateUser: async (phoneNumber, updates) => {
+        try {
+            const fields = Object.keys(updates);
+            if (fields.length === 0) return true;
+
+            const params = {
+                TableName: DB_TABLES.USERS_TABLE,
+                Key: { phoneNumber },
+                UpdateExpression: "set " + fields.map((field, index) => `#f${index} = :v${index}`).join(', '),
+                ExpressionAttributeNames: {},
+                ExpressionAttributeValues: {}
+            };
+
+            fields.forEach((field, index) => {
+                params.ExpressionAttributeNames[`#f${index}`] = field;
+                params.ExpressionAttributeValues[`:v${index}`] = updates[field];
+            });
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error updating user: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Delete a user record
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Promise<boolean>} - Success status
+     */
+    deleteUser: async (phoneNumber) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.USERS_TABLE,
+                Key: { phoneNumber }
+            };
+
+            await dynamoDB.delete(params).promise();
+            console.log(`✅ Deleted user ${phoneNumber}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Error deleting user: ${error}`);
+            return false;
+        }
     }
 };
 
 /**
  * Relationship-related database functions
  */
+/**
+ * Whether a relationship is in effect. Invitations stay "pending" until the caregiver accepts;
+ * relationships from before invitations existed have no status and are active.
+ * @param {Object} relationship - Relationship record
+ * @returns {boolean} - Whether it is active
+ */
+const isActiveRelationship = (relationship) => !relationship.status || relationship.status === 'active';
+
 const RelationshipModel = {
     /**
      * Create a relationship between parent and child
      * @param {string} parentPhone - Parent's phone number
      * @param {string} childPhone - Child's phone number
      * @param {string} relationshipType - Type of relationship
+     * @param {string} role - Caregiver role: "primary", "secondary" or "view_only"
+     * @param {string} status - "active", or "pending" for an invitation not yet accepted
+     * @param {string|null} invitedBy - Who sent the invitation
      * @returns {Promise<boolean>} - Success status
      */
-    createRelationship: async (parentPhone, childPhone, relationshipType) => {
+    createRelationship: async (parentPhone, childPhone, relationshipType, role = 'primary', status = 'active', invitedBy = null) => {
         try {
             const params = {
                 TableName: DB_TABLES.RELATIONSHIPS_TABLE,
@@ -142,7 +225,10 @@ const RelationshipModel = {
                     parentPhone,
                     childPhone,
                     relationship: relationshipType,
-                    permissions: ['view_medications', 'manage_medications', 'view_symptoms', 'view_reports'],
+                    role,
+                    permissions: CAREGIVER_ROLES[role],
+                    status,
+                    invitedBy,
                     createdAt: new Date().toISOString()
                 }
             };
@@ -173,7 +259,7 @@ const RelationshipModel = {
             };
 
             const result = await dynamoDB.query(params).promise();
-            return result.Items || [];
+            return (result.Items || []).filter(isActiveRelationship);
         } catch (error) {
             console.error(`❌ Error getting child relationships: ${error}`);
             return [];
@@ -200,13 +286,136 @@ const RelationshipModel = {
             };
 
             const result = await dynamoDB.query(params).promise();
-            return result.Items.length > 0 ? result.Items[0] : null;
+            const relationship = result.Items.find(isActiveRelationship);
+            return relationship || null;
         } catch (error) {
             console.error(`❌ Error getting relationship: ${error}`);
             return null;
         }
     },
 
+    /**
+     * Get all relationships for a parent (their caregivers)
+     * @param {string} parentPhone - Parent's phone number
+     * @returns {Promise<Array>} - Array of relationships
+     */
+    getParentRelationships: async (parentPhone) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.RELATIONSHIPS_TABLE,
+                IndexName: 'ParentIndex',
+                KeyConditionExpression: "parentPhone = :pp",
+                ExpressionAttributeValues: {
+                    ":pp": parentPhone
+                }
+            };
+
+            const result = await dynamoDB.query(params).promise();
+            return (result.Items || []).filter(isActiveRelationship);
+        } catch (error) {
+            console.error(`❌ Error getting parent relationships: ${error}`);
+            return [];
+        }
+    },
+
+    /**
+     * Get invitations a caregiver hasn't answered yet
+     * @param {string} childPhone - Invited caregiver's phone number
+     * @returns {Promise<Array>} - Pending relationships, newest first
+     */
+    getPendingInvites: async (childPhone) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.RELATIONSHIPS_TABLE,
+                IndexName: 'ChildIndex',
+                KeyConditionExpression: "childPhone = :cp",
+                ExpressionAttributeValues: {
+                    ":cp": childPhone
+                }
+            };
+
+            const result = await dynamoDB.query(params).promise();
+            return (result.Items || [])
+                .filter(relationship => relationship.status === 'pending')
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.error(`❌ Error getting pending invites: ${error}`);
+            return [];
+        }
+    },
+
+    /**
+     * Get a relationship by ID, whatever its status
+     * @param {string} relationshipId - Relationship ID (parentPhone_childPhone)
+     * @returns {Promise<Object|null>} - Relationship or null if not found
+     */
+    getRelationshipById: async (relationshipId) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.RELATIONSHIPS_TABLE,
+                Key: { relationshipId }
+            };
+
+            const result = await dynamoDB.get(params).promise();
+            return result.Item || null;
+        } catch (error) {
+            console.error(`❌ Error getting relationship by ID: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Update fields on a relationship
+     * @param {string} relationshipId - Relationship ID
+     * @param {Object} updates - Fields to set
+     * @returns {Promise<boolean>} - Success status
+     */
+    updateRelationship: async (relationshipId, updates) => {
+        try {
+            const fields = Object.keys(updates);
+            if (fields.length === 0) return true;
+
+            const params = {
+                TableName: DB_TABLES.RELATIONSHIPS_TABLE,
+                Key: { relationshipId },
+                UpdateExpression: "set " + fields.map((field, index) => `#f${index} = :v${index}`).join(', '),
+                ExpressionAttributeNames: {},
+                ExpressionAttributeValues: {}
+            };
+
+            fields.forEach((field, index) => {
+                params.ExpressionAttributeNames[`#f${index}`] = field;
+                params.ExpressionAttributeValues[`:v${index}`] = updates[field];
+            });
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error updating relationship: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Delete a relationship
+     * @param {string} relationshipId - Relationship ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    deleteRelationship: async (relationshipId) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.RELATIONSHIPS_TABLE,
+                Key: { relationshipId }
+            };
+
+            await dynamoDB.delete(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error deleting relationship: ${error}`);
+            return false;
+        }
+    },
+
     /**
  * Get all relationships from the database
  * @returns {Promise<Array>} - All relationships
@@ -218,7 +427,7 @@ getAllRelationships: async () => {
         };
         
         const result = await dynamoDB.scan(params).promise();
-        return result.Items || [];
+        return (result.Items || []).filter(isActiveRelationship);
     } catch (error) {
         console.error(`❌ Error getting all relationships: ${error}`);
         return [];
@@ -239,9 +448,11 @@ const MedicationModel = {
      * @param {string} frequency - Frequency of medicine
      * @param {string} duration - Duration of medicine
      * @param {string} proxyUser - Who added the medication (if proxy)
+     * @param {number|null} pillCount - Pills in stock, or null if not tracked
+     * @param {Object|null} schedule - Which days doses fall on (see utils/scheduleUtils), or null for every day
      * @returns {Promise<boolean>} - Success status
      */
-    addMedication: async (userPhone, medicine, time, dosage = null, frequency = "daily", duration = null, proxyUser = null) => {
+    addMedication: async (userPhone, medicine, time, dosage = null, frequency = "daily", duration = null, proxyUser = null, pillCount = null, schedule = null) => {
         try {
             const startDate = new Date();
             let endDate = null;
@@ -251,9 +462,15 @@ const MedicationModel = {
                 endDate.setDate(endDate.getDate() + parseInt(duration));
             }
             
-            // Generate reminder times based on frequency
+            // Day-based schedules count from the user's local date when the medication was added
+            if (schedule && !schedule.startDate) {
+                const user = await UserModel.getUserDetails(userPhone);
+                schedule = { ...schedule, startDate: getZonedDateParts(getUserTimezone(user, userPhone), startDate).date };
+            }
+            
+            // Generate reminder times based on frequency; as-needed medications are never reminded
             const { generateReminderTimes } = require('../utils/timeUtils');
-            const reminderTimes = generateReminderTimes(time, frequency);
+            const reminderTimes = schedule && schedule.type === 'prn' ? [] : generateReminderTimes(time, frequency);
             
             const params = {
                 TableName: DB_TABLES.MEDICATIONS_TABLE,
@@ -262,7 +479,6 @@ const MedicationModel = {
                     medicine,
                     time,
                     reminderTimes: reminderTimes, // Use the generated reminder times here
-                    taken: false,
                     dosage,
                     frequency,
                     duration,
@@ -270,14 +486,18 @@ const MedicationModel = {
                     endDate: endDate ? endDate.toISOString() : null,
                     missedCount: 0,
                     takenCount: 0,
-                    takenTimes: [],
-                    missedTimes: [],
-                    addedBy: proxyUser
+                    addedBy: proxyUser,
+                    pillCount,
+                    pillsPerDose: parsePillsPerDose(dosage),
+                    lowStockAlertSent: false,
+                    schedule
                 }
             };
     
             await dynamoDB.put(params).promise();
             console.log(`✅ Medication added for ${userPhone}: ${medicine}${proxyUser ? ` by ${proxyUser}` : ''}`);
+            
+            await ReminderScheduleModel.scheduleMedication(params.Item);
             return true;
         } catch (error) {
             console.error(`❌ Error adding medication: ${error}`);
@@ -347,6 +567,13 @@ const MedicationModel = {
                 };
                 
                 await dynamoDB.delete(deleteParams).promise();
+                await ReminderScheduleModel.clearMedication(userPhone, medicationToUpdate.medicine);
+            }
+            
+            // Reminder times may have changed, so rebuild the medication's schedule entries
+            const updatedMedication = await MedicationModel.getMedication(userPhone, updateData.newMedicineName || medicationToUpdate.medicine);
+            if (updatedMedication) {
+                await ReminderScheduleModel.scheduleMedication(updatedMedication);
             }
             
             console.log(`✅ Updated medication for ${userPhone}: ${oldMedicineName}`);
@@ -364,7 +591,7 @@ const MedicationModel = {
      */
     getUserMedications: async (userPhone) => {
         try {
-            // Handle the case when userPhone is null (called from reminderService)
+            // Handle the case when userPhone is null (all medications)
             if (!userPhone) {
                 // Return empty array or optionally perform a scan operation
                 const scanParams = {
@@ -389,6 +616,60 @@ const MedicationModel = {
         }
     },
 
+    /**
+     * Set fields on a medication without touching its reminder schedule
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name as stored
+     * @param {Object} updates - Field names and their new values
+     * @returns {Promise<boolean>} - Success status
+     */
+    updateMedicationFields: async (userPhone, medicine, updates) => {
+        try {
+            const fields = Object.keys(updates);
+            if (fields.length === 0) return true;
+
+            const params = {
+                TableName: DB_TABLES.MEDICATIONS_TABLE,
+                Key: { userPhone, medicine },
+                UpdateExpression: "set " + fields.map((field, index) => `#f${index} = :v${index}`).join(', '),
+                ExpressionAttributeNames: {},
+                ExpressionAttributeValues: {}
+            };
+
+            fields.forEach((field, index) => {
+                params.ExpressionAttributeNames[`#f${index}`] = field;
+                params.ExpressionAttributeValues[`:v${index}`] = updates[field];
+            });
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error updating medication fields: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Get a single medication by its exact name
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name as stored
+     * @returns {Promise<Object|null>} - Medication or null if not found
+     */
+    getMedication: async (userPhone, medicine) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.MEDICATIONS_TABLE,
+                Key: { userPhone, medicine }
+            };
+
+            const result = await dynamoDB.get(params).promise();
+            return result.Item || null;
+        } catch (error) {
+            console.error(`❌ Error getting medication: ${error}`);
+            return null;
+        }
+    },
+
     /**
      * Mark a medication as taken
      * @param {string} userPhone - User's phone number
@@ -407,25 +688,43 @@ const MedicationModel = {
                 return false;
             }
 
-            const takenCount = (medicationToUpdate.takenCount || 0) + 1;
-            const takenTimes = medicationToUpdate.takenTimes || [];
-            takenTimes.push(new Date().toISOString());
-
+            // Individual doses live in the dose log; the medication keeps a running total.
+            // ADD increments in place, so two doses confirmed at once are both counted.
             const params = {
                 TableName: DB_TABLES.MEDICATIONS_TABLE,
                 Key: {
                     userPhone: userPhone,
                     medicine: medicationToUpdate.medicine
                 },
-                UpdateExpression: "set taken = :t, takenCount = :tc, takenTimes = :tt",
+                UpdateExpression: "ADD takenCount :one",
                 ExpressionAttributeValues: {
-                    ":t": true,
-                    ":tc": takenCount,
-                    ":tt": takenTimes
+                    ":one": 1
                 }
             };
 
-            await dynamoDB.update(params).promise();
+            // Use up stock when it's being tracked, without going below zero
+            if (typeof medicationToUpdate.pillCount === 'number') {
+                const pillsPerDose = medicationToUpdate.pillsPerDose || 1;
+                try {
+                    await dynamoDB.update({
+                        ...params,
+                        UpdateExpression: "ADD takenCount :one, pillCount :used",
+                        ConditionExpression: "pillCount >= :perDose",
+                        ExpressionAttributeValues: { ":one": 1, ":used": -pillsPerDose, ":perDose": pillsPerDose }
+                    }).promise();
+                } catch (error) {
+                    if (error.code !== 'ConditionalCheckFailedException') throw error;
+                    // Fewer pills left than a dose uses, so the stock is now empty
+                    await dynamoDB.update({
+                        ...params,
+                        UpdateExpression: "ADD takenCount :one SET pillCount = :empty",
+                        ExpressionAttributeValues: { ":one": 1, ":empty": 0 }
+                    }).promise();
+                }
+            } else {
+                await dynamoDB.update(params).promise();
+            }
+
             console.log(`✅ ${medicine} marked as taken for ${userPhone}`);
             return true;
         } catch (error) {
@@ -452,20 +751,15 @@ const MedicationModel = {
                 return false;
             }
 
-            const missedCount = (medicationToUpdate.missedCount || 0) + 1;
-            const missedTimes = medicationToUpdate.missedTimes || [];
-            missedTimes.push(new Date().toISOString());
-
             const params = {
                 TableName: DB_TABLES.MEDICATIONS_TABLE,
                 Key: {
                     userPhone: userPhone,
                     medicine: medicationToUpdate.medicine
                 },
-                UpdateExpression: "set missedCount = :mc, missedTimes = :mt",
+                UpdateExpression: "ADD missedCount :one",
                 ExpressionAttributeValues: {
-                    ":mc": missedCount,
-                    ":mt": missedTimes
+                    ":one": 1
                 }
             };
 
@@ -488,8 +782,14 @@ const MedicationModel = {
                 TableName: DB_TABLES.MEDICATIONS_TABLE
             };
             
-            const result = await dynamoDB.scan(params).promise();
-            return result.Items || [];
+            // A scan returns at most 1 MB per call, so follow the pages
+            const medications = [];
+            do {
+                const result = await dynamoDB.scan(params).promise();
+                medications.push(...(result.Items || []));
+                params.ExclusiveStartKey = result.LastEvaluatedKey;
+            } while (params.ExclusiveStartKey);
+            return medications;
         } catch (error) {
             console.error(`❌ Error scanning all medications: ${error}`);
             return [];
@@ -516,6 +816,9 @@ deleteMedication: async (userPhone, medicine) => {
         await dynamoDB.delete(deleteParams).promise();
         console.log(`✅ Deleted medication ${medicine} for user ${userPhone}`);
         
+        // Stop any upcoming reminders
+        await ReminderScheduleModel.clearMedication(userPhone, medicine);
+        
         // Delete associated reminders
         // First query for all reminders for this medication
         const reminderParams = {
@@ -556,85 +859,279 @@ deleteMedication: async (userPhone, medicine) => {
 }
 };
 
+// Partition key value of DueIndex; every schedule entry shares it
+const REMINDER_QUEUE = 'due';
+
 /**
- * Reminder-related database functions
+ * Reminder schedule database functions. Each entry is the next time one of a
+ * medication's reminder times fires, keyed by the UTC minute it is due in, so
+ * the scheduler only reads the entries due now instead of scanning medications.
+ * Every entry also carries `queue` so DueIndex can return all entries due by a
+ * minute, including ones left over from while the server was down.
  */
-const ReminderModel = {
+const ReminderScheduleModel = {
     /**
-     * Create a medication reminder in the database
+     * Replace a medication's schedule entries with the next occurrence of each reminder time
+     * @param {Object} medication - Medication record
+     * @param {Date} after - Schedule occurrences after this instant (defaults to now)
+     * @returns {Promise<boolean>} - Success status
+     */
+    scheduleMedication: async (medication, after = new Date()) => {
+        try {
+            await ReminderScheduleModel.clearMedication(medication.userPhone, medication.medicine, { keepChecks: true });
+            
+            // Nothing to schedule once the course has ended
+            if (medication.endDate && new Date(medication.endDate) < after) {
+                return true;
+            }
+            
+            // As-needed doses are logged by the user, not reminded
+            if (medication.schedule && medication.schedule.type === 'prn') {
+                return true;
+            }
+            
+            const user = await UserModel.getUserDetails(medication.userPhone);
+            const timezone = getUserTimezone(user, medication.userPhone);
+            const reminderTimes = medication.reminderTimes || [medication.time];
+            
+            for (const reminderTime of reminderTimes) {
+                if (!reminderTime) continue;
+                await ReminderScheduleModel.addEntry(medication.userPhone, medication.medicine, reminderTime, timezone, after);
+            }
+            return true;
+        } catch (error) {
+            console.error(`❌ Error scheduling medication reminders: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Add the schedule entry for the next occurrence of one reminder time
      * @param {string} userPhone - User's phone number
      * @param {string} medicine - Medicine name
-     * @param {string} reminderTime - Time of the reminder
-     * @returns {Promise<string|null>} - Reminder ID or null if failed
+     * @param {string} reminderTime - Local reminder time (e.g., "08:00 am")
+     * @param {string} timezone - User's IANA timezone
+     * @param {Date} after - Schedule the first occurrence after this instant
+     * @returns {Promise<boolean>} - Success status
      */
-    createReminder: async (userPhone, medicine, reminderTime = null) => {
+    addEntry: async (userPhone, medicine, reminderTime, timezone, after = new Date()) => {
         try {
-            const reminderId = `${userPhone}_${medicine}_${Date.now()}`;
+            const dueAt = getNextOccurrence(reminderTime, timezone, after);
+            if (!dueAt) {
+                console.error(`❌ Can't schedule unparseable reminder time "${reminderTime}" for ${medicine}`);
+                return false;
+            }
+            
             const params = {
-                TableName: DB_TABLES.REMINDERS_TABLE,
+                TableName: DB_TABLES.REMINDER_SCHEDULE_TABLE,
                 Item: {
-                    reminderId,
+                    dueMinute: toDueMinute(dueAt),
+                    scheduleKey: `${userPhone}#${medicine}#${reminderTime}`,
+                    queue: REMINDER_QUEUE,
+                    medicationKey: `${userPhone}#${medicine}`,
                     userPhone,
                     medicine,
-                    createdAt: new Date().toISOString(),
-                    status: 'sent',
-                    responded: false,
-                    reminderTime
+                    reminderTime,
+                    timezone,
+                    dueAt: dueAt.toISOString()
                 }
             };
-
+            
             await dynamoDB.put(params).promise();
-            return reminderId;
+            return true;
         } catch (error) {
-            console.error(`❌ Error creating reminder: ${error}`);
-            return null;
+            console.error(`❌ Error adding reminder schedule entry: ${error}`);
+            return false;
         }
     },
 
     /**
- * Update a reminder in the database
- * @param {string} reminderId - Reminder ID
- * @param {Object} updateData - Data to update
- * @returns {Promise<boolean>} - Success status
- */
-updateReminder: async (reminderId, updateData) => {
-    try {
-        // Basic validation to prevent empty ExpressionAttributeNames
-        const params = {
-            TableName: DB_TABLES.REMINDERS_TABLE,
-            Key: { reminderId },
-            UpdateExpression: updateData.updateExpression,
-            ExpressionAttributeValues: updateData.expressionAttributeValues
-        };
-        
-        // Only add ExpressionAttributeNames if provided
-        if (updateData.expressionAttributeNames && 
-            Object.keys(updateData.expressionAttributeNames).length > 0) {
-            params.ExpressionAttributeNames = updateData.expressionAttributeNames;
-        }
-
-        await dynamoDB.update(params).promise();
-        return true;
-    } catch (error) {
-        console.error(`❌ Error updating reminder: ${error.message}`, error);
-        return false;
-    }
-},
-
-
-
-/**
-     * Get the latest reminder for a user with improved time window and status tracking
+     * Queue a check for whether a sent reminder was answered
      * @param {string} userPhone - User's phone number
-     * @returns {Promise<Object|null>} - Latest reminder or null if none
+     * @param {string} medicine - Medicine name
+     * @param {string} reminderId - Reminder that was sent
+     * @param {Date} dueAt - When to check
+     * @returns {Promise<boolean>} - Success status
      */
-    getLatestReminder: async (userPhone) => {
+    addNoResponseCheck: async (userPhone, medicine, reminderId, dueAt) => {
         try {
-            const standardizedPhone = userPhone.replace('whatsapp:', '');
-            const now = new Date();
-            // Extend time window to 60 minutes to be more lenient with response timing
-            const sixtyMinutesAgo = new Date(now.getTime() - 60 * 60 * 1000);
-            
+            const params = {
+                TableName: DB_TABLES.REMINDER_SCHEDULE_TABLE,
+                Item: {
+                    dueMinute: toDueMinute(dueAt),
+                    scheduleKey: `${userPhone}#${medicine}#check#${reminderId}`,
+                    queue: REMINDER_QUEUE,
+                    medicationKey: `${userPhone}#${medicine}`,
+                    kind: 'no_response_check',
+                    userPhone,
+                    medicine,
+                    reminderId,
+                    dueAt: dueAt.toISOString()
+                }
+            };
+            
+            await dynamoDB.put(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error adding no-response check: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Get the schedule entries due in or before a given minute
+     * @param {string} dueMinute - UTC minute as "YYYY-MM-DDTHH:MM"
+     * @returns {Promise<Array>} - Due schedule entries, oldest first
+     */
+    getDueEntries: async (dueMinute) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.REMINDER_SCHEDULE_TABLE,
+                IndexName: "DueIndex",
+                KeyConditionExpression: "#queue = :q AND dueMinute <= :dm",
+                ExpressionAttributeNames: { "#queue": "queue" },
+                ExpressionAttributeValues: { ":q": REMINDER_QUEUE, ":dm": dueMinute }
+            };
+            
+            return await queryAllPages(params);
+        } catch (error) {
+            console.error(`❌ Error getting due reminders: ${error}`);
+            return [];
+        }
+    },
+
+    /**
+     * Remove a single schedule entry
+     * @param {Object} entry - Schedule entry
+     * @returns {Promise<boolean>} - Success status
+     */
+    removeEntry: async (entry) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.REMINDER_SCHEDULE_TABLE,
+                Key: {
+                    dueMinute: entry.dueMinute,
+                    scheduleKey: entry.scheduleKey
+                }
+            };
+            
+            await dynamoDB.delete(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error removing reminder schedule entry: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Remove all schedule entries for a medication
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name as stored
+     * @param {Object} options - { keepChecks: leave pending no-response checks in place }
+     * @returns {Promise<boolean>} - Success status
+     */
+    clearMedication: async (userPhone, medicine, options = {}) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.REMINDER_SCHEDULE_TABLE,
+                IndexName: "MedicationIndex",
+                KeyConditionExpression: "medicationKey = :mk",
+                ExpressionAttributeValues: { ":mk": `${userPhone}#${medicine}` }
+            };
+            
+            for (const entry of await queryAllPages(params)) {
+                if (options.keepChecks && entry.kind === 'no_response_check') continue;
+                await ReminderScheduleModel.removeEntry(entry);
+            }
+            return true;
+        } catch (error) {
+            console.error(`❌ Error clearing reminder schedule: ${error}`);
+            return false;
+        }
+    }
+};
+
+/**
+ * Reminder-related database functions
+ */
+const ReminderModel = {
+    /**
+     * Create a medication reminder in the database
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name
+     * @param {string} reminderTime - Time of the reminder
+     * @param {string|null} doseKey - Dose log entry the reminder is for
+     * @returns {Promise<string|null>} - Reminder ID or null if failed
+     */
+    createReminder: async (userPhone, medicine, reminderTime = null, doseKey = null) => {
+        try {
+            const reminderId = `${userPhone}_${medicine}_${Date.now()}`;
+            const params = {
+                TableName: DB_TABLES.REMINDERS_TABLE,
+                Item: {
+                    reminderId,
+                    userPhone,
+                    medicine,
+                    createdAt: new Date().toISOString(),
+                    status: 'sent',
+                    responded: false,
+                    reminderTime,
+                    doseKey
+                }
+            };
+
+            await dynamoDB.put(params).promise();
+            return reminderId;
+        } catch (error) {
+            console.error(`❌ Error creating reminder: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+ * Update a reminder in the database
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<boolean>} - Success status
+ */
+updateReminder: async (reminderId, updateData) => {
+    try {
+        // Basic validation to prevent empty ExpressionAttributeNames
+        const params = {
+            TableName: DB_TABLES.REMINDERS_TABLE,
+            Key: { reminderId },
+            UpdateExpression: updateData.updateExpression,
+            ExpressionAttributeValues: updateData.expressionAttributeValues
+        };
+        
+        // Only add ExpressionAttributeNames if provided
+        if (updateData.expressionAttributeNames && 
+            Object.keys(updateData.expressionAttributeNames).length > 0) {
+            params.ExpressionAttributeNames = updateData.expressionAttributeNames;
+        }
+
+        await dynamoDB.update(params).promise();
+        return true;
+    } catch (error) {
+        console.error(`❌ Error updating reminder: ${error.message}`, error);
+        return false;
+    }
+},
+
+
+
+/**
+     * Get the latest reminder for a user with improved time window and status tracking
+     * @param {string} userPhone - User's phone number
+     * @returns {Promise<Object|null>} - Latest reminder or null if none
+     */
+    getLatestReminder: async (userPhone) => {
+        try {
+            const standardizedPhone = userPhone.replace('whatsapp:', '');
+            const now = new Date();
+            // Extend time window to 60 minutes to be more lenient with response timing
+            const sixtyMinutesAgo = new Date(now.getTime() - 60 * 60 * 1000);
+            
             console.log(`Looking for latest reminder for ${standardizedPhone} since ${sixtyMinutesAgo.toISOString()}`);
             
             const params = {
@@ -697,6 +1194,55 @@ updateReminder: async (reminderId, updateData) => {
         }
     },
 
+    /**
+     * Get a reminder by ID
+     * @param {string} reminderId - Reminder ID
+     * @returns {Promise<Object|null>} - Reminder or null if not found
+     */
+    getReminderById: async (reminderId) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.REMINDERS_TABLE,
+                Key: { reminderId }
+            };
+
+            const result = await dynamoDB.get(params).promise();
+            return result.Item || null;
+        } catch (error) {
+            console.error(`❌ Error getting reminder: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Record that a reminder was escalated to caregivers
+     * @param {string} reminderId - Reminder ID
+     * @param {string} reason - Which escalation rule fired (e.g., "unanswered_nudges")
+     * @param {Array<string>} notifiedPhones - Caregivers who were alerted
+     * @returns {Promise<boolean>} - Success status
+     */
+    recordEscalation: async (reminderId, reason, notifiedPhones) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.REMINDERS_TABLE,
+                Key: { reminderId },
+                UpdateExpression: "set escalated = :e, escalatedAt = :ea, escalationReason = :er, escalatedTo = :et",
+                ExpressionAttributeValues: {
+                    ":e": true,
+                    ":ea": new Date().toISOString(),
+                    ":er": reason,
+                    ":et": notifiedPhones
+                }
+            };
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error recording reminder escalation: ${error}`);
+            return false;
+        }
+    },
+
     /**
      * Mark a specific medication reminder as skipped due to conflict
      * @param {string} reminderId - Reminder ID
@@ -729,6 +1275,433 @@ updateReminder: async (reminderId, updateData) => {
 };
 
 
+/**
+ * Dose log database functions. One entry per dose: when it was due, whether it
+ * was taken or missed, when that was recorded and who recorded it. Sorting
+ * entries by scheduled time lets a user's doses be read for any date range.
+ */
+const DoseLogModel = {
+    /**
+     * Record a scheduled dose as pending when its reminder falls due
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name
+     * @param {string} reminderTime - Local reminder time of the dose
+     * @param {string} scheduledFor - ISO time the dose was due
+     * @returns {Promise<string|false|null>} - Dose key, false if the dose was already recorded, or null on error
+     */
+    recordScheduledDose: async (userPhone, medicine, reminderTime, scheduledFor) => {
+        const doseKey = `${scheduledFor}#${medicine}`;
+        try {
+            const params = {
+                TableName: DB_TABLES.DOSE_LOG_TABLE,
+                Item: {
+                    userPhone,
+                    doseKey,
+                    medicine,
+                    reminderTime,
+                    scheduledFor,
+                    status: 'pending',
+                    respondedAt: null,
+                    source: null,
+                    createdAt: new Date().toISOString()
+                },
+                // A dose that was already recorded has already been reminded
+                ConditionExpression: "attribute_not_exists(doseKey)"
+            };
+
+            await dynamoDB.put(params).promise();
+            return doseKey;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                console.log(`⏭️ Dose ${doseKey} for ${userPhone} was already recorded`);
+                return false;
+            }
+            console.error(`❌ Error recording scheduled dose: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Record a dose that wasn't reminded, such as an as-needed dose
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name
+     * @param {string} status - "taken" or "missed"
+     * @param {string} source - Who recorded it: "elder", "caregiver" or "auto_timeout"
+     * @returns {Promise<string|null>} - Dose key or null if failed
+     */
+    logUnscheduledDose: async (userPhone, medicine, status, source) => {
+        try {
+            const now = new Date().toISOString();
+            const doseKey = `${now}#${medicine}`;
+            const params = {
+                TableName: DB_TABLES.DOSE_LOG_TABLE,
+                Item: {
+                    userPhone,
+                    doseKey,
+                    medicine,
+                    reminderTime: null,
+                    scheduledFor: now,
+                    status,
+                    respondedAt: now,
+                    source,
+                    createdAt: now
+                }
+            };
+
+            await dynamoDB.put(params).promise();
+            return doseKey;
+        } catch (error) {
+            console.error(`❌ Error logging dose: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Copy a dose from a medication's old takenTimes/missedTimes arrays into the
+     * dose log. The dose key is derived from the old timestamp, so running the
+     * backfill again doesn't duplicate entries.
+     * @param {string} userPhone - User's phone number
+     * @param {string} medicine - Medicine name
+     * @param {string} status - "taken" or "missed"
+     * @param {string} recordedAt - ISO time the dose was recorded
+     * @returns {Promise<boolean|null>} - True if imported, false if already there, or null on error
+     */
+    importLegacyDose: async (userPhone, medicine, status, recordedAt) => {
+        const doseKey = `${recordedAt}#${medicine}`;
+        try {
+            const params = {
+                TableName: DB_TABLES.DOSE_LOG_TABLE,
+                Item: {
+                    userPhone,
+                    doseKey,
+                    medicine,
+                    reminderTime: null,
+                    scheduledFor: recordedAt,
+                    status,
+                    respondedAt: recordedAt,
+                    source: 'legacy',
+                    createdAt: new Date().toISOString()
+                },
+                ConditionExpression: "attribute_not_exists(doseKey)"
+            };
+
+            await dynamoDB.put(params).promise();
+            return true;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            console.error(`❌ Error importing legacy dose: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Record the outcome of a scheduled dose
+     * @param {string} userPhone - User's phone number
+     * @param {string} doseKey - Dose log entry
+     * @param {string} status - "taken" or "missed"
+     * @param {string} source - Who recorded it: "elder", "caregiver" or "auto_timeout"
+     * @returns {Promise<boolean>} - Success status
+     */
+    updateDoseStatus: async (userPhone, doseKey, status, source) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.DOSE_LOG_TABLE,
+                Key: { userPhone, doseKey },
+                UpdateExpression: "set #s = :s, respondedAt = :r, #src = :src",
+                ExpressionAttributeNames: { "#s": "status", "#src": "source" },
+                ExpressionAttributeValues: {
+                    ":s": status,
+                    ":r": new Date().toISOString(),
+                    ":src": source
+                }
+            };
+
+            await dynamoDB.update(params).promise();
+            console.log(`📒 Dose ${doseKey} for ${userPhone} marked ${status} (${source})`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Error updating dose status: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Get one dose log entry
+     * @param {string} userPhone - User's phone number
+     * @param {string} doseKey - Dose log entry
+     * @returns {Promise<Object|null>} - Dose or null if not found
+     */
+    getDose: async (userPhone, doseKey) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.DOSE_LOG_TABLE,
+                Key: { userPhone, doseKey }
+            };
+
+            const result = await dynamoDB.get(params).promise();
+            return result.Item || null;
+        } catch (error) {
+            console.error(`❌ Error getting dose: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Get a user's doses that were due in a time range, oldest first
+     * @param {string} userPhone - User's phone number
+     * @param {Date} since - Start of the range
+     * @param {Date} until - End of the range (defaults to now)
+     * @returns {Promise<Array>} - Dose log entries
+     */
+    getDoses: async (userPhone, since, until = new Date()) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.DOSE_LOG_TABLE,
+                KeyConditionExpression: "userPhone = :u AND doseKey BETWEEN :from AND :to",
+                ExpressionAttributeValues: {
+                    ":u": userPhone,
+                    ":from": since.toISOString(),
+                    // "~" sorts after "#", so doses due exactly at `until` are included
+                    ":to": `${until.toISOString()}~`
+                }
+            };
+
+            return await queryAllPages(params);
+        } catch (error) {
+            console.error(`❌ Error getting doses: ${error}`);
+            return [];
+        }
+    }
+};
+
+/**
+ * Urgent alert database functions
+ */
+const AlertModel = {
+    /**
+     * Save a new alert
+     * @param {Object} alert - Alert record (alertId, userPhone, type, message, recipients, ...)
+     * @returns {Promise<boolean>} - Success status
+     */
+    createAlert: async (alert) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                Item: {
+                    ...alert,
+                    status: 'open',
+                    acknowledgedBy: null,
+                    acknowledgedAt: null,
+                    createdAt: new Date().toISOString()
+                }
+            };
+
+            await dynamoDB.put(params).promise();
+            console.log(`✅ Saved ${alert.type} alert ${alert.alertId} for ${alert.userPhone}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Error saving alert: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Get a user's alerts raised since a given time
+     * @param {string} userPhone - Elderly user's phone number
+     * @param {Date} since - Earliest alert time
+     * @returns {Promise<Array>} - Alerts, oldest first
+     */
+    getRecentAlerts: async (userPhone, since) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                IndexName: "UserPhoneIndex",
+                KeyConditionExpression: "userPhone = :phone AND createdAt >= :since",
+                ExpressionAttributeValues: {
+                    ":phone": userPhone,
+                    ":since": since.toISOString()
+                }
+            };
+
+            const result = await dynamoDB.query(params).promise();
+            return result.Items || [];
+        } catch (error) {
+            console.error(`❌ Error getting recent alerts: ${error}`);
+            return [];
+        }
+    },
+
+    /**
+     * Get open alerts that were sent to a recipient
+     * @param {string} recipientPhone - Caregiver or emergency contact phone number
+     * @returns {Promise<Array>} - Open alerts, newest first
+     */
+    getOpenAlertsForRecipient: async (recipientPhone) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                IndexName: "StatusIndex",
+                KeyConditionExpression: "#s = :open",
+                FilterExpression: "contains(recipients, :phone)",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: {
+                    ":open": "open",
+                    ":phone": recipientPhone
+                },
+                ScanIndexForward: false
+            };
+
+            return await queryAllPages(params);
+        } catch (error) {
+            console.error(`❌ Error getting open alerts: ${error}`);
+            return [];
+        }
+    },
+
+    /**
+     * Get all open alerts
+     * @returns {Promise<Array>} - Alerts nobody has acknowledged yet
+     */
+    getOpenAlerts: async () => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                IndexName: "StatusIndex",
+                KeyConditionExpression: "#s = :open",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":open": "open" }
+            };
+
+            return await queryAllPages(params);
+        } catch (error) {
+            console.error(`❌ Error getting open alerts: ${error}`);
+            return [];
+        }
+    },
+
+    /**
+     * Update fields on an alert
+     * @param {string} alertId - Alert ID
+     * @param {Object} updates - Fields to set
+     * @returns {Promise<boolean>} - Success status
+     */
+    updateAlert: async (alertId, updates) => {
+        try {
+            const fields = Object.keys(updates);
+            if (fields.length === 0) return true;
+
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                Key: { alertId },
+                UpdateExpression: "set " + fields.map((field, index) => `#f${index} = :v${index}`).join(', '),
+                ExpressionAttributeNames: {},
+                ExpressionAttributeValues: {}
+            };
+
+            fields.forEach((field, index) => {
+                params.ExpressionAttributeNames[`#f${index}`] = field;
+                params.ExpressionAttributeValues[`:v${index}`] = updates[field];
+            });
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error updating alert: ${error}`);
+            return false;
+        }
+    },
+
+    /**
+     * Get an alert by ID
+     * @param {string} alertId - Alert ID
+     * @returns {Promise<Object|null>} - Alert, or null if not found
+     */
+    getAlert: async (alertId) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                Key: { alertId }
+            };
+
+            const result = await dynamoDB.get(params).promise();
+            return result.Item || null;
+        } catch (error) {
+            console.error(`❌ Error getting alert: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Mark an open alert as acknowledged
+     * @param {string} alertId - Alert ID
+     * @param {string} acknowledgedBy - Phone number of whoever acknowledged it
+     * @returns {Promise<boolean|null>} - true if acknowledged, false if it was no longer open, null on error
+     */
+    acknowledgeAlert: async (alertId, acknowledgedBy) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                Key: { alertId },
+                UpdateExpression: "set #s = :s, acknowledgedBy = :by, acknowledgedAt = :at",
+                // Only the first of several caregivers replying "ack" at once wins
+                ConditionExpression: "#s = :open",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: {
+                    ":s": "acknowledged",
+                    ":by": acknowledgedBy,
+                    ":at": new Date().toISOString(),
+                    ":open": "open"
+                }
+            };
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                console.log(`⏭️ Alert ${alertId} was no longer open`);
+                return false;
+            }
+            console.error(`❌ Error acknowledging alert: ${error}`);
+            return null;
+        }
+    },
+
+    /**
+     * Close an open alert that nobody acknowledged in time
+     * @param {string} alertId - Alert ID
+     * @returns {Promise<boolean|null>} - true if expired, false if it was no longer open, null on error
+     */
+    expireAlert: async (alertId) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.ALERTS_TABLE,
+                Key: { alertId },
+                UpdateExpression: "set #s = :s, expiredAt = :at, nextEscalationAt = :none, nextRepeatAt = :none",
+                // An "ack" that lands at the same moment keeps the alert acknowledged
+                ConditionExpression: "#s = :open",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: {
+                    ":s": "expired",
+                    ":at": new Date().toISOString(),
+                    ":none": null,
+                    ":open": "open"
+                }
+            };
+
+            await dynamoDB.update(params).promise();
+            return true;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            console.error(`❌ Error expiring alert: ${error}`);
+            return null;
+        }
+    }
+};
+
 /**
  * Symptom-related database functions
  */
@@ -796,6 +1769,33 @@ const SymptomModel = {
         }
     },
 
+    /**
+     * Get a user's symptom assessments started since a given time
+     * @param {string} userPhone - User's phone number
+     * @param {Date} since - Earliest assessment time
+     * @returns {Promise<Array>} - Assessments, active or completed
+     */
+    getAssessmentsSince: async (userPhone, since) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.SYMPTOMS_TABLE,
+                IndexName: "UserPhoneIndex",
+                KeyConditionExpression: "userPhone = :phone",
+                FilterExpression: "createdAt >= :since",
+                ExpressionAttributeValues: {
+                    ":phone": userPhone,
+                    ":since": since.toISOString()
+                }
+            };
+
+            const result = await dynamoDB.query(params).promise();
+            return result.Items || [];
+        } catch (error) {
+            console.error(`❌ Error getting recent assessments: ${error}`);
+            return [];
+        }
+    },
+
     /**
      * Add a follow-up record to a symptom assessment
      * @param {string} assessmentId - Assessment ID
@@ -928,13 +1928,13 @@ const CheckInModel = {
    /**
  * Get today's check-ins for a user
  * @param {string} userId - User's phone number
+ * @param {string} timezone - User's IANA timezone; "today" starts at their local midnight
  * @returns {Promise<Array>} - Today's check-ins
  */
-getTodaysCheckIns: async (userId) => {
+getTodaysCheckIns: async (userId, timezone = DEFAULT_TIMEZONE) => {
     try {
-      const today = new Date();
-      // Set time to midnight so we get everything from today's date forward
-      today.setHours(0, 0, 0, 0);
+      // Start at local midnight so we get everything from the user's today forward
+      const today = getStartOfDayInZone(timezone);
   
       const params = {
         TableName: DB_TABLES.CHECK_INS_TABLE,
@@ -960,6 +1960,35 @@ getTodaysCheckIns: async (userId) => {
   },
   
 
+    /**
+     * Get a user's check-ins since a given time
+     * @param {string} userId - User's phone number
+     * @param {Date} since - Earliest check-in time
+     * @returns {Promise<Array>} - Check-ins, oldest first
+     */
+    getCheckInsSince: async (userId, since) => {
+        try {
+            const params = {
+                TableName: DB_TABLES.CHECK_INS_TABLE,
+                IndexName: "UserIdIndex",
+                KeyConditionExpression: "userId = :uid AND #ts >= :since",
+                ExpressionAttributeNames: {
+                    "#ts": "timestamp"
+                },
+                ExpressionAttributeValues: {
+                    ":uid": userId,
+                    ":since": since.toISOString()
+                }
+            };
+
+            const result = await dynamoDB.query(params).promise();
+            return result.Items || [];
+        } catch (error) {
+            console.error(`❌ Error getting check-ins: ${error}`);
+            return [];
+        }
+    },
+
     /**
      * Mark check-ins as reported
      * @param {Array} checkInIds - Array of check-in IDs
@@ -1097,12 +2126,53 @@ updateReportStatus: async (reportId, delivered) => {
     }
 };
 
+/**
+ * Webhook deliveries already accepted, for replay detection
+ */
+const WebhookMessageModel = {
+    /**
+     * Record a MessageSid unless it was already recorded within its replay window
+     * @param {string} messageSid - Twilio MessageSid
+     * @param {number} ttlMs - How long to remember it, in milliseconds
+     * @returns {Promise<boolean|null>} - true if new, false if already recorded, null on error
+     */
+    recordMessageSid: async (messageSid, ttlMs) => {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+            const params = {
+                TableName: DB_TABLES.WEBHOOK_MESSAGES_TABLE,
+                Item: {
+                    messageSid,
+                    receivedAt: new Date().toISOString(),
+                    expiresAt: Math.floor((Date.now() + ttlMs) / 1000)
+                },
+                // TTL deletion can lag, so an expired record doesn't count as a replay
+                ConditionExpression: "attribute_not_exists(messageSid) OR expiresAt <= :now",
+                ExpressionAttributeValues: { ":now": now }
+            };
+
+            await dynamoDB.put(params).promise();
+            return true;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            console.error(`❌ Error recording MessageSid: ${error}`);
+            return null;
+        }
+    }
+};
+
 module.exports = {
     UserModel,
     RelationshipModel,
     MedicationModel,
     ReminderModel,
+    ReminderScheduleModel,
+    DoseLogModel,
+    AlertModel,
     SymptomModel,
     CheckInModel,
-    ReportModel
+    ReportModel,
+    WebhookMessageModel
 };
\ No newline at end of file
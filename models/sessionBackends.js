@@ -0,0 +1,146 @@
+// models/sessionBackends.js - Storage backends for conversation sessions
+const { DB_TABLES, createDynamoDBClient } = require('../config/config');
+
+/**
+ * In-memory backend. Sessions live only as long as the process, which is
+ * what tests and local development want.
+ * @returns {Object} - Session backend
+ */
+function createMemorySessionBackend() {
+    const items = {};
+
+    return {
+        name: 'memory',
+
+        /**
+         * Load a session
+         * @param {string} sessionKind - Session kind (account, user, medication)
+         * @param {string} phoneNumber - User's phone number
+         * @returns {Promise<Object|null>} - Session data or null if not found/expired
+         * @throws {Error} - If the backend couldn't be read (backends must not return null for this)
+         */
+        load: async (sessionKind, phoneNumber) => {
+            const item = items[`${sessionKind}#${phoneNumber}`];
+            if (!item || item.expiresAt <= Date.now()) {
+                return null;
+            }
+            return item.data;
+        },
+
+        /**
+         * Save a session
+         * @param {string} sessionKind - Session kind (account, user, medication)
+         * @param {string} phoneNumber - User's phone number
+         * @param {Object} sessionData - Session data
+         * @param {number} ttlMs - Time to live in milliseconds
+         * @returns {Promise<boolean>} - Success status
+         */
+        save: async (sessionKind, phoneNumber, sessionData, ttlMs) => {
+            items[`${sessionKind}#${phoneNumber}`] = {
+                data: sessionData,
+                expiresAt: Date.now() + ttlMs
+            };
+            return true;
+        },
+
+        /**
+         * Remove a session
+         * @param {string} sessionKind - Session kind (account, user, medication)
+         * @param {string} phoneNumber - User's phone number
+         * @returns {Promise<boolean>} - Success status
+         */
+        remove: async (sessionKind, phoneNumber) => {
+            delete items[`${sessionKind}#${phoneNumber}`];
+            return true;
+        }
+    };
+}
+
+/**
+ * DynamoDB backend. Items carry an `expiresAt` epoch-seconds attribute which
+ * is configured as the table's TTL attribute, so DynamoDB deletes abandoned
+ * sessions on its own. TTL deletion can lag, so loads also check expiry.
+ * @returns {Object} - Session backend
+ */
+function createDynamoSessionBackend() {
+    const dynamoDB = createDynamoDBClient();
+
+    return {
+        name: 'dynamodb',
+
+        load: async (sessionKind, phoneNumber) => {
+            try {
+                const params = {
+                    TableName: DB_TABLES.SESSIONS_TABLE,
+                    Key: { sessionKey: `${sessionKind}#${phoneNumber}` }
+                };
+
+                const result = await dynamoDB.get(params).promise();
+                if (!result.Item || result.Item.expiresAt <= Math.floor(Date.now() / 1000)) {
+                    return null;
+                }
+                return result.Item.data;
+            } catch (error) {
+                // Rethrow so the caller can tell "no session" from "couldn't check"
+                console.error(`❌ Error loading session: ${error}`);
+                throw error;
+            }
+        },
+
+        save: async (sessionKind, phoneNumber, sessionData, ttlMs) => {
+            try {
+                const params = {
+                    TableName: DB_TABLES.SESSIONS_TABLE,
+                    Item: {
+                        sessionKey: `${sessionKind}#${phoneNumber}`,
+                        sessionKind,
+                        phoneNumber,
+                        // Round-trip through JSON to drop undefined values DynamoDB can't store
+                        data: JSON.parse(JSON.stringify(sessionData)),
+                        updatedAt: new Date().toISOString(),
+                        expiresAt: Math.floor((Date.now() + ttlMs) / 1000)
+                    }
+                };
+
+                await dynamoDB.put(params).promise();
+                return true;
+            } catch (error) {
+                console.error(`❌ Error saving session: ${error}`);
+                return false;
+            }
+        },
+
+        remove: async (sessionKind, phoneNumber) => {
+            try {
+                const params = {
+                    TableName: DB_TABLES.SESSIONS_TABLE,
+                    Key: { sessionKey: `${sessionKind}#${phoneNumber}` }
+                };
+
+                await dynamoDB.delete(params).promise();
+                return true;
+            } catch (error) {
+                console.error(`❌ Error deleting session: ${error}`);
+                return false;
+            }
+        }
+    };
+}
+
+/**
+ * Create the session backend selected by name
+ * @param {string} backendName - "memory" or "dynamodb"
+ * @returns {Object} - Session backend
+ */
+function createSessionBackend(backendName) {
+    if (backendName === 'dynamodb') {
+        return createDynamoSessionBackend();
+    }
+    return createMemorySessionBackend();
+}
+
+module.exports = {
+    createMemorySessionBackend,
+    createDynamoSessionBackend,
+    createSessionBackend
+};
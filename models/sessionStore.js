@@ -1,9 +1,50 @@
-// models/sessionStore.js - In-memory session storage
+// models/sessionStore.js - Session storage with a pluggable persistent backend
+const { SESSION_CONFIG } = require('../config/config');
+const { createSessionBackend } = require('./sessionBackends');
+
+// Maps each in-memory cache to the session kind used by the backend
+const SESSION_KINDS = {
+    accountCreationSessions: 'account',
+    userSessions: 'user',
+    medicationSessions: 'medication',
+    checkInSessions: 'checkin'
+};
+
+// Per-session chain of backend writes, so a delete can't overtake an earlier save
+const pendingWrites = {};
+
+/**
+ * Queue a backend write for a session, preserving write order per session
+ * @param {string} sessionKind - Session kind
+ * @param {string} phoneNumber - User's phone number
+ * @param {Function} write - Function returning the write promise
+ * @returns {Promise} - Resolves when this write has completed
+ */
+function queueWrite(sessionKind, phoneNumber, write) {
+    const key = `${sessionKind}#${phoneNumber}`;
+    const previous = pendingWrites[key] || Promise.resolve();
+    const next = previous
+        .then(write)
+        .catch(error => console.error(`❌ Error persisting ${sessionKind} session for ${phoneNumber}: ${error}`))
+        .finally(() => {
+            if (pendingWrites[key] === next) {
+                delete pendingWrites[key];
+            }
+        });
+    pendingWrites[key] = next;
+    return next;
+}
 
 /**
- * In-memory storage for user sessions
+ * Session storage. Reads are served from an in-memory cache so the
+ * get/set/delete API stays synchronous; every change is written through to
+ * the configured backend, and `hydrate` refreshes a user's sessions from it
+ * at the start of each incoming message.
  */
 const sessionStore = {
+    // Backend that persists sessions across restarts
+    backend: createSessionBackend(SESSION_CONFIG.backend),
+    
     // Track account creation sessions
     accountCreationSessions: {},
     
@@ -13,12 +54,60 @@ const sessionStore = {
     // Track medication management sessions
     medicationSessions: {},
     
+    // Track active check-in conversations (kept longer than other sessions)
+    checkInSessions: {},
+    
+    /**
+     * Replace the session backend (e.g. with the in-memory one in tests)
+     * @param {Object} backend - Session backend
+     */
+    setBackend: function(backend) {
+        this.backend = backend;
+    },
+    
+    /**
+     * Load a user's sessions from the backend into the cache, dropping cached
+     * sessions the backend no longer has (expired or ended on another instance).
+     * If the backend can't be read, the cached session is kept as it is.
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Promise<void>}
+     */
+    hydrate: async function(phoneNumber) {
+        for (const [cacheName, sessionKind] of Object.entries(SESSION_KINDS)) {
+            // Let our own in-flight writes land before reading them back
+            await pendingWrites[`${sessionKind}#${phoneNumber}`];
+            
+            let sessionData;
+            try {
+                sessionData = await this.backend.load(sessionKind, phoneNumber);
+            } catch (error) {
+                console.error(`❌ Couldn't refresh ${sessionKind} session for ${phoneNumber}, keeping cached copy: ${error}`);
+                continue;
+            }
+            
+            if (sessionData) {
+                this[cacheName][phoneNumber] = sessionData;
+            } else {
+                delete this[cacheName][phoneNumber];
+            }
+        }
+    },
+    
     /**
-     * Clean up expired sessions (can be called periodically)
+     * Wait for all queued backend writes (used on shutdown)
+     * @returns {Promise<void>}
+     */
+    flush: async function() {
+        await Promise.all(Object.values(pendingWrites));
+    },
+    
+    /**
+     * Evict expired sessions from the in-memory cache (called periodically).
+     * Persisted sessions are expired by the backend itself (DynamoDB TTL).
      */
     cleanupExpiredSessions: function() {
         const now = Date.now();
-        const EXPIRY_TIME = 30 * 60 * 1000; // 30 minutes
+        const EXPIRY_TIME = SESSION_CONFIG.ttlMs;
         
         // Add timestamp to sessions that don't have one
         Object.keys(this.accountCreationSessions).forEach(key => {
@@ -58,7 +147,14 @@ const sessionStore = {
             }
         });
         
-        console.log(`🧹 Cleaned up expired sessions. Remaining: ${Object.keys(this.accountCreationSessions).length} account creation, ${Object.keys(this.userSessions).length} user, ${Object.keys(this.medicationSessions).length} medication`);
+        // Check-ins are closed out by checkInService well before this, so only evict leftovers
+        Object.keys(this.checkInSessions).forEach(key => {
+            if (now - (this.checkInSessions[key].updatedAt || now) > SESSION_CONFIG.checkInTtlMs) {
+                delete this.checkInSessions[key];
+            }
+        });
+        
+        console.log(`🧹 Cleaned up expired sessions. Remaining: ${Object.keys(this.accountCreationSessions).length} account creation, ${Object.keys(this.userSessions).length} user, ${Object.keys(this.medicationSessions).length} medication, ${Object.keys(this.checkInSessions).length} check-in`);
     },
     
     /**
@@ -68,10 +164,12 @@ const sessionStore = {
      */
     setAccountCreationSession: function(phoneNumber, sessionData) {
         console.log(`Setting account creation session for ${phoneNumber}`);
-        this.accountCreationSessions[phoneNumber] = {
+        const session = {
             ...sessionData,
             timestamp: Date.now()
         };
+        this.accountCreationSessions[phoneNumber] = session;
+        queueWrite('account', phoneNumber, () => this.backend.save('account', phoneNumber, session, SESSION_CONFIG.ttlMs));
     },
     
     /**
@@ -92,6 +190,7 @@ const sessionStore = {
     deleteAccountCreationSession: function(phoneNumber) {
         console.log(`Deleting account creation session for ${phoneNumber}`);
         delete this.accountCreationSessions[phoneNumber];
+        queueWrite('account', phoneNumber, () => this.backend.remove('account', phoneNumber));
     },
     
     /**
@@ -101,10 +200,12 @@ const sessionStore = {
      */
     setUserSession: function(phoneNumber, sessionData) {
         console.log(`Setting user session for ${phoneNumber}. Type: ${sessionData.type || 'undefined'}, Stage: ${sessionData.stage || 'undefined'}`);
-        this.userSessions[phoneNumber] = {
+        const session = {
             ...sessionData,
             timestamp: Date.now()
         };
+        this.userSessions[phoneNumber] = session;
+        queueWrite('user', phoneNumber, () => this.backend.save('user', phoneNumber, session, SESSION_CONFIG.ttlMs));
     },
     
     /**
@@ -129,6 +230,7 @@ const sessionStore = {
     deleteUserSession: function(phoneNumber) {
         console.log(`Deleting user session for ${phoneNumber}`);
         delete this.userSessions[phoneNumber];
+        queueWrite('user', phoneNumber, () => this.backend.remove('user', phoneNumber));
     },
     
     /**
@@ -138,10 +240,12 @@ const sessionStore = {
      */
     setMedicationSession: function(phoneNumber, sessionData) {
         console.log(`Setting medication session for ${phoneNumber}. Stage: ${sessionData.stage || 'undefined'}`);
-        this.medicationSessions[phoneNumber] = {
+        const session = {
             ...sessionData,
             timestamp: Date.now()
         };
+        this.medicationSessions[phoneNumber] = session;
+        queueWrite('medication', phoneNumber, () => this.backend.save('medication', phoneNumber, session, SESSION_CONFIG.ttlMs));
     },
     
     /**
@@ -162,6 +266,42 @@ const sessionStore = {
     deleteMedicationSession: function(phoneNumber) {
         console.log(`Deleting medication session for ${phoneNumber}`);
         delete this.medicationSessions[phoneNumber];
+        queueWrite('medication', phoneNumber, () => this.backend.remove('medication', phoneNumber));
+    },
+    
+    /**
+     * Create or update an active check-in session. The check-in's own
+     * `timestamp` (when it was sent) is preserved; activity is tracked in `updatedAt`.
+     * @param {string} phoneNumber - User's phone number
+     * @param {Object} sessionData - Check-in session data
+     */
+    setCheckInSession: function(phoneNumber, sessionData) {
+        console.log(`Setting check-in session for ${phoneNumber}. State: ${sessionData.conversationState || 'undefined'}`);
+        const session = {
+            ...sessionData,
+            updatedAt: Date.now()
+        };
+        this.checkInSessions[phoneNumber] = session;
+        queueWrite('checkin', phoneNumber, () => this.backend.save('checkin', phoneNumber, session, SESSION_CONFIG.checkInTtlMs));
+    },
+    
+    /**
+     * Get active check-in session
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Object|null} - Session data or null if not found
+     */
+    getCheckInSession: function(phoneNumber) {
+        return this.checkInSessions[phoneNumber] || null;
+    },
+    
+    /**
+     * Delete active check-in session
+     * @param {string} phoneNumber - User's phone number
+     */
+    deleteCheckInSession: function(phoneNumber) {
+        console.log(`Deleting check-in session for ${phoneNumber}`);
+        delete this.checkInSessions[phoneNumber];
+        queueWrite('checkin', phoneNumber, () => this.backend.remove('checkin', phoneNumber));
     },
     
     /**
@@ -172,6 +312,7 @@ const sessionStore = {
         console.log("Account Creation Sessions:", JSON.stringify(this.accountCreationSessions, null, 2));
         console.log("User Sessions:", JSON.stringify(this.userSessions, null, 2));
         console.log("Medication Sessions:", JSON.stringify(this.medicationSessions, null, 2));
+        console.log("Check-in Sessions:", JSON.stringify(this.checkInSessions, null, 2));
         console.log("==== END SESSION DUMP ====");
     }
 };
@@ -179,6 +320,6 @@ const sessionStore = {
 // Set up periodic cleanup
 setInterval(() => {
     sessionStore.cleanupExpiredSessions();
-}, 15 * 60 * 1000); // Run every 15 minutes
+}, 15 * 60 * 1000).unref(); // Run every 15 minutes
 
 module.exports = sessionStore;
\ No newline at end of file
@@ -15,6 +15,8 @@ const sessionStore = require('../models/sessionStore');
 const checkInService = require('../services/checkInService');
 const conversationUtils = require('../utils/conversationUtils');
 const { dynamoDB } = require('../config/config');
+const { validateTwilioRequest } = require('../middleware/authMiddleware');
+const { DEFAULT_LANGUAGE, normalizeLanguage, t, parseReminderReply, isGreeting, isLanguageCommand } = require('../utils/i18n');
 
 // Import handlers
 const accountHandler = require('../handlers/accountHandler');
@@ -22,11 +24,16 @@ const medicationHandler = require('../handlers/medicationHandler');
 const symptomHandler = require('../handlers/symptomHandler');
 const followUpHandler = require('../handlers/followUpHandler');
 const menuHandler = require('../handlers/menuHandler');
+const alertHandler = require('../handlers/alertHandler');
+const caregiverHandler = require('../handlers/caregiverHandler');
 
 /**
  * Main webhook endpoint handler with prioritized processing logic
  */
-router.post('/', async (req, res) => {
+router.post('/', validateTwilioRequest, async (req, res) => {
+    // Language the user chose at signup, for the replies sent from here
+    let language = DEFAULT_LANGUAGE;
+    
     try {
         const incomingMsg = req.body.Body.trim();
         const incomingMsgLower = incomingMsg.toLowerCase();
@@ -44,6 +51,59 @@ router.post('/', async (req, res) => {
             // Continue processing even if tracking fails
         }
 
+        // Load any sessions persisted by a previous process or another instance
+        try {
+            await sessionStore.hydrate(from);
+            if (standardizedFrom !== from) {
+                await sessionStore.hydrate(standardizedFrom);
+            }
+        } catch (sessionError) {
+            console.error(`Error loading sessions: ${sessionError}`);
+            // Continue with whatever is cached locally
+        }
+
+        // SOS comes first of all, ahead of disambiguation and any session the elder is in
+        const sosMedicationSession = sessionStore.getMedicationSession(from) || sessionStore.getMedicationSession(standardizedFrom);
+        if (alertHandler.isSosMessage(incomingMsg, sosMedicationSession)) {
+            const sosUser = await UserModel.getUserDetails(standardizedFrom);
+            if (sosUser && sosUser.userType === 'elderly') {
+                return await alertHandler.handleSosCommand(req, res);
+            }
+        }
+
+        // A bare "help" asks first; replying "SOS" raises it
+        if (alertHandler.isHelpMessage(incomingMsg)) {
+            const helpUser = await UserModel.getUserDetails(standardizedFrom);
+            if (helpUser && helpUser.userType === 'elderly') {
+                return await alertHandler.handleHelpCommand(req, res);
+            }
+        }
+
+        // Alert acknowledgements come next, whatever session the caregiver is in
+        if (incomingMsgLower === "ack" || /^ack\s+[0-9a-f]{6}$/.test(incomingMsgLower)) {
+            return await alertHandler.handleAcknowledgeCommand(req, res);
+        }
+        
+        // Open alerts, also for emergency contacts who have no account of their own
+        if (incomingMsgLower === "alerts" || incomingMsgLower === "open alerts") {
+            return await alertHandler.showOpenAlerts(req, res);
+        }
+
+        // Replies to a caregiver invitation; invitees may not have an account yet
+        if (incomingMsgLower === "accept" || incomingMsgLower === "decline") {
+            const caregiverService = require('../services/caregiverService');
+            if (await caregiverService.hasPendingInvite(standardizedFrom)) {
+                return await caregiverHandler.handleInviteResponse(req, res, incomingMsgLower === "accept");
+            }
+        }
+
+        // A parent whose caregiver set up their account has to agree before anything else
+        const consentUser = await UserModel.getUserDetails(standardizedFrom);
+        if (userService.isConsentPending(consentUser)) {
+            return await accountHandler.handleConsentResponse(req, res);
+        }
+        language = normalizeLanguage(consentUser?.language);
+
         //======================================================================
         // PART 0: HANDLE ONGOING DISAMBIGUATION FIRST
         //======================================================================
@@ -76,14 +136,14 @@ router.post('/', async (req, res) => {
                     try {
                         req.body.Body = originalResponse; // Replace with original response
                         
-                        if (originalResponse.toLowerCase() === "yes" || originalResponse.toLowerCase() === "taken") {
+                        if (parseReminderReply(originalResponse) === 'taken') {
                             return await medicationHandler.handleMedicationTaken(req, res);
                         } else {
                             return await medicationHandler.handleMedicationMissed(req, res);
                         }
                     } catch (error) {
                         console.error(`❌ Error handling medication response after disambiguation: ${error}`);
-                        await sendWhatsAppMessage(from, "Sorry, there was an error processing your medication response. Please try again later.");
+                        await sendWhatsAppMessage(from, t(language, 'reminder.response_error'));
                         return res.status(200).send("Error handling medication response after disambiguation");
                     }
                 } else if (incomingMsg === "2") {
@@ -114,9 +174,7 @@ router.post('/', async (req, res) => {
                             // Remind about the skipped medication after check-in completes
                             setTimeout(async () => {
                                 if (reminderData && reminderData.medicine) {
-                                    await sendWhatsAppMessage(from, 
-                                        `Don't forget to take your ${reminderData.medicine}! Please respond with "Yes" when you've taken it or "No" if you need a reminder later.`
-                                    );
+                                    await sendWhatsAppMessage(from, t(language, 'reminder.dont_forget', { medicine: reminderData.medicine }));
                                 }
                                 
                                 // Show main menu afterward
@@ -137,9 +195,7 @@ router.post('/', async (req, res) => {
                     }
                 } else {
                     // Invalid choice
-                    await sendWhatsAppMessage(from, 
-                        `Please reply with either 1 for medication reminder or 2 for check-in conversation.`
-                    );
+                    await sendWhatsAppMessage(from, t(language, 'reminder.or_checkin_invalid'));
                     return res.status(200).send("Invalid disambiguation choice");
                 }
             }
@@ -151,7 +207,7 @@ router.post('/', async (req, res) => {
                     
                     if (isNaN(optionIndex) || optionIndex < 0 || optionIndex >= userSession.options.length) {
                         // Invalid option selected
-                        await sendWhatsAppMessage(from, `Please select a valid option between 1 and ${userSession.options.length}.`);
+                        await sendWhatsAppMessage(from, t(language, 'disambiguation.invalid_option', { count: userSession.options.length }));
                         return res.status(200).send("Invalid disambiguation option");
                     }
                     
@@ -169,7 +225,7 @@ router.post('/', async (req, res) => {
                         // Restore medication reminder flow
                         req.body.Body = originalResponse;
                         
-                        if (originalResponse.toLowerCase() === "yes" || originalResponse.toLowerCase() === "taken") {
+                        if (parseReminderReply(originalResponse) === 'taken') {
                             return await medicationHandler.handleMedicationTaken(req, res);
                         } else {
                             return await medicationHandler.handleMedicationMissed(req, res);
@@ -224,7 +280,7 @@ router.post('/', async (req, res) => {
                     }
                     
                     // If we get here, we couldn't specifically handle the selected option
-                    await sendWhatsAppMessage(from, "I'm not sure how to process your response. Let's start fresh.");
+                    await sendWhatsAppMessage(from, t(language, 'disambiguation.fallback'));
                     await menuHandler.sendMainMenu(from);
                     return res.status(200).send("Disambiguation fallback");
                     
@@ -235,7 +291,7 @@ router.post('/', async (req, res) => {
                     sessionStore.deleteUserSession(from);
                     sessionStore.deleteUserSession(standardizedFrom);
                     
-                    await sendWhatsAppMessage(from, "I'm sorry, I had trouble understanding your response. Let's start over.");
+                    await sendWhatsAppMessage(from, t(language, 'disambiguation.error'));
                     await menuHandler.sendMainMenu(from);
                     return res.status(200).send("Disambiguation error fallback");
                 }
@@ -283,7 +339,8 @@ router.post('/', async (req, res) => {
                 
                 // Generate appropriate disambiguation message
                 const message = conversationUtils.generateDisambiguationMessage(
-                    disambiguationResult
+                    disambiguationResult,
+                    language
                 );
                 
                 // Save the disambiguation state in the session
@@ -316,9 +373,9 @@ router.post('/', async (req, res) => {
         // PART 2: HANDLE MEDICATION REMINDERS WITH IMPROVED DETECTION
         //======================================================================
 
-        // More robust check for medication responses
-        if (incomingMsgLower === "yes" || incomingMsgLower === "no" || 
-            incomingMsgLower === "taken" || incomingMsgLower === "missed") {
+        // More robust check for medication responses, in any of the supported languages
+        const reminderReply = parseReminderReply(incomingMsg);
+        if (reminderReply) {
             
             console.log(`Checking medication reminders for: ${standardizedFrom}`);
             // Extend window to 60 minutes to be more lenient with reminder responses
@@ -362,12 +419,7 @@ router.post('/', async (req, res) => {
                         });
                     }
                     
-                    await sendWhatsAppMessage(from, 
-                        `I noticed you have both a medication reminder and an active check-in conversation. Which one are you responding to?\n\n` +
-                        `1️⃣ Medication reminder (${latestReminder.medicine})\n` +
-                        `2️⃣ Check-in conversation\n\n` +
-                        `Please reply with 1 or 2.`
-                    );
+                    await sendWhatsAppMessage(from, t(language, 'reminder.or_checkin', { medicine: latestReminder.medicine }));
                     
                     return res.status(200).send("Asked for disambiguation between reminder and check-in");
                 }
@@ -378,14 +430,14 @@ router.post('/', async (req, res) => {
                     sessionStore.deleteUserSession(from);
                     sessionStore.deleteUserSession(standardizedFrom);
                     
-                    if (incomingMsgLower === "yes" || incomingMsgLower === "taken") {
+                    if (reminderReply === 'taken') {
                         return await medicationHandler.handleMedicationTaken(req, res);
                     } else {
                         return await medicationHandler.handleMedicationMissed(req, res);
                     }
                 } catch (error) {
                     console.error(`❌ Error handling medication response: ${error}`);
-                    await sendWhatsAppMessage(from, "Sorry, there was an error processing your medication response. Please try again later.");
+                    await sendWhatsAppMessage(from, t(language, 'reminder.response_error'));
                     return res.status(200).send("Error handling medication response");
                 }
             }
@@ -455,6 +507,11 @@ router.post('/', async (req, res) => {
             return await medicationHandler.handleMedicationInfoSelection(req, res);
         }
 
+        // Handle the reply to "which language would you like?"
+        if (userSession && userSession.stage === 'language_selection') {
+            return await accountHandler.handleLanguageSelection(req, res);
+        }
+
         //======================================================================
         // PART 4: HANDLE CHECK-IN RESPONSES
         //======================================================================
@@ -527,9 +584,9 @@ router.post('/', async (req, res) => {
                         
                         // Handle completion or continuation
                         if (result.isCompleted) {
-                            await sendWhatsAppMessage(from, "✅ Thank you for using Sukoon Saarthi symptom tracking. Your symptom follow-up is now complete.");
+                            await sendWhatsAppMessage(from, t(language, 'followup.completed'));
                         } else {
-                            await sendWhatsAppMessage(from, "I'll check in with you again tomorrow. If your symptoms change significantly before then, please use the symptom assessment option from the main menu.");
+                            await sendWhatsAppMessage(from, t(language, 'followup.next_tomorrow'));
                         }
                         
                         setTimeout(async () => {
@@ -562,10 +619,7 @@ router.post('/', async (req, res) => {
 
         // If user doesn't exist and isn't creating an account, prompt to create account
         if (!userExists) {
-            await sendWhatsAppMessage(from, 
-                `Welcome to Sukoon Saarthi! It seems you don't have an account yet.\n\n` +
-                `To create an account, please reply with "create account".`
-            );
+            await sendWhatsAppMessage(from, t(language, 'account.no_account'));
             return res.status(200).send("Asked to create account");
         }
 
@@ -580,10 +634,15 @@ router.post('/', async (req, res) => {
         }
         
         // Welcome message command
-        if (incomingMsgLower === "hi" || incomingMsgLower === "hello") {
+        if (isGreeting(incomingMsg)) {
             return await menuHandler.showWelcomeMenu(req, res);
         }
         
+        // Show or change the language replies are sent in, e.g. "language" or "language 2"
+        if (isLanguageCommand(incomingMsg)) {
+            return await accountHandler.handleLanguageCommand(req, res);
+        }
+        
         // Menu navigation commands
         if (incomingMsgLower === "menu" || incomingMsgLower === "main menu" || 
             incomingMsgLower === "back" || incomingMsgLower === "7") {
@@ -609,6 +668,11 @@ router.post('/', async (req, res) => {
             return await medicationHandler.startAddMedication(req, res);
         }
         
+        // One-line entry, e.g. "add Metformin 500mg twice a day for 30 days"
+        if (incomingMsgLower.startsWith("add ")) {
+            return await medicationHandler.handleQuickAddMedication(req, res);
+        }
+        
         if (incomingMsgLower === "update medicine") {
             return await medicationHandler.startMedicationUpdate(req, res);
         }
@@ -617,6 +681,22 @@ router.post('/', async (req, res) => {
             return await medicationHandler.startMedicationDeletion(req, res);
         }
         
+        if (incomingMsgLower === "refill" || incomingMsgLower.startsWith("refill ")) {
+            return await medicationHandler.handleRefillCommand(req, res);
+        }
+        
+        if (incomingMsgLower === "escalate" || incomingMsgLower.startsWith("escalate ")) {
+            return await medicationHandler.handleEscalationCommand(req, res);
+        }
+        
+        if (incomingMsgLower === "took" || incomingMsgLower.startsWith("took ")) {
+            return await medicationHandler.handleDoseLogCommand(req, res);
+        }
+        
+        if (incomingMsgLower === "adherence") {
+            return await medicationHandler.showAdherenceReport(req, res);
+        }
+        
         // Medication history commands
         if (incomingMsgLower === "show medication history last week") {
             return await medicationHandler.showMedicationHistory(req, res, 7);
@@ -645,6 +725,29 @@ router.post('/', async (req, res) => {
             // If it wasn't a valid medication info request, fall through to AI response
         }
         
+        // Invite another caregiver, e.g. "invite +919876543210 view-only"
+        if (incomingMsgLower === "invite" || incomingMsgLower.startsWith("invite ")) {
+            return await caregiverHandler.handleInviteCommand(req, res);
+        }
+        
+        // Who can see the elder's data, and changing it
+        if (incomingMsgLower === "caregivers" || incomingMsgLower === "my caregivers") {
+            return await caregiverHandler.showCaregivers(req, res);
+        }
+        
+        if (incomingMsgLower.startsWith("grant ") || incomingMsgLower.startsWith("revoke ")) {
+            return await caregiverHandler.handlePermissionCommand(req, res);
+        }
+        
+        if (incomingMsgLower.startsWith("remove caregiver")) {
+            return await caregiverHandler.handleRemoveCaregiverCommand(req, res);
+        }
+        
+        // Caregiver report preference: daily report, weekly digest or both
+        if (incomingMsgLower === "reports" || incomingMsgLower.startsWith("reports ")) {
+            return await accountHandler.handleReportPreferenceCommand(req, res);
+        }
+        
         // Check-in report request from caregiver
         if (incomingMsgLower.includes('daily report') || 
             incomingMsgLower.includes('check-in report') || 
@@ -658,17 +761,27 @@ router.post('/', async (req, res) => {
                 const userDetails = await userService.getUserDetails(standardizedFrom);
                 
                 if (userDetails && userDetails.userType === 'child') {
-                    // Get the parent relationships
-                    const relationships = await userService.getChildRelationships(standardizedFrom);
+                    // Get the parent relationships that include reports
+                    const relationships = (await userService.getChildRelationships(standardizedFrom))
+                        .filter(rel => (rel.permissions || []).includes('view_reports'));
                     
                     if (relationships && relationships.length > 0) {
                         // Get the first parent by default
                         const parentPhone = relationships[0].parentPhone;
                         
+                        // No reports until the parent has agreed to their account
+                        const parentDetails = await userService.getUserDetails(parentPhone);
+                        if (userService.isConsentPending(parentDetails)) {
+                            await sendWhatsAppMessage(from, t(language, 'reports.consent_pending', { name: parentDetails.name }));
+                            return res.status(200).send("Report held until consent");
+                        }
+                        
                         // Generate the report
-                        const report = await checkInService.generateDailyReport(parentPhone);
+                        const report = await checkInService.generateDailyReport(parentPhone, language);
                         
-                        await sendWhatsAppMessage(from, report);
+                        await sendWhatsAppMessage(from, report
+                            ? checkInService.renderDailyReportText(report, language)
+                            : t(language, 'reports.error'));
                         return res.status(200).send("Daily report sent.");
                     }
                 }
@@ -684,7 +797,7 @@ router.post('/', async (req, res) => {
 
         // AI Response for any other query - this also handles casual conversation for check-ins
         console.log(`No specific handler matched, sending AI response`);
-        const aiResponse = await aiResponseService.getAIResponse(incomingMsg);
+        const aiResponse = await aiResponseService.getAIResponse(incomingMsg, from);
         await sendWhatsAppMessage(from, aiResponse);
         return res.status(200).send("AI response sent.");
 
@@ -692,8 +805,7 @@ router.post('/', async (req, res) => {
         console.error("❌ Error processing webhook request:", error.message, error);
         try {
             // Try to send an error message to the user
-            await sendWhatsAppMessage(req.body.From, 
-                "I'm sorry, there was an error processing your request. Please try again later.");
+            await sendWhatsAppMessage(req.body.From, t(language, 'common.error'));
         } catch (msgError) {
             console.error("❌ Error sending error message:", msgError);
         }
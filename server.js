@@ -8,8 +8,12 @@ const webhookRoutes = require('./routes/webhookRoutes');
 
 // Import services
 const reminderService = require('./services/reminderService');
+const medicationService = require('./services/medicationService');
 const followUpService = require('./services/followUpService');
 const checkInService = require('./services/checkInService');
+const weeklyDigestService = require('./services/weeklyDigestService');
+const alertService = require('./services/alertService');
+const sessionStore = require('./models/sessionStore');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -27,10 +31,22 @@ app.use('/whatsapp-webhook', webhookRoutes);
 
 
 // Start the services
+if (process.env.REBUILD_REMINDER_SCHEDULE === 'true') {
+    // One-off backfill of the reminder schedule for medications that predate it or its DueIndex
+    reminderService.rebuildReminderSchedule()
+        .catch(error => console.error('Error rebuilding reminder schedule:', error));
+}
+if (process.env.BACKFILL_DOSE_LOG === 'true') {
+    // One-off copy of taken/missed history recorded before the dose log
+    medicationService.backfillDoseLog()
+        .catch(error => console.error('Error backfilling dose log:', error));
+}
 reminderService.startReminderScheduler();
 followUpService.startFollowUpScheduler();
 checkInService.initializeCheckInScheduler();
 checkInService.scheduleDailyReports();
+weeklyDigestService.scheduleWeeklyDigests();
+alertService.startAlertScheduler();
 
 /*
 (async () => {
@@ -46,10 +62,12 @@ checkInService.scheduleDailyReports();
   */
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('👋 Shutting down...');
     reminderService.stopReminderScheduler();
     followUpService.stopFollowUpScheduler();
+    // Make sure in-flight session writes reach the session backend
+    await sessionStore.flush();
     process.exit(0);
 });
 
@@ -0,0 +1,179 @@
+// services/adherenceService.js - Medication adherence analytics from the dose log
+const { DoseLogModel, UserModel } = require('../models/dbModels');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { getUserTimezone, getZonedDateParts } = require('../utils/timeUtils');
+const { t } = require('../utils/i18n');
+
+/**
+ * Summarize taken and missed doses
+ * @param {Array} doses - Resolved dose log entries
+ * @returns {Object} - { taken, missed, total, percentage }
+ */
+function summarizeDoses(doses) {
+    const taken = doses.filter(dose => dose.status === 'taken').length;
+    const missed = doses.filter(dose => dose.status === 'missed').length;
+    const total = taken + missed;
+    return { taken, missed, total, percentage: total ? Math.round((taken / total) * 100) : null };
+}
+
+/**
+ * Work out day streaks: days on which every dose was taken, counting only days that had doses
+ * @param {Array} doses - Resolved dose log entries for one medication, oldest first
+ * @param {string} timezone - User's IANA timezone
+ * @returns {Object} - { current, best } in days
+ */
+function calculateStreaks(doses, timezone) {
+    const days = new Map();
+    for (const dose of doses) {
+        const day = getZonedDateParts(timezone, new Date(dose.scheduledFor)).date;
+        days.set(day, (days.get(day) !== false) && dose.status === 'taken');
+    }
+
+    let current = 0;
+    let best = 0;
+    for (const allTaken of days.values()) {
+        current = allTaken ? current + 1 : 0;
+        best = Math.max(best, current);
+    }
+    return { current, best };
+}
+
+/**
+ * Find the reminder time that is missed most often
+ * @param {Array} doses - Resolved dose log entries
+ * @returns {Object|null} - { reminderTime, missed } or null if nothing was missed
+ */
+function findMostMissedSlot(doses) {
+    const missedBySlot = {};
+    for (const dose of doses) {
+        if (dose.status === 'missed' && dose.reminderTime) {
+            missedBySlot[dose.reminderTime] = (missedBySlot[dose.reminderTime] || 0) + 1;
+        }
+    }
+
+    const [slot] = Object.entries(missedBySlot).sort((a, b) => b[1] - a[1]);
+    return slot ? { reminderTime: slot[0], missed: slot[1] } : null;
+}
+
+/**
+ * Calculate adherence for a period, compared with the period before it
+ * @param {string} userPhone - User's phone number
+ * @param {number} days - Length of the period in days
+ * @param {string|null} timezone - User's IANA timezone (looked up if not given)
+ * @returns {Promise<Object>} - { days, overall, previous, trend, mostMissedSlot, medications }
+ */
+async function calculateAdherence(userPhone, days = 7, timezone = null) {
+    const standardizedPhone = standardizePhoneNumber(userPhone);
+    const userTimezone = timezone || getUserTimezone(await UserModel.getUserDetails(standardizedPhone), standardizedPhone);
+
+    const now = Date.now();
+    const periodStart = new Date(now - days * 24 * 60 * 60 * 1000);
+    const previousStart = new Date(now - 2 * days * 24 * 60 * 60 * 1000);
+
+    // Only reminded doses with an outcome count; as-needed doses have no schedule to adhere to
+    const doses = (await DoseLogModel.getDoses(standardizedPhone, previousStart))
+        .filter(dose => dose.reminderTime && (dose.status === 'taken' || dose.status === 'missed'));
+
+    const currentDoses = doses.filter(dose => new Date(dose.scheduledFor) >= periodStart);
+    const previousDoses = doses.filter(dose => new Date(dose.scheduledFor) < periodStart);
+
+    const overall = summarizeDoses(currentDoses);
+    const previous = summarizeDoses(previousDoses);
+
+    const medicines = [...new Set(currentDoses.map(dose => dose.medicine))];
+    const medications = medicines.map(medicine => {
+        const medicationDoses = currentDoses.filter(dose => dose.medicine === medicine);
+        return {
+            medicine,
+            ...summarizeDoses(medicationDoses),
+            streak: calculateStreaks(medicationDoses, userTimezone),
+            mostMissedSlot: findMostMissedSlot(medicationDoses)
+        };
+    });
+
+    return {
+        days,
+        overall,
+        previous,
+        trend: overall.percentage !== null && previous.percentage !== null ? overall.percentage - previous.percentage : null,
+        mostMissedSlot: findMostMissedSlot(currentDoses),
+        medications
+    };
+}
+
+/**
+ * Describe a period's adherence in one line, e.g. "86% (12 of 14 doses), up 10% on the previous week"
+ * @param {Object} adherence - Result of calculateAdherence
+ * @param {string} period - "week" or "month" (the last 30 days)
+ * @param {string|null} language - Language code
+ * @returns {string} - Summary line
+ */
+function describePeriod(adherence, period, language = null) {
+    const { overall, trend } = adherence;
+    if (overall.total === 0) return t(language, 'adherence.none');
+
+    let line = t(language, 'adherence.summary', { percentage: overall.percentage, taken: overall.taken, total: overall.total });
+    if (trend !== null) {
+        const direction = trend === 0 ? 'same' : trend > 0 ? 'up' : 'down';
+        line += t(language, `adherence.${direction}_${period}`, { change: Math.abs(trend) });
+    }
+    return line;
+}
+
+/**
+ * Build the adherence report shown to the elder or a caregiver
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {string|null} name - Name to show in the heading
+ * @param {string|null} language - Reader's language code
+ * @returns {Promise<string>} - Formatted adherence report
+ */
+async function getAdherenceReport(userPhone, name = null, language = null) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const user = await UserModel.getUserDetails(standardizedPhone);
+        const timezone = getUserTimezone(user, standardizedPhone);
+
+        const weekly = await calculateAdherence(standardizedPhone, 7, timezone);
+        const monthly = await calculateAdherence(standardizedPhone, 30, timezone);
+
+        let report = `${name ? t(language, 'adherence.title_for', { name }) : t(language, 'adherence.title')}\n\n`;
+
+        if (monthly.overall.total === 0) {
+            return report + t(language, 'adherence.no_doses_30_days');
+        }
+
+        report += `${t(language, 'adherence.this_week', { summary: describePeriod(weekly, 'week', language) })}\n`;
+        report += `${t(language, 'adherence.last_30_days', { summary: describePeriod(monthly, 'month', language) })}\n`;
+        if (monthly.mostMissedSlot) {
+            report += `${t(language, 'adherence.most_missed_time', {
+                time: monthly.mostMissedSlot.reminderTime,
+                count: monthly.mostMissedSlot.missed
+            })}\n`;
+        }
+
+        for (const medication of monthly.medications) {
+            const week = weekly.medications.find(med => med.medicine === medication.medicine);
+
+            report += `\n💊 *${medication.medicine}*\n`;
+            report += `${t(language, 'adherence.med_week', {
+                value: week ? `${week.percentage}%` : t(language, 'adherence.med_no_doses')
+            })}\n`;
+            report += `${t(language, 'adherence.med_month', { percentage: medication.percentage, missed: medication.missed })}\n`;
+            report += `${t(language, 'adherence.med_streak', { current: medication.streak.current, best: medication.streak.best })}\n`;
+            if (medication.mostMissedSlot) {
+                report += `${t(language, 'adherence.med_most_missed', { time: medication.mostMissedSlot.reminderTime })}\n`;
+            }
+        }
+
+        return report.trim();
+    } catch (error) {
+        console.error(`❌ Error building adherence report: ${error}`);
+        return t(language, 'adherence.unavailable');
+    }
+}
+
+module.exports = {
+    calculateAdherence,
+    describePeriod,
+    getAdherenceReport
+};
@@ -1,38 +1,144 @@
 // services/aiResponseService.js - Service to handle general AI responses
-const { createOpenAIClient } = require('../config/config');
+const llmService = require('./llmService');
+const { CHAT_MEMORY_CONFIG } = require('../config/config');
+const { UserModel, MedicationModel, SymptomModel } = require('../models/dbModels');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { t, languageInstruction } = require('../utils/i18n');
+
+// General query system message
+const SYSTEM_MESSAGE = `You are a friendly health assistant called Sukoon Saarthi.
+    You can provide general health information but should not diagnose conditions or give specific medical advice.
+    Keep responses conversational, helpful, and concise for WhatsApp (under 400 words).
+    Use emoji where appropriate to make the conversation friendly.`;
+
+/**
+ * Describe the user to the model: who they are, what they take and what they've reported lately
+ * @param {Object} user - User record
+ * @returns {Promise<string>} - Context for the system message
+ */
+async function buildUserContext(user) {
+  const lines = [];
+  if (user.name) lines.push(`- Name: ${user.name}`);
+  if (user.age) lines.push(`- Age: ${user.age}`);
+
+  const today = new Date();
+  const medications = (await MedicationModel.getUserMedications(user.phoneNumber))
+    .filter(med => !med.endDate || new Date(med.endDate) >= today);
+  if (medications.length > 0) {
+    lines.push(`- Current medications: ${medications.map(med => med.dosage ? `${med.medicine} (${med.dosage})` : med.medicine).join(', ')}`);
+  }
+
+  const since = new Date(Date.now() - CHAT_MEMORY_CONFIG.symptomDays * 24 * 60 * 60 * 1000);
+  const assessments = (await SymptomModel.getAssessmentsSince(user.phoneNumber, since))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, 3);
+  if (assessments.length > 0) {
+    const symptoms = assessments.map(assessment => {
+      const date = new Date(assessment.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+      return `${assessment.primarySymptom} (${date}, ${assessment.status === 'active' ? 'still being followed up' : 'closed'})`;
+    });
+    lines.push(`- Recent symptoms: ${symptoms.join(', ')}`);
+  }
+
+  return lines.length > 0 ? `About the person you are talking to:\n${lines.join('\n')}` : "";
+}
+
+/**
+ * Fold older chat messages into the running summary of the conversation
+ * @param {string|null} summary - Summary so far
+ * @param {Array} messages - Messages falling out of the memory window
+ * @returns {Promise<string|null>} - Updated summary; the old one if the AI is unavailable
+ */
+async function summarizeChatMemory(summary, messages) {
+  try {
+    const conversationText = messages
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+      .join('\n');
+
+    return await llmService.complete('chat_summary', [
+      {
+        role: "system",
+        content: "You keep short notes on a health assistant's conversation with a user, so the assistant can follow on from it later. Note the topics, medicines and symptoms discussed and anything the user asked to be remembered. Reply with the notes only, in under 120 words."
+      },
+      {
+        role: "user",
+        content: `Notes so far: ${summary || "None"}\n\nConversation to add:\n${conversationText}`
+      }
+    ]);
+  } catch (error) {
+    console.error(`❌ Error summarizing chat memory: ${error}`);
+    return summary;
+  }
+}
+
+/**
+ * Add an exchange to the user's chat memory, summarizing the oldest messages once the window is full
+ * @param {string} userPhone - User's phone number
+ * @param {Object} memory - Chat memory so far ({ summary, messages })
+ * @param {string} userInput - User's message
+ * @param {string} reply - Assistant's reply
+ * @returns {Promise<boolean>} - Success status
+ */
+async function rememberExchange(userPhone, memory, userInput, reply) {
+  const now = new Date().toISOString();
+  const messages = [
+    ...memory.messages,
+    { role: 'user', content: userInput, timestamp: now },
+    { role: 'assistant', content: reply, timestamp: now }
+  ];
+
+  let summary = memory.summary || null;
+  if (messages.length > CHAT_MEMORY_CONFIG.maxMessages) {
+    const overflow = messages.splice(0, messages.length - CHAT_MEMORY_CONFIG.keepMessages);
+    summary = await summarizeChatMemory(summary, overflow);
+  }
+
+  return await UserModel.updateUser(userPhone, {
+    chatMemory: { summary, messages, updatedAt: now }
+  });
+}
 
 /**
  * Get AI response for general queries
  * @param {string} userInput - User's message
+ * @param {string|null} userPhone - User's phone number; registered users get answers that
+ *                                  follow on from their earlier messages and know their details
  * @returns {Promise<string>} - AI-generated response
  */
-async function getAIResponse(userInput) {
+async function getAIResponse(userInput, userPhone = null) {
+  let user = null;
   try {
-    const openaiClient = createOpenAIClient();
-    
-    // General query system message
-    const systemMessage = `You are a friendly health assistant called Sukoon Saarthi. 
-    You can provide general health information but should not diagnose conditions or give specific medical advice.
-    Keep responses conversational, helpful, and concise for WhatsApp (under 400 words).
-    Use emoji where appropriate to make the conversation friendly.`;
-    
-    // Call OpenAI API
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo", // You can update to a newer model if available
-      messages: [
-        {
-          role: "system",
-          content: systemMessage
-        },
-        {
-          role: "user",
-          content: userInput
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 400 // Limit response length for WhatsApp readability
-    });
-    
+    user = userPhone ? await UserModel.getUserDetails(standardizePhoneNumber(userPhone)) : null;
+    const memory = user?.chatMemory || { summary: null, messages: [] };
+
+    let systemMessage = SYSTEM_MESSAGE;
+    if (user) {
+      const context = await buildUserContext(user);
+      if (context) systemMessage += `\n\n${context}`;
+    }
+    if (memory.summary) {
+      systemMessage += `\n\nEarlier in your conversation: ${memory.summary}`;
+    }
+    const instruction = languageInstruction(user?.language);
+    if (instruction) systemMessage += `\n\n${instruction}`;
+
+    // Ask the model, with the recent conversation so follow-up questions make sense
+    const content = await llmService.complete('chat', [
+      {
+        role: "system",
+        content: systemMessage
+      },
+      ...memory.messages.map(msg => ({ role: msg.role, content: msg.content })),
+      {
+        role: "user",
+        content: userInput
+      }
+    ]);
+
+    if (user) {
+      await rememberExchange(user.phoneNumber, memory, userInput, content);
+    }
+
     // Add a disclaimer for symptom-related responses
     let disclaimer = "";
     if (userInput.toLowerCase().includes('pain') || 
@@ -41,13 +147,13 @@ async function getAIResponse(userInput) {
         userInput.toLowerCase().includes('symptom') ||
         userInput.toLowerCase().includes('sick') ||
         userInput.toLowerCase().includes('ill')) {
-      disclaimer = "\n\n⚠️ *Important*: This information is not a diagnosis. Always consult a healthcare provider for medical concerns.";
+      disclaimer = `\n\n${t(user?.language, 'ai.disclaimer')}`;
     }
-    
-    return response.choices[0].message.content + disclaimer;
+
+    return content + disclaimer;
   } catch (error) {
     console.error(`❌ Error getting AI response:`, error);
-    return "I'm sorry, I couldn't process your request at this time. Please try again later.";
+    return t(user?.language, 'ai.error');
   }
 }
 
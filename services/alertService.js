@@ -0,0 +1,509 @@
+// services/alertService.js - Alerts to caregivers and the emergency contact, with acknowledgement and escalation
+const crypto = require('crypto');
+const { AlertModel, RelationshipModel, UserModel } = require('../models/dbModels');
+const { ALERT_CONFIG } = require('../config/config');
+const { sendWhatsAppMessage } = require('./messageService');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { getUserTimezone } = require('../utils/timeUtils');
+const { getHelplines } = require('../utils/emergencyUtils');
+const { DEFAULT_LANGUAGE, normalizeLanguage, t } = require('../utils/i18n');
+
+/**
+ * Build the ordered escalation chain for a user: primary caregivers, then the other caregivers,
+ * then the emergency contact. Without roles, the caregiver linked first counts as primary.
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {Object|null} user - Elderly user's record
+ * @param {string|null} permission - Only include caregivers with this permission
+ * @returns {Promise<Array<Array<string>>>} - Steps of recipient phone numbers, without empty steps
+ */
+async function buildEscalationChain(userPhone, user, permission = null) {
+    const relationships = (await RelationshipModel.getParentRelationships(userPhone))
+        .filter(relationship => !permission || (relationship.permissions || []).includes(permission))
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+    const caregivers = [...new Set(relationships.map(relationship => standardizePhoneNumber(relationship.childPhone)))]
+        .filter(phone => phone !== userPhone);
+
+    // Links made before caregiver roles existed have none; then the first one linked leads
+    const primaries = [...new Set(relationships
+        .filter(relationship => relationship.role === 'primary')
+        .map(relationship => standardizePhoneNumber(relationship.childPhone)))]
+        .filter(phone => phone !== userPhone);
+    const firstStep = primaries.length > 0 ? primaries : caregivers.slice(0, 1);
+
+    // The emergency contact is often a caregiver already; then they are alerted as one
+    const emergencyContact = user && user.emergencyContact ? standardizePhoneNumber(user.emergencyContact) : null;
+    const lastResort = emergencyContact && emergencyContact !== userPhone && !caregivers.includes(emergencyContact)
+        ? [emergencyContact]
+        : [];
+
+    return [firstStep, caregivers.filter(phone => !firstStep.includes(phone)), lastResort]
+        .filter(step => step.length > 0);
+}
+
+/**
+ * Get the language to message an alert recipient in. An emergency contact without an
+ * account is usually family, so they get the elderly user's language.
+ * @param {string} recipientPhone - Recipient's phone number
+ * @param {Object|null} user - Elderly user's record
+ * @returns {Promise<string>} - Language code
+ */
+async function getRecipientLanguage(recipientPhone, user) {
+    const recipient = await UserModel.getUserDetails(recipientPhone);
+    return normalizeLanguage(recipient ? recipient.language : user?.language);
+}
+
+/**
+ * Get an alert's text in the language of one of its recipients
+ * @param {Object} alert - Alert record
+ * @param {string} recipientPhone - Recipient's phone number
+ * @returns {string} - Alert text; alerts saved before translations were stored only have `message`
+ */
+function getAlertMessage(alert, recipientPhone) {
+    return alert.messages?.[alert.recipientLanguages?.[recipientPhone]] || alert.message;
+}
+
+/**
+ * Check whether a matching alert was already sent within the dedupe window
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {string} dedupeKey - Alerts with the same key count as repeats
+ * @returns {Promise<boolean>} - Whether the alert would be a repeat
+ */
+async function isDuplicateAlert(userPhone, dedupeKey) {
+    const since = new Date(Date.now() - ALERT_CONFIG.dedupeWindowMinutes * 60 * 1000);
+    const recentAlerts = await AlertModel.getRecentAlerts(userPhone, since);
+    // An alert that reached nobody doesn't count, so it can be raised again
+    return recentAlerts.some(alert => alert.dedupeKey === dedupeKey && alert.status !== 'failed');
+}
+
+/**
+ * Raise an alert. Escalating alerts go to the first step of the chain and move to the next
+ * step when nobody acknowledges them in time; the rest go to everyone at once.
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {string} type - Alert type, e.g. "checkin_concern"
+ * @param {Function} buildMessage - Builds the alert text from (name, alertId, language)
+ * @param {Object} details - Extra fields stored on the alert
+ * @param {Object} options - { dedupeKey: repeat key (defaults to the type), escalate: use the
+ *                           escalation chain, permission: caregivers must have this permission,
+ *                           repeatEveryMinutes: send again this often until acknowledged }
+ * @returns {Promise<Object|null>} - The alert, or null if it was a repeat or couldn't be sent
+ */
+async function raiseAlert(userPhone, type, buildMessage, details = {}, options = {}) {
+    const { dedupeKey = null, escalate = false, permission = null, repeatEveryMinutes = null } = options;
+
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const key = dedupeKey || type;
+
+        if (await isDuplicateAlert(standardizedPhone, key)) {
+            console.log(`⏭️ Skipping repeat ${type} alert for ${standardizedPhone}`);
+            return null;
+        }
+
+        const user = await UserModel.getUserDetails(standardizedPhone);
+        const fullChain = await buildEscalationChain(standardizedPhone, user, permission);
+        if (fullChain.length === 0) {
+            console.log(`⚠️ No caregivers or emergency contact to alert for ${standardizedPhone}`);
+            return null;
+        }
+
+        const chain = escalate ? fullChain : [fullChain.flat()];
+        const stepTimeoutMinutes = ALERT_CONFIG.escalationStepMinutes[type] || ALERT_CONFIG.escalationStepMinutes.default;
+
+        const alertId = crypto.randomBytes(3).toString('hex').toUpperCase();
+        const name = user?.name || standardizedPhone;
+
+        // Each recipient gets the alert in their own language, including when it's repeated or escalated
+        const recipientLanguages = {};
+        for (const recipient of fullChain.flat()) {
+            recipientLanguages[recipient] = await getRecipientLanguage(recipient, user);
+        }
+        const messages = {};
+        for (const language of new Set([DEFAULT_LANGUAGE, ...Object.values(recipientLanguages)])) {
+            messages[language] = buildMessage(name, alertId, language);
+        }
+
+        const alert = {
+            alertId,
+            userPhone: standardizedPhone,
+            type,
+            dedupeKey: key,
+            message: messages[DEFAULT_LANGUAGE],
+            messages,
+            recipientLanguages,
+            details,
+            chain,
+            step: 0,
+            recipients: chain[0],
+            stepTimeoutMinutes,
+            nextEscalationAt: chain.length > 1
+                ? new Date(Date.now() + stepTimeoutMinutes * 60 * 1000).toISOString()
+                : null
+        };
+
+        if (repeatEveryMinutes) {
+            alert.repeatEveryMinutes = repeatEveryMinutes;
+            alert.repeatCount = 0;
+            alert.nextRepeatAt = new Date(Date.now() + repeatEveryMinutes * 60 * 1000).toISOString();
+        }
+
+        // Save before sending, so a repeat arriving meanwhile is deduplicated
+        await AlertModel.createAlert(alert);
+
+        const notified = [];
+        for (const recipient of alert.recipients) {
+            if (await sendWhatsAppMessage(recipient, getAlertMessage(alert, recipient))) {
+                notified.push(recipient);
+            }
+        }
+
+        if (notified.length === 0) {
+            // Nobody got it, so it mustn't hold off a retry or sit open waiting for an ack
+            console.error(`❌ Couldn't send ${type} alert ${alertId} for ${standardizedPhone} to anyone`);
+            await AlertModel.updateAlert(alertId, { status: 'failed', nextEscalationAt: null });
+            return null;
+        }
+
+        console.log(`🚨 Sent ${type} alert ${alertId} for ${standardizedPhone} to ${notified.join(', ')}`);
+        return alert;
+    } catch (error) {
+        console.error(`❌ Error raising alert: ${error}`);
+        return null;
+    }
+}
+
+/**
+ * Send caregivers a notice that needs no acknowledgement, such as a refill reminder.
+ * Notices aren't recorded as alerts and don't go to the emergency contact.
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {Function} buildMessage - Builds the notice text in a caregiver's language, from (language)
+ * @param {string|null} permission - Only include caregivers with this permission
+ * @returns {Promise<Array<string>>} - Caregivers the notice was sent to
+ */
+async function notifyCaregivers(userPhone, buildMessage, permission = null) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+
+        // Without the user's record the chain stops at the caregivers
+        const caregivers = (await buildEscalationChain(standardizedPhone, null, permission)).flat();
+
+        const notified = [];
+        for (const caregiver of caregivers) {
+            const language = await getRecipientLanguage(caregiver, null);
+            if (await sendWhatsAppMessage(caregiver, buildMessage(language))) {
+                notified.push(caregiver);
+            }
+        }
+        return notified;
+    } catch (error) {
+        console.error(`❌ Error notifying caregivers: ${error}`);
+        return [];
+    }
+}
+
+/**
+ * Format the last few things the user said, for context in an alert
+ * @param {Array} conversationHistory - Conversation messages ({ role, content })
+ * @param {number} maxLength - Longest excerpt to include
+ * @returns {string} - Quoted excerpt, or an empty string
+ */
+function buildConversationExcerpt(conversationHistory, maxLength = 300) {
+    const userMessages = (conversationHistory || [])
+        .filter(msg => msg.role === 'user')
+        .map(msg => msg.content)
+        .slice(-3);
+
+    let excerpt = userMessages.join(' … ');
+    if (excerpt.length > maxLength) {
+        excerpt = '…' + excerpt.slice(-maxLength);
+    }
+    return excerpt ? `"${excerpt}"` : '';
+}
+
+/**
+ * Alert caregivers and the emergency contact about an urgent concern from a check-in
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {Array<string>} concerns - Concerns from a check-in the analysis marked urgent
+ * @param {Array} conversationHistory - Check-in conversation
+ * @param {Array<string>} redFlags - Red-flag categories found in the elder's replies
+ * @returns {Promise<Object|null>} - The alert, or null if none was sent
+ */
+async function sendCheckInConcernAlert(userPhone, concerns, conversationHistory, redFlags = []) {
+    const excerpt = buildConversationExcerpt(conversationHistory);
+
+    return await raiseAlert(userPhone, 'checkin_concern', (name, alertId, language) => t(language, 'alert.checkin_concern', {
+        name,
+        concerns: [...redFlags.map(category => t(language, `redflag.label_${category}`)), ...concerns].join(', '),
+        excerpt: excerpt ? t(language, 'alert.checkin_concern_excerpt', { excerpt }) : '',
+        alertId
+    }), { concerns, redFlags, excerpt }, { escalate: true });
+}
+
+/**
+ * Alert caregivers and the emergency contact about a red-flag symptom
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {Object} redFlag - Matched red-flag rule ({ category, label })
+ * @param {string} description - What the user wrote
+ * @returns {Promise<Object|null>} - The alert, or null if none was sent
+ */
+async function sendSymptomEmergencyAlert(userPhone, redFlag, description) {
+    return await raiseAlert(userPhone, 'symptom_emergency', (name, alertId, language) => t(language, 'alert.symptom_emergency', {
+        name,
+        symptom: t(language, `redflag.label_${redFlag.category}`),
+        description,
+        alertId
+    }), { category: redFlag.category, description }, { dedupeKey: `symptom_emergency:${redFlag.category}` });
+}
+
+/**
+ * Send an alert to its recipients again, marked as still unacknowledged. Scheduled repeats
+ * stop after ALERT_CONFIG.maxRepeats; pressing SOS again still sends one straight away.
+ * @param {Object} alert - Open alert
+ * @returns {Promise<boolean>} - Whether anyone was sent the repeat
+ */
+async function repeatAlert(alert) {
+    const repeatCount = (alert.repeatCount || 0) + 1;
+    await AlertModel.updateAlert(alert.alertId, {
+        repeatCount,
+        nextRepeatAt: repeatCount < ALERT_CONFIG.maxRepeats
+            ? new Date(Date.now() + alert.repeatEveryMinutes * 60 * 1000).toISOString()
+            : null
+    });
+
+    let sent = false;
+    for (const recipient of alert.recipients) {
+        const prefix = t(alert.recipientLanguages?.[recipient], 'alert.repeat_prefix', { count: repeatCount });
+        if (await sendWhatsAppMessage(recipient, `${prefix}\n\n${getAlertMessage(alert, recipient)}`)) {
+            sent = true;
+        }
+    }
+
+    console.log(`🔁 Repeated ${alert.type} alert ${alert.alertId} (${repeatCount})`);
+    return sent;
+}
+
+/**
+ * Move an alert to the next step of its escalation chain
+ * @param {Object} alert - Open alert whose step timed out
+ * @returns {Promise<boolean>} - Whether anyone at the next step was alerted
+ */
+async function escalateAlert(alert) {
+    const step = alert.step + 1;
+    const stepRecipients = alert.chain[step];
+    const isLastStep = step >= alert.chain.length - 1;
+
+    await AlertModel.updateAlert(alert.alertId, {
+        step,
+        recipients: [...new Set([...alert.recipients, ...stepRecipients])],
+        nextEscalationAt: isLastStep
+            ? null
+            : new Date(Date.now() + alert.stepTimeoutMinutes * 60 * 1000).toISOString()
+    });
+
+    let sent = false;
+    for (const recipient of stepRecipients) {
+        const prefix = t(alert.recipientLanguages?.[recipient], 'alert.escalated_prefix');
+        if (await sendWhatsAppMessage(recipient, `${prefix}\n\n${getAlertMessage(alert, recipient)}`)) {
+            sent = true;
+        }
+    }
+
+    console.log(`⏫ Escalated ${alert.type} alert ${alert.alertId} to step ${step + 1} of ${alert.chain.length}`);
+    return sent;
+}
+
+/**
+ * Escalate alerts whose step timed out and repeat alerts that are due again
+ */
+async function processDueAlerts() {
+    try {
+        const now = new Date().toISOString();
+        const expireBefore = new Date(Date.now() - ALERT_CONFIG.expireAfterHours * 60 * 60 * 1000).toISOString();
+
+        for (const alert of await AlertModel.getOpenAlerts()) {
+            if (alert.createdAt <= expireBefore) {
+                if (await AlertModel.expireAlert(alert.alertId)) {
+                    console.log(`⌛ Expired ${alert.type} alert ${alert.alertId}; nobody acknowledged it within ${ALERT_CONFIG.expireAfterHours} hours`);
+                }
+            } else if (alert.nextEscalationAt && alert.nextEscalationAt <= now) {
+                await escalateAlert(alert);
+            } else if (alert.repeatEveryMinutes && alert.nextRepeatAt && alert.nextRepeatAt <= now) {
+                await repeatAlert(alert);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Error processing alerts: ${error}`);
+    }
+}
+
+/**
+ * Start checking for alerts that need escalating or repeating
+ */
+function startAlertScheduler() {
+    console.log('🚨 Starting alert scheduler');
+    setInterval(processDueAlerts, 60 * 1000).unref();
+}
+
+/**
+ * Raise an SOS for an elderly user. Pressing SOS again while one is open sends it again straight away.
+ * @param {string} userPhone - Elderly user's phone number
+ * @returns {Promise<Object|null>} - { alert, recipientNames, repeated }, or null if nobody could be alerted
+ */
+async function sendSosAlert(userPhone) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const user = await UserModel.getUserDetails(standardizedPhone);
+
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const openSos = (await AlertModel.getRecentAlerts(standardizedPhone, since))
+            .find(alert => alert.type === 'sos' && alert.status === 'open');
+
+        let alert;
+        let repeated = false;
+        if (openSos) {
+            repeated = await repeatAlert(openSos);
+            alert = repeated ? openSos : null;
+        } else {
+            const timezone = getUserTimezone(user, standardizedPhone);
+            const time = new Intl.DateTimeFormat('en-IN', {
+                timeZone: timezone,
+                day: 'numeric',
+                month: 'short',
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true
+            }).format(new Date());
+            const location = user?.location || null;
+            const { emergency } = getHelplines(standardizedPhone);
+
+            // Each SOS is its own alert; an open one is repeated above instead of deduplicated
+            alert = await raiseAlert(standardizedPhone, 'sos', (name, alertId, language) => t(language, 'alert.sos', {
+                name,
+                location: location || t(language, 'alert.location_unknown'),
+                time,
+                timezone,
+                emergency,
+                minutes: ALERT_CONFIG.sosRepeatMinutes,
+                alertId
+            }), { location, time }, { dedupeKey: `sos:${Date.now()}`, repeatEveryMinutes: ALERT_CONFIG.sosRepeatMinutes });
+        }
+
+        if (!alert) return null;
+
+        const recipientNames = [];
+        for (const recipient of alert.recipients) {
+            const recipientUser = await UserModel.getUserDetails(recipient);
+            const isEmergencyContact = user?.emergencyContact && standardizePhoneNumber(user.emergencyContact) === recipient;
+            recipientNames.push(recipientUser?.name || (isEmergencyContact && user.emergencyContactName) || recipient);
+        }
+
+        return { alert, recipientNames, repeated };
+    } catch (error) {
+        console.error(`❌ Error sending SOS: ${error}`);
+        return null;
+    }
+}
+
+/**
+ * Get the open alerts a caregiver has been sent, with the elderly user's name
+ * @param {string} recipientPhone - Caregiver or emergency contact phone number
+ * @returns {Promise<Array>} - Open alerts, newest first
+ */
+async function getOpenAlertsForRecipient(recipientPhone) {
+    try {
+        const alerts = await AlertModel.getOpenAlertsForRecipient(standardizePhoneNumber(recipientPhone));
+
+        for (const alert of alerts) {
+            const elder = await UserModel.getUserDetails(alert.userPhone);
+            alert.elderName = elder?.name || alert.userPhone;
+        }
+        return alerts;
+    } catch (error) {
+        console.error(`❌ Error listing open alerts: ${error}`);
+        return [];
+    }
+}
+
+/**
+ * Get the name to show for whoever acknowledged an alert
+ * @param {string} phone - Acknowledger's phone number
+ * @param {Object|null} elder - Elderly user the alert is about
+ * @returns {Promise<string>} - Their name, or their phone number if unknown
+ */
+async function getAcknowledgerName(phone, elder) {
+    const acknowledger = await UserModel.getUserDetails(phone);
+    const isEmergencyContact = elder?.emergencyContact && standardizePhoneNumber(elder.emergencyContact) === phone;
+    return acknowledger?.name || (isEmergencyContact && elder.emergencyContactName) || phone;
+}
+
+/**
+ * Acknowledge an open alert and let the other recipients know
+ * @param {string} recipientPhone - Phone number of whoever replied "ack"
+ * @param {string|null} alertId - Alert to acknowledge (defaults to their most recent open alert)
+ * @returns {Promise<Object|null>} - The acknowledged alert (with alreadyAcknowledged set if someone
+ *   else's "ack" won), or null if there was none
+ */
+async function acknowledgeAlert(recipientPhone, alertId = null) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(recipientPhone);
+        const openAlerts = await AlertModel.getOpenAlertsForRecipient(standardizedPhone);
+
+        const alert = alertId
+            ? openAlerts.find(open => open.alertId === alertId.toUpperCase())
+            : openAlerts[0];
+        if (!alert) return null;
+
+        const acknowledged = await AlertModel.acknowledgeAlert(alert.alertId, standardizedPhone);
+        if (acknowledged === null) return null;
+
+        const elder = await UserModel.getUserDetails(alert.userPhone);
+        const elderName = elder?.name || alert.userPhone;
+
+        // Someone else's "ack" got there first; they've already told everyone
+        if (!acknowledged) {
+            const current = await AlertModel.getAlert(alert.alertId);
+            if (current?.status !== 'acknowledged') return null;
+            return {
+                ...current,
+                elderName,
+                alreadyAcknowledged: true,
+                acknowledgerName: await getAcknowledgerName(current.acknowledgedBy, elder)
+            };
+        }
+
+        const acknowledgerName = await getAcknowledgerName(standardizedPhone, elder);
+
+        for (const recipient of alert.recipients.filter(phone => phone !== standardizedPhone)) {
+            const language = alert.recipientLanguages?.[recipient] || await getRecipientLanguage(recipient, elder);
+            await sendWhatsAppMessage(recipient, t(language, 'alert.acknowledged_by', {
+                caregiver: acknowledgerName,
+                name: elderName,
+                alertId: alert.alertId
+            }));
+        }
+
+        // Whoever raised an SOS should know help is coming
+        if (alert.type === 'sos') {
+            await sendWhatsAppMessage(alert.userPhone, t(elder?.language, 'sos.acknowledged', { caregiver: acknowledgerName }));
+        }
+
+        console.log(`✅ Alert ${alert.alertId} acknowledged by ${standardizedPhone}`);
+        return { ...alert, elderName };
+    } catch (error) {
+        console.error(`❌ Error acknowledging alert: ${error}`);
+        return null;
+    }
+}
+
+module.exports = {
+    buildEscalationChain,
+    raiseAlert,
+    notifyCaregivers,
+    sendCheckInConcernAlert,
+    sendSymptomEmergencyAlert,
+    sendSosAlert,
+    getOpenAlertsForRecipient,
+    acknowledgeAlert,
+    processDueAlerts,
+    startAlertScheduler
+};
@@ -0,0 +1,629 @@
+// services/caregiverService.js - Caregiver invitations, roles, permissions and elder consent
+const { RelationshipModel, UserModel, MedicationModel } = require('../models/dbModels');
+const { CAREGIVER_ROLES } = require('../config/config');
+const { sendWhatsAppMessage } = require('./messageService');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { inferTimezoneFromPhone } = require('../utils/timeUtils');
+const { t } = require('../utils/i18n');
+
+// Words the elder can use for each permission in "grant" and "revoke"
+const PERMISSION_ALIASES = {
+    view_medications: ['view medications', 'view medicines', 'medications', 'medicines'],
+    manage_medications: ['manage medications', 'manage medicines', 'edit medications', 'edit medicines'],
+    view_symptoms: ['view symptoms', 'symptoms'],
+    view_reports: ['view reports', 'reports'],
+    manage_caregivers: ['manage caregivers', 'invite caregivers', 'invite']
+};
+
+/**
+ * Parse a role name (e.g., "primary", "view-only")
+ * @param {string} text - Role as typed
+ * @returns {string|null} - Role key or null if not recognised
+ */
+function parseRole(text) {
+    const normalized = (text || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (normalized === 'viewer' || normalized === 'view') return 'view_only';
+    return CAREGIVER_ROLES[normalized] ? normalized : null;
+}
+
+/**
+ * Parse "invite <phone> [role]"
+ * @param {string} text - Command text, starting with "invite"
+ * @returns {Object|null} - { phone, role } or null if the phone number is missing; role is null if unrecognised
+ */
+function parseInviteCommand(text) {
+    const match = text.trim().match(/^invite\s+(\+?\d[\d\s-]{5,}\d)(?:\s+(?:as\s+)?([a-z][a-z\s-]*))?$/i);
+    if (!match) return null;
+
+    return {
+        phone: match[1].replace(/[\s-]/g, ''),
+        role: match[2] ? parseRole(match[2]) : 'secondary'
+    };
+}
+
+/**
+ * Parse a permission name (e.g., "reports", "manage medications")
+ * @param {string} text - Permission as typed
+ * @returns {string|null} - Permission key or null if not recognised
+ */
+function parsePermission(text) {
+    const normalized = (text || '').toLowerCase().trim().replace(/[_\s]+/g, ' ');
+    const match = Object.entries(PERMISSION_ALIASES)
+        .find(([permission, aliases]) => permission.replace('_', ' ') === normalized || aliases.includes(normalized));
+    return match ? match[0] : null;
+}
+
+/**
+ * Work out which role a set of permissions amounts to
+ * @param {Array<string>} permissions - Permission keys
+ * @returns {string} - Matching role key, or "custom"
+ */
+function roleForPermissions(permissions) {
+    const match = Object.entries(CAREGIVER_ROLES).find(([, rolePermissions]) =>
+        rolePermissions.length === permissions.length && rolePermissions.every(permission => permissions.includes(permission))
+    );
+    return match ? match[0] : 'custom';
+}
+
+/**
+ * Get a relationship's role; relationships from before roles existed had full access
+ * @param {Object} relationship - Relationship record
+ * @returns {string} - Role key
+ */
+function getRole(relationship) {
+    return relationship.role || 'primary';
+}
+
+/**
+ * Name a role, e.g. "primary caregiver"
+ * @param {string} language - Language code
+ * @param {string} role - Role key
+ * @returns {string} - Role name
+ */
+function describeRole(language, role) {
+    return t(language, `role.${role}`);
+}
+
+/**
+ * Describe what a role lets a caregiver do, for invitations
+ * @param {string} language - Language code
+ * @param {string} role - Role key
+ * @returns {string} - One bullet per permission
+ */
+function describeRolePermissions(language, role) {
+    return CAREGIVER_ROLES[role].map(permission => `• ${t(language, `access.${permission}`)}`).join('\n');
+}
+
+/**
+ * Get the language to message someone in. People without an account, such as a newly
+ * invited caregiver, get the elderly user's language as they are usually family.
+ * @param {Object|null} person - Recipient's user record
+ * @param {Object|null} elder - Elderly user's record
+ * @returns {string|null} - Language code
+ */
+function languageFor(person, elder) {
+    return person ? person.language : elder?.language;
+}
+
+/**
+ * Invite someone to become a caregiver for an elderly user. The elder can always invite;
+ * caregivers need the manage_caregivers permission.
+ * @param {string} inviterPhone - Phone number of whoever sent the invitation
+ * @param {string} elderPhone - Elderly user's phone number
+ * @param {string} inviteePhone - Phone number of the new caregiver
+ * @param {string} role - Role to offer
+ * @returns {Promise<Object>} - { success, message } with the reply for the inviter
+ */
+async function inviteCaregiver(inviterPhone, elderPhone, inviteePhone, role = 'secondary') {
+    try {
+        const standardizedInviter = standardizePhoneNumber(inviterPhone);
+        const standardizedElder = standardizePhoneNumber(elderPhone);
+        const standardizedInvitee = standardizePhoneNumber(inviteePhone);
+
+        const inviter = await UserModel.getUserDetails(standardizedInviter);
+        const language = inviter?.language;
+
+        const elder = await UserModel.getUserDetails(standardizedElder);
+        if (!elder) {
+            return { success: false, message: t(language, 'caregiver.invite_no_account', { phone: standardizedElder }) };
+        }
+        const elderName = elder.name || standardizedElder;
+
+        if (standardizedInviter !== standardizedElder) {
+            const relationship = await RelationshipModel.getRelationship(standardizedInviter, standardizedElder);
+            if (!relationship || !(relationship.permissions || []).includes('manage_caregivers')) {
+                return { success: false, message: t(language, 'caregiver.invite_not_allowed', { name: elderName }) };
+            }
+        }
+
+        if (standardizedInvitee === standardizedElder || standardizedInvitee === standardizedInviter) {
+            return { success: false, message: t(language, 'caregiver.invite_self') };
+        }
+
+        const relationshipId = `${standardizedElder}_${standardizedInvitee}`;
+        const existing = await RelationshipModel.getRelationshipById(relationshipId);
+        if (existing) {
+            return {
+                success: false,
+                message: existing.status === 'pending'
+                    ? t(language, 'caregiver.invite_pending', { phone: standardizedInvitee })
+                    : t(language, 'caregiver.invite_exists', { phone: standardizedInvitee, name: elderName })
+            };
+        }
+
+        const created = await RelationshipModel.createRelationship(
+            standardizedElder, standardizedInvitee, 'caregiver', role, 'pending', standardizedInviter
+        );
+        if (!created) {
+            return { success: false, message: t(language, 'caregiver.invite_failed') };
+        }
+
+        const inviterName = inviter?.name || standardizedInviter;
+        const inviteeLanguage = languageFor(await UserModel.getUserDetails(standardizedInvitee), elder);
+
+        const sent = await sendWhatsAppMessage(standardizedInvitee, t(inviteeLanguage, 'caregiver.invite_message', {
+            inviter: inviterName,
+            role: describeRole(inviteeLanguage, role),
+            name: elderName,
+            permissions: describeRolePermissions(inviteeLanguage, role)
+        }));
+
+        if (!sent) {
+            await RelationshipModel.deleteRelationship(relationshipId);
+            return { success: false, message: t(language, 'caregiver.invite_not_delivered', { phone: standardizedInvitee }) };
+        }
+
+        console.log(`✅ ${standardizedInviter} invited ${standardizedInvitee} as ${role} for ${standardizedElder}`);
+        return {
+            success: true,
+            message: t(language, 'caregiver.invite_sent', {
+                phone: standardizedInvitee,
+                role: describeRole(language, role),
+                name: elderName
+            })
+        };
+    } catch (error) {
+        console.error(`❌ Error inviting caregiver: ${error}`);
+        return { success: false, message: t(null, 'caregiver.invite_failed') };
+    }
+}
+
+/**
+ * Check whether someone has an invitation waiting for their reply
+ * @param {string} inviteePhone - Invited caregiver's phone number
+ * @returns {Promise<boolean>} - Whether there is a pending invitation
+ */
+async function hasPendingInvite(inviteePhone) {
+    const invites = await RelationshipModel.getPendingInvites(standardizePhoneNumber(inviteePhone));
+    return invites.length > 0;
+}
+
+/**
+ * Accept or decline the latest pending invitation
+ * @param {string} inviteePhone - Invited caregiver's phone number
+ * @param {boolean} accept - Whether they accepted
+ * @param {string|null} profileName - WhatsApp profile name, used if they have no account yet
+ * @returns {Promise<Object>} - { success, message } with the reply for the invitee
+ */
+async function respondToInvite(inviteePhone, accept, profileName = null) {
+    try {
+        const standardizedInvitee = standardizePhoneNumber(inviteePhone);
+        let invitee = await UserModel.getUserDetails(standardizedInvitee);
+
+        const [invite] = await RelationshipModel.getPendingInvites(standardizedInvitee);
+        if (!invite) {
+            return { success: false, message: t(invitee?.language, 'caregiver.no_invites') };
+        }
+
+        const elder = await UserModel.getUserDetails(invite.parentPhone);
+        const elderName = elder?.name || invite.parentPhone;
+        const role = getRole(invite);
+
+        const language = languageFor(invitee, elder);
+        const inviteeName = invitee?.name || profileName || standardizedInvitee;
+
+        // Whoever sent the invitation, and the elder, should hear the answer
+        const notify = [...new Set([invite.invitedBy, invite.parentPhone].filter(Boolean))];
+
+        if (!accept) {
+            await RelationshipModel.deleteRelationship(invite.relationshipId);
+            for (const phone of notify) {
+                const recipient = await UserModel.getUserDetails(phone);
+                await sendWhatsAppMessage(phone, t(languageFor(recipient, elder), 'caregiver.invite_declined_notice', {
+                    caregiver: inviteeName,
+                    name: elderName
+                }));
+            }
+            return { success: true, message: t(language, 'caregiver.invite_declined', { name: elderName }) };
+        }
+
+        const updated = await RelationshipModel.updateRelationship(invite.relationshipId, {
+            status: 'active',
+            acceptedAt: new Date().toISOString()
+        });
+        if (!updated) {
+            return { success: false, message: t(language, 'caregiver.accept_failed') };
+        }
+
+        if (!invitee) {
+            // Invited caregivers don't need to go through sign-up
+            await UserModel.createUser(standardizedInvitee, 'child', {
+                name: profileName || "Caregiver",
+                timezone: inferTimezoneFromPhone(standardizedInvitee).timezone,
+                parentAccounts: [invite.parentPhone]
+            });
+        } else if (invitee.userType === 'child') {
+            const parentAccounts = [...new Set([...(invitee.parentAccounts || []), invite.parentPhone])];
+            await UserModel.updateUser(standardizedInvitee, { parentAccounts });
+        }
+
+        for (const phone of notify) {
+            const recipientLanguage = languageFor(await UserModel.getUserDetails(phone), elder);
+            await sendWhatsAppMessage(phone, t(recipientLanguage, 'caregiver.joined_notice', {
+                caregiver: inviteeName,
+                role: describeRole(recipientLanguage, role),
+                name: elderName
+            }));
+        }
+
+        console.log(`✅ ${standardizedInvitee} accepted the ${role} invitation for ${invite.parentPhone}`);
+        return {
+            success: true,
+            message: t(language, 'caregiver.joined', {
+                role: describeRole(language, role),
+                name: elderName,
+                phone: invite.parentPhone
+            })
+        };
+    } catch (error) {
+        console.error(`❌ Error responding to invite: ${error}`);
+        return { success: false, message: t(null, 'caregiver.error') };
+    }
+}
+
+/**
+ * Get an elderly user's caregivers with their names
+ * @param {string} elderPhone - Elderly user's phone number
+ * @returns {Promise<Array<Object>>} - Relationships with a `name` field, oldest first
+ */
+async function getCaregivers(elderPhone) {
+    const relationships = (await RelationshipModel.getParentRelationships(standardizePhoneNumber(elderPhone)))
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+    const caregivers = [];
+    for (const relationship of relationships) {
+        const caregiver = await UserModel.getUserDetails(relationship.childPhone);
+        caregivers.push({ ...relationship, name: caregiver?.name || relationship.childPhone });
+    }
+    return caregivers;
+}
+
+/**
+ * Find one of an elderly user's caregivers by phone number or name
+ * @param {string} elderPhone - Elderly user's phone number
+ * @param {string} identifier - Caregiver's phone number or name
+ * @param {string|null} language - Elderly user's language, for the error
+ * @returns {Promise<Object>} - { caregiver } or { error } with a reply for the elder
+ */
+async function findCaregiver(elderPhone, identifier, language = null) {
+    const caregivers = await getCaregivers(elderPhone);
+    const wanted = identifier.trim();
+
+    if (/^\+?[\d\s-]{7,}$/.test(wanted)) {
+        const phone = standardizePhoneNumber(wanted.replace(/[\s-]/g, ''));
+        const caregiver = caregivers.find(c => c.childPhone === phone);
+        return caregiver ? { caregiver } : { error: t(language, 'caregiver.not_found_phone', { phone }) };
+    }
+
+    const matches = caregivers.filter(c => c.name.toLowerCase() === wanted.toLowerCase());
+    if (matches.length === 1) return { caregiver: matches[0] };
+    if (matches.length > 1) {
+        return { error: t(language, 'caregiver.ambiguous_name', { name: wanted }) };
+    }
+    return { error: t(language, 'caregiver.not_found_name', { name: wanted }) };
+}
+
+/**
+ * Describe who can see an elderly user's data and what each person can do
+ * @param {string} elderPhone - Elderly user's phone number
+ * @returns {Promise<string>} - Message for the elder
+ */
+async function formatCaregiverList(elderPhone) {
+    const caregivers = await getCaregivers(elderPhone);
+    const elder = await UserModel.getUserDetails(standardizePhoneNumber(elderPhone));
+    const language = elder?.language;
+
+    if (caregivers.length === 0) {
+        return t(language, 'caregiver.none');
+    }
+
+    let message = `${t(language, 'caregiver.list_title')}\n\n`;
+    caregivers.forEach((caregiver, index) => {
+        const permissions = caregiver.permissions || [];
+        message += t(language, 'caregiver.list_item', {
+            number: index + 1,
+            name: caregiver.name,
+            phone: caregiver.childPhone,
+            role: describeRole(language, getRole(caregiver))
+        }) + '\n';
+        message += permissions.length > 0
+            ? permissions.map(permission => t(language, 'caregiver.list_permission', { permission: t(language, `permission.${permission}`) })).join('\n')
+            : t(language, 'caregiver.list_no_access');
+        message += `\n\n`;
+    });
+    message += t(language, 'caregiver.list_help', { name: caregivers[0].name });
+
+    return message;
+}
+
+/**
+ * Give or take away one permission from a caregiver
+ * @param {string} elderPhone - Elderly user's phone number
+ * @param {string} identifier - Caregiver's phone number or name
+ * @param {string} permission - Permission key
+ * @param {boolean} grant - True to grant, false to revoke
+ * @returns {Promise<Object>} - { success, message } with the reply for the elder
+ */
+async function setCaregiverPermission(elderPhone, identifier, permission, grant) {
+    try {
+        const standardizedElder = standardizePhoneNumber(elderPhone);
+        const elder = await UserModel.getUserDetails(standardizedElder);
+        const language = elder?.language;
+
+        const { caregiver, error } = await findCaregiver(standardizedElder, identifier, language);
+        if (error) return { success: false, message: error };
+
+        const vars = { caregiver: caregiver.name, permission: t(language, `permission.${permission}`) };
+        const current = caregiver.permissions || [];
+        if (current.includes(permission) === grant) {
+            return {
+                success: true,
+                message: t(language, grant ? 'caregiver.already_granted' : 'caregiver.already_revoked', vars)
+            };
+        }
+
+        const permissions = grant ? [...current, permission] : current.filter(p => p !== permission);
+        const role = roleForPermissions(permissions);
+        const updated = await RelationshipModel.updateRelationship(caregiver.relationshipId, { permissions, role });
+        if (!updated) {
+            return { success: false, message: t(language, 'caregiver.access_update_failed') };
+        }
+
+        const caregiverLanguage = (await UserModel.getUserDetails(caregiver.childPhone))?.language;
+        await sendWhatsAppMessage(caregiver.childPhone, t(caregiverLanguage, grant ? 'caregiver.granted_notice' : 'caregiver.revoked_notice', {
+            name: elder?.name || standardizedElder,
+            permission: t(caregiverLanguage, `access.${permission}`)
+        }));
+
+        console.log(`✅ ${grant ? 'Granted' : 'Revoked'} ${permission} for ${caregiver.childPhone} on ${standardizedElder}`);
+        return {
+            success: true,
+            message: t(language, grant ? 'caregiver.granted' : 'caregiver.revoked', vars)
+        };
+    } catch (error) {
+        console.error(`❌ Error changing caregiver permission: ${error}`);
+        return { success: false, message: t(null, 'caregiver.access_update_failed') };
+    }
+}
+
+/**
+ * Remove a caregiver from an elderly user entirely
+ * @param {string} elderPhone - Elderly user's phone number
+ * @param {string} identifier - Caregiver's phone number or name
+ * @returns {Promise<Object>} - { success, message } with the reply for the elder
+ */
+async function removeCaregiver(elderPhone, identifier) {
+    try {
+        const standardizedElder = standardizePhoneNumber(elderPhone);
+        const elder = await UserModel.getUserDetails(standardizedElder);
+        const language = elder?.language;
+
+        const { caregiver, error } = await findCaregiver(standardizedElder, identifier, language);
+        if (error) return { success: false, message: error };
+
+        const deleted = await RelationshipModel.deleteRelationship(caregiver.relationshipId);
+        if (!deleted) {
+            return { success: false, message: t(language, 'caregiver.remove_failed') };
+        }
+
+        const caregiverUser = await UserModel.getUserDetails(caregiver.childPhone);
+        if (caregiverUser && caregiverUser.parentAccounts) {
+            await UserModel.updateUser(caregiver.childPhone, {
+                parentAccounts: caregiverUser.parentAccounts.filter(phone => phone !== standardizedElder)
+            });
+        }
+
+        await sendWhatsAppMessage(caregiver.childPhone, t(caregiverUser?.language, 'caregiver.removed_notice', {
+            name: elder?.name || standardizedElder
+        }));
+
+        console.log(`✅ Removed caregiver ${caregiver.childPhone} from ${standardizedElder}`);
+        return {
+            success: true,
+            message: t(language, 'caregiver.removed', { caregiver: caregiver.name })
+        };
+    } catch (error) {
+        console.error(`❌ Error removing caregiver: ${error}`);
+        return { success: false, message: t(null, 'caregiver.remove_failed') };
+    }
+}
+
+/**
+ * Get the name of the caregiver who set up an elderly user's account
+ * @param {Object} parent - Elderly user's record
+ * @returns {Promise<string>} - Caregiver's name, or a stand-in
+ */
+async function getAccountCreatorName(parent) {
+    const caregiver = parent.createdBy ? await UserModel.getUserDetails(standardizePhoneNumber(parent.createdBy)) : null;
+    return caregiver?.name || parent.emergencyContactName || t(parent.language, 'caregiver.fallback_name');
+}
+
+/**
+ * Ask an elderly user to agree to the account a caregiver set up for them, spelling out
+ * what that caregiver will be able to see
+ * @param {string} parentPhone - Elderly user's phone number
+ * @returns {Promise<boolean>} - Whether the message was sent
+ */
+async function requestParentConsent(parentPhone) {
+    try {
+        const standardizedParent = standardizePhoneNumber(parentPhone);
+        const parent = await UserModel.getUserDetails(standardizedParent);
+        if (!parent) return false;
+
+        const caregiverPhone = parent.createdBy ? standardizePhoneNumber(parent.createdBy) : null;
+        const caregiverName = await getAccountCreatorName(parent);
+
+        const relationship = caregiverPhone ? await RelationshipModel.getRelationship(caregiverPhone, standardizedParent) : null;
+        const permissions = relationship?.permissions || CAREGIVER_ROLES.primary;
+
+        const sent = await sendWhatsAppMessage(standardizedParent, t(parent.language, 'consent.request', {
+            name: parent.name || 'there',
+            caregiver: caregiverName,
+            permissions: permissions.map(permission => `• ${t(parent.language, `permission.${permission}`)}`).join('\n')
+        }));
+
+        if (sent) {
+            await UserModel.updateUser(standardizedParent, { consentRequestedAt: new Date().toISOString() });
+        }
+        return sent;
+    } catch (error) {
+        console.error(`❌ Error requesting consent from ${parentPhone}: ${error}`);
+        return false;
+    }
+}
+
+/**
+ * Check whether an elderly user has declined once and been asked to confirm deleting their account
+ * @param {Object|null} parent - Elderly user's record
+ * @returns {boolean} - Whether the next reply confirms or withdraws the decline
+ */
+function isDeclineUnconfirmed(parent) {
+    return !!parent && !!parent.consentDeclineRequestedAt;
+}
+
+/**
+ * Ask an elderly user who declined to confirm before their account is deleted
+ * @param {string} parentPhone - Elderly user's phone number
+ * @returns {Promise<Object>} - { success, message } with the reply for the elder
+ */
+async function requestDeclineConfirmation(parentPhone) {
+    try {
+        const standardizedParent = standardizePhoneNumber(parentPhone);
+        const parent = await UserModel.getUserDetails(standardizedParent);
+        if (!parent) {
+            return { success: false, message: t(null, 'consent.not_found') };
+        }
+
+        const updated = await UserModel.updateUser(standardizedParent, {
+            consentDeclineRequestedAt: new Date().toISOString()
+        });
+        if (!updated) {
+            return { success: false, message: t(parent.language, 'consent.error') };
+        }
+
+        return {
+            success: true,
+            message: t(parent.language, 'consent.confirm_decline', {
+                name: parent.name || standardizedParent,
+                caregiver: await getAccountCreatorName(parent)
+            })
+        };
+    } catch (error) {
+        console.error(`❌ Error asking ${parentPhone} to confirm declining: ${error}`);
+        return { success: false, message: t(null, 'consent.error') };
+    }
+}
+
+/**
+ * Record an elderly user's answer to the consent request. Agreeing activates the account;
+ * a confirmed decline deletes it along with its medications and caregiver links.
+ * @param {string} parentPhone - Elderly user's phone number
+ * @param {boolean} agreed - Whether they agreed
+ * @returns {Promise<Object>} - { success, message } with the reply for the elder
+ */
+async function respondToConsent(parentPhone, agreed) {
+    try {
+        const standardizedParent = standardizePhoneNumber(parentPhone);
+        const parent = await UserModel.getUserDetails(standardizedParent);
+        if (!parent) {
+            return { success: false, message: t(null, 'consent.not_found') };
+        }
+
+        const parentName = parent.name || standardizedParent;
+        const relationships = await RelationshipModel.getParentRelationships(standardizedParent);
+        const caregiverPhones = [...new Set([parent.createdBy, ...relationships.map(rel => rel.childPhone)]
+            .filter(Boolean).map(phone => standardizePhoneNumber(phone)))];
+
+        if (agreed) {
+            const updated = await UserModel.updateUser(standardizedParent, {
+                consentStatus: 'given',
+                consentedAt: new Date().toISOString(),
+                consentDeclineRequestedAt: null
+            });
+            if (!updated) {
+                return { success: false, message: t(parent.language, 'consent.retry') };
+            }
+
+            for (const phone of caregiverPhones) {
+                const caregiver = await UserModel.getUserDetails(phone);
+                await sendWhatsAppMessage(phone, t(languageFor(caregiver, parent), 'consent.given_notice', { name: parentName }));
+            }
+
+            console.log(`✅ ${standardizedParent} gave consent to their account`);
+            return {
+                success: true,
+                message: t(parent.language, 'consent.given', { name: parentName })
+            };
+        }
+
+        // Declining removes everything the caregiver set up
+        const medications = await MedicationModel.getUserMedications(standardizedParent);
+        for (const medication of medications) {
+            await MedicationModel.deleteMedication(standardizedParent, medication.medicine);
+        }
+
+        for (const relationship of relationships) {
+            await RelationshipModel.deleteRelationship(relationship.relationshipId);
+        }
+
+        for (const phone of caregiverPhones) {
+            const caregiver = await UserModel.getUserDetails(phone);
+            if (caregiver && caregiver.parentAccounts) {
+                await UserModel.updateUser(phone, {
+                    parentAccounts: caregiver.parentAccounts.filter(parentAccount => standardizePhoneNumber(parentAccount) !== standardizedParent)
+                });
+            }
+            await sendWhatsAppMessage(phone, t(languageFor(caregiver, parent), 'consent.declined_notice', { name: parentName }));
+        }
+
+        await UserModel.deleteUser(standardizedParent);
+
+        console.log(`✅ ${standardizedParent} declined their account; it has been deleted`);
+        return {
+            success: true,
+            message: t(parent.language, 'consent.declined', { name: parentName })
+        };
+    } catch (error) {
+        console.error(`❌ Error recording consent for ${parentPhone}: ${error}`);
+        return { success: false, message: t(null, 'consent.error') };
+    }
+}
+
+module.exports = {
+    parseRole,
+    parseInviteCommand,
+    parsePermission,
+    getRole,
+    describeRole,
+    inviteCaregiver,
+    hasPendingInvite,
+    respondToInvite,
+    getCaregivers,
+    formatCaregiverList,
+    setCaregiverPermission,
+    removeCaregiver,
+    requestParentConsent,
+    isDeclineUnconfirmed,
+    requestDeclineConfirmation,
+    respondToConsent
+};
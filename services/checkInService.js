@@ -1,86 +1,121 @@
 // services/checkInService.js - Service for AI-driven check-ins with elderly users
-const { createOpenAIClient } = require('../config/config');
-const { DB_TABLES, dynamoDB } = require('../config/config');
+const { DB_TABLES, dynamoDB, REPORT_CONFIG } = require('../config/config');
 const { CheckInModel, ReportModel, UserModel, RelationshipModel } = require('../models/dbModels');
 const userService = require('./userService');
 const { standardizePhoneNumber } = require('../utils/messageUtils');
-const { MedicationModel } = require('../models/dbModels');
-const { formatDate } = require('../utils/timeUtils');
+const { MedicationModel, DoseLogModel } = require('../models/dbModels');
+const { formatDate, getUserTimezone, getZonedDateParts, getStartOfDayInZone } = require('../utils/timeUtils');
 const { sendWhatsAppMessage, sendWhatsAppTemplate } = require('./messageService');
+const sessionStore = require('../models/sessionStore');
+const adherenceService = require('./adherenceService');
+const alertService = require('./alertService');
+const llmService = require('./llmService');
+const { t, languageInstruction, normalizeLanguage } = require('../utils/i18n');
+const { detectRedFlag } = require('../utils/emergencyUtils');
 
-
-// Track ongoing check-in conversations
-const activeCheckInSessions = {};
+// Active check-in conversations are kept in the session store so they survive restarts.
+// A check-in with no reply for this long is closed out (before the next time slot starts).
+const CHECK_IN_STALE_MS = 3 * 60 * 60 * 1000; // 3 hours
 
 /**
- * Schedule for check-in times throughout the day
+ * Schedule for check-in times throughout the day, in each user's local time
  * Randomized within each window to seem more natural
  */
 const CHECK_IN_SCHEDULE = [
   { name: 'morning', baseHour: 9, varianceMinutes: 30 },  // Morning: 9:00-9:30am
   { name: 'midday', baseHour: 13, varianceMinutes: 60 },  // Midday: 1:00-2:00pm
-  { name: 'evening', baseHour: 21, varianceMinutes: 20 }  // Evening: 4:00-6:45pm
+  { name: 'evening', baseHour: 21, varianceMinutes: 20 }  // Evening: 9:00-9:20pm
 ];
 
+// How often to look for users whose check-in time has come
+const CHECK_IN_TICK_MS = 5 * 60 * 1000; // 5 minutes
+
+// A check-in missed (e.g. during a restart) is still sent up to this long after its window
+const CHECK_IN_CATCH_UP_MINUTES = 60;
+
+// Daily reports go out at this time in the elderly user's local time
+const DAILY_REPORT_TIME = { hour: 21, minute: 19 };
+
+// How often to look for daily reports that are due
+const DAILY_REPORT_TICK_MS = 10 * 60 * 1000; // 10 minutes
+
+// Mood is scored like the weekly digest: -1 (negative) to 1 (positive)
+const MOOD_SCORES = { positive: 1, neutral: 0, negative: -1 };
+const MOOD_EMOJIS = { positive: '🙂', neutral: '😐', negative: '🙁' };
+
+// Wellbeing ratings given by check-in analysis, worst first
+const WELLBEING_AREAS = ['physical', 'emotional', 'social'];
+const WELLBEING_RATINGS = ['concerning', 'fair', 'good'];
+const WELLBEING_EMOJIS = { good: '🟢', fair: '🟡', concerning: '🔴' };
+
+// WhatsApp rejects template variables longer than this
+const TEMPLATE_VARIABLE_MAX_LENGTH = 950;
+
 /**
  * Initialize the check-in scheduler for all elderly users
  */
 function initializeCheckInScheduler() {
   console.log('🔄 Initializing check-in scheduler');
   
-  // Schedule each check-in time
-  CHECK_IN_SCHEDULE.forEach((timeSlot, index) => {
-    scheduleNextCheckIn(index);
-  });
+  // Users live in different timezones, so check regularly whose check-in is due
+  checkAndSendDueCheckIns();
+  setInterval(checkAndSendDueCheckIns, CHECK_IN_TICK_MS).unref();
+  
+  // Periodically close out check-ins that were never finished
+  setInterval(expireStaleCheckIns, 15 * 60 * 1000).unref();
   
   console.log('✅ Check-in scheduler initialized');
 }
 
 /**
- * Schedule the next check-in for a specific time slot
- * @param {number} timeSlotIndex - Index in the CHECK_IN_SCHEDULE array
+ * Pick a stable random offset within a time slot's window for one user and day
+ * @param {string} userId - User's phone number
+ * @param {string} localDate - User's local date (YYYY-MM-DD)
+ * @param {Object} timeSlot - Entry from CHECK_IN_SCHEDULE
+ * @returns {number} - Minutes after the slot's base hour
  */
-function scheduleNextCheckIn(timeSlotIndex) {
-  const now = new Date();
-  const settings = CHECK_IN_SCHEDULE[timeSlotIndex];
-  
-  // Calculate target time with randomized variance
-  const targetTime = new Date();
-  targetTime.setHours(settings.baseHour, 0, 0, 0);
-  
-  // Add random variance to make timing feel natural
-  const varianceMs = Math.floor(Math.random() * settings.varianceMinutes * 60 * 1000);
-  targetTime.setTime(targetTime.getTime() + varianceMs);
-  
-  // If target time has already passed today, schedule for tomorrow
-  if (targetTime <= now) {
-    targetTime.setDate(targetTime.getDate() + 1);
+function getCheckInOffsetMinutes(userId, localDate, timeSlot) {
+  const seed = `${userId}_${localDate}_${timeSlot.name}`;
+  let hash = 0;
+  for (let i = 0; i < seed.length; i++) {
+    hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
   }
+  return hash % timeSlot.varianceMinutes;
+}
+
+/**
+ * Find the check-in time slot that is due for a user right now
+ * @param {Object} user - User record from the users table
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { timeSlot, localDate } or null if nothing is due
+ */
+function getDueCheckInSlot(user, now = new Date()) {
+  const timezone = getUserTimezone(user);
+  const local = getZonedDateParts(timezone, now);
+  const localMinutes = local.hour * 60 + local.minute;
+  const lastCheckIns = user.lastCheckIns || {};
   
-  // Calculate delay in milliseconds
-  const delayMs = targetTime.getTime() - now.getTime();
-  
-  console.log(`🕒 Scheduling ${settings.name} check-in for ${targetTime.toLocaleString()} (in ${Math.round(delayMs/60000)} minutes)`);
-  
-  // Schedule the check-in
-  setTimeout(async () => {
-    // Execute the check-in
-    await executeScheduledCheckIn(timeSlotIndex);
+  for (const timeSlot of CHECK_IN_SCHEDULE) {
+    // Already sent this slot today
+    if (lastCheckIns[timeSlot.name] === local.date) continue;
+    
+    const windowStart = timeSlot.baseHour * 60;
+    const dueAt = windowStart + getCheckInOffsetMinutes(user.phoneNumber, local.date, timeSlot);
+    const lastChance = windowStart + timeSlot.varianceMinutes + CHECK_IN_CATCH_UP_MINUTES;
     
-    // Schedule the next check-in for this time slot
-    scheduleNextCheckIn(timeSlotIndex);
-  }, delayMs);
+    if (localMinutes >= dueAt && localMinutes <= lastChance) {
+      return { timeSlot, localDate: local.date };
+    }
+  }
+  
+  return null;
 }
 
 /**
- * Execute scheduled check-ins for all elderly users
- * @param {number} timeSlotIndex - Index in the CHECK_IN_SCHEDULE array
+ * Send check-ins to every elderly user whose local check-in time has come
  */
-async function executeScheduledCheckIn(timeSlotIndex) {
+async function checkAndSendDueCheckIns() {
   try {
-    const timeSlot = CHECK_IN_SCHEDULE[timeSlotIndex];
-    console.log(`🔔 Executing ${timeSlot.name} check-ins`);
-    
     // Get all elderly users from the database
     const params = {
       TableName: DB_TABLES.USERS_TABLE,
@@ -93,30 +128,14 @@ async function executeScheduledCheckIn(timeSlotIndex) {
     const result = await dynamoDB.scan(params).promise();
     const elderlyUsers = result.Items || [];
     
-    console.log(`📋 Found ${elderlyUsers.length} elderly users for check-ins`);
-    
-    // Send check-ins to each user with a slight delay between them
     for (const user of elderlyUsers) {
-      // Skip users who opted out of check-ins
-      if (user.checkInsOptOut) {
-        console.log(`⏭️ User ${user.phoneNumber} has opted out of check-ins`);
-        continue;
-      }
+      // Skip users who opted out of check-ins or haven't agreed to their account yet
+      if (user.checkInsOptOut || userService.isConsentPending(user)) continue;
       
-      // Generate and send check-in question
-      const checkInMessage = await generateCheckInQuestion(user.phoneNumber, timeSlot.name);
-      await sendWhatsAppMessage(user.phoneNumber, checkInMessage);
+      const due = getDueCheckInSlot(user);
+      if (!due) continue;
       
-      // Track the active check-in session
-      activeCheckInSessions[user.phoneNumber] = {
-        timeSlot: timeSlot.name,
-        question: checkInMessage,
-        timestamp: new Date().toISOString(),
-        conversationState: 'initial', // Track conversation state: 'initial', 'follow_up_1', 'follow_up_2'
-        conversationHistory: [{ role: 'assistant', content: checkInMessage }] // Initialize conversation history
-      };
-      
-      console.log(`✅ Sent ${timeSlot.name} check-in to ${user.phoneNumber}`);
+      await executeScheduledCheckIn(user, due.timeSlot, due.localDate);
       
       // Small delay to avoid rate limits
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -126,6 +145,34 @@ async function executeScheduledCheckIn(timeSlotIndex) {
   }
 }
 
+/**
+ * Execute a scheduled check-in for one elderly user
+ * @param {Object} user - User record from the users table
+ * @param {Object} timeSlot - Entry from CHECK_IN_SCHEDULE
+ * @param {string} localDate - User's local date (YYYY-MM-DD) the check-in belongs to
+ */
+async function executeScheduledCheckIn(user, timeSlot, localDate) {
+  try {
+    console.log(`🔔 Executing ${timeSlot.name} check-in for ${user.phoneNumber}`);
+    
+    // Record the slot first so a slow send is never repeated by the next tick
+    await UserModel.updateUser(user.phoneNumber, {
+      lastCheckIns: { ...(user.lastCheckIns || {}), [timeSlot.name]: localDate }
+    });
+    
+    // Generate and send check-in question
+    const checkInMessage = await generateCheckInQuestion(user.phoneNumber, timeSlot.name);
+    await sendWhatsAppMessage(user.phoneNumber, checkInMessage);
+    
+    // Track the active check-in session
+    await startCheckInSession(user.phoneNumber, timeSlot.name, checkInMessage);
+    
+    console.log(`✅ Sent ${timeSlot.name} check-in to ${user.phoneNumber}`);
+  } catch (error) {
+    console.error(`❌ Error executing check-in for ${user.phoneNumber}: ${error}`);
+  }
+}
+
 /**
  * Generate a personalized check-in question with more variety
  * @param {string} userId - User's phone number
@@ -133,11 +180,10 @@ async function executeScheduledCheckIn(timeSlotIndex) {
  * @returns {Promise<string>} - Generated check-in question
  */
 async function generateCheckInQuestion(userId, timeSlot) {
+  let userData = null;
   try {
-    const openaiClient = createOpenAIClient();
-    
     // Get user data and previous check-ins
-    const userData = await UserModel.getUserDetails(userId);
+    userData = await UserModel.getUserDetails(userId);
     const recentCheckIns = await CheckInModel.getRecentCheckIns(userId, 5);
     
     // Create context from recent check-ins
@@ -197,27 +243,20 @@ Examples of good, varied check-in starters with follow-ups:
 - "Hello Maria! Just wondering if you managed to finish that book you mentioned last week? Did you find it as enjoyable as you hoped? 📚"`;
 
     // Generate the check-in message
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a caring companion who checks in on elderly people. Your messages are warm, personal, varied, and conversational. You avoid sounding like an automated check-in service by being unpredictable and specific."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.8, // Higher temperature for more creativity
-      max_tokens: 150
-    });
-    
-    return response.choices[0].message.content.trim();
+    return await llmService.complete('checkin_question', [
+      {
+        role: "system",
+        content: `You are a caring companion who checks in on elderly people. Your messages are warm, personal, varied, and conversational. You avoid sounding like an automated check-in service by being unpredictable and specific. ${languageInstruction(userData?.language)}`.trim()
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
   } catch (error) {
     console.error(`❌ Error generating check-in question: ${error}`);
     // Fallback message if AI generation fails
-    return `Hello ${userData?.name || "there"}! How are you feeling today? I'd love to hear about your day so far. 😊`;
+    return t(userData?.language, 'checkin.fallback_question', { name: userData?.name || "there" });
   }
 }
 
@@ -236,6 +275,80 @@ function getCurrentSeason() {
   return "Winter";
 }
 
+/**
+ * Start tracking a newly sent check-in, closing out any earlier one the user never finished
+ * @param {string} userId - User's phone number
+ * @param {string} timeSlot - Time of day (morning/midday/evening)
+ * @param {string} question - Check-in message that was sent
+ * @returns {Promise<void>}
+ */
+async function startCheckInSession(userId, timeSlot, question) {
+  const standardizedUserId = standardizePhoneNumber(userId);
+  
+  // The previous check-in may have been started by another process
+  await sessionStore.hydrate(standardizedUserId);
+  const previousSession = sessionStore.getCheckInSession(standardizedUserId);
+  if (previousSession) {
+    await expireCheckInSession(standardizedUserId, previousSession);
+  }
+  
+  sessionStore.setCheckInSession(standardizedUserId, {
+    timeSlot,
+    question,
+    timestamp: new Date().toISOString(),
+    conversationState: 'initial', // Track conversation state: 'initial', 'follow_up_1', 'follow_up_2'
+    conversationHistory: [{ role: 'assistant', content: question }] // Initialize conversation history
+  });
+}
+
+/**
+ * Check whether a check-in has gone unanswered for too long
+ * @param {Object} session - Check-in session data
+ * @returns {boolean} - Whether the check-in is stale
+ */
+function isCheckInStale(session) {
+  const lastActivity = session.updatedAt || new Date(session.timestamp).getTime();
+  return Date.now() - lastActivity > CHECK_IN_STALE_MS;
+}
+
+/**
+ * Close out an unfinished check-in. If the user replied at least once, the
+ * partial conversation is saved so it still shows up in the daily report.
+ * @param {string} userId - User's phone number
+ * @param {Object} session - Check-in session data
+ * @returns {Promise<void>}
+ */
+async function expireCheckInSession(userId, session) {
+  try {
+    const userTurns = (session.conversationHistory || []).filter(msg => msg.role === 'user');
+    
+    if (userTurns.length > 0) {
+      const checkInData = buildCheckInRecord(userId, session, session.initialAnalysis);
+      checkInData.status = 'expired';
+      await CheckInModel.saveCheckIn(checkInData);
+      console.log(`⌛ Saved unfinished ${session.timeSlot} check-in for ${userId} (${userTurns.length} user turns)`);
+    } else {
+      console.log(`⌛ ${session.timeSlot} check-in for ${userId} expired without a response`);
+    }
+  } catch (error) {
+    console.error(`❌ Error expiring check-in: ${error}`);
+  }
+  
+  sessionStore.deleteCheckInSession(userId);
+}
+
+/**
+ * Close out every stale check-in held by this process
+ * @returns {Promise<void>}
+ */
+async function expireStaleCheckIns() {
+  for (const [userId, session] of Object.entries(sessionStore.checkInSessions)) {
+    if (isCheckInStale(session)) {
+      await expireCheckInSession(userId, session);
+    }
+  }
+}
+
 /**
  * Process a response to a check-in
  * @param {string} userId - User's phone number
@@ -247,7 +360,8 @@ async function processCheckInResponse(userId, response) {
     const standardizedUserId = standardizePhoneNumber(userId);
     
     // Check if there's an active check-in session
-    if (!activeCheckInSessions[standardizedUserId]) {
+    const session = sessionStore.getCheckInSession(standardizedUserId);
+    if (!session) {
       console.log(`No active check-in session found for ${standardizedUserId}`);
       return {
         success: false,
@@ -255,7 +369,14 @@ async function processCheckInResponse(userId, response) {
       };
     }
     
-    const session = activeCheckInSessions[standardizedUserId];
+    // Don't treat a message hours later as a reply to an old check-in
+    if (isCheckInStale(session)) {
+      await expireCheckInSession(standardizedUserId, session);
+      return {
+        success: false,
+        message: "Check-in session expired."
+      };
+    }
     
     // Initialize conversation state if this is the first response
     if (!session.conversationState) {
@@ -295,6 +416,7 @@ async function processCheckInResponse(userId, response) {
           role: 'assistant',
           content: followUpQuestion
         });
+        sessionStore.setCheckInSession(standardizedUserId, session);
         
         // Send the follow-up question
         return {
@@ -325,6 +447,7 @@ async function processCheckInResponse(userId, response) {
           role: 'assistant',
           content: secondFollowUp
         });
+        sessionStore.setCheckInSession(standardizedUserId, session);
         
         return {
           success: true,
@@ -369,8 +492,6 @@ async function processCheckInResponse(userId, response) {
  */
 async function analyzeCheckInResponse(response, question) {
   try {
-    const openaiClient = createOpenAIClient();
-    
     const prompt = `Analyze this elderly person's response to a check-in question.
 
 Question: ${question}
@@ -381,32 +502,28 @@ Please extract and categorize the following information:
 2. Activities mentioned (list specific activities)
 3. Wellbeing indicators (physical, emotional, social)
 4. Any concerns or issues that might need attention
+5. Whether anything needs a family member's attention today (e.g. a fall, severe or sudden pain, trouble breathing, confusion, not eating, thoughts of self-harm)
+
+The response may be in any language; answer in the same format either way.
 
 Format the response as a JSON object with these fields:
 - sentiment: string (positive, neutral, or negative)
 - activities: array of strings
 - wellbeing: object with physical, emotional, and social properties (each rated as good, fair, or concerning)
-- concerns: array of strings`;
-
-    const aiResponse = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are an analytical assistant that extracts structured information from text. Respond only with valid JSON."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 400,
-      response_format: { type: "json_object" }
-    });
-    
-    // Parse the JSON response
-    return JSON.parse(aiResponse.choices[0].message.content);
+- concerns: array of strings
+- urgent: boolean (true only for point 5)`;
+
+    const analysis = await llmService.completeJSON('checkin_analysis', [
+      {
+        role: "system",
+        content: "You are an analytical assistant that extracts structured information from text. Respond only with valid JSON."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
+    return { ...analysis, urgent: analysis.urgent === true };
   } catch (error) {
     console.error(`❌ Error analyzing check-in response: ${error}`);
     
@@ -419,7 +536,8 @@ Format the response as a JSON object with these fields:
         emotional: "fair",
         social: "fair"
       },
-      concerns: []
+      concerns: [],
+      urgent: false
     };
   }
 }
@@ -432,11 +550,10 @@ Format the response as a JSON object with these fields:
  * @returns {Promise<string>} - Follow-up response
  */
 async function generateFollowUpResponse(userId, userResponse, analysis) {
+  let userData = null;
   try {
-    const openaiClient = createOpenAIClient();
-    
     // Get user details
-    const userData = await UserModel.getUserDetails(userId);
+    userData = await UserModel.getUserDetails(userId);
     
     const prompt = `Generate a brief, warm follow-up response to an elderly person's check-in.
 
@@ -459,68 +576,104 @@ Guidelines for your response:
 
 Your response should feel like a natural conclusion to the conversation.`;
 
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a caring companion who checks in on elderly people. Your responses are warm, specific, and brief."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 150
-    });
-    
-    return response.choices[0].message.content.trim();
+    return await llmService.complete('checkin_reply', [
+      {
+        role: "system",
+        content: `You are a caring companion who checks in on elderly people. Your responses are warm, specific, and brief. ${languageInstruction(userData?.language)}`.trim()
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
   } catch (error) {
     console.error(`❌ Error generating follow-up response: ${error}`);
-    return "Thank you for sharing that with me. I appreciate you taking the time to respond. 😊";
+    return t(userData?.language, 'checkin.fallback_reply');
   }
 }
 
-async function sendDailyReports() {
+/**
+ * Generate and send daily reports to caregivers
+ * @param {Object} options - { onlyDue: only send reports whose local report time has
+ *                           passed and that haven't been sent for that local day yet }
+ */
+async function sendDailyReports(options = {}) {
+  const { onlyDue = false } = options;
+  
   try {
-      console.log('📊 Generating daily reports');
+      if (!onlyDue) console.log('📊 Generating daily reports');
       
       // Get all caregiver relationships
       const relationships = await RelationshipModel.getAllRelationships();
       
-      // Group by caregiver
+      // Group by caregiver, leaving out caregivers who may not see reports
       const caregiverMap = {};
       relationships.forEach(rel => {
+          if (!(rel.permissions || []).includes('view_reports')) return;
           if (!caregiverMap[rel.childPhone]) {
               caregiverMap[rel.childPhone] = [];
           }
           caregiverMap[rel.childPhone].push(rel.parentPhone);
       });
       
-      console.log(`Found ${Object.keys(caregiverMap).length} caregivers with elderly relationships`);
+      if (!onlyDue) console.log(`Found ${Object.keys(caregiverMap).length} caregivers with elderly relationships`);
       
       // Template SID for the daily report template
       const REPORT_TEMPLATE_SID = process.env.TWILIO_REPORT_SID;
       
       // For each caregiver, generate reports for all their elderly
       for (const [caregiverId, elderlyIds] of Object.entries(caregiverMap)) {
-          // Check if caregiver has interacted in last 24 hours
-          const hasRecentInteraction = await UserModel.hasRecentInteraction(caregiverId);
+          let hasRecentInteraction = null;
+          let wantsDailyReports = null;
+          let caregiverLanguage = null;
           
           for (const elderlyId of elderlyIds) {
-              // Generate the full report content
-              const report = await generateDailyReport(elderlyId);
-              
               // Get user details
               const elderlyUserData = await UserModel.getUserDetails(elderlyId);
-              const elderlyName = elderlyUserData?.name || "your family member";
+              
+              // No reports until the elder has agreed to the account a caregiver set up
+              if (userService.isConsentPending(elderlyUserData)) continue;
+              
+              // The report covers the elderly user's own day
+              const timezone = getUserTimezone(elderlyUserData, elderlyId);
+              const local = getZonedDateParts(timezone);
               
               // Generate a unique report ID
-              const reportId = `${caregiverId}_${elderlyId}_${new Date().toISOString().split('T')[0]}`;
+              const reportId = `${caregiverId}_${elderlyId}_${local.date}`;
+              
+              let attempts = 0;
+              if (onlyDue) {
+                  const localMinutes = local.hour * 60 + local.minute;
+                  if (localMinutes < DAILY_REPORT_TIME.hour * 60 + DAILY_REPORT_TIME.minute) continue;
+                  // A saved report whose send failed is tried again, less often each time, up to the limit
+                  const existingReport = await ReportModel.getReportById(reportId);
+                  if (existingReport?.delivered === true) continue;
+                  attempts = existingReport?.attempts || 0;
+                  if (attempts >= REPORT_CONFIG.maxSendAttempts) continue;
+                  if (existingReport && Date.now() - new Date(existingReport.sentTimestamp).getTime() < attempts * REPORT_CONFIG.retryBackoffMinutes * 60 * 1000) continue;
+              }
+              
+              // Caregivers who chose weekly-only reports get the weekly digest instead
+              if (wantsDailyReports === null) {
+                  const caregiverData = await UserModel.getUserDetails(caregiverId);
+                  wantsDailyReports = (caregiverData?.reportFrequency || 'daily') !== 'weekly';
+                  caregiverLanguage = caregiverData?.language;
+              }
+              if (!wantsDailyReports) break;
+              
+              // Check if caregiver has interacted in last 24 hours
+              if (hasRecentInteraction === null) {
+                  hasRecentInteraction = await UserModel.hasRecentInteraction(caregiverId);
+              }
+              
+              // Build the report; it's tried again on the next tick if this fails
+              // The report is written in the caregiver's language
+              const report = await generateDailyReport(elderlyId, caregiverLanguage);
+              if (!report) continue;
+              const reportText = renderDailyReportText(report, caregiverLanguage);
               
               // Get today's check-ins to mark as reported
-              const todaysCheckIns = await CheckInModel.getTodaysCheckIns(elderlyId);
+              const todaysCheckIns = await CheckInModel.getTodaysCheckIns(elderlyId, timezone);
               const checkInIds = todaysCheckIns.map(checkIn => checkIn.checkInId);
               
               // Save report to database
@@ -528,11 +681,13 @@ async function sendDailyReports() {
                   reportId: reportId,
                   elderlyId: elderlyId,
                   caregiverId: caregiverId,
-                  date: new Date().toISOString().split('T')[0],
-                  content: report,
+                  date: local.date,
+                  data: report,
+                  content: reportText,
                   checkInIds: checkInIds,
                   sentTimestamp: new Date().toISOString(),
-                  delivered: false
+                  delivered: false,
+                  attempts: attempts + 1
               };
               
               await ReportModel.saveReport(reportData);
@@ -542,26 +697,17 @@ async function sendDailyReports() {
                   await CheckInModel.markCheckInsAsReported(checkInIds, reportId);
               }
               
-              // Split content into sections for template variables
-              // This depends on your report format, adjust as needed
-              const sections = splitReportIntoSections(report);
-              
               let success = false;
               
               // Send report based on interaction status
               if (hasRecentInteraction) {
                   // Within 24-hour window, can use regular message
                   console.log(`Caregiver ${caregiverId} has recent interaction, sending regular message`);
-                  success = await sendWhatsAppMessage(caregiverId, report);
+                  success = await sendWhatsAppMessage(caregiverId, reportText);
               } else {
                   // Outside 24-hour window, must use template
                   console.log(`Caregiver ${caregiverId} outside 24-hour window, using template`);
-                  success = await sendWhatsAppTemplate(caregiverId, REPORT_TEMPLATE_SID, {
-                      "1": elderlyName,
-                      "2": sections.health || "No health data available.",
-                      "3": sections.medication || "No medication data available.",
-                      "4": sections.activities || "No activities recorded today."
-                  });
+                  success = await sendWhatsAppTemplate(caregiverId, REPORT_TEMPLATE_SID, renderDailyReportTemplateVariables(report, caregiverLanguage));
               }
               
               if (success) {
@@ -571,6 +717,9 @@ async function sendDailyReports() {
                   await ReportModel.updateReportStatus(reportId, true);
               } else {
                   console.error(`❌ Failed to send report to ${caregiverId} for ${elderlyId}`);
+                  if (attempts + 1 >= REPORT_CONFIG.maxSendAttempts) {
+                      console.error(`❌ Giving up on report ${reportId} after ${attempts + 1} attempts`);
+                  }
               }
               
               // Add a delay between sends to avoid rate limiting
@@ -578,205 +727,443 @@ async function sendDailyReports() {
           }
       }
       
-      console.log('✅ Daily reports completed');
+      if (!onlyDue) console.log('✅ Daily reports completed');
   } catch (error) {
       console.error(`❌ Error sending daily reports: ${error}`);
   }
 }
 
 /**
-* Split a report into sections for template variables
-* @param {string} report - Full report content
-* @returns {Object} - Report sections
-*/
-function splitReportIntoSections(report) {
-  const sections = {
-      health: "",
-      medication: "",
-      activities: ""
-  };
-  
-  // Simple section extraction based on headings
-  // Adjust this based on your actual report format
-  
-  // Extract health section (everything between Health and Medication)
-  const healthMatch = report.match(/Health[^\n]*\n([\s\S]*?)(?=Medication|$)/i);
-  if (healthMatch && healthMatch[1]) {
-      sections.health = healthMatch[1].trim();
-  }
-  
-  // Extract medication section
-  const medicationMatch = report.match(/Medication[^\n]*\n([\s\S]*?)(?=Activities|Daily Activities|$)/i);
-  if (medicationMatch && medicationMatch[1]) {
-      sections.medication = medicationMatch[1].trim();
+ * Score the day's mood from the sentiment of its check-ins
+ * @param {Array} checkIns - Today's check-ins
+ * @returns {Object} - { score: -1 to 1 (null with no check-ins), label: positive/neutral/negative }
+ */
+function scoreMood(checkIns) {
+  const scores = checkIns
+    .map(checkIn => MOOD_SCORES[checkIn.sentiment])
+    .filter(score => score !== undefined);
+  if (scores.length === 0) return { score: null, label: null };
+
+  const score = Math.round((scores.reduce((sum, value) => sum + value, 0) / scores.length) * 100) / 100;
+  return { score, label: score > 0.3 ? 'positive' : score < -0.3 ? 'negative' : 'neutral' };
+}
+
+/**
+ * Rate each area of wellbeing for the day, keeping the lowest rating any check-in gave it
+ * @param {Array} checkIns - Today's check-ins
+ * @returns {Object} - { physical, emotional, social }, each "good", "fair", "concerning" or null
+ */
+function rateWellbeing(checkIns) {
+  const ratings = {};
+  for (const area of WELLBEING_AREAS) {
+    const given = checkIns
+      .map(checkIn => checkIn.wellbeing?.[area])
+      .filter(rating => WELLBEING_RATINGS.includes(rating))
+      .sort((a, b) => WELLBEING_RATINGS.indexOf(a) - WELLBEING_RATINGS.indexOf(b));
+    ratings[area] = given[0] || null;
   }
-  
-  // Extract activities section
-  const activitiesMatch = report.match(/Activities[^\n]*\n([\s\S]*?)(?=\n\n\*|$)/i);
-  if (activitiesMatch && activitiesMatch[1]) {
-      sections.activities = activitiesMatch[1].trim();
+  return ratings;
+}
+
+/**
+ * Collect a list field (activities, concerns) across check-ins without repeats
+ * @param {Array} checkIns - Today's check-ins
+ * @param {string} field - Check-in field holding an array of strings
+ * @returns {Array<string>} - Distinct entries, in the order they were mentioned
+ */
+function collectCheckInItems(checkIns, field) {
+  const seen = new Set();
+  const items = [];
+  for (const checkIn of checkIns) {
+    for (const item of checkIn[field] || []) {
+      const key = String(item).trim().toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      items.push(String(item).trim());
+    }
   }
-  
-  // Ensure each section is within WhatsApp's character limit for template variables
-  const MAX_LENGTH = 950; // Leave room for formatting
-  
-  Object.keys(sections).forEach(key => {
-      if (sections[key].length > MAX_LENGTH) {
-          sections[key] = sections[key].substring(0, MAX_LENGTH) + "...";
-      }
+  return items;
+}
+
+/**
+ * Work out today's adherence for each medication active today
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {string} timezone - Elderly user's IANA timezone; "today" is their local day
+ * @returns {Promise<Array>} - [{ medicine, dosage, taken, missed, pending, percentage }]
+ */
+async function getTodaysMedicationAdherence(userPhone, timezone) {
+  const today = new Date();
+  const medications = (await MedicationModel.getUserMedications(userPhone)).filter(med => {
+    const startDate = med.startDate ? new Date(med.startDate) : null;
+    const endDate = med.endDate ? new Date(med.endDate) : null;
+    return (!startDate || startDate <= today) && (!endDate || endDate >= today);
+  });
+  if (medications.length === 0) return [];
+
+  const doses = await DoseLogModel.getDoses(userPhone, getStartOfDayInZone(timezone, today));
+
+  return medications.map(med => {
+    const medicationDoses = doses.filter(dose => dose.medicine === med.medicine);
+    const taken = medicationDoses.filter(dose => dose.status === 'taken').length;
+    const missed = medicationDoses.filter(dose => dose.status === 'missed').length;
+    return {
+      medicine: med.medicine,
+      dosage: med.dosage || null,
+      taken,
+      missed,
+      pending: medicationDoses.length - taken - missed,
+      percentage: taken + missed ? Math.round((taken / (taken + missed)) * 100) : null
+    };
   });
-  
-  return sections;
 }
 
 /**
- * Generate a daily report for one elderly user that includes check-in data and a medication summary.
+ * Build the daily report for one elderly user as structured data. Every channel (WhatsApp
+ * text, template variables, stored reports) is rendered from this object.
  * @param {string} elderlyUserId - Elderly user's phone number
- * @returns {Promise<string>} - Formatted report
+ * @param {string|null} language - Language of the caregiver the report is for
+ * @returns {Promise<Object|null>} - Report data, or null if it could not be built
  */
-async function generateDailyReport(elderlyUserId) {
-    try {
-      const standardizedUserId = standardizePhoneNumber(elderlyUserId);
-      
-      // Get elderly user details
-      const elderlyUserData = await UserModel.getUserDetails(standardizedUserId);
-      
-      // Get today's check-ins using the model
-      const todaysCheckIns = await CheckInModel.getTodaysCheckIns(standardizedUserId);
-      
-      // Get today's medication summary for the user
-      const medicationSummary = await getMedicationSummary(standardizedUserId);
+async function generateDailyReport(elderlyUserId, language = null) {
+  try {
+    const standardizedUserId = standardizePhoneNumber(elderlyUserId);
+    
+    // Get elderly user details
+    const elderlyUserData = await UserModel.getUserDetails(standardizedUserId);
+    
+    // "Today" is the elderly user's local day
+    const timezone = getUserTimezone(elderlyUserData, standardizedUserId);
+    
+    // Get today's check-ins using the model
+    const todaysCheckIns = await CheckInModel.getTodaysCheckIns(standardizedUserId, timezone);
+    
+    // How the past week went, for context on today's doses
+    const weeklyAdherence = await adherenceService.calculateAdherence(standardizedUserId, 7, timezone);
+    
+    const report = {
+      elderlyId: standardizedUserId,
+      elderlyName: elderlyUserData?.name || null,
+      date: getZonedDateParts(timezone).date,
+      timezone,
+      language: normalizeLanguage(language),
+      generatedAt: new Date().toISOString(),
+      checkInCount: todaysCheckIns.length,
+      mood: scoreMood(todaysCheckIns),
+      wellbeing: rateWellbeing(todaysCheckIns),
+      activities: collectCheckInItems(todaysCheckIns, 'activities'),
+      concerns: collectCheckInItems(todaysCheckIns, 'concerns'),
+      medications: await getTodaysMedicationAdherence(standardizedUserId, timezone),
+      weeklyAdherence: weeklyAdherence.overall.total > 0 ? {
+        overall: weeklyAdherence.overall,
+        trend: weeklyAdherence.trend,
+        mostMissedSlot: weeklyAdherence.mostMissedSlot?.reminderTime || null
+      } : null,
+      summary: null,
+      highlights: [],
+      generator: null
+    };
+    
+    // Only the summary and highlights are written by the AI; every figure above comes from
+    // stored data. They're built by rules instead when configured, or if the AI is unavailable.
+    if (todaysCheckIns.length > 0) {
+      const narrative = (REPORT_CONFIG.generator === 'ai' && await summarizeDailyReport(report, elderlyUserData, todaysCheckIns))
+        || summarizeDailyReportWithRules(report, report.language);
+      Object.assign(report, narrative);
+    }
+    
+    return report;
+  } catch (error) {
+    console.error(`❌ Error generating daily report: ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Ask the AI for a short summary of the day and its highlights
+ * @param {Object} report - Report data built so far
+ * @param {Object} elderlyUserData - Elderly user details
+ * @param {Array} checkIns - Today's check-ins
+ * @returns {Promise<Object|null>} - { summary, highlights, generator }, or null if the AI is unavailable
+ */
+async function summarizeDailyReport(report, elderlyUserData, checkIns) {
+  try {
+    // Format check-ins for the prompt
+    let checkInsText = "";
+    checkIns.forEach((checkIn, index) => {
+      const time = new Date(checkIn.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: report.timezone });
+      let checkInData = `Check-in ${index + 1} (${time}):\n`;
       
-      // If no check-ins, return a simple report including the medication summary
-      if (todaysCheckIns.length === 0) {
-        return `*Daily Report for ${elderlyUserData.name}*\n\nNo check-ins were recorded today. This could mean they were away or did not respond to the check-in messages.\n\n${medicationSummary}`;
+      if (checkIn.fullConversation && checkIn.fullConversation.length > 0) {
+        checkIn.fullConversation.forEach(msg => {
+          checkInData += `${msg.role === 'user' ? 'Elderly' : 'Assistant'}: ${msg.content}\n`;
+        });
+      } else {
+        checkInData += `Q: ${checkIn.question}\nA: ${checkIn.response || "No response"}\n`;
       }
       
-      // Generate the full report using AI, incorporating both check-in details and medication summary
-      return await formatDailyReport(elderlyUserData, todaysCheckIns, medicationSummary);
-    } catch (error) {
-      console.error(`❌ Error generating daily report: ${error}`);
-      return "Error generating daily report. Please try again later.";
+      checkInsText += checkInData + "\n";
+    });
+    
+    const medicationText = report.medications.length > 0
+      ? report.medications.map(med => `${med.medicine}: ${med.taken} taken, ${med.missed} missed`).join('\n')
+      : "No medications today";
+    
+    const prompt = `Summarize the day of an elderly person for their caregiver.
+
+Elderly person: ${elderlyUserData?.name || "Unknown"} (${elderlyUserData?.age || "elderly"})
+
+Today's check-ins:
+${checkInsText}
+Mood: ${report.mood.label || "unknown"}
+Concerns: ${report.concerns.join(', ') || "None identified"}
+Medication today:
+${medicationText}
+
+Respond with a JSON object with these fields:
+- summary: string, two or three warm, factual sentences about how their day went
+- highlights: array of up to 3 short phrases about good moments from the day (empty if there were none)`;
+    
+    const result = await llmService.completeJSON('report_summary', [
+      {
+        role: "system",
+        content: `You are an elderly care assistant that writes concise, informative daily summaries for caregivers while maintaining privacy and dignity. Respond only with valid JSON. ${languageInstruction(report.language)}`.trim()
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
+    
+    if (typeof result.summary !== 'string' || !result.summary.trim()) {
+      throw new Error("No summary in AI response");
     }
+    
+    return {
+      summary: result.summary.trim(),
+      highlights: Array.isArray(result.highlights)
+        ? result.highlights.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()).slice(0, 3)
+        : [],
+      generator: 'ai'
+    };
+  } catch (error) {
+    console.error(`❌ Error summarizing daily report, using rules instead: ${error}`);
+    return null;
   }
-  
-  /**
-   * Format a daily report using AI by combining check-in details with medication summary.
-   * @param {Object} elderlyUserData - Elderly user details
-   * @param {Array} checkIns - Today's check-ins
-   * @param {string} medicationSummary - Today's medication summary
-   * @returns {Promise<string>} - Formatted report
-   */
-  async function formatDailyReport(elderlyUserData, checkIns, medicationSummary) {
-    try {
-      const openaiClient = createOpenAIClient();
-      
-      // Format check-ins for the prompt
-      let checkInsText = "";
-      checkIns.forEach((checkIn, index) => {
-        const time = new Date(checkIn.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        let checkInData = `Check-in ${index + 1} (${time}):\n`;
-        
-        if (checkIn.fullConversation && checkIn.fullConversation.length > 0) {
-          checkInData += "Conversation:\n";
-          checkIn.fullConversation.forEach(msg => {
-            checkInData += `${msg.role === 'user' ? 'Elderly' : 'Assistant'}: ${msg.content}\n`;
-          });
-        } else {
-          checkInData += `Q: ${checkIn.question}\nA: ${checkIn.response || "No response"}\n`;
-        }
-        
-        checkInData += `Sentiment: ${checkIn.sentiment}\n`;
-        checkInData += `Activities: ${checkIn.activities?.join(', ') || "None mentioned"}\n`;
-        checkInData += `Wellbeing: Physical (${checkIn.wellbeing?.physical}), Emotional (${checkIn.wellbeing?.emotional}), Social (${checkIn.wellbeing?.social})\n`;
-        checkInData += `Concerns: ${checkIn.concerns?.join(', ') || "None identified"}\n\n`;
-        
-        checkInsText += checkInData;
-      });
-      
-      // Create a prompt that includes both the check-in details and medication summary
-      const prompt = `Generate a daily activity report for a caregiver about their elderly family member.
-  
-  Elderly person: ${elderlyUserData.name} (${elderlyUserData.age || "elderly"})
-  Date: ${new Date().toLocaleDateString()}
-  
-  Today's check-ins:
-  ${checkInsText}
-  
-  Medication Summary:
-  ${medicationSummary}
-  
-  Create a concise, informative daily report that:
-  1. Summarizes the elderly person's day and activities
-  2. Notes their overall wellbeing and mood
-  3. Highlights any potential concerns
-  4. Includes a summary of their medication adherence for the day
-  5. Keeps a warm, positive tone while being factual
-  
-  Format it nicely with appropriate sections, bullet points where helpful, and emojis where appropriate.`;
-      
-      const response = await openaiClient.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an elderly care assistant that generates concise, informative daily reports for caregivers. Your reports highlight key information while maintaining privacy and dignity."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.5,
-        max_tokens: 600
-      });
-      
-      return response.choices[0].message.content.trim();
-    } catch (error) {
-      console.error(`❌ Error formatting daily report: ${error}`);
-      
-      // Fallback basic report
-      let report = `*Daily Report for ${elderlyUserData.name}*\n\n`;
-      report += `Date: ${new Date().toLocaleDateString()}\n\n`;
-      
-      checkIns.forEach((checkIn, index) => {
-        const time = new Date(checkIn.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        report += `${time}: ${checkIn.response || "No response"}\n\n`;
-      });
-      
-      report += `Medication Summary:\n${medicationSummary}\n\n`;
-      
-      return report;
+}
+
+/**
+ * Join words into a list for a sentence, e.g. "walking, reading and cooking"
+ * @param {Array<string>} items - Words to join
+ * @param {string|null} language - Reader's language code
+ * @returns {string} - Joined list
+ */
+function joinWithAnd(items, language = null) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')}${t(language, 'report.and')}${items[items.length - 1]}` : items.join('');
+}
+
+/**
+ * Write the summary and highlights of a report from its data alone, with no AI call
+ * @param {Object} report - Report data built so far
+ * @param {string|null} language - Language of the caregiver the report is for
+ * @returns {Object} - { summary, highlights, generator }
+ */
+function summarizeDailyReportWithRules(report, language = null) {
+  const name = report.elderlyName || t(language, 'report.fallback_subject');
+  const sentences = [];
+  const highlights = [];
+
+  const times = report.checkInCount === 1 ? t(language, 'report.times_once')
+    : report.checkInCount === 2 ? t(language, 'report.times_twice')
+    : t(language, 'report.times_count', { count: report.checkInCount });
+  sentences.push(t(language, report.mood.label ? `report.summary_checkins_${report.mood.label}` : 'report.summary_checkins', { name, times }));
+  if (report.mood.label === 'positive') highlights.push(t(language, 'report.highlight_good_spirits'));
+
+  const rated = WELLBEING_AREAS.filter(area => report.wellbeing[area]);
+  const concerning = rated.filter(area => report.wellbeing[area] === 'concerning');
+  if (concerning.length > 0) {
+    const areas = concerning.map(area => t(language, `report.area_${area}`).toLowerCase());
+    sentences.push(t(language, 'report.summary_needs_attention', { areas: joinWithAnd(areas, language) }));
+  } else if (rated.length === WELLBEING_AREAS.length && rated.every(area => report.wellbeing[area] === 'good')) {
+    sentences.push(t(language, 'report.summary_all_well'));
+    highlights.push(t(language, 'report.highlight_all_well'));
+  }
+
+  if (report.activities.length > 0) {
+    const activities = report.activities.slice(0, 3).map(activity => activity.toLowerCase());
+    sentences.push(t(language, 'report.summary_activities', { activities: joinWithAnd(activities, language) }));
+  }
+
+  if (report.concerns.length > 0) {
+    sentences.push(report.concerns.length === 1
+      ? t(language, 'report.summary_one_concern', { concerns: report.concerns[0] })
+      : t(language, 'report.summary_concerns', { count: report.concerns.length, concerns: joinWithAnd(report.concerns, language) }));
+  }
+
+  // Today's doses from the medication ledger
+  const taken = report.medications.reduce((sum, med) => sum + med.taken, 0);
+  const missed = report.medications.filter(med => med.missed > 0);
+  if (missed.length > 0) {
+    sentences.push(t(language, 'report.summary_missed', { medicines: joinWithAnd(missed.map(med => med.medicine), language) }));
+  } else if (taken > 0) {
+    sentences.push(taken === 1 ? t(language, 'report.summary_all_taken_one') : t(language, 'report.summary_all_taken', { count: taken }));
+    highlights.push(t(language, 'report.highlight_all_taken'));
+  }
+  if (report.weeklyAdherence?.trend > 0) {
+    highlights.push(t(language, 'report.highlight_adherence_up', { change: report.weeklyAdherence.trend }));
+  }
+
+  return { summary: sentences.join(' '), highlights: highlights.slice(0, 3), generator: 'rules' };
+}
+
+/**
+ * Render the health and mood section of a report
+ * @param {Object} report - Report data from generateDailyReport
+ * @param {string|null} language - Reader's language code
+ * @returns {Array<string>} - Section lines
+ */
+function renderHealthLines(report, language = null) {
+  if (report.checkInCount === 0) {
+    return [t(language, 'report.no_checkins')];
+  }
+
+  const lines = [];
+  if (report.mood.label) {
+    lines.push(t(language, report.checkInCount === 1 ? 'report.mood_one' : 'report.mood', {
+      emoji: MOOD_EMOJIS[report.mood.label],
+      mood: t(language, `report.mood_${report.mood.label}`),
+      count: report.checkInCount
+    }));
+  }
+
+  const ratings = WELLBEING_AREAS
+    .filter(area => report.wellbeing[area])
+    .map(area => `${t(language, `report.area_${area}`)} ${WELLBEING_EMOJIS[report.wellbeing[area]]} ${t(language, `report.rating_${report.wellbeing[area]}`)}`);
+  if (ratings.length > 0) lines.push(ratings.join(' · '));
+
+  if (report.concerns.length > 0) {
+    lines.push(t(language, 'report.concerns'));
+    report.concerns.forEach(concern => lines.push(`• ${concern}`));
+  } else {
+    lines.push(t(language, 'report.no_concerns'));
+  }
+  return lines;
+}
+
+/**
+ * Render the medication section of a report
+ * @param {Object} report - Report data from generateDailyReport
+ * @param {string|null} language - Reader's language code
+ * @returns {Array<string>} - Section lines
+ */
+function renderMedicationLines(report, language = null) {
+  if (report.medications.length === 0) return [t(language, 'report.no_medications')];
+
+  const lines = report.medications.map(med => {
+    const medicine = med.dosage ? `${med.medicine} (${med.dosage})` : med.medicine;
+    if (med.taken + med.missed === 0) {
+      return t(language, med.pending > 0 ? 'report.med_awaiting' : 'report.med_none_due', { medicine });
+    }
+    let line = t(language, 'report.med_taken', {
+      medicine,
+      taken: med.taken,
+      total: med.taken + med.missed,
+      emoji: med.missed === 0 ? '✅' : '⚠️'
+    });
+    if (med.pending > 0) line += t(language, 'report.med_pending', { count: med.pending });
+    return line;
+  });
+
+  if (report.weeklyAdherence) {
+    lines.push(t(language, 'report.this_week', { summary: adherenceService.describePeriod(report.weeklyAdherence, 'week', language) }));
+    if (report.weeklyAdherence.mostMissedSlot) {
+      lines.push(t(language, 'report.most_missed_time', { time: report.weeklyAdherence.mostMissedSlot }));
     }
   }
-  
+  return lines;
+}
+
+/**
+ * Render the activities and highlights section of a report
+ * @param {Object} report - Report data from generateDailyReport
+ * @param {string|null} language - Reader's language code
+ * @returns {Array<string>} - Section lines
+ */
+function renderActivityLines(report, language = null) {
+  const lines = [];
+  if (report.activities.length > 0) lines.push(t(language, 'report.activities', { activities: report.activities.join(', ') }));
+  report.highlights.forEach(highlight => lines.push(`🌟 ${highlight}`));
+  return lines.length > 0 ? lines : [t(language, 'report.no_activities')];
+}
+
+/**
+ * Render a report as a WhatsApp message
+ * @param {Object} report - Report data from generateDailyReport
+ * @param {string|null} language - Reader's language code; defaults to the one the report was written in
+ * @returns {string} - Formatted report
+ */
+function renderDailyReportText(report, language = report.language) {
+  let text = `${t(language, 'report.title', {
+    name: report.elderlyName || t(language, 'report.fallback_name'),
+    date: formatDate(`${report.date}T12:00:00Z`, language)
+  })}\n\n`;
+  if (report.summary) text += `${report.summary}\n\n`;
+
+  text += `${t(language, 'report.section_health')}\n${renderHealthLines(report, language).join('\n')}\n\n`;
+  text += `${t(language, 'report.section_medication')}\n${renderMedicationLines(report, language).join('\n')}\n\n`;
+  text += `${t(language, 'report.section_activities')}\n${renderActivityLines(report, language).join('\n')}`;
+  return text;
+}
+
+/**
+ * Join section lines, leaving whole lines out rather than cutting one off when they
+ * don't fit in a template variable
+ * @param {Array<string>} lines - Section lines
+ * @param {string|null} language - Reader's language code
+ * @param {number} maxLength - Maximum length of the result
+ * @returns {string} - Joined lines
+ */
+function fitLines(lines, language = null, maxLength = TEMPLATE_VARIABLE_MAX_LENGTH) {
+  // Template variables can't contain newlines, so lines are separated with a bullet
+  const parts = lines.map(line => line.replace(/^• /, ''));
+  let text = parts.join(' • ');
+  if (text.length <= maxLength) return text;
+
+  const more = ` • ${t(language, 'report.more')}`;
+  while (parts.length > 1 && text.length + more.length > maxLength) {
+    parts.pop();
+    text = parts.join(' • ');
+  }
+  return text.length + more.length <= maxLength ? text + more : text.substring(0, maxLength);
+}
+
+/**
+ * Render a report as variables for the daily report WhatsApp template
+ * @param {Object} report - Report data from generateDailyReport
+ * @param {string|null} language - Reader's language code; defaults to the one the report was written in
+ * @returns {Object} - Template variables "1" (name), "2" (health), "3" (medication), "4" (activities)
+ */
+function renderDailyReportTemplateVariables(report, language = report.language) {
+  const health = renderHealthLines(report, language);
+  if (report.summary) health.unshift(report.summary);
+
+  return {
+    "1": report.elderlyName || t(language, 'report.fallback_name'),
+    "2": fitLines(health, language),
+    "3": fitLines(renderMedicationLines(report, language), language),
+    "4": fitLines(renderActivityLines(report, language), language)
+  };
+}
 
 /**
  * Schedule daily report generation 
  */
 function scheduleDailyReports() {
-  // Calculate time until report generation (default: 8:00 PM)
-  const now = new Date();
-  const reportTime = new Date();
-  reportTime.setHours(21, 19, 0, 0);
-  
-  // If already past 8 PM, schedule for tomorrow
-  if (now >= reportTime) {
-    reportTime.setDate(reportTime.getDate() + 1);
-  }
-  
-  const delayMs = reportTime.getTime() - now.getTime();
+  // Each report goes out at DAILY_REPORT_TIME in the elderly user's own timezone
+  console.log(`📊 Scheduling daily reports for ${DAILY_REPORT_TIME.hour}:${String(DAILY_REPORT_TIME.minute).padStart(2, '0')} local time`);
   
-  console.log(`📊 Scheduling daily reports for ${reportTime.toLocaleString()} (in ${Math.round(delayMs/60000)} minutes)`);
-  
-  // Schedule the report generation
-  setTimeout(() => {
-    // Generate and send reports
-    sendDailyReports();
-    
-    // Schedule the next day's reports
-    scheduleDailyReports();
-  }, delayMs);
+  setInterval(() => {
+    sendDailyReports({ onlyDue: true });
+  }, DAILY_REPORT_TICK_MS).unref();
 }
 
 
@@ -823,13 +1210,8 @@ function determineIfSecondFollowUpNeeded(analysis, conversationHistory) {
  // 2. Response indicates distress or need for more information
  // 3. Response is very brief or vague
  
- const hasCriticalConcerns = 
-   analysis.concerns && 
-   analysis.concerns.some(concern => 
-     concern.toLowerCase().includes('pain') || 
-     concern.toLowerCase().includes('severe') ||
-     concern.toLowerCase().includes('worried')
-   );
+ const hasCriticalConcerns = analysis.urgent === true || analysis.wellbeing?.physical === 'concerning' ||
+   analysis.wellbeing?.emotional === 'concerning';
  
  // Also check response length - if very brief, might need more follow-up
  const isBriefResponse = lastUserResponse && lastUserResponse.content.split(' ').length < 5;
@@ -845,9 +1227,9 @@ function determineIfSecondFollowUpNeeded(analysis, conversationHistory) {
 * @returns {Promise<string>} - Follow-up question
 */
 async function generateFollowUpQuestion(userId, initialResponse, analysis) {
+ let userData = null;
  try {
-   const openaiClient = createOpenAIClient();
-   const userData = await UserModel.getUserDetails(userId);
+   userData = await UserModel.getUserDetails(userId);
    
    // Add defensive coding for the analysis object
    const safeAnalysis = analysis || {};
@@ -901,26 +1283,19 @@ Examples of good follow-up questions:
 - "I'm sorry to hear you're not feeling well, Maria. Have you been able to get any rest today? 💗"
 - "It sounds like you've had a busy morning! What are you looking forward to this afternoon? ✨"`;
 
-   const response = await openaiClient.chat.completions.create({
-     model: "gpt-3.5-turbo",
-     messages: [
-       {
-         role: "system",
-         content: "You are a compassionate companion for elderly individuals. Your follow-up questions are warm, specific, and show genuine interest in their wellbeing."
-       },
-       {
-         role: "user",
-         content: prompt
-       }
-     ],
-     temperature: 0.7,
-     max_tokens: 150
-   });
-   
-   return response.choices[0].message.content.trim();
+   return await llmService.complete('checkin_reply', [
+     {
+       role: "system",
+       content: `You are a compassionate companion for elderly individuals. Your follow-up questions are warm, specific, and show genuine interest in their wellbeing. ${languageInstruction(userData?.language)}`.trim()
+     },
+     {
+       role: "user",
+       content: prompt
+     }
+   ]);
  } catch (error) {
    console.error(`❌ Error generating follow-up question: ${error}`);
-   return "That's interesting. Could you tell me a bit more about how you're feeling today? 😊";
+   return t(userData?.language, 'checkin.fallback_follow_up');
  }
 }
 
@@ -931,9 +1306,9 @@ Examples of good follow-up questions:
 * @returns {Promise<string>} - Second follow-up question
 */
 async function generateSecondFollowUpQuestion(userId, analysis) {
+  let userData = null;
   try {
-    const openaiClient = createOpenAIClient();
-    const userData = await UserModel.getUserDetails(userId);
+    userData = await UserModel.getUserDetails(userId);
     
     // Add defensive coding to ensure analysis and its properties exist
     const safeAnalysis = analysis || {};
@@ -966,26 +1341,19 @@ Guidelines:
 
 This should feel like the natural conclusion to a brief, caring check-in conversation.`;
 
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a compassionate companion for elderly individuals. Your follow-up questions are warm, specific, and show genuine interest in their wellbeing."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 150
-    });
-    
-    return response.choices[0].message.content.trim();
+    return await llmService.complete('checkin_reply', [
+      {
+        role: "system",
+        content: `You are a compassionate companion for elderly individuals. Your follow-up questions are warm, specific, and show genuine interest in their wellbeing. ${languageInstruction(userData?.language)}`.trim()
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
   } catch (error) {
     console.error(`❌ Error generating second follow-up question: ${error}`);
-    return "Is there anything specific that would help you feel better today? I'm here to listen. 💗";
+    return t(userData?.language, 'checkin.fallback_second_follow_up');
   }
 }
 
@@ -997,8 +1365,6 @@ This should feel like the natural conclusion to a brief, caring check-in convers
 */
 async function analyzeConversation(conversationHistory, initialAnalysis) {
  try {
-   const openaiClient = createOpenAIClient();
-   
    // Add defensive coding for the initialAnalysis object
    const safeInitialAnalysis = initialAnalysis || {
      sentiment: 'neutral',
@@ -1028,6 +1394,7 @@ Initial analysis from first response:
 - Emotional wellbeing: ${safeInitialAnalysis.wellbeing?.emotional || 'fair'}
 - Social wellbeing: ${safeInitialAnalysis.wellbeing?.social || 'fair'}
 - Initial concerns: ${(safeInitialAnalysis.concerns || []).join(', ') || "None identified"}
+- Initially marked urgent: ${safeInitialAnalysis.urgent ? 'yes' : 'no'}
 
 Based on the FULL conversation, provide an updated analysis with:
 1. Overall sentiment (positive, neutral, negative)
@@ -1035,28 +1402,29 @@ Based on the FULL conversation, provide an updated analysis with:
 3. Wellbeing indicators (physical, emotional, social - each rated as good, fair, or concerning)
 4. Any concerns or issues that might need attention
 5. Any help or assistance they might need
+6. Whether anything needs a family member's attention today (e.g. a fall, severe or sudden pain, trouble breathing, confusion, not eating, thoughts of self-harm)
 
-Format the response as a JSON object with these fields.`;
-
-   const aiResponse = await openaiClient.chat.completions.create({
-     model: "gpt-3.5-turbo",
-     messages: [
-       {
-         role: "system",
-         content: "You are an analytical assistant that extracts structured information from conversations. Respond only with valid JSON."
-       },
-       {
-         role: "user",
-         content: prompt
-       }
-     ],
-     temperature: 0.3,
-     max_tokens: 500,
-     response_format: { type: "json_object" }
-   });
+The conversation may be in any language; answer in the same format either way.
+
+Format the response as a JSON object with these fields:
+- sentiment: string (positive, neutral, or negative)
+- activities: array of strings
+- wellbeing: object with physical, emotional, and social properties (each rated as good, fair, or concerning)
+- concerns: array of strings
+- needsAssistance: boolean
+- urgent: boolean (true only for point 6)`;
+
+   const parsedResponse = await llmService.completeJSON('conversation_analysis', [
+     {
+       role: "system",
+       content: "You are an analytical assistant that extracts structured information from conversations. Respond only with valid JSON."
+     },
+     {
+       role: "user",
+       content: prompt
+     }
+   ]);
    
-   // Parse the JSON response
-   const parsedResponse = JSON.parse(aiResponse.choices[0].message.content);
    
    // Ensure the response has the expected structure
    return {
@@ -1068,7 +1436,8 @@ Format the response as a JSON object with these fields.`;
        social: 'fair'
      },
      concerns: parsedResponse.concerns || [],
-     needsAssistance: parsedResponse.needsAssistance || false
+     needsAssistance: parsedResponse.needsAssistance || false,
+     urgent: parsedResponse.urgent === true
    };
  } catch (error) {
    console.error(`❌ Error analyzing conversation: ${error}`);
@@ -1087,6 +1456,50 @@ Format the response as a JSON object with these fields.`;
  }
 }
 
+/**
+* Build the check-in record saved to the database from a session
+* @param {string} userId - User's ID
+* @param {Object} session - Check-in session data
+* @param {Object} analysis - Conversation analysis (may be missing)
+* @returns {Object} - Check-in record
+*/
+function buildCheckInRecord(userId, session, analysis) {
+ // Add defensive coding for the analysis object
+ const safeAnalysis = analysis || {
+   sentiment: 'neutral',
+   activities: [],
+   wellbeing: {
+     physical: 'fair',
+     emotional: 'fair',
+     social: 'fair'
+   },
+   concerns: []
+ };
+ 
+ const userMessages = session.conversationHistory.filter(msg => msg.role === 'user');
+ 
+ // Create the check-in data object with full conversation
+ return {
+   checkInId: `${userId}_${Date.now()}`,
+   userId: userId,
+   timestamp: session.timestamp,
+   timeSlot: session.timeSlot,
+   question: session.question,
+   response: userMessages[0].content,
+   fullConversation: session.conversationHistory,
+   conversationTurns: userMessages.length,
+   sentiment: safeAnalysis.sentiment,
+   activities: safeAnalysis.activities || [],
+   wellbeing: safeAnalysis.wellbeing,
+   concerns: safeAnalysis.concerns || [],
+   needsAssistance: safeAnalysis.needsAssistance || false,
+   urgent: safeAnalysis.urgent === true,
+   status: 'completed',
+   reportedTo: null,
+   reported: false
+ };
+}
+
 /**
 * Finalize the check-in process
 * @param {string} userId - User's ID
@@ -1096,35 +1509,11 @@ Format the response as a JSON object with these fields.`;
 */
 async function finalizeCheckIn(userId, session, analysis) {
  try {
-   // Add defensive coding for the analysis object
-   const safeAnalysis = analysis || {
-     sentiment: 'neutral',
-     activities: [],
-     wellbeing: {
-       physical: 'fair',
-       emotional: 'fair',
-       social: 'fair'
-     },
-     concerns: []
-   };
-   
-   // Create the check-in data object with full conversation
-   const checkInData = {
-     checkInId: `${userId}_${Date.now()}`,
-     userId: userId,
-     timestamp: session.timestamp,
-     timeSlot: session.timeSlot,
-     question: session.question,
-     response: session.conversationHistory.filter(msg => msg.role === 'user')[0].content,
-     fullConversation: session.conversationHistory,
-     conversationTurns: session.conversationHistory.filter(msg => msg.role === 'user').length,
-     sentiment: safeAnalysis.sentiment,
-     activities: safeAnalysis.activities,
-     wellbeing: safeAnalysis.wellbeing,
-     concerns: safeAnalysis.concerns,
-     needsAssistance: safeAnalysis.needsAssistance || false,
-     reportedTo: null,
-     reported: false
+   const checkInData = buildCheckInRecord(userId, session, analysis);
+   const safeAnalysis = {
+     sentiment: checkInData.sentiment,
+     wellbeing: checkInData.wellbeing,
+     concerns: checkInData.concerns
    };
    
    // Save to database using the model
@@ -1134,17 +1523,20 @@ async function finalizeCheckIn(userId, session, analysis) {
    // Generate a final response
    const finalResponse = await generateFinalResponse(userId, safeAnalysis, session.conversationHistory);
    
-   // Check if any urgent concerns were identified that need immediate attention
-   if (safeAnalysis.concerns && safeAnalysis.concerns.some(c => 
-       c.toLowerCase().includes('emergency') || 
-       c.toLowerCase().includes('severe') ||
-       c.toLowerCase().includes('urgent'))) {
-     // Here you could add code to send alerts to caregivers for urgent concerns
-     console.log(`⚠️ URGENT CONCERN DETECTED for ${userId}: ${safeAnalysis.concerns.join(', ')}`);
+   // Alert caregivers and the emergency contact when the analysis marks the check-in urgent,
+   // or when the elder's own words match a red-flag rule (in any of the supported languages)
+   const redFlags = [...new Set(session.conversationHistory
+     .filter(msg => msg.role === 'user')
+     .map(msg => detectRedFlag(msg.content)?.category)
+     .filter(Boolean))];
+   if (checkInData.urgent || redFlags.length > 0) {
+     const urgentConcerns = checkInData.urgent ? checkInData.concerns : [];
+     console.log(`⚠️ URGENT CONCERN DETECTED for ${userId}: ${[...redFlags, ...urgentConcerns].join(', ')}`);
+     await alertService.sendCheckInConcernAlert(userId, urgentConcerns, session.conversationHistory, redFlags);
    }
    
    // Clear the active session
-   delete activeCheckInSessions[userId];
+   sessionStore.deleteCheckInSession(userId);
    
    return {
      success: true,
@@ -1155,7 +1547,7 @@ async function finalizeCheckIn(userId, session, analysis) {
    console.error(`❌ Error finalizing check-in: ${error}`);
    
    // Try to clear the session even if there was an error
-   delete activeCheckInSessions[userId];
+   sessionStore.deleteCheckInSession(userId);
    
    return {
      success: false,
@@ -1172,9 +1564,9 @@ async function finalizeCheckIn(userId, session, analysis) {
 * @returns {Promise<string>} - Final response
 */
 async function generateFinalResponse(userId, analysis, conversationHistory) {
+ let userData = null;
  try {
-   const openaiClient = createOpenAIClient();
-   const userData = await UserModel.getUserDetails(userId);
+   userData = await UserModel.getUserDetails(userId);
    
    // Add defensive coding for analysis and conversationHistory
    const safeAnalysis = analysis || {
@@ -1217,26 +1609,19 @@ Guidelines:
 
 Your response should feel like a natural, caring conclusion to the conversation.`;
 
-   const response = await openaiClient.chat.completions.create({
-     model: "gpt-3.5-turbo",
-     messages: [
-       {
-         role: "system",
-         content: "You are a caring companion who checks in on elderly people. Your responses are warm, specific, and demonstrate genuine care."
-       },
-       {
-         role: "user",
-         content: prompt
-       }
-     ],
-     temperature: 0.7,
-     max_tokens: 200
-   });
-   
-   return response.choices[0].message.content.trim();
+   return await llmService.complete('checkin_final', [
+     {
+       role: "system",
+       content: `You are a caring companion who checks in on elderly people. Your responses are warm, specific, and demonstrate genuine care. ${languageInstruction(userData?.language)}`.trim()
+     },
+     {
+       role: "user",
+       content: prompt
+     }
+   ]);
  } catch (error) {
    console.error(`❌ Error generating final response: ${error}`);
-   return "Thank you so much for sharing that with me. I appreciate our conversation and hope you have a lovely rest of your day. Take care! 💗";
+   return t(userData?.language, 'checkin.fallback_final');
  }
 }
 
@@ -1275,13 +1660,7 @@ async function executeImmediateCheckIn(timeSlot = 'evening') {
       await sendWhatsAppMessage(user.phoneNumber, checkInMessage);
       
       // Track the active check-in session
-      activeCheckInSessions[user.phoneNumber] = {
-        timeSlot: timeSlot,
-        question: checkInMessage,
-        timestamp: new Date().toISOString(),
-        conversationState: 'initial',
-        conversationHistory: [{ role: 'assistant', content: checkInMessage }]
-      };
+      await startCheckInSession(user.phoneNumber, timeSlot, checkInMessage);
       
       console.log(`✅ TEST: Sent immediate test ${timeSlot} check-in to ${user.phoneNumber}`);
       
@@ -1297,18 +1676,20 @@ async function executeImmediateCheckIn(timeSlot = 'evening') {
  * and then summarizes how many times each medication was taken or missed today.
  *
  * @param {string} userPhone - The user's phone number.
+ * @param {string} timezone - The user's IANA timezone; "today" is their local day.
  * @returns {Promise<string>} - Formatted summary of today's medication activity.
  */
-async function getMedicationSummary(userPhone) {
+async function getMedicationSummary(userPhone, timezone = null) {
     try {
       const standardizedPhone = standardizePhoneNumber(userPhone);
       // Retrieve all medications for the user using the MedicationModel
       const medications = await MedicationModel.getUserMedications(standardizedPhone);
       let responseMessage = `💊 *Medication Summary for ${standardizedPhone} (Today)*:\n\n`;
       
-      // Get today's date in YYYY-MM-DD format
+      // Today started at the user's local midnight
+      const userTimezone = timezone || getUserTimezone(await UserModel.getUserDetails(standardizedPhone), standardizedPhone);
       const today = new Date();
-      const todayDateStr = today.toISOString().split('T')[0];
+      const startOfToday = getStartOfDayInZone(userTimezone, today);
       
       // Filter medications that are active today (startDate <= today <= endDate)
       const activeMedications = medications.filter(med => {
@@ -1322,13 +1703,14 @@ async function getMedicationSummary(userPhone) {
         return responseMessage;
       }
       
+      // Doses due since the start of the user's day
+      const doses = await DoseLogModel.getDoses(standardizedPhone, startOfToday);
+      
       // Process each active medication
       activeMedications.forEach(med => {
-        const takenTimes = med.takenTimes || [];
-        const missedTimes = med.missedTimes || [];
-        // Filter timestamps to only include those from today
-        const filteredTaken = takenTimes.filter(date => date.startsWith(todayDateStr));
-        const filteredMissed = missedTimes.filter(date => date.startsWith(todayDateStr));
+        const medicationDoses = doses.filter(dose => dose.medicine === med.medicine);
+        const filteredTaken = medicationDoses.filter(dose => dose.status === 'taken').map(dose => dose.scheduledFor);
+        const filteredMissed = medicationDoses.filter(dose => dose.status === 'missed').map(dose => dose.scheduledFor);
         
         // Format the timestamps using formatDate (imported from timeUtils)
         const formattedTaken = filteredTaken.length 
@@ -1367,7 +1749,14 @@ async function getMedicationSummary(userPhone) {
  */
 function getActiveCheckInSession(userId) {
   const standardizedUserId = standardizePhoneNumber(userId);
-  return activeCheckInSessions[standardizedUserId] || null;
+  const session = sessionStore.getCheckInSession(standardizedUserId);
+  
+  // A stale check-in is no longer a conversation the user can be replying to
+  if (!session || isCheckInStale(session)) {
+    return null;
+  }
+  
+  return session;
 }
 
 /**
@@ -1378,9 +1767,9 @@ function getActiveCheckInSession(userId) {
 function clearActiveCheckInSession(userId) {
   const standardizedUserId = standardizePhoneNumber(userId);
   
-  if (activeCheckInSessions[standardizedUserId]) {
+  if (sessionStore.getCheckInSession(standardizedUserId)) {
       console.log(`🧹 Clearing active check-in session for ${standardizedUserId}`);
-      delete activeCheckInSessions[standardizedUserId];
+      sessionStore.deleteCheckInSession(standardizedUserId);
       return true;
   }
   
@@ -1395,13 +1784,14 @@ function clearActiveCheckInSession(userId) {
 */
 function handleCheckInReminderConflict(userId, reminderData) {
   const standardizedUserId = standardizePhoneNumber(userId);
-  const activeCheckIn = activeCheckInSessions[standardizedUserId];
+  const activeCheckIn = sessionStore.getCheckInSession(standardizedUserId);
   
   if (!activeCheckIn) return false;
   
   // Store the reminder details in the check-in session
   activeCheckIn.pendingReminder = reminderData;
   activeCheckIn.pendingReminderTime = new Date().toISOString();
+  sessionStore.setCheckInSession(standardizedUserId, activeCheckIn);
   
   console.log(`📝 Marked check-in session with pending reminder for ${standardizedUserId}`);
   return true;
@@ -1414,19 +1804,20 @@ function handleCheckInReminderConflict(userId, reminderData) {
 */
 async function resumeCheckInAfterReminder(userId) {
   const standardizedUserId = standardizePhoneNumber(userId);
-  const activeCheckIn = activeCheckInSessions[standardizedUserId];
+  const activeCheckIn = sessionStore.getCheckInSession(standardizedUserId);
   
   if (!activeCheckIn || !activeCheckIn.pendingReminder) return false;
   
   // Clear the pending reminder flag
   delete activeCheckIn.pendingReminder;
   delete activeCheckIn.pendingReminderTime;
+  sessionStore.setCheckInSession(standardizedUserId, activeCheckIn);
   
   // Send a message to resume the check-in
-  await sendWhatsAppMessage(userId, 
-      "Now, let's continue our conversation from earlier. " +
-      `You were responding to: "${activeCheckIn.lastQuestion || 'my last question'}"`
-  );
+  const language = await userService.getUserLanguage(standardizedUserId);
+  await sendWhatsAppMessage(userId, t(language, 'checkin.resume', {
+      question: activeCheckIn.lastQuestion || t(language, 'checkin.resume_last_question')
+  }));
   
   console.log(`🔄 Resumed check-in session for ${standardizedUserId} after medication reminder`);
   return true;
@@ -1438,10 +1829,13 @@ module.exports = {
  processCheckInResponse,
  scheduleDailyReports,
  generateDailyReport,
+ renderDailyReportText,
+ renderDailyReportTemplateVariables,
  sendDailyReports,
  getMedicationSummary,
  getActiveCheckInSession,
  clearActiveCheckInSession,
+ expireStaleCheckIns,
  handleCheckInReminderConflict,
  resumeCheckInAfterReminder,
  executeImmediateCheckIn
@@ -0,0 +1,190 @@
+// services/escalationService.js - Missed-dose escalation to caregivers
+const { MedicationModel, ReminderModel, DoseLogModel } = require('../models/dbModels');
+const { ESCALATION_CONFIG } = require('../config/config');
+const alertService = require('./alertService');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { t } = require('../utils/i18n');
+
+/**
+ * Get the escalation policy for a medication, filling in defaults
+ * @param {Object} medication - Medication record
+ * @returns {Object} - { enabled, afterUnansweredNudges, afterMissedPerWeek }
+ */
+function getEscalationPolicy(medication) {
+    return {
+        ...ESCALATION_CONFIG.defaultPolicy,
+        ...(medication && medication.escalationPolicy ? medication.escalationPolicy : {})
+    };
+}
+
+/**
+ * Count unanswered reminders for a medication since it was last taken or escalated
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name
+ * @returns {Promise<number>} - Number of unanswered reminders in a row
+ */
+async function countUnansweredNudges(userPhone, medicine) {
+    const reminders = await ReminderModel.getRecentReminders(userPhone, 24 * 60);
+
+    const medicationReminders = reminders
+        .filter(reminder => reminder.medicine === medicine)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    let count = 0;
+    for (const reminder of medicationReminders) {
+        // Start counting afresh after a confirmed dose or an alert that was already sent
+        if (reminder.status === 'taken' || reminder.escalated) break;
+        if (reminder.status === 'unanswered') count++;
+    }
+    return count;
+}
+
+/**
+ * Escalate a missed dose to caregivers and record it on the reminder
+ * @param {string} userPhone - Elderly user's phone number
+ * @param {Object} medication - Medication record
+ * @param {string} reminderId - Reminder that triggered the escalation
+ * @param {string} reason - "unanswered_nudges" or "missed_per_week"
+ * @param {number} count - How many nudges/missed doses triggered the rule
+ * @returns {Promise<boolean>} - Whether any caregiver was alerted
+ */
+async function escalateMissedDose(userPhone, medication, reminderId, reason, count) {
+    const medicineLabel = `*${medication.medicine}*${medication.dosage ? ` (${medication.dosage})` : ''}`;
+
+    // Goes to the primary caregiver first and moves down the escalation chain until acknowledged
+    const alert = await alertService.raiseAlert(userPhone, 'missed_medication', (name, alertId, language) =>
+        t(language, reason === 'unanswered_nudges' ? 'alert.missed_unanswered' : 'alert.missed_per_week', {
+            name,
+            medicine: medicineLabel,
+            count,
+            alertId
+        }), { medicine: medication.medicine, reason, count, reminderId }, {
+        dedupeKey: `missed_medication:${medication.medicine}:${reason}`,
+        escalate: true,
+        permission: 'view_medications'
+    });
+
+    const notified = alert ? alert.recipients : [];
+
+    if (reminderId) {
+        await ReminderModel.recordEscalation(reminderId, reason, notified);
+    }
+
+    if (notified.length === 0) {
+        console.log(`⚠️ No caregivers to alert about ${medication.medicine} for ${userPhone}`);
+        return false;
+    }
+
+    console.log(`📣 Escalated ${reason} for ${medication.medicine} (${userPhone}) to ${notified.join(', ')}`);
+    return true;
+}
+
+/**
+ * Handle a reminder that got no reply. Escalates once the policy's nudge limit is
+ * reached; otherwise the caller should nudge the user again.
+ * @param {Object} reminder - Reminder record
+ * @returns {Promise<Object>} - { escalated, nudgeAgain }
+ */
+async function handleUnansweredReminder(reminder) {
+    try {
+        const userPhone = standardizePhoneNumber(reminder.userPhone);
+
+        await ReminderModel.updateReminder(reminder.reminderId, {
+            updateExpression: "set #s = :s",
+            expressionAttributeValues: { ":s": "unanswered" },
+            expressionAttributeNames: { "#s": "status" }
+        });
+
+        const medication = await MedicationModel.getMedication(userPhone, reminder.medicine);
+        if (!medication) {
+            return { escalated: false, nudgeAgain: false };
+        }
+
+        const policy = getEscalationPolicy(medication);
+        const nudges = await countUnansweredNudges(userPhone, reminder.medicine);
+
+        if (policy.enabled && nudges >= policy.afterUnansweredNudges) {
+            const escalated = await escalateMissedDose(userPhone, medication, reminder.reminderId, 'unanswered_nudges', nudges);
+            return { escalated, nudgeAgain: false };
+        }
+
+        // Keep nudging up to the limit; with escalation off, one extra nudge is enough
+        const nudgeLimit = policy.enabled ? policy.afterUnansweredNudges : 2;
+        return { escalated: false, nudgeAgain: nudges < nudgeLimit };
+    } catch (error) {
+        console.error(`❌ Error handling unanswered reminder: ${error}`);
+        return { escalated: false, nudgeAgain: false };
+    }
+}
+
+/**
+ * Check whether a dose the user reported as missed should be escalated
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name
+ * @param {string} reminderId - Reminder the user replied to
+ * @returns {Promise<boolean>} - Whether caregivers were alerted
+ */
+async function handleMissedDose(userPhone, medicine, reminderId) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const medication = await MedicationModel.getMedication(standardizedPhone, medicine);
+        if (!medication) return false;
+
+        const policy = getEscalationPolicy(medication);
+        if (!policy.enabled) return false;
+
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const missedThisWeek = (await DoseLogModel.getDoses(standardizedPhone, weekAgo))
+            .filter(dose => dose.medicine === medication.medicine && dose.status === 'missed').length;
+
+        if (missedThisWeek < policy.afterMissedPerWeek) return false;
+
+        // One weekly alert is enough; don't repeat it on every further miss
+        if (medication.lastMissedEscalationAt && new Date(medication.lastMissedEscalationAt) >= weekAgo) {
+            return false;
+        }
+
+        const escalated = await escalateMissedDose(standardizedPhone, medication, reminderId, 'missed_per_week', missedThisWeek);
+        await MedicationModel.updateMedicationFields(standardizedPhone, medication.medicine, {
+            lastMissedEscalationAt: new Date().toISOString()
+        });
+        return escalated;
+    } catch (error) {
+        console.error(`❌ Error checking missed dose escalation: ${error}`);
+        return false;
+    }
+}
+
+/**
+ * Change the escalation policy of a medication
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name (case-insensitive)
+ * @param {Object} changes - Policy fields to change
+ * @returns {Promise<Object|null>} - { medicine, policy } or null if the medication wasn't found
+ */
+async function updateEscalationPolicy(userPhone, medicine, changes) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const medications = await MedicationModel.getUserMedications(standardizedPhone);
+        const medication = medications.find(med => med.medicine.toLowerCase() === medicine.toLowerCase());
+
+        if (!medication) return null;
+
+        const policy = { ...getEscalationPolicy(medication), ...changes };
+        const success = await MedicationModel.updateMedicationFields(standardizedPhone, medication.medicine, {
+            escalationPolicy: policy
+        });
+
+        return success ? { medicine: medication.medicine, policy } : null;
+    } catch (error) {
+        console.error(`❌ Error updating escalation policy: ${error}`);
+        return null;
+    }
+}
+
+module.exports = {
+    getEscalationPolicy,
+    handleUnansweredReminder,
+    handleMissedDose,
+    updateEscalationPolicy
+};
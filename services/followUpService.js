@@ -7,6 +7,27 @@ const { standardizePhoneNumber } = require('../utils/messageUtils');
 const sessionStore = require('../models/sessionStore');
 const { dynamoDB } = require('../config/config');
 const { DB_TABLES } = require('../config/config');
+const { getUserLanguage } = require('./userService');
+const { DEFAULT_LANGUAGE, t } = require('../utils/i18n');
+
+/**
+ * Format the "how are you feeling now?" question for a symptom being followed up
+ * @param {Object} assessment - Symptom assessment record
+ * @param {string} language - User's language code
+ * @param {boolean} mentionDay - Whether to say how long it's been since the symptom was reported
+ * @returns {string} - Follow-up question with the numbered status options
+ */
+function formatFollowUpQuestion(assessment, language = DEFAULT_LANGUAGE, mentionDay = true) {
+  const followUpCount = assessment.followUps ? assessment.followUps.length : 0;
+  const symptom = assessment.primarySymptom;
+  
+  let question = t(language, 'followup.how_now');
+  if (mentionDay) {
+    question = t(language, followUpCount > 0 ? 'followup.another_day_since' : 'followup.day_since', { symptom });
+  }
+  
+  return `${t(language, 'followup.title', { symptom })}\n\n${question}\n\n${t(language, 'followup.options')}`;
+}
 
 /**
  * Start a follow-up for active symptoms
@@ -26,21 +47,12 @@ async function sendSymptomFollowUp(userPhone) {
       return false;
     }
     
+    const language = await getUserLanguage(standardizedPhone);
+    
     // For each active assessment, send a follow-up message
     for (const assessment of assessments) {
-      const daysSinceStart = Math.floor((Date.now() - new Date(assessment.createdAt).getTime()) / (24 * 60 * 60 * 1000));
-      const followUpCount = assessment.followUps ? assessment.followUps.length : 0;
-      
-      let followUpMessage = `👋 *Follow-up: ${assessment.primarySymptom}*\n\n`;
-      followUpMessage += `It's been ${followUpCount > 0 ? 'another ' : ''}day since you reported ${assessment.primarySymptom}. How are you feeling now?\n\n`;
-      followUpMessage += `1️⃣ Better/Improved\n`;
-      followUpMessage += `2️⃣ About the same\n`;
-      followUpMessage += `3️⃣ Worse\n`;
-      followUpMessage += `4️⃣ Complete follow-up (symptom resolved or no longer wish to track)\n\n`;
-      followUpMessage += `Please reply with the number of your choice.`;
-      
       // Send with both standardized and original phone format to ensure delivery
-      await sendWhatsAppMessage(userPhone, followUpMessage);
+      await sendWhatsAppMessage(userPhone, formatFollowUpQuestion(assessment, language));
       
       // Set user session to follow-up mode - store with BOTH formats to ensure we catch the response
       // First with standardized phone
@@ -166,14 +178,17 @@ async function processFollowUpResponse(userPhone, assessmentId, response) {
     }
     
     console.log(`Generating progression-based recommendations for ${assessment.primarySymptom}`);
-    // Generate recommendations based on progression
+    const language = await getUserLanguage(standardizedPhone);
+    
+    // Generate recommendations based on progression, in the user's language
     const recommendations = await symptomAssessmentService.getProgressionRecommendations(
       {
         primarySymptom: assessment.primarySymptom,
         answers: assessment.answers
       },
       assessment.followUps,
-      status
+      status,
+      language
     );
     
     return {
@@ -259,6 +274,7 @@ function startFollowUpScheduler() {
   }
 
 module.exports = {
+  formatFollowUpQuestion,
   sendSymptomFollowUp,
   processFollowUpResponse,
   getActiveAssessmentsForUser,
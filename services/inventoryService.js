@@ -0,0 +1,117 @@
+// services/inventoryService.js - Pill stock tracking and refill alerts
+const { MedicationModel, UserModel } = require('../models/dbModels');
+const { INVENTORY_CONFIG } = require('../config/config');
+const { sendWhatsAppMessage } = require('./messageService');
+const { notifyCaregivers } = require('./alertService');
+const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { getDoseDaysPerDay } = require('../utils/scheduleUtils');
+const { t } = require('../utils/i18n');
+
+/**
+ * Estimate how many days a medication's stock will last
+ * @param {Object} medication - Medication record
+ * @returns {number|null} - Whole days left, or null if stock isn't tracked
+ */
+function getDaysOfStockLeft(medication) {
+    if (typeof medication.pillCount !== 'number') return null;
+
+    const schedule = medication.schedule;
+    let dosesPerDay;
+    if (schedule && schedule.type === 'prn') {
+        // Plan for the most the user may take in a day
+        dosesPerDay = schedule.maxPer24h || 1;
+    } else {
+        const dosesPerDoseDay = (medication.reminderTimes || [medication.time]).filter(Boolean).length || 1;
+        dosesPerDay = dosesPerDoseDay * getDoseDaysPerDay(schedule);
+    }
+
+    const pillsPerDay = dosesPerDay * (medication.pillsPerDose || 1);
+    return Math.floor(medication.pillCount / pillsPerDay);
+}
+
+/**
+ * Warn the user and their caregivers once when a medication is running low
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name
+ * @returns {Promise<boolean>} - Whether a low stock alert was sent
+ */
+async function checkLowStock(userPhone, medicine) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const medications = await MedicationModel.getUserMedications(standardizedPhone);
+        const medication = medications.find(med => med.medicine.toLowerCase() === medicine.toLowerCase());
+
+        if (!medication || medication.lowStockAlertSent) return false;
+
+        const daysLeft = getDaysOfStockLeft(medication);
+        if (daysLeft === null || daysLeft > INVENTORY_CONFIG.lowStockDays) return false;
+
+        const user = await UserModel.getUserDetails(standardizedPhone);
+
+        await sendWhatsAppMessage(standardizedPhone, t(user?.language, 'med.running_low', {
+            medicine: medication.medicine,
+            days: daysLeft,
+            count: medication.pillCount
+        }));
+
+        const name = user?.name || standardizedPhone;
+        await notifyCaregivers(standardizedPhone, language => t(language, 'caregiver.refill_needed', {
+            name,
+            medicine: medication.medicine,
+            days: daysLeft,
+            count: medication.pillCount
+        }), 'view_medications');
+
+        // Only warn once until the stock is topped up
+        await MedicationModel.updateMedicationFields(standardizedPhone, medication.medicine, {
+            lowStockAlertSent: true
+        });
+
+        console.log(`📦 Low stock alert sent for ${medication.medicine} (${standardizedPhone})`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error checking medication stock: ${error}`);
+        return false;
+    }
+}
+
+/**
+ * Add pills to a medication's stock
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name (case-insensitive)
+ * @param {number} count - Pills added
+ * @returns {Promise<Object|null>} - { medicine, pillCount, daysLeft } or null if the medication wasn't found
+ */
+async function refillMedication(userPhone, medicine, count) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const medications = await MedicationModel.getUserMedications(standardizedPhone);
+        const medication = medications.find(med => med.medicine.toLowerCase() === medicine.toLowerCase());
+
+        if (!medication) return null;
+
+        const pillCount = (typeof medication.pillCount === 'number' ? medication.pillCount : 0) + count;
+        const success = await MedicationModel.updateMedicationFields(standardizedPhone, medication.medicine, {
+            pillCount,
+            lowStockAlertSent: false
+        });
+
+        if (!success) return null;
+
+        console.log(`📦 Refilled ${medication.medicine} for ${standardizedPhone}: ${pillCount} pills`);
+        return {
+            medicine: medication.medicine,
+            pillCount,
+            daysLeft: getDaysOfStockLeft({ ...medication, pillCount })
+        };
+    } catch (error) {
+        console.error(`❌ Error refilling medication: ${error}`);
+        return null;
+    }
+}
+
+module.exports = {
+    getDaysOfStockLeft,
+    checkLowStock,
+    refillMedication
+};
@@ -0,0 +1,170 @@
+// services/llmService.js - Single gateway for AI model calls: providers, per-task settings, retries and token usage
+const openai = require('openai');
+const { LLM_CONFIG, createOpenAIClient } = require('../config/config');
+
+// Replies from the "canned" provider, by task; JSON tasks get an object
+const DEFAULT_ANALYSIS = {
+    sentiment: 'neutral',
+    activities: [],
+    wellbeing: { physical: 'fair', emotional: 'fair', social: 'fair' },
+    concerns: [],
+    urgent: false
+};
+const DEFAULT_CANNED_RESPONSES = {
+    checkin_analysis: DEFAULT_ANALYSIS,
+    conversation_analysis: DEFAULT_ANALYSIS,
+    report_summary: { summary: "It was a quiet day with nothing out of the ordinary.", highlights: [] },
+    default: "Thank you for your message. 😊"
+};
+let cannedResponses = { ...DEFAULT_CANNED_RESPONSES };
+
+// Token usage since startup, by task
+const usage = {};
+
+/**
+ * Get the settings for a task, filled in from the defaults
+ * @param {string} task - Task name from LLM_CONFIG.tasks
+ * @returns {Object} - { model, temperature, maxTokens, json }
+ */
+function getTaskSettings(task) {
+    const settings = LLM_CONFIG.tasks[task];
+    if (!settings) throw new Error(`Unknown AI task "${task}"`);
+
+    const defaultModel = LLM_CONFIG.provider === 'local' ? LLM_CONFIG.localModel : LLM_CONFIG.defaultModel;
+    return {
+        model: (LLM_CONFIG.provider === 'openai' && settings.model) || defaultModel,
+        temperature: settings.temperature ?? 0.7,
+        maxTokens: settings.maxTokens || 300,
+        json: Boolean(settings.json)
+    };
+}
+
+/**
+ * Create a client for the configured provider
+ * @returns {Object} - OpenAI-compatible client
+ */
+function createClient() {
+    if (LLM_CONFIG.provider === 'local') {
+        return new openai.OpenAI({
+            baseURL: LLM_CONFIG.localBaseUrl,
+            apiKey: LLM_CONFIG.localApiKey
+        });
+    }
+    return createOpenAIClient();
+}
+
+/**
+ * Whether a failed call is worth trying again: rate limits, server errors, timeouts and dropped connections
+ * @param {Error} error - Error from the client
+ * @returns {boolean} - Whether to retry
+ */
+function isRetryable(error) {
+    if (error instanceof openai.APIConnectionError) return true;
+    return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Add a call's token usage to the running totals
+ * @param {string} task - Task name
+ * @param {Object|null} callUsage - Usage reported by the provider
+ * @param {boolean} failed - Whether the call failed in the end
+ */
+function recordUsage(task, callUsage, failed = false) {
+    const totals = usage[task] || (usage[task] = { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+    totals.calls++;
+    if (failed) totals.failures++;
+    if (callUsage) {
+        totals.promptTokens += callUsage.prompt_tokens || 0;
+        totals.completionTokens += callUsage.completion_tokens || 0;
+        totals.totalTokens += callUsage.total_tokens || 0;
+    }
+}
+
+/**
+ * Get a reply from the model for a task
+ * @param {string} task - Task name from LLM_CONFIG.tasks (sets the model, temperature and length)
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @returns {Promise<string>} - Reply text
+ * @throws {Error} - If the call still fails after retries; callers keep their own fallbacks
+ */
+async function complete(task, messages) {
+    const settings = getTaskSettings(task);
+
+    if (LLM_CONFIG.provider === 'canned') {
+        recordUsage(task, null);
+        const reply = cannedResponses[task] ?? cannedResponses.default;
+        return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    }
+
+    const client = createClient();
+    const request = {
+        model: settings.model,
+        messages,
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
+    };
+    if (settings.json) request.response_format = { type: "json_object" };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await client.chat.completions.create(request, {
+                timeout: LLM_CONFIG.timeoutMs,
+                maxRetries: 0 // Retries are handled here so every provider gets the same backoff
+            });
+            recordUsage(task, response.usage);
+            return response.choices[0].message.content.trim();
+        } catch (error) {
+            if (attempt >= LLM_CONFIG.maxRetries || !isRetryable(error)) {
+                recordUsage(task, null, true);
+                throw error;
+            }
+
+            const delay = LLM_CONFIG.retryBaseDelayMs * 2 ** attempt;
+            console.warn(`⚠️ AI call for ${task} failed (${error.message}), retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Get a JSON reply from the model for a task whose settings ask for JSON
+ * @param {string} task - Task name from LLM_CONFIG.tasks
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @returns {Promise<Object>} - Parsed reply
+ * @throws {Error} - If the call fails or the reply isn't valid JSON
+ */
+async function completeJSON(task, messages) {
+    return JSON.parse(await complete(task, messages));
+}
+
+/**
+ * Get token usage since startup
+ * @returns {Object} - { [task]: { calls, failures, promptTokens, completionTokens, totalTokens } }
+ */
+function getUsage() {
+    return JSON.parse(JSON.stringify(usage));
+}
+
+/**
+ * Set the reply the "canned" provider gives for a task (for tests)
+ * @param {string} task - Task name, or "default" for any task without its own reply
+ * @param {string|Object} reply - Reply text, or an object for JSON tasks
+ */
+function setCannedResponse(task, reply) {
+    cannedResponses[task] = reply;
+}
+
+/**
+ * Put the "canned" provider's replies back to their defaults
+ */
+function resetCannedResponses() {
+    cannedResponses = { ...DEFAULT_CANNED_RESPONSES };
+}
+
+module.exports = {
+    complete,
+    completeJSON,
+    getUsage,
+    setCannedResponse,
+    resetCannedResponses
+};
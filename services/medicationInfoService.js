@@ -1,5 +1,5 @@
 // services/medicationInfoService.js - Service to fetch medication information
-const { createOpenAIClient } = require('../config/config');
+const llmService = require('./llmService');
 
 /**
  * Get information about a medication using GPT
@@ -9,8 +9,6 @@ const { createOpenAIClient } = require('../config/config');
  */
 async function getMedicationInfo(medicationName, dosage = null) {
   try {
-    const openaiClient = createOpenAIClient();
-    
     // Create a detailed prompt for better results
     let prompt = `Provide concise, patient-friendly information about ${medicationName}`;
     
@@ -27,26 +25,21 @@ async function getMedicationInfo(medicationName, dosage = null) {
     
     Format the response as a WhatsApp message with emoji and clear headings. Keep it factual, concise, and educational.`;
 
-    // Call OpenAI API
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful pharmacist assistant providing medical information about medications in a clear, concise, and patient-friendly way. Only provide factual medical information without medical advice."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3, // Keep responses consistent and factual
-      max_tokens: 500 // Limit response length for WhatsApp readability
-    });
+    // Ask the model
+    const content = await llmService.complete('medication_info', [
+      {
+        role: "system",
+        content: "You are a helpful pharmacist assistant providing medical information about medications in a clear, concise, and patient-friendly way. Only provide factual medical information without medical advice."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
 
     // Add a disclaimer
     const disclaimer = "\n\n⚠️ *Disclaimer*: This information is educational only and doesn't replace medical advice. Always consult your healthcare provider.";
-    return response.choices[0].message.content + disclaimer;
+    return content + disclaimer;
   } catch (error) {
     console.error(`❌ Error fetching medication info for ${medicationName}:`, error);
     return `Sorry, I couldn't retrieve information about ${medicationName} at this time. Please try again later or consult your healthcare provider for information.`;
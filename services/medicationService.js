@@ -1,9 +1,12 @@
 // services/medicationService.js - Medication management
-const { MedicationModel, ReminderModel } = require('../models/dbModels');
+const { MedicationModel, ReminderModel, DoseLogModel } = require('../models/dbModels');
 const { standardizeTimeFormat, generateReminderTimes, formatDate, calculateEndDate } = require('../utils/timeUtils');
 const { sendWhatsAppMessage } = require('./messageService');
-const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { standardizePhoneNumber, parsePillsPerDose } = require('../utils/messageUtils');
 const reminderService = require('./reminderService');
+const inventoryService = require('./inventoryService');
+const { describeSchedule } = require('../utils/scheduleUtils');
+const { t } = require('../utils/i18n');
 
 /**
  * Add a medication to the database with proxy support
@@ -14,13 +17,16 @@ const reminderService = require('./reminderService');
  * @param {string} frequency - Frequency of medicine
  * @param {string} duration - Duration of medicine
  * @param {string} proxyUser - Who added the medication (if proxy)
+ * @param {number|null} pillCount - Pills in stock, or null if not tracked
+ * @param {Object|null} schedule - Which days doses fall on, or null for every day
  * @returns {Promise<Object>} - Result with success status and data
  */
-async function addMedication(userPhone, medicine, time, dosage = null, frequency = "daily", duration = null, proxyUser = null) {
+async function addMedication(userPhone, medicine, time, dosage = null, frequency = "daily", duration = null, proxyUser = null, pillCount = null, schedule = null) {
     try {
         const standardizedPhone = standardizePhoneNumber(userPhone);
-        const formattedTime = standardizeTimeFormat(time);
-        const reminderTimes = generateReminderTimes(formattedTime, frequency);
+        const isAsNeeded = Boolean(schedule && schedule.type === 'prn');
+        const formattedTime = isAsNeeded ? null : standardizeTimeFormat(time);
+        const reminderTimes = isAsNeeded ? [] : generateReminderTimes(formattedTime, frequency);
         
         const endDate = calculateEndDate(duration);
         
@@ -32,7 +38,9 @@ async function addMedication(userPhone, medicine, time, dosage = null, frequency
             dosage,
             frequency,
             duration,
-            proxyUser
+            proxyUser,
+            pillCount,
+            schedule
         );
 
         if (!success) {
@@ -48,11 +56,20 @@ async function addMedication(userPhone, medicine, time, dosage = null, frequency
             const { UserModel } = require('../models/dbModels');
             const proxyUserResult = await UserModel.getUserDetails(proxyUserStandardized);
             
-            const proxyName = proxyUserResult ? proxyUserResult.name : "Your caregiver";
+            // The notice is in the parent's language
+            const parentResult = await UserModel.getUserDetails(standardizedPhone);
+            const language = parentResult?.language;
+            
+            const proxyName = proxyUserResult ? proxyUserResult.name : t(language, 'proxy.fallback_caregiver_name');
             
             await sendWhatsAppMessage(
                 standardizedPhone,
-                `${proxyName} has added a new medication for you: ${medicine} (${dosage || 'No dosage specified'}) at ${formattedTime}`
+                t(language, isAsNeeded ? 'proxy.notice_medication_added_prn' : 'proxy.notice_medication_added', {
+                    caregiver: proxyName,
+                    medicine,
+                    dosage: dosage || t(language, 'med.not_specified'),
+                    time: formattedTime
+                })
             );
         }
         
@@ -65,7 +82,9 @@ async function addMedication(userPhone, medicine, time, dosage = null, frequency
                 dosage,
                 frequency,
                 duration,
-                endDate
+                endDate,
+                pillCount,
+                schedule
             }
         };
     } catch (error) {
@@ -83,9 +102,10 @@ async function addMedication(userPhone, medicine, time, dosage = null, frequency
  * @param {string} time - Reminder time
  * @param {string} frequency - Frequency of medicine
  * @param {string} duration - Duration of medicine
+ * @param {number|null|undefined} pillCount - Pills in stock; null stops tracking, undefined keeps the current count
  * @returns {Promise<Object>} - Result with success status and updated values
  */
-async function updateMedication(userPhone, oldMedicineName, newMedicineName, dosage, time = null, frequency = null, duration = null) {
+async function updateMedication(userPhone, oldMedicineName, newMedicineName, dosage, time = null, frequency = null, duration = null, pillCount = undefined) {
     try {
         const standardizedPhone = standardizePhoneNumber(userPhone);
         
@@ -115,6 +135,11 @@ async function updateMedication(userPhone, oldMedicineName, newMedicineName, dos
             updatedEndDate = calculateEndDate(duration);
         }
         
+        // A new stock count also re-arms the low stock alert
+        const updatedPillCount = pillCount !== undefined ? pillCount : (medicationToUpdate.pillCount ?? null);
+        const updatedLowStockAlertSent = pillCount !== undefined ? false : (medicationToUpdate.lowStockAlertSent || false);
+        const updatedPillsPerDose = parsePillsPerDose(updatedDosage);
+        
         // Generate new reminder times if time or frequency has changed
         let updatedReminderTimes = medicationToUpdate.reminderTimes;
         if (time || frequency) {
@@ -130,14 +155,17 @@ async function updateMedication(userPhone, oldMedicineName, newMedicineName, dos
         // If the medicine name hasn't changed, we can use update
         if (oldMedicineName.toLowerCase() === updatedName.toLowerCase()) {
             updateData = {
-                updateExpression: "set dosage = :d, #time = :t, reminderTimes = :rt, frequency = :f, #duration = :du, endDate = :e",
+                updateExpression: "set dosage = :d, #time = :t, reminderTimes = :rt, frequency = :f, #duration = :du, endDate = :e, pillCount = :pc, pillsPerDose = :ppd, lowStockAlertSent = :ls",
                 expressionAttributeValues: {
                     ":d": updatedDosage,
                     ":t": updatedTime,
                     ":rt": updatedReminderTimes,
                     ":f": updatedFrequency,
                     ":du": updatedDuration,
-                    ":e": updatedEndDate
+                    ":e": updatedEndDate,
+                    ":pc": updatedPillCount,
+                    ":ppd": updatedPillsPerDose,
+                    ":ls": updatedLowStockAlertSent
                 },
                 expressionAttributeNames: {
                     "#time": "time",
@@ -154,7 +182,10 @@ async function updateMedication(userPhone, oldMedicineName, newMedicineName, dos
                     reminderTimes: updatedReminderTimes,
                     frequency: updatedFrequency,
                     duration: updatedDuration,
-                    endDate: updatedEndDate
+                    endDate: updatedEndDate,
+                    pillCount: updatedPillCount,
+                    pillsPerDose: updatedPillsPerDose,
+                    lowStockAlertSent: updatedLowStockAlertSent
                 }
             };
         }
@@ -180,7 +211,8 @@ async function updateMedication(userPhone, oldMedicineName, newMedicineName, dos
                 frequency: updatedFrequency,
                 duration: updatedDuration,
                 reminderTimes: updatedReminderTimes,
-                endDate: updatedEndDate
+                endDate: updatedEndDate,
+                pillCount: updatedPillCount
             }
         };
     } catch (error) {
@@ -189,15 +221,80 @@ async function updateMedication(userPhone, oldMedicineName, newMedicineName, dos
     }
 }
 
+/**
+ * Record a dose's outcome in the dose log
+ * @param {string} userPhone - Standardized phone number
+ * @param {string} medicine - Medicine name
+ * @param {string|null} doseKey - Scheduled dose, or null for a dose that wasn't reminded
+ * @param {string} status - "taken" or "missed"
+ * @param {string} source - Who recorded it: "elder", "caregiver" or "auto_timeout"
+ * @returns {Promise<boolean>} - Success status
+ */
+async function recordDoseOutcome(userPhone, medicine, doseKey, status, source) {
+    if (doseKey) {
+        return await DoseLogModel.updateDoseStatus(userPhone, doseKey, status, source);
+    }
+    return Boolean(await DoseLogModel.logUnscheduledDose(userPhone, medicine, status, source));
+}
+
 /**
  * Mark a medication as taken
  * @param {string} userPhone - User's phone number
  * @param {string} medicine - Medicine name
+ * @param {string|null} doseKey - Scheduled dose being answered, or null for a dose that wasn't reminded
+ * @param {string} source - Who reported it: "elder" or "caregiver"
  * @returns {Promise<boolean>} - Success status
  */
-async function markMedicationAsTaken(userPhone, medicine) {
+async function markMedicationAsTaken(userPhone, medicine, doseKey = null, source = 'elder') {
     const standardizedPhone = standardizePhoneNumber(userPhone);
-    return await MedicationModel.markMedicationAsTaken(standardizedPhone, medicine);
+    const success = await MedicationModel.markMedicationAsTaken(standardizedPhone, medicine);
+    
+    if (success) {
+        await recordDoseOutcome(standardizedPhone, medicine, doseKey, 'taken', source);
+        
+        // Each dose uses up stock, so warn before it runs out
+        await inventoryService.checkLowStock(standardizedPhone, medicine);
+    }
+    
+    return success;
+}
+
+/**
+ * Log a dose the user took on their own, enforcing the daily limit of as-needed medications
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name (case-insensitive)
+ * @returns {Promise<Object>} - { success, medicine, limitReached, takenInLast24h, maxPer24h }
+ */
+async function logDoseTaken(userPhone, medicine) {
+    try {
+        const standardizedPhone = standardizePhoneNumber(userPhone);
+        const medications = await MedicationModel.getUserMedications(standardizedPhone);
+        const medication = medications.find(med => med.medicine.toLowerCase() === medicine.toLowerCase());
+
+        if (!medication) {
+            return { success: false, medicine: null };
+        }
+
+        const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const recentDoses = (await DoseLogModel.getDoses(standardizedPhone, dayAgo))
+            .filter(dose => dose.medicine === medication.medicine);
+        const takenInLast24h = recentDoses.filter(dose => dose.status === 'taken').length;
+        const maxPer24h = medication.schedule && medication.schedule.type === 'prn' ? medication.schedule.maxPer24h : null;
+
+        if (maxPer24h && takenInLast24h >= maxPer24h) {
+            console.log(`🛑 ${medication.medicine} limit of ${maxPer24h} per 24 hours reached for ${standardizedPhone}`);
+            return { success: false, medicine: medication.medicine, limitReached: true, takenInLast24h, maxPer24h };
+        }
+
+        // Answer the latest reminded dose that's still open, if there is one
+        const openDose = recentDoses.filter(dose => dose.status === 'pending').pop();
+
+        const success = await markMedicationAsTaken(standardizedPhone, medication.medicine, openDose ? openDose.doseKey : null);
+        return { success, medicine: medication.medicine, limitReached: false, takenInLast24h: takenInLast24h + (success ? 1 : 0), maxPer24h };
+    } catch (error) {
+        console.error(`❌ Error logging dose: ${error}`);
+        return { success: false, medicine: null };
+    }
 }
 
 /**
@@ -231,8 +328,8 @@ async function scheduleFollowUpReminder(userPhone, medicine, delayMinutes = 30)
             }
         }
         
-        // Schedule the follow-up reminder
-        reminderService.scheduleReminderWithDelay(standardizedPhone, medicine, delayMinutes);
+        // Schedule the follow-up reminder for the same dose
+        reminderService.scheduleReminderWithDelay(standardizedPhone, medicine, delayMinutes, latestReminder ? latestReminder.doseKey : null);
         
         return true;
     } catch (error) {
@@ -244,11 +341,19 @@ async function scheduleFollowUpReminder(userPhone, medicine, delayMinutes = 30)
  * Mark a medication as missed
  * @param {string} userPhone - User's phone number
  * @param {string} medicine - Medicine name
+ * @param {string|null} doseKey - Scheduled dose being answered, or null for a dose that wasn't reminded
+ * @param {string} source - Who reported it: "elder", "caregiver" or "auto_timeout"
  * @returns {Promise<boolean>} - Success status
  */
-async function markMedicationAsMissed(userPhone, medicine) {
+async function markMedicationAsMissed(userPhone, medicine, doseKey = null, source = 'elder') {
     const standardizedPhone = standardizePhoneNumber(userPhone);
-    return await MedicationModel.markMedicationAsMissed(standardizedPhone, medicine);
+    const success = await MedicationModel.markMedicationAsMissed(standardizedPhone, medicine);
+    
+    if (success) {
+        await recordDoseOutcome(standardizedPhone, medicine, doseKey, 'missed', source);
+    }
+    
+    return success;
 }
 
 /**
@@ -265,47 +370,54 @@ async function getUserMedications(userPhone) {
  * Get medication history for a user
  * @param {string} userPhone - User's phone number
  * @param {number|null} lastNDays - Number of days to look back, or null for all
- * @returns {Promise<string>} - Formatted medication history
+ * @param {string|null} language - Reader's language code
+ * @returns {Promise<Object>} - { message, empty: no dose was taken or missed in the period }
  */
-async function getMedicationHistory(userPhone, lastNDays = null) {
+async function getMedicationHistory(userPhone, lastNDays = null, language = null) {
     try {
         const standardizedPhone = standardizePhoneNumber(userPhone);
         const medications = await MedicationModel.getUserMedications(standardizedPhone);
-        let responseMessage = `📜 *Medication History for ${standardizedPhone}*:\n\n`;
+        let responseMessage = `${t(language, 'history.title', { phone: standardizedPhone })}\n\n`;
         const now = new Date();
-        const pastDate = lastNDays ? new Date(now.setDate(now.getDate() - lastNDays)) : null;
+        const pastDate = lastNDays ? new Date(now.setDate(now.getDate() - lastNDays)) : new Date(0);
+        const doses = await DoseLogModel.getDoses(standardizedPhone, pastDate);
+        const formatDates = dates => dates.length
+            ? dates.map(date => formatDate(date, language)).join(', ')
+            : t(language, 'history.none');
+        let recorded = 0;
         
         medications.forEach(med => {
-            const takenTimes = med.takenTimes || [];
-            const missedTimes = med.missedTimes || [];
-            const filteredTaken = lastNDays ? takenTimes.filter(date => new Date(date) >= pastDate) : takenTimes;
-            const filteredMissed = lastNDays ? missedTimes.filter(date => new Date(date) >= pastDate) : missedTimes;
-            
-            // Format each taken/missed timestamp
-            const formattedTaken = filteredTaken.length 
-                ? filteredTaken.map(date => formatDate(date)).join(', ') 
-                : 'None';
-            const formattedMissed = filteredMissed.length 
-                ? filteredMissed.map(date => formatDate(date)).join(', ') 
-                : 'None';
+            const medicationDoses = doses.filter(dose => dose.medicine === med.medicine);
+            const filteredTaken = medicationDoses.filter(dose => dose.status === 'taken').map(dose => dose.scheduledFor);
+            const filteredMissed = medicationDoses.filter(dose => dose.status === 'missed').map(dose => dose.scheduledFor);
+            recorded += filteredTaken.length + filteredMissed.length;
             
-            responseMessage += `💊 *${med.medicine}*:\n`;
-            responseMessage += `   - Dosage: ${med.dosage || 'Not specified'}\n`;
-            responseMessage += `   - Reminder Time(s): ${Array.isArray(med.reminderTimes) ? med.reminderTimes.join(', ') : med.time}\n`;
-            responseMessage += `   - Frequency: ${med.frequency || 'Not specified'}\n`;
-            responseMessage += `   - Duration: ${med.duration ? med.duration + ' days' : 'Ongoing'}\n`;
-            responseMessage += `   - Start Date: ${med.startDate ? formatDate(med.startDate) : 'N/A'}\n`;
-            responseMessage += `   - End Date: ${med.endDate ? formatDate(med.endDate) : 'Ongoing'}\n`;
-            responseMessage += `   - Taken: ${filteredTaken.length} times\n`;
-            responseMessage += `       *Dates:* ${formattedTaken}\n`;
-            responseMessage += `   - Missed: ${filteredMissed.length} times\n`;
-            responseMessage += `       *Dates:* ${formattedMissed}\n\n`;
+            const reminderTimes = Array.isArray(med.reminderTimes) && med.reminderTimes.length ? med.reminderTimes.join(', ') : med.time;
+            const lines = [
+                t(language, 'history.medicine', { medicine: med.medicine }),
+                t(language, 'history.dosage', { value: med.dosage || t(language, 'med.not_specified') }),
+                t(language, 'history.times', { value: reminderTimes || t(language, 'history.none') }),
+                t(language, 'history.frequency', { value: med.frequency || t(language, 'med.not_specified') })
+            ];
+            if (med.schedule && med.schedule.type !== 'daily') {
+                lines.push(t(language, 'history.schedule', { value: describeSchedule(med.schedule, language) }));
+            }
+            lines.push(
+                t(language, 'history.duration', { value: med.duration ? t(language, 'med.days', { count: med.duration }) : t(language, 'med.ongoing') }),
+                t(language, 'history.start_date', { value: med.startDate ? formatDate(med.startDate, language) : t(language, 'history.not_available') }),
+                t(language, 'history.end_date', { value: med.endDate ? formatDate(med.endDate, language) : t(language, 'med.ongoing') }),
+                t(language, 'history.taken', { count: filteredTaken.length }),
+                t(language, 'history.dates', { dates: formatDates(filteredTaken) }),
+                t(language, 'history.missed', { count: filteredMissed.length }),
+                t(language, 'history.dates', { dates: formatDates(filteredMissed) })
+            );
+            responseMessage += `${lines.join('\n')}\n\n`;
         });
         
-        return responseMessage.trim();
+        return { message: responseMessage.trim(), empty: recorded === 0 };
     } catch (error) {
         console.error(`❌ Error fetching medication history: ${error}`);
-        return "❌ Error fetching medication history. Please try again later.";
+        return { message: t(language, 'history.error'), empty: false };
     }
 }
 
@@ -345,14 +457,42 @@ async function deleteMedication(userPhone, medicine) {
     }
 }
 
+/**
+ * One-off backfill of the dose log from the takenTimes/missedTimes arrays
+ * that medications recorded before per-dose tracking. Safe to run again.
+ * @returns {Promise<number>} - Number of doses imported
+ */
+async function backfillDoseLog() {
+    const medications = await MedicationModel.getAllMedications();
+    let imported = 0;
+    
+    for (const med of medications) {
+        const legacyDoses = [
+            ...(med.takenTimes || []).map(recordedAt => ({ status: 'taken', recordedAt })),
+            ...(med.missedTimes || []).map(recordedAt => ({ status: 'missed', recordedAt }))
+        ];
+        
+        for (const dose of legacyDoses) {
+            if (await DoseLogModel.importLegacyDose(med.userPhone, med.medicine, dose.status, dose.recordedAt)) {
+                imported++;
+            }
+        }
+    }
+    
+    console.log(`📒 Backfilled ${imported} doses into the dose log from ${medications.length} medications`);
+    return imported;
+}
+
 
 module.exports = {
     addMedication,
     updateMedication,
     markMedicationAsTaken,
+    logDoseTaken,
     markMedicationAsMissed,
     scheduleFollowUpReminder,
     getUserMedications,
     getMedicationHistory,
-    deleteMedication
+    deleteMedication,
+    backfillDoseLog
 };
\ No newline at end of file
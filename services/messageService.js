@@ -1,6 +1,7 @@
 // services/messageService.js - WhatsApp message handling
 const { createTwilioClient } = require('../config/config');
-const { splitMessageIntoChunks, formatWhatsAppNumber } = require('../utils/messageUtils');
+const { splitMessageIntoChunks, formatWhatsAppNumber, formatReminderMessage } = require('../utils/messageUtils');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
 
 const twilioClient = createTwilioClient();
 
@@ -67,11 +68,13 @@ async function sendWhatsAppMessage(to, message) {
  * @param {string} userPhone - User's phone number
  * @param {string} medicine - Medicine name
  * @param {string} reminderId - ID of the reminder
+ * @param {string|null} dosage - Dose to take, when it needs spelling out (e.g., while tapering)
+ * @param {string} language - User's language code
  * @returns {Promise<boolean>} - Success status
  */
-async function sendReminderMessage(userPhone, medicine, reminderId) {
+async function sendReminderMessage(userPhone, medicine, reminderId, dosage = null, language = DEFAULT_LANGUAGE) {
     try {
-        const message = `🔔 Reminder: It's time to take your medicine - *${medicine}*. \n\nHave you taken it? ✅ Yes / ❌ No`;
+        const message = formatReminderMessage(medicine, dosage, language);
         
         // Make sure both numbers have the whatsapp: prefix
         const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
@@ -1,8 +1,14 @@
 // services/proxyService.js - Proxy user functionality
-const { RelationshipModel, UserModel } = require('../models/dbModels');
+const { RelationshipModel, UserModel, SymptomModel } = require('../models/dbModels');
 const { sendWhatsAppMessage } = require('./messageService');
 const { standardizePhoneNumber } = require('../utils/messageUtils');
 const sessionStore = require('../models/sessionStore');
+const adherenceService = require('./adherenceService');
+const { isConsentPending } = require('./userService');
+const { t } = require('../utils/i18n');
+
+// Symptom follow-up answers with a description for caregivers (proxy.status_*)
+const FOLLOW_UP_STATUSES = ['improved', 'same', 'worse'];
 
 /**
  * Process messages sent on behalf of elderly users
@@ -12,10 +18,15 @@ const sessionStore = require('../models/sessionStore');
  * @returns {Promise<Object>} - Result with success status and message
  */
 async function processProxyMessage(childPhone, parentPhone, command) {
+    let language = null;
     try {
         const standardizedChild = standardizePhoneNumber(childPhone);
         const standardizedParent = standardizePhoneNumber(parentPhone);
         
+        // Replies go to the caregiver, in their language
+        const childResult = await UserModel.getUserDetails(standardizedChild);
+        language = childResult?.language;
+        
         // First, check if the relationship exists
         const relationship = await RelationshipModel.getRelationship(
             standardizedChild,
@@ -25,7 +36,7 @@ async function processProxyMessage(childPhone, parentPhone, command) {
         if (!relationship) {
             return {
                 success: false,
-                message: `You don't have permission to manage ${parentPhone}.`
+                message: t(language, 'proxy.not_linked', { phone: parentPhone })
             };
         }
         
@@ -34,40 +45,103 @@ async function processProxyMessage(childPhone, parentPhone, command) {
         
         // Get parent's name
         const parentResult = await UserModel.getUserDetails(standardizedParent);
-        const parentName = parentResult ? parentResult.name : "your parent";
+        const parentName = parentResult ? parentResult.name : t(language, 'proxy.fallback_parent_name');
+        
+        // Reply for a command the caregiver's role doesn't allow
+        const denied = permission => ({
+            success: false,
+            message: t(language, `proxy.no_permission_${permission}`, { name: parentName })
+        });
         
         // Process different command types
         if (command.startsWith('add medicine') || command.startsWith('add medication')) {
             if (!permissions.includes('manage_medications')) {
-                return {
-                    success: false,
-                    message: `You don't have permission to manage medications for ${parentName}.`
-                };
+                return denied('manage_medications');
             }
             
-            // Initialize medication session for the parent
-            sessionStore.medicationSessions[standardizedChild] = { 
+            // Initialize medication session for the parent, under the number the caregiver's messages arrive from
+            sessionStore.setMedicationSession(childPhone, { 
                 stage: 1,
                 isProxy: true,
                 targetPhone: standardizedParent
+            });
+            
+            return {
+                success: true,
+                message: t(language, 'proxy.add_start', { name: parentName }),
+                notifyParent: true,
+                action: 'add_started'
+            };
+        }
+        
+        // Update medicine command
+        else if (/^update (medicine|medication)/i.test(command)) {
+            if (!permissions.includes('manage_medications')) {
+                return denied('manage_medications');
+            }
+            
+            const medicationList = await startProxyMedicationSession(childPhone, standardizedParent, 'update_start');
+            if (!medicationList) {
+                return {
+                    success: true,
+                    message: t(language, 'proxy.no_medications', { name: parentName }),
+                    notifyParent: false
+                };
+            }
+            
+            return {
+                success: true,
+                message: t(language, 'proxy.update_which', { name: parentName, list: medicationList }),
+                notifyParent: true,
+                action: 'update_started'
+            };
+        }
+        
+        // Delete medicine command
+        else if (/^(delete|remove) (medicine|medication)/i.test(command)) {
+            if (!permissions.includes('manage_medications')) {
+                return denied('manage_medications');
+            }
+            
+            const medicationList = await startProxyMedicationSession(childPhone, standardizedParent, 'delete_select');
+            if (!medicationList) {
+                return {
+                    success: true,
+                    message: t(language, 'proxy.no_medications', { name: parentName }),
+                    notifyParent: false
+                };
+            }
+            
+            return {
+                success: true,
+                message: t(language, 'proxy.delete_which', { name: parentName, list: medicationList }),
+                notifyParent: true,
+                action: 'delete_started'
             };
+        }
+        
+        // Medication history command, e.g. "history" or "medication history all"
+        else if (command.toLowerCase().includes('history')) {
+            if (!permissions.includes('view_medications')) {
+                return denied('view_medications');
+            }
+            
+            // Import here to avoid circular dependency
+            const medicationService = require('./medicationService');
+            const allTime = command.toLowerCase().includes('all');
             
             return {
                 success: true,
-                message: `I'll help you add medication for ${parentName}.\n\nPlease enter the medicine name:`,
+                message: (await medicationService.getMedicationHistory(standardizedParent, allTime ? null : 7, language)).message,
                 notifyParent: true,
-                action: "started adding a medication",
-                detail: "Medicine setup initiated"
+                action: allTime ? 'history_all_viewed' : 'history_viewed'
             };
         }
         
         // Check medications command
         else if (command.toLowerCase().includes('check medication') || command.toLowerCase().includes('show medication')) {
             if (!permissions.includes('view_medications')) {
-                return {
-                    success: false,
-                    message: `You don't have permission to view medications for ${parentName}.`
-                };
+                return denied('view_medications');
             }
             
             // Import here to avoid circular dependency
@@ -77,74 +151,263 @@ async function processProxyMessage(childPhone, parentPhone, command) {
             if (medications.length === 0) {
                 return {
                     success: true,
-                    message: `No medications found for ${parentName}.`,
-                    notifyParent: false
+                    message: t(language, 'proxy.no_medications', { name: parentName }),
+                    notifyParent: true,
+                    action: 'medications_none_viewed'
                 };
             }
             
-            let medicationList = `Medications for ${parentName}:\n\n`;
+            let medicationList = `${t(language, 'proxy.medications_title', { name: parentName })}\n\n`;
             medications.forEach((med, index) => {
-                medicationList += `${index + 1}. ${med.medicine}${med.dosage ? ` (${med.dosage})` : ''}\n` +
-                                  `   Time: ${med.time}, Frequency: ${med.frequency || 'daily'}\n`;
+                medicationList += t(language, 'proxy.medication_item', {
+                    number: index + 1,
+                    medicine: `${med.medicine}${med.dosage ? ` (${med.dosage})` : ''}`,
+                    time: med.time,
+                    frequency: med.frequency || 'daily'
+                }) + '\n';
             });
             
             return {
                 success: true,
                 message: medicationList,
-                notifyParent: false
+                notifyParent: true,
+                action: 'medications_viewed',
+                detail: { count: medications.length }
+            };
+        }
+        
+        // Adherence report command
+        else if (command.toLowerCase().trim() === 'adherence') {
+            if (!permissions.includes('view_medications')) {
+                return denied('view_medications');
+            }
+            
+            return {
+                success: true,
+                message: await adherenceService.getAdherenceReport(standardizedParent, parentName, language),
+                notifyParent: true,
+                action: 'adherence_viewed'
+            };
+        }
+        
+        // Active symptom follow-ups command
+        else if (/follow[\s-]?ups?/i.test(command)) {
+            if (!permissions.includes('view_symptoms')) {
+                return denied('view_symptoms');
+            }
+            
+            return {
+                success: true,
+                message: await formatActiveFollowUps(standardizedParent, parentName, language),
+                notifyParent: true,
+                action: 'follow_ups_viewed'
             };
         }
         
-        // Symptom assessment command
+        // Latest symptom assessments command
         else if (command.toLowerCase().includes('symptom') || command.toLowerCase().includes('check health')) {
             if (!permissions.includes('view_symptoms')) {
+                return denied('view_symptoms');
+            }
+            
+            return {
+                success: true,
+                message: await formatRecentAssessments(standardizedParent, parentName, language),
+                notifyParent: true,
+                action: 'symptoms_viewed'
+            };
+        }
+        
+        // Daily report command
+        else if (command.toLowerCase().includes('report')) {
+            if (!permissions.includes('view_reports')) {
+                return denied('view_reports');
+            }
+            
+            // No reports until the parent has agreed to their account
+            if (isConsentPending(parentResult)) {
                 return {
                     success: false,
-                    message: `You don't have permission to check symptoms for ${parentName}.`
+                    message: t(language, 'reports.consent_pending', { name: parentName })
+                };
+            }
+            
+            // Import here to avoid circular dependency
+            const checkInService = require('./checkInService');
+            
+            const report = await checkInService.generateDailyReport(standardizedParent, language);
+            if (!report) {
+                return {
+                    success: false,
+                    message: t(language, 'reports.error')
                 };
             }
             
             return {
                 success: true,
-                message: `To assess ${parentName}'s symptoms, please type "for:${parentPhone} symptom" followed by the specific symptom, e.g., "for:${parentPhone} symptom headache"`,
-                notifyParent: false
+                message: checkInService.renderDailyReportText(report, language),
+                notifyParent: true,
+                action: 'report_viewed'
             };
         }
         
+        // Invite another caregiver, e.g. "invite +919876543210 view-only"
+        else if (command.toLowerCase().startsWith('invite')) {
+            // Import here to avoid circular dependency
+            const caregiverService = require('./caregiverService');
+            const invite = caregiverService.parseInviteCommand(command);
+
+            if (!invite || !invite.role) {
+                return {
+                    success: false,
+                    message: t(language, 'proxy.invite_usage', { name: parentName, phone: parentPhone })
+                };
+            }
+
+            const result = await caregiverService.inviteCaregiver(standardizedChild, standardizedParent, invite.phone, invite.role);
+            return {
+                success: result.success,
+                message: result.message,
+                notifyParent: true,
+                action: 'caregiver_invited',
+                detail: { phone: invite.phone, role: invite.role }
+            };
+        }
+
         // Default response for unknown commands
         return {
             success: false,
-            message: `Command not recognized. You can use commands like "add medicine" or "check medications" on behalf of ${parentName}.`
+            message: t(language, 'proxy.unknown_command', { name: parentName })
         };
     } catch (error) {
         console.error(`Error processing proxy message: ${error}`);
         return {
             success: false,
-            message: "An error occurred while processing your request."
+            message: t(language, 'proxy.error')
         };
     }
 }
 
+/**
+ * Start an update or delete medication flow on a parent's behalf
+ * @param {string} childPhone - Caregiver's phone number, as their messages arrive
+ * @param {string} parentPhone - Parent's phone number
+ * @param {string} stage - First stage of the flow ("update_start" or "delete_select")
+ * @returns {Promise<string|null>} - Numbered medication list, or null if there are none
+ */
+async function startProxyMedicationSession(childPhone, parentPhone, stage) {
+    // Import here to avoid circular dependency
+    const medicationService = require('./medicationService');
+    const medications = await medicationService.getUserMedications(parentPhone);
+    if (medications.length === 0) return null;
+    
+    sessionStore.setMedicationSession(childPhone, {
+        stage,
+        isProxy: true,
+        targetPhone: parentPhone,
+        medications
+    });
+    
+    return medications
+        .map((med, index) => `${index + 1}. ${med.medicine}${med.dosage ? ` (${med.dosage})` : ''}`)
+        .join('\n') + '\n';
+}
+
+/**
+ * Describe a parent's symptom assessments from the last 30 days
+ * @param {string} parentPhone - Parent's phone number
+ * @param {string} parentName - Parent's name
+ * @param {string|null} language - Caregiver's language code
+ * @returns {Promise<string>} - Message for the caregiver
+ */
+async function formatRecentAssessments(parentPhone, parentName, language = null) {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const assessments = (await SymptomModel.getAssessmentsSince(parentPhone, since))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, 5);
+    
+    if (assessments.length === 0) {
+        return t(language, 'proxy.no_recent_symptoms', { name: parentName });
+    }
+    
+    let message = `${t(language, 'proxy.recent_symptoms_title', { name: parentName })}\n\n`;
+    assessments.forEach((assessment, index) => {
+        const date = new Date(assessment.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        message += t(language, 'proxy.recent_symptom_item', {
+            number: index + 1,
+            symptom: assessment.primarySymptom,
+            date,
+            status: t(language, assessment.status === 'active' ? 'proxy.symptom_active' : 'proxy.symptom_closed')
+        }) + '\n';
+        if (assessment.assessment) {
+            const summary = assessment.assessment.replace(/\s+/g, ' ').trim();
+            message += `   ${summary.length > 200 ? summary.substring(0, 197) + '...' : summary}\n`;
+        }
+    });
+    
+    return message.trim();
+}
+
+/**
+ * Describe a parent's symptom follow-ups that are still open
+ * @param {string} parentPhone - Parent's phone number
+ * @param {string} parentName - Parent's name
+ * @param {string|null} language - Caregiver's language code
+ * @returns {Promise<string>} - Message for the caregiver
+ */
+async function formatActiveFollowUps(parentPhone, parentName, language = null) {
+    const assessments = await SymptomModel.getActiveAssessments(parentPhone);
+    
+    if (assessments.length === 0) {
+        return t(language, 'proxy.no_follow_ups', { name: parentName });
+    }
+    
+    let message = `${t(language, 'proxy.follow_ups_title', { name: parentName })}\n\n`;
+    assessments.forEach((assessment, index) => {
+        const days = Math.floor((Date.now() - new Date(assessment.createdAt).getTime()) / (24 * 60 * 60 * 1000));
+        const lastFollowUp = assessment.followUps && assessment.followUps.length > 0
+            ? assessment.followUps[assessment.followUps.length - 1]
+            : null;
+        
+        const reported = days === 0 ? t(language, 'time.today')
+            : days === 1 ? t(language, 'time.one_day_ago')
+            : t(language, 'time.days_ago', { count: days });
+        message += t(language, 'proxy.follow_up_item', { number: index + 1, symptom: assessment.primarySymptom, when: reported }) + '\n';
+        message += lastFollowUp
+            ? t(language, 'proxy.follow_up_last', {
+                status: FOLLOW_UP_STATUSES.includes(lastFollowUp.status) ? t(language, `proxy.status_${lastFollowUp.status}`) : lastFollowUp.status
+            }) + '\n'
+            : t(language, 'proxy.follow_up_none') + '\n';
+    });
+    
+    return message.trim();
+}
+
 /**
  * Notify a parent about an action taken by their caregiver
  * @param {string} parentPhone - Parent's phone number
  * @param {string} childPhone - Child's phone number
- * @param {string} action - Action taken
- * @param {string} detail - Action details
+ * @param {string} action - Action taken, naming its notice (proxy.notice_*)
+ * @param {Object} detail - Values for the notice, e.g. { medicine }; a `role` is a role key
  * @returns {Promise<boolean>} - Success status
  */
-async function notifyParentOfProxyAction(parentPhone, childPhone, action, detail) {
+async function notifyParentOfProxyAction(parentPhone, childPhone, action, detail = {}) {
     try {
         const standardizedChild = standardizePhoneNumber(childPhone);
         const standardizedParent = standardizePhoneNumber(parentPhone);
         
+        // The notice is in the parent's language
+        const parentResult = await UserModel.getUserDetails(standardizedParent);
+        const language = parentResult?.language;
+        
         // Get child user name
         const childResult = await UserModel.getUserDetails(standardizedChild);
-        const childName = childResult ? childResult.name : "Your caregiver";
+        const childName = childResult ? childResult.name : t(language, 'proxy.fallback_caregiver_name');
         
-        const message = `${childName} has ${action} on your behalf: ${detail}`;
+        const vars = { ...detail, caregiver: childName };
+        if (detail.role) vars.role = t(language, `role.${detail.role}`);
         
-        await sendWhatsAppMessage(standardizedParent, message);
+        await sendWhatsAppMessage(standardizedParent, t(language, `proxy.notice_${action}`, vars));
         return true;
     } catch (error) {
         console.error(`❌ Error notifying parent of proxy action: ${error}`);
@@ -1,81 +1,169 @@
 // services/reminderService.js - Medication reminder scheduling and sending
-const { MedicationModel, ReminderModel } = require('../models/dbModels');
+const { MedicationModel, ReminderModel, ReminderScheduleModel, DoseLogModel, UserModel } = require('../models/dbModels');
 const { sendReminderMessage } = require('./messageService');
-const { standardizeTimeFormat, getCurrentTimeIST } = require('../utils/timeUtils');
+const escalationService = require('./escalationService');
+const { isConsentPending, getUserLanguage } = require('./userService');
+const { ESCALATION_CONFIG } = require('../config/config');
+const { toDueMinute, getZonedDateParts } = require('../utils/timeUtils');
+const { isDoseDay, getDosageForDay } = require('../utils/scheduleUtils');
 
 let reminderInterval = null;
 
-/**
- * Check for medication reminders to send
- */
-async function checkAndSendReminders() {
-    console.log("🔎 Checking for medication reminders...");
+// Set while a run is in progress, so a slow run isn't overlapped by the next tick
+let checkingReminders = false;
 
-    try {
-        // Get all medications from the database
-        const medications = await MedicationModel.getUserMedications(null); // Get all medications
-        const now = new Date();
+// A reminder found more than this late (e.g. after an outage) isn't sent, only rescheduled
+const LATE_REMINDER_LIMIT_MINUTES = 60;
 
-        // Get current time in IST (12-hour format)
-        const currentTime = getCurrentTimeIST();
-        const standardizedCurrentTime = standardizeTimeFormat(currentTime);
+/**
+ * Send a medication reminder and queue a check for whether it gets answered
+ * @param {string} userPhone - User's phone number
+ * @param {string} medicine - Medicine name
+ * @param {string|null} reminderTime - Scheduled reminder time, or null for a nudge
+ * @param {string|null} dosage - Dose to mention in the reminder, if it varies by day
+ * @param {string|null} doseKey - Dose log entry the reminder is for
+ * @returns {Promise<string|null>} - Reminder ID or null if it couldn't be created
+ */
+async function sendMedicationReminder(userPhone, medicine, reminderTime = null, dosage = null, doseKey = null) {
+    // Create a reminder record
+    const reminderId = await ReminderModel.createReminder(userPhone, medicine, reminderTime, doseKey);
+    if (!reminderId) return null;
+    
+    // Send the reminder message in the user's language
+    const language = await getUserLanguage(userPhone);
+    const messageSent = await sendReminderMessage(userPhone, medicine, reminderId, dosage, language);
+    
+    if (messageSent) {
+        // Update the reminder with the message status
+        await ReminderModel.updateReminder(reminderId, {
+            updateExpression: "set messageSent = :ms",
+            expressionAttributeValues: { ":ms": true }
+        });
+        
+        const checkAt = new Date(Date.now() + ESCALATION_CONFIG.noResponseMinutes * 60 * 1000);
+        await ReminderScheduleModel.addNoResponseCheck(userPhone, medicine, reminderId, checkAt);
+    }
+    
+    return reminderId;
+}
 
-        console.log(`🕒 Current IST Time: ${currentTime}`);
+/**
+ * Follow up on a reminder that may still be waiting for a reply
+ * @param {Object} entry - No-response check schedule entry
+ */
+async function processNoResponseCheck(entry) {
+    const reminder = await ReminderModel.getReminderById(entry.reminderId);
+    
+    // Answered (or cleaned up) in the meantime
+    if (!reminder || reminder.responded) return;
+    
+    // The dose may have been logged another way, e.g. with "took <medicine>"
+    const dose = reminder.doseKey ? await DoseLogModel.getDose(reminder.userPhone, reminder.doseKey) : null;
+    if (dose && dose.status !== 'pending') return;
+    
+    const { nudgeAgain } = await escalationService.handleUnansweredReminder(reminder);
+    if (nudgeAgain) {
+        console.log(`🔁 No reply to ${reminder.medicine} reminder, nudging ${reminder.userPhone} again`);
+        await sendMedicationReminder(reminder.userPhone, reminder.medicine, reminder.reminderTime, null, reminder.doseKey);
+    } else if (dose) {
+        // No more nudges are coming, so the dose counts as missed
+        await DoseLogModel.updateDoseStatus(reminder.userPhone, reminder.doseKey, 'missed', 'auto_timeout');
+    }
+}
 
-        for (const med of medications) {
-            // Skip if medication has ended
-            if (med.endDate && new Date(med.endDate) < now) {
-                console.log(`⏱️ Medication ${med.medicine} has ended its duration.`);
-                continue;
-            }
-            
-            // Check each reminder time
-            const reminderTimes = med.reminderTimes || [med.time];
-            
-            for (const reminderTime of reminderTimes) {
-                if (!reminderTime) continue; 
-                
-                // Standardize medication time format for comparison
-                const standardizedMedTime = standardizeTimeFormat(reminderTime);
-                
-                console.log(`💊 Checking medication: ${med.medicine}`);
-                console.log(`   - Reminder time: "${reminderTime}"`);
-                console.log(`   - Standardized reminder time: "${standardizedMedTime}"`);
-                console.log(`   - Current time: "${standardizedCurrentTime}"`);
+/**
+ * Send the reminder for one due schedule entry and schedule its next occurrence
+ * @param {Object} entry - Reminder schedule entry
+ */
+async function processDueEntry(entry) {
+    if (entry.kind === 'no_response_check') {
+        await ReminderScheduleModel.removeEntry(entry);
+        return await processNoResponseCheck(entry);
+    }
+    
+    const med = await MedicationModel.getMedication(entry.userPhone, entry.medicine);
+    
+    // Skip if the medication was deleted or has ended
+    if (!med || (med.endDate && new Date(med.endDate) < new Date())) {
+        if (med) console.log(`⏱️ Medication ${med.medicine} has ended its duration.`);
+        await ReminderScheduleModel.removeEntry(entry);
+        return;
+    }
+    
+    // Queue the next occurrence before dropping this one, so no failure can leave the
+    // medication without a schedule; if it can't be queued, this entry is retried next run
+    const now = new Date();
+    const dueAt = new Date(entry.dueAt);
+    const after = dueAt > now ? dueAt : now;
+    if (!await ReminderScheduleModel.addEntry(entry.userPhone, entry.medicine, entry.reminderTime, entry.timezone, after)) {
+        return;
+    }
+    await ReminderScheduleModel.removeEntry(entry);
+    
+    if (now - dueAt > LATE_REMINDER_LIMIT_MINUTES * 60 * 1000) {
+        console.log(`⏭️ Skipping ${med.medicine} reminder due at ${entry.dueAt}, too late to send`);
+        return;
+    }
+    
+    // Nothing is sent until the elder has agreed to the account a caregiver set up
+    if (isConsentPending(await UserModel.getUserDetails(entry.userPhone))) return;
+    
+    // Weekday, every-N-days and tapering schedules don't have a dose every day
+    const localDate = getZonedDateParts(entry.timezone, dueAt).date;
+    if (!isDoseDay(med.schedule, localDate)) return;
+    
+    // Each dose gets its own ledger entry; one that already exists was reminded before
+    const doseKey = await DoseLogModel.recordScheduledDose(med.userPhone, med.medicine, entry.reminderTime, entry.dueAt);
+    if (doseKey === false) return;
+    
+    const dosage = med.schedule && med.schedule.type === 'taper'
+        ? getDosageForDay(med.schedule, localDate, med.dosage)
+        : null;
+    
+    console.log(`🚀 Sending reminder for ${med.medicine} (${entry.reminderTime} ${entry.timezone})`);
+    await sendMedicationReminder(med.userPhone, med.medicine, entry.reminderTime, dosage, doseKey);
+}
 
-                // Compare the standardized time formats
-                if (standardizedMedTime === standardizedCurrentTime && med.taken === false) {
-                    console.log(`🚀 Sending reminder for ${med.medicine}`);
-                    
-                    // Create a reminder record
-                    const reminderId = await ReminderModel.createReminder(
-                        med.userPhone, 
-                        med.medicine,
-                        reminderTime
-                    );
-                    
-                    if (reminderId) {
-                        // Send the reminder message
-                        const messageSent = await sendReminderMessage(
-                            med.userPhone, 
-                            med.medicine,
-                            reminderId
-                        );
-                        
-                        if (messageSent) {
-                            // Update the reminder with the message status
-                            await ReminderModel.updateReminder(reminderId, {
-                                updateExpression: "set messageSent = :ms",
-                                expressionAttributeValues: { ":ms": true }
-                            });
-                        }
-                    }
-                }
-            }
+/**
+ * Check for medication reminders to send. Every entry due up to now is read, however
+ * long ago, so reminders and checks that fell due while the server was down aren't lost.
+ */
+async function checkAndSendReminders() {
+    if (checkingReminders) return;
+    checkingReminders = true;
+    
+    try {
+        const currentMinute = toDueMinute(new Date());
+        const dueEntries = await ReminderScheduleModel.getDueEntries(currentMinute);
+        if (dueEntries.length > 0) {
+            console.log(`🔎 ${dueEntries.length} medication reminder(s) due by ${currentMinute} UTC`);
+        }
+        
+        for (const entry of dueEntries) {
+            await processDueEntry(entry);
         }
     } catch (error) {
-        console.error("❌ Error fetching medications for reminders:", error);
+        console.error("❌ Error sending due medication reminders:", error);
+    } finally {
+        checkingReminders = false;
+    }
+}
+
+/**
+ * Rebuild the reminder schedule from the medications table. This is the only
+ * full scan left and is needed once for medications added before the schedule
+ * existed, or to repair the schedule after editing medications by hand.
+ * @returns {Promise<number>} - Number of medications scheduled
+ */
+async function rebuildReminderSchedule() {
+    const medications = await MedicationModel.getAllMedications();
+    
+    for (const med of medications) {
+        await ReminderScheduleModel.scheduleMedication(med);
     }
+    
+    console.log(`🗓️ Rebuilt reminder schedule for ${medications.length} medications`);
+    return medications.length;
 }
 
 /**
@@ -106,20 +194,19 @@ function stopReminderScheduler() {
  * @param {string} userPhone - User's phone number
  * @param {string} medicine - Medicine name
  * @param {number} delayMinutes - Delay in minutes
+ * @param {string|null} doseKey - Dose the reminder is for
  */
-function scheduleReminderWithDelay(userPhone, medicine, delayMinutes = 30) {
+function scheduleReminderWithDelay(userPhone, medicine, delayMinutes = 30, doseKey = null) {
     console.log(`⏰ Scheduling reminder for ${medicine} in ${delayMinutes} minutes`);
     
     setTimeout(async () => {
-        const reminderId = await ReminderModel.createReminder(userPhone, medicine, null);
-        if (reminderId) {
-            await sendReminderMessage(userPhone, medicine, reminderId);
-        }
+        await sendMedicationReminder(userPhone, medicine, null, null, doseKey);
     }, delayMinutes * 60 * 1000);
 }
 
 module.exports = {
     startReminderScheduler,
+    rebuildReminderSchedule,
     stopReminderScheduler,
     scheduleReminderWithDelay
 };
\ No newline at end of file
@@ -1,17 +1,17 @@
 // services/symptomAssessmentService.js - Service to handle intelligent symptom assessment
-const { createOpenAIClient } = require('../config/config');
+const llmService = require('./llmService');
 const { SymptomModel } = require('../models/dbModels');
+const { DEFAULT_LANGUAGE, t, languageInstruction } = require('../utils/i18n');
 
 /**
  * Generate a follow-up question based on symptom information so far
  * @param {Object} symptomData - Information collected about symptoms
  * @param {number} questionNumber - Which question we're on (1-based)
+ * @param {string} language - Language to ask and answer in
  * @returns {Promise<Object>} - Next question and analysis
  */
-async function getNextQuestion(symptomData, questionNumber) {
+async function getNextQuestion(symptomData, questionNumber, language = DEFAULT_LANGUAGE) {
   try {
-    const openaiClient = createOpenAIClient();
-    
     // Create a complete symptom history from the data so far
     let symptomHistory = `Primary symptom: ${symptomData.primarySymptom}\n`;
     
@@ -50,23 +50,16 @@ This should be the most relevant clinical question to ask next. Provide:
 
 Focus on duration, characteristics, associated symptoms, or aggravating/relieving factors that would be most revealing for this specific symptom.`;
 
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a clinical decision support assistant that provides medically sound questions to gather symptom information. You never diagnose conditions but help collect relevant information for symptom assessment."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.4, // Keep consistency in question quality
-      max_tokens: isFinalQuestion ? 450 : 300
-    });
-
-    const content = response.choices[0].message.content;
+    const content = await llmService.complete(isFinalQuestion ? 'symptom_assessment' : 'symptom_question', [
+      {
+        role: "system",
+        content: `You are a clinical decision support assistant that provides medically sound questions to gather symptom information. You never diagnose conditions but help collect relevant information for symptom assessment. ${languageInstruction(language)}`.trim()
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
     
     // If it's the final question, return the assessment
     if (isFinalQuestion) {
@@ -100,8 +93,8 @@ Focus on duration, characteristics, associated symptoms, or aggravating/relievin
     console.error(`❌ Error generating follow-up question: ${error}`);
     return {
       isAssessment: false,
-      question: "How long have you been experiencing this symptom?",
-      options: ["Less than a day", "1-3 days", "4-7 days", "More than a week"]
+      question: t(language, 'symptom.fallback_question'),
+      options: [1, 2, 3, 4].map(number => t(language, `symptom.fallback_option_${number}`))
     };
   }
 }
@@ -109,18 +102,19 @@ Focus on duration, characteristics, associated symptoms, or aggravating/relievin
 /**
  * Format question with answer options for messaging
  * @param {Object} questionData - Question and answer options
+ * @param {string} language - User's language code
  * @returns {string} - Formatted message
  */
-function formatQuestionMessage(questionData) {
+function formatQuestionMessage(questionData, language = DEFAULT_LANGUAGE) {
   let message = `${questionData.question}\n\n`;
   
   if (questionData.options && questionData.options.length > 0) {
     questionData.options.forEach((option, index) => {
       message += `${index + 1}️⃣ ${option}\n`;
     });
-    message += "\nPlease reply with the number of your answer.";
+    message += `\n${t(language, 'symptom.reply_with_answer_number')}`;
   } else {
-    message += "Please describe in a few words.";
+    message += t(language, 'symptom.describe_briefly');
   }
   
   return message;
@@ -170,12 +164,11 @@ async function saveAssessment(userPhone, symptomData, assessment) {
  * @param {Object} assessmentData - Assessment data
  * @param {Array} followUps - Follow-up data
  * @param {string} currentStatus - Current symptom status
+ * @param {string} language - Language to answer in
  * @returns {Promise<string>} - Recommendations
  */
-async function getProgressionRecommendations(assessmentData, followUps, currentStatus) {
+async function getProgressionRecommendations(assessmentData, followUps, currentStatus, language = DEFAULT_LANGUAGE) {
   try {
-    const openaiClient = createOpenAIClient();
-    
     // Create a detailed history of the symptom and follow-ups
     let symptomHistory = `Primary symptom: ${assessmentData.primarySymptom}\n`;
     
@@ -210,42 +203,38 @@ If the user wants to complete/end follow-ups, give a brief summary of their prog
 
 Format your response with appropriate headings, keep it concise, and focus on practical next steps.`;
 
-    const response = await openaiClient.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a healthcare assistant providing follow-up guidance for symptoms. Always be cautious, evidence-based, and clear about when professional medical care is needed versus self-care."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.4,
-      max_tokens: 400
-    });
-
-    return response.choices[0].message.content + "\n\n⚠️ *Disclaimer*: This information is not a substitute for professional medical advice. If symptoms are severe or concerning, please consult a healthcare provider.";
+    const content = await llmService.complete('symptom_progression', [
+      {
+        role: "system",
+        content: `You are a healthcare assistant providing follow-up guidance for symptoms. Always be cautious, evidence-based, and clear about when professional medical care is needed versus self-care. ${languageInstruction(language)}`.trim()
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
+
+    return `${content}\n\n${t(language, 'symptom.progression_disclaimer')}`;
   } catch (error) {
     console.error(`❌ Error generating recommendations: ${error}`);
-    return "I'm having trouble analyzing your symptom progression. As a general precaution, if your symptoms persist or worsen, please consult a healthcare professional. Would you like to continue tracking these symptoms?";
+    return t(language, 'symptom.progression_error');
   }
 }
 
 /**
  * Generate a comprehensive symptom assessment based on collected data
  * @param {Object} symptomData - Complete symptom data with answers
+ * @param {string} language - Language to answer in
  * @returns {Promise<string>} - Formatted assessment
  */
-async function generateFinalAssessment(symptomData) {
+async function generateFinalAssessment(symptomData, language = DEFAULT_LANGUAGE) {
   try {
     // This is a wrapper around getNextQuestion to make the API clearer
-    const result = await getNextQuestion(symptomData, 4); // Force final question mode
+    const result = await getNextQuestion(symptomData, 4, language); // Force final question mode
     return result.assessment;
   } catch (error) {
     console.error(`❌ Error generating final assessment: ${error}`);
-    return "I'm sorry, I couldn't complete your symptom assessment at this time. If you're concerned about your symptoms, please consult a healthcare provider.";
+    return t(language, 'symptom.assessment_error');
   }
 }
 
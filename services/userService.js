@@ -2,6 +2,7 @@
 const { UserModel, RelationshipModel } = require('../models/dbModels');
 const { sendWhatsAppMessage } = require('./messageService');
 const { standardizePhoneNumber } = require('../utils/messageUtils');
+const { normalizeLanguage, t } = require('../utils/i18n');
 
 /**
  * Create a new user account
@@ -87,6 +88,37 @@ async function hasPermission(childPhone, parentPhone, permission) {
     return permissions.includes(permission);
 }
 
+/**
+ * Check whether a caregiver-created account is still waiting for the elder's consent.
+ * Until it is given, no reminders, check-ins or reports go out for them.
+ * @param {Object|null} user - User record
+ * @returns {boolean} - Whether consent is pending
+ */
+function isConsentPending(user) {
+    return !!user && user.consentStatus === 'pending';
+}
+
+/**
+ * Get the language a user chose for their messages
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Promise<string>} - Language code; English for unknown users
+ */
+async function getUserLanguage(phoneNumber) {
+    const user = await getUserDetails(phoneNumber);
+    return normalizeLanguage(user?.language);
+}
+
+/**
+ * Change the language a user's messages are sent in
+ * @param {string} phoneNumber - User's phone number
+ * @param {string} language - Language code
+ * @returns {Promise<boolean>} - Success status
+ */
+async function setUserLanguage(phoneNumber, language) {
+    const standardizedPhone = standardizePhoneNumber(phoneNumber);
+    return await UserModel.updateUser(standardizedPhone, { language: normalizeLanguage(language) });
+}
+
 /**
  * Complete the user account creation process
  * @param {string} phoneNumber - User's phone number
@@ -103,25 +135,20 @@ async function completeUserCreation(phoneNumber, userType, userData, options = {
             return false;
         }
         
+        const language = normalizeLanguage(userData.language);
+
         // Handle emergency contact notification if provided
         if (userData.emergencyContact) {
-            const emergencyMessage = `Hello ${userData.emergencyContactName},
-
-${userData.name} has added you as their emergency contact on Sukoon Saarthi, a healthcare assistant app.
-
-You'll receive updates about their daily activities and medication adherence. If they need assistance, you'll be notified.
-
-No action is needed from you right now. This is just to let you know.`;
+            const emergencyMessage = t(language, 'account.emergency_contact_notice', {
+                contactName: userData.emergencyContactName,
+                name: userData.name
+            });
 
             await sendWhatsAppMessage(userData.emergencyContact, emergencyMessage);
         }
         
         // Send welcome message to the new user
-        const welcomeMessage = `✅ Thank you, ${userData.name}! Your Sukoon Saarthi account has been created successfully.
-
-I'll help you manage medications, track symptoms, and stay healthy.
-
-Type "Hi" anytime to see what I can do for you.`;
+        const welcomeMessage = t(language, 'account.created', { name: userData.name });
 
         await sendWhatsAppMessage(phoneNumber, welcomeMessage);
         
@@ -138,6 +165,9 @@ module.exports = {
     getUserDetails,
     createRelationship,
     getChildRelationships,
+    isConsentPending,
     hasPermission,
+    getUserLanguage,
+    setUserLanguage,
     completeUserCreation
 };
\ No newline at end of file
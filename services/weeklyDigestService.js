@@ -0,0 +1,326 @@
+// services/weeklyDigestService.js - Weekly caregiver digest of check-ins, adherence and symptoms
+const { CheckInModel, SymptomModel, ReportModel, UserModel, RelationshipModel } = require('../models/dbModels');
+const { REPORT_CONFIG } = require('../config/config');
+const { getUserTimezone, getZonedDateParts } = require('../utils/timeUtils');
+const { sendWhatsAppMessage, sendWhatsAppTemplate } = require('./messageService');
+const adherenceService = require('./adherenceService');
+const { isConsentPending } = require('./userService');
+const { t } = require('../utils/i18n');
+
+// Digests go out on this weekday (0 = Sunday) and time in the caregiver's local time
+const WEEKLY_DIGEST_TIME = { weekday: 0, hour: 19, minute: 0 };
+
+// How often to look for digests that are due
+const WEEKLY_DIGEST_TICK_MS = 10 * 60 * 1000; // 10 minutes
+
+// Caregivers choose daily reports, the weekly digest, or both
+const REPORT_FREQUENCIES = ['daily', 'weekly', 'both'];
+
+// English day names for logs; digests use day.<name> from the catalog
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SENTIMENT_SCORES = { positive: 1, neutral: 0, negative: -1 };
+const SENTIMENT_EMOJIS = { positive: '🙂', neutral: '😐', negative: '🙁' };
+
+/**
+ * Get a caregiver's report frequency
+ * @param {Object|null} caregiver - Caregiver's user record
+ * @returns {string} - "daily", "weekly" or "both"
+ */
+function getReportFrequency(caregiver) {
+    return caregiver?.reportFrequency || 'daily';
+}
+
+/**
+ * Average sentiment score of a set of check-ins
+ * @param {Array} checkIns - Check-in records
+ * @returns {number|null} - Score from -1 to 1, or null with no check-ins
+ */
+function averageSentiment(checkIns) {
+    const scores = checkIns
+        .map(checkIn => SENTIMENT_SCORES[checkIn.sentiment])
+        .filter(score => score !== undefined);
+    return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+/**
+ * Describe the mood over the week, day by day, compared with the week before
+ * @param {Array} checkIns - Check-ins from the last 14 days
+ * @param {Date} weekStart - Start of the digest week
+ * @param {string} timezone - Elderly user's IANA timezone
+ * @param {string|null} language - Caregiver's language code
+ * @returns {string} - Mood section lines
+ */
+function describeMoodTrend(checkIns, weekStart, timezone, language = null) {
+    const thisWeek = checkIns.filter(checkIn => new Date(checkIn.timestamp) >= weekStart);
+    const lastWeek = checkIns.filter(checkIn => new Date(checkIn.timestamp) < weekStart);
+
+    if (thisWeek.length === 0) return t(language, 'digest.no_checkins');
+
+    // One emoji per day, from the day's average mood
+    const days = new Map();
+    for (const checkIn of thisWeek) {
+        const date = getZonedDateParts(timezone, new Date(checkIn.timestamp)).date;
+        if (!days.has(date)) days.set(date, []);
+        days.get(date).push(checkIn);
+    }
+
+    const dailyMoods = [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, dayCheckIns]) => {
+        const score = averageSentiment(dayCheckIns);
+        const sentiment = score === null ? 'neutral' : score > 0.3 ? 'positive' : score < -0.3 ? 'negative' : 'neutral';
+        const [year, month, day] = date.split('-').map(Number);
+        const dayName = DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()].toLowerCase();
+        return `${t(language, `day.${dayName}`)} ${SENTIMENT_EMOJIS[sentiment]}`;
+    });
+
+    let line = t(language, 'digest.mood', { moods: dailyMoods.join('  '), count: thisWeek.length });
+
+    const current = averageSentiment(thisWeek);
+    const previous = averageSentiment(lastWeek);
+    if (current !== null && previous !== null) {
+        const change = current - previous;
+        const trend = Math.abs(change) < 0.25 ? 'steady' : change > 0 ? 'improving' : 'lower';
+        line += `\n${t(language, `digest.trend_${trend}`)}`;
+    }
+
+    return line;
+}
+
+/**
+ * Collect the concerns raised in check-ins, most frequent first
+ * @param {Array} checkIns - Check-ins from the digest week
+ * @returns {Array<string>} - Concerns, with a count when raised more than once
+ */
+function collectConcerns(checkIns) {
+    const counts = new Map();
+    for (const checkIn of checkIns) {
+        for (const concern of checkIn.concerns || []) {
+            const key = concern.trim();
+            if (key) counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([concern, count]) => count > 1 ? `${concern} (${count}×)` : concern);
+}
+
+/**
+ * Build the digest sections for one elderly user
+ * @param {string} elderlyId - Elderly user's phone number
+ * @param {string|null} language - Caregiver's language code
+ * @returns {Promise<Object>} - { name, health, medication, symptoms }
+ */
+async function buildElderDigest(elderlyId, language = null) {
+    const elderlyUser = await UserModel.getUserDetails(elderlyId);
+    const name = elderlyUser?.name || t(language, 'digest.fallback_name');
+    const timezone = getUserTimezone(elderlyUser, elderlyId);
+
+    const now = Date.now();
+    const weekStart = new Date(now - 7 * 24 * 60 * 60 * 1000);
+    const twoWeeksAgo = new Date(now - 14 * 24 * 60 * 60 * 1000);
+
+    // Check-ins: mood trend and concerns
+    const checkIns = await CheckInModel.getCheckInsSince(elderlyId, twoWeeksAgo);
+    let health = describeMoodTrend(checkIns, weekStart, timezone, language);
+
+    const concerns = collectConcerns(checkIns.filter(checkIn => new Date(checkIn.timestamp) >= weekStart));
+    health += '\n' + (concerns.length
+        ? t(language, 'digest.concerns', { concerns: concerns.slice(0, 5).join(', ') })
+        : t(language, 'digest.no_concerns'));
+
+    // Medication adherence and missed doses
+    const adherence = await adherenceService.calculateAdherence(elderlyId, 7, timezone);
+    let medication;
+    if (adherence.overall.total === 0) {
+        medication = t(language, 'digest.no_doses');
+    } else {
+        medication = t(language, 'digest.adherence', { summary: adherenceService.describePeriod(adherence, 'week', language) });
+        const missed = adherence.medications.filter(med => med.missed > 0);
+        medication += '\n' + (missed.length
+            ? t(language, 'digest.missed_doses', { doses: missed.map(med => `${med.medicine} ×${med.missed}`).join(', ') })
+            : t(language, 'digest.no_missed_doses'));
+        if (adherence.mostMissedSlot) {
+            medication += '\n' + t(language, 'digest.most_missed_time', { time: adherence.mostMissedSlot.reminderTime });
+        }
+    }
+
+    // Symptoms reported this week and follow-ups still open
+    const assessments = await SymptomModel.getAssessmentsSince(elderlyId, weekStart);
+    const openAssessments = await SymptomModel.getActiveAssessments(elderlyId);
+
+    let symptoms = assessments.length
+        ? t(language, 'digest.symptoms', { symptoms: [...new Set(assessments.map(a => a.primarySymptom).filter(Boolean))].join(', ') })
+        : t(language, 'digest.no_symptoms');
+    if (openAssessments.length > 0) {
+        symptoms += '\n' + t(language, 'digest.open_follow_ups', {
+            followUps: openAssessments
+                .map(a => t(language, 'digest.follow_up_since', {
+                    symptom: a.primarySymptom,
+                    date: getZonedDateParts(timezone, new Date(a.createdAt)).date
+                }))
+                .join(', ')
+        });
+    }
+
+    return { name, health, medication, symptoms };
+}
+
+/**
+ * Generate the weekly digest for a caregiver, covering all of their elderly users
+ * @param {string} caregiverId - Caregiver's phone number
+ * @param {Array<string>} elderlyIds - Elderly users' phone numbers
+ * @returns {Promise<Object>} - { content, digests } with the full message and per-elder sections
+ */
+async function generateWeeklyDigest(caregiverId, elderlyIds) {
+    // The digest is in the caregiver's language
+    const caregiver = await UserModel.getUserDetails(caregiverId);
+    const language = caregiver?.language;
+
+    const digests = [];
+    for (const elderlyId of elderlyIds) {
+        digests.push(await buildElderDigest(elderlyId, language));
+    }
+
+    let content = `${t(language, 'digest.title')}\n`;
+    for (const digest of digests) {
+        content += `\n👤 *${digest.name}*\n`;
+        content += `\n${t(language, 'digest.section_wellbeing')}\n${digest.health}\n`;
+        content += `\n${t(language, 'digest.section_medication')}\n${digest.medication}\n`;
+        content += `\n${t(language, 'digest.section_symptoms')}\n${digest.symptoms}\n`;
+    }
+    content += `\n${t(language, 'digest.footer')}`;
+
+    return { content, digests };
+}
+
+/**
+ * Generate and send weekly digests to caregivers who opted in
+ * @param {Object} options - { onlyDue: only send digests whose local digest time has
+ *                           passed this week and that haven't been sent yet }
+ */
+async function sendWeeklyDigests(options = {}) {
+    const { onlyDue = false } = options;
+
+    try {
+        if (!onlyDue) console.log('📅 Generating weekly digests');
+
+        // Group elderly users by caregiver, so each caregiver gets one message
+        const relationships = await RelationshipModel.getAllRelationships();
+        const caregiverMap = {};
+        relationships.forEach(rel => {
+            if (!(rel.permissions || []).includes('view_reports')) return;
+            if (!caregiverMap[rel.childPhone]) {
+                caregiverMap[rel.childPhone] = [];
+            }
+            caregiverMap[rel.childPhone].push(rel.parentPhone);
+        });
+
+        // Template SID for the report template
+        const REPORT_TEMPLATE_SID = process.env.TWILIO_REPORT_SID;
+
+        for (const [caregiverId, elderlyIds] of Object.entries(caregiverMap)) {
+            const caregiver = await UserModel.getUserDetails(caregiverId);
+            if (getReportFrequency(caregiver) === 'daily') continue;
+
+            // The digest goes out on the caregiver's own weekday and time
+            const local = getZonedDateParts(getUserTimezone(caregiver, caregiverId));
+            const reportId = `${caregiverId}_weekly_${local.date}`;
+
+            let attempts = 0;
+            if (onlyDue) {
+                const localMinutes = local.hour * 60 + local.minute;
+                if (local.weekday !== WEEKLY_DIGEST_TIME.weekday) continue;
+                if (localMinutes < WEEKLY_DIGEST_TIME.hour * 60 + WEEKLY_DIGEST_TIME.minute) continue;
+                // A saved digest whose send failed is tried again, less often each time, up to the limit
+                const existingDigest = await ReportModel.getReportById(reportId);
+                if (existingDigest?.delivered === true) continue;
+                attempts = existingDigest?.attempts || 0;
+                if (attempts >= REPORT_CONFIG.maxSendAttempts) continue;
+                if (existingDigest && Date.now() - new Date(existingDigest.sentTimestamp).getTime() < attempts * REPORT_CONFIG.retryBackoffMinutes * 60 * 1000) continue;
+            }
+
+            // No reports until the elder has agreed to the account a caregiver set up
+            const consentedIds = [];
+            for (const elderlyId of elderlyIds) {
+                if (!isConsentPending(await UserModel.getUserDetails(elderlyId))) consentedIds.push(elderlyId);
+            }
+            if (consentedIds.length === 0) continue;
+
+            const { content, digests } = await generateWeeklyDigest(caregiverId, consentedIds);
+
+            await ReportModel.saveReport({
+                reportId: reportId,
+                type: 'weekly_digest',
+                elderlyId: consentedIds.join(','),
+                caregiverId: caregiverId,
+                date: local.date,
+                content: content,
+                sentTimestamp: new Date().toISOString(),
+                delivered: false,
+                attempts: attempts + 1
+            });
+
+            let success = false;
+            if (await UserModel.hasRecentInteraction(caregiverId)) {
+                success = await sendWhatsAppMessage(caregiverId, content);
+            } else {
+                // Outside the 24-hour window the report template has to be used
+                const sections = key => digests.map(digest => digests.length > 1 ? `${digest.name}: ${digest[key]}` : digest[key]).join('\n');
+                success = await sendWhatsAppTemplate(caregiverId, REPORT_TEMPLATE_SID, {
+                    "1": digests.map(digest => digest.name).join(', '),
+                    "2": sections('health'),
+                    "3": sections('medication'),
+                    "4": `${t(caregiver?.language, 'digest.template_prefix')} ${sections('symptoms')}`
+                });
+            }
+
+            if (success) {
+                console.log(`✅ Sent weekly digest to ${caregiverId}`);
+                await ReportModel.updateReportStatus(reportId, true);
+            } else {
+                console.error(`❌ Failed to send weekly digest to ${caregiverId}`);
+                if (attempts + 1 >= REPORT_CONFIG.maxSendAttempts) {
+                    console.error(`❌ Giving up on weekly digest ${reportId} after ${attempts + 1} attempts`);
+                }
+            }
+
+            // Add a delay between sends to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+        if (!onlyDue) console.log('✅ Weekly digests completed');
+    } catch (error) {
+        console.error(`❌ Error sending weekly digests: ${error}`);
+    }
+}
+
+/**
+ * Schedule weekly digest generation
+ */
+function scheduleWeeklyDigests() {
+    console.log(`📅 Scheduling weekly digests for ${DAY_NAMES[WEEKLY_DIGEST_TIME.weekday]} ${WEEKLY_DIGEST_TIME.hour}:${String(WEEKLY_DIGEST_TIME.minute).padStart(2, '0')} local time`);
+
+    setInterval(() => {
+        sendWeeklyDigests({ onlyDue: true });
+    }, WEEKLY_DIGEST_TICK_MS).unref();
+}
+
+/**
+ * Set how often a caregiver receives reports
+ * @param {string} caregiverId - Caregiver's phone number
+ * @param {string} frequency - "daily", "weekly" or "both"
+ * @returns {Promise<boolean>} - Success status
+ */
+async function setReportFrequency(caregiverId, frequency) {
+    if (!REPORT_FREQUENCIES.includes(frequency)) return false;
+    return await UserModel.updateUser(caregiverId, { reportFrequency: frequency });
+}
+
+module.exports = {
+    REPORT_FREQUENCIES,
+    getReportFrequency,
+    setReportFrequency,
+    generateWeeklyDigest,
+    sendWeeklyDigests,
+    scheduleWeeklyDigests
+};
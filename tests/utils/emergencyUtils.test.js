@@ -0,0 +1,66 @@
+// tests/utils/emergencyUtils.test.js - Red-flag triage over phrases elders actually send
+const { detectRedFlag } = require('../../utils/emergencyUtils');
+
+// Phrases the rules must keep getting right, with the category expected (null: not a red flag).
+// Add a line when fixing a miss.
+const RED_FLAG_EXAMPLES = [
+    ['I have chest pain since morning', 'chest_pain'],
+    ["I can't breathe properly", 'chest_pain'],
+    ['no chest pain today', null],
+    ["I don't have chest pain", null],
+    ["I don't have any chest pain, just a headache", null],
+    ['she doesn\'t have trouble breathing', null],
+    ["didn't faint, just felt dizzy", null],
+    ['no history of heart attack', null],
+    ['my face is drooping on one side', 'stroke'],
+    ['had a stroke 5 years ago', null],
+    ['history of stroke, now knee pain', null],
+    ['had a stroke 5 years ago and now my arm is weak', 'stroke'],
+    ['she had a heart attack in 2019', null],
+    ['lakwa 5 saal pehle hua tha', null],
+    ['stroke last year, today his face is drooping', 'stroke'],
+    ['I want to die, I have felt this way since last year', 'suicidal'],
+    ["I can't breathe, started a few weeks ago", 'chest_pain'],
+    ['chest pain since 2 weeks back, now unbearable', 'chest_pain'],
+    ['I have had chest pain for weeks, worse since last month', 'chest_pain'],
+    ['he is not breathing', 'chest_pain'],
+    ['my chest is hurting', 'chest_pain'],
+    ['no chest pain yesterday but today chest pain is bad', 'chest_pain'],
+    ['I fainted in the bathroom', 'fainting'],
+    ['I am coughing blood', 'severe_bleeding'],
+    ['I fell and hurt myself', null],
+    ['I hurt myself cutting vegetables', null],
+    ['I want to hurt myself', 'suicidal'],
+    ["I'm going to hurt myself", 'suicidal'],
+    ['I want to die', 'suicidal'],
+    ['I feel tired and my knees hurt', null],
+    ['seene mein dard ho raha hai', 'chest_pain'],
+    ['Seene mein dard nahi hai, bas thakaan hai', null],
+    ['saans nahi aa rahi', 'chest_pain'],
+    ['सीने में दर्द हो रहा है', 'chest_pain'],
+    ['सीने में दर्द नहीं है', null],
+    ['छातीत दुखत आहे', 'chest_pain'],
+    ['நெஞ்சு வலிக்குது', 'chest_pain'],
+    ['நெஞ்சு வலிக்கவில்லை', null],
+    ['மூச்சு விட முடியவில்லை', 'chest_pain'],
+    ['বুকে ব্যথা করছে', 'chest_pain'],
+    ['বুকে ব্যথা নেই', null],
+    ['છાતીમાં દુખાવો થાય છે', 'chest_pain'],
+    ['papa ko lakwa maar gaya', 'stroke'],
+    ['5 saal pehle lakwa hua tha', null],
+    ['मुंह टेढ़ा हो गया है', 'stroke'],
+    ['khoon ki ulti ho rahi hai', 'severe_bleeding'],
+    ['khoon ki jaanch karwani hai', null],
+    ['doctor ne kaha bahut khoon ki kami hai', null],
+    ['chakkar aake gir gaya', 'fainting'],
+    ['বাবা অজ্ঞান হয়ে গেছেন', 'fainting'],
+    ['marna chahta hoon', 'suicidal'],
+    ['marna nahi chahta, bas dukhi hoon', null],
+    ['मैं मरना चाहती हूँ', 'suicidal']
+];
+
+describe('detectRedFlag', () => {
+    test.each(RED_FLAG_EXAMPLES)('%s -> %s', (text, expected) => {
+        expect(detectRedFlag(text)?.category || null).toBe(expected);
+    });
+});
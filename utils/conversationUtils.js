@@ -4,6 +4,8 @@
  * Utility for managing conversation priorities and conflicts
  */
 
+const { DEFAULT_LANGUAGE, t, parseReminderReply } = require('./i18n');
+
 // Define conversation types and their priority (higher number = higher priority)
 const CONVERSATION_PRIORITIES = {
     'medication_reminder': 100,   // Highest priority - time-sensitive health action
@@ -51,7 +53,10 @@ async function detectConversationConflicts(userPhone, sessionStore, activeCheckI
         let conversationType = 'general_query';
         let description = 'Unknown conversation';
         
-        if (userSession.type === 'symptom') {
+        if (userSession.type === 'symptom' && userSession.stage === 'emergency') {
+            conversationType = 'symptom_emergency';
+            description = `Emergency symptom (${userSession.redFlag})`;
+        } else if (userSession.type === 'symptom') {
             conversationType = 'symptom_assessment';
             description = `Symptom assessment (stage: ${userSession.stage})`;
         } else if (userSession.type === 'follow_up') {
@@ -131,9 +136,8 @@ function handleDisambiguation(userResponse, conflictInfo) {
     // Check if the response clearly belongs to a specific conversation
     const conversations = conflictInfo.activeConversations;
     
-    // Case 1: Medication reminder responses - clear yes/no
-    if (normalizedResponse === 'yes' || normalizedResponse === 'no' || 
-        normalizedResponse === 'taken' || normalizedResponse === 'missed') {
+    // Case 1: Medication reminder responses - clear yes/no, in any supported language
+    if (parseReminderReply(userResponse)) {
         
         // Find if there's a medication reminder active
         const medicationReminder = conversations.find(conv => conv.type === 'medication_reminder');
@@ -177,24 +181,22 @@ function handleDisambiguation(userResponse, conflictInfo) {
 /**
  * Generate a disambiguation message when multiple conversations are active
  * @param {Object} disambiguationInfo - Disambiguation information
+ * @param {string} language - User's language code
  * @returns {string} - Message to send to user
  */
-function generateDisambiguationMessage(disambiguationInfo) {
+function generateDisambiguationMessage(disambiguationInfo, language = DEFAULT_LANGUAGE) {
     if (disambiguationInfo.conflictType === 'menu_vs_symptom') {
-        return "I noticed you sent a number, but you have both a menu selection and a symptom assessment in progress. What are you responding to?\n\n" +
-               "1. Menu selection\n" +
-               "2. Symptom assessment\n\n" +
-               "Please reply with 1 or 2.";
+        return t(language, 'disambiguation.menu_vs_symptom');
     }
     
     // General case
-    let message = "I noticed you have multiple conversations active. What are you responding to?\n\n";
+    let message = `${t(language, 'disambiguation.question')}\n\n`;
     
     disambiguationInfo.options.forEach((conv, index) => {
         message += `${index + 1}. ${conv.description}\n`;
     });
     
-    message += "\nPlease reply with the number of your choice.";
+    message += `\n${t(language, 'common.reply_with_number')}`;
     
     return message;
 }
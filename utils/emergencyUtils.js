@@ -0,0 +1,216 @@
+// utils/emergencyUtils.js - Red-flag symptom rules and emergency helplines
+const { t } = require('./i18n');
+
+/**
+ * Emergency numbers by phone country calling code. `crisis` is a mental
+ * health / suicide prevention line where one is widely available.
+ */
+const EMERGENCY_HELPLINES = {
+    '91': { emergency: '112', ambulance: '108', crisis: 'Tele-MANAS 14416' },
+    '1': { emergency: '911', crisis: '988 Suicide & Crisis Lifeline (call or text 988)' },
+    '44': { emergency: '999', crisis: 'Samaritans 116 123' },
+    '353': { emergency: '112 or 999', crisis: 'Samaritans 116 123' },
+    '61': { emergency: '000', crisis: 'Lifeline 13 11 14' },
+    '64': { emergency: '111', crisis: 'Need to talk? Call or text 1737' },
+    '65': { emergency: '995', crisis: 'SOS 1767' },
+    '49': { emergency: '112', crisis: 'Telefonseelsorge 0800 111 0 111' },
+    '33': { emergency: '15 or 112', crisis: '3114' },
+    '31': { emergency: '112', crisis: '113 Zelfmoordpreventie 0800 0113' }
+};
+
+// Where we don't know the country, 112 works from most mobile phones
+const DEFAULT_HELPLINES = { emergency: '112', unknownCountry: true };
+
+/**
+ * Red-flag rules, checked in order. Any match means the user should get
+ * emergency guidance straight away instead of the symptom questionnaire.
+ * Each rule also has the phrases elders use in Hindi, Marathi, Tamil, Bengali
+ * and Gujarati, in their own script and in the Latin spelling typed on WhatsApp.
+ * The guidance for each category is in the message catalog (redflag.guidance_*).
+ */
+const RED_FLAG_RULES = [
+    {
+        category: 'chest_pain',
+        label: 'chest pain or trouble breathing',
+        patterns: [
+            /chest (pain|tightness|pressure|hurts?)/, /chest (is |feels )?(hurting|aching|tight|heavy)/, /pain in (my |the )?chest/, /tight(ness)? in (my |the )?chest/,
+            /heart attack/, /\b(not|stopped|isn'?t|wasn'?t|no longer) breathing/, /can'?t breathe|cannot breathe|unable to breathe|struggling to breathe/,
+            /difficulty breathing|trouble breathing|short(ness)? of breath|breathless|gasping/,
+            /(seene|sine|seeney|chhati|chati|chhaati) (mein|me|main|ma) (dard|dabav|dabaav|jakdan|bhaari)/,
+            /(saans|sans|saas|shwas) (nahi|nahin|nai) (aa|le)|(saans|sans|saas) (lene )?(mein|me) (taklif|takleef|dikkat|pareshani)|(saans|sans|saas) phool/,
+            /dil ka daura/, /chhatit (dukhat|kal)|shwas ghyayla tras|dam lagat/,
+            /nenju ?vali|moochu (vida|thinaral)|maaradaippu/, /buke (batha|byatha|chap)|shash ?kosto|shwas nite kosto/,
+            /chhati ?ma (dukhavo|dukhe)|shwas leva ?ma (taklif|muskeli)/,
+            /(सीने|सीना|छाती) (में|मे) (दर्द|दबाव|जकड़न|भारीपन)|(सांस|साँस) (नहीं|नही) (आ|ले)|(सांस|साँस) (लेने )?में (तकलीफ|तकलीफ़|दिक्कत|परेशानी)|(सांस|साँस) फूल|दिल का दौरा/,
+            /छातीत (दुखत|दुखणे|वेदना|कळ)|श्वास (घ्यायला|घेण्यास) (त्रास|अडचण)|दम लागत|हृदयविकाराचा झटका/,
+            /நெஞ்சு ?வலி|நெஞ்சில் வலி|மார்பு ?வலி|மூச்சு ?(விட முடிய(வில்லை|ல)|திணறல்|முட்டு)|மாரடைப்பு/,
+            /বুকে (ব্যথা|চাপ)|বুকের ব্যথা|শ্বাস ?কষ্ট|শ্বাস নিতে (কষ্ট|পারছি না)|হার্ট অ্যাটাক/,
+            /છાતીમાં (દુખાવો|દુઃખાવો|દબાણ|દુખ)|શ્વાસ લેવામાં (તકલીફ|મુશ્કેલી)|શ્વાસ ચડ|હાર્ટ એટેક/
+        ]
+    },
+    {
+        category: 'stroke',
+        label: 'possible stroke signs',
+        patterns: [
+            /\bstroke\b/, /face (is )?(drooping|droopy|numb|twisted)|drooping face|face droop/,
+            /one side of (my |the |his |her )?(face|body)/, /arm (is |feels )?(weak|numb|heavy)/,
+            /can'?t (lift|raise|move) (my |his |her )?(arm|leg)/, /slurr(ed|ing)|speech (is )?(slurred|strange|garbled)/,
+            /can'?t (speak|talk) properly|trouble (speaking|talking)/, /sudden (numbness|weakness|confusion|loss of (vision|balance))/,
+            /lakwa|lakva|lakvo|pakshaghat|pakkavatham|pakkavaadham/,
+            /(muh|munh|chehra|chehre) (tedha|tirchha|latak)|(haath|hath|pair) (sunn|kamzor|nahi uth|nahi hil)/,
+            /(bolne|bol) (mein|me) (dikkat|taklif|takleef)|(zubaan|jubaan|zuban|juban) (ladkhada|ladkha)/,
+            /लकवा|पक्षाघात|स्ट्रोक|(मुंह|मुँह|चेहरा) (टेढ़ा|टेढा|तिरछा|लटक)|(हाथ|पैर) (सुन्न|कमज़ोर|कमजोर)|(बोलने|बोल) में (दिक्कत|तकलीफ|तकलीफ़)|(ज़ुबान|जुबान) लड़खड़ा/,
+            /अर्धांगवायू|तोंड वाकडे|(हात|पाय) (बधिर|लुळा|लुळे|कमजोर)|बोलताना (त्रास|अडचण)/,
+            /பக்கவாதம்|முகம் (கோணல்|சாய்)|(கை|கால்) (மரத்து|செயலிழ|பலவீன)|பேச முடிய(வில்லை|ல)/,
+            /স্ট্রোক|পক্ষাঘাত|মুখ বেঁকে|(হাত|পা) (অবশ|দুর্বল)|কথা (জড়িয়ে|বলতে কষ্ট)/,
+            /લકવો|પેરાલિસિસ|મોં (વાંકું|વાંકુ)|(હાથ|પગ) (ખોટો|સુન્ન|નબળો)|બોલવામાં (તકલીફ|મુશ્કેલી)/
+        ]
+    },
+    {
+        category: 'severe_bleeding',
+        label: 'severe bleeding',
+        patterns: [
+            /(heavy|severe|a lot of|lots of|uncontrolled|non-?stop) bleeding/,
+            /bleeding (heavily|a lot|badly|won'?t stop|will not stop|not stopping|doesn'?t stop)/,
+            /(vomiting|throwing up|coughing( up)?) blood/, /blood (won'?t|will not) stop/,
+            /(khoon|khun) (ruk nahi|rukta nahi|band nahi|bahut beh|beh raha)|bahut (khoon|khun) (beh|nikal|ja)|(khoon|khun) ki (ulti|ultee)|(khaansi|khansi) (mein|me) (khoon|khun)/,
+            /(खून|ख़ून) (रुक नहीं|रुकता नहीं|बंद नहीं|बहुत बह|बह रहा)|बहुत (खून|ख़ून) (बह|निकल|जा)|(खून|ख़ून) की (उल्टी|उलटी)|(खांसी|खाँसी) में (खून|ख़ून)/,
+            /रक्त (थांबत नाही|खूप जात)|खूप रक्त (जात|वाहत)|रक्ताची उलटी|खोकल्यात रक्त/,
+            /இ?ரத்தம் (நிற்கவில்லை|நிக்கல|அதிகமா (போகுது|வருது))|இ?ரத்த ?வாந்தி/,
+            /রক্ত (থামছে না|বন্ধ হচ্ছে না)|অনেক রক্ত (পড়ছে|যাচ্ছে|বেরোচ্ছে)|রক্ত ?বমি|কাশির সাথে রক্ত/,
+            /લોહી (બંધ થતું નથી|અટકતું નથી|ખૂબ (વહે|નીકળ|જાય))|ખૂબ લોહી (વહે|નીકળ|જાય)|લોહીની ઉલટી/
+        ]
+    },
+    {
+        category: 'fainting',
+        label: 'fainting or loss of consciousness',
+        patterns: [
+            /faint(ed|ing)?\b/, /pass(ed)? out|blacked out|black(ing)? out/,
+            /lost consciousness|unconscious|collapsed/,
+            /behosh|bebhan|beshuddh|(ogyan|agyan) ho|mayangi vizh/,
+            /chakkar (aa ?kar|aake|aakar|kha ?kar|khake|yeun) (gir|pad)|matha ghure pore/,
+            /बेहोश|चक्कर (आकर|आके|खाकर) गिर|बेशुद्ध|भोवळ (आली|येऊन)|चक्कर येऊन पड/,
+            /மயங்கி விழு|மயக்கம் போட்டு|மூர்ச்சை/,
+            /অজ্ঞান|জ্ঞান হারিয়ে|মাথা ঘুরে পড়ে/,
+            /બેભાન|ચક્કર આવીને પડ/
+        ]
+    },
+    {
+        category: 'suicidal',
+        label: 'thoughts of suicide or self-harm',
+        patterns: [
+            /suicid/, /kill(ing)? myself/, /end (my life|it all)/, /want to die|wish i (was|were) dead/,
+            /don'?t want to (live|be alive|wake up)/, /better off dead/, /self[- ]?harm/,
+            // Hurting yourself by accident isn't a crisis, so only count it when it's intended
+            /(want(ed)?|going|plan(ning)?|try(ing)?|tempted|feel like|thinking (about|of)) (to )?(hurt|harm|cut|hurting|harming|cutting) myself/,
+            /(thoughts|thinking) (about|of) (hurting|harming|cutting) myself/,
+            /(marna|mar jana|mar jaana) (chahta|chahti)|(jeena|jina) (nahi|nahin) (chahta|chahti)|jeene ka (mann|man) nahi/,
+            /aatmahatya|atmahatya|khudkushi|(khud ko|apne aap ko) (khatam|khatm|nuksan|nuksaan)/,
+            /maravasa vatat|jagaycha nahi|saaga (poren|venum)|tharkolai|more jete chai|atmohotta|mari javu (che|chhe)|marvu (che|chhe)/,
+            /(मरना|मर जाना) (चाहता|चाहती)|जीना (नहीं|नही) (चाहता|चाहती)|जीने का (मन|मान) (नहीं|नही)|आत्महत्या|(ख़ुदकुशी|खुदकुशी)|(खुद को|अपने आप को) (खत्म|ख़त्म|नुकसान)/,
+            /(मरावंसं|मरावेसे|मरावं) वाट|(जगायचं|जगायचे) नाही/,
+            /தற்கொலை|சாக (வேண்டும்|போறேன்|ஆசை|விரும்பு)|வாழ (விருப்பமில்லை|பிடிக்கல)/,
+            /আত্মহত্যা|মরে যেতে (চাই|ইচ্ছে)|বাঁচতে (চাই না|ইচ্ছে করে না)/,
+            /આત્મહત્યા|મરી જવું (છે|છું)|મરવું છે|જીવવું નથી/
+        ]
+    }
+];
+
+// "no chest pain", "I don't have any chest pain", "no history of stroke" etc. shouldn't trigger a rule
+const NEGATION_PATTERN = /\b(no|not|never|without|none|no history of|no signs? of|(do|does|did|have|has|had|is|was|are|were)n'?t)\s+((have|had|feel|felt|get|got|notice|noticed|any|a|an|my|the)\s+){0,2}(\w+\s+)?$/;
+
+// Indian languages put the negation after the symptom: "seene mein dard nahi hai", "நெஞ்சு வலிக்கவில்லை"
+const NEGATION_AFTER = /^\S*\s+((hai|ho|है|हो|আছে|করছে|થાય)\s+)?(nahi|nahin|nai|nathi|illai|illa|नहीं|नही|नाही|இல்லை|இல்ல|নেই|না|નથી)(?=\s|[.,!?।]|$)|^\S*(வில்லை|இல்லை)/;
+
+// Only a past event ("had a stroke 5 years ago") can be history; symptoms like chest pain,
+// breathlessness or wanting to die are never discounted because a date is mentioned nearby
+const HISTORY_EVENT = /stroke|heart attack|dil ka daura|lakwa|lakva|lakvo|pakshaghat|pakkavatham|pakkavaadham|maaradaippu|लकवा|पक्षाघात|स्ट्रोक|दिल का दौरा|अर्धांगवायू|हृदयविकाराचा झटका|பக்கவாதம்|மாரடைப்பு|স্ট্রোক|পক্ষাঘাত|হার্ট অ্যাটাক|લકવો|પેરાલિસિસ|હાર્ટ એટેક/;
+
+// "history of stroke", "5 saal pehle lakwa" - the marker comes right before the event
+const PAST_HISTORY_BEFORE = /\b(history of|previous|past|prior|old)\s+(a\s+|an\s+|my\s+)?$|(saal|sal|mahine|साल|महीने)\s+(pehle|pahle|पहले)\s+(\S+\s+){0,2}$/;
+
+// "stroke 5 years ago", "lakwa 5 saal pehle hua" - the time follows within a few words, in the same clause
+const PAST_HISTORY_AFTER = /^\s*([^\s.,;!?।]+\s+){0,3}?((years?|months?|weeks?) (ago|back)|last (year|month)|in (19|20)\d\d|(saal|sal|mahine|साल|महीने) (pehle|pahle|पहले))(?=$|[\s.,;!?।])/;
+
+/**
+ * Find the first match of a pattern that isn't negated or a past event
+ * @param {string} lower - Lowercased text
+ * @param {RegExp} pattern - Rule pattern
+ * @returns {boolean} - Whether the pattern applies to the user now
+ */
+function matchesCurrentSymptom(lower, pattern) {
+    for (const match of lower.matchAll(new RegExp(pattern.source, 'g'))) {
+        const before = lower.slice(0, match.index);
+        const after = lower.slice(match.index + match[0].length);
+        if (NEGATION_PATTERN.test(before) || NEGATION_AFTER.test(after)) {
+            continue;
+        }
+        if (HISTORY_EVENT.test(match[0]) && (PAST_HISTORY_BEFORE.test(before) || PAST_HISTORY_AFTER.test(after))) {
+            continue;
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Check a symptom description against the red-flag rules
+ * @param {string} text - What the user wrote
+ * @returns {Object|null} - Matching rule ({ category, label }) or null; label is English, for records
+ */
+function detectRedFlag(text) {
+    const lower = (text || '').toLowerCase();
+
+    for (const rule of RED_FLAG_RULES) {
+        if (rule.patterns.some(pattern => matchesCurrentSymptom(lower, pattern))) {
+            return { category: rule.category, label: rule.label };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get emergency numbers for a user's country, from their phone number
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Object} - { emergency, ambulance?, crisis?, unknownCountry? }
+ */
+function getHelplines(phoneNumber) {
+    const digits = (phoneNumber || '').replace('whatsapp:', '').replace(/[^\d]/g, '');
+
+    // Calling codes are 1-3 digits; try the longest match first
+    for (let length = 3; length >= 1; length--) {
+        const helplines = EMERGENCY_HELPLINES[digits.substring(0, length)];
+        if (helplines) return helplines;
+    }
+
+    return DEFAULT_HELPLINES;
+}
+
+/**
+ * Format helpline numbers for a message
+ * @param {string} phoneNumber - User's phone number
+ * @param {boolean} includeCrisis - Whether to list the mental health line
+ * @param {string|null} language - Language code to label the numbers in
+ * @returns {string} - Helpline lines
+ */
+function formatHelplines(phoneNumber, includeCrisis = false, language = null) {
+    const helplines = getHelplines(phoneNumber);
+
+    let text = t(language, helplines.unknownCountry ? 'helpline.emergency_unknown_country' : 'helpline.emergency', {
+        number: helplines.emergency
+    });
+    if (helplines.ambulance) {
+        text += `\n${t(language, 'helpline.ambulance', { number: helplines.ambulance })}`;
+    }
+    if (includeCrisis && helplines.crisis) {
+        text += `\n${t(language, 'helpline.support', { number: helplines.crisis })}`;
+    }
+    return text;
+}
+
+module.exports = {
+    detectRedFlag,
+    getHelplines,
+    formatHelplines
+};
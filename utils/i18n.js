@@ -0,0 +1,224 @@
+// utils/i18n.js - Message catalog lookup, language choice and recognising replies in regional languages
+
+// Languages users can choose, in the order they are offered
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', script: 'Latin', locale: 'en-GB' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी', script: 'Devanagari', locale: 'hi-IN' },
+    mr: { name: 'Marathi', nativeName: 'मराठी', script: 'Devanagari', locale: 'mr-IN' },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்', script: 'Tamil', locale: 'ta-IN' },
+    bn: { name: 'Bengali', nativeName: 'বাংলা', script: 'Bengali', locale: 'bn-IN' },
+    gu: { name: 'Gujarati', nativeName: 'ગુજરાતી', script: 'Gujarati', locale: 'gu-IN' }
+};
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = {
+    en: require('../locales/en'),
+    hi: require('../locales/hi'),
+    mr: require('../locales/mr'),
+    ta: require('../locales/ta'),
+    bn: require('../locales/bn'),
+    gu: require('../locales/gu')
+};
+
+// Replies to a yes/no question or a medication reminder, typed in English, in a regional
+// script or in the Latin spelling people use for their language on WhatsApp
+const REPLY_WORDS = {
+    yes: [
+        'yes', 'y', 'yeah', 'yep', '✅', '👍',
+        'haan', 'han', 'haa', 'ha', 'haanji', 'haan ji', 'ji haan', 'हाँ', 'हां', 'हा', 'जी हाँ', 'जी हां',
+        'ho', 'hoy', 'होय', 'हो',
+        'aam', 'aama', 'aamam', 'ஆம்', 'ஆமா', 'ஆமாம்',
+        'hyan', 'hya', 'হ্যাঁ', 'হ্যা', 'হাঁ',
+        'હા', 'હા જી'
+    ],
+    no: [
+        'no', 'n', 'nope', '❌', '👎',
+        'nahi', 'nahin', 'nai', 'na', 'naa', 'नहीं', 'नही', 'ना',
+        'नाही',
+        'illai', 'illa', 'இல்லை', 'இல்ல',
+        'না',
+        'ના', 'nathi', 'નથી'
+    ],
+    taken: [
+        'taken', 'took it',
+        'le li', 'le liya', 'le li hai', 'le liya hai', 'kha li', 'kha liya', 'khaa li',
+        'ले ली', 'ले लिया', 'ले ली है', 'ले लिया है', 'खा ली', 'खा लिया',
+        'ghetli', 'ghetla', 'ghetle', 'घेतली', 'घेतले', 'घेतला',
+        'eduthen', 'edutten', 'saapten', 'sapten', 'எடுத்தேன்', 'சாப்பிட்டேன்',
+        'kheyechi', 'niyechi', 'খেয়েছি', 'নিয়েছি',
+        'lidhi', 'lai lidhi', 'લીધી', 'લઈ લીધી'
+    ],
+    missed: [
+        'missed', 'not taken', 'forgot',
+        'nahi li', 'nahin li', 'nahi liya', 'nahi khayi', 'bhool gaya', 'bhool gayi', 'bhul gaya', 'bhul gayi',
+        'नहीं ली', 'नहीं लिया', 'नहीं खाई', 'भूल गया', 'भूल गई',
+        'ghetli nahi', 'visarlo', 'visarle', 'घेतली नाही', 'विसरलो', 'विसरले',
+        'edukkala', 'edukkavillai', 'எடுக்கவில்லை', 'மறந்துவிட்டேன்',
+        'khaini', 'niini', 'খাইনি', 'নিইনি', 'ভুলে গেছি',
+        'lidhi nathi', 'bhuli gayo', 'bhuli gai', 'લીધી નથી', 'ભૂલી ગયો', 'ભૂલી ગઈ'
+    ]
+};
+
+// Greetings that open the main menu, alongside "hi" and "hello"
+const GREETINGS = [
+    'hi', 'hello', 'namaste', 'namaskar', 'नमस्ते', 'नमस्कार', 'vanakkam', 'வணக்கம்',
+    'nomoskar', 'নমস্কার', 'kem cho', 'નમસ્તે', 'નમસ્કાર'
+];
+
+// First word of the "change my language" command
+const LANGUAGE_COMMANDS = ['language', 'bhasha', 'भाषा', 'மொழி', 'ভাষা', 'ભાષા'];
+
+/**
+ * Get a supported language code, falling back to English
+ * @param {string|null} language - Language code as stored on the user
+ * @returns {string} - Supported language code
+ */
+function normalizeLanguage(language) {
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message in the user's language, filling in {placeholders}.
+ * Keys a catalog hasn't translated yet come from the English catalog.
+ * @param {string} language - Language code
+ * @param {string} key - Message key (e.g., "menu.main")
+ * @param {Object} vars - Values for the placeholders
+ * @returns {string} - Message text
+ */
+function t(language, key, vars = {}) {
+    const template = CATALOGS[normalizeLanguage(language)][key] ?? CATALOGS[DEFAULT_LANGUAGE][key];
+    if (template === undefined) {
+        console.warn(`⚠️ Missing message "${key}"`);
+        return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder
+    );
+}
+
+/**
+ * Get a language's name for showing to users, e.g. "हिन्दी (Hindi)"
+ * @param {string} language - Language code
+ * @returns {string} - Display name
+ */
+function getLanguageName(language) {
+    const { name, nativeName } = LANGUAGES[normalizeLanguage(language)];
+    return name === nativeName ? name : `${nativeName} (${name})`;
+}
+
+/**
+ * List the languages as numbered options, each in its own script so it can be read
+ * before a language has been chosen
+ * @returns {string} - Options text
+ */
+function formatLanguageOptions() {
+    return LANGUAGE_CODES.map((code, index) => `${index + 1}. ${getLanguageName(code)}`).join('\n');
+}
+
+/**
+ * Read a language choice: a number from formatLanguageOptions, a code, or the language's name
+ * @param {string} reply - User's reply
+ * @returns {string|null} - Language code or null if not understood
+ */
+function parseLanguageChoice(reply) {
+    const text = normalizeReply(reply);
+    const choice = parseInt(text);
+    if (!isNaN(choice) && String(choice) === text) {
+        return choice >= 1 && choice <= LANGUAGE_CODES.length ? LANGUAGE_CODES[choice - 1] : null;
+    }
+
+    return LANGUAGE_CODES.find(code =>
+        code === text ||
+        LANGUAGES[code].name.toLowerCase() === text ||
+        LANGUAGES[code].nativeName.toLowerCase() === text
+    ) || null;
+}
+
+/**
+ * Tidy a reply for matching: lower case, single spaces, no closing punctuation
+ * @param {string} text - Reply as typed
+ * @returns {string} - Normalized reply
+ */
+function normalizeReply(text) {
+    return (text || '').toLowerCase().trim().replace(/[.!?।,]+$/u, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Check whether a reply means "yes"
+ * @param {string} text - User's reply
+ * @returns {boolean} - Whether it is a yes
+ */
+function isYes(text) {
+    return REPLY_WORDS.yes.includes(normalizeReply(text));
+}
+
+/**
+ * Check whether a reply means "no"
+ * @param {string} text - User's reply
+ * @returns {boolean} - Whether it is a no
+ */
+function isNo(text) {
+    return REPLY_WORDS.no.includes(normalizeReply(text));
+}
+
+/**
+ * Read a reply to a medication reminder
+ * @param {string} text - User's reply (e.g., "yes", "haan", "le li", "nahi")
+ * @returns {string|null} - "taken", "missed", or null if it isn't a reminder reply
+ */
+function parseReminderReply(text) {
+    const reply = normalizeReply(text);
+    if (REPLY_WORDS.taken.includes(reply) || REPLY_WORDS.yes.includes(reply)) return 'taken';
+    if (REPLY_WORDS.missed.includes(reply) || REPLY_WORDS.no.includes(reply)) return 'missed';
+    return null;
+}
+
+/**
+ * Check whether a message is a greeting that should open the main menu
+ * @param {string} text - User's message
+ * @returns {boolean} - Whether it is a greeting
+ */
+function isGreeting(text) {
+    return GREETINGS.includes(normalizeReply(text));
+}
+
+/**
+ * Check whether a message is the command for changing language ("language", "language 2", "bhasha")
+ * @param {string} text - User's message
+ * @returns {boolean} - Whether it is the language command
+ */
+function isLanguageCommand(text) {
+    return LANGUAGE_COMMANDS.includes(normalizeReply(text).split(' ')[0]);
+}
+
+/**
+ * Instruction telling the model which language to answer in
+ * @param {string} language - Language code
+ * @returns {string} - Sentence to add to a system prompt; empty for English
+ */
+function languageInstruction(language) {
+    const code = normalizeLanguage(language);
+    if (code === DEFAULT_LANGUAGE) return "";
+
+    const { name, script } = LANGUAGES[code];
+    return `Always reply in ${name}, written in the ${script} script, using simple everyday words an elderly person would use. Keep medicine names as they are.`;
+}
+
+module.exports = {
+    LANGUAGES,
+    LANGUAGE_CODES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    t,
+    getLanguageName,
+    formatLanguageOptions,
+    parseLanguageChoice,
+    isYes,
+    isNo,
+    parseReminderReply,
+    isGreeting,
+    isLanguageCommand,
+    languageInstruction
+};
@@ -1,4 +1,7 @@
 // utils/messageUtils.js - Message parsing and formatting utilities
+const { standardizeTimeFormat } = require('./timeUtils');
+const { parseScheduleInput } = require('./scheduleUtils');
+const { DEFAULT_LANGUAGE, t } = require('./i18n');
 
 /**
  * Standardize phone number format by removing 'whatsapp:' prefix
@@ -114,13 +117,129 @@ function parseProxyCommand(message) {
     }
 }
 
+/**
+ * Work out how many pills make up one dose from a dosage like "2 tablets"
+ * @param {string|null} dosage - Medicine dosage
+ * @returns {number} - Pills per dose (1 when the dosage doesn't say)
+ */
+function parsePillsPerDose(dosage) {
+    const match = (dosage || '').match(/^\s*(\d+)\s*(tablets?|tabs?|pills?|capsules?|caps?)\b/i);
+    return match ? parseInt(match[1]) : 1;
+}
+
+// Ways of saying how often a medicine is taken, most specific first
+const FREQUENCY_PATTERNS = [
+    [/\b(\d+)\s*times\s+(?:a|per|each)\s+day\b/i, match => `${match[1]} times a day`],
+    [/\b(?:once|one time)\s+(?:a|per|each)\s+day\b|\bonce daily\b|\bod\b/i, () => "once daily"],
+    [/\b(?:twice|two times)\s+(?:a|per|each)\s+day\b|\btwice daily\b|\bbd\b|\bbid\b/i, () => "twice daily"],
+    [/\b(?:thrice|three times)\s+(?:a|per|each)\s+day\b|\bthrice daily\b|\btds\b|\btid\b/i, () => "three times a day"],
+    [/\bfour times\s+(?:a|per|each)\s+day\b|\bqid\b/i, () => "4 times a day"],
+    [/\bevery 6 hours\b|\b6 hourly\b/i, () => "every 6 hours"],
+    [/\b(?:daily|every day|everyday)\b/i, () => "once daily"]
+];
+
+// Phrases that describe which days a medicine is taken on
+const SCHEDULE_PATTERN = /\b(?:(?:as|when|if) needed|prn|sos)\b(?:[^,.]*?\bmax(?:imum)?\s*\d+)?|\bevery other day\b|\b(?:on )?alternate days\b|\bevery \d+ days\b|\b(?:weekly|once a week)(?: on)? \w+day\b|\bevery \w+day\b|\bon (?:\w+days?|mon|tue|wed|thu|fri|sat|sun)(?:\s*(?:,|\/|&|and)\s*(?:\w+days?|mon|tue|wed|thu|fri|sat|sun))*\b/i;
+
+// Times of day people use instead of a clock time
+const TIME_OF_DAY = {
+    morning: "08:00 am",
+    afternoon: "02:00 pm",
+    evening: "07:00 pm",
+    night: "09:00 pm",
+    bedtime: "09:00 pm"
+};
+
+/**
+ * Parse a one-line medication entry such as
+ * "add Metformin 500mg twice a day after meals for 30 days at 8 am".
+ * Anything not mentioned is left null for the caller to ask about.
+ * @param {string} message - The message to parse
+ * @returns {Object|null} - { medicine, dosage, time, frequency, duration, schedule, recognized } or null without a medicine name
+ */
+function parseMedicationMessage(message) {
+    const text = (message || '').trim().replace(/^add\s+(?:(?:medicine|medication)\b\s*:?\s*)?/i, '');
+    if (!text) return null;
+
+    // Where each recognised detail starts; the medicine name is whatever comes before the first one
+    const positions = [];
+    const find = (pattern) => {
+        const match = text.match(pattern);
+        if (match) positions.push(match.index);
+        return match;
+    };
+
+    let time = null;
+    const timeMatch = find(/\b(?:at\s+)?(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?\s?m\b\.?/i);
+    if (timeMatch) {
+        time = standardizeTimeFormat(`${timeMatch[1]}:${timeMatch[2] || '00'} ${timeMatch[3]}m`);
+    } else {
+        const partOfDay = find(/\b(?:in the |at |every |each )?(morning|afternoon|evening|night|bedtime)\b/i);
+        if (partOfDay) time = TIME_OF_DAY[partOfDay[1].toLowerCase()];
+    }
+
+    let duration = null;
+    const durationMatch = find(/\bfor\s+(\d+|a|one)\s*(days?|weeks?|months?)\b/i);
+    if (durationMatch) {
+        const amount = /^\d+$/.test(durationMatch[1]) ? parseInt(durationMatch[1]) : 1;
+        const unit = durationMatch[2].toLowerCase();
+        duration = String(amount * (unit.startsWith('week') ? 7 : unit.startsWith('month') ? 30 : 1));
+    }
+
+    let schedule = null;
+    const scheduleMatch = find(SCHEDULE_PATTERN);
+    if (scheduleMatch) {
+        schedule = parseScheduleInput(scheduleMatch[0]);
+    }
+
+    let frequency = null;
+    for (const [pattern, toFrequency] of FREQUENCY_PATTERNS) {
+        const match = find(pattern);
+        if (match) {
+            frequency = toFrequency(match);
+            break;
+        }
+    }
+
+    const amounts = [];
+    const amountPattern = /\b\d+(?:\.\d+)?\s*(?:mg|mcg|g|gm|ml|iu|units?|tablets?|tabs?|pills?|capsules?|caps?|drops?|puffs?|sachets?|teaspoons?|tsp)\b/gi;
+    let amountMatch;
+    while ((amountMatch = amountPattern.exec(text)) !== null) {
+        positions.push(amountMatch.index);
+        amounts.push(amountMatch[0]);
+    }
+
+    const instructionsMatch = find(/\b(?:after|before|with)\s+(?:meals?|food|breakfast|lunch|dinner|eating)\b|\b(?:on an? )?empty stomach\b/i);
+
+    // Meal instructions ride along with the dosage so they show up in reminders
+    const dosageParts = [...amounts];
+    if (instructionsMatch) dosageParts.push(instructionsMatch[0].toLowerCase());
+    const dosage = dosageParts.length ? dosageParts.join(' ') : null;
+
+    const nameEnd = positions.length ? Math.min(...positions) : text.length;
+    const medicine = text.slice(0, nameEnd).replace(/[\s,.\-:]+$/, '').trim();
+    if (!medicine) return null;
+
+    return {
+        medicine,
+        dosage,
+        time,
+        frequency,
+        duration,
+        schedule: schedule && schedule.type !== 'daily' ? schedule : null,
+        recognized: positions.length > 0
+    };
+}
+
 /**
  * Format reminder message
  * @param {string} medicine - Medication name
+ * @param {string|null} dosage - Dose to take, when it needs spelling out (e.g., while tapering)
+ * @param {string} language - User's language code
  * @returns {string} - Formatted reminder message
  */
-function formatReminderMessage(medicine) {
-    return `🔔 Reminder: It's time to take your medicine - *${medicine}*. \n\nHave you taken it? ✅ Yes / ❌ No`;
+function formatReminderMessage(medicine, dosage = null, language = DEFAULT_LANGUAGE) {
+    return t(language, 'reminder.due', { medicine, dose: dosage ? ` (${dosage})` : '' });
 }
 
 module.exports = {
@@ -128,5 +247,7 @@ module.exports = {
     formatWhatsAppNumber,
     splitMessageIntoChunks,
     parseProxyCommand,
+    parsePillsPerDose,
+    parseMedicationMessage,
     formatReminderMessage
 };
\ No newline at end of file
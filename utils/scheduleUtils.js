@@ -0,0 +1,239 @@
+// utils/scheduleUtils.js - Medication schedule parsing and matching
+const { t } = require('./i18n');
+
+/**
+ * Schedule types stored on a medication's `schedule` field:
+ * - daily:    every day
+ * - weekdays: on listed days of the week ({ weekdays: [1, 3, 5] }, 0 = Sunday)
+ * - weekly:   once a week ({ weekdays: [0] })
+ * - interval: every N days from the start date ({ everyNDays: 2 })
+ * - taper:    dose changes in steps ({ steps: [{ dosage: "40mg", days: 5 }, ...] })
+ * - prn:      as needed, never reminded ({ maxPer24h: 4 })
+ * Day-based schedules count from `startDate`, the user's local date when it was added.
+ */
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_PATTERNS = [
+    /^sun(day)?s?$/, /^mon(day)?s?$/, /^tue(s|sday)?s?$/, /^wed(nesday)?s?$/,
+    /^thu(r|rs|rsday)?s?$/, /^fri(day)?s?$/, /^sat(urday)?s?$/
+];
+
+/**
+ * Parse a list of weekday names (e.g., "Mon/Wed/Fri", "weekdays")
+ * @param {string} text - Weekday list
+ * @returns {Array<number>|null} - Sorted day numbers (0 = Sunday) or null if not understood
+ */
+function parseWeekdays(text) {
+    const lower = (text || '').toLowerCase().trim();
+
+    if (lower === 'weekdays') return [1, 2, 3, 4, 5];
+    if (lower === 'weekends' || lower === 'weekend') return [0, 6];
+
+    const words = lower.split(/[\s,\/&]+|\band\b/).filter(Boolean);
+    if (words.length === 0) return null;
+
+    const days = [];
+    for (const word of words) {
+        const day = DAY_PATTERNS.findIndex(pattern => pattern.test(word));
+        if (day === -1) return null;
+        if (!days.includes(day)) days.push(day);
+    }
+
+    return days.sort((a, b) => a - b);
+}
+
+/**
+ * Parse tapering steps (e.g., "40mg for 5 days, 20mg for 5 days, 10mg for 3 days")
+ * @param {string} text - Taper description
+ * @returns {Array<Object>|null} - Steps as { dosage, days } or null if not understood
+ */
+function parseTaperSteps(text) {
+    const parts = (text || '').split(/[,;\n]|\bthen\b/i).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const steps = [];
+    for (const part of parts) {
+        const match = part.match(/^(.+?)\s+for\s+(\d+)\s*days?$/i);
+        if (!match || parseInt(match[2]) <= 0) return null;
+        steps.push({ dosage: match[1].trim(), days: parseInt(match[2]) });
+    }
+
+    return steps;
+}
+
+/**
+ * Parse a free-text schedule description
+ * @param {string} text - e.g., "every other day", "Mon/Wed/Fri", "weekly on Sunday", "as needed max 4"
+ * @returns {Object|null} - Schedule or null if not understood
+ */
+function parseScheduleInput(text) {
+    const lower = (text || '').toLowerCase().trim();
+
+    if (['daily', 'every day', 'everyday', 'once daily'].includes(lower)) {
+        return { type: 'daily' };
+    }
+
+    const prnMatch = lower.match(/^(?:as needed|when needed|if needed|prn|sos)(?:.*?max(?:imum)?\s*(\d+))?/);
+    if (prnMatch) {
+        return { type: 'prn', maxPer24h: prnMatch[1] ? parseInt(prnMatch[1]) : null };
+    }
+
+    if (lower === 'every other day' || lower === 'alternate days' || lower === 'on alternate days') {
+        return { type: 'interval', everyNDays: 2 };
+    }
+
+    const intervalMatch = lower.match(/^every\s+(\d+)\s+days?$/);
+    if (intervalMatch && parseInt(intervalMatch[1]) > 0) {
+        const everyNDays = parseInt(intervalMatch[1]);
+        return everyNDays === 1 ? { type: 'daily' } : { type: 'interval', everyNDays };
+    }
+
+    const weeklyMatch = lower.match(/^(?:weekly|once a week|every week)(?:\s+on)?\s+(\w+)$/) || lower.match(/^every\s+(\w+)$/);
+    if (weeklyMatch) {
+        const days = parseWeekdays(weeklyMatch[1]);
+        if (days && days.length === 1) {
+            return { type: 'weekly', weekdays: days };
+        }
+    }
+
+    const days = parseWeekdays(lower.replace(/^(?:on|only on)\s+/, ''));
+    if (days) {
+        if (days.length === 7) return { type: 'daily' };
+        return days.length === 1 ? { type: 'weekly', weekdays: days } : { type: 'weekdays', weekdays: days };
+    }
+
+    const steps = parseTaperSteps(text);
+    if (steps && steps.length > 1) {
+        return { type: 'taper', steps };
+    }
+
+    return null;
+}
+
+/**
+ * Count days between two local dates
+ * @param {string} fromDate - Local date (YYYY-MM-DD)
+ * @param {string} toDate - Local date (YYYY-MM-DD)
+ * @returns {number} - Whole days from fromDate to toDate
+ */
+function daysBetween(fromDate, toDate) {
+    const toDayNumber = date => {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day) / (24 * 60 * 60 * 1000);
+    };
+    return toDayNumber(toDate) - toDayNumber(fromDate);
+}
+
+/**
+ * Check whether a scheduled dose falls on a local date
+ * @param {Object|null} schedule - Medication schedule (missing means daily)
+ * @param {string} localDate - User's local date (YYYY-MM-DD)
+ * @returns {boolean} - Whether reminders should fire that day
+ */
+function isDoseDay(schedule, localDate) {
+    if (!schedule || schedule.type === 'daily') return true;
+    if (schedule.type === 'prn') return false;
+
+    if (schedule.type === 'weekdays' || schedule.type === 'weekly') {
+        const [year, month, day] = localDate.split('-').map(Number);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        return schedule.weekdays.includes(weekday);
+    }
+
+    const dayIndex = schedule.startDate ? daysBetween(schedule.startDate, localDate) : 0;
+    if (dayIndex < 0) return false;
+
+    if (schedule.type === 'interval') {
+        return dayIndex % schedule.everyNDays === 0;
+    }
+
+    if (schedule.type === 'taper') {
+        return dayIndex < getScheduleLengthDays(schedule);
+    }
+
+    return true;
+}
+
+/**
+ * Get the dose for a local date, which only differs from the usual dosage while tapering
+ * @param {Object|null} schedule - Medication schedule
+ * @param {string} localDate - User's local date (YYYY-MM-DD)
+ * @param {string|null} defaultDosage - Medication's usual dosage
+ * @returns {string|null} - Dosage for that day
+ */
+function getDosageForDay(schedule, localDate, defaultDosage = null) {
+    if (!schedule || schedule.type !== 'taper' || !schedule.startDate) return defaultDosage;
+
+    let dayIndex = daysBetween(schedule.startDate, localDate);
+    for (const step of schedule.steps) {
+        if (dayIndex < step.days) return step.dosage;
+        dayIndex -= step.days;
+    }
+    return defaultDosage;
+}
+
+/**
+ * Get how long a schedule runs for, if it has a natural end
+ * @param {Object|null} schedule - Medication schedule
+ * @returns {number|null} - Days, or null for open-ended schedules
+ */
+function getScheduleLengthDays(schedule) {
+    if (!schedule || schedule.type !== 'taper') return null;
+    return schedule.steps.reduce((total, step) => total + step.days, 0);
+}
+
+/**
+ * Average number of dose days per day, used to estimate how long stock lasts
+ * @param {Object|null} schedule - Medication schedule
+ * @returns {number} - Fraction of days with doses (1 for daily)
+ */
+function getDoseDaysPerDay(schedule) {
+    if (!schedule) return 1;
+    if (schedule.type === 'weekdays' || schedule.type === 'weekly') return schedule.weekdays.length / 7;
+    if (schedule.type === 'interval') return 1 / schedule.everyNDays;
+    return 1;
+}
+
+/**
+ * Describe a schedule for messages
+ * @param {Object|null} schedule - Medication schedule
+ * @param {string|null} language - Reader's language code
+ * @returns {string} - e.g., "Mon, Wed, Fri" or "Every 2 days"
+ */
+function describeSchedule(schedule, language = null) {
+    const dayName = day => t(language, `day.${DAY_NAMES[day].toLowerCase()}`);
+    if (!schedule || schedule.type === 'daily') return t(language, 'schedule.daily');
+
+    switch (schedule.type) {
+        case 'weekdays':
+            return schedule.weekdays.map(dayName).join(', ');
+        case 'weekly':
+            return t(language, 'schedule.weekly', { day: dayName(schedule.weekdays[0]) });
+        case 'interval':
+            return schedule.everyNDays === 2
+                ? t(language, 'schedule.every_other_day')
+                : t(language, 'schedule.every_n_days', { count: schedule.everyNDays });
+        case 'taper':
+            return t(language, 'schedule.taper', {
+                steps: schedule.steps.map(step => t(language, 'schedule.taper_step', { dosage: step.dosage, days: step.days }))
+                    .join(t(language, 'schedule.taper_then'))
+            });
+        case 'prn':
+            return schedule.maxPer24h
+                ? t(language, 'schedule.prn_max', { count: schedule.maxPer24h })
+                : t(language, 'schedule.prn');
+        default:
+            return t(language, 'schedule.daily');
+    }
+}
+
+module.exports = {
+    parseWeekdays,
+    parseTaperSteps,
+    parseScheduleInput,
+    isDoseDay,
+    getDosageForDay,
+    getScheduleLengthDays,
+    getDoseDaysPerDay,
+    describeSchedule
+};
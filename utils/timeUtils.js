@@ -1,4 +1,40 @@
 // utils/timeUtils.js - Time formatting and calculations
+const { LANGUAGES, normalizeLanguage } = require('./i18n');
+
+// Timezone used for users we know nothing about (the service started in India)
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * IANA timezones by phone country calling code. The first entry is the
+ * default; countries with several entries need the user to pick one.
+ */
+const COUNTRY_TIMEZONES = {
+    '91': ['Asia/Kolkata'],
+    '1': ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu', 'America/Halifax'],
+    '44': ['Europe/London'],
+    '353': ['Europe/Dublin'],
+    '49': ['Europe/Berlin'],
+    '33': ['Europe/Paris'],
+    '31': ['Europe/Amsterdam'],
+    '61': ['Australia/Sydney', 'Australia/Brisbane', 'Australia/Adelaide', 'Australia/Perth'],
+    '64': ['Pacific/Auckland'],
+    '65': ['Asia/Singapore'],
+    '60': ['Asia/Kuala_Lumpur'],
+    '852': ['Asia/Hong_Kong'],
+    '81': ['Asia/Tokyo'],
+    '971': ['Asia/Dubai'],
+    '966': ['Asia/Riyadh'],
+    '974': ['Asia/Qatar'],
+    '965': ['Asia/Kuwait'],
+    '968': ['Asia/Muscat'],
+    '973': ['Asia/Bahrain'],
+    '977': ['Asia/Kathmandu'],
+    '880': ['Asia/Dhaka'],
+    '94': ['Asia/Colombo'],
+    '92': ['Asia/Karachi'],
+    '27': ['Africa/Johannesburg'],
+    '254': ['Africa/Nairobi']
+};
 
 /**
  * Standardize time format to "HH:MM am/pm"
@@ -29,13 +65,14 @@ function standardizeTimeFormat(timeString) {
 }
 
 /**
- * Get current time in IST (12-hour format)
- * @returns {string} - Current time in IST
+ * Get current time in a timezone (12-hour format)
+ * @param {string} timezone - IANA timezone (e.g., "America/New_York")
+ * @returns {string} - Current time, e.g. "08:05 pm"
  */
-function getCurrentTimeIST() {
+function getCurrentTimeInZone(timezone) {
     const now = new Date();
     const rawTime = new Intl.DateTimeFormat('en-IN', {
-        timeZone: 'Asia/Kolkata',
+        timeZone: timezone,
         hour: '2-digit',
         minute: '2-digit',
         hour12: true
@@ -45,6 +82,162 @@ function getCurrentTimeIST() {
     return standardizeTimeFormat(rawTime);
 }
 
+/**
+ * Get current time in IST (12-hour format)
+ * @returns {string} - Current time in IST
+ */
+function getCurrentTimeIST() {
+    return getCurrentTimeInZone('Asia/Kolkata');
+}
+
+/**
+ * Check whether a string is a timezone the runtime understands
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - Whether the timezone is valid
+ */
+function isValidTimezone(timezone) {
+    if (!timezone) return false;
+    
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Infer timezone from a phone number's country calling code
+ * @param {string} phoneNumber - Phone number with country code (e.g., "+917XXXXXXXX")
+ * @returns {Object} - { timezone, ambiguous, options } where options lists the
+ *                     candidate zones when the country spans several
+ */
+function inferTimezoneFromPhone(phoneNumber) {
+    const digits = (phoneNumber || '').replace('whatsapp:', '').replace(/[^\d]/g, '');
+    
+    // Calling codes are 1-3 digits; try the longest match first
+    for (let length = 3; length >= 1; length--) {
+        const zones = COUNTRY_TIMEZONES[digits.substring(0, length)];
+        if (zones) {
+            return {
+                timezone: zones[0],
+                ambiguous: zones.length > 1,
+                options: zones
+            };
+        }
+    }
+    
+    return {
+        timezone: DEFAULT_TIMEZONE,
+        ambiguous: false,
+        options: [DEFAULT_TIMEZONE]
+    };
+}
+
+/**
+ * Get the timezone to use for a user record
+ * @param {Object|null} user - User record from the users table
+ * @param {string} phoneNumber - Fallback phone number for inference
+ * @returns {string} - IANA timezone
+ */
+function getUserTimezone(user, phoneNumber = null) {
+    if (user && isValidTimezone(user.timezone)) {
+        return user.timezone;
+    }
+    
+    const phone = (user && user.phoneNumber) || phoneNumber;
+    return phone ? inferTimezoneFromPhone(phone).timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the calendar date and clock time of an instant in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Instant to convert (defaults to now)
+ * @returns {Object} - { date: "YYYY-MM-DD", hour, minute, weekday } (weekday 0 = Sunday)
+ */
+function getZonedDateParts(timezone, date = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Get the instant local midnight started for a date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Any instant on the wanted day (defaults to now)
+ * @returns {Date} - Start of that local day
+ */
+function getStartOfDayInZone(timezone, date = new Date()) {
+    const local = getZonedDateParts(timezone, date);
+    const minutesSinceMidnight = local.hour * 60 + local.minute;
+    
+    const start = new Date(date.getTime() - minutesSinceMidnight * 60 * 1000);
+    start.setSeconds(0, 0);
+    return start;
+}
+
+/**
+ * Get the next instant a local clock time occurs in a timezone
+ * @param {string} time - Local time (e.g., "08:00 am")
+ * @param {string} timezone - IANA timezone
+ * @param {Date} after - Find the first occurrence strictly after this instant (defaults to now)
+ * @returns {Date|null} - Next occurrence or null if the time can't be parsed
+ */
+function getNextOccurrence(time, timezone, after = new Date()) {
+    const timeParts = standardizeTimeFormat(time).match(/(\d+):(\d+)\s*([ap]m)/);
+    if (!timeParts) return null;
+    
+    let hour = parseInt(timeParts[1]);
+    const minute = parseInt(timeParts[2]);
+    if (timeParts[3] === 'pm' && hour < 12) hour += 12;
+    if (timeParts[3] === 'am' && hour === 12) hour = 0;
+    
+    const local = getZonedDateParts(timezone, after);
+    const [year, month, day] = local.date.split('-').map(Number);
+    
+    // Try today and the next two local days (two covers DST gaps)
+    for (let dayOffset = 0; dayOffset <= 2; dayOffset++) {
+        // Treat the wall-clock time as UTC, then correct by the zone's offset at that moment
+        const wallClockAsUtc = Date.UTC(year, month - 1, day + dayOffset, hour, minute);
+        const zoned = getZonedDateParts(timezone, new Date(wallClockAsUtc));
+        const [zYear, zMonth, zDay] = zoned.date.split('-').map(Number);
+        const offsetMs = Date.UTC(zYear, zMonth - 1, zDay, zoned.hour, zoned.minute) - wallClockAsUtc;
+        const candidate = new Date(wallClockAsUtc - offsetMs);
+        
+        if (candidate > after) {
+            return candidate;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Get the UTC minute an instant falls in, used as the reminder schedule's key
+ * @param {Date} date - Instant (defaults to now)
+ * @returns {string} - Minute as "YYYY-MM-DDTHH:MM"
+ */
+function toDueMinute(date = new Date()) {
+    return date.toISOString().substring(0, 16);
+}
+
 /**
  * Generate reminder times based on a base time and frequency
  * @param {string} baseTime - Base time for the reminder (e.g., "8:00 am")
@@ -125,13 +318,14 @@ function generateReminderTimes(baseTime, frequency) {
 
 
 /**
- * Format a date as "DD MMM YYYY" (e.g., "25 Jan 2025")
+ * Format a date as "DD MMM YYYY" (e.g., "25 Jan 2025"), with the month in the reader's language
  * @param {string|Date} dateString - Date to format
+ * @param {string|null} language - Reader's language code
  * @returns {string} - Formatted date string
  */
-function formatDate(dateString) {
+function formatDate(dateString, language = null) {
     const options = { day: '2-digit', month: 'short', year: 'numeric' };
-    return new Date(dateString).toLocaleDateString('en-GB', options);
+    return new Date(dateString).toLocaleDateString(LANGUAGES[normalizeLanguage(language)].locale, options);
 }
 
 /**
@@ -154,9 +348,18 @@ function calculateEndDate(duration) {
 }
 
 module.exports = {
+    DEFAULT_TIMEZONE,
     standardizeTimeFormat,
     generateReminderTimes,
     getCurrentTimeIST,
+    getCurrentTimeInZone,
+    isValidTimezone,
+    inferTimezoneFromPhone,
+    getUserTimezone,
+    getZonedDateParts,
+    getStartOfDayInZone,
+    getNextOccurrence,
+    toDueMinute,
     formatDate,
     calculateEndDate
 };
\ No newline at end of file